@@ -12,6 +12,46 @@ const logger = require('../utils/logger');
 let prisma;
 let prismaReady = false;
 
+// Chargeback operations that read or update cases. Deleted cases sit in
+// the recycle bin (services/caseRecycleBin) and are left out of these unless
+// the query filters on deletedAt itself, so an update or delete by id of a
+// deleted case fails as not found. An upsert that hits one tries to create
+// it again and fails on the unique key.
+//
+// Only the top-level query is filtered: cases reached through a relation
+// (property.chargebacks, _count, a to-one include such as duplicateOf) need
+// their own deletedAt filter or check.
+const FILTERED_CASE_OPERATIONS = [
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'count', 'aggregate', 'groupBy', 'update', 'updateMany', 'upsert', 'delete'
+];
+
+/**
+ * Add the recycle-bin filter to every case read and write
+ */
+function excludeDeletedCases(client) {
+  return client.$extends({
+    query: {
+      chargeback: {
+        $allOperations({ operation, args, query }) {
+          if (FILTERED_CASE_OPERATIONS.includes(operation) && !('deletedAt' in (args?.where || {}))) {
+            args = { ...args, where: { ...args?.where, deletedAt: null } };
+          }
+          return query(args);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * A chargeback filter that also matches deleted cases, for lookups that
+ * must see the whole table (case numbers, the recycle bin itself)
+ */
+function includeDeletedCases(where = {}) {
+  return { ...where, deletedAt: undefined };
+}
+
 /**
  * Create a proxy that defers all model access to the real PrismaClient
  * or throws "database unavailable" errors (caught by demo mode fallbacks).
@@ -82,6 +122,7 @@ async function connectDatabase() {
 
     await Promise.race([connectPromise, timeoutPromise]);
 
+    prisma = excludeDeletedCases(prisma);
     prismaReady = true;
     logger.info('AccuDefend: Database connection established');
     return prisma;
@@ -105,5 +146,6 @@ module.exports = {
   prisma: deferredPrisma,
   getPrismaClient: () => deferredPrisma,
   connectDatabase,
-  disconnectDatabase
+  disconnectDatabase,
+  includeDeletedCases
 };
@@ -337,6 +337,18 @@ async function getFileStream(key) {
   }
 }
 
+/**
+ * Read a stored file fully into a Buffer
+ */
+async function readFileBuffer(key) {
+  const stream = await getFileStream(key);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
 /**
  * Get storage type info
  */
@@ -357,6 +369,7 @@ module.exports = {
   fileExists,
   getFileMetadata,
   getFileStream,
+  readFileBuffer,
   getStorageInfo,
   UPLOADS_DIR
 };
@@ -408,46 +408,9 @@ async function main() {
 
   console.log('✓ Created timeline events\n');
 
-  // ==========================================================================
-  // CREATE SYSTEM CONFIG
-  // ==========================================================================
-
-  console.log('Creating system configuration...');
-
-  await prisma.systemConfig.upsert({
-    where: { key: 'ai_thresholds' },
-    update: {},
-    create: {
-      key: 'ai_thresholds',
-      value: {
-        autoSubmit: 85,
-        reviewRecommended: 70,
-        gatherMoreEvidence: 50
-      },
-      description: 'AI confidence score thresholds for recommendations'
-    }
-  });
-
-  await prisma.systemConfig.upsert({
-    where: { key: 'evidence_weights' },
-    update: {},
-    create: {
-      key: 'evidence_weights',
-      value: {
-        ID_SCAN: 20,
-        AUTH_SIGNATURE: 20,
-        CHECKOUT_SIGNATURE: 15,
-        FOLIO: 15,
-        KEY_CARD_LOG: 10,
-        CORRESPONDENCE: 10,
-        CCTV_FOOTAGE: 5,
-        CANCELLATION_POLICY: 5
-      },
-      description: 'Evidence type weights for confidence scoring'
-    }
-  });
-
-  console.log('✓ Created system configuration\n');
+  // Scoring thresholds and weights are not seeded: the built-in defaults
+  // become global defense config version 1 on first use
+  // (services/aiDefenseConfig)
 
   // ==========================================================================
   // CREATE DEMO NOTIFICATIONS
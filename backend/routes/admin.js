@@ -8,9 +8,40 @@ const bcrypt = require('bcryptjs');
 const multer = require('multer');
 const { prisma } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const { createPropertySchema, createProviderSchema } = require('../utils/validators');
+const {
+  createPropertySchema, createProviderSchema, assignmentRulesSchema, mergeCasesSchema, alertRulesSchema,
+  inquirySettingsSchema, recycleBinSettingsSchema, defenseConfigSchema, defenseConfigRollbackSchema,
+  publishWinRatesSchema, defenseSimulationSchema, defenseSimulationApprovalSchema
+} = require('../utils/validators');
 const logger = require('../utils/logger');
 const documentsController = require('../controllers/documentsController');
+const {
+  getTemplates,
+  setTemplateOverride,
+  removeTemplateOverride,
+  renderLetter,
+  loadLetterCase
+} = require('../services/rebuttalLetters');
+const {
+  NETWORK_RULES, HOLIDAY_CALENDARS, COUNTRY_CALENDARS, getDeadlineConfig, calculateDeadline
+} = require('../services/deadlineEngine');
+const { normalizeStage } = require('../services/disputeStages');
+const { getAssignmentRules, setAssignmentRules } = require('../services/caseAssignment');
+const { getAlertRules, setAlertRules } = require('../services/disputeAlerts');
+const { getInquirySettings, setInquirySettings } = require('../services/issuerInquiry');
+const { ACTOR_TYPES, getChangeHistory, userActor } = require('../services/changeHistory');
+const { listLinkedDuplicates, mergeCases, dismissDuplicate } = require('../services/duplicateDetection');
+const { importRates, listRates, deleteRate } = require('../services/currencyConversion');
+const {
+  getRetentionDays, setRetentionDays, listDeletedCases, restoreCase, purgeCase
+} = require('../services/caseRecycleBin');
+const { defenseConfigService, DEFAULT_AI_CONFIG, GLOBAL_SCOPE } = require('../services/aiDefenseConfig');
+const {
+  PRIOR_STRENGTH, MIN_SAMPLE_SIZE, calibrate, getLatestCalibration, publishCalibration
+} = require('../services/winRateCalibration');
+const {
+  simulateConfig, approveSimulation, listSimulations, getSimulation
+} = require('../services/configSimulation');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -243,7 +274,7 @@ router.get('/properties', async (req, res) => {
     const properties = await prisma.property.findMany({
       include: {
         _count: {
-          select: { users: true, chargebacks: true }
+          select: { users: true, chargebacks: { where: { deletedAt: null } } }
         }
       },
       orderBy: { name: 'asc' }
@@ -358,7 +389,7 @@ router.get('/providers', async (req, res) => {
     const providers = await prisma.provider.findMany({
       include: {
         _count: {
-          select: { chargebacks: true, webhookEvents: true }
+          select: { chargebacks: { where: { deletedAt: null } }, webhookEvents: true }
         }
       },
       orderBy: { name: 'asc' }
@@ -531,6 +562,51 @@ router.get('/audit-log', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/change-history
+ * Field-level changes to cases, evidence and reservations
+ */
+router.get('/change-history', async (req, res) => {
+  try {
+    const {
+      page = 1, limit = 50, entityType, entityId, chargebackId, field, actorType, userId, dateFrom, dateTo
+    } = req.query;
+
+    if (actorType && !ACTOR_TYPES.includes(actorType)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `actorType must be one of ${ACTOR_TYPES.join(', ')}`
+      });
+    }
+
+    const take = Math.min(parseInt(limit) || 50, 500);
+    const { changes, total } = await getChangeHistory({
+      entityType, entityId, chargebackId, field, actorType, userId,
+      from: dateFrom,
+      to: dateTo,
+      limit: take,
+      offset: (parseInt(page) - 1) * take
+    });
+
+    res.json({
+      changes,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        totalPages: Math.ceil(total / take)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get change history error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve change history'
+    });
+  }
+});
+
 // =============================================================================
 // SYSTEM CONFIGURATION
 // =============================================================================
@@ -574,6 +650,14 @@ router.put('/config', async (req, res) => {
       });
     }
 
+    // Defense configs are versioned, see /api/admin/defense-config
+    if (key.startsWith('ai_config_')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Use /api/admin/defense-config to change the AI defense configuration'
+      });
+    }
+
     const config = await prisma.systemConfig.upsert({
       where: { key },
       update: {
@@ -617,6 +701,1309 @@ router.put('/config', async (req, res) => {
   }
 });
 
+// =============================================================================
+// DEFENSE CONFIGURATION
+// =============================================================================
+
+/**
+ * Check a defense config scope: 'global' or an existing property
+ */
+async function findConfigScope(scope) {
+  if (scope === GLOBAL_SCOPE) return { scope, name: 'Global' };
+  const property = await prisma.property.findUnique({
+    where: { id: scope },
+    select: { id: true, name: true }
+  });
+  return property && { scope: property.id, name: property.name };
+}
+
+function sendDefenseConfigError(res, error, action, subject = 'defense configuration') {
+  if (error.statusCode) {
+    const errorNames = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict', 422: 'Validation Error' };
+    return res.status(error.statusCode).json({
+      error: errorNames[error.statusCode],
+      message: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+  logger.error(`${action} ${subject} error:`, error);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: `Failed to ${action.toLowerCase()} ${subject}`
+  });
+}
+
+/**
+ * GET /api/admin/defense-config/:scope
+ * Active scoring configuration for 'global' or a property, and whether the
+ * property inherits the global one
+ */
+router.get('/defense-config/:scope', async (req, res) => {
+  try {
+    const target = await findConfigScope(req.params.scope);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const active = await defenseConfigService.getActiveConfig(target.scope);
+    res.json({ ...active, scope: target.scope, name: target.name, defaults: DEFAULT_AI_CONFIG });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Get');
+  }
+});
+
+/**
+ * PUT /api/admin/defense-config/:scope
+ * Change thresholds, weights, win rates or indicator points. Saves a new
+ * version; a property without its own config starts from the global one.
+ */
+router.put('/defense-config/:scope', async (req, res) => {
+  try {
+    const validation = defenseConfigSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const target = await findConfigScope(req.params.scope);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const previous = await defenseConfigService.getActiveConfig(target.scope);
+    const active = await defenseConfigService.updateConfig(target.scope, validation.data.changes, {
+      userId: req.user.id,
+      note: validation.data.note
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_DEFENSE_CONFIG',
+        entityType: 'DefenseConfigVersion',
+        entityId: active.versionId,
+        oldValues: { scope: previous.scope, version: previous.version, inherited: previous.inherited },
+        newValues: { scope: target.scope, version: active.version, changes: validation.data.changes },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Defense config ${target.name} v${active.version} saved by ${req.user.email}`);
+
+    res.json({ ...active, name: target.name, inherited: false });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Update');
+  }
+});
+
+/**
+ * GET /api/admin/defense-config/:scope/versions
+ * Saved versions of a scope's configuration, newest first
+ */
+router.get('/defense-config/:scope/versions', async (req, res) => {
+  try {
+    const target = await findConfigScope(req.params.scope);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const versions = await defenseConfigService.listVersions(target.scope);
+    res.json({ scope: target.scope, name: target.name, versions });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'List');
+  }
+});
+
+/**
+ * GET /api/admin/defense-config/:scope/versions/:version
+ * One saved version in full
+ */
+router.get('/defense-config/:scope/versions/:version', async (req, res) => {
+  try {
+    const version = await defenseConfigService.getVersion(req.params.scope, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Version not found'
+      });
+    }
+
+    res.json({ version });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Get');
+  }
+});
+
+/**
+ * POST /api/admin/defense-config/:scope/versions/:version/rollback
+ * Make an earlier version active again (saved as a new version)
+ */
+router.post('/defense-config/:scope/versions/:version/rollback', async (req, res) => {
+  try {
+    const validation = defenseConfigRollbackSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const target = await findConfigScope(req.params.scope);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const version = parseInt(req.params.version);
+    const active = await defenseConfigService.rollback(target.scope, version, {
+      userId: req.user.id,
+      note: validation.data.note
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'ROLLBACK_DEFENSE_CONFIG',
+        entityType: 'DefenseConfigVersion',
+        entityId: active.versionId,
+        newValues: { scope: target.scope, version: active.version, rolledBackFrom: version },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Defense config ${target.name} rolled back to v${version} (now v${active.version}) by ${req.user.email}`);
+
+    res.json({ ...active, name: target.name, inherited: false });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Roll back');
+  }
+});
+
+/**
+ * POST /api/admin/defense-config/:scope/simulations
+ * Replay proposed changes over cases disputed in a date range (default the
+ * last 90 days) and report how scoring would shift. Writes nothing to cases.
+ */
+router.post('/defense-config/:scope/simulations', async (req, res) => {
+  try {
+    const validation = defenseSimulationSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const target = await findConfigScope(req.params.scope);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const dateTo = validation.data.dateTo ? new Date(validation.data.dateTo) : new Date();
+    const dateFrom = validation.data.dateFrom
+      ? new Date(validation.data.dateFrom)
+      : new Date(dateTo.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+    const simulation = await simulateConfig(target.scope, validation.data.changes, {
+      dateFrom,
+      dateTo,
+      userId: req.user.id
+    });
+
+    res.status(201).json({ simulation, name: target.name });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Run', 'simulation');
+  }
+});
+
+/**
+ * GET /api/admin/defense-config/:scope/simulations
+ * Recent simulations for a scope, without their reports
+ */
+router.get('/defense-config/:scope/simulations', async (req, res) => {
+  try {
+    const simulations = await listSimulations(req.params.scope);
+    res.json({ simulations });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'List', 'simulations');
+  }
+});
+
+/**
+ * GET /api/admin/defense-config/:scope/simulations/:id
+ * One simulation with its report
+ */
+router.get('/defense-config/:scope/simulations/:id', async (req, res) => {
+  try {
+    const simulation = await getSimulation(req.params.scope, req.params.id);
+    if (!simulation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Simulation not found'
+      });
+    }
+
+    res.json({ simulation });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Get', 'simulation');
+  }
+});
+
+/**
+ * POST /api/admin/defense-config/:scope/simulations/:id/approve
+ * Publish a simulation's changes as a new config version
+ */
+router.post('/defense-config/:scope/simulations/:id/approve', async (req, res) => {
+  try {
+    const validation = defenseSimulationApprovalSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const existing = await getSimulation(req.params.scope, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Simulation not found'
+      });
+    }
+
+    const { simulation, active } = await approveSimulation(existing.id, {
+      userId: req.user.id,
+      note: validation.data.note
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'APPROVE_DEFENSE_SIMULATION',
+        entityType: 'DefenseConfigVersion',
+        entityId: active.versionId,
+        oldValues: { scope: simulation.scope, version: simulation.baseVersion },
+        newValues: {
+          scope: simulation.scope,
+          version: active.version,
+          simulationId: simulation.id,
+          changes: simulation.changes
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Defense config simulation approved for ${simulation.scope} (now v${active.version}) by ${req.user.email}`);
+
+    res.json({ simulation, active: { ...active, inherited: false } });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Approve', 'simulation');
+  }
+});
+
+// =============================================================================
+// LEARNED WIN RATES
+// =============================================================================
+
+/**
+ * GET /api/admin/win-rates/:scope
+ * Latest win rate calibration for 'global' or a property, with each learned
+ * rate next to the default and the rate scoring currently uses
+ */
+router.get('/win-rates/:scope', async (req, res) => {
+  try {
+    const target = await findConfigScope(req.params.scope);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const latest = await getLatestCalibration(target.scope);
+    res.json({
+      ...latest,
+      scope: target.scope,
+      name: target.name,
+      priorStrength: PRIOR_STRENGTH,
+      minSampleSize: MIN_SAMPLE_SIZE
+    });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Get', 'win rates');
+  }
+});
+
+/**
+ * POST /api/admin/win-rates/:scope/recalibrate
+ * Learn rates from resolved cases now instead of waiting for the weekly job
+ */
+router.post('/win-rates/:scope/recalibrate', async (req, res) => {
+  try {
+    const target = await findConfigScope(req.params.scope);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    await calibrate(target.scope);
+    const latest = await getLatestCalibration(target.scope);
+
+    logger.info(`Win rates recalibrated for ${target.name} by ${req.user.email}`);
+
+    res.json({
+      ...latest,
+      scope: target.scope,
+      name: target.name,
+      priorStrength: PRIOR_STRENGTH,
+      minSampleSize: MIN_SAMPLE_SIZE
+    });
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Recalibrate', 'win rates');
+  }
+});
+
+/**
+ * POST /api/admin/win-rates/:scope/calibrations/:id/publish
+ * Publish learned rates (all, or the listed reason codes) to the scope's
+ * defense config as a new version
+ */
+router.post('/win-rates/:scope/calibrations/:id/publish', async (req, res) => {
+  try {
+    const validation = publishWinRatesSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const calibration = await prisma.winRateCalibration.findFirst({
+      where: { id: req.params.id, scope: req.params.scope },
+      select: { id: true }
+    });
+    if (!calibration) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Calibration not found'
+      });
+    }
+
+    const result = await publishCalibration(calibration.id, {
+      userId: req.user.id,
+      codes: validation.data.codes,
+      note: validation.data.note
+    });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'PUBLISH_WIN_RATES',
+        entityType: 'WinRateCalibration',
+        entityId: calibration.id,
+        newValues: {
+          scope: req.params.scope,
+          reasonCodes: result.published,
+          configVersion: result.configVersion
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Learned win rates published for ${req.params.scope} (config v${result.configVersion}) by ${req.user.email}`);
+
+    res.json(result);
+
+  } catch (error) {
+    sendDefenseConfigError(res, error, 'Publish', 'win rates');
+  }
+});
+
+// =============================================================================
+// REBUTTAL LETTER TEMPLATES
+// =============================================================================
+
+/**
+ * GET /api/admin/rebuttal-templates
+ * Get the effective rebuttal template library (optionally for a property)
+ */
+router.get('/rebuttal-templates', async (req, res) => {
+  try {
+    const templates = await getTemplates(req.query.propertyId || null);
+    res.json({ templates: Object.values(templates) });
+
+  } catch (error) {
+    logger.error('Get rebuttal templates error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve rebuttal templates'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/rebuttal-templates/:key
+ * Override a rebuttal template for a property (or globally)
+ */
+router.put('/rebuttal-templates/:key', async (req, res) => {
+  try {
+    const { propertyId, name, subject, body } = req.body;
+
+    if (!body || typeof body !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Template body is required'
+      });
+    }
+
+    const scope = propertyId || 'global';
+    const template = await setTemplateOverride(scope, req.params.key, { name, subject: subject || '', body }, req.user.id);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_REBUTTAL_TEMPLATE',
+        entityType: 'SystemConfig',
+        entityId: `rebuttal_templates_${scope}`,
+        newValues: { templateKey: req.params.key, ...template },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Rebuttal template ${req.params.key} overridden for ${scope} by ${req.user.email}`);
+
+    res.json({
+      message: 'Rebuttal template saved successfully',
+      template
+    });
+
+  } catch (error) {
+    logger.error('Update rebuttal template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save rebuttal template'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/rebuttal-templates/:key
+ * Remove a template override and fall back to the global/built-in version
+ */
+router.delete('/rebuttal-templates/:key', async (req, res) => {
+  try {
+    const scope = req.query.propertyId || 'global';
+    const removed = await removeTemplateOverride(scope, req.params.key, req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No override exists for this template'
+      });
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'DELETE_REBUTTAL_TEMPLATE',
+        entityType: 'SystemConfig',
+        entityId: `rebuttal_templates_${scope}`,
+        oldValues: { templateKey: req.params.key },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({ message: 'Template override removed' });
+
+  } catch (error) {
+    logger.error('Delete rebuttal template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to remove template override'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/rebuttal-templates/preview
+ * Render a template (saved or unsaved) against an existing case
+ */
+router.post('/rebuttal-templates/preview', async (req, res) => {
+  try {
+    const { chargebackId, templateKey, subject, body } = req.body;
+
+    // Default to the most recent case for the property
+    let caseId = chargebackId;
+    if (!caseId) {
+      const latest = await prisma.chargeback.findFirst({
+        where: req.body.propertyId ? { propertyId: req.body.propertyId } : {},
+        orderBy: { createdAt: 'desc' },
+        select: { id: true }
+      });
+      caseId = latest?.id;
+    }
+
+    const chargeback = caseId ? await loadLetterCase(caseId) : null;
+
+    if (!chargeback) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No case available to preview against'
+      });
+    }
+
+    const preview = await renderLetter(chargeback, { templateKey, subject, body });
+
+    res.json({ preview, caseNumber: chargeback.caseNumber });
+
+  } catch (error) {
+    logger.error('Preview rebuttal template error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to preview rebuttal template'
+    });
+  }
+});
+
+// =============================================================================
+// ASSIGNMENT RULES
+// =============================================================================
+
+/**
+ * GET /api/admin/assignment-rules/:propertyId
+ * Get a property's case assignment rules
+ */
+router.get('/assignment-rules/:propertyId', async (req, res) => {
+  try {
+    const rules = await getAssignmentRules(req.params.propertyId);
+    res.json({ propertyId: req.params.propertyId, rules });
+
+  } catch (error) {
+    logger.error('Get assignment rules error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve assignment rules'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/assignment-rules/:propertyId
+ * Replace a property's case assignment rules
+ */
+router.put('/assignment-rules/:propertyId', async (req, res) => {
+  try {
+    const validation = assignmentRulesSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const property = await prisma.property.findUnique({ where: { id: req.params.propertyId } });
+    if (!property) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const oldRules = await getAssignmentRules(property.id);
+    const rules = await setAssignmentRules(property.id, validation.data, req.user.id);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_ASSIGNMENT_RULES',
+        entityType: 'Property',
+        entityId: property.id,
+        oldValues: oldRules,
+        newValues: rules,
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Assignment rules updated for ${property.name} by ${req.user.email}`);
+
+    res.json({ propertyId: property.id, rules });
+
+  } catch (error) {
+    logger.error('Update assignment rules error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update assignment rules'
+    });
+  }
+});
+
+// =============================================================================
+// DISPUTE ALERT RULES
+// =============================================================================
+
+/**
+ * GET /api/admin/alert-rules/:propertyId
+ * Get a property's Ethoca/Verifi alert rules
+ */
+router.get('/alert-rules/:propertyId', async (req, res) => {
+  try {
+    const rules = await getAlertRules(req.params.propertyId);
+    res.json({ propertyId: req.params.propertyId, rules });
+
+  } catch (error) {
+    logger.error('Get alert rules error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve alert rules'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/alert-rules/:propertyId
+ * Replace a property's Ethoca/Verifi alert rules
+ */
+router.put('/alert-rules/:propertyId', async (req, res) => {
+  try {
+    const validation = alertRulesSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const property = await prisma.property.findUnique({ where: { id: req.params.propertyId } });
+    if (!property) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const oldRules = await getAlertRules(property.id);
+    const rules = await setAlertRules(property.id, validation.data, req.user.id);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_ALERT_RULES',
+        entityType: 'Property',
+        entityId: property.id,
+        oldValues: oldRules,
+        newValues: rules,
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Alert rules updated for ${property.name} by ${req.user.email}`);
+
+    res.json({ propertyId: property.id, rules });
+
+  } catch (error) {
+    logger.error('Update alert rules error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update alert rules'
+    });
+  }
+});
+
+// =============================================================================
+// ISSUER INQUIRIES
+// =============================================================================
+
+/**
+ * GET /api/admin/inquiry-settings/:propertyId
+ * Get what a property discloses to issuers on Order Insight / Consumer
+ * Clarity lookups
+ */
+router.get('/inquiry-settings/:propertyId', async (req, res) => {
+  try {
+    const settings = await getInquirySettings(req.params.propertyId);
+    res.json({ propertyId: req.params.propertyId, settings });
+
+  } catch (error) {
+    logger.error('Get inquiry settings error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve inquiry settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/inquiry-settings/:propertyId
+ * Replace a property's issuer inquiry disclosure settings
+ */
+router.put('/inquiry-settings/:propertyId', async (req, res) => {
+  try {
+    const validation = inquirySettingsSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const property = await prisma.property.findUnique({ where: { id: req.params.propertyId } });
+    if (!property) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Property not found'
+      });
+    }
+
+    const oldSettings = await getInquirySettings(property.id);
+    const settings = await setInquirySettings(property.id, validation.data, req.user.id);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_INQUIRY_SETTINGS',
+        entityType: 'Property',
+        entityId: property.id,
+        oldValues: oldSettings,
+        newValues: settings,
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Inquiry settings updated for ${property.name} by ${req.user.email}`);
+
+    res.json({ propertyId: property.id, settings });
+
+  } catch (error) {
+    logger.error('Update inquiry settings error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update inquiry settings'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/inquiries
+ * Issuer lookup log, newest first. Filter by propertyId, network, outcome
+ * or reservationId.
+ */
+router.get('/inquiries', async (req, res) => {
+  try {
+    const { propertyId, network, outcome, reservationId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const where = {
+      ...(propertyId && { propertyId }),
+      ...(network && { network: String(network).toUpperCase() }),
+      ...(outcome && { outcome }),
+      ...(reservationId && { reservationId })
+    };
+
+    const [inquiries, total, outcomes] = await Promise.all([
+      prisma.issuerInquiry.findMany({
+        where,
+        include: {
+          property: { select: { id: true, name: true } },
+          reservation: { select: { id: true, confirmationNumber: true, guestName: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.issuerInquiry.count({ where }),
+      prisma.issuerInquiry.groupBy({
+        by: ['outcome'],
+        where,
+        _count: true
+      })
+    ]);
+
+    res.json({
+      inquiries,
+      outcomes: Object.fromEntries(outcomes.map(o => [o.outcome, o._count])),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('List inquiries error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve inquiries'
+    });
+  }
+});
+
+// =============================================================================
+// DUPLICATE CASES
+// =============================================================================
+
+/**
+ * GET /api/admin/duplicates
+ * Cases linked as possible duplicates, awaiting merge or dismissal
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    const duplicates = await listLinkedDuplicates(req.query.propertyId);
+    res.json({ duplicates });
+
+  } catch (error) {
+    logger.error('List duplicates error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve duplicate cases'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/duplicates/merge
+ * Merge one case into another, moving its evidence, timeline and submissions
+ */
+router.post('/duplicates/merge', async (req, res) => {
+  try {
+    const validation = mergeCasesSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const { source, target, moved } = await mergeCases(validation.data.sourceId, validation.data.targetId, req.user);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'MERGE_CASES',
+        entityType: 'Chargeback',
+        entityId: target.id,
+        oldValues: { sourceId: source.id, sourceCaseNumber: source.caseNumber, sourceStatus: source.status },
+        newValues: { targetCaseNumber: target.caseNumber, moved },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      message: `${source.caseNumber} merged into ${target.caseNumber}`,
+      targetId: target.id,
+      moved
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      const errorNames = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict', 422: 'Unprocessable Entity' };
+      return res.status(error.statusCode).json({
+        error: errorNames[error.statusCode],
+        message: error.message
+      });
+    }
+    logger.error('Merge cases error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to merge cases'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/duplicates/:id/dismiss
+ * Clear a possible-duplicate link after review
+ */
+router.post('/duplicates/:id/dismiss', async (req, res) => {
+  try {
+    const chargeback = await dismissDuplicate(req.params.id, req.user);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'DISMISS_DUPLICATE',
+        entityType: 'Chargeback',
+        entityId: chargeback.id,
+        oldValues: { duplicateOfId: chargeback.duplicateOfId },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({ message: 'Duplicate link dismissed' });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 404 ? 'Not Found' : 'Conflict',
+        message: error.message
+      });
+    }
+    logger.error('Dismiss duplicate error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to dismiss duplicate'
+    });
+  }
+});
+
+// =============================================================================
+// RECYCLE BIN
+// =============================================================================
+
+/**
+ * GET /api/admin/recycle-bin
+ * Deleted cases awaiting restore or purge, with the date each will be
+ * purged automatically
+ */
+router.get('/recycle-bin', async (req, res) => {
+  try {
+    const { propertyId, search, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const { cases, total, retentionDays } = await listDeletedCases({
+      propertyId,
+      search,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.json({
+      cases,
+      retentionDays,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    logger.error('List recycle bin error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve deleted cases'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/recycle-bin/settings
+ * Set how many days deleted cases are kept before they are purged
+ */
+router.put('/recycle-bin/settings', async (req, res) => {
+  try {
+    const validation = recycleBinSettingsSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const oldDays = await getRetentionDays();
+    const retentionDays = await setRetentionDays(validation.data.retentionDays, req.user.id);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'UPDATE_CONFIG',
+        entityType: 'SystemConfig',
+        entityId: 'case_retention_days',
+        oldValues: { retentionDays: oldDays },
+        newValues: { retentionDays },
+        ipAddress: req.ip
+      }
+    });
+
+    logger.info(`Recycle bin retention set to ${retentionDays} days by ${req.user.email}`);
+
+    res.json({ retentionDays });
+
+  } catch (error) {
+    logger.error('Update recycle bin settings error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update recycle bin settings'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/recycle-bin/:id/restore
+ * Restore a deleted case
+ */
+router.post('/recycle-bin/:id/restore', async (req, res) => {
+  try {
+    const chargeback = await restoreCase(req.params.id, userActor(req.user, req.ip));
+
+    res.json({
+      message: `${chargeback.caseNumber} restored`,
+      chargeback
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      const errorNames = { 404: 'Not Found', 409: 'Conflict' };
+      return res.status(error.statusCode).json({
+        error: errorNames[error.statusCode],
+        message: error.message
+      });
+    }
+    logger.error('Restore case error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to restore case'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/recycle-bin/:id
+ * Permanently delete a case in the recycle bin and its files
+ */
+router.delete('/recycle-bin/:id', async (req, res) => {
+  try {
+    const result = await purgeCase(req.params.id, userActor(req.user, req.ip));
+
+    res.json({
+      message: `${result.caseNumber} permanently deleted`,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    logger.error('Purge case error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to permanently delete case'
+    });
+  }
+});
+
+// =============================================================================
+// EXCHANGE RATES
+// =============================================================================
+
+/**
+ * GET /api/admin/exchange-rates
+ * List dated exchange rates, newest first
+ */
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const { base, quote, from, to, page = 1, limit = 100 } = req.query;
+
+    const result = await listRates({
+      base,
+      quote,
+      from,
+      to,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 100, 1), 500)
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('List exchange rates error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve exchange rates'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/exchange-rates/import
+ * Import exchange rates from a CSV file (date,base,quote,rate[,source]).
+ * Rates replace any existing rate for the same pair and date, and cases
+ * affected by the imported dates are reconverted.
+ */
+router.post('/exchange-rates/import', upload.single('file'), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+    if (!text) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'A CSV file is required'
+      });
+    }
+
+    const result = await importRates(text, req.user);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'IMPORT_EXCHANGE_RATES',
+        entityType: 'ExchangeRate',
+        entityId: result.pairs.join(','),
+        newValues: result,
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({
+      message: `Imported ${result.imported} exchange rates`,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: 'Unprocessable Entity',
+        message: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+    logger.error('Import exchange rates error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to import exchange rates'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/exchange-rates/:id
+ * Delete a single exchange rate
+ */
+router.delete('/exchange-rates/:id', async (req, res) => {
+  try {
+    const rate = await deleteRate(req.params.id);
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'DELETE_EXCHANGE_RATE',
+        entityType: 'ExchangeRate',
+        entityId: rate.id,
+        oldValues: {
+          baseCurrency: rate.baseCurrency,
+          quoteCurrency: rate.quoteCurrency,
+          rate: rate.rate.toString(),
+          effectiveDate: rate.effectiveDate
+        },
+        ipAddress: req.ip
+      }
+    });
+
+    res.json({ message: 'Exchange rate deleted' });
+
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    logger.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete exchange rate'
+    });
+  }
+});
+
+// =============================================================================
+// DEADLINE RULES
+// =============================================================================
+
+/**
+ * GET /api/admin/deadline-rules
+ * Get the network rule tables, the holiday calendars and the effective
+ * deadline settings (acquirer buffer, holidays) for a property or
+ * globally. Settings are edited through PUT /api/admin/config with key
+ * deadline_config_{propertyId} or deadline_config_global.
+ */
+router.get('/deadline-rules', async (req, res) => {
+  try {
+    const config = await getDeadlineConfig(req.query.propertyId || null);
+    res.json({
+      networks: NETWORK_RULES,
+      config,
+      holidayCalendars: Object.keys(HOLIDAY_CALENDARS),
+      countryCalendars: COUNTRY_CALENDARS
+    });
+
+  } catch (error) {
+    logger.error('Get deadline rules error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve deadline rules'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/deadline-rules/preview
+ * Calculate a deadline without creating a case
+ */
+router.post('/deadline-rules/preview', async (req, res) => {
+  try {
+    const { propertyId, reasonCode, cardBrand, stage, disputeDate, providerName } = req.body;
+
+    if (!reasonCode && !cardBrand) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'A reason code or card brand is required'
+      });
+    }
+
+    const deadline = await calculateDeadline({
+      propertyId,
+      reasonCode,
+      cardBrand,
+      stage: normalizeStage(stage) || 'REPRESENTMENT',
+      providerName,
+      startDate: disputeDate ? new Date(disputeDate) : new Date()
+    });
+
+    res.json({ deadline });
+
+  } catch (error) {
+    logger.error('Preview deadline error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to calculate deadline'
+    });
+  }
+});
+
 // =============================================================================
 // STORAGE STATUS
 // =============================================================================
@@ -0,0 +1,196 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Dispute Alert Routes
+ *
+ * Inbox for Ethoca and Verifi pre-dispute alerts: list alerts with their
+ * response window and refund or decline them.
+ */
+
+const express = require('express');
+const { prisma } = require('../config/database');
+const { authenticateToken, requireRole, requirePropertyAccess } = require('../middleware/auth');
+const { alertResponseSchema } = require('../utils/validators');
+const { ALERT_NETWORKS, respondToAlert } = require('../services/disputeAlerts');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+router.use(requirePropertyAccess);
+
+const ALERT_STATUSES = ['NEW', 'RESPONDING', 'REFUNDED', 'DECLINED', 'EXPIRED'];
+
+const ALERT_INCLUDE = {
+  property: { select: { id: true, name: true, timezone: true } },
+  reservation: { select: { id: true, confirmationNumber: true, status: true, checkInDate: true, checkOutDate: true } },
+  chargeback: { select: { id: true, caseNumber: true, status: true } },
+  decidedBy: { select: { id: true, firstName: true, lastName: true } }
+};
+
+/**
+ * GET /api/alerts
+ * List alerts, soonest response deadline first. ?status=open (default)
+ * returns alerts still waiting on a decision or the network.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'open', network } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+    const statuses = status === 'open'
+      ? ['NEW', 'RESPONDING']
+      : status === 'all' ? ALERT_STATUSES : String(status).split(',');
+    if (statuses.some(s => !ALERT_STATUSES.includes(s))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Status must be open, all or one of ${ALERT_STATUSES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...req.propertyFilter,
+      status: { in: statuses },
+      ...(network && { network: String(network).toUpperCase() })
+    };
+
+    const [alerts, total, counts] = await Promise.all([
+      prisma.disputeAlert.findMany({
+        where,
+        include: ALERT_INCLUDE,
+        orderBy: status === 'open' ? { responseDueAt: 'asc' } : { receivedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.disputeAlert.count({ where }),
+      prisma.disputeAlert.groupBy({
+        by: ['status'],
+        where: { ...req.propertyFilter },
+        _count: true
+      })
+    ]);
+
+    res.json({
+      alerts,
+      counts: Object.fromEntries(ALERT_STATUSES.map(s => [s, counts.find(c => c.status === s)?._count || 0])),
+      networks: Object.entries(ALERT_NETWORKS).map(([value, n]) => ({ value, label: n.label })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('List alerts error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve alerts'
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get an alert with the facts its rules were evaluated on
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const alert = await prisma.disputeAlert.findFirst({
+      where: {
+        id: req.params.id,
+        ...req.propertyFilter
+      },
+      include: ALERT_INCLUDE
+    });
+
+    if (!alert) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({ alert });
+
+  } catch (error) {
+    logger.error('Get alert error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve alert'
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/respond
+ * Refund or decline an alert; the answer is posted back to the network
+ */
+router.post('/:id/respond', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
+  try {
+    const validation = alertResponseSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: validation.error.errors
+      });
+    }
+
+    const existing = await prisma.disputeAlert.findFirst({
+      where: {
+        id: req.params.id,
+        ...req.propertyFilter
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Alert not found'
+      });
+    }
+
+    const { decision, refundAmount, notes } = validation.data;
+    const result = await respondToAlert(existing, { decision, refundAmount, notes, actor: req.user });
+
+    await prisma.auditLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'RESPOND_ALERT',
+        entityType: 'DisputeAlert',
+        entityId: existing.id,
+        oldValues: { status: existing.status },
+        newValues: { decision, refundAmount: result.alert.refundAmount, notes, queued: result.queued, portalType: result.portalType },
+        ipAddress: req.ip
+      }
+    });
+
+    const label = ALERT_NETWORKS[existing.network]?.label || existing.network;
+    res.json({
+      message: result.queued
+        ? `${decision === 'refund' ? 'Refund' : 'Decline'} sent to ${label}; the alert closes when the network confirms`
+        : `Alert ${decision === 'refund' ? 'refunded' : 'declined'}. No active ${label} integration, so nothing was posted to the network`,
+      queued: result.queued,
+      portalType: result.portalType,
+      alert: result.alert
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      const errorNames = { 400: 'Bad Request', 409: 'Conflict', 503: 'Service Unavailable' };
+      return res.status(error.statusCode).json({
+        error: errorNames[error.statusCode] || 'Error',
+        message: error.message
+      });
+    }
+    logger.error('Respond to alert error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to respond to alert'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,13 @@
 const express = require('express');
 const { prisma } = require('../config/database');
 const { authenticateToken, requirePropertyAccess } = require('../middleware/auth');
+const {
+  REPORTING_SELECT, getReportingCurrency, convertCaseAmounts, sumConverted, sumRecovered, recoveredShare,
+  sumWrittenOff, sumFees, sumNetRecovery, countUnconverted, createConverter, sumCaseAmounts, sumCaseFees, countCases
+} = require('../services/currencyConversion');
+const { WIN_FACTORS, DENIAL_FACTORS } = require('../services/disputeOutcomes');
+const { ACCEPTANCE_REASONS } = require('../services/caseActions');
+const { ALERT_NETWORKS } = require('../services/disputeAlerts');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -14,6 +21,56 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(requirePropertyAccess);
 
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const MAX_TREND_MONTHS = 60;
+
+/**
+ * Cases are disputed in different currencies, so amounts are summed after
+ * converting each case to the reporting currency: the property's currency
+ * for property users, the portfolio currency for admins, or ?currency=XXX.
+ * Cases with no usable exchange rate are left out of amount totals and
+ * counted in unconvertedCases. Reports over every case (dashboard, monthly,
+ * processors, reason codes, properties) sum per currency in the database
+ * and convert the sums; see sumCaseAmounts.
+ */
+function reportingCurrencyFor(req) {
+  return getReportingCurrency({
+    propertyId: req.propertyFilter?.propertyId,
+    requested: req.query.currency
+  });
+}
+
+function groupBy(rows, keyFn) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyFn(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+function countStatus(rows, status) {
+  return countCases(rows, r => r.status === status);
+}
+
+function winRateOf(won, lost) {
+  return (won + lost) > 0 ? Math.round((won / (won + lost)) * 100) : 0;
+}
+
+/**
+ * Net recovery as a share of the amount contested to a decision (won or
+ * lost). Unlike the win rate it weighs cases by amount and counts partial
+ * wins and fees.
+ */
+function netRecoveryRateOf(rows, fees = sumFees(rows)) {
+  const contested = sumConverted(rows, r => r.status === 'WON' || r.status === 'LOST');
+  return contested > 0 ? Math.round(((sumRecovered(rows) - fees) / contested) * 100) : 0;
+}
+
 // =============================================================================
 // ROUTES
 // =============================================================================
@@ -31,48 +88,15 @@ router.get('/dashboard', async (req, res) => {
     const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
     const sixtyDaysAgo = new Date(now - 60 * 24 * 60 * 60 * 1000);
 
-    const [
-      totalStats,
-      currentPeriod,
-      previousPeriod,
-      statusBreakdown,
-      recentCases,
-      urgentCases
-    ] = await Promise.all([
-      // Overall statistics
-      prisma.chargeback.aggregate({
-        where,
-        _count: true,
-        _sum: { amount: true }
-      }),
+    const currency = await reportingCurrencyFor(req);
+    const converter = createConverter();
 
-      // Current 30-day period
-      prisma.chargeback.aggregate({
-        where: {
-          ...where,
-          createdAt: { gte: thirtyDaysAgo }
-        },
-        _count: true,
-        _sum: { amount: true }
-      }),
-
-      // Previous 30-day period (for comparison)
-      prisma.chargeback.aggregate({
-        where: {
-          ...where,
-          createdAt: { gte: sixtyDaysAgo, lt: thirtyDaysAgo }
-        },
-        _count: true,
-        _sum: { amount: true }
-      }),
-
-      // Status breakdown
-      prisma.chargeback.groupBy({
-        by: ['status'],
-        where,
-        _count: true,
-        _sum: { amount: true }
-      }),
+    const [cases, currentPeriod, previousPeriod, feesAmount, recentCases, urgentCases] = await Promise.all([
+      // Case totals per status and currency, converted to the reporting currency below
+      sumCaseAmounts(where),
+      sumCaseAmounts({ ...where, createdAt: { gte: thirtyDaysAgo } }),
+      sumCaseAmounts({ ...where, createdAt: { gte: sixtyDaysAgo, lt: thirtyDaysAgo } }),
+      sumCaseFees(where, currency, converter),
 
       // Recent cases (last 5)
       prisma.chargeback.findMany({
@@ -84,6 +108,9 @@ router.get('/dashboard', async (req, res) => {
           caseNumber: true,
           guestName: true,
           amount: true,
+          currency: true,
+          propertyAmount: true,
+          propertyCurrency: true,
           status: true,
           confidenceScore: true,
           recommendation: true,
@@ -104,41 +131,59 @@ router.get('/dashboard', async (req, res) => {
       })
     ]);
 
+    for (const groups of [cases, currentPeriod, previousPeriod]) {
+      await convertCaseAmounts(groups, currency, converter);
+    }
+
+    const byStatus = groupBy(cases, c => c.status);
+
     // Calculate win rate
-    const wonCount = statusBreakdown.find(s => s.status === 'WON')?._count || 0;
-    const lostCount = statusBreakdown.find(s => s.status === 'LOST')?._count || 0;
-    const resolvedCount = wonCount + lostCount;
-    const winRate = resolvedCount > 0 ? Math.round((wonCount / resolvedCount) * 100) : 0;
+    const wonCount = countStatus(cases, 'WON');
+    const lostCount = countStatus(cases, 'LOST');
+    const winRate = winRateOf(wonCount, lostCount);
 
-    // Calculate recovered amount
-    const recoveredAmount = statusBreakdown.find(s => s.status === 'WON')?._sum.amount || 0;
+    // Calculate recovered amount (partial wins count what was recovered)
+    const recoveredAmount = sumRecovered(byStatus.get('WON') || []);
 
     // Calculate trends
-    const casesTrend = previousPeriod._count > 0
-      ? Math.round(((currentPeriod._count - previousPeriod._count) / previousPeriod._count) * 100)
+    const currentCount = countCases(currentPeriod);
+    const previousCount = countCases(previousPeriod);
+    const casesTrend = previousCount > 0
+      ? Math.round(((currentCount - previousCount) / previousCount) * 100)
       : 0;
 
-    const amountTrend = previousPeriod._sum.amount > 0
-      ? Math.round(((Number(currentPeriod._sum.amount || 0) - Number(previousPeriod._sum.amount || 0)) / Number(previousPeriod._sum.amount)) * 100)
+    const currentAmount = sumConverted(currentPeriod);
+    const previousAmount = sumConverted(previousPeriod);
+    const amountTrend = previousAmount > 0
+      ? Math.round(((currentAmount - previousAmount) / previousAmount) * 100)
       : 0;
 
     res.json({
+      currency,
       summary: {
-        totalCases: totalStats._count,
-        totalAmount: Number(totalStats._sum.amount || 0),
-        recoveredAmount: Number(recoveredAmount),
+        totalCases: countCases(cases),
+        totalAmount: sumConverted(cases),
+        recoveredAmount,
+        // Recovered less chargeback and arbitration fees
+        feesAmount,
+        netRecovery: Math.round((recoveredAmount - feesAmount) * 100) / 100,
+        netRecoveryRate: netRecoveryRateOf(cases, feesAmount),
         winRate,
+        // Accepted cases are not counted in the win rate
+        acceptedCases: countStatus(cases, 'ACCEPTED'),
+        writtenOffAmount: sumWrittenOff(byStatus.get('ACCEPTED') || []),
         urgentCases,
-        currentPeriodCases: currentPeriod._count,
+        currentPeriodCases: currentCount,
+        unconvertedCases: countUnconverted(cases),
         trends: {
           cases: casesTrend,
           amount: amountTrend
         }
       },
-      statusBreakdown: statusBreakdown.reduce((acc, item) => {
-        acc[item.status] = {
-          count: item._count,
-          amount: Number(item._sum.amount || 0)
+      statusBreakdown: [...byStatus].reduce((acc, [status, rows]) => {
+        acc[status] = {
+          count: countCases(rows),
+          amount: sumConverted(rows)
         };
         return acc;
       }, {}),
@@ -149,13 +194,18 @@ router.get('/dashboard', async (req, res) => {
     logger.warn('Dashboard analytics: database unavailable, returning demo data');
     // Return realistic demo data when database is unavailable
     res.json({
+      currency: 'USD',
       summary: {
         totalCases: 247,
         totalAmount: 184320.50,
         recoveredAmount: 143768.25,
+        feesAmount: 4275.00,
+        netRecovery: 139493.25,
+        netRecoveryRate: 80,
         winRate: 78,
         urgentCases: 12,
         currentPeriodCases: 34,
+        unconvertedCases: 0,
         trends: { cases: -8, amount: -12 }
       },
       statusBreakdown: {
@@ -186,74 +236,66 @@ router.get('/monthly', async (req, res) => {
   try {
     const { months = 12 } = req.query;
     const where = req.propertyFilter;
+    const currency = await reportingCurrencyFor(req);
+
+    // Each month is its own query, so the range is capped
+    const monthCount = Math.min(Math.max(parseInt(months) || 12, 1), MAX_TREND_MONTHS);
 
     // Calculate date range
     const endDate = new Date();
     const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - parseInt(months));
-
-    // Get all cases in date range
-    const cases = await prisma.chargeback.findMany({
-      where: {
-        ...where,
-        createdAt: { gte: startDate, lte: endDate }
-      },
-      select: {
-        id: true,
-        status: true,
-        amount: true,
-        createdAt: true,
-        resolvedAt: true
-      }
-    });
-
-    // Group by month
-    const monthlyData = {};
-    for (let i = 0; i < parseInt(months); i++) {
-      const date = new Date();
-      date.setMonth(date.getMonth() - i);
-      const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      monthlyData[key] = {
-        month: key,
-        cases: 0,
-        amount: 0,
-        won: 0,
-        lost: 0,
-        recovered: 0
-      };
+    startDate.setMonth(startDate.getMonth() - monthCount);
+
+    // Totals for each month are summed per currency by the database
+    const converter = createConverter();
+    const monthly = [];
+    for (let i = monthCount - 1; i >= 0; i--) {
+      const monthStart = new Date(endDate.getFullYear(), endDate.getMonth() - i, 1);
+      const monthEnd = new Date(endDate.getFullYear(), endDate.getMonth() - i + 1, 1);
+      const range = { ...where, createdAt: { gte: monthStart, lt: monthEnd } };
+
+      const [groups, fees] = await Promise.all([
+        sumCaseAmounts(range),
+        sumCaseFees(range, currency, converter)
+      ]);
+      await convertCaseAmounts(groups, currency, converter);
+
+      const won = countStatus(groups, 'WON');
+      const lost = countStatus(groups, 'LOST');
+      const recovered = sumRecovered(groups);
+      monthly.push({
+        month: `${monthStart.getFullYear()}-${String(monthStart.getMonth() + 1).padStart(2, '0')}`,
+        cases: countCases(groups),
+        amount: sumConverted(groups),
+        won,
+        lost,
+        accepted: countStatus(groups, 'ACCEPTED'),
+        recovered,
+        fees,
+        netRecovery: Math.round((recovered - fees) * 100) / 100,
+        writtenOff: sumWrittenOff(groups),
+        winRate: winRateOf(won, lost)
+      });
     }
 
-    // Populate with actual data
-    cases.forEach(c => {
-      const key = `${c.createdAt.getFullYear()}-${String(c.createdAt.getMonth() + 1).padStart(2, '0')}`;
-      if (monthlyData[key]) {
-        monthlyData[key].cases++;
-        monthlyData[key].amount += Number(c.amount);
-        if (c.status === 'WON') {
-          monthlyData[key].won++;
-          monthlyData[key].recovered += Number(c.amount);
-        }
-        if (c.status === 'LOST') {
-          monthlyData[key].lost++;
-        }
-      }
-    });
-
-    // Convert to array and sort
-    const monthlyArray = Object.values(monthlyData)
-      .sort((a, b) => a.month.localeCompare(b.month))
-      .map(m => ({
-        ...m,
-        winRate: (m.won + m.lost) > 0 ? Math.round((m.won / (m.won + m.lost)) * 100) : 0
-      }));
+    const period = { ...where, createdAt: { gte: startDate, lte: endDate } };
+    const [cases, fees] = await Promise.all([
+      sumCaseAmounts(period),
+      sumCaseFees(period, currency, converter)
+    ]);
+    await convertCaseAmounts(cases, currency, converter);
 
     res.json({
-      monthly: monthlyArray,
+      currency,
+      monthly,
       totals: {
-        cases: cases.length,
-        amount: cases.reduce((sum, c) => sum + Number(c.amount), 0),
-        won: cases.filter(c => c.status === 'WON').length,
-        lost: cases.filter(c => c.status === 'LOST').length
+        cases: countCases(cases),
+        amount: sumConverted(cases),
+        won: countStatus(cases, 'WON'),
+        lost: countStatus(cases, 'LOST'),
+        accepted: countStatus(cases, 'ACCEPTED'),
+        netRecovery: Math.round((sumRecovered(cases) - fees) * 100) / 100,
+        unconvertedCases: countUnconverted(cases)
       }
     });
 
@@ -274,50 +316,46 @@ router.get('/processors', async (req, res) => {
   try {
     const where = req.propertyFilter;
 
-    const processorStats = await prisma.chargeback.groupBy({
-      by: ['providerId'],
-      where,
-      _count: true,
-      _sum: { amount: true }
-    });
+    const currency = await reportingCurrencyFor(req);
+
+    const converter = createConverter();
+    const cases = await sumCaseAmounts(where, ['providerId']);
+    await convertCaseAmounts(cases, currency, converter);
 
-    // Get provider names and add win rates
+    const byProvider = groupBy(cases, c => c.providerId);
+
+    // Get provider names
     const providers = await prisma.provider.findMany({
       where: {
-        id: { in: processorStats.map(p => p.providerId) }
+        id: { in: [...byProvider.keys()] }
       },
       select: { id: true, name: true }
     });
 
-    // Get win/loss by provider
-    const resolutions = await prisma.chargeback.groupBy({
-      by: ['providerId', 'status'],
-      where: {
-        ...where,
-        status: { in: ['WON', 'LOST'] }
-      },
-      _count: true
-    });
-
     // Build result
-    const result = processorStats.map(stat => {
-      const provider = providers.find(p => p.id === stat.providerId);
-      const won = resolutions.find(r => r.providerId === stat.providerId && r.status === 'WON')?._count || 0;
-      const lost = resolutions.find(r => r.providerId === stat.providerId && r.status === 'LOST')?._count || 0;
-      const resolved = won + lost;
-
-      return {
-        providerId: stat.providerId,
+    const result = [];
+    for (const [providerId, rows] of byProvider) {
+      const provider = providers.find(p => p.id === providerId);
+      const won = countStatus(rows, 'WON');
+      const lost = countStatus(rows, 'LOST');
+      const fees = await sumCaseFees({ ...where, providerId }, currency, converter);
+
+      result.push({
+        providerId,
         providerName: provider?.name || 'Unknown',
-        totalCases: stat._count,
-        totalAmount: Number(stat._sum.amount || 0),
+        totalCases: countCases(rows),
+        totalAmount: sumConverted(rows),
+        netRecovery: Math.round((sumRecovered(rows) - fees) * 100) / 100,
         won,
         lost,
-        winRate: resolved > 0 ? Math.round((won / resolved) * 100) : 0
-      };
-    });
+        winRate: winRateOf(won, lost),
+        netRecoveryRate: netRecoveryRateOf(rows, fees)
+      });
+    }
 
     res.json({
+      currency,
+      unconvertedCases: countUnconverted(cases),
       processors: result.sort((a, b) => b.totalCases - a.totalCases)
     });
 
@@ -338,41 +376,40 @@ router.get('/reason-codes', async (req, res) => {
   try {
     const where = req.propertyFilter;
 
-    const reasonCodeStats = await prisma.chargeback.groupBy({
-      by: ['reasonCode', 'reasonDescription'],
-      where,
-      _count: true,
-      _sum: { amount: true }
-    });
+    const currency = await reportingCurrencyFor(req);
 
-    // Get win/loss by reason code
-    const resolutions = await prisma.chargeback.groupBy({
-      by: ['reasonCode', 'status'],
-      where: {
-        ...where,
-        status: { in: ['WON', 'LOST'] }
-      },
-      _count: true
-    });
+    const converter = createConverter();
+    const cases = await sumCaseAmounts(where, ['reasonCode', 'reasonDescription']);
+    await convertCaseAmounts(cases, currency, converter);
 
-    // Build result
-    const result = reasonCodeStats.map(stat => {
-      const won = resolutions.find(r => r.reasonCode === stat.reasonCode && r.status === 'WON')?._count || 0;
-      const lost = resolutions.find(r => r.reasonCode === stat.reasonCode && r.status === 'LOST')?._count || 0;
-      const resolved = won + lost;
+    // Win/loss is counted per reason code, across descriptions
+    const byReasonCode = groupBy(cases, c => c.reasonCode);
+    const byDescription = groupBy(cases, c => `${c.reasonCode}|${c.reasonDescription ?? ''}`);
 
-      return {
-        reasonCode: stat.reasonCode,
-        description: stat.reasonDescription || 'Unknown',
-        totalCases: stat._count,
-        totalAmount: Number(stat._sum.amount || 0),
+    // Build result
+    const result = [];
+    for (const rows of byDescription.values()) {
+      const { reasonCode, reasonDescription } = rows[0];
+      const codeRows = byReasonCode.get(reasonCode);
+      const won = countStatus(codeRows, 'WON');
+      const lost = countStatus(codeRows, 'LOST');
+      const fees = await sumCaseFees({ ...where, reasonCode, reasonDescription }, currency, converter);
+
+      result.push({
+        reasonCode,
+        description: reasonDescription || 'Unknown',
+        totalCases: countCases(rows),
+        totalAmount: sumConverted(rows),
+        netRecovery: Math.round((sumRecovered(rows) - fees) * 100) / 100,
         won,
         lost,
-        winRate: resolved > 0 ? Math.round((won / resolved) * 100) : 0
-      };
-    });
+        winRate: winRateOf(won, lost)
+      });
+    }
 
     res.json({
+      currency,
+      unconvertedCases: countUnconverted(cases),
       reasonCodes: result.sort((a, b) => b.totalCases - a.totalCases)
     });
 
@@ -399,52 +436,61 @@ router.get('/properties', async (req, res) => {
       });
     }
 
-    const propertyStats = await prisma.chargeback.groupBy({
-      by: ['propertyId'],
-      _count: true,
-      _sum: { amount: true }
-    });
+    const currency = await reportingCurrencyFor(req);
+
+    const where = req.propertyFilter;
+    const converter = createConverter();
+    const cases = await sumCaseAmounts(where, ['propertyId']);
+    await convertCaseAmounts(cases, currency, converter);
+
+    const byProperty = groupBy(cases, c => c.propertyId);
 
     // Get property names
     const properties = await prisma.property.findMany({
       where: {
-        id: { in: propertyStats.map(p => p.propertyId) }
+        id: { in: [...byProperty.keys()] }
       },
-      select: { id: true, name: true, city: true, state: true }
+      select: { id: true, name: true, city: true, state: true, currency: true }
     });
 
-    // Get win/loss by property
-    const resolutions = await prisma.chargeback.groupBy({
-      by: ['propertyId', 'status'],
-      where: {
-        status: { in: ['WON', 'LOST'] }
-      },
-      _count: true,
-      _sum: { amount: true }
-    });
-
-    // Build result
-    const result = propertyStats.map(stat => {
-      const property = properties.find(p => p.id === stat.propertyId);
-      const won = resolutions.find(r => r.propertyId === stat.propertyId && r.status === 'WON')?._count || 0;
-      const lost = resolutions.find(r => r.propertyId === stat.propertyId && r.status === 'LOST')?._count || 0;
-      const recoveredAmount = resolutions.find(r => r.propertyId === stat.propertyId && r.status === 'WON')?._sum.amount || 0;
-      const resolved = won + lost;
+    // Build result: portfolio currency totals, plus each property's own currency
+    const result = [];
+    for (const [propertyId, rows] of byProperty) {
+      const property = properties.find(p => p.id === propertyId);
+      const won = countStatus(rows, 'WON');
+      const lost = countStatus(rows, 'LOST');
+      const fees = await sumCaseFees({ ...where, propertyId }, currency, converter);
+      const recoveredAmount = sumRecovered(rows);
+
+      let localTotalAmount = null;
+      let localRecoveredAmount = null;
+      if (property) {
+        const local = await Promise.all(rows.map(r => converter.caseAmount(r, property.currency)));
+        localTotalAmount = Math.round(local.reduce((sum, amount) => sum + (amount || 0), 0) * 100) / 100;
+        localRecoveredAmount = Math.round(local.reduce((sum, amount, i) =>
+          sum + (amount || 0) * recoveredShare(rows[i]), 0) * 100) / 100;
+      }
 
-      return {
-        propertyId: stat.propertyId,
+      result.push({
+        propertyId,
         propertyName: property?.name || 'Unknown',
         location: property ? `${property.city}, ${property.state}` : '',
-        totalCases: stat._count,
-        totalAmount: Number(stat._sum.amount || 0),
-        recoveredAmount: Number(recoveredAmount),
+        propertyCurrency: property?.currency || null,
+        totalCases: countCases(rows),
+        totalAmount: sumConverted(rows),
+        recoveredAmount,
+        netRecovery: Math.round((recoveredAmount - fees) * 100) / 100,
+        localTotalAmount,
+        localRecoveredAmount,
+        unconvertedCases: countUnconverted(rows),
         won,
         lost,
-        winRate: resolved > 0 ? Math.round((won / resolved) * 100) : 0
-      };
-    });
+        winRate: winRateOf(won, lost)
+      });
+    }
 
     res.json({
+      currency,
       properties: result.sort((a, b) => b.totalCases - a.totalCases)
     });
 
@@ -457,6 +503,189 @@ router.get('/properties', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/outcomes
+ * Resolved cases split into full wins, partial wins, losses and accepted
+ * liability, and by whether the whole transaction or only part of it was
+ * disputed. Accepted cases are left out of the win rate.
+ */
+router.get('/outcomes', async (req, res) => {
+  try {
+    const { months = 12 } = req.query;
+    const where = req.propertyFilter;
+    const currency = await reportingCurrencyFor(req);
+
+    const startDate = new Date();
+    startDate.setMonth(startDate.getMonth() - parseInt(months));
+
+    const cases = await prisma.chargeback.findMany({
+      where: {
+        ...where,
+        status: { in: ['WON', 'LOST', 'ACCEPTED'] },
+        resolvedAt: { gte: startDate }
+      },
+      select: {
+        status: true,
+        transactionAmount: true,
+        acceptanceReason: true,
+        ...REPORTING_SELECT,
+        outcome: { select: { chargebackFee: true, arbitrationFee: true, winFactors: true, denialFactors: true } }
+      }
+    });
+    await convertCaseAmounts(cases, currency);
+
+    const outcomeOf = c => {
+      if (c.status === 'LOST') return 'lost';
+      if (c.status === 'ACCEPTED') return 'accepted';
+      return recoveredShare(c) < 1 ? 'partialWins' : 'fullWins';
+    };
+    const summarize = rows => {
+      const byOutcome = groupBy(rows, outcomeOf);
+      const bucket = key => {
+        const outcomeRows = byOutcome.get(key) || [];
+        return {
+          count: outcomeRows.length,
+          disputedAmount: sumConverted(outcomeRows),
+          recoveredAmount: sumRecovered(outcomeRows),
+          feesAmount: sumFees(outcomeRows)
+        };
+      };
+      const disputedAmount = sumConverted(rows);
+      const recoveredAmount = sumRecovered(rows);
+      return {
+        resolved: rows.length,
+        fullWins: bucket('fullWins'),
+        partialWins: bucket('partialWins'),
+        lost: bucket('lost'),
+        accepted: { ...bucket('accepted'), writtenOffAmount: sumWrittenOff(byOutcome.get('accepted') || []) },
+        winRate: winRateOf(
+          (byOutcome.get('fullWins')?.length || 0) + (byOutcome.get('partialWins')?.length || 0),
+          byOutcome.get('lost')?.length || 0
+        ),
+        disputedAmount,
+        recoveredAmount,
+        recoveryRate: disputedAmount > 0 ? Math.round((recoveredAmount / disputedAmount) * 100) : 0,
+        feesAmount: sumFees(rows),
+        netRecovery: sumNetRecovery(rows),
+        netRecoveryRate: netRecoveryRateOf(rows)
+      };
+    };
+
+    // How often each factor was tagged on won or lost cases
+    const factorBreakdown = (status, field, taxonomy) => {
+      const rows = cases.filter(c => c.status === status && c.outcome);
+      return Object.entries(taxonomy)
+        .map(([factor, label]) => {
+          const tagged = rows.filter(c => c.outcome[field].includes(factor));
+          return { factor, label, count: tagged.length, amount: sumConverted(tagged) };
+        })
+        .filter(f => f.count > 0)
+        .sort((a, b) => b.count - a.count);
+    };
+
+    // A partial dispute covers less than the full transaction
+    const isPartialDispute = c => c.transactionAmount !== null && Number(c.amount) < Number(c.transactionAmount);
+
+    res.json({
+      currency,
+      months: parseInt(months),
+      unconvertedCases: countUnconverted(cases),
+      ...summarize(cases),
+      acceptedByReason: [...groupBy(cases.filter(c => c.status === 'ACCEPTED'), c => c.acceptanceReason)]
+        .map(([reason, rows]) => ({
+          reason,
+          label: ACCEPTANCE_REASONS[reason] || 'Not recorded',
+          count: rows.length,
+          writtenOffAmount: sumWrittenOff(rows)
+        }))
+        .sort((a, b) => b.count - a.count),
+      byScope: {
+        fullDisputes: summarize(cases.filter(c => !isPartialDispute(c))),
+        partialDisputes: summarize(cases.filter(isPartialDispute))
+      },
+      winFactors: factorBreakdown('WON', 'winFactors', WIN_FACTORS),
+      denialFactors: factorBreakdown('LOST', 'denialFactors', DENIAL_FACTORS)
+    });
+
+  } catch (error) {
+    logger.error('Outcome analytics error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve outcome analytics'
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/alerts
+ * Ethoca/Verifi alerts received, split into those deflected (refunded with
+ * no chargeback following) and those that became chargebacks anyway
+ */
+router.get('/alerts', async (req, res) => {
+  try {
+    const { months = 12 } = req.query;
+    const where = req.propertyFilter;
+    const currency = await reportingCurrencyFor(req);
+
+    const startDate = new Date();
+    startDate.setMonth(startDate.getMonth() - parseInt(months));
+
+    const alerts = await prisma.disputeAlert.findMany({
+      where: { ...where, receivedAt: { gte: startDate } },
+      select: {
+        network: true, status: true, decisionSource: true, chargebackId: true,
+        amount: true, currency: true, receivedAt: true
+      }
+    });
+    // Alerts are converted at the rate on the day they were received
+    const rows = alerts.map(a => ({ ...a, disputeDate: a.receivedAt }));
+    await convertCaseAmounts(rows, currency);
+
+    const summarize = group => {
+      const deflected = group.filter(a => a.status === 'REFUNDED' && !a.chargebackId);
+      const becameChargebacks = group.filter(a => a.chargebackId);
+      const bucket = subset => ({ count: subset.length, amount: sumConverted(subset) });
+      return {
+        received: group.length,
+        autoDecided: group.filter(a => a.decisionSource === 'rules').length,
+        pending: bucket(group.filter(a => a.status === 'NEW' || a.status === 'RESPONDING')),
+        refunded: bucket(group.filter(a => a.status === 'REFUNDED')),
+        declined: bucket(group.filter(a => a.status === 'DECLINED')),
+        expired: bucket(group.filter(a => a.status === 'EXPIRED')),
+        deflected: bucket(deflected),
+        becameChargebacks: {
+          ...bucket(becameChargebacks),
+          afterRefund: becameChargebacks.filter(a => a.status === 'REFUNDED').length,
+          afterDecline: becameChargebacks.filter(a => a.status === 'DECLINED').length,
+          afterExpiry: becameChargebacks.filter(a => a.status === 'EXPIRED').length
+        },
+        deflectionRate: (deflected.length + becameChargebacks.length) > 0
+          ? Math.round((deflected.length / (deflected.length + becameChargebacks.length)) * 100)
+          : 0
+      };
+    };
+
+    res.json({
+      currency,
+      months: parseInt(months),
+      unconvertedAlerts: countUnconverted(rows),
+      ...summarize(rows),
+      byNetwork: [...groupBy(rows, a => a.network)].map(([network, group]) => ({
+        network,
+        label: ALERT_NETWORKS[network]?.label || network,
+        ...summarize(group)
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Alert analytics error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve alert analytics'
+    });
+  }
+});
+
 /**
  * GET /api/analytics/ai-performance
  * Get AI recommendation accuracy metrics
@@ -8,7 +8,12 @@ const multer = require('multer');
 const { prisma } = require('../config/database');
 const { authenticateToken, requireRole, requirePropertyAccess } = require('../middleware/auth');
 const { uploadFile, generateS3Key, getPresignedDownloadUrl, deleteFile } = require('../config/s3');
+const storage = require('../config/storage');
 const { uploadEvidenceSchema, EvidenceType } = require('../utils/validators');
+const { compileDossier } = require('../services/evidenceDossier');
+const { getCurrentStage } = require('../services/disputeStages');
+const { notifyCaseFollowers } = require('../services/caseAssignment');
+const { recordChanges, userActor } = require('../services/changeHistory');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -155,10 +160,13 @@ async function handleEvidenceUpload(req, res) {
     const s3Key = generateS3Key(req.params.chargebackId, type, req.file.originalname);
     await uploadFile(req.file.buffer, s3Key, req.file.mimetype);
 
+    const stage = await getCurrentStage(chargeback);
+
     // Create evidence record
     const evidence = await prisma.evidence.create({
       data: {
         chargebackId: req.params.chargebackId,
+        stageId: stage.id,
         type,
         fileName: req.file.originalname,
         s3Key,
@@ -183,6 +191,13 @@ async function handleEvidenceUpload(req, res) {
       }
     });
 
+    await notifyCaseFollowers(chargeback, {
+      actorId: req.user.id,
+      title: `New evidence: ${chargeback.caseNumber}`,
+      message: `${req.file.originalname} was uploaded as ${type.replace(/_/g, ' ').toLowerCase()} evidence`,
+      metadata: { evidenceId: evidence.id }
+    });
+
     // Generate download URL
     const downloadUrl = await getPresignedDownloadUrl(s3Key);
 
@@ -265,6 +280,8 @@ router.post('/upload-multiple/:chargebackId', requireRole('ADMIN', 'MANAGER', 'S
       });
     }
 
+    const stage = await getCurrentStage(chargeback);
+
     // Upload all files
     const uploadResults = await Promise.all(
       req.files.map(async (file, index) => {
@@ -277,6 +294,7 @@ router.post('/upload-multiple/:chargebackId', requireRole('ADMIN', 'MANAGER', 'S
           const evidence = await prisma.evidence.create({
             data: {
               chargebackId: req.params.chargebackId,
+              stageId: stage.id,
               type,
               fileName: file.originalname,
               s3Key,
@@ -304,6 +322,15 @@ router.post('/upload-multiple/:chargebackId', requireRole('ADMIN', 'MANAGER', 'S
       }
     });
 
+    if (successCount > 0) {
+      await notifyCaseFollowers(chargeback, {
+        actorId: req.user.id,
+        title: `New evidence: ${chargeback.caseNumber}`,
+        message: `${successCount} evidence file(s) were uploaded`,
+        metadata: { evidenceIds: uploadResults.filter(r => r.success).map(r => r.evidence.id) }
+      });
+    }
+
     logger.info(`Batch upload: ${successCount}/${req.files.length} files for case ${chargeback.caseNumber}`);
 
     res.status(201).json({
@@ -320,6 +347,104 @@ router.post('/upload-multiple/:chargebackId', requireRole('ADMIN', 'MANAGER', 'S
   }
 });
 
+/**
+ * POST /api/evidence/case/:chargebackId/dossier
+ * Compile all evidence into a single indexed PDF dossier
+ */
+router.post('/case/:chargebackId/dossier', requireRole('ADMIN', 'MANAGER', 'STAFF'), async (req, res) => {
+  try {
+    const chargeback = await prisma.chargeback.findFirst({
+      where: {
+        id: req.params.chargebackId,
+        ...req.propertyFilter
+      }
+    });
+
+    if (!chargeback) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chargeback not found'
+      });
+    }
+
+    const result = await compileDossier(chargeback.id, {
+      userName: `${req.user.firstName} ${req.user.lastName}`,
+      coverNote: req.body?.coverNote
+    });
+
+    logger.info(`Dossier compiled for case ${chargeback.caseNumber} by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Evidence dossier compiled successfully',
+      evidence: result.evidence,
+      pageCount: result.pageCount,
+      index: result.index
+    });
+
+  } catch (error) {
+    logger.error('Compile dossier error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to compile evidence dossier'
+    });
+  }
+});
+
+/**
+ * GET /api/evidence/:id/file
+ * Stream a stored evidence file (dossiers are written via config/storage)
+ */
+router.get('/:id/file', async (req, res) => {
+  try {
+    const evidence = await prisma.evidence.findUnique({
+      where: { id: req.params.id, chargeback: { deletedAt: null } },
+      include: {
+        chargeback: {
+          select: { propertyId: true }
+        }
+      }
+    });
+
+    if (!evidence) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Evidence not found'
+      });
+    }
+
+    // Verify property access
+    if (req.user.role !== 'ADMIN' && evidence.chargeback.propertyId !== req.user.propertyId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Access denied'
+      });
+    }
+
+    // For S3, redirect to presigned URL
+    if (storage.getStorageInfo().type === 's3') {
+      return res.redirect(await storage.getPresignedDownloadUrl(evidence.s3Key));
+    }
+
+    const fileStream = await storage.getFileStream(evidence.s3Key);
+    fileStream.on('error', (streamError) => {
+      logger.error(`Evidence file stream error for ${evidence.id}:`, streamError.message);
+      if (!res.headersSent) {
+        res.status(404).json({ error: 'Not Found', message: 'Evidence file not found in storage' });
+      }
+    });
+    res.setHeader('Content-Type', evidence.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${evidence.fileName}"`);
+    fileStream.pipe(res);
+
+  } catch (error) {
+    logger.error('Stream evidence file error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to download evidence file'
+    });
+  }
+});
+
 /**
  * GET /api/evidence/:id/download
  * Get presigned download URL for evidence
@@ -327,7 +452,7 @@ router.post('/upload-multiple/:chargebackId', requireRole('ADMIN', 'MANAGER', 'S
 router.get('/:id/download', async (req, res) => {
   try {
     const evidence = await prisma.evidence.findUnique({
-      where: { id: req.params.id },
+      where: { id: req.params.id, chargeback: { deletedAt: null } },
       include: {
         chargeback: {
           select: { propertyId: true }
@@ -375,7 +500,7 @@ router.get('/:id/download', async (req, res) => {
 router.patch('/:id/verify', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
   try {
     const evidence = await prisma.evidence.findUnique({
-      where: { id: req.params.id },
+      where: { id: req.params.id, chargeback: { deletedAt: null } },
       include: {
         chargeback: {
           select: { id: true, propertyId: true, caseNumber: true }
@@ -405,6 +530,13 @@ router.patch('/:id/verify', requireRole('ADMIN', 'MANAGER'), async (req, res) =>
         verifiedAt: new Date()
       }
     });
+    await recordChanges({
+      entityType: 'Evidence',
+      before: evidence,
+      after: updated,
+      actor: userActor(req.user, req.ip),
+      source: 'evidence verification'
+    });
 
     // Create timeline event
     await prisma.timelineEvent.create({
@@ -439,7 +571,7 @@ router.patch('/:id/verify', requireRole('ADMIN', 'MANAGER'), async (req, res) =>
 router.delete('/:id', requireRole('ADMIN', 'MANAGER'), async (req, res) => {
   try {
     const evidence = await prisma.evidence.findUnique({
-      where: { id: req.params.id },
+      where: { id: req.params.id, chargeback: { deletedAt: null } },
       include: {
         chargeback: {
           select: { id: true, propertyId: true, caseNumber: true }
@@ -0,0 +1,103 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Issuer Inquiry Routes
+ *
+ * Lookup endpoint called by Verifi Order Insight and Ethoca Consumer
+ * Clarity when an issuer asks about a charge. Requests are signed with the
+ * network integration's webhook secret rather than a user token.
+ */
+
+const express = require('express');
+const { prisma } = require('../config/database');
+const { createDisputeAdapter } = require('../services/disputes/DisputeAdapterFactory');
+const { toPortalType } = require('../services/disputeSubmission');
+const { getInquiryFormat, answerInquiry, logRejectedInquiry } = require('../services/issuerInquiry');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Find the network integration whose webhook secret signed the request
+ */
+async function authenticateNetwork(network, rawBody, signature) {
+  if (!signature) return null;
+
+  const integrations = await prisma.integration.findMany({
+    where: { status: 'active' },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  for (const integration of integrations) {
+    if (toPortalType(integration.type) !== network || !integration.webhookSecret) continue;
+
+    const adapter = createDisputeAdapter(network, {
+      baseUrl: integration.config?.baseUrl,
+      credentials: integration.credentials,
+      integrationId: integration.id
+    });
+    if (adapter && adapter.verifyWebhookSignature(rawBody, signature, integration.webhookSecret)) {
+      return integration;
+    }
+  }
+  return null;
+}
+
+/**
+ * POST /api/inquiries/:network
+ * Answer an issuer lookup with the matching stay, in the network's format
+ */
+router.post('/:network', async (req, res) => {
+  const network = req.params.network.toUpperCase();
+
+  try {
+    if (!getInquiryFormat(network)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Inquiries are not supported for ${req.params.network}`
+      });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf-8') : JSON.stringify(req.body || {});
+    const signature = req.headers['x-signature'] || req.headers['x-webhook-signature'];
+
+    const integration = await authenticateNetwork(network, rawBody, signature);
+    if (!integration) {
+      await logRejectedInquiry(network, 'unauthorized', { ipAddress: req.ip });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing or invalid request signature'
+      });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (parseError) {
+      await logRejectedInquiry(network, 'invalid_request', { ipAddress: req.ip });
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Request body must be JSON'
+      });
+    }
+
+    const result = await answerInquiry(network, body, { integration, ipAddress: req.ip });
+
+    if (result.outcome === 'invalid_request') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'A transaction ID, or the card last four with the amount or transaction date, is required'
+      });
+    }
+
+    res.json(result.response);
+
+  } catch (error) {
+    logger.error(`${network} issuer inquiry error:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to answer inquiry'
+    });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,8 @@ const router = express.Router();
 const { prisma } = require('../config/database');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { refreshCE3Eligibility } = require('../services/visaCE3');
+const { recordChanges, userActor } = require('../services/changeHistory');
 
 // Lazy-load reservationMatcher to avoid startup failures in demo mode
 let reservationMatcher;
@@ -419,10 +421,11 @@ router.get('/', async (req, res) => {
       if (checkOutTo) where.checkOutDate.lte = new Date(checkOutTo);
     }
 
+    // Cases in the recycle bin do not count as links
     if (linked === 'true') {
-      where.chargebacks = { some: {} };
+      where.chargebacks = { some: { deletedAt: null } };
     } else if (linked === 'false') {
-      where.chargebacks = { none: {} };
+      where.chargebacks = { none: { deletedAt: null } };
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -433,7 +436,7 @@ router.get('/', async (req, res) => {
         include: {
           property: { select: { id: true, name: true } },
           guestProfile: { select: { id: true, isFlagged: true, chargebackCount: true } },
-          chargebacks: { select: { id: true, caseNumber: true, status: true, amount: true } },
+          chargebacks: { where: { deletedAt: null }, select: { id: true, caseNumber: true, status: true, amount: true } },
           _count: { select: { folioItems: true } }
         },
         skip,
@@ -509,7 +512,7 @@ router.get('/stats/summary', async (req, res) => {
 
     const [total, linked, flaggedGuests, bySource, byStatus] = await Promise.all([
       prisma.reservation.count({ where }),
-      prisma.reservation.count({ where: { ...where, chargebacks: { some: {} } } }),
+      prisma.reservation.count({ where: { ...where, chargebacks: { some: { deletedAt: null } } } }),
       prisma.guestProfile.count({ where: { isFlagged: true } }),
       prisma.reservation.groupBy({
         by: ['syncSource'],
@@ -596,7 +599,7 @@ router.get('/search/live', async (req, res) => {
       include: {
         property: { select: { id: true, name: true } },
         guestProfile: { select: { isFlagged: true, chargebackCount: true } },
-        chargebacks: { select: { id: true, caseNumber: true, status: true } },
+        chargebacks: { where: { deletedAt: null }, select: { id: true, caseNumber: true, status: true } },
         _count: { select: { folioItems: true } }
       },
       take: 20,
@@ -642,10 +645,16 @@ router.get('/:id', async (req, res) => {
           orderBy: { postDate: 'asc' }
         },
         chargebacks: {
+          where: { deletedAt: null },
           include: {
             evidence: { select: { id: true, type: true, fileName: true } },
             _count: { select: { evidence: true, timeline: true } }
           }
+        },
+        issuerInquiries: {
+          select: { id: true, network: true, outcome: true, disclosedFields: true, createdAt: true },
+          orderBy: { createdAt: 'desc' },
+          take: 20
         }
       }
     });
@@ -793,6 +802,13 @@ router.post('/:id/link-chargeback', requireRole('ADMIN', 'MANAGER'), async (req,
 
     // Link them
     const updated = await reservationMatcher.linkChargebackToReservation(chargebackId, req.params.id);
+    await recordChanges({
+      entityType: 'Chargeback',
+      before: chargeback,
+      after: updated,
+      actor: userActor(req.user, req.ip),
+      source: 'reservation link'
+    });
 
     // Create timeline event
     await prisma.timelineEvent.create({
@@ -809,6 +825,13 @@ router.post('/:id/link-chargeback', requireRole('ADMIN', 'MANAGER'), async (req,
       }
     });
 
+    // The linked stay is what CE3.0 compares earlier stays against
+    try {
+      await refreshCE3Eligibility(updated);
+    } catch (ce3Error) {
+      logger.warn(`CE3.0 check failed for ${updated.caseNumber}: ${ce3Error.message}`);
+    }
+
     res.json({
       message: 'Chargeback linked to reservation',
       chargeback: updated,
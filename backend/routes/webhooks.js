@@ -5,8 +5,15 @@
 
 const express = require('express');
 const crypto = require('crypto');
-const { prisma } = require('../config/database');
+const { prisma, includeDeletedCases } = require('../config/database');
 const { analyzeChargeback } = require('../services/fraudDetection');
+const { calculateDeadline } = require('../services/deadlineEngine');
+const { autoAssign } = require('../services/caseAssignment');
+const {
+  computeFingerprint, findDuplicate, attachToCase, linkDuplicate, findCaseByDisputeId
+} = require('../services/duplicateDetection');
+const { computeCaseAmounts } = require('../services/currencyConversion');
+const { linkChargebackToAlert } = require('../services/disputeAlerts');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -22,10 +29,11 @@ async function generateCaseNumber() {
   const year = new Date().getFullYear();
   const prefix = `CB-${year}-`;
 
+  // Deleted cases keep their numbers
   const lastCase = await prisma.chargeback.findFirst({
-    where: {
+    where: includeDeletedCases({
       caseNumber: { startsWith: prefix }
-    },
+    }),
     orderBy: { caseNumber: 'desc' }
   });
 
@@ -152,63 +160,101 @@ router.post('/stripe', async (req, res) => {
       }
 
       if (event.type === 'charge.dispute.created') {
-        // Create new chargeback
-        const caseNumber = await generateCaseNumber();
-        const reason = mapStripeReason(dispute.reason);
-
-        const chargeback = await prisma.chargeback.create({
-          data: {
-            caseNumber,
-            status: 'PENDING',
-            guestName: dispute.evidence?.customer_name || 'Unknown Guest',
-            guestEmail: dispute.evidence?.customer_email_address,
-            amount: dispute.amount / 100, // Stripe uses cents
-            currency: dispute.currency.toUpperCase(),
-            transactionId: dispute.charge,
-            cardLastFour: dispute.evidence?.customer_purchase_ip ? null : null,
-            cardBrand: dispute.payment_method_details?.card?.brand,
+        // Attach to a matching case, or create a new chargeback
+        const intake = {
+          propertyId: property.id,
+          source: provider.name,
+          externalId: dispute.id,
+          transactionId: dispute.charge,
+          amount: dispute.amount / 100,
+          currency: dispute.currency.toUpperCase(),
+          // The balance transaction is the debit in the account's settlement currency
+          settlementAmount: dispute.balance_transactions?.[0]
+            ? Math.abs(dispute.balance_transactions[0].amount) / 100
+            : null,
+          settlementCurrency: dispute.balance_transactions?.[0]?.currency?.toUpperCase(),
+          disputeDate: new Date(dispute.created * 1000)
+        };
+        const duplicate = await findDuplicate(intake);
+
+        if (duplicate.action === 'skip') {
+          logger.info(`Dispute ${intake.externalId} belongs to deleted case ${duplicate.chargeback.caseNumber}, skipping`);
+        } else if (duplicate.action === 'attach') {
+          await attachToCase(duplicate.chargeback, intake, duplicate.matchedOn);
+        } else {
+          const caseNumber = await generateCaseNumber();
+          const reason = mapStripeReason(dispute.reason);
+          const deadline = await calculateDeadline({
+            propertyId: property.id,
             reasonCode: reason.code,
-            reasonDescription: reason.description,
-            disputeDate: new Date(dispute.created * 1000),
-            dueDate: dispute.evidence_details?.due_by
+            cardBrand: dispute.payment_method_details?.card?.brand,
+            providerName: provider.name,
+            startDate: new Date(dispute.created * 1000),
+            providedDueDate: dispute.evidence_details?.due_by
               ? new Date(dispute.evidence_details.due_by * 1000)
-              : null,
-            processorDisputeId: dispute.id,
-            checkInDate: new Date(), // Would come from PMS integration
-            checkOutDate: new Date(),
-            propertyId: property.id,
-            providerId: provider.id
-          }
-        });
+              : null
+          });
 
-        // Create timeline event
-        await prisma.timelineEvent.create({
-          data: {
-            chargebackId: chargeback.id,
-            eventType: 'ALERT',
-            title: 'Dispute Received',
-            description: `New ${reason.description} dispute from Stripe`,
-            metadata: {
+          const chargeback = await prisma.chargeback.create({
+            data: {
+              caseNumber,
+              status: 'PENDING',
+              guestName: dispute.evidence?.customer_name || 'Unknown Guest',
+              guestEmail: dispute.evidence?.customer_email_address,
+              amount: dispute.amount / 100, // Stripe uses cents
+              currency: dispute.currency.toUpperCase(),
+              transactionId: dispute.charge,
+              cardLastFour: dispute.evidence?.customer_purchase_ip ? null : null,
+              cardBrand: dispute.payment_method_details?.card?.brand,
+              reasonCode: reason.code,
+              reasonDescription: reason.description,
+              disputeDate: new Date(dispute.created * 1000),
+              dueDate: deadline.dueDate,
+              networkDueDate: deadline.networkDueDate,
               processorDisputeId: dispute.id,
-              amount: dispute.amount / 100
+              checkInDate: new Date(), // Would come from PMS integration
+              checkOutDate: new Date(),
+              propertyId: property.id,
+              providerId: provider.id,
+              fingerprint: computeFingerprint(intake),
+              ...(await computeCaseAmounts(intake, { propertyCurrency: property.currency }))
             }
+          });
+
+          await autoAssign(chargeback);
+          await linkChargebackToAlert(chargeback);
+
+          if (duplicate.action === 'link') {
+            await linkDuplicate(chargeback, duplicate.chargeback, duplicate.matchedOn);
           }
-        });
 
-        // Run AI analysis
-        try {
-          await analyzeChargeback(chargeback.id);
-        } catch (aiError) {
-          logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
-        }
+          // Create timeline event
+          await prisma.timelineEvent.create({
+            data: {
+              chargebackId: chargeback.id,
+              eventType: 'ALERT',
+              title: 'Dispute Received',
+              description: `New ${reason.description} dispute from Stripe`,
+              metadata: {
+                processorDisputeId: dispute.id,
+                amount: dispute.amount / 100
+              }
+            }
+          });
 
-        logger.info(`AccuDefend: Created case ${caseNumber} from Stripe dispute ${dispute.id}`);
+          // Run AI analysis
+          try {
+            await analyzeChargeback(chargeback.id);
+          } catch (aiError) {
+            logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
+          }
+
+          logger.info(`AccuDefend: Created case ${caseNumber} from Stripe dispute ${dispute.id}`);
+        }
 
       } else if (event.type === 'charge.dispute.updated') {
         // Update existing case
-        const existing = await prisma.chargeback.findFirst({
-          where: { processorDisputeId: dispute.id }
-        });
+        const existing = await findCaseByDisputeId(dispute.id);
 
         if (existing) {
           await prisma.timelineEvent.create({
@@ -224,9 +270,7 @@ router.post('/stripe', async (req, res) => {
 
       } else if (event.type === 'charge.dispute.closed') {
         // Close case with outcome
-        const existing = await prisma.chargeback.findFirst({
-          where: { processorDisputeId: dispute.id }
-        });
+        const existing = await findCaseByDisputeId(dispute.id);
 
         if (existing) {
           const status = dispute.status === 'won' ? 'WON' : 'LOST';
@@ -337,44 +381,83 @@ router.post('/adyen', async (req, res) => {
 
         if (!property) continue;
 
-        const caseNumber = await generateCaseNumber();
-
-        const chargeback = await prisma.chargeback.create({
-          data: {
-            caseNumber,
-            status: 'PENDING',
-            guestName: notification.additionalData?.shopperName || 'Unknown Guest',
-            guestEmail: notification.additionalData?.shopperEmail,
-            amount: notification.amount.value / 100,
-            currency: notification.amount.currency,
-            transactionId: notification.originalReference,
-            reasonCode: notification.reason || 'Unknown',
-            reasonDescription: notification.additionalData?.chargebackReasonCode,
-            disputeDate: new Date(),
-            processorDisputeId: notification.pspReference,
-            checkInDate: new Date(),
-            checkOutDate: new Date(),
+        const intake = {
+          propertyId: property.id,
+          source: provider.name,
+          externalId: notification.pspReference,
+          transactionId: notification.originalReference,
+          arn: notification.additionalData?.arn,
+          cardLastFour: notification.additionalData?.cardSummary,
+          amount: notification.amount.value / 100,
+          currency: notification.amount.currency,
+          disputeDate: new Date()
+        };
+        const duplicate = await findDuplicate(intake);
+
+        if (duplicate.action === 'skip') {
+          logger.info(`Dispute ${intake.externalId} belongs to deleted case ${duplicate.chargeback.caseNumber}, skipping`);
+        } else if (duplicate.action === 'attach') {
+          await attachToCase(duplicate.chargeback, intake, duplicate.matchedOn);
+        } else {
+          const caseNumber = await generateCaseNumber();
+          const deadline = await calculateDeadline({
             propertyId: property.id,
-            providerId: provider.id
+            reasonCode: notification.additionalData?.chargebackReasonCode,
+            cardBrand: notification.additionalData?.paymentMethod || notification.paymentMethod,
+            providerName: provider.name,
+            startDate: new Date()
+          });
+
+          const chargeback = await prisma.chargeback.create({
+            data: {
+              caseNumber,
+              status: 'PENDING',
+              guestName: notification.additionalData?.shopperName || 'Unknown Guest',
+              guestEmail: notification.additionalData?.shopperEmail,
+              amount: notification.amount.value / 100,
+              currency: notification.amount.currency,
+              transactionId: notification.originalReference,
+              reasonCode: notification.reason || 'Unknown',
+              reasonDescription: notification.additionalData?.chargebackReasonCode,
+              disputeDate: new Date(),
+              dueDate: deadline.dueDate,
+              networkDueDate: deadline.networkDueDate,
+              processorDisputeId: notification.pspReference,
+              checkInDate: new Date(),
+              checkOutDate: new Date(),
+              propertyId: property.id,
+              providerId: provider.id,
+              cardLastFour: intake.cardLastFour,
+              arn: intake.arn,
+              fingerprint: computeFingerprint(intake),
+              ...(await computeCaseAmounts(intake, { propertyCurrency: property.currency }))
+            }
+          });
+
+          await autoAssign(chargeback);
+          await linkChargebackToAlert(chargeback);
+
+          if (duplicate.action === 'link') {
+            await linkDuplicate(chargeback, duplicate.chargeback, duplicate.matchedOn);
           }
-        });
 
-        await prisma.timelineEvent.create({
-          data: {
-            chargebackId: chargeback.id,
-            eventType: 'ALERT',
-            title: 'Chargeback Received',
-            description: `New chargeback from Adyen: ${notification.reason}`
+          await prisma.timelineEvent.create({
+            data: {
+              chargebackId: chargeback.id,
+              eventType: 'ALERT',
+              title: 'Chargeback Received',
+              description: `New chargeback from Adyen: ${notification.reason}`
+            }
+          });
+
+          try {
+            await analyzeChargeback(chargeback.id);
+          } catch (aiError) {
+            logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
           }
-        });
 
-        try {
-          await analyzeChargeback(chargeback.id);
-        } catch (aiError) {
-          logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
+          logger.info(`AccuDefend: Created case ${caseNumber} from Adyen chargeback`);
         }
-
-        logger.info(`AccuDefend: Created case ${caseNumber} from Adyen chargeback`);
       }
     }
 
@@ -433,43 +516,83 @@ router.post('/shift4', async (req, res) => {
       });
 
       if (property) {
-        const caseNumber = await generateCaseNumber();
-
-        const chargeback = await prisma.chargeback.create({
-          data: {
-            caseNumber,
-            status: 'PENDING',
-            guestName: event.customerName || 'Unknown Guest',
-            amount: event.amount,
-            currency: event.currency || 'USD',
-            transactionId: event.transactionId,
-            reasonCode: event.reasonCode || 'Unknown',
-            reasonDescription: event.reason,
-            disputeDate: new Date(),
-            processorDisputeId: event.disputeId,
-            checkInDate: new Date(),
-            checkOutDate: new Date(),
+        const intake = {
+          propertyId: property.id,
+          source: provider.name,
+          externalId: event.disputeId,
+          transactionId: event.transactionId,
+          arn: event.arn,
+          cardLastFour: event.cardLastFour,
+          amount: event.amount,
+          currency: event.currency || 'USD',
+          disputeDate: new Date()
+        };
+        const duplicate = await findDuplicate(intake);
+
+        if (duplicate.action === 'skip') {
+          logger.info(`Dispute ${intake.externalId} belongs to deleted case ${duplicate.chargeback.caseNumber}, skipping`);
+        } else if (duplicate.action === 'attach') {
+          await attachToCase(duplicate.chargeback, intake, duplicate.matchedOn);
+        } else {
+          const caseNumber = await generateCaseNumber();
+          const deadline = await calculateDeadline({
             propertyId: property.id,
-            providerId: provider.id
+            reasonCode: event.reasonCode,
+            cardBrand: event.cardBrand || event.cardType,
+            providerName: provider.name,
+            startDate: new Date(),
+            providedDueDate: event.responseDeadline
+          });
+
+          const chargeback = await prisma.chargeback.create({
+            data: {
+              caseNumber,
+              status: 'PENDING',
+              guestName: event.customerName || 'Unknown Guest',
+              amount: event.amount,
+              currency: event.currency || 'USD',
+              transactionId: event.transactionId,
+              reasonCode: event.reasonCode || 'Unknown',
+              reasonDescription: event.reason,
+              disputeDate: new Date(),
+              dueDate: deadline.dueDate,
+              networkDueDate: deadline.networkDueDate,
+              processorDisputeId: event.disputeId,
+              checkInDate: new Date(),
+              checkOutDate: new Date(),
+              propertyId: property.id,
+              providerId: provider.id,
+              cardLastFour: intake.cardLastFour,
+              arn: intake.arn,
+              fingerprint: computeFingerprint(intake),
+              ...(await computeCaseAmounts(intake, { propertyCurrency: property.currency }))
+            }
+          });
+
+          await autoAssign(chargeback);
+          await linkChargebackToAlert(chargeback);
+
+          if (duplicate.action === 'link') {
+            await linkDuplicate(chargeback, duplicate.chargeback, duplicate.matchedOn);
           }
-        });
 
-        await prisma.timelineEvent.create({
-          data: {
-            chargebackId: chargeback.id,
-            eventType: 'ALERT',
-            title: 'Dispute Received',
-            description: `New dispute from Shift4`
+          await prisma.timelineEvent.create({
+            data: {
+              chargebackId: chargeback.id,
+              eventType: 'ALERT',
+              title: 'Dispute Received',
+              description: `New dispute from Shift4`
+            }
+          });
+
+          try {
+            await analyzeChargeback(chargeback.id);
+          } catch (aiError) {
+            logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
           }
-        });
 
-        try {
-          await analyzeChargeback(chargeback.id);
-        } catch (aiError) {
-          logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
+          logger.info(`AccuDefend: Created case ${caseNumber} from Shift4 dispute`);
         }
-
-        logger.info(`AccuDefend: Created case ${caseNumber} from Shift4 dispute`);
       }
     }
 
@@ -526,44 +649,84 @@ router.post('/elavon', async (req, res) => {
       });
 
       if (property) {
-        const caseNumber = await generateCaseNumber();
-
-        const chargeback = await prisma.chargeback.create({
-          data: {
-            caseNumber,
-            status: 'PENDING',
-            guestName: event.cardholderName || 'Unknown Guest',
-            amount: parseFloat(event.amount),
-            currency: 'USD',
-            transactionId: event.transactionId,
-            reasonCode: event.reasonCode || 'Unknown',
-            reasonDescription: event.reasonDescription,
-            disputeDate: new Date(event.disputeDate || Date.now()),
-            dueDate: event.responseDeadline ? new Date(event.responseDeadline) : null,
-            processorDisputeId: event.caseNumber,
-            checkInDate: new Date(),
-            checkOutDate: new Date(),
+        const intake = {
+          propertyId: property.id,
+          source: provider.name,
+          externalId: event.caseNumber,
+          transactionId: event.transactionId,
+          arn: event.arn || event.acquirerReferenceNumber,
+          cardLastFour: event.cardLastFour,
+          amount: parseFloat(event.amount),
+          currency: event.currency || 'USD',
+          disputeDate: new Date(event.disputeDate || Date.now())
+        };
+        const duplicate = await findDuplicate(intake);
+
+        if (duplicate.action === 'skip') {
+          logger.info(`Dispute ${intake.externalId} belongs to deleted case ${duplicate.chargeback.caseNumber}, skipping`);
+        } else if (duplicate.action === 'attach') {
+          await attachToCase(duplicate.chargeback, intake, duplicate.matchedOn);
+        } else {
+          const caseNumber = await generateCaseNumber();
+          const disputeDate = new Date(event.disputeDate || Date.now());
+          const deadline = await calculateDeadline({
             propertyId: property.id,
-            providerId: provider.id
+            reasonCode: event.reasonCode,
+            cardBrand: event.cardBrand || event.cardType,
+            providerName: provider.name,
+            startDate: disputeDate,
+            providedDueDate: event.responseDeadline
+          });
+
+          const chargeback = await prisma.chargeback.create({
+            data: {
+              caseNumber,
+              status: 'PENDING',
+              guestName: event.cardholderName || 'Unknown Guest',
+              amount: parseFloat(event.amount),
+              currency: intake.currency,
+              transactionId: event.transactionId,
+              reasonCode: event.reasonCode || 'Unknown',
+              reasonDescription: event.reasonDescription,
+              disputeDate,
+              dueDate: deadline.dueDate,
+              networkDueDate: deadline.networkDueDate,
+              processorDisputeId: event.caseNumber,
+              checkInDate: new Date(),
+              checkOutDate: new Date(),
+              propertyId: property.id,
+              providerId: provider.id,
+              cardLastFour: intake.cardLastFour,
+              arn: intake.arn,
+              fingerprint: computeFingerprint(intake),
+              ...(await computeCaseAmounts(intake, { propertyCurrency: property.currency }))
+            }
+          });
+
+          await autoAssign(chargeback);
+          await linkChargebackToAlert(chargeback);
+
+          if (duplicate.action === 'link') {
+            await linkDuplicate(chargeback, duplicate.chargeback, duplicate.matchedOn);
           }
-        });
 
-        await prisma.timelineEvent.create({
-          data: {
-            chargebackId: chargeback.id,
-            eventType: 'ALERT',
-            title: 'Dispute Received',
-            description: `New ${event.eventType} from Elavon`
+          await prisma.timelineEvent.create({
+            data: {
+              chargebackId: chargeback.id,
+              eventType: 'ALERT',
+              title: 'Dispute Received',
+              description: `New ${event.eventType} from Elavon`
+            }
+          });
+
+          try {
+            await analyzeChargeback(chargeback.id);
+          } catch (aiError) {
+            logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
           }
-        });
 
-        try {
-          await analyzeChargeback(chargeback.id);
-        } catch (aiError) {
-          logger.warn(`AI analysis failed for ${caseNumber}:`, aiError.message);
+          logger.info(`AccuDefend: Created case ${caseNumber} from Elavon dispute`);
         }
-
-        logger.info(`AccuDefend: Created case ${caseNumber} from Elavon dispute`);
       }
     }
 
@@ -622,7 +785,8 @@ async function handleDisputeCompanyWebhook(req, res, companyId) {
       await disputeWebhookHandlers[companyId.toLowerCase()](
         event,
         signature,
-        integration?.webhookSecret
+        integration?.webhookSecret,
+        integration
       );
     }
 
@@ -31,10 +31,15 @@ const notificationsRoutes = require('./routes/notifications');
 const disputesRoutes = require('./routes/disputes');
 const reservationsRoutes = require('./routes/reservations');
 const syncRoutes = require('./routes/sync');
+const alertsRoutes = require('./routes/alerts');
+const inquiriesRoutes = require('./routes/inquiries');
 
 // Queue manager for two-way sync
 const { initializeWorkers, shutdownWorkers } = require('./services/queue/queueManager');
 const { initializeScheduledSyncs } = require('./services/queue/scheduledSync');
+const { initializeDeadlineWatcher } = require('./services/queue/deadlineWatcher');
+const { initializeRecycleBinPurge } = require('./services/queue/recycleBinPurge');
+const { initializeWinRateCalibration } = require('./services/queue/winRateCalibration');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -63,8 +68,9 @@ app.use(morgan(process.env.LOG_FORMAT || 'combined', {
   stream: { write: (message) => logger.http(message.trim()) }
 }));
 
-// Body parsing (raw for webhooks, json for API)
+// Body parsing (raw for signed webhooks and issuer inquiries, json for API)
 app.use('/api/webhooks', express.raw({ type: 'application/json' }));
+app.use('/api/inquiries', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -159,6 +165,8 @@ app.use('/api/notifications', notificationsRoutes);
 app.use('/api/disputes', disputesRoutes);
 app.use('/api/reservations', reservationsRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/inquiries', inquiriesRoutes);
 
 // API documentation redirect
 app.get('/api', (req, res) => {
@@ -177,7 +185,9 @@ app.get('/api', (req, res) => {
       notifications: '/api/notifications',
       disputes: '/api/disputes',
       reservations: '/api/reservations',
-      sync: '/api/sync'
+      sync: '/api/sync',
+      alerts: '/api/alerts',
+      inquiries: '/api/inquiries'
     }
   });
 });
@@ -261,6 +271,15 @@ async function startServer() {
 
         await initializeScheduledSyncs();
         logger.info('Scheduled sync jobs configured');
+
+        await initializeDeadlineWatcher();
+        logger.info('Deadline watcher configured');
+
+        await initializeRecycleBinPurge();
+        logger.info('Recycle bin purge configured');
+
+        await initializeWinRateCalibration();
+        logger.info('Win rate calibration configured');
       } catch (workerError) {
         logger.warn('BullMQ workers not initialized (non-fatal):', workerError.message);
       }
@@ -0,0 +1,88 @@
+/**
+ * AI defense config versioning tests
+ */
+
+jest.mock('../../config/database', () => ({ prisma: {} }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { AIDefenseConfigService, DEFAULT_AI_CONFIG } = require('../aiDefenseConfig');
+
+// A config saved before the analytics settings existed
+const storedConfig = structuredClone(DEFAULT_AI_CONFIG);
+delete storedConfig.analytics;
+
+function setup(stored = { versionId: 'ver-3', version: 3, config: storedConfig }) {
+  const prisma = {
+    systemConfig: {
+      findUnique: jest.fn().mockResolvedValue({ key: 'ai_config_global', value: stored }),
+      upsert: jest.fn().mockResolvedValue({})
+    },
+    defenseConfigVersion: {
+      findFirst: jest.fn().mockResolvedValue({ version: 3 }),
+      findUnique: jest.fn(),
+      create: jest.fn(async ({ data }) => ({ id: `ver-${data.version}`, ...data }))
+    }
+  };
+  prisma.$transaction = jest.fn(async (callback) => callback(prisma));
+
+  return { prisma, service: new AIDefenseConfigService(prisma) };
+}
+
+describe('AIDefenseConfigService', () => {
+  it('serves the active version exactly as stored', async () => {
+    const { service } = setup();
+
+    const active = await service.getActiveConfig('global');
+
+    expect(active).toMatchObject({ scope: 'global', versionId: 'ver-3', version: 3, inherited: false });
+    expect(active.config).toEqual(storedConfig);
+  });
+
+  it('saves the full config, with missing settings from the defaults, as a new version', async () => {
+    const { prisma, service } = setup();
+
+    const saved = await service.updateConfig('global', { thresholds: { autoSubmit: 90 } }, { userId: 'user-1' });
+
+    const { data } = prisma.defenseConfigVersion.create.mock.calls[0][0];
+    expect(data).toMatchObject({ scope: 'global', version: 4, createdBy: 'user-1' });
+    expect(data.config.analytics).toEqual(DEFAULT_AI_CONFIG.analytics);
+    expect(data.config.thresholds).toEqual({ ...DEFAULT_AI_CONFIG.thresholds, autoSubmit: 90 });
+    expect(prisma.systemConfig.upsert.mock.calls[0][0].update.value).toEqual({ versionId: 'ver-4', version: 4, config: data.config });
+    expect(saved).toEqual({ scope: 'global', versionId: 'ver-4', version: 4, config: data.config });
+  });
+
+  it('rejects changes that make the config invalid', async () => {
+    const { prisma, service } = setup();
+
+    await expect(service.updateConfig('global', { thresholds: { autoSubmit: 150 } }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    expect(prisma.defenseConfigVersion.create).not.toHaveBeenCalled();
+  });
+
+  it('rolls back to an earlier version as a new one', async () => {
+    const { prisma, service } = setup();
+    prisma.defenseConfigVersion.findUnique.mockResolvedValue({ id: 'ver-1', version: 1, config: storedConfig });
+
+    const saved = await service.rollback('global', 1);
+
+    expect(prisma.defenseConfigVersion.create.mock.calls[0][0].data).toMatchObject({
+      version: 4,
+      rolledBackFrom: 1,
+      note: 'Rolled back to version 1',
+      config: { ...storedConfig, analytics: DEFAULT_AI_CONFIG.analytics }
+    });
+    expect(saved.version).toBe(4);
+  });
+
+  it('does not roll back to a version that is no longer valid', async () => {
+    const { prisma, service } = setup();
+    prisma.defenseConfigVersion.findUnique.mockResolvedValue({
+      id: 'ver-1',
+      version: 1,
+      config: { ...storedConfig, thresholds: { autoSubmit: 'high' } }
+    });
+
+    await expect(service.rollback('global', 1)).rejects.toMatchObject({ statusCode: 422 });
+    expect(prisma.defenseConfigVersion.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Case filter expression tests
+ */
+
+const { compileFilterExpression } = require('../caseFilterExpression');
+
+const now = new Date('2026-10-19T15:30:00Z');
+const compile = (expression, context = {}) => compileFilterExpression(expression, { now, ...context });
+
+function compileError(expression, context) {
+  try {
+    compile(expression, context);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected "${expression}" to fail`);
+}
+
+describe('compileFilterExpression', () => {
+  describe('comparisons', () => {
+    it('compiles the documented example', () => {
+      expect(compile('cardBrand = VISA AND reasonCode = "10.4" AND amount > 500 AND evidence != ID_SCAN')).toEqual({
+        AND: [
+          { cardBrand: { equals: 'VISA', mode: 'insensitive' } },
+          { reasonCode: { equals: '10.4', mode: 'insensitive' } },
+          { amount: { gt: 500 } },
+          { evidence: { none: { type: { in: ['ID_SCAN'] } } } }
+        ]
+      });
+    });
+
+    it('upper-cases enum and upper-case string fields', () => {
+      expect(compile('status = in_review')).toEqual({ status: { equals: 'IN_REVIEW' } });
+      expect(compile('brand = visa')).toEqual({ cardBrand: { equals: 'VISA', mode: 'insensitive' } });
+    });
+
+    it('compiles IN lists', () => {
+      expect(compile('status IN (PENDING, IN_REVIEW)')).toEqual({ status: { in: ['PENDING', 'IN_REVIEW'] } });
+      expect(compile('reason IN ("10.4", 13.1)')).toEqual({
+        reasonCode: { in: ['10.4', '13.1'], mode: 'insensitive' }
+      });
+    });
+
+    it('matches contains case-insensitively', () => {
+      expect(compile('guestName ~ smith')).toEqual({ guestName: { contains: 'smith', mode: 'insensitive' } });
+    });
+
+    it('compares nullable fields with null', () => {
+      expect(compile('dueDate = null')).toEqual({ dueDate: null });
+      expect(compile('guestEmail != null')).toEqual({ guestEmail: { not: null } });
+    });
+
+    it('nests reservation fields under the relation', () => {
+      expect(compile('reservation.adults >= 2')).toEqual({ reservation: { is: { adults: { gte: 2 } } } });
+    });
+
+    it('resolves "me" to the requesting user', () => {
+      expect(compile('assignee = me', { user: { id: 'user-1' } })).toEqual({ assigneeId: { equals: 'user-1' } });
+      expect(compileError('assignee = me').message).toMatch('"me" requires a signed-in user');
+    });
+  });
+
+  describe('boolean logic', () => {
+    it('binds AND tighter than OR', () => {
+      expect(compile('status = WON OR status = LOST AND amount > 100')).toEqual({
+        OR: [
+          { status: { equals: 'WON' } },
+          { AND: [{ status: { equals: 'LOST' } }, { amount: { gt: 100 } }] }
+        ]
+      });
+    });
+
+    it('honours parentheses and NOT', () => {
+      expect(compile('NOT (status = WON OR status = LOST)')).toEqual({
+        NOT: { OR: [{ status: { equals: 'WON' } }, { status: { equals: 'LOST' } }] }
+      });
+    });
+  });
+
+  describe('dates', () => {
+    it('covers the whole UTC day for a calendar date', () => {
+      expect(compile('dueDate = 2026-02-28')).toEqual({
+        dueDate: { gte: new Date('2026-02-28T00:00:00Z'), lt: new Date('2026-03-01T00:00:00Z') }
+      });
+      expect(compile('dueDate <= 2026-02-28')).toEqual({ dueDate: { lt: new Date('2026-03-01T00:00:00Z') } });
+      expect(compile('dueDate > 2026-02-28')).toEqual({ dueDate: { gte: new Date('2026-03-01T00:00:00Z') } });
+    });
+
+    it('negates a whole day as a range', () => {
+      expect(compile('dueDate != 2026-02-28')).toEqual({
+        NOT: { dueDate: { gte: new Date('2026-02-28T00:00:00Z'), lt: new Date('2026-03-01T00:00:00Z') } }
+      });
+    });
+
+    it('accepts leap days', () => {
+      expect(compile('dueDate = 2028-02-29').dueDate.gte).toEqual(new Date('2028-02-29T00:00:00Z'));
+    });
+
+    it('rejects dates that do not exist instead of rolling them over', () => {
+      for (const value of ['2026-02-30', '2026-02-29', '2026-04-31', '2026-13-01', '2026-00-10', '2026-02-30T10:00:00Z']) {
+        const error = compileError(`dueDate = ${value}`);
+        expect(error.statusCode).toBe(400);
+        expect(error.message).toBe(`"${value}" is not a valid date (at position 11)`);
+      }
+    });
+
+    it('compares instants exactly', () => {
+      expect(compile('createdAt >= 2026-10-01T08:00:00+02:00')).toEqual({
+        createdAt: { gte: new Date('2026-10-01T06:00:00Z') }
+      });
+      expect(compile('createdAt < now')).toEqual({ createdAt: { lt: now } });
+    });
+
+    it('resolves today and relative days from the current UTC day', () => {
+      expect(compile('dueDate >= today AND dueDate <= +7d')).toEqual({
+        AND: [
+          { dueDate: { gte: new Date('2026-10-19T00:00:00Z') } },
+          { dueDate: { lt: new Date('2026-10-27T00:00:00Z') } }
+        ]
+      });
+      expect(compile('disputeDate < -2w')).toEqual({ disputeDate: { lt: new Date('2026-10-05T00:00:00Z') } });
+    });
+  });
+
+  describe('errors', () => {
+    it.each([
+      ['', 'Filter expression is empty'],
+      ['colour = red', 'Unknown field "colour" (at position 1)'],
+      ['amount = lots', '"lots" is not a valid number for amount (at position 10)'],
+      ['status = OPEN', '"OPEN" is not a valid status; expected one of'],
+      ['status > PENDING', 'Operator ">" is not supported on status (at position 8)'],
+      ['amount > 5 AND', 'Expected a field name (at position 15)'],
+      ['(amount > 5', 'Expected ")" (at position 12)'],
+      ['guestName = "Smith', 'Unterminated string (at position 13)'],
+      ['amount > 5 amount', 'Unexpected input'],
+      ['disputeDate = null', 'disputeDate cannot be compared to null']
+    ])('rejects %p', (expression, message) => {
+      const error = compileError(expression);
+      expect(error.statusCode).toBe(400);
+      expect(error.message).toContain(message);
+    });
+
+    it('limits the number of conditions and nesting depth', () => {
+      const many = Array.from({ length: 51 }, () => 'amount > 1').join(' AND ');
+      expect(compileError(many).message).toMatch('Expressions are limited to 50 conditions');
+
+      const deep = `${'('.repeat(12)}amount > 1${')'.repeat(12)}`;
+      expect(compileError(deep).message).toMatch('nested more than 10 levels deep');
+    });
+
+    it('limits the expression length', () => {
+      expect(compileError(`guestName ~ "${'x'.repeat(2000)}"`).message).toBe('Filter expressions are limited to 2000 characters');
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Currency conversion tests
+ */
+
+jest.mock('../../config/database', () => ({ prisma: {} }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { prisma } = require('../../config/database');
+const {
+  createConverter, computeCaseAmounts, convertCaseAmounts, sumConverted, sumRecovered, sumWrittenOff,
+  countUnconverted, countCases, sumCaseAmounts, sumCaseFees, parseRatesCsv
+} = require('../currencyConversion');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+// Rate table keyed by "BASE/QUOTE", served the way createConverter queries it
+function useRates(table) {
+  prisma.exchangeRate = {
+    findMany: jest.fn(async ({ where }) =>
+      (table[`${where.baseCurrency}/${where.quoteCurrency}`] || []).map(([effectiveDate, rate]) => ({
+        effectiveDate: day(effectiveDate),
+        rate
+      })))
+  };
+}
+
+describe('createConverter', () => {
+  beforeEach(() => {
+    useRates({
+      'EUR/USD': [['2026-03-01', 1.08], ['2026-03-10', 1.1]],
+      'USD/GBP': [['2026-03-05', 0.8]],
+      'USD/JPY': [['2026-01-01', 150]]
+    });
+  });
+
+  it('uses the latest rate effective on or before the date', async () => {
+    const converter = createConverter();
+
+    await expect(converter.rateFor('EUR', 'USD', day('2026-03-09'))).resolves.toEqual({ rate: 1.08, effectiveDate: day('2026-03-01') });
+    await expect(converter.rateFor('eur', 'usd', day('2026-03-10'))).resolves.toEqual({ rate: 1.1, effectiveDate: day('2026-03-10') });
+    await expect(converter.rateFor('EUR', 'USD', day('2026-02-28'))).resolves.toBeNull();
+  });
+
+  it('inverts the opposite pair', async () => {
+    const { rate } = await createConverter().rateFor('GBP', 'USD', day('2026-03-06'));
+
+    expect(rate).toBeCloseTo(1.25);
+  });
+
+  it('crosses through the pivot currency, dated by the older leg', async () => {
+    const found = await createConverter().rateFor('EUR', 'GBP', day('2026-03-12'));
+
+    expect(found.rate).toBeCloseTo(0.88);
+    expect(found.effectiveDate).toEqual(day('2026-03-05'));
+  });
+
+  it('does not use rates older than the maximum age', async () => {
+    await expect(createConverter().rateFor('USD', 'JPY', day('2026-01-31'))).resolves.toEqual({ rate: 150, effectiveDate: day('2026-01-01') });
+    await expect(createConverter().rateFor('USD', 'JPY', day('2026-02-02'))).resolves.toBeNull();
+  });
+
+  it('converts the same currency without a lookup', async () => {
+    const converter = createConverter();
+
+    await expect(converter.convert('12.345', 'USD', 'usd', day('2026-03-01'))).resolves.toBe(12.35);
+    expect(prisma.exchangeRate.findMany).not.toHaveBeenCalled();
+  });
+
+  it('loads each pair once', async () => {
+    const converter = createConverter();
+    await converter.convert(100, 'EUR', 'USD', day('2026-03-02'));
+    await converter.convert(200, 'EUR', 'USD', day('2026-03-11'));
+
+    expect(prisma.exchangeRate.findMany).toHaveBeenCalledTimes(1);
+  });
+
+  it('prefers the stored property amount in the same currency', async () => {
+    const converter = createConverter();
+    const chargeback = { amount: '100.00', currency: 'EUR', disputeDate: day('2026-03-06'), propertyAmount: '107.5', propertyCurrency: 'USD' };
+
+    await expect(converter.caseAmount(chargeback, 'USD')).resolves.toBe(107.5);
+    await expect(converter.caseAmount(chargeback, 'GBP')).resolves.toBe(86.4);
+  });
+});
+
+describe('computeCaseAmounts', () => {
+  beforeEach(() => {
+    useRates({ 'EUR/USD': [['2026-03-01', 1.08]] });
+  });
+
+  it('converts the disputed amount at the dispute date rate', async () => {
+    const amounts = await computeCaseAmounts(
+      { amount: 250, currency: 'eur', disputeDate: day('2026-03-03') },
+      { propertyCurrency: 'USD' }
+    );
+
+    expect(amounts).toEqual({
+      settlementAmount: null,
+      settlementCurrency: null,
+      propertyAmount: 270,
+      propertyCurrency: 'USD',
+      fxRate: 1.08,
+      fxRateDate: day('2026-03-01')
+    });
+  });
+
+  it('uses a settlement amount already in the property currency as is', async () => {
+    const amounts = await computeCaseAmounts(
+      { amount: 250, currency: 'EUR', settlementAmount: -268.4, settlementCurrency: 'USD', disputeDate: day('2026-03-03') },
+      { propertyCurrency: 'USD' }
+    );
+
+    expect(amounts).toMatchObject({ settlementAmount: 268.4, propertyAmount: 268.4, fxRate: 1.0736, fxRateDate: null });
+    expect(prisma.exchangeRate.findMany).not.toHaveBeenCalled();
+  });
+
+  it('leaves the property amount empty when no rate is usable', async () => {
+    const amounts = await computeCaseAmounts(
+      { amount: 250, currency: 'CHF', disputeDate: day('2026-03-03') },
+      { propertyCurrency: 'USD' }
+    );
+
+    expect(amounts).toMatchObject({ propertyAmount: null, propertyCurrency: 'USD', fxRate: null });
+  });
+
+  it('looks up the property currency when it is not given', async () => {
+    prisma.property = { findUnique: jest.fn().mockResolvedValue({ currency: 'usd' }) };
+
+    const amounts = await computeCaseAmounts({ amount: 100, currency: 'EUR', disputeDate: day('2026-03-03'), propertyId: 'prop-1' });
+
+    expect(prisma.property.findUnique).toHaveBeenCalledWith({ where: { id: 'prop-1' }, select: { currency: true } });
+    expect(amounts.propertyAmount).toBe(108);
+  });
+});
+
+describe('sumCaseAmounts', () => {
+  const groupRow = (fields, count, sums, maxDate = '2026-03-20') => ({
+    ...fields,
+    _count: { _all: count, propertyAmount: sums.propertyAmount === null ? 0 : count },
+    _sum: { recoveredAmount: null, writeOffAmount: null, ...sums },
+    _max: { disputeDate: day(maxDate) }
+  });
+
+  beforeEach(() => {
+    useRates({ 'EUR/USD': [['2026-03-15', 1.1]] });
+    prisma.chargeback = {
+      groupBy: jest.fn()
+        .mockResolvedValueOnce([
+          groupRow({ status: 'WON', currency: 'USD', propertyCurrency: 'USD' }, 3, { amount: '600', propertyAmount: '600', recoveredAmount: '250' }),
+          groupRow({ status: 'LOST', currency: 'EUR', propertyCurrency: 'USD' }, 2, { amount: '300', propertyAmount: '321' }),
+          groupRow({ status: 'ACCEPTED', currency: 'EUR', propertyCurrency: 'USD' }, 1, { amount: '100', propertyAmount: null }),
+          groupRow({ status: 'PENDING', currency: 'CHF', propertyCurrency: 'USD' }, 4, { amount: '400', propertyAmount: null })
+        ])
+        .mockResolvedValueOnce([
+          { status: 'WON', currency: 'USD', propertyCurrency: 'USD', _sum: { amount: '200' } },
+          { status: 'ACCEPTED', currency: 'EUR', propertyCurrency: 'USD', _sum: { amount: '100' } }
+        ])
+    };
+  });
+
+  it('groups by status and currency within the filter', async () => {
+    await sumCaseAmounts({ propertyId: 'prop-1' }, ['providerId']);
+
+    const [[totals], [fullAmounts]] = prisma.chargeback.groupBy.mock.calls;
+    expect(totals).toMatchObject({
+      by: ['providerId', 'status', 'currency', 'propertyCurrency'],
+      where: { propertyId: 'prop-1' }
+    });
+    expect(fullAmounts.where).toEqual({
+      AND: [
+        { propertyId: 'prop-1' },
+        { OR: [{ status: 'WON', recoveredAmount: null }, { status: 'ACCEPTED', writeOffAmount: null }] }
+      ]
+    });
+  });
+
+  it('returns groups shaped like case rows', async () => {
+    const groups = await sumCaseAmounts({});
+
+    expect(groups[0]).toEqual({
+      status: 'WON',
+      currency: 'USD',
+      propertyCurrency: 'USD',
+      count: 3,
+      amount: 600,
+      propertyAmount: 600,
+      recoveredAmount: 450,
+      writeOffAmount: 0,
+      disputeDate: day('2026-03-20')
+    });
+    expect(groups[2]).toMatchObject({ status: 'ACCEPTED', propertyAmount: null, writeOffAmount: 100 });
+  });
+
+  it('works with the reporting sum helpers', async () => {
+    const groups = await sumCaseAmounts({});
+    await convertCaseAmounts(groups, 'USD');
+
+    expect(groups.map(g => g.reportingAmount)).toEqual([600, 321, 110, null]);
+    expect(sumConverted(groups)).toBe(1031);
+    expect(sumRecovered(groups)).toBe(450);
+    expect(sumWrittenOff(groups)).toBe(110);
+    expect(countCases(groups)).toBe(10);
+    expect(countCases(groups, g => g.status === 'LOST')).toBe(2);
+    expect(countUnconverted(groups)).toBe(4);
+  });
+});
+
+describe('sumCaseFees', () => {
+  it('converts fees per outcome currency and leaves deleted cases out', async () => {
+    useRates({ 'EUR/USD': [['2026-03-01', 1.1]] });
+    prisma.caseOutcome = {
+      groupBy: jest.fn().mockResolvedValue([
+        { currency: 'USD', _sum: { chargebackFee: '25', arbitrationFee: '500' }, _max: { decidedAt: day('2026-03-05') } },
+        { currency: 'EUR', _sum: { chargebackFee: '20', arbitrationFee: null }, _max: { decidedAt: day('2026-03-05') } },
+        { currency: 'CHF', _sum: { chargebackFee: '15', arbitrationFee: '0' }, _max: { decidedAt: day('2026-03-05') } }
+      ])
+    };
+
+    await expect(sumCaseFees({ propertyId: 'prop-1' }, 'USD')).resolves.toBe(547);
+    expect(prisma.caseOutcome.groupBy.mock.calls[0][0].where).toEqual({
+      chargeback: { propertyId: 'prop-1', deletedAt: null }
+    });
+  });
+});
+
+describe('countUnconverted', () => {
+  it('counts case rows without a reporting amount', () => {
+    expect(countUnconverted([{ reportingAmount: null }, { reportingAmount: 10 }, { reportingAmount: null }])).toBe(2);
+  });
+});
+
+describe('parseRatesCsv', () => {
+  it('reads rows under any accepted header names', () => {
+    const { rows, errors } = parseRatesCsv('Date,From,To,Rate\n2026-03-02,eur,usd,1.0842\n');
+
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      expect.objectContaining({ effectiveDate: day('2026-03-02'), baseCurrency: 'EUR', quoteCurrency: 'USD', rate: 1.0842 })
+    ]);
+  });
+
+  it('reports invalid rows by line', () => {
+    const { errors } = parseRatesCsv('date,base,quote,rate\n2026-02-30,EUR,USD,1.08\n2026-03-02,EURO,USD,1.08\n');
+
+    expect(errors).toEqual([
+      { line: 2, message: 'Invalid date "2026-02-30", expected YYYY-MM-DD' },
+      { line: 3, message: 'Currencies must be 3-letter ISO codes' }
+    ]);
+  });
+
+  it('rejects a file without the required columns', () => {
+    expect(parseRatesCsv('date,rate\n').errors).toEqual([
+      { line: 1, message: 'Header must name date, base, quote and rate columns' }
+    ]);
+  });
+});
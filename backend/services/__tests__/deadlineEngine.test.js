@@ -0,0 +1,169 @@
+/**
+ * Deadline engine tests
+ */
+
+jest.mock('../../config/database', () => ({ prisma: {} }));
+
+const {
+  detectNetwork,
+  networkWindow,
+  usBankHolidays,
+  ukBankHolidays,
+  targetHolidays,
+  resolveHolidayCalendar,
+  computeDeadline
+} = require('../deadlineEngine');
+
+describe('detectNetwork', () => {
+  it('uses the card brand first', () => {
+    expect(detectNetwork('Visa', '4837')).toBe('VISA');
+    expect(detectNetwork('master card', null)).toBe('MASTERCARD');
+    expect(detectNetwork('American-Express', null)).toBe('AMEX');
+    expect(detectNetwork('Diners Club', null)).toBe('DISCOVER');
+  });
+
+  it('falls back to the shape of the reason code', () => {
+    expect(detectNetwork(null, '10.4')).toBe('VISA');
+    expect(detectNetwork(null, '13.1')).toBe('VISA');
+    expect(detectNetwork(null, '4837')).toBe('MASTERCARD');
+    expect(detectNetwork(null, 'C08')).toBe('AMEX');
+    expect(detectNetwork(null, 'FR2')).toBe('AMEX');
+    expect(detectNetwork(null, 'UA01')).toBe('DISCOVER');
+    expect(detectNetwork('Unknown', 'ZZZZ9')).toBeNull();
+  });
+});
+
+describe('networkWindow', () => {
+  it('uses the stage window whatever the reason code', () => {
+    expect(networkWindow('VISA', 'REPRESENTMENT', '10.4')).toBe(30);
+    expect(networkWindow('VISA', 'REPRESENTMENT', '13.1')).toBe(30);
+    expect(networkWindow('MASTERCARD', 'REPRESENTMENT', '4853')).toBe(45);
+    expect(networkWindow('AMEX', 'PRE_ARBITRATION', 'C08')).toBe(20);
+    expect(networkWindow('VISA', 'ARBITRATION', '10.4')).toBe(10);
+  });
+
+  it('gives Discover retrieval requests their own window', () => {
+    expect(networkWindow('DISCOVER', 'REPRESENTMENT', 'rr')).toBe(20);
+    expect(networkWindow('DISCOVER', 'REPRESENTMENT', 'UA01')).toBe(30);
+    expect(networkWindow('DISCOVER', 'PRE_ARBITRATION', 'RR')).toBe(30);
+  });
+});
+
+describe('holiday calendars', () => {
+  it('observes Sunday US holidays on Monday but not Saturday ones on Friday', () => {
+    expect(usBankHolidays(2022)).toEqual([
+      '2022-01-01', '2022-01-17', '2022-02-21', '2022-05-30', '2022-06-20', '2022-07-04',
+      '2022-09-05', '2022-10-10', '2022-11-11', '2022-11-24', '2022-12-26'
+    ]);
+    expect(usBankHolidays(2026)).toContain('2026-07-04');
+    expect(usBankHolidays(2026)).not.toContain('2026-07-03');
+  });
+
+  it('moves England & Wales Christmas holidays off the weekend in turn', () => {
+    expect(ukBankHolidays(2026)).toEqual([
+      '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28'
+    ]);
+    expect(ukBankHolidays(2027)).toEqual(expect.arrayContaining(['2027-03-26', '2027-03-29', '2027-12-27', '2027-12-28']));
+    expect(ukBankHolidays(2022)).toEqual(expect.arrayContaining(['2022-01-03', '2022-12-26', '2022-12-27']));
+  });
+
+  it('keeps TARGET closing days on their dates', () => {
+    expect(targetHolidays(2027)).toEqual([
+      '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-01', '2027-12-25', '2027-12-26'
+    ]);
+  });
+
+  it('picks the calendar from the property country unless one is configured', () => {
+    expect(resolveHolidayCalendar({ holidayCalendar: 'AUTO' }, 'US')).toBe('US');
+    expect(resolveHolidayCalendar({ holidayCalendar: 'AUTO' }, 'uk')).toBe('GB');
+    expect(resolveHolidayCalendar({ holidayCalendar: 'AUTO' }, 'FR')).toBe('TARGET');
+    expect(resolveHolidayCalendar({ holidayCalendar: 'AUTO' }, 'JP')).toBe('NONE');
+    expect(resolveHolidayCalendar({}, null)).toBe('US');
+    expect(resolveHolidayCalendar({ holidayCalendar: 'us' }, 'GB')).toBe('US');
+    expect(resolveHolidayCalendar({ holidayCalendar: 'NONE' }, 'US')).toBe('NONE');
+    expect(resolveHolidayCalendar({ holidayCalendar: 'MARS' }, 'US')).toBe('NONE');
+  });
+});
+
+describe('computeDeadline', () => {
+  it('counts from the local dispute date and ends the day in the property timezone', () => {
+    // 03:00 UTC on March 10 is still March 9 in New York
+    const deadline = computeDeadline(
+      { reasonCode: '10.4', startDate: '2026-03-10T03:00:00Z' },
+      { timezone: 'America/New_York', country: 'US' }
+    );
+
+    expect(deadline.network).toBe('VISA');
+    expect(deadline.windowDays).toBe(30);
+    expect(deadline.networkDueDate.toISOString()).toBe('2026-04-09T03:59:59.000Z');
+    expect(deadline.dueDate.toISOString()).toBe('2026-04-04T03:59:59.000Z');
+    expect(deadline.holidayCalendar).toBe('US');
+    expect(deadline.source).toBe('engine');
+  });
+
+  it('skips the property country holidays in the acquirer buffer', () => {
+    const input = { reasonCode: '10.4', startDate: '2026-03-10T12:00:00Z' };
+    const london = computeDeadline(input, { timezone: 'Europe/London', country: 'GB' });
+    const paris = computeDeadline(input, { timezone: 'Europe/Paris', country: 'FR' });
+    const tokyo = computeDeadline(input, { timezone: 'Asia/Tokyo', country: 'JP' });
+
+    // Easter Monday and Good Friday fall inside the buffer
+    expect(london.dueDate.toISOString()).toBe('2026-04-02T22:59:59.000Z');
+    expect(paris.dueDate.toISOString()).toBe('2026-04-02T21:59:59.000Z');
+    expect(tokyo.dueDate.toISOString()).toBe('2026-04-06T14:59:59.000Z');
+    expect(tokyo.explanation).toContain('no bank holiday calendar');
+  });
+
+  it('ends the day at local midnight across a clock change', () => {
+    // 45 days from February 12 is Sunday March 29, when UK clocks go forward
+    const deadline = computeDeadline(
+      { cardBrand: 'Mastercard', startDate: '2026-02-12T12:00:00Z' },
+      { timezone: 'Europe/London', country: 'GB' }
+    );
+
+    expect(deadline.networkDueDate.toISOString()).toBe('2026-03-29T22:59:59.000Z');
+    expect(deadline.dueDate.toISOString()).toBe('2026-03-24T23:59:59.000Z');
+  });
+
+  it('applies provider buffers and extra closure dates', () => {
+    const deadline = computeDeadline(
+      { reasonCode: '10.4', startDate: '2026-06-05T12:00:00Z', providerName: 'Stripe' },
+      { timezone: 'America/New_York', config: { providerBuffers: { Stripe: 1 }, extraHolidays: ['2026-07-03'] } }
+    );
+
+    expect(deadline.bufferDays).toBe(1);
+    expect(deadline.dueDate.toISOString()).toBe('2026-07-02T03:59:59.000Z');
+  });
+
+  it('uses a processor cutoff only when it is earlier', () => {
+    const input = { reasonCode: '10.4', startDate: '2026-06-05T12:00:00Z' };
+
+    const earlier = computeDeadline({ ...input, providedDueDate: '2026-06-20T00:00:00Z' }, {});
+    expect(earlier.source).toBe('provider');
+    expect(earlier.dueDate.toISOString()).toBe('2026-06-20T00:00:00.000Z');
+
+    const later = computeDeadline({ ...input, providedDueDate: '2026-08-20T00:00:00Z' }, {});
+    expect(later.source).toBe('engine');
+    expect(later.dueDate.toISOString()).toBe('2026-07-01T03:59:59.000Z');
+  });
+
+  it('assumes Visa when the network cannot be determined', () => {
+    const deadline = computeDeadline({ reasonCode: 'ZZZZ9', startDate: '2026-06-01T12:00:00Z' }, {});
+
+    expect(deadline.network).toBe('VISA');
+    expect(deadline.networkDetected).toBe(false);
+    expect(deadline.explanation).toMatch(/^Visa \(assumed\)/);
+  });
+
+  it('answers Discover retrieval requests within 20 days', () => {
+    const deadline = computeDeadline(
+      { reasonCode: 'RR', startDate: '2026-06-01T12:00:00Z' },
+      { timezone: 'America/Los_Angeles', country: 'US' }
+    );
+
+    expect(deadline.network).toBe('DISCOVER');
+    expect(deadline.windowDays).toBe(20);
+    // June 21 is a Sunday and June 19 is Juneteenth
+    expect(deadline.dueDate.toISOString()).toBe('2026-06-16T06:59:59.000Z');
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Dispute submission flow tests
+ */
+
+jest.mock('../../config/database', () => ({ prisma: {} }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../config/storage', () => ({ readFileBuffer: jest.fn() }));
+jest.mock('../disputes/DisputeAdapterFactory', () => ({
+  createDisputeAdapter: jest.fn(),
+  isSupported: jest.fn(portalType => portalType === 'VERIFI')
+}));
+jest.mock('../queue/queueManager', () => ({ getQueue: jest.fn() }));
+jest.mock('../disputeStages', () => ({
+  getCurrentStage: jest.fn(),
+  setStageSubmitted: jest.fn()
+}));
+jest.mock('../caseAssignment', () => ({ notifyCaseFollowers: jest.fn() }));
+jest.mock('../changeHistory', () => ({
+  recordChanges: jest.fn(),
+  webhookActor: jest.fn(portalType => ({ type: 'WEBHOOK', label: portalType }))
+}));
+jest.mock('../caseActions', () => ({ completeAcceptance: jest.fn(), failAcceptance: jest.fn() }));
+jest.mock('../disputeAlerts', () => ({ completeAlertResponse: jest.fn(), failAlertResponse: jest.fn() }));
+
+const { prisma } = require('../../config/database');
+const { readFileBuffer } = require('../../config/storage');
+const { createDisputeAdapter } = require('../disputes/DisputeAdapterFactory');
+const { getQueue } = require('../queue/queueManager');
+const { getCurrentStage, setStageSubmitted } = require('../disputeStages');
+const { recordChanges } = require('../changeHistory');
+const { queueSubmission } = require('../disputeSubmission');
+const disputeOutboundProcessor = require('../queue/workers/disputeOutboundWorker');
+
+const integration = { id: 'int-1', type: 'dispute_verifi', status: 'active', config: {}, credentials: {} };
+
+function makeChargeback(overrides = {}) {
+  return {
+    id: 'cb-1',
+    caseNumber: 'CB-2026-0001',
+    status: 'PENDING',
+    propertyId: 'prop-1',
+    processorDisputeId: 'dp_123',
+    amount: '450.00',
+    reasonCode: '13.1',
+    provider: { name: 'Verifi' },
+    evidence: [
+      { id: 'ev-1', type: 'FOLIO' },
+      { id: 'ev-2', type: 'ID_SCAN' },
+      { id: 'ev-3', type: 'EVIDENCE_DOSSIER' }
+    ],
+    ...overrides
+  };
+}
+
+/**
+ * Fake client whose calls are recorded in order, with $transaction
+ * running callbacks against the same client
+ */
+function setupPrisma() {
+  const calls = [];
+  const track = (name, impl) => jest.fn(async (...args) => {
+    calls.push(name);
+    return impl(...args);
+  });
+
+  Object.assign(prisma, {
+    integration: {
+      findMany: jest.fn().mockResolvedValue([integration]),
+      findUnique: jest.fn().mockResolvedValue(integration)
+    },
+    disputeSubmission: {
+      create: track('disputeSubmission.create', ({ data }) => ({ id: 'sub-1', createdAt: new Date('2026-10-01'), ...data })),
+      update: track('disputeSubmission.update', ({ where, data }) => ({ id: where.id, stageId: 'stage-1', createdAt: new Date('2026-10-01'), ...data })),
+      count: jest.fn().mockResolvedValue(0)
+    },
+    chargeback: {
+      updateMany: track('chargeback.updateMany', () => ({ count: 1 })),
+      update: track('chargeback.update', ({ data }) => data),
+      findUnique: jest.fn(async () => makeChargeback({ status: 'SUBMITTED' }))
+    },
+    timelineEvent: {
+      create: track('timelineEvent.create', ({ data }) => ({ id: 'tl-1', ...data })),
+      delete: track('timelineEvent.delete', () => ({}))
+    },
+    evidence: { findMany: jest.fn().mockResolvedValue([{ id: 'ev-1', s3Key: 'a', fileName: 'folio.pdf' }]) },
+    syncLog: { create: jest.fn().mockResolvedValue({ id: 'sync-1' }), update: jest.fn() },
+    integrationEvent: { create: jest.fn().mockResolvedValue({}) },
+    notification: { create: jest.fn().mockResolvedValue({}) },
+    $transaction: jest.fn(async (arg) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg)))
+  });
+
+  return calls;
+}
+
+describe('queueSubmission', () => {
+  let calls;
+  let queue;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calls = setupPrisma();
+    queue = {
+      add: jest.fn(async () => {
+        calls.push('queue.add');
+        return { id: 'job-1' };
+      })
+    };
+    getQueue.mockReturnValue(queue);
+    createDisputeAdapter.mockReturnValue({});
+    getCurrentStage.mockResolvedValue({ id: 'stage-1', stage: 'FIRST_CHARGEBACK' });
+  });
+
+  it('marks the case submitted before the job is queued', async () => {
+    const result = await queueSubmission(makeChargeback(), { userId: 'user-1', submittedByName: 'Ana Ruiz' });
+
+    expect(calls).toEqual([
+      'disputeSubmission.create',
+      'chargeback.updateMany',
+      'timelineEvent.create',
+      'queue.add'
+    ]);
+    expect(prisma.chargeback.updateMany).toHaveBeenCalledWith({
+      where: { id: 'cb-1', status: { in: ['PENDING', 'IN_REVIEW'] } },
+      data: { status: 'SUBMITTED' }
+    });
+    expect(prisma.timelineEvent.create.mock.calls[0][0].data.description)
+      .toBe('2 evidence files queued for VERIFI by Ana Ruiz');
+    expect(queue.add).toHaveBeenCalledWith('submit-evidence', expect.objectContaining({
+      portalType: 'VERIFI',
+      action: 'SUBMIT_EVIDENCE',
+      data: expect.objectContaining({ submissionId: 'sub-1', evidenceIds: ['ev-1', 'ev-2'] })
+    }), { jobId: 'submit-sub-1' });
+    expect(setStageSubmitted).toHaveBeenCalledWith('stage-1');
+    expect(result.chargeback.status).toBe('SUBMITTED');
+    expect(result.jobId).toBe('job-1');
+  });
+
+  it('sends only the selected dossier when one is given', async () => {
+    await queueSubmission(makeChargeback(), { dossierId: 'ev-3' });
+
+    expect(prisma.disputeSubmission.create.mock.calls[0][0].data.requestJson).toEqual(
+      expect.objectContaining({ evidenceIds: ['ev-3'], dossierId: 'ev-3' })
+    );
+  });
+
+  it('refuses a case another request submitted first', async () => {
+    prisma.chargeback.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(queueSubmission(makeChargeback())).rejects.toMatchObject({ statusCode: 409 });
+    expect(queue.add).not.toHaveBeenCalled();
+  });
+
+  it('refuses cases that are no longer open', async () => {
+    await expect(queueSubmission(makeChargeback({ status: 'WON' }))).rejects.toMatchObject({ statusCode: 409 });
+    expect(prisma.disputeSubmission.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects providers without a dispute adapter', async () => {
+    await expect(queueSubmission(makeChargeback({ provider: { name: 'Unknown Bank' } })))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('rejects cases without evidence', async () => {
+    await expect(queueSubmission(makeChargeback({ evidence: [] })))
+      .rejects.toMatchObject({ statusCode: 422, message: 'Case has no evidence to submit' });
+  });
+
+  it('restores the previous status when the queue is unavailable', async () => {
+    queue.add.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    await expect(queueSubmission(makeChargeback({ status: 'IN_REVIEW' })))
+      .rejects.toMatchObject({ statusCode: 503 });
+
+    expect(prisma.disputeSubmission.update).toHaveBeenCalledWith({
+      where: { id: 'sub-1' },
+      data: { status: 'failed', errorMessage: 'Queue unavailable: ECONNREFUSED' }
+    });
+    expect(prisma.chargeback.update).toHaveBeenCalledWith({
+      where: { id: 'cb-1' },
+      data: { status: 'IN_REVIEW' }
+    });
+    expect(prisma.timelineEvent.delete).toHaveBeenCalledWith({ where: { id: 'tl-1' } });
+    expect(setStageSubmitted).not.toHaveBeenCalled();
+  });
+});
+
+describe('dispute outbound worker submission outcome', () => {
+  const job = {
+    id: 'job-1',
+    attemptsMade: 0,
+    opts: { attempts: 3 },
+    data: {
+      portalType: 'VERIFI',
+      integrationId: 'int-1',
+      action: 'SUBMIT_EVIDENCE',
+      data: { disputeId: 'dp_123', chargebackId: 'cb-1', submissionId: 'sub-1', evidenceIds: ['ev-1'] }
+    }
+  };
+
+  let adapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setupPrisma();
+    readFileBuffer.mockResolvedValue(Buffer.from('pdf'));
+    adapter = {
+      submitEvidence: jest.fn(),
+      _extractErrorMessage: jest.fn(() => 'Missing folio')
+    };
+    createDisputeAdapter.mockReturnValue(adapter);
+  });
+
+  function portalRejects() {
+    const error = new Error('Bad Request');
+    error.response = { status: 400, data: { error: 'Missing folio' } };
+    adapter.submitEvidence.mockRejectedValue(error);
+  }
+
+  it('reopens a rejected case even when it was loaded before the status change', async () => {
+    prisma.chargeback.findUnique.mockResolvedValue(makeChargeback({ status: 'PENDING' }));
+    portalRejects();
+
+    await disputeOutboundProcessor(job);
+
+    expect(prisma.chargeback.updateMany).toHaveBeenCalledWith({
+      where: { id: 'cb-1', status: 'SUBMITTED' },
+      data: { status: 'IN_REVIEW' }
+    });
+    expect(recordChanges).toHaveBeenCalledWith(expect.objectContaining({
+      before: expect.objectContaining({ status: 'SUBMITTED' }),
+      after: expect.objectContaining({ status: 'IN_REVIEW' }),
+      source: 'submission rejected',
+      reason: 'Missing folio'
+    }));
+    expect(setStageSubmitted).toHaveBeenCalledWith('stage-1', false);
+  });
+
+  it('leaves the case alone when a later submission is under way', async () => {
+    prisma.disputeSubmission.count.mockResolvedValue(1);
+    portalRejects();
+
+    await disputeOutboundProcessor(job);
+
+    expect(prisma.chargeback.updateMany).not.toHaveBeenCalled();
+    expect(recordChanges).not.toHaveBeenCalled();
+  });
+
+  it('does not reopen a case that has since been resolved', async () => {
+    prisma.chargeback.updateMany.mockResolvedValue({ count: 0 });
+    portalRejects();
+
+    await disputeOutboundProcessor(job);
+
+    expect(recordChanges).not.toHaveBeenCalled();
+    expect(setStageSubmitted).not.toHaveBeenCalled();
+  });
+
+  it('keeps an accepted submission submitted', async () => {
+    adapter.submitEvidence.mockResolvedValue({ status: 'submitted', submissionId: 'ack-9' });
+
+    await disputeOutboundProcessor(job);
+
+    expect(prisma.chargeback.updateMany).not.toHaveBeenCalled();
+    expect(prisma.disputeSubmission.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'sub-1' },
+      data: expect.objectContaining({ status: 'submitted', acknowledgementId: 'ack-9' })
+    }));
+  });
+});
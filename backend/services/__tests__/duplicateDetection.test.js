@@ -0,0 +1,185 @@
+/**
+ * Duplicate dispute detection tests
+ */
+
+jest.mock('../../config/database', () => ({ prisma: {} }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { prisma } = require('../../config/database');
+const { computeFingerprint, findDuplicate, attachToCase, DUPLICATE_WINDOW_DAYS } = require('../duplicateDetection');
+
+const intake = {
+  propertyId: 'prop-1',
+  source: 'STRIPE',
+  externalId: 'dp_123',
+  transactionId: 'txn-1',
+  arn: '74000000000000000000001',
+  cardLastFour: '4242',
+  amount: 450,
+  currency: 'usd',
+  disputeDate: '2026-10-10T00:00:00Z'
+};
+
+describe('computeFingerprint', () => {
+  it('combines card last four, amount in minor units and currency', () => {
+    expect(computeFingerprint({ cardLastFour: '4242', amount: 450, currency: 'usd' })).toBe('4242|45000|USD');
+  });
+
+  it('normalizes the card number and amount', () => {
+    expect(computeFingerprint({ cardLastFour: '**** 4242', amount: '450.10', currency: 'EUR' })).toBe('4242|45010|EUR');
+    expect(computeFingerprint({ cardLastFour: '4111111111114242', amount: 19.999 })).toBe('4242|2000|USD');
+  });
+
+  it('is the same for amounts that differ only in representation', () => {
+    expect(computeFingerprint({ cardLastFour: '4242', amount: '0.30' }))
+      .toBe(computeFingerprint({ cardLastFour: '4242', amount: 0.1 + 0.2 }));
+  });
+
+  it('returns null without a usable card number or amount', () => {
+    expect(computeFingerprint({ cardLastFour: null, amount: 450 })).toBeNull();
+    expect(computeFingerprint({ cardLastFour: '42', amount: 450 })).toBeNull();
+    expect(computeFingerprint({ cardLastFour: '4242', amount: 0 })).toBeNull();
+    expect(computeFingerprint({ cardLastFour: '4242', amount: 'n/a' })).toBeNull();
+  });
+});
+
+describe('findDuplicate', () => {
+  beforeEach(() => {
+    prisma.chargeback = { findFirst: jest.fn().mockResolvedValue(null), findUnique: jest.fn() };
+    prisma.caseReference = { findFirst: jest.fn().mockResolvedValue(null) };
+  });
+
+  it('attaches a redelivered dispute to the case that has its dispute ID', async () => {
+    const known = { id: 'cb-1', processorDisputeId: 'dp_123', status: 'WON' };
+    prisma.chargeback.findFirst.mockResolvedValueOnce(known);
+
+    await expect(findDuplicate(intake)).resolves.toEqual({ action: 'attach', chargeback: known, matchedOn: ['disputeId'] });
+  });
+
+  it('follows a dispute ID reference through merged cases', async () => {
+    const merged = { id: 'cb-2', mergedAt: new Date(), duplicateOfId: 'cb-1' };
+    const survivor = { id: 'cb-1', mergedAt: null, duplicateOfId: null };
+    prisma.caseReference.findFirst.mockResolvedValue({ chargeback: merged });
+    prisma.chargeback.findUnique.mockResolvedValue(survivor);
+
+    const result = await findDuplicate(intake);
+
+    expect(prisma.chargeback.findUnique).toHaveBeenCalledWith({ where: { id: 'cb-1' } });
+    expect(result).toEqual({ action: 'attach', chargeback: survivor, matchedOn: ['disputeId'] });
+  });
+
+  it('skips a dispute whose case is in the recycle bin', async () => {
+    const deleted = { id: 'cb-1', processorDisputeId: 'dp_123', deletedAt: new Date() };
+    prisma.chargeback.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce(deleted);
+
+    const result = await findDuplicate(intake);
+
+    expect(prisma.chargeback.findFirst.mock.calls[1][0].where).toEqual({ processorDisputeId: 'dp_123', deletedAt: { not: null } });
+    expect(prisma.chargeback.findFirst).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ action: 'skip', chargeback: deleted, matchedOn: ['disputeId'] });
+  });
+
+  it('skips a dispute referenced by a deleted case', async () => {
+    const deleted = { id: 'cb-1', deletedAt: new Date() };
+    prisma.caseReference.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce({ chargeback: deleted });
+
+    await expect(findDuplicate(intake)).resolves.toEqual({ action: 'skip', chargeback: deleted, matchedOn: ['disputeId'] });
+    expect(prisma.caseReference.findFirst.mock.calls[1][0].where).toEqual({
+      externalId: 'dp_123',
+      chargeback: { deletedAt: { not: null } }
+    });
+  });
+
+  it('attaches to an open case with the same transaction ID', async () => {
+    const open = { id: 'cb-1', status: 'IN_REVIEW', transactionId: 'txn-1', arn: null };
+    prisma.chargeback.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce(null).mockResolvedValueOnce(open);
+
+    const result = await findDuplicate(intake);
+
+    expect(prisma.chargeback.findFirst.mock.calls[2][0].where).toEqual({
+      propertyId: 'prop-1',
+      duplicateOfId: null,
+      mergedAt: null,
+      OR: [{ transactionId: 'txn-1' }, { arn: '74000000000000000000001' }]
+    });
+    expect(result).toEqual({ action: 'attach', chargeback: open, matchedOn: ['transactionId'] });
+  });
+
+  it('links to a closed case with the same identifiers', async () => {
+    const closed = { id: 'cb-1', status: 'LOST', transactionId: 'txn-1', arn: '74000000000000000000001' };
+    prisma.chargeback.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce(null).mockResolvedValueOnce(closed);
+
+    await expect(findDuplicate(intake)).resolves.toEqual({
+      action: 'link',
+      chargeback: closed,
+      matchedOn: ['transactionId', 'arn']
+    });
+  });
+
+  it('links on the fingerprint within the duplicate window', async () => {
+    const probable = { id: 'cb-1', status: 'PENDING' };
+    prisma.chargeback.findFirst
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(probable);
+
+    const result = await findDuplicate(intake);
+
+    const disputeDate = new Date(intake.disputeDate).getTime();
+    const window = DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    expect(prisma.chargeback.findFirst.mock.calls[3][0].where).toEqual({
+      propertyId: 'prop-1',
+      duplicateOfId: null,
+      mergedAt: null,
+      fingerprint: '4242|45000|USD',
+      disputeDate: { gte: new Date(disputeDate - window), lte: new Date(disputeDate + window) }
+    });
+    expect(result).toEqual({ action: 'link', chargeback: probable, matchedOn: ['fingerprint'] });
+  });
+
+  it('creates a case when nothing matches', async () => {
+    await expect(findDuplicate(intake)).resolves.toEqual({ action: 'create', chargeback: null, matchedOn: [] });
+  });
+
+  it('skips the fingerprint lookup without a card number', async () => {
+    await findDuplicate({ ...intake, externalId: null, transactionId: null, arn: null, cardLastFour: null });
+
+    expect(prisma.chargeback.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe('attachToCase', () => {
+  beforeEach(() => {
+    prisma.caseReference = { upsert: jest.fn().mockResolvedValue({}) };
+    prisma.chargeback = { update: jest.fn().mockResolvedValue({}) };
+    prisma.timelineEvent = { create: jest.fn().mockResolvedValue({}) };
+  });
+
+  it('records the reference, backfills identifiers and adds a timeline entry', async () => {
+    const chargeback = { id: 'cb-1', caseNumber: 'CB-2026-0001', arn: null, cardLastFour: null, amount: '450.00', currency: 'USD' };
+
+    await attachToCase(chargeback, intake, ['transactionId']);
+
+    expect(prisma.caseReference.upsert).toHaveBeenCalledWith({
+      where: { source_externalId: { source: 'STRIPE', externalId: 'dp_123' } },
+      create: { source: 'STRIPE', externalId: 'dp_123', matchedOn: ['transactionId'], chargebackId: 'cb-1' },
+      update: {}
+    });
+    expect(prisma.chargeback.update).toHaveBeenCalledWith({
+      where: { id: 'cb-1' },
+      data: { arn: '74000000000000000000001', cardLastFour: '4242', fingerprint: '4242|45000|USD' }
+    });
+    expect(prisma.timelineEvent.create.mock.calls[0][0].data).toMatchObject({
+      chargebackId: 'cb-1',
+      title: 'Duplicate Dispute from STRIPE'
+    });
+  });
+
+  it('does nothing for a dispute already on the case', async () => {
+    await attachToCase({ id: 'cb-1', caseNumber: 'CB-2026-0001' }, intake, ['disputeId']);
+
+    expect(prisma.caseReference.upsert).not.toHaveBeenCalled();
+    expect(prisma.timelineEvent.create).not.toHaveBeenCalled();
+  });
+});
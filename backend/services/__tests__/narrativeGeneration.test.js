@@ -0,0 +1,90 @@
+/**
+ * Narrative generation tests
+ */
+
+jest.mock('../../config/database', () => ({ prisma: {} }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { runProvider } = require('../narrativeGeneration');
+const OpenAINarrativeProvider = require('../narratives/OpenAINarrativeProvider');
+
+const request = {
+  kind: 'dispute_narrative',
+  templateKey: 'fraud_defense',
+  system: 'system prompt',
+  user: 'user prompt',
+  context: {
+    case: { amount: '$450.00', reasonCode: '10.4', reasonDescription: 'Card Absent Fraud' },
+    guest: { name: '[GUEST_NAME]' },
+    property: { name: 'Harbor Hotel' },
+    stay: {},
+    reservation: {},
+    evidence: { exhibits: [], has: {} },
+    dispute: {}
+  },
+  strategy: { name: 'Fraud Claim Defense', requiredEvidence: [] }
+};
+
+const modelConfig = {
+  provider: 'openai',
+  name: 'gpt-4-turbo',
+  pricing: { promptPer1k: 0.01, completionPer1k: 0.03 }
+};
+
+describe('runProvider', () => {
+  const originalKey = process.env.OPENAI_API_KEY;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = originalKey;
+    }
+  });
+
+  it('uses the configured provider when it is available', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    const result = { text: 'Narrative', model: 'gpt-4-turbo', usage: { promptTokens: 100, completionTokens: 50 } };
+    const generate = jest.spyOn(OpenAINarrativeProvider.prototype, 'generate').mockResolvedValue(result);
+
+    const run = await runProvider(modelConfig, request);
+
+    expect(generate).toHaveBeenCalledWith(request);
+    expect(run.provider).toBeInstanceOf(OpenAINarrativeProvider);
+    expect(run.result).toBe(result);
+    expect(run.fallbackReason).toBeNull();
+    expect(run.provider.estimateCost(result.usage)).toBe(0.0025);
+  });
+
+  it('falls back to the rule-based provider when the provider is unknown', async () => {
+    const run = await runProvider({ ...modelConfig, provider: 'acme' }, request);
+
+    expect(run.provider.provider).toBe('rule_based');
+    expect(run.result.model).toBe('rule-based-v1');
+    expect(run.fallbackReason).toBe("Unknown narrative provider 'acme'");
+  });
+
+  it('falls back when OPENAI_API_KEY is not set, without calling the API', async () => {
+    delete process.env.OPENAI_API_KEY;
+    const generate = jest.spyOn(OpenAINarrativeProvider.prototype, 'generate');
+
+    const run = await runProvider(modelConfig, request);
+
+    expect(generate).not.toHaveBeenCalled();
+    expect(run.provider.provider).toBe('rule_based');
+    expect(run.fallbackReason).toBe("Narrative provider 'openai' is not configured");
+  });
+
+  it('falls back when the provider throws', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    jest.spyOn(OpenAINarrativeProvider.prototype, 'generate').mockRejectedValue(new Error('timeout of 30000ms exceeded'));
+
+    const run = await runProvider(modelConfig, request);
+
+    expect(run.provider.provider).toBe('rule_based');
+    expect(run.result.text).toMatch(/^The cardholder states that they did not authorize this transaction\./);
+    expect(run.fallbackReason).toBe("Narrative provider 'openai' failed: timeout of 30000ms exceeded");
+    expect(run.provider.estimateCost(run.result.usage)).toBe(0);
+  });
+});
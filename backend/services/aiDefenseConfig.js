@@ -2,19 +2,134 @@
  * AccuDefend - AI-Powered Chargeback Defense Platform
  * AI Defense Configuration Service
  * Manages AI model settings, confidence thresholds, and defense strategies
+ *
+ * This is the configuration for the one scoring engine in
+ * services/fraudDetection. Each property can have its own config; a
+ * property without one uses the global config. Every change is saved as a
+ * new DefenseConfigVersion and the active version is kept in SystemConfig
+ * under `ai_config_{scope}` as { versionId, version, config }, where scope
+ * is 'global' or a property ID. Rolling back saves the earlier config as
+ * a new version, so the history only ever grows.
+ *
+ * Each version stores the full config it scores with. Defaults are filled
+ * in only when a new version is built, so a saved version keeps scoring
+ * the same way when DEFAULT_AI_CONFIG changes.
  */
 
-const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+const { getSupportedProviders } = require('./narratives/NarrativeProviderFactory');
+
+const GLOBAL_SCOPE = 'global';
+
+// =============================================================================
+// REASON CODE WIN RATES
+// Historical win rates by dispute reason code
+// =============================================================================
+
+const REASON_CODE_WIN_RATES = {
+  // Visa Reason Codes
+  '13.1': { winRate: 0.75, category: 'Services Not Received', network: 'Visa' },
+  '13.2': { winRate: 0.70, category: 'Cancelled Recurring', network: 'Visa' },
+  '13.3': { winRate: 0.55, category: 'Not as Described', network: 'Visa' },
+  '13.4': { winRate: 0.50, category: 'Counterfeit Merchandise', network: 'Visa' },
+  '13.5': { winRate: 0.45, category: 'Misrepresentation', network: 'Visa' },
+  '13.6': { winRate: 0.60, category: 'Credit Not Processed', network: 'Visa' },
+  '13.7': { winRate: 0.55, category: 'Cancelled Merchandise', network: 'Visa' },
+  '10.4': { winRate: 0.45, category: 'Fraud - Card Absent', network: 'Visa' },
+  '10.5': { winRate: 0.40, category: 'Fraud - Chip Liability', network: 'Visa' },
+
+  // Mastercard Reason Codes
+  '4855': { winRate: 0.75, category: 'Non-Receipt', network: 'Mastercard' },
+  '4853': { winRate: 0.60, category: 'Cardholder Dispute', network: 'Mastercard' },
+  '4863': { winRate: 0.55, category: 'Cardholder Not Recognize', network: 'Mastercard' },
+  '4837': { winRate: 0.40, category: 'No Cardholder Auth', network: 'Mastercard' },
+  '4871': { winRate: 0.35, category: 'Chip Liability', network: 'Mastercard' },
+
+  // Amex Reason Codes
+  'C14': { winRate: 0.70, category: 'Paid by Other Means', network: 'Amex' },
+  'C28': { winRate: 0.55, category: 'Cancelled Recurring', network: 'Amex' },
+  'C31': { winRate: 0.50, category: 'Not as Described', network: 'Amex' },
+  'C32': { winRate: 0.55, category: 'Merchandise Not Received', network: 'Amex' },
+  'F10': { winRate: 0.40, category: 'Missing Imprint', network: 'Amex' },
+  'F14': { winRate: 0.45, category: 'Missing Signature', network: 'Amex' },
+  'F29': { winRate: 0.35, category: 'Card Not Present Fraud', network: 'Amex' },
+
+  // Discover Reason Codes
+  '4752': { winRate: 0.65, category: 'Services/Merchandise', network: 'Discover' },
+  '4755': { winRate: 0.45, category: 'Non-Receipt', network: 'Discover' },
+  'UA01': { winRate: 0.35, category: 'Fraud', network: 'Discover' },
+
+  // Default for unknown codes
+  'default': { winRate: 0.50, category: 'Unknown', network: 'Unknown' }
+};
+
+// =============================================================================
+// EVIDENCE WEIGHTS
+// Points each evidence type adds to the evidence score (capped at 100)
+// =============================================================================
+
+const EVIDENCE_WEIGHTS = {
+  ID_SCAN: 14,
+  AUTH_SIGNATURE: 14,
+  CHECKOUT_SIGNATURE: 10,
+  FOLIO: 12,
+  RESERVATION_CONFIRMATION: 4,
+  CANCELLATION_POLICY: 4,
+  CANCELLATION_POLICY_VIOLATION: 6,
+  KEY_CARD_LOG: 6,
+  CCTV_FOOTAGE: 4,
+  CORRESPONDENCE: 4,
+  INCIDENT_REPORT: 6,
+  DAMAGE_PHOTOS: 6,
+  DAMAGE_ASSESSMENT: 6,
+  POLICE_REPORT: 6,
+  NO_SHOW_DOCUMENTATION: 4,
+  EVIDENCE_DOSSIER: 0,
+  OTHER: 0
+};
+
+// =============================================================================
+// FRAUD INDICATORS
+// Points added/subtracted based on detected patterns
+// =============================================================================
+
+const FRAUD_INDICATORS = {
+  positive: {
+    matching_id: { points: 15, description: 'ID matches reservation name' },
+    repeat_guest: { points: 10, description: 'Returning guest with history' },
+    long_stay: { points: 5, description: 'Stay duration > 3 nights' },
+    corporate_booking: { points: 8, description: 'Corporate/business booking' },
+    advance_booking: { points: 5, description: 'Booked >7 days in advance' },
+    loyalty_member: { points: 10, description: 'AccuDefend loyalty program member' },
+    direct_booking: { points: 5, description: 'Booked directly with hotel' },
+    local_card: { points: 3, description: 'Card issued in same country' }
+  },
+  negative: {
+    foreign_card: { points: -8, description: 'Card issued in different country' },
+    no_show_history: { points: -15, description: 'Previous no-show record' },
+    missing_signature: { points: -20, description: 'No signature on file' },
+    short_stay: { points: -3, description: 'Stay duration < 1 night' },
+    same_day_booking: { points: -5, description: 'Booked on same day' },
+    third_party_booking: { points: -10, description: 'Booked via OTA' },
+    disputed_before: { points: -15, description: 'Guest has prior disputes' },
+    high_value: { points: -5, description: 'Transaction >$1000' },
+    weekend_only: { points: -3, description: 'Weekend-only stay pattern' }
+  }
+};
 
 // Default AI Configuration
 const DEFAULT_AI_CONFIG = {
-  // Model Settings
+  // Model Settings for narrative generation (services/narrativeGeneration).
+  // provider is 'openai' or 'rule_based'; the rule-based provider runs
+  // offline and is used whenever the configured one is unavailable
   model: {
     provider: 'openai',
     name: 'gpt-4-turbo',
     temperature: 0.3,
     maxTokens: 4096,
-    timeout: 30000
+    timeout: 30000,
+    pricing: { promptPer1k: 0.01, completionPer1k: 0.03 } // USD
   },
 
   // Confidence Thresholds
@@ -25,43 +140,30 @@ const DEFAULT_AI_CONFIG = {
     unlikelyToWin: 0          // Below 50% - unlikely to win
   },
 
-  // Evidence Weights (total should equal 100)
-  evidenceWeights: {
-    ID_SCAN: 14,
-    AUTH_SIGNATURE: 14,
-    CHECKOUT_SIGNATURE: 10,
-    FOLIO: 12,
-    KEY_CARD_LOG: 8,
-    CORRESPONDENCE: 6,
-    CCTV_FOOTAGE: 4,
-    CANCELLATION_POLICY: 4,
-    CANCELLATION_POLICY_VIOLATION: 6,
-    DAMAGE_PHOTOS: 6,
-    DAMAGE_ASSESSMENT: 6,
-    POLICE_REPORT: 6,
-    NO_SHOW_DOCUMENTATION: 4
+  // Share of the score from the reason code win rate and from evidence;
+  // fraud indicators then add or subtract their points
+  componentWeights: {
+    reasonCode: 40,           // winRate * 40
+    evidence: 35              // evidenceScore * 35 / 100
   },
 
+  reasonCodeWinRates: REASON_CODE_WIN_RATES,
+
+  // Learned rates for one processor, { [providerId]: { [reasonCode]: {...} } },
+  // used ahead of reasonCodeWinRates (see services/winRateCalibration)
+  processorWinRates: {},
+
+  // Evidence Weights (points, the evidence score is capped at 100)
+  evidenceWeights: EVIDENCE_WEIGHTS,
+
+  // Reported as missing when absent (unless the case is mapped to disputed
+  // folio lines, which bring their own)
+  criticalEvidence: ['ID_SCAN', 'AUTH_SIGNATURE', 'FOLIO'],
+
   // Fraud Detection Settings
   fraudDetection: {
     enabled: true,
-    riskFactors: {
-      foreignCard: { weight: 15, description: 'Card issued in different country than guest' },
-      firstTimeGuest: { weight: 10, description: 'No prior stay history' },
-      shortNotice: { weight: 10, description: 'Booking made within 24 hours of check-in' },
-      highValue: { weight: 10, description: 'Transaction amount > $1000' },
-      missingID: { weight: 25, description: 'No ID scan on file' },
-      noSignature: { weight: 20, description: 'Missing authorization signature' },
-      emailMismatch: { weight: 10, description: 'Booking email differs from card email' }
-    },
-    trustFactors: {
-      repeatGuest: { weight: -15, description: 'Guest has stayed before' },
-      loyaltyMember: { weight: -10, description: 'Enrolled in loyalty program' },
-      corporateBooking: { weight: -10, description: 'Corporate account booking' },
-      longStay: { weight: -5, description: 'Stay duration > 3 nights' },
-      matchingID: { weight: -20, description: 'ID matches card holder name' },
-      verifiedEmail: { weight: -5, description: 'Email verified via confirmation' }
-    }
+    indicators: FRAUD_INDICATORS
   },
 
   // Defense Strategy Templates
@@ -210,6 +312,17 @@ const DEFAULT_AI_CONFIG = {
   }
 };
 
+function configError(statusCode, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 class AIDefenseConfigService {
   constructor(prisma) {
     this.prisma = prisma;
@@ -220,119 +333,209 @@ class AIDefenseConfigService {
   /**
    * Get AI configuration for a property
    */
-  async getConfig(propertyId = 'global') {
-    const cacheKey = `config_${propertyId}`;
-    const cached = this.configCache.get(cacheKey);
+  async getConfig(propertyId = GLOBAL_SCOPE) {
+    const active = await this.getActiveConfig(propertyId);
+    return active.config;
+  }
+
+  /**
+   * The config a property's cases are scored with: its own active version,
+   * or the global one when it has none
+   *
+   * @returns {Object} { scope, inherited, versionId, version, config }
+   */
+  async getActiveConfig(propertyId = GLOBAL_SCOPE) {
+    const scope = propertyId || GLOBAL_SCOPE;
+    const cached = this.configCache.get(scope);
 
     if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      return cached.config;
+      return cached.active;
     }
 
-    try {
-      // Try to get property-specific config
-      let config = await this.prisma.systemConfig.findUnique({
-        where: { key: `ai_config_${propertyId}` }
-      });
+    let active = scope !== GLOBAL_SCOPE ? await this._loadScope(scope) : null;
+    if (active) {
+      active = { ...active, inherited: false };
+    } else {
+      const global = await this._loadScope(GLOBAL_SCOPE) || await this._saveDefaults();
+      active = { ...global, inherited: scope !== GLOBAL_SCOPE };
+    }
 
-      // Fall back to global config
-      if (!config && propertyId !== 'global') {
-        config = await this.prisma.systemConfig.findUnique({
-          where: { key: 'ai_config_global' }
-        });
-      }
+    this.configCache.set(scope, { active, timestamp: Date.now() });
 
-      const finalConfig = config?.value || DEFAULT_AI_CONFIG;
+    return active;
+  }
 
-      this.configCache.set(cacheKey, {
-        config: finalConfig,
-        timestamp: Date.now()
-      });
+  /**
+   * Apply changes to a scope's config and save the result as a new version.
+   * A property without its own config starts from the global one.
+   *
+   * @param {string} scope - 'global' or a property ID
+   * @param {Object} changes - Partial config, merged into the current one
+   * @param {Object} options - { userId, note }
+   */
+  async updateConfig(scope = GLOBAL_SCOPE, changes, { userId = null, note = null } = {}) {
+    const current = await this.getActiveConfig(scope);
+    const newConfig = this.buildConfig(current.config, changes);
 
-      return finalConfig;
-    } catch (error) {
-      console.error('Error fetching AI config:', error);
-      return DEFAULT_AI_CONFIG;
+    const validation = this.validateConfig(newConfig);
+    if (!validation.valid) {
+      throw configError(422, 'Invalid defense configuration', validation.errors);
     }
+
+    return this._saveVersion(scope, newConfig, { userId, note });
   }
 
   /**
-   * Update AI configuration
+   * Make an earlier version of a scope's config active again, saved as a
+   * new version
    */
-  async updateConfig(propertyId = 'global', updates) {
-    const currentConfig = await this.getConfig(propertyId);
-    const newConfig = this.deepMerge(currentConfig, updates);
-
-    await this.prisma.systemConfig.upsert({
-      where: { key: `ai_config_${propertyId}` },
-      update: { value: newConfig },
-      create: {
-        key: `ai_config_${propertyId}`,
-        value: newConfig,
-        description: `AI Defense configuration for ${propertyId}`
-      }
+  async rollback(scope, version, { userId = null, note = null } = {}) {
+    const target = await this.prisma.defenseConfigVersion.findUnique({
+      where: { scope_version: { scope, version } }
     });
+    if (!target) {
+      throw configError(404, `Version ${version} not found`);
+    }
+
+    // Fill in settings added since that version was saved
+    const config = this.buildConfig(target.config);
 
-    // Clear cache
-    this.configCache.delete(`config_${propertyId}`);
+    const validation = this.validateConfig(config);
+    if (!validation.valid) {
+      throw configError(422, `Version ${version} is no longer a valid configuration`, validation.errors);
+    }
 
-    return newConfig;
+    return this._saveVersion(scope, config, {
+      userId,
+      note: note || `Rolled back to version ${version}`,
+      rolledBackFrom: version
+    });
   }
 
   /**
-   * Calculate confidence score for a case
+   * Saved versions of a scope's config, newest first
    */
-  async calculateConfidence(caseData, evidenceList) {
-    const config = await this.getConfig(caseData.propertyId);
-    let score = 0;
-    let maxPossible = 0;
-
-    // Calculate evidence score
-    for (const [type, weight] of Object.entries(config.evidenceWeights)) {
-      maxPossible += weight;
-      if (evidenceList.some(e => e.type === type)) {
-        score += weight;
-      }
-    }
+  async listVersions(scope) {
+    const [versions, active] = await Promise.all([
+      this.prisma.defenseConfigVersion.findMany({
+        where: { scope },
+        select: {
+          id: true, version: true, note: true, rolledBackFrom: true, createdBy: true, createdAt: true,
+          _count: { select: { chargebacks: { where: { deletedAt: null } } } }
+        },
+        orderBy: { version: 'desc' }
+      }),
+      this._loadScope(scope)
+    ]);
+
+    const userIds = [...new Set(versions.map(v => v.createdBy).filter(Boolean))];
+    const users = userIds.length > 0
+      ? await this.prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: { id: true, firstName: true, lastName: true, email: true }
+      })
+      : [];
+    const usersById = new Map(users.map(u => [u.id, u]));
+
+    return versions.map(({ _count, ...v }) => ({
+      ...v,
+      createdByUser: usersById.get(v.createdBy) || null,
+      casesScored: _count.chargebacks,
+      active: v.id === active?.versionId
+    }));
+  }
+
+  async getVersion(scope, version) {
+    return this.prisma.defenseConfigVersion.findUnique({
+      where: { scope_version: { scope, version } }
+    });
+  }
 
-    // Normalize to percentage
-    let confidence = Math.round((score / maxPossible) * 100);
+  /**
+   * The active version stored for one scope, importing a config saved
+   * before versioning as that scope's first version
+   */
+  async _loadScope(scope) {
+    const stored = await this.prisma.systemConfig.findUnique({
+      where: { key: `ai_config_${scope}` }
+    });
+    if (!stored) return null;
 
-    // Apply fraud detection adjustments
-    if (config.fraudDetection.enabled) {
-      const fraudAdjustment = this.calculateFraudAdjustment(caseData, config);
-      confidence = Math.max(0, Math.min(100, confidence + fraudAdjustment));
+    if (stored.value?.versionId) {
+      return {
+        scope,
+        versionId: stored.value.versionId,
+        version: stored.value.version,
+        config: stored.value.config
+      };
     }
 
-    return {
-      score: confidence,
-      recommendation: this.getRecommendation(confidence, config),
-      evidenceScore: score,
-      maxPossible,
-      fraudAdjustment: config.fraudDetection.enabled ? this.calculateFraudAdjustment(caseData, config) : 0
-    };
+    logger.info(`AI defense config: importing unversioned ai_config_${scope}`);
+    return this._saveVersion(scope, this.buildConfig(stored.value || {}), {
+      note: 'Imported existing configuration'
+    });
   }
 
   /**
-   * Calculate fraud adjustment based on risk/trust factors
+   * The built-in defaults become global version 1 the first time a config
+   * is needed, so every analysis can point at a version
    */
-  calculateFraudAdjustment(caseData, config) {
-    let adjustment = 0;
-
-    // Apply risk factors
-    for (const [factor, settings] of Object.entries(config.fraudDetection.riskFactors)) {
-      if (caseData.fraudIndicators?.negative?.includes(factor)) {
-        adjustment -= settings.weight;
-      }
+  async _saveDefaults() {
+    try {
+      return await this._saveVersion(GLOBAL_SCOPE, DEFAULT_AI_CONFIG, { note: 'Built-in defaults' });
+    } catch (error) {
+      // Another process saved them first
+      if (error.statusCode === 409) return this._loadScope(GLOBAL_SCOPE);
+      throw error;
     }
+  }
+
+  async _saveVersion(scope, config, { userId = null, note = null, rolledBackFrom = null }) {
+    let saved;
+    try {
+      saved = await this.prisma.$transaction(async (tx) => {
+        const latest = await tx.defenseConfigVersion.findFirst({
+          where: { scope },
+          orderBy: { version: 'desc' },
+          select: { version: true }
+        });
 
-    // Apply trust factors
-    for (const [factor, settings] of Object.entries(config.fraudDetection.trustFactors)) {
-      if (caseData.fraudIndicators?.positive?.includes(factor)) {
-        adjustment -= settings.weight; // Negative weight means positive effect
+        const created = await tx.defenseConfigVersion.create({
+          data: {
+            scope,
+            version: (latest?.version || 0) + 1,
+            config,
+            note,
+            rolledBackFrom,
+            createdBy: userId
+          }
+        });
+
+        const value = { versionId: created.id, version: created.version, config };
+        await tx.systemConfig.upsert({
+          where: { key: `ai_config_${scope}` },
+          update: { value, updatedBy: userId },
+          create: {
+            key: `ai_config_${scope}`,
+            value,
+            description: `AI Defense configuration for ${scope}`,
+            updatedBy: userId
+          }
+        });
+
+        return created;
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw configError(409, 'The configuration was changed at the same time; reload and try again');
       }
+      throw error;
     }
 
-    return adjustment;
+    // A global change reaches every property that inherits it
+    this.configCache.clear();
+
+    return { scope, versionId: saved.id, version: saved.version, config };
   }
 
   /**
@@ -414,10 +617,23 @@ class AIDefenseConfigService {
    * Generate AI analysis for a case
    */
   async analyzeCase(caseData, evidenceList) {
-    const config = await this.getConfig(caseData.propertyId);
-
-    // Calculate confidence
-    const confidenceResult = await this.calculateConfidence(caseData, evidenceList);
+    const active = await this.getActiveConfig(caseData.propertyId);
+    const { config } = active;
+
+    // Calculate confidence with the same engine as case analysis (required
+    // here because fraudDetection depends on this module)
+    const { scoreChargeback } = require('./fraudDetection');
+    const scored = scoreChargeback(
+      { ...caseData, evidence: evidenceList, disputedLines: caseData.disputedLines || [] },
+      active
+    );
+    const confidenceResult = {
+      score: scored.confidenceScore,
+      recommendation: scored.recommendation,
+      evidenceScore: scored.evidenceScore,
+      fraudAdjustment: scored.indicatorScore,
+      configVersion: active.version
+    };
 
     // Get defense strategy
     const defenseStrategy = await this.getDefenseStrategy(caseData.reasonCode, caseData.propertyId);
@@ -520,7 +736,8 @@ class AIDefenseConfigService {
   deepMerge(target, source) {
     const result = { ...target };
     for (const key of Object.keys(source)) {
-      if (source[key] instanceof Object && key in target) {
+      // Arrays are replaced, not merged
+      if (isPlainObject(source[key]) && isPlainObject(target[key])) {
         result[key] = this.deepMerge(target[key], source[key]);
       } else {
         result[key] = source[key];
@@ -529,6 +746,14 @@ class AIDefenseConfigService {
     return result;
   }
 
+  /**
+   * The full config for a new version: changes applied to a base config,
+   * with any settings it lacks taken from the defaults
+   */
+  buildConfig(base, changes = {}) {
+    return this.deepMerge(DEFAULT_AI_CONFIG, this.deepMerge(base, changes));
+  }
+
   /**
    * Get default configuration
    */
@@ -541,25 +766,76 @@ class AIDefenseConfigService {
    */
   validateConfig(config) {
     const errors = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
 
     // Validate thresholds
-    if (config.thresholds) {
-      if (config.thresholds.autoSubmit <= config.thresholds.reviewRecommended) {
+    const { thresholds } = config;
+    if (!thresholds || ![thresholds.autoSubmit, thresholds.reviewRecommended, thresholds.gatherMoreEvidence].every(isNumber)) {
+      errors.push('thresholds need numeric autoSubmit, reviewRecommended and gatherMoreEvidence');
+    } else {
+      if (thresholds.autoSubmit > 100 || thresholds.gatherMoreEvidence < 0) {
+        errors.push('Thresholds must be between 0 and 100');
+      }
+      if (thresholds.autoSubmit <= thresholds.reviewRecommended) {
         errors.push('autoSubmit threshold must be greater than reviewRecommended');
       }
-      if (config.thresholds.reviewRecommended <= config.thresholds.gatherMoreEvidence) {
+      if (thresholds.reviewRecommended <= thresholds.gatherMoreEvidence) {
         errors.push('reviewRecommended threshold must be greater than gatherMoreEvidence');
       }
     }
 
-    // Validate evidence weights sum to 100
-    if (config.evidenceWeights) {
-      const sum = Object.values(config.evidenceWeights).reduce((a, b) => a + b, 0);
-      if (sum !== 100) {
-        errors.push(`Evidence weights must sum to 100 (current: ${sum})`);
+    const { componentWeights } = config;
+    if (!componentWeights || ![componentWeights.reasonCode, componentWeights.evidence].every(w => isNumber(w) && w >= 0)) {
+      errors.push('componentWeights need non-negative reasonCode and evidence weights');
+    } else if (componentWeights.reasonCode + componentWeights.evidence > 100) {
+      errors.push('componentWeights reasonCode and evidence must not add up to more than 100');
+    }
+
+    // Evidence weights are points toward an evidence score capped at 100
+    for (const [type, weight] of Object.entries(config.evidenceWeights || {})) {
+      if (!isNumber(weight) || weight < 0 || weight > 100) {
+        errors.push(`Evidence weight for ${type} must be between 0 and 100`);
+      }
+    }
+
+    if (!config.reasonCodeWinRates?.default) {
+      errors.push('reasonCodeWinRates needs a default entry');
+    }
+    for (const [code, info] of Object.entries(config.reasonCodeWinRates || {})) {
+      if (!isNumber(info?.winRate) || info.winRate < 0 || info.winRate > 1) {
+        errors.push(`Win rate for reason code ${code} must be between 0 and 1`);
+      }
+    }
+
+    for (const [providerId, rates] of Object.entries(config.processorWinRates || {})) {
+      for (const [code, info] of Object.entries(rates || {})) {
+        if (!isNumber(info?.winRate) || info.winRate < 0 || info.winRate > 1) {
+          errors.push(`Win rate for reason code ${code} at processor ${providerId} must be between 0 and 1`);
+        }
+      }
+    }
+
+    const providers = getSupportedProviders();
+    if (config.model?.provider && !providers.includes(config.model.provider)) {
+      errors.push(`model.provider must be one of ${providers.join(', ')}`);
+    }
+
+    const indicators = config.fraudDetection?.indicators || {};
+    for (const [name, info] of Object.entries(indicators.positive || {})) {
+      if (!isNumber(info?.points) || info.points < 0) {
+        errors.push(`Trust indicator ${name} must have zero or positive points`);
+      }
+    }
+    for (const [name, info] of Object.entries(indicators.negative || {})) {
+      if (!isNumber(info?.points) || info.points > 0) {
+        errors.push(`Risk indicator ${name} must have zero or negative points`);
       }
     }
 
+    if (!Array.isArray(config.criticalEvidence)) {
+      errors.push('criticalEvidence must be a list of evidence types');
+    }
+
     return {
       valid: errors.length === 0,
       errors
@@ -567,4 +843,15 @@ class AIDefenseConfigService {
   }
 }
 
-module.exports = { AIDefenseConfigService, DEFAULT_AI_CONFIG };
+// Shared so a saved change clears the cache every caller reads from
+const defenseConfigService = new AIDefenseConfigService(prisma);
+
+module.exports = {
+  AIDefenseConfigService,
+  defenseConfigService,
+  DEFAULT_AI_CONFIG,
+  GLOBAL_SCOPE,
+  REASON_CODE_WIN_RATES,
+  EVIDENCE_WEIGHTS,
+  FRAUD_INDICATORS
+};
@@ -0,0 +1,130 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Bulk Operations Service
+ *
+ * Creates bulk case operations from an ID list or a case filter. The
+ * selected cases are snapshotted on a BulkOperation row and processed by
+ * the bulk-operations worker, which records per-case results and progress.
+ */
+
+const { prisma } = require('../config/database');
+const { getQueue } = require('./queue/queueManager');
+const { buildCaseWhere } = require('./caseQuery');
+const logger = require('../utils/logger');
+
+// Roles allowed to run each operation, mirroring the single-case routes
+const BULK_OPERATIONS = {
+  analyze: { label: 'Re-run analysis', roles: ['ADMIN', 'MANAGER', 'STAFF'] },
+  status: { label: 'Change status', roles: ['ADMIN', 'MANAGER'] },
+  assign: { label: 'Assign', roles: ['ADMIN', 'MANAGER'] },
+  accept_liability: { label: 'Accept liability', roles: ['ADMIN', 'MANAGER'] },
+  export: { label: 'Export', roles: ['ADMIN', 'MANAGER', 'STAFF', 'READONLY'] }
+};
+
+const MAX_BULK_CASES = parseInt(process.env.BULK_OPERATION_MAX_CASES) || 1000;
+
+function bulkError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Snapshot the selected cases and queue the operation.
+ *
+ * @param {Object} input - { operation, caseIds, filter, params }
+ * @param {Object} user - Requesting user
+ * @param {Object} propertyFilter - req.propertyFilter
+ * @returns {Object} BulkOperation record
+ */
+async function createBulkOperation({ operation, caseIds, filter, params }, user, propertyFilter) {
+  const where = caseIds
+    ? { ...propertyFilter, id: { in: caseIds } }
+    : buildCaseWhere(filter, user, propertyFilter);
+
+  const total = await prisma.chargeback.count({ where });
+  if (total === 0) {
+    throw bulkError(422, 'No cases match the selection');
+  }
+  if (total > MAX_BULK_CASES) {
+    throw bulkError(422, `Selection has ${total} cases; bulk operations are limited to ${MAX_BULK_CASES}`);
+  }
+
+  const cases = await prisma.chargeback.findMany({
+    where,
+    select: { id: true },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const bulkOperation = await prisma.bulkOperation.create({
+    data: {
+      operation,
+      params: params || {},
+      ...(filter && { filter }),
+      caseIds: cases.map(c => c.id),
+      total: cases.length,
+      propertyId: propertyFilter?.propertyId || null,
+      createdBy: user.id
+    }
+  });
+
+  try {
+    // A partly applied operation must not be replayed, so no retries
+    await getQueue('bulk-operations').add(`bulk-${operation}`, {
+      bulkOperationId: bulkOperation.id
+    }, { jobId: `bulk-${bulkOperation.id}`, attempts: 1 });
+  } catch (error) {
+    await prisma.bulkOperation.update({
+      where: { id: bulkOperation.id },
+      data: { status: 'failed', errorMessage: `Queue unavailable: ${error.message}`, completedAt: new Date() }
+    });
+    throw bulkError(503, 'Bulk operation queue is unavailable, please retry shortly');
+  }
+
+  logger.info(`Bulk ${operation} queued over ${cases.length} cases by ${user.email} (${bulkOperation.id})`);
+
+  return bulkOperation;
+}
+
+/**
+ * Get a bulk operation the user may see (their own, or any for admins)
+ */
+async function getBulkOperation(id, user) {
+  const bulkOperation = await prisma.bulkOperation.findUnique({ where: { id } });
+  if (!bulkOperation) return null;
+  if (user.role !== 'ADMIN' && bulkOperation.createdBy !== user.id) return null;
+  return bulkOperation;
+}
+
+/**
+ * List the user's recent bulk operations (without per-case results)
+ */
+async function listBulkOperations(user, limit = 20) {
+  return prisma.bulkOperation.findMany({
+    where: user.role === 'ADMIN' ? {} : { createdBy: user.id },
+    select: {
+      id: true,
+      operation: true,
+      status: true,
+      total: true,
+      processed: true,
+      succeeded: true,
+      failed: true,
+      skipped: true,
+      resultKey: true,
+      errorMessage: true,
+      createdAt: true,
+      completedAt: true
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  MAX_BULK_CASES,
+  createBulkOperation,
+  getBulkOperation,
+  listBulkOperations
+};
@@ -0,0 +1,334 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Case Actions Service
+ *
+ * Case mutations shared by the single-case routes and bulk operations.
+ */
+
+const { prisma } = require('../config/database');
+const { recordStageOutcome } = require('./disputeStages');
+const { queueDisputeAcceptance } = require('./disputeSubmission');
+const { notifyCaseFollowers } = require('./caseAssignment');
+const { recordChanges, userActor, systemActor } = require('./changeHistory');
+const { recordOutcome } = require('./disputeOutcomes');
+const logger = require('../utils/logger');
+
+// Cases still being worked, which liability can be accepted on
+const OPEN_STATUSES = ['PENDING', 'IN_REVIEW'];
+
+function actionError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Recovered amount to record when a case is resolved. A win recovers the
+ * disputed amount unless the issuer reversed only part of it; a loss
+ * recovers nothing.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {string} status - ChargebackStatus
+ * @param {number} [recoveredAmount] - Amount actually recovered on a win
+ * @returns {Object} Fields to merge into the chargeback update
+ */
+function resolutionAmounts(chargeback, status, recoveredAmount) {
+  if (status === 'LOST') return { recoveredAmount: 0 };
+  if (status !== 'WON') return {};
+
+  if (recoveredAmount === undefined || recoveredAmount === null) {
+    return { recoveredAmount: chargeback.amount };
+  }
+  if (recoveredAmount > Number(chargeback.amount)) {
+    throw actionError(400, 'Recovered amount cannot exceed the disputed amount');
+  }
+  return { recoveredAmount };
+}
+
+/**
+ * Change a case's status, closing the current stage on WON/LOST
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {string} status - ChargebackStatus
+ * @param {Object} options - { actor, notes, recoveredAmount, ipAddress }
+ * @returns {Object} Updated chargeback
+ */
+async function changeCaseStatus(chargeback, status, options = {}) {
+  const { actor, notes, recoveredAmount, ipAddress } = options;
+  if (status === 'ACCEPTED') {
+    throw actionError(400, 'Use accept liability to close a case as accepted');
+  }
+  const amounts = resolutionAmounts(chargeback, status, recoveredAmount);
+
+  const updated = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: {
+      status,
+      ...amounts,
+      ...(status === 'WON' || status === 'LOST' ? { resolvedAt: new Date() } : {})
+    }
+  });
+
+  await recordChanges({
+    entityType: 'Chargeback',
+    before: chargeback,
+    after: updated,
+    actor: userActor(actor, ipAddress),
+    source: 'status change',
+    reason: notes
+  });
+
+  if (status === 'WON' || status === 'LOST') {
+    await recordStageOutcome(chargeback, status.toLowerCase(), { reason: notes });
+    await recordOutcome(updated, status, { source: 'manual' });
+  }
+
+  // Determine event type
+  let eventType = 'USER_ACTION';
+  if (status === 'WON') eventType = 'WON';
+  if (status === 'LOST') eventType = 'LOST';
+
+  const partialWin = status === 'WON' && Number(amounts.recoveredAmount) < Number(chargeback.amount);
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType,
+      title: partialWin ? 'Status Changed to WON (Partial)' : `Status Changed to ${status}`,
+      description: [
+        notes || `Status updated by ${actor.firstName} ${actor.lastName}`,
+        partialWin && `Recovered ${Number(amounts.recoveredAmount).toFixed(2)} of ${Number(chargeback.amount).toFixed(2)} ${chargeback.currency}`
+      ].filter(Boolean).join('. '),
+      ...(partialWin && {
+        metadata: { recoveredAmount: Number(amounts.recoveredAmount), disputedAmount: Number(chargeback.amount) }
+      })
+    }
+  });
+
+  await notifyCaseFollowers(updated, {
+    actorId: actor.id,
+    priority: status === 'WON' || status === 'LOST' ? 'HIGH' : 'MEDIUM',
+    title: `${updated.caseNumber} is now ${status.replace(/_/g, ' ')}`,
+    message: notes || `Status changed from ${chargeback.status} by ${actor.firstName} ${actor.lastName}`,
+    metadata: { previousStatus: chargeback.status, status }
+  });
+
+  logger.info(`Case status updated: ${updated.caseNumber} -> ${status} by ${actor.email}`);
+
+  return updated;
+}
+
+// Why a case was not contested. Reported separately from cases lost on
+// the merits.
+const ACCEPTANCE_REASONS = {
+  weak_evidence: 'Evidence too weak to contest',
+  three_ds_liability: '3-D Secure liability does not shift to the issuer',
+  goodwill_refund_issued: 'Goodwill refund already issued',
+  merchant_error: 'Billing or processing error by the property',
+  guest_claim_valid: 'Guest complaint upheld',
+  cost_of_defense: 'Amount below the cost of defending',
+  missed_deadline: 'Response deadline cannot be met',
+  other: 'Other (see notes)'
+};
+
+// Above this amount (in the property's currency) only managers and admins
+// can accept liability
+const DEFAULT_ACCEPTANCE_THRESHOLD = parseFloat(process.env.LIABILITY_ACCEPTANCE_MANAGER_THRESHOLD) || 500;
+
+async function getAcceptanceThreshold(propertyId) {
+  const config = await prisma.systemConfig.findUnique({
+    where: { key: `liability_acceptance_threshold_${propertyId}` }
+  });
+  const threshold = parseFloat(config?.value);
+  return Number.isFinite(threshold) ? threshold : DEFAULT_ACCEPTANCE_THRESHOLD;
+}
+
+/**
+ * Whether accepting liability on a case needs a manager
+ */
+async function requiresManagerApproval(chargeback) {
+  const threshold = await getAcceptanceThreshold(chargeback.propertyId);
+  const amount = chargeback.propertyAmount !== null && chargeback.propertyAmount !== undefined
+    ? chargeback.propertyAmount
+    : chargeback.amount;
+  return Number(amount) > threshold;
+}
+
+/**
+ * Close a case as ACCEPTED and record the write-off. Called straight away
+ * when the portal cannot accept disputes electronically, or by the outbound
+ * worker once the portal confirms.
+ *
+ * @param {Object} chargeback - Chargeback record with the acceptance fields set
+ * @param {Object} options - { portalType, changeActor (changeHistory actor,
+ *   default: system) }
+ * @returns {Object} Updated chargeback
+ */
+async function completeAcceptance(chargeback, options = {}) {
+  const { portalType, changeActor } = options;
+  const writeOffAmount = chargeback.writeOffAmount ?? chargeback.amount;
+
+  const updated = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: {
+      status: 'ACCEPTED',
+      recoveredAmount: 0,
+      writeOffAmount,
+      acceptedAt: new Date(),
+      resolvedAt: new Date()
+    }
+  });
+  await recordChanges({
+    entityType: 'Chargeback',
+    before: chargeback,
+    after: updated,
+    actor: changeActor || systemActor(portalType ? `${portalType} acceptance` : 'liability acceptance'),
+    source: 'liability acceptance',
+    reason: ACCEPTANCE_REASONS[chargeback.acceptanceReason] || chargeback.acceptanceNotes
+  });
+  await recordStageOutcome(chargeback, 'accepted', {
+    reason: ACCEPTANCE_REASONS[chargeback.acceptanceReason] || chargeback.acceptanceNotes
+  });
+  await recordOutcome(updated, 'ACCEPTED', { source: portalType || 'manual' });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'LOST',
+      title: 'Case Closed as Accepted',
+      description: `${Number(writeOffAmount).toFixed(2)} ${chargeback.currency} written off` +
+        `${portalType ? `, acceptance confirmed by ${portalType}` : ''}`,
+      metadata: { writeOffAmount: Number(writeOffAmount), reason: chargeback.acceptanceReason, portalType: portalType || null }
+    }
+  });
+
+  await notifyCaseFollowers(updated, {
+    actorId: chargeback.acceptedById,
+    title: `${updated.caseNumber} closed as accepted`,
+    message: `${Number(writeOffAmount).toFixed(2)} ${chargeback.currency} written off`,
+    metadata: { previousStatus: chargeback.status, status: 'ACCEPTED' }
+  });
+
+  return updated;
+}
+
+/**
+ * Stop contesting a case. Portals that can accept disputes electronically
+ * are told first and the case closes when they confirm; otherwise the case
+ * is closed as accepted straight away.
+ *
+ * @param {Object} chargeback - Chargeback with provider included
+ * @param {Object} options - { actor, reason, notes, writeOffAmount }
+ * @returns {Object} { queued, portalType }
+ */
+async function acceptLiability(chargeback, options = {}) {
+  const { actor, reason, notes, writeOffAmount } = options;
+
+  if (!OPEN_STATUSES.includes(chargeback.status)) {
+    throw actionError(409, `Cannot accept liability on a ${chargeback.status.toLowerCase()} case`);
+  }
+  if (chargeback.acceptanceRequestedAt) {
+    throw actionError(409, 'Acceptance has already been sent to the portal');
+  }
+  if (!ACCEPTANCE_REASONS[reason]) {
+    throw actionError(400, 'A valid acceptance reason is required');
+  }
+  if (reason === 'other' && !notes) {
+    throw actionError(400, 'Notes are required when the reason is "other"');
+  }
+  if (writeOffAmount !== undefined && writeOffAmount > Number(chargeback.amount)) {
+    throw actionError(400, 'Write-off cannot exceed the disputed amount');
+  }
+  if (!['ADMIN', 'MANAGER'].includes(actor.role) && await requiresManagerApproval(chargeback)) {
+    throw actionError(403, 'A manager must accept liability on a case of this amount');
+  }
+
+  // Conditional on the case still being open and not already accepted, so
+  // two concurrent acceptances (or an acceptance racing a status change)
+  // cannot both go through
+  const { count } = await prisma.chargeback.updateMany({
+    where: { id: chargeback.id, status: { in: OPEN_STATUSES }, acceptanceRequestedAt: null },
+    data: {
+      acceptanceReason: reason,
+      acceptanceNotes: notes || null,
+      acceptanceRequestedAt: new Date(),
+      acceptedById: actor.id,
+      writeOffAmount: writeOffAmount ?? chargeback.amount
+    }
+  });
+  if (count === 0) {
+    throw actionError(409, 'Case is no longer open or acceptance has already been sent to the portal');
+  }
+  const accepted = await prisma.chargeback.findUnique({ where: { id: chargeback.id } });
+
+  let queued;
+  try {
+    queued = await queueDisputeAcceptance(chargeback);
+  } catch (error) {
+    await prisma.chargeback.update({
+      where: { id: chargeback.id },
+      data: { acceptanceRequestedAt: null }
+    });
+    logger.error(`Could not queue acceptance for ${chargeback.caseNumber}: ${error.message}`);
+    throw actionError(503, 'Portal queue is unavailable, please retry shortly');
+  }
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'USER_ACTION',
+      title: 'Liability Accepted',
+      description: `Liability accepted by ${actor.firstName} ${actor.lastName}: ${ACCEPTANCE_REASONS[reason]}` +
+        `${notes ? ` (${notes})` : ''}${queued ? `. Sent to ${queued.portalType}` : ''}`,
+      metadata: { reason, notes: notes || null, portalType: queued?.portalType || null }
+    }
+  });
+
+  await recordChanges({
+    entityType: 'Chargeback',
+    before: chargeback,
+    after: accepted,
+    actor: userActor(actor),
+    source: 'liability acceptance',
+    reason: notes || ACCEPTANCE_REASONS[reason]
+  });
+
+  if (!queued) {
+    await completeAcceptance(accepted, { changeActor: userActor(actor) });
+  }
+
+  logger.info(`Liability accepted on ${chargeback.caseNumber} by ${actor.email} (${reason})`);
+
+  return { queued: !!queued, portalType: queued?.portalType || null };
+}
+
+/**
+ * Reopen a case for contesting after the portal could not take the
+ * acceptance
+ */
+async function failAcceptance(chargeback, errorMessage) {
+  await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: { acceptanceRequestedAt: null }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'WARNING',
+      title: 'Liability Acceptance Failed',
+      description: `The portal did not accept the dispute: ${errorMessage}. Accept again or contest the case.`
+    }
+  });
+}
+
+module.exports = {
+  ACCEPTANCE_REASONS,
+  getAcceptanceThreshold,
+  requiresManagerApproval,
+  resolutionAmounts,
+  changeCaseStatus,
+  acceptLiability,
+  completeAcceptance,
+  failAcceptance
+};
@@ -0,0 +1,401 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Case Assignment Service
+ *
+ * Case ownership (assignee and watchers) and the per-property rules that
+ * route new cases to analysts. Rules live in SystemConfig under
+ * `assignment_rules_{propertyId}`:
+ *
+ *   {
+ *     enabled: true,
+ *     strategy: 'round_robin' | 'least_loaded',
+ *     userIds: [],            // default pool; empty = active staff and managers
+ *     routes: [               // first match wins
+ *       { name, minAmount, maxAmount, cardBrands: [], userIds: [], strategy }
+ *     ]
+ *   }
+ *
+ * The round-robin position for each pool is kept in
+ * `assignment_cursor_{propertyId}`.
+ */
+
+const { prisma } = require('../config/database');
+const { recordChanges, userActor, systemActor } = require('./changeHistory');
+const logger = require('../utils/logger');
+
+// Statuses that count toward an analyst's workload
+const ACTIVE_STATUSES = ['PENDING', 'IN_REVIEW'];
+
+const DEFAULT_ASSIGNMENT_RULES = {
+  enabled: false,
+  strategy: 'round_robin',
+  userIds: [],
+  routes: []
+};
+
+const USER_SELECT = { id: true, firstName: true, lastName: true, email: true, role: true };
+
+function assignmentError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+async function getAssignmentRules(propertyId) {
+  const config = await prisma.systemConfig.findUnique({
+    where: { key: `assignment_rules_${propertyId}` }
+  });
+  return { ...DEFAULT_ASSIGNMENT_RULES, ...(config?.value || {}) };
+}
+
+async function setAssignmentRules(propertyId, rules, userId) {
+  const key = `assignment_rules_${propertyId}`;
+  await prisma.systemConfig.upsert({
+    where: { key },
+    update: { value: rules, updatedBy: userId },
+    create: {
+      key,
+      value: rules,
+      description: `Case assignment rules for property ${propertyId}`,
+      updatedBy: userId
+    }
+  });
+  return getAssignmentRules(propertyId);
+}
+
+/**
+ * Find the first route whose amount range and card brands match the case
+ */
+function matchRoute(rules, chargeback) {
+  const amount = parseFloat(chargeback.amount);
+  const brand = (chargeback.cardBrand || '').toUpperCase();
+
+  return (rules.routes || []).find(route => {
+    if (route.minAmount !== undefined && route.minAmount !== null && amount < route.minAmount) return false;
+    if (route.maxAmount !== undefined && route.maxAmount !== null && amount > route.maxAmount) return false;
+    if (route.cardBrands?.length && !route.cardBrands.map(b => b.toUpperCase()).includes(brand)) return false;
+    return true;
+  }) || null;
+}
+
+/**
+ * Active users a pool may assign to. Listed users must still be active
+ * and able to work the property's cases.
+ */
+async function resolvePool(propertyId, userIds) {
+  if (userIds?.length) {
+    const users = await prisma.user.findMany({
+      where: {
+        id: { in: userIds },
+        isActive: true,
+        role: { not: 'READONLY' },
+        OR: [{ propertyId }, { role: 'ADMIN' }]
+      },
+      select: { id: true }
+    });
+    const valid = new Set(users.map(u => u.id));
+    return userIds.filter(id => valid.has(id));
+  }
+
+  const users = await prisma.user.findMany({
+    where: { propertyId, isActive: true, role: { in: ['STAFF', 'MANAGER'] } },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  return users.map(u => u.id);
+}
+
+async function openCaseCounts(userIds) {
+  const counts = await prisma.chargeback.groupBy({
+    by: ['assigneeId'],
+    where: { assigneeId: { in: userIds }, status: { in: ACTIVE_STATUSES } },
+    _count: { _all: true }
+  });
+  return counts.reduce((acc, row) => {
+    acc[row.assigneeId] = row._count._all;
+    return acc;
+  }, {});
+}
+
+async function nextRoundRobin(propertyId, poolKey, pool) {
+  const key = `assignment_cursor_${propertyId}`;
+  const config = await prisma.systemConfig.findUnique({ where: { key } });
+  const cursors = config?.value || {};
+
+  const lastIndex = pool.indexOf(cursors[poolKey]);
+  const userId = pool[(lastIndex + 1) % pool.length];
+
+  await prisma.systemConfig.upsert({
+    where: { key },
+    update: { value: { ...cursors, [poolKey]: userId } },
+    create: {
+      key,
+      value: { [poolKey]: userId },
+      description: `Round-robin assignment position for property ${propertyId}`
+    }
+  });
+
+  return userId;
+}
+
+/**
+ * Choose an assignee for a case from its property's rules.
+ * Returns { userId, rule } or null when rules are off or no one is eligible.
+ */
+async function pickAssignee(chargeback) {
+  const rules = await getAssignmentRules(chargeback.propertyId);
+  if (!rules.enabled) return null;
+
+  const route = matchRoute(rules, chargeback);
+  const strategy = route?.strategy || rules.strategy;
+  const pool = await resolvePool(chargeback.propertyId, route?.userIds?.length ? route.userIds : rules.userIds);
+  if (pool.length === 0) return null;
+
+  let userId;
+  if (strategy === 'least_loaded') {
+    const counts = await openCaseCounts(pool);
+    userId = pool.reduce((best, id) => ((counts[id] || 0) < (counts[best] || 0) ? id : best), pool[0]);
+  } else {
+    userId = await nextRoundRobin(chargeback.propertyId, route?.name || 'default', pool);
+  }
+
+  return { userId, rule: route ? `${route.name} (${strategy})` : strategy };
+}
+
+// =============================================================================
+// ASSIGNMENT
+// =============================================================================
+
+/**
+ * Set (or clear) a case's assignee, recording it in the timeline and
+ * audit log and notifying the new assignee.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {string|null} assigneeId - User to assign, or null to unassign
+ * @param {Object} options - { actor, reason, source, ipAddress }
+ *   actor is the acting user (omitted for rule-based assignment)
+ * @returns {Object} { chargeback, changed }
+ */
+async function assignCase(chargeback, assigneeId, options = {}) {
+  const { actor, reason, source = 'manual', ipAddress } = options;
+
+  if ((chargeback.assigneeId || null) === (assigneeId || null)) {
+    return { chargeback, changed: false };
+  }
+
+  let assignee = null;
+  if (assigneeId) {
+    assignee = await prisma.user.findUnique({
+      where: { id: assigneeId },
+      select: { ...USER_SELECT, isActive: true, propertyId: true }
+    });
+    if (!assignee || !assignee.isActive) {
+      throw assignmentError(422, 'Assignee not found or inactive');
+    }
+    if (assignee.role === 'READONLY') {
+      throw assignmentError(422, 'Read-only users cannot be assigned cases');
+    }
+    if (assignee.role !== 'ADMIN' && assignee.propertyId !== chargeback.propertyId) {
+      throw assignmentError(422, 'Assignee does not have access to this property');
+    }
+  }
+
+  const previousId = chargeback.assigneeId || null;
+  const previous = previousId
+    ? await prisma.user.findUnique({ where: { id: previousId }, select: USER_SELECT })
+    : null;
+
+  const updated = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: { assigneeId: assigneeId || null, assignedAt: assigneeId ? new Date() : null },
+    include: { assignee: { select: USER_SELECT } }
+  });
+  await recordChanges({
+    entityType: 'Chargeback',
+    before: chargeback,
+    after: updated,
+    actor: actor ? userActor(actor, ipAddress) : systemActor(source === 'rule' ? 'assignment rules' : source),
+    source: 'assignment',
+    reason
+  });
+
+  const nameOf = user => (user ? `${user.firstName} ${user.lastName}` : null);
+  const action = !assigneeId ? 'UNASSIGN_CASE' : previousId ? 'REASSIGN_CASE' : 'ASSIGN_CASE';
+  const by = actor ? ` by ${actor.firstName} ${actor.lastName}` : source === 'rule' ? ' by assignment rules' : '';
+
+  const title = { ASSIGN_CASE: 'Case Assigned', REASSIGN_CASE: 'Case Reassigned', UNASSIGN_CASE: 'Case Unassigned' }[action];
+  const description = action === 'UNASSIGN_CASE'
+    ? `Unassigned from ${nameOf(previous)}${by}`
+    : action === 'REASSIGN_CASE'
+      ? `Reassigned from ${nameOf(previous)} to ${nameOf(assignee)}${by}`
+      : `Assigned to ${nameOf(assignee)}${by}`;
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: source === 'rule' ? 'SYSTEM' : 'USER_ACTION',
+      title,
+      description: reason ? `${description}: ${reason}` : description,
+      metadata: { previousAssigneeId: previousId, assigneeId: assigneeId || null, source, ...(options.rule && { rule: options.rule }) }
+    }
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      userId: actor?.id || null,
+      action,
+      entityType: 'Chargeback',
+      entityId: chargeback.id,
+      oldValues: { assigneeId: previousId },
+      newValues: { assigneeId: assigneeId || null, source, ...(reason && { reason }), ...(options.rule && { rule: options.rule }) },
+      ipAddress: ipAddress || null
+    }
+  });
+
+  if (assigneeId && assigneeId !== actor?.id) {
+    await prisma.notification.create({
+      data: {
+        userId: assigneeId,
+        type: 'CASE_UPDATE',
+        priority: 'MEDIUM',
+        title: `Case assigned: ${chargeback.caseNumber}`,
+        message: `${chargeback.guestName} - $${chargeback.amount} (${chargeback.reasonCode}) was assigned to you${by}`,
+        link: `/cases/${chargeback.id}`,
+        metadata: { caseId: chargeback.id }
+      }
+    });
+  }
+
+  logger.info(`${chargeback.caseNumber}: ${action} ${previousId || '-'} -> ${assigneeId || '-'} (${source})`);
+
+  return { chargeback: updated, changed: true };
+}
+
+/**
+ * Assign a newly created case from its property's rules. Never throws, so
+ * intake is not blocked by a misconfigured rule.
+ */
+async function autoAssign(chargeback) {
+  try {
+    const pick = await pickAssignee(chargeback);
+    if (!pick) return null;
+    const { chargeback: updated } = await assignCase(chargeback, pick.userId, { source: 'rule', rule: pick.rule });
+    return updated.assignee;
+  } catch (error) {
+    logger.warn(`Auto-assignment failed for ${chargeback.caseNumber}: ${error.message}`);
+    return null;
+  }
+}
+
+// =============================================================================
+// WATCHERS
+// =============================================================================
+
+async function addWatcher(chargebackId, userId, addedBy = null) {
+  return prisma.caseWatcher.upsert({
+    where: { chargebackId_userId: { chargebackId, userId } },
+    update: {},
+    create: { chargebackId, userId, addedBy: addedBy && addedBy !== userId ? addedBy : null },
+    include: { user: { select: USER_SELECT } }
+  });
+}
+
+async function removeWatcher(chargebackId, userId) {
+  const { count } = await prisma.caseWatcher.deleteMany({ where: { chargebackId, userId } });
+  return count > 0;
+}
+
+/**
+ * User IDs following a case: its assignee and watchers
+ */
+async function getCaseFollowers(chargeback) {
+  const watchers = await prisma.caseWatcher.findMany({
+    where: { chargebackId: chargeback.id, user: { isActive: true } },
+    select: { userId: true }
+  });
+  return [...new Set([chargeback.assigneeId, ...watchers.map(w => w.userId)].filter(Boolean))];
+}
+
+/**
+ * Tell a case's followers about a status change, new evidence or a
+ * submission. The user who made the change is not notified.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {Object} notification - { type, priority, title, message, metadata,
+ *   actorId, excludeUserIds (users notified another way) }
+ * @returns {number} Notifications created
+ */
+async function notifyCaseFollowers(chargeback, notification) {
+  const {
+    actorId, excludeUserIds = [], type = 'CASE_UPDATE', priority = 'MEDIUM', title, message, metadata
+  } = notification;
+
+  try {
+    const recipients = (await getCaseFollowers(chargeback))
+      .filter(id => id !== actorId && !excludeUserIds.includes(id));
+    if (recipients.length === 0) return 0;
+
+    const { count } = await prisma.notification.createMany({
+      data: recipients.map(userId => ({
+        userId,
+        type,
+        priority,
+        title,
+        message,
+        link: `/cases/${chargeback.id}`,
+        metadata: { caseId: chargeback.id, ...(metadata || {}) }
+      }))
+    });
+    return count;
+  } catch (error) {
+    logger.warn(`Could not notify followers of ${chargeback.caseNumber}: ${error.message}`);
+    return 0;
+  }
+}
+
+// =============================================================================
+// WORKLOAD
+// =============================================================================
+
+/**
+ * Users who can be assigned a property's cases, with their open case counts
+ */
+async function getWorkload(propertyId) {
+  const users = await prisma.user.findMany({
+    where: {
+      isActive: true,
+      role: { not: 'READONLY' },
+      OR: [{ propertyId }, { role: 'ADMIN' }]
+    },
+    select: USER_SELECT,
+    orderBy: [{ firstName: 'asc' }, { lastName: 'asc' }]
+  });
+
+  const counts = await openCaseCounts(users.map(u => u.id));
+  const unassigned = await prisma.chargeback.count({
+    where: { propertyId, assigneeId: null, status: { in: ACTIVE_STATUSES } }
+  });
+
+  return {
+    users: users.map(u => ({ ...u, openCases: counts[u.id] || 0 })),
+    unassigned
+  };
+}
+
+module.exports = {
+  DEFAULT_ASSIGNMENT_RULES,
+  getAssignmentRules,
+  setAssignmentRules,
+  pickAssignee,
+  assignCase,
+  autoAssign,
+  addWatcher,
+  removeWatcher,
+  getCaseFollowers,
+  notifyCaseFollowers,
+  getWorkload
+};
@@ -0,0 +1,515 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Case Filter Expressions
+ *
+ * Parses the case list `q` parameter into a Prisma where clause, e.g.
+ *
+ *   cardBrand = VISA AND reasonCode = "10.4" AND amount > 500
+ *     AND confidenceScore < 60 AND evidence != ID_SCAN
+ *     AND dueDate >= today AND dueDate <= +7d
+ *
+ * Grammar:
+ *   expr       := orExpr
+ *   orExpr     := andExpr (OR andExpr)*
+ *   andExpr    := unary (AND unary)*
+ *   unary      := NOT unary | '(' expr ')' | comparison
+ *   comparison := field op value | field IN '(' value (',' value)* ')'
+ *   op         := = | != | > | >= | < | <= | ~ (contains)
+ *
+ * Values may be bare words or quoted strings. Dates accept YYYY-MM-DD,
+ * ISO timestamps, `today`, `now` and relative days/weeks (`+7d`, `-2w`);
+ * a whole-day value compares against the full UTC day. `null` matches
+ * missing values, and `me` on assigneeId is the requesting user.
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_CONDITIONS = 50;
+const MAX_DEPTH = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHARGEBACK_STATUSES = ['PENDING', 'IN_REVIEW', 'SUBMITTED', 'WON', 'LOST', 'ACCEPTED', 'EXPIRED', 'CANCELLED'];
+const DISPUTE_STAGES = ['REPRESENTMENT', 'PRE_ARBITRATION', 'ARBITRATION', 'COMPLIANCE'];
+const CASE_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+const AI_RECOMMENDATIONS = ['AUTO_SUBMIT', 'REVIEW_RECOMMENDED', 'GATHER_MORE_EVIDENCE', 'UNLIKELY_TO_WIN'];
+const EVIDENCE_TYPES = [
+  'ID_SCAN', 'AUTH_SIGNATURE', 'CHECKOUT_SIGNATURE', 'FOLIO', 'RESERVATION_CONFIRMATION',
+  'CANCELLATION_POLICY', 'CANCELLATION_POLICY_VIOLATION', 'KEY_CARD_LOG', 'CCTV_FOOTAGE',
+  'CORRESPONDENCE', 'INCIDENT_REPORT', 'DAMAGE_PHOTOS', 'DAMAGE_ASSESSMENT', 'POLICE_REPORT',
+  'NO_SHOW_DOCUMENTATION', 'EVIDENCE_DOSSIER', 'OTHER'
+];
+
+// Filterable fields. `relation` nests the condition under a related model.
+const FILTER_FIELDS = {
+  // Case
+  caseNumber: { type: 'string' },
+  status: { type: 'enum', values: CHARGEBACK_STATUSES },
+  stage: { type: 'enum', values: DISPUTE_STAGES },
+  priority: { type: 'enum', values: CASE_PRIORITIES },
+  guestName: { type: 'string' },
+  guestEmail: { type: 'string', nullable: true },
+  amount: { type: 'number' },
+  currency: { type: 'string', upper: true },
+  transactionAmount: { type: 'number', nullable: true },
+  recoveredAmount: { type: 'number', nullable: true },
+  writeOffAmount: { type: 'number', nullable: true },
+  acceptanceReason: { type: 'string', nullable: true },
+  settlementAmount: { type: 'number', nullable: true },
+  settlementCurrency: { type: 'string', upper: true, nullable: true },
+  propertyAmount: { type: 'number', nullable: true },
+  propertyCurrency: { type: 'string', upper: true, nullable: true },
+  transactionId: { type: 'string' },
+  cardBrand: { type: 'string', upper: true, nullable: true },
+  cardLastFour: { type: 'string', nullable: true },
+  reasonCode: { type: 'string' },
+  reasonDescription: { type: 'string', nullable: true },
+  processorDisputeId: { type: 'string', nullable: true },
+  confirmationNumber: { type: 'string', nullable: true },
+  roomType: { type: 'string', nullable: true },
+  disputeDate: { type: 'date' },
+  dueDate: { type: 'date', nullable: true },
+  networkDueDate: { type: 'date', nullable: true },
+  checkInDate: { type: 'date' },
+  checkOutDate: { type: 'date' },
+  createdAt: { type: 'date' },
+  resolvedAt: { type: 'date', nullable: true },
+  propertyId: { type: 'id' },
+  providerId: { type: 'id' },
+  assigneeId: { type: 'id', nullable: true },
+  arn: { type: 'string', nullable: true },
+  duplicateOfId: { type: 'id', nullable: true },
+
+  // AI analysis
+  confidenceScore: { type: 'integer', nullable: true },
+  recommendation: { type: 'enum', values: AI_RECOMMENDATIONS, nullable: true },
+
+  // Evidence presence: evidence = ID_SCAN / evidence != ID_SCAN
+  evidence: { type: 'evidence' },
+
+  // Linked reservation
+  'reservation.status': { type: 'string', relation: 'reservation', column: 'status' },
+  'reservation.bookingSource': { type: 'string', relation: 'reservation', column: 'bookingSource', nullable: true },
+  'reservation.bookingDate': { type: 'date', relation: 'reservation', column: 'bookingDate', nullable: true },
+  'reservation.rateCode': { type: 'string', relation: 'reservation', column: 'rateCode', nullable: true },
+  'reservation.rateAmount': { type: 'number', relation: 'reservation', column: 'rateAmount', nullable: true },
+  'reservation.totalAmount': { type: 'number', relation: 'reservation', column: 'totalAmount' },
+  'reservation.roomType': { type: 'string', relation: 'reservation', column: 'roomType', nullable: true },
+  'reservation.paymentMethod': { type: 'string', relation: 'reservation', column: 'paymentMethod', nullable: true },
+  'reservation.loyaltyNumber': { type: 'string', relation: 'reservation', column: 'loyaltyNumber', nullable: true },
+  'reservation.checkInDate': { type: 'date', relation: 'reservation', column: 'checkInDate' },
+  'reservation.checkOutDate': { type: 'date', relation: 'reservation', column: 'checkOutDate' },
+  'reservation.adults': { type: 'integer', relation: 'reservation', column: 'adults' },
+  'reservation.children': { type: 'integer', relation: 'reservation', column: 'children' }
+};
+
+// Shorter names accepted in expressions
+const FIELD_ALIASES = {
+  brand: 'cardBrand',
+  reason: 'reasonCode',
+  confidence: 'confidenceScore',
+  due: 'dueDate',
+  assignee: 'assigneeId'
+};
+
+const OPERATORS_BY_TYPE = {
+  string: ['=', '!=', '~', 'in'],
+  enum: ['=', '!=', 'in'],
+  id: ['=', '!=', 'in'],
+  number: ['=', '!=', '>', '>=', '<', '<=', 'in'],
+  integer: ['=', '!=', '>', '>=', '<', '<=', 'in'],
+  date: ['=', '!=', '>', '>=', '<', '<='],
+  evidence: ['=', '!=', 'in']
+};
+
+function expressionError(message, position) {
+  const error = new Error(position !== undefined ? `${message} (at position ${position + 1})` : message);
+  error.statusCode = 400;
+  error.position = position;
+  return error;
+}
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN'];
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    const twoChar = input.slice(i, i + 2);
+    if (['!=', '>=', '<='].includes(twoChar)) {
+      tokens.push({ type: 'op', value: twoChar, pos: i });
+      i += 2;
+      continue;
+    }
+    if (['=', '>', '<', '~'].includes(ch)) {
+      tokens.push({ type: 'op', value: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < input.length && input[j] !== ch) {
+        if (input[j] === '\\' && j + 1 < input.length) j++;
+        value += input[j];
+        j++;
+      }
+      if (j >= input.length) {
+        throw expressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'value', value, quoted: true, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    const match = /^[^\s()=!<>~,"']+/.exec(input.slice(i));
+    if (!match) {
+      throw expressionError(`Unexpected character "${ch}"`, i);
+    }
+    const word = match[0];
+    const keyword = word.toUpperCase();
+    if (KEYWORDS.includes(keyword)) {
+      tokens.push({ type: 'keyword', value: keyword, pos: i });
+    } else {
+      tokens.push({ type: 'value', value: word, quoted: false, pos: i });
+    }
+    i += word.length;
+  }
+
+  return tokens;
+}
+
+// =============================================================================
+// PARSER
+// =============================================================================
+
+function parse(input) {
+  const tokens = tokenize(input);
+  let index = 0;
+  let conditions = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isKeyword = (value) => peek()?.type === 'keyword' && peek().value === value;
+  const endPos = () => input.length;
+
+  const expect = (type, label) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw expressionError(`Expected ${label}`, token ? token.pos : endPos());
+    }
+    return token;
+  };
+
+  function parseOr(depth) {
+    const nodes = [parseAnd(depth)];
+    while (isKeyword('OR')) {
+      next();
+      nodes.push(parseAnd(depth));
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  function parseAnd(depth) {
+    const nodes = [parseUnary(depth)];
+    while (isKeyword('AND')) {
+      next();
+      nodes.push(parseUnary(depth));
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  function parseUnary(depth) {
+    if (depth > MAX_DEPTH) {
+      throw expressionError(`Expression is nested more than ${MAX_DEPTH} levels deep`, peek()?.pos);
+    }
+
+    if (isKeyword('NOT')) {
+      next();
+      return { type: 'not', node: parseUnary(depth + 1) };
+    }
+
+    if (peek()?.type === '(') {
+      next();
+      const node = parseOr(depth + 1);
+      expect(')', '")"');
+      return node;
+    }
+
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const fieldToken = next();
+    if (!fieldToken || fieldToken.type !== 'value' || fieldToken.quoted) {
+      throw expressionError('Expected a field name', fieldToken ? fieldToken.pos : endPos());
+    }
+
+    const fieldName = FIELD_ALIASES[fieldToken.value] || fieldToken.value;
+    const field = FILTER_FIELDS[fieldName];
+    if (!field) {
+      throw expressionError(`Unknown field "${fieldToken.value}"`, fieldToken.pos);
+    }
+
+    if (++conditions > MAX_CONDITIONS) {
+      throw expressionError(`Expressions are limited to ${MAX_CONDITIONS} conditions`, fieldToken.pos);
+    }
+
+    let op;
+    const opToken = peek();
+    if (opToken?.type === 'keyword' && opToken.value === 'IN') {
+      next();
+      op = 'in';
+    } else if (opToken?.type === 'op') {
+      next();
+      op = opToken.value;
+    } else {
+      throw expressionError(`Expected an operator after "${fieldToken.value}"`, opToken ? opToken.pos : endPos());
+    }
+
+    if (!OPERATORS_BY_TYPE[field.type].includes(op)) {
+      throw expressionError(`Operator "${op}" is not supported on ${fieldName}`, opToken.pos);
+    }
+
+    if (op === 'in') {
+      expect('(', '"(" after IN');
+      const values = [expect('value', 'a value')];
+      while (peek()?.type === ',') {
+        next();
+        values.push(expect('value', 'a value'));
+      }
+      expect(')', '")"');
+      return { type: 'compare', field: fieldName, op, values };
+    }
+
+    const valueToken = expect('value', `a value for ${fieldName}`);
+    return { type: 'compare', field: fieldName, op, value: valueToken };
+  }
+
+  if (tokens.length === 0) {
+    throw expressionError('Filter expression is empty');
+  }
+
+  const ast = parseOr(0);
+  if (index < tokens.length) {
+    throw expressionError('Unexpected input', tokens[index].pos);
+  }
+  return ast;
+}
+
+// =============================================================================
+// COMPILER
+// =============================================================================
+
+function isNullToken(token) {
+  return !token.quoted && token.value.toLowerCase() === 'null';
+}
+
+function isCalendarDate(year, month, day) {
+  const date = new Date(0);
+  date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+  return date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === Number(month) - 1 &&
+    date.getUTCDate() === Number(day);
+}
+
+/**
+ * Resolve a date value. Whole-day values return { start, end } covering
+ * the UTC day; instants return { start, end: null }.
+ */
+function parseDateValue(token, now) {
+  const raw = token.value.trim();
+  const lower = raw.toLowerCase();
+  const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const wholeDay = (start) => ({ start, end: new Date(start.getTime() + DAY_MS) });
+
+  if (lower === 'now') {
+    return { start: now, end: null };
+  }
+  if (lower === 'today') {
+    return wholeDay(startOfDay(now));
+  }
+
+  const relative = /^([+-]\d{1,4})([dw])$/.exec(lower);
+  if (relative) {
+    const days = parseInt(relative[1], 10) * (relative[2] === 'w' ? 7 : 1);
+    return wholeDay(new Date(startOfDay(now).getTime() + days * DAY_MS));
+  }
+
+  // Date parsing rolls impossible days over (2026-02-30 becomes March 2),
+  // so the calendar date must read back unchanged
+  const calendarDate = /^(\d{4})-(\d{2})-(\d{2})(T|$)/.exec(raw);
+  if (calendarDate && isCalendarDate(calendarDate[1], calendarDate[2], calendarDate[3])) {
+    if (!calendarDate[4]) {
+      return wholeDay(new Date(`${raw}T00:00:00Z`));
+    }
+    const date = new Date(raw);
+    if (!isNaN(date.getTime())) return { start: date, end: null };
+  }
+
+  throw expressionError(`"${raw}" is not a valid date`, token.pos);
+}
+
+function coerceValue(field, fieldName, token, context) {
+  const raw = token.value;
+
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      const value = Number(raw);
+      if (raw.trim() === '' || isNaN(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+        throw expressionError(`"${raw}" is not a valid ${field.type} for ${fieldName}`, token.pos);
+      }
+      return value;
+    }
+
+    case 'enum':
+    case 'evidence': {
+      const values = field.type === 'evidence' ? EVIDENCE_TYPES : field.values;
+      const value = raw.toUpperCase();
+      if (!values.includes(value)) {
+        throw expressionError(`"${raw}" is not a valid ${fieldName}; expected one of ${values.join(', ')}`, token.pos);
+      }
+      return value;
+    }
+
+    case 'id':
+      if (fieldName === 'assigneeId' && !token.quoted && raw.toLowerCase() === 'me') {
+        if (!context.user) {
+          throw expressionError('"me" requires a signed-in user', token.pos);
+        }
+        return context.user.id;
+      }
+      return raw;
+
+    default:
+      return field.upper ? raw.toUpperCase() : raw;
+  }
+}
+
+function compileDate(op, token, now) {
+  const { start, end } = parseDateValue(token, now);
+
+  if (!end) {
+    const prismaOps = { '=': 'equals', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+    return op === '!=' ? { not: start } : { [prismaOps[op]]: start };
+  }
+
+  switch (op) {
+    case '=': return { gte: start, lt: end };
+    case '!=': return null; // handled by the caller as NOT (range)
+    case '>': return { gte: end };
+    case '>=': return { gte: start };
+    case '<': return { lt: start };
+    case '<=': return { lt: end };
+    default: return null;
+  }
+}
+
+function wrapField(field, fieldName, condition) {
+  if (field.relation) {
+    return { [field.relation]: { is: { [field.column]: condition } } };
+  }
+  return { [fieldName]: condition };
+}
+
+function compileComparison(node, context) {
+  const field = FILTER_FIELDS[node.field];
+  const { op } = node;
+
+  if (field.type === 'evidence') {
+    const types = op === 'in'
+      ? node.values.map(token => coerceValue(field, node.field, token, context))
+      : [coerceValue(field, node.field, node.value, context)];
+    const match = { type: { in: types } };
+    return { evidence: op === '!=' ? { none: match } : { some: match } };
+  }
+
+  if (op === 'in') {
+    const values = node.values.map(token => coerceValue(field, node.field, token, context));
+    const condition = field.type === 'string' ? { in: values, mode: 'insensitive' } : { in: values };
+    return wrapField(field, node.field, condition);
+  }
+
+  if (isNullToken(node.value)) {
+    if (!field.nullable || !['=', '!='].includes(op)) {
+      throw expressionError(`${node.field} cannot be compared to null`, node.value.pos);
+    }
+    return wrapField(field, node.field, op === '=' ? null : { not: null });
+  }
+
+  if (field.type === 'date') {
+    const condition = compileDate(op, node.value, context.now);
+    if (condition === null) {
+      return { NOT: wrapField(field, node.field, compileDate('=', node.value, context.now)) };
+    }
+    return wrapField(field, node.field, condition);
+  }
+
+  const value = coerceValue(field, node.field, node.value, context);
+
+  if (field.type === 'string') {
+    const conditions = {
+      '=': { equals: value, mode: 'insensitive' },
+      '!=': { not: value, mode: 'insensitive' },
+      '~': { contains: value, mode: 'insensitive' }
+    };
+    return wrapField(field, node.field, conditions[op]);
+  }
+
+  const prismaOps = { '=': 'equals', '!=': 'not', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+  return wrapField(field, node.field, { [prismaOps[op]]: value });
+}
+
+function compileNode(node, context) {
+  switch (node.type) {
+    case 'and': return { AND: node.nodes.map(n => compileNode(n, context)) };
+    case 'or': return { OR: node.nodes.map(n => compileNode(n, context)) };
+    case 'not': return { NOT: compileNode(node.node, context) };
+    default: return compileComparison(node, context);
+  }
+}
+
+/**
+ * Compile a filter expression to a Prisma chargeback where clause.
+ * Throws an error with statusCode 400 describing the first problem found.
+ *
+ * @param {string} expression - Filter expression
+ * @param {Object} context - { user, now }
+ * @returns {Object} Prisma where clause
+ */
+function compileFilterExpression(expression, context = {}) {
+  if (typeof expression !== 'string') {
+    throw expressionError('Filter expression must be a string');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw expressionError(`Filter expressions are limited to ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const ast = parse(expression);
+  return compileNode(ast, { user: context.user || null, now: context.now || new Date() });
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  FIELD_ALIASES,
+  compileFilterExpression
+};
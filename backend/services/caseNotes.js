@@ -0,0 +1,231 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Case Notes Service
+ *
+ * Case discussions: notes with one level of replies, @mentions that notify
+ * the mentioned users, and file attachments that can be promoted to
+ * evidence. Internal notes stay inside the team; only shared notes
+ * (isInternal = false) may be quoted in rebuttal letters.
+ */
+
+const { prisma } = require('../config/database');
+const { generateS3Key, uploadFile, readFileBuffer } = require('../config/storage');
+const { getCurrentStage } = require('./disputeStages');
+const { notifyCaseFollowers } = require('./caseAssignment');
+const logger = require('../utils/logger');
+
+const MAX_MENTIONS = 20;
+
+const AUTHOR_SELECT = { id: true, firstName: true, lastName: true };
+
+const NOTE_INCLUDE = {
+  user: { select: AUTHOR_SELECT },
+  attachments: { orderBy: { createdAt: 'asc' } }
+};
+
+function noteError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Notes for a case as threads, newest thread first with replies oldest
+ * first. Mentioned users are resolved to names.
+ */
+async function getNoteThreads(chargebackId) {
+  const notes = await prisma.caseNote.findMany({
+    where: { chargebackId, parentId: null },
+    include: {
+      ...NOTE_INCLUDE,
+      replies: { include: NOTE_INCLUDE, orderBy: { createdAt: 'asc' } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const mentionedIds = [...new Set(notes.flatMap(note =>
+    [note, ...note.replies].flatMap(n => n.mentionedUserIds || [])
+  ))];
+  const users = mentionedIds.length
+    ? await prisma.user.findMany({ where: { id: { in: mentionedIds } }, select: AUTHOR_SELECT })
+    : [];
+  const byId = Object.fromEntries(users.map(u => [u.id, u]));
+  const withMentions = note => ({
+    ...note,
+    mentions: (note.mentionedUserIds || []).map(id => byId[id]).filter(Boolean)
+  });
+
+  return notes.map(note => ({
+    ...withMentions(note),
+    replies: note.replies.map(withMentions)
+  }));
+}
+
+/**
+ * Mentioned users who can see the case: active, and an admin or on the
+ * case's property
+ */
+async function resolveMentions(chargeback, userIds, authorId) {
+  const ids = [...new Set((userIds || []).filter(id => id && id !== authorId))];
+  if (ids.length === 0) return [];
+  if (ids.length > MAX_MENTIONS) {
+    throw noteError(400, `A note can mention at most ${MAX_MENTIONS} users`);
+  }
+
+  return prisma.user.findMany({
+    where: {
+      id: { in: ids },
+      isActive: true,
+      OR: [{ propertyId: chargeback.propertyId }, { role: 'ADMIN' }]
+    },
+    select: AUTHOR_SELECT
+  });
+}
+
+/**
+ * Add a note or a reply
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {Object} options - { author, content, isInternal, parentId,
+ *   mentions (user IDs), files (multer files) }
+ * @returns {Object} The note with author, attachments and mentions
+ */
+async function createNote(chargeback, options = {}) {
+  const { author, content, parentId, mentions, files = [] } = options;
+  let { isInternal = true } = options;
+
+  let parent = null;
+  if (parentId) {
+    parent = await prisma.caseNote.findFirst({
+      where: { id: parentId, chargebackId: chargeback.id }
+    });
+    if (!parent) {
+      throw noteError(404, 'The note being replied to was not found');
+    }
+    // Replies stay one level deep, and a reply in an internal thread is
+    // internal too
+    if (parent.parentId) {
+      parent = await prisma.caseNote.findUnique({ where: { id: parent.parentId } });
+    }
+    if (parent.isInternal) isInternal = true;
+  }
+
+  const mentioned = await resolveMentions(chargeback, mentions, author.id);
+
+  const attachments = [];
+  for (const file of files) {
+    const s3Key = generateS3Key(chargeback.id, 'NOTE_ATTACHMENT', file.originalname);
+    await uploadFile(file.buffer, s3Key, file.mimetype);
+    attachments.push({
+      fileName: file.originalname,
+      s3Key,
+      mimeType: file.mimetype,
+      fileSize: file.size
+    });
+  }
+
+  const note = await prisma.caseNote.create({
+    data: {
+      chargebackId: chargeback.id,
+      userId: author.id,
+      content: content.trim(),
+      isInternal,
+      parentId: parent?.id || null,
+      mentionedUserIds: mentioned.map(u => u.id),
+      ...(attachments.length && { attachments: { create: attachments } })
+    },
+    include: NOTE_INCLUDE
+  });
+
+  if (mentioned.length) {
+    await prisma.notification.createMany({
+      data: mentioned.map(user => ({
+        userId: user.id,
+        type: 'MENTION',
+        priority: 'MEDIUM',
+        title: `${author.firstName} ${author.lastName} mentioned you on ${chargeback.caseNumber}`,
+        message: note.content.length > 200 ? `${note.content.slice(0, 197)}...` : note.content,
+        link: `/cases/${chargeback.id}`,
+        metadata: { caseId: chargeback.id, noteId: note.id, parentId: note.parentId }
+      }))
+    });
+  }
+
+  logger.info(`Note added to ${chargeback.caseNumber} by ${author.email}` +
+    `${parent ? ' (reply)' : ''}${mentioned.length ? `, ${mentioned.length} mentioned` : ''}`);
+
+  return { ...note, mentions: mentioned };
+}
+
+/**
+ * Copy a note attachment into the case's evidence. The attachment keeps
+ * its own file so deleting the evidence does not break the note.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {string} attachmentId - CaseNoteAttachment ID
+ * @param {Object} options - { type, description, actor }
+ * @returns {Object} The created Evidence record
+ */
+async function promoteAttachment(chargeback, attachmentId, options = {}) {
+  const { type, description, actor } = options;
+
+  const attachment = await prisma.caseNoteAttachment.findFirst({
+    where: { id: attachmentId, note: { chargebackId: chargeback.id } }
+  });
+  if (!attachment) {
+    throw noteError(404, 'Attachment not found');
+  }
+  if (attachment.evidenceId) {
+    throw noteError(409, 'This attachment is already in the case evidence');
+  }
+
+  const buffer = await readFileBuffer(attachment.s3Key);
+  const s3Key = generateS3Key(chargeback.id, type, attachment.fileName);
+  await uploadFile(buffer, s3Key, attachment.mimeType);
+
+  const stage = await getCurrentStage(chargeback);
+  const evidence = await prisma.evidence.create({
+    data: {
+      chargebackId: chargeback.id,
+      stageId: stage.id,
+      type,
+      fileName: attachment.fileName,
+      s3Key,
+      mimeType: attachment.mimeType,
+      fileSize: attachment.fileSize,
+      description: description || `Promoted from a case note by ${actor.firstName} ${actor.lastName}`
+    }
+  });
+
+  await prisma.caseNoteAttachment.update({
+    where: { id: attachment.id },
+    data: { evidenceId: evidence.id, promotedAt: new Date(), promotedBy: actor.id }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'USER_ACTION',
+      title: 'Evidence Added from Note',
+      description: `${attachment.fileName} added as ${type.replace(/_/g, ' ')} by ${actor.firstName} ${actor.lastName}`,
+      metadata: { evidenceId: evidence.id, attachmentId: attachment.id, noteId: attachment.noteId }
+    }
+  });
+
+  await notifyCaseFollowers(chargeback, {
+    actorId: actor.id,
+    title: `New evidence: ${chargeback.caseNumber}`,
+    message: `${attachment.fileName} was added as ${type.replace(/_/g, ' ').toLowerCase()} evidence`,
+    metadata: { evidenceId: evidence.id }
+  });
+
+  return evidence;
+}
+
+module.exports = {
+  NOTE_INCLUDE,
+  getNoteThreads,
+  resolveMentions,
+  createNote,
+  promoteAttachment
+};
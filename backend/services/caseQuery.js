@@ -0,0 +1,79 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Case Query Builder
+ *
+ * Turns the case list filters (see caseFilterSchema) into a Prisma where
+ * clause, so the list endpoint, bulk operations and saved views select the
+ * same cases.
+ */
+
+const { compileFilterExpression } = require('./caseFilterExpression');
+
+/**
+ * Build a chargeback where clause from list filters
+ *
+ * @param {Object} filters - Parsed caseFilterSchema values
+ * @param {Object} user - Requesting user (for assignee=me and watching)
+ * @param {Object} propertyFilter - req.propertyFilter
+ * @returns {Object} Prisma where clause
+ * @throws {Error} statusCode 400 when the `q` expression is invalid
+ */
+function buildCaseWhere(filters = {}, user = null, propertyFilter = undefined) {
+  const { status, propertyId, providerId, dateFrom, dateTo, search, assignee, watching, q } = filters;
+
+  const where = {
+    ...propertyFilter // Property access control
+  };
+
+  if (status) {
+    where.status = { in: status.split(',') };
+  }
+
+  // Admins are not scoped by requirePropertyAccess, so honor the filter
+  // here; everyone else stays within their property
+  if (propertyId && !propertyFilter) {
+    where.propertyId = propertyId;
+  }
+
+  if (providerId) {
+    where.providerId = providerId;
+  }
+
+  if (dateFrom || dateTo) {
+    where.createdAt = {};
+    if (dateFrom) where.createdAt.gte = new Date(dateFrom);
+    if (dateTo) where.createdAt.lte = new Date(dateTo);
+  }
+
+  if (assignee === 'me') {
+    where.assigneeId = user?.id;
+  } else if (assignee === 'unassigned') {
+    where.assigneeId = null;
+  } else if (assignee) {
+    where.assigneeId = assignee;
+  }
+
+  if (watching === 'true' && user) {
+    where.watchers = { some: { userId: user.id } };
+  }
+
+  if (search) {
+    where.OR = [
+      { caseNumber: { contains: search, mode: 'insensitive' } },
+      { guestName: { contains: search, mode: 'insensitive' } },
+      { guestEmail: { contains: search, mode: 'insensitive' } },
+      { confirmationNumber: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  // Filter expression (see caseFilterExpression), ANDed with the rest
+  if (q && q.trim()) {
+    where.AND = [compileFilterExpression(q, { user })];
+  }
+
+  return where;
+}
+
+module.exports = {
+  buildCaseWhere
+};
@@ -0,0 +1,323 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Case Recycle Bin
+ *
+ * Deleting a case moves it to the recycle bin instead of removing it: the
+ * row keeps its evidence, notes and history, and records who deleted it,
+ * when and why. The database client hides deleted cases from every query
+ * (see excludeDeletedCases in config/database), so lists, analytics, syncs
+ * and intake behave as if the case were gone.
+ *
+ * Admins can restore a case from the bin or purge it for good. Cases left
+ * in the bin longer than the retention period are purged by the
+ * recycle-bin-purge job. The retention period lives in SystemConfig under
+ * `case_retention_days`.
+ */
+
+const { prisma, includeDeletedCases } = require('../config/database');
+const { deleteFile } = require('../config/storage');
+const { recordChanges } = require('./changeHistory');
+const logger = require('../utils/logger');
+
+const RETENTION_KEY = 'case_retention_days';
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.CASE_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DELETED_BY_SELECT = { id: true, firstName: true, lastName: true, email: true };
+
+function recycleBinError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// =============================================================================
+// RETENTION
+// =============================================================================
+
+async function getRetentionDays() {
+  const config = await prisma.systemConfig.findUnique({ where: { key: RETENTION_KEY } });
+  const days = parseInt(config?.value);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+async function setRetentionDays(days, userId) {
+  await prisma.systemConfig.upsert({
+    where: { key: RETENTION_KEY },
+    update: { value: days, updatedBy: userId },
+    create: {
+      key: RETENTION_KEY,
+      value: days,
+      description: 'Days a deleted case stays in the recycle bin before it is purged',
+      updatedBy: userId
+    }
+  });
+  return days;
+}
+
+function purgeDate(deletedAt, retentionDays) {
+  return new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+}
+
+// =============================================================================
+// DELETE / RESTORE
+// =============================================================================
+
+/**
+ * Move a case to the recycle bin
+ *
+ * @param {Object} chargeback - The case being deleted
+ * @param {Object} options - { actor, reason } where actor comes from
+ *   changeHistory.userActor
+ * @returns {Object} The deleted case
+ */
+async function deleteCase(chargeback, { actor, reason }) {
+  const deleted = await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: {
+      deletedAt: new Date(),
+      deletedById: actor.userId || null,
+      deletionReason: reason
+    }
+  });
+
+  await recordChanges({ entityType: 'Chargeback', before: chargeback, after: deleted, actor, reason });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'SYSTEM',
+      title: 'Case Deleted',
+      description: `Case moved to the recycle bin by ${actor.label}: ${reason}`,
+      metadata: { reason }
+    }
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      userId: actor.userId || null,
+      action: 'DELETE_CASE',
+      entityType: 'Chargeback',
+      entityId: chargeback.id,
+      oldValues: { deletedAt: null },
+      newValues: { deletedAt: deleted.deletedAt, deletionReason: reason },
+      ipAddress: actor.ipAddress || null
+    }
+  });
+
+  logger.info(`Case deleted: ${chargeback.caseNumber} by ${actor.label}`);
+
+  return deleted;
+}
+
+/**
+ * Take a case out of the recycle bin. Fails if another case has since been
+ * opened for the same processor dispute.
+ */
+async function restoreCase(id, actor) {
+  const chargeback = await prisma.chargeback.findFirst({
+    where: { id, deletedAt: { not: null } }
+  });
+  if (!chargeback) {
+    throw recycleBinError(404, 'Deleted case not found');
+  }
+
+  if (chargeback.processorDisputeId) {
+    const active = await prisma.chargeback.findFirst({
+      where: { processorDisputeId: chargeback.processorDisputeId, id: { not: id } },
+      select: { caseNumber: true }
+    });
+    if (active) {
+      throw recycleBinError(409, `Dispute ${chargeback.processorDisputeId} is already tracked by ${active.caseNumber}`);
+    }
+  }
+
+  const restored = await prisma.chargeback.update({
+    where: { id, deletedAt: { not: null } },
+    data: { deletedAt: null, deletedById: null, deletionReason: null }
+  });
+
+  await recordChanges({ entityType: 'Chargeback', before: chargeback, after: restored, actor });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: id,
+      eventType: 'SYSTEM',
+      title: 'Case Restored',
+      description: `Case restored from the recycle bin by ${actor.label}`,
+      metadata: { deletedAt: chargeback.deletedAt, deletionReason: chargeback.deletionReason }
+    }
+  });
+
+  await prisma.auditLog.create({
+    data: {
+      userId: actor.userId || null,
+      action: 'RESTORE_CASE',
+      entityType: 'Chargeback',
+      entityId: id,
+      oldValues: { deletedAt: chargeback.deletedAt, deletionReason: chargeback.deletionReason },
+      newValues: { deletedAt: null },
+      ipAddress: actor.ipAddress || null
+    }
+  });
+
+  logger.info(`Case restored: ${chargeback.caseNumber} by ${actor.label}`);
+
+  return restored;
+}
+
+// =============================================================================
+// PURGE
+// =============================================================================
+
+/**
+ * Permanently delete a case in the recycle bin, along with its evidence and
+ * note attachment files. Field history and audit entries are kept.
+ */
+async function purgeCase(id, actor) {
+  const chargeback = await prisma.chargeback.findFirst({
+    where: { id, deletedAt: { not: null } },
+    include: {
+      evidence: { select: { s3Key: true } },
+      notes: { select: { attachments: { select: { s3Key: true } } } }
+    }
+  });
+  if (!chargeback) {
+    throw recycleBinError(404, 'Deleted case not found');
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // Alerts and duplicate links do not cascade; they outlive the case
+    await tx.disputeAlert.updateMany({
+      where: { chargebackId: id },
+      data: { chargebackId: null }
+    });
+    await tx.chargeback.updateMany({
+      where: includeDeletedCases({ duplicateOfId: id }),
+      data: { duplicateOfId: null }
+    });
+    await tx.chargeback.delete({ where: { id, deletedAt: { not: null } } });
+  });
+
+  // Promoted note attachments share their key with the evidence copy
+  const keys = new Set([
+    ...chargeback.evidence.map(e => e.s3Key),
+    ...chargeback.notes.flatMap(n => n.attachments.map(a => a.s3Key))
+  ]);
+  for (const key of keys) {
+    try {
+      await deleteFile(key);
+    } catch (error) {
+      logger.warn(`Failed to delete file ${key} for purged case ${chargeback.caseNumber}:`, error.message);
+    }
+  }
+
+  await prisma.auditLog.create({
+    data: {
+      userId: actor.userId || null,
+      action: 'PURGE_CASE',
+      entityType: 'Chargeback',
+      entityId: id,
+      oldValues: {
+        caseNumber: chargeback.caseNumber,
+        propertyId: chargeback.propertyId,
+        amount: chargeback.amount,
+        deletedAt: chargeback.deletedAt,
+        deletedById: chargeback.deletedById,
+        deletionReason: chargeback.deletionReason
+      },
+      newValues: { purgedBy: actor.label, filesDeleted: keys.size },
+      ipAddress: actor.ipAddress || null
+    }
+  });
+
+  logger.info(`Case purged: ${chargeback.caseNumber} by ${actor.label}`);
+
+  return { id, caseNumber: chargeback.caseNumber, filesDeleted: keys.size };
+}
+
+/**
+ * Purge every case that has been in the recycle bin longer than the
+ * retention period
+ *
+ * @returns {Object} { retentionDays, purged, failed }
+ */
+async function purgeExpiredCases(actor, now = new Date()) {
+  const retentionDays = await getRetentionDays();
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  const expired = await prisma.chargeback.findMany({
+    where: { deletedAt: { not: null, lt: cutoff } },
+    select: { id: true, caseNumber: true }
+  });
+
+  const result = { retentionDays, purged: 0, failed: 0 };
+  for (const chargeback of expired) {
+    try {
+      await purgeCase(chargeback.id, actor);
+      result.purged++;
+    } catch (error) {
+      result.failed++;
+      logger.error(`Failed to purge ${chargeback.caseNumber}:`, error.message);
+    }
+  }
+
+  return result;
+}
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Cases in the recycle bin, most recently deleted first
+ *
+ * @param {Object} filters - { propertyId, search, page, limit }
+ * @returns {Object} { cases, total, retentionDays }
+ */
+async function listDeletedCases({ propertyId, search, page = 1, limit = 20 } = {}) {
+  const where = {
+    deletedAt: { not: null },
+    ...(propertyId && { propertyId }),
+    ...(search && {
+      OR: [
+        { caseNumber: { contains: search, mode: 'insensitive' } },
+        { guestName: { contains: search, mode: 'insensitive' } },
+        { processorDisputeId: { contains: search, mode: 'insensitive' } }
+      ]
+    })
+  };
+
+  const [cases, total, retentionDays] = await Promise.all([
+    prisma.chargeback.findMany({
+      where,
+      include: {
+        property: { select: { id: true, name: true } },
+        deletedBy: { select: DELETED_BY_SELECT }
+      },
+      orderBy: { deletedAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.chargeback.count({ where }),
+    getRetentionDays()
+  ]);
+
+  return {
+    cases: cases.map(c => ({ ...c, purgeAt: purgeDate(c.deletedAt, retentionDays) })),
+    total,
+    retentionDays
+  };
+}
+
+module.exports = {
+  RETENTION_KEY,
+  DEFAULT_RETENTION_DAYS,
+  getRetentionDays,
+  setRetentionDays,
+  deleteCase,
+  restoreCase,
+  purgeCase,
+  purgeExpiredCases,
+  listDeletedCases
+};
@@ -0,0 +1,251 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Change History Service
+ *
+ * Field-level change capture for cases, evidence and reservations. Callers
+ * pass the record before and after an update; each tracked field that
+ * changed is stored as a FieldChange with its old and new value and the
+ * actor: a user, an AI agent, a sync job, a webhook or the system.
+ *
+ * AuditLog keeps recording actions (who assigned, who accepted); this is
+ * the per-field trail behind questions like "who changed the amount".
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Large JSON blobs (aiAnalysis, rawPmsData, rebuttalLetter) and bookkeeping
+// timestamps are left out; their changes show up in the timeline instead
+const TRACKED_FIELDS = {
+  Chargeback: [
+    'status', 'stage', 'priority', 'guestName', 'guestEmail', 'guestPhone',
+    'amount', 'currency', 'settlementAmount', 'settlementCurrency', 'propertyAmount', 'propertyCurrency', 'fxRate',
+    'transactionAmount', 'recoveredAmount', 'writeOffAmount', 'transactionId', 'cardLastFour', 'cardBrand',
+    'reasonCode', 'reasonDescription', 'disputeDate', 'dueDate', 'networkDueDate', 'processorDisputeId', 'arn',
+    'checkInDate', 'checkOutDate', 'roomNumber', 'roomType', 'confirmationNumber',
+    'confidenceScore', 'recommendation', 'propertyId', 'providerId', 'reservationId', 'assigneeId',
+    'duplicateOfId', 'acceptanceReason', 'acceptedById', 'resolvedAt', 'deletedAt', 'deletionReason'
+  ],
+  Evidence: ['type', 'fileName', 'description', 'verified', 'verifiedAt', 'stageId'],
+  Reservation: [
+    'status', 'guestName', 'guestEmail', 'guestPhone', 'checkInDate', 'checkOutDate', 'actualCheckIn', 'actualCheckOut',
+    'roomNumber', 'roomType', 'adults', 'children', 'totalAmount', 'currency', 'rateCode', 'rateAmount',
+    'cardLastFour', 'cardBrand', 'paymentMethod', 'bookingDate', 'bookingSource', 'loyaltyNumber', 'guestProfileId'
+  ]
+};
+
+const ACTOR_TYPES = ['USER', 'AI_AGENT', 'SYNC', 'WEBHOOK', 'SYSTEM'];
+
+// =============================================================================
+// ACTORS
+// =============================================================================
+
+function userActor(user, ipAddress = null) {
+  return {
+    type: 'USER',
+    userId: user.id,
+    label: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || null,
+    ipAddress
+  };
+}
+
+function agentActor(name) {
+  return { type: 'AI_AGENT', label: name };
+}
+
+function syncActor(source) {
+  return { type: 'SYNC', label: source };
+}
+
+function webhookActor(source) {
+  return { type: 'WEBHOOK', label: source };
+}
+
+function systemActor(label) {
+  return { type: 'SYSTEM', label };
+}
+
+// =============================================================================
+// CAPTURE
+// =============================================================================
+
+/**
+ * A value as it is stored in the history: dates as ISO strings, decimals
+ * as strings so amounts keep their precision
+ */
+function toHistoryValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && typeof value.toFixed === 'function') return value.toString();
+  return value;
+}
+
+/**
+ * Tracked fields that differ between two versions of a record
+ *
+ * @param {string} entityType - Chargeback, Evidence or Reservation
+ * @param {Object} before - Record before the update
+ * @param {Object} after - Record after the update
+ * @param {string[]} fields - Fields to compare (default: the tracked fields)
+ * @returns {Object[]} [{ field, oldValue, newValue }]
+ */
+function diffFields(entityType, before, after, fields = TRACKED_FIELDS[entityType] || []) {
+  const changes = [];
+  for (const field of fields) {
+    if (!after || after[field] === undefined) continue;
+    const oldValue = toHistoryValue(before?.[field]);
+    const newValue = toHistoryValue(after[field]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Store the changed fields of an update. History is written after the
+ * update itself, so a failure here is logged rather than undoing the
+ * change.
+ *
+ * @param {Object} change - { entityType, entityId, chargebackId, before,
+ *   after, actor, source, reason, fields }
+ * @returns {Object[]} The changes recorded
+ */
+async function recordChanges(change) {
+  const { entityType, before, after, actor, source, reason, fields } = change;
+  const entityId = change.entityId || after?.id || before?.id;
+  const chargebackId = change.chargebackId ??
+    (entityType === 'Chargeback' ? entityId : after?.chargebackId || before?.chargebackId || null);
+
+  const changes = diffFields(entityType, before, after, fields);
+  if (changes.length === 0) return [];
+
+  if (!ACTOR_TYPES.includes(actor?.type)) {
+    throw new Error(`Unknown change actor type: ${actor?.type}`);
+  }
+
+  const changeSetId = crypto.randomUUID();
+  try {
+    await prisma.fieldChange.createMany({
+      data: changes.map(({ field, oldValue, newValue }) => ({
+        entityType,
+        entityId,
+        chargebackId,
+        field,
+        // Nulls are left out so they are stored as SQL NULL
+        ...(oldValue !== null && { oldValue }),
+        ...(newValue !== null && { newValue }),
+        changeSetId,
+        actorType: actor.type,
+        actorLabel: actor.label || null,
+        userId: actor.userId || null,
+        ipAddress: actor.ipAddress || null,
+        source: source || null,
+        reason: reason || null
+      }))
+    });
+  } catch (error) {
+    logger.error(`Failed to record ${entityType} ${entityId} changes (${changes.map(c => c.field).join(', ')}): ${error.message}`);
+  }
+
+  return changes;
+}
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+const CHANGE_INCLUDE = {
+  user: { select: { id: true, firstName: true, lastName: true, email: true } }
+};
+
+/**
+ * Change history for one record, or for any records matching the filters
+ *
+ * @param {Object} filters - { entityType, entityId, chargebackId, field,
+ *   actorType, userId, from, to, limit, offset }
+ * @returns {Object} { changes, total }
+ */
+async function getChangeHistory(filters = {}) {
+  const { entityType, entityId, chargebackId, field, actorType, userId, from, to, limit = 100, offset = 0 } = filters;
+
+  const where = {
+    ...(entityType && { entityType }),
+    ...(entityId && { entityId }),
+    ...(chargebackId && { chargebackId }),
+    ...(field && { field }),
+    ...(actorType && { actorType }),
+    ...(userId && { userId }),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      }
+    })
+  };
+
+  const [changes, total] = await Promise.all([
+    prisma.fieldChange.findMany({
+      where,
+      include: CHANGE_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.fieldChange.count({ where })
+  ]);
+
+  return { changes, total };
+}
+
+/**
+ * A case's history: the case itself, its evidence, and the linked
+ * reservation's synced changes
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {Object} filters - { entityType, field, actorType, limit, offset }
+ * @returns {Object} { changes, total }
+ */
+async function getCaseHistory(chargeback, filters = {}) {
+  const { entityType, field, actorType, limit = 200, offset = 0 } = filters;
+
+  const sources = [{ chargebackId: chargeback.id }];
+  if (chargeback.reservationId) {
+    sources.push({ entityType: 'Reservation', entityId: chargeback.reservationId });
+  }
+
+  const where = {
+    OR: sources,
+    ...(entityType && { entityType }),
+    ...(field && { field }),
+    ...(actorType && { actorType })
+  };
+
+  const [changes, total] = await Promise.all([
+    prisma.fieldChange.findMany({
+      where,
+      include: CHANGE_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.fieldChange.count({ where })
+  ]);
+
+  return { changes, total };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  ACTOR_TYPES,
+  userActor,
+  agentActor,
+  syncActor,
+  webhookActor,
+  systemActor,
+  diffFields,
+  recordChanges,
+  getChangeHistory,
+  getCaseHistory
+};
@@ -0,0 +1,323 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Defense Config Simulation
+ *
+ * Replays a proposed defense config over historical cases before it goes
+ * live. Each case in the date range is scored twice with the same engine
+ * (services/fraudDetection.scoreChargeback): once with the scope's active
+ * config and once with the proposed one. Nothing is written to the cases.
+ *
+ * The report covers:
+ * - recommendation transitions (e.g. AUTO_SUBMIT -> REVIEW_RECOMMENDED)
+ * - projected submission volume, counting AUTO_SUBMIT and
+ *   REVIEW_RECOMMENDED as cases we would contest
+ * - how well each config's confidence separates cases actually WON from
+ *   cases LOST: AUC, mean scores and a contest/not-contest confusion matrix
+ *
+ * A simulation is stored so it can be approved later; approving publishes
+ * its changes as a new config version, provided the scope's active version
+ * is still the one the simulation was run against.
+ */
+
+const { prisma } = require('../config/database');
+const { defenseConfigService, GLOBAL_SCOPE } = require('./aiDefenseConfig');
+const { scoreChargeback } = require('./fraudDetection');
+const {
+  REPORTING_SELECT, getReportingCurrency, convertCaseAmounts, sumConverted, countUnconverted
+} = require('./currencyConversion');
+const logger = require('../utils/logger');
+
+const MAX_CASES = parseInt(process.env.CONFIG_SIMULATION_MAX_CASES) || 5000;
+const CHANGED_CASES_LIMIT = 100;
+
+const RECOMMENDATIONS = ['AUTO_SUBMIT', 'REVIEW_RECOMMENDED', 'GATHER_MORE_EVIDENCE', 'UNLIKELY_TO_WIN'];
+const SUBMIT_RECOMMENDATIONS = ['AUTO_SUBMIT', 'REVIEW_RECOMMENDED'];
+
+function simulationError(statusCode, message, details = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+function round(value, places = 2) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+/**
+ * Recommendation counts and the cases we would contest
+ */
+function summarizeRecommendations(rows, side) {
+  const counts = Object.fromEntries(RECOMMENDATIONS.map(r => [r, 0]));
+  for (const row of rows) counts[row[side].recommendation]++;
+
+  const submitted = (row) => SUBMIT_RECOMMENDATIONS.includes(row[side].recommendation);
+  return {
+    recommendations: counts,
+    submissions: {
+      count: rows.filter(submitted).length,
+      autoSubmit: counts.AUTO_SUBMIT,
+      amount: sumConverted(rows, submitted)
+    }
+  };
+}
+
+/**
+ * Probability that a random WON case scores above a random LOST one, with
+ * ties counted as half (Mann-Whitney U over score ranks)
+ */
+function areaUnderCurve(won, lost) {
+  if (won.length === 0 || lost.length === 0) return null;
+
+  const scores = [...won.map(s => ({ s, won: true })), ...lost.map(s => ({ s, won: false }))]
+    .sort((a, b) => a.s - b.s);
+
+  let rankSumWon = 0;
+  for (let i = 0; i < scores.length;) {
+    let j = i;
+    while (j < scores.length && scores[j].s === scores[i].s) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (scores[k].won) rankSumWon += averageRank;
+    }
+    i = j;
+  }
+
+  const u = rankSumWon - (won.length * (won.length + 1)) / 2;
+  return round(u / (won.length * lost.length), 3);
+}
+
+/**
+ * How well one side's scores separate actual wins from losses
+ */
+function separation(decided, side) {
+  const won = decided.filter(r => r.status === 'WON').map(r => r[side].score);
+  const lost = decided.filter(r => r.status === 'LOST').map(r => r[side].score);
+  const mean = (scores) => scores.length > 0 ? round(scores.reduce((a, b) => a + b, 0) / scores.length, 1) : null;
+
+  const confusion = { truePositive: 0, falsePositive: 0, falseNegative: 0, trueNegative: 0 };
+  for (const row of decided) {
+    const contested = SUBMIT_RECOMMENDATIONS.includes(row[side].recommendation);
+    if (contested) confusion[row.status === 'WON' ? 'truePositive' : 'falsePositive']++;
+    else confusion[row.status === 'WON' ? 'falseNegative' : 'trueNegative']++;
+  }
+
+  const { truePositive: tp, falsePositive: fp, falseNegative: fn, trueNegative: tn } = confusion;
+  return {
+    auc: areaUnderCurve(won, lost),
+    meanScore: { won: mean(won), lost: mean(lost) },
+    confusion,
+    precision: tp + fp > 0 ? round(tp / (tp + fp), 3) : null,
+    recall: tp + fn > 0 ? round(tp / (tp + fn), 3) : null,
+    accuracy: decided.length > 0 ? round((tp + tn) / decided.length, 3) : null
+  };
+}
+
+function buildReport(rows, { currency, truncated, excludedCases }) {
+  const transitions = new Map();
+  for (const row of rows) {
+    if (row.before.recommendation === row.after.recommendation) continue;
+    const key = `${row.before.recommendation}>${row.after.recommendation}`;
+    const transition = transitions.get(key) || { from: row.before.recommendation, to: row.after.recommendation, count: 0 };
+    transition.count++;
+    transitions.set(key, transition);
+  }
+
+  const changed = rows.filter(r => r.before.recommendation !== r.after.recommendation);
+  const decided = rows.filter(r => r.status === 'WON' || r.status === 'LOST');
+
+  return {
+    cases: rows.length,
+    decidedCases: decided.length,
+    truncated,
+    excludedCases,
+    currency,
+    unconvertedCases: countUnconverted(rows),
+    unchanged: rows.length - changed.length,
+    transitions: [...transitions.values()].sort((a, b) => b.count - a.count),
+    before: { ...summarizeRecommendations(rows, 'before'), separation: separation(decided, 'before') },
+    after: { ...summarizeRecommendations(rows, 'after'), separation: separation(decided, 'after') },
+    changedCases: changed
+      .sort((a, b) => Math.abs(b.after.score - b.before.score) - Math.abs(a.after.score - a.before.score))
+      .slice(0, CHANGED_CASES_LIMIT)
+      .map(({ id, caseNumber, status, before, after }) => ({ id, caseNumber, status, before, after }))
+  };
+}
+
+// =============================================================================
+// SIMULATION
+// =============================================================================
+
+/**
+ * Cases disputed in the range whose scoring the scope's config controls.
+ * The global config only controls properties without their own config.
+ */
+async function loadCases(scope, dateFrom, dateTo) {
+  const cases = await prisma.chargeback.findMany({
+    where: {
+      disputeDate: { gte: dateFrom, lte: dateTo },
+      ...(scope !== GLOBAL_SCOPE && { propertyId: scope })
+    },
+    select: {
+      ...REPORTING_SELECT,
+      id: true,
+      caseNumber: true,
+      status: true,
+      propertyId: true,
+      providerId: true,
+      reasonCode: true,
+      transactionAmount: true,
+      checkInDate: true,
+      checkOutDate: true,
+      createdAt: true,
+      evidence: { select: { type: true, verified: true } },
+      disputedLines: { include: { folioItem: true } }
+    },
+    orderBy: { disputeDate: 'desc' },
+    take: MAX_CASES + 1
+  });
+
+  const truncated = cases.length > MAX_CASES;
+  if (truncated) cases.pop();
+
+  if (scope !== GLOBAL_SCOPE) {
+    return { cases, truncated, excludedCases: 0 };
+  }
+
+  const inherits = new Map();
+  for (const propertyId of new Set(cases.map(c => c.propertyId))) {
+    const active = await defenseConfigService.getActiveConfig(propertyId);
+    inherits.set(propertyId, active.inherited);
+  }
+  const included = cases.filter(c => inherits.get(c.propertyId));
+
+  return { cases: included, truncated, excludedCases: cases.length - included.length };
+}
+
+/**
+ * Replay proposed changes to a scope's config over the cases disputed
+ * between dateFrom and dateTo, and store the report
+ *
+ * @param {string} scope - 'global' or a property ID
+ * @param {Object} changes - Partial config, as for updateConfig
+ * @param {Object} options - { dateFrom, dateTo, userId }
+ * @returns {Object} The DefenseConfigSimulation
+ */
+async function simulateConfig(scope, changes, { dateFrom, dateTo, userId = null }) {
+  if (dateFrom > dateTo) {
+    throw simulationError(400, 'dateFrom must be before dateTo');
+  }
+
+  const current = await defenseConfigService.getActiveConfig(scope);
+  const proposedConfig = defenseConfigService.buildConfig(current.config, changes);
+  const validation = defenseConfigService.validateConfig(proposedConfig);
+  if (!validation.valid) {
+    throw simulationError(422, 'Invalid defense configuration', validation.errors);
+  }
+  const proposed = { scope, versionId: null, version: null, config: proposedConfig };
+
+  const { cases, truncated, excludedCases } = await loadCases(scope, dateFrom, dateTo);
+  const currency = await getReportingCurrency({ propertyId: scope !== GLOBAL_SCOPE ? scope : null });
+  await convertCaseAmounts(cases, currency);
+
+  const rows = cases.map(chargeback => {
+    const before = scoreChargeback(chargeback, current);
+    const after = scoreChargeback(chargeback, proposed);
+    return {
+      id: chargeback.id,
+      caseNumber: chargeback.caseNumber,
+      status: chargeback.status,
+      reportingAmount: chargeback.reportingAmount,
+      before: { score: before.confidenceScore, recommendation: before.recommendation },
+      after: { score: after.confidenceScore, recommendation: after.recommendation }
+    };
+  });
+
+  const report = buildReport(rows, { currency, truncated, excludedCases });
+
+  const simulation = await prisma.defenseConfigSimulation.create({
+    data: {
+      scope,
+      changes,
+      baseVersionId: current.versionId,
+      baseVersion: current.version,
+      dateFrom,
+      dateTo,
+      report,
+      createdBy: userId
+    }
+  });
+
+  logger.info(`Defense config simulation for ${scope}: ${rows.length} cases, ${rows.length - report.unchanged} recommendations changed`);
+
+  return simulation;
+}
+
+/**
+ * Publish a simulation's changes as a new version of its scope's config
+ */
+async function approveSimulation(id, { userId = null, note = null } = {}) {
+  const simulation = await prisma.defenseConfigSimulation.findUnique({ where: { id } });
+  if (!simulation) {
+    throw simulationError(404, 'Simulation not found');
+  }
+  if (simulation.status !== 'pending') {
+    throw simulationError(409, `Simulation has already been ${simulation.status}`);
+  }
+
+  const current = await defenseConfigService.getActiveConfig(simulation.scope);
+  if (current.versionId !== simulation.baseVersionId) {
+    throw simulationError(409, 'The defense config has changed since this simulation was run; run it again');
+  }
+
+  const active = await defenseConfigService.updateConfig(simulation.scope, simulation.changes, {
+    userId,
+    note: note || `Approved simulation over ${simulation.report.cases} cases`
+  });
+
+  const approved = await prisma.defenseConfigSimulation.update({
+    where: { id },
+    data: {
+      status: 'approved',
+      approvedBy: userId,
+      approvedAt: new Date(),
+      configVersion: active.version
+    }
+  });
+
+  logger.info(`Defense config simulation ${id} approved as ${simulation.scope} v${active.version}`);
+
+  return { simulation: approved, active };
+}
+
+/**
+ * Recent simulations for a scope, newest first, without their reports
+ */
+async function listSimulations(scope, limit = 20) {
+  return prisma.defenseConfigSimulation.findMany({
+    where: { scope },
+    select: {
+      id: true, status: true, changes: true, baseVersion: true, dateFrom: true, dateTo: true,
+      createdBy: true, approvedBy: true, approvedAt: true, configVersion: true, createdAt: true
+    },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+async function getSimulation(scope, id) {
+  return prisma.defenseConfigSimulation.findFirst({ where: { id, scope } });
+}
+
+module.exports = {
+  SUBMIT_RECOMMENDATIONS,
+  areaUnderCurve,
+  simulateConfig,
+  approveSimulation,
+  listSimulations,
+  getSimulation
+};
@@ -0,0 +1,692 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Currency Conversion
+ *
+ * Disputes arrive in the transaction currency, are settled by the acquirer
+ * in the merchant's settlement currency, and are reported in the property's
+ * currency (or the portfolio currency across properties). Conversion uses
+ * the locally maintained ExchangeRate table: the rate for a date is the
+ * latest one effective on or before it, looked up directly, as the inverse
+ * pair, or across FX_PIVOT_CURRENCY. Rates older than FX_MAX_RATE_AGE_DAYS
+ * at the conversion date are not used.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+const FX_PIVOT_CURRENCY = (process.env.FX_PIVOT_CURRENCY || 'USD').toUpperCase();
+const FX_MAX_RATE_AGE_DAYS = parseInt(process.env.FX_MAX_RATE_AGE_DAYS) || 31;
+const DEFAULT_PORTFOLIO_CURRENCY = (process.env.PORTFOLIO_CURRENCY || 'USD').toUpperCase();
+const PORTFOLIO_CURRENCY_KEY = 'portfolio_currency';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_IMPORT_ROWS = 20000;
+const MAX_REPORTED_ERRORS = 50;
+
+// CSV header aliases -> field
+const CSV_COLUMNS = {
+  date: 'effectiveDate',
+  effectivedate: 'effectiveDate',
+  base: 'baseCurrency',
+  basecurrency: 'baseCurrency',
+  from: 'baseCurrency',
+  quote: 'quoteCurrency',
+  quotecurrency: 'quoteCurrency',
+  to: 'quoteCurrency',
+  rate: 'rate',
+  source: 'source'
+};
+
+function fxError(statusCode, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+function normalizeCurrency(code) {
+  const value = String(code || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(value) ? value : null;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+/**
+ * Create a converter that loads each currency pair's rate history once and
+ * answers lookups from memory. Use one per request or job so reports over
+ * many cases cost one query per pair.
+ */
+function createConverter() {
+  const pairs = new Map();
+
+  function loadPair(base, quote) {
+    const key = `${base}/${quote}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, prisma.exchangeRate.findMany({
+        where: { baseCurrency: base, quoteCurrency: quote },
+        select: { rate: true, effectiveDate: true },
+        orderBy: { effectiveDate: 'asc' }
+      }).then(rows => rows.map(r => ({ rate: Number(r.rate), effectiveDate: r.effectiveDate }))));
+    }
+    return pairs.get(key);
+  }
+
+  // Latest rate effective on or before the date, if not too old
+  async function directRate(base, quote, date) {
+    const rates = await loadPair(base, quote);
+    let low = 0;
+    let high = rates.length - 1;
+    let found = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (rates[mid].effectiveDate <= date) {
+        found = rates[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    if (!found || date - found.effectiveDate > FX_MAX_RATE_AGE_DAYS * DAY_MS) {
+      return null;
+    }
+    return found;
+  }
+
+  async function pairRate(base, quote, date) {
+    const direct = await directRate(base, quote, date);
+    if (direct) return direct;
+
+    const inverse = await directRate(quote, base, date);
+    return inverse ? { rate: 1 / inverse.rate, effectiveDate: inverse.effectiveDate } : null;
+  }
+
+  /**
+   * Rate to convert one unit of `from` into `to` on a date
+   * Returns { rate, effectiveDate } or null when no usable rate exists
+   */
+  async function rateFor(from, to, date = new Date()) {
+    const base = normalizeCurrency(from);
+    const quote = normalizeCurrency(to);
+    if (!base || !quote) return null;
+    if (base === quote) return { rate: 1, effectiveDate: null };
+
+    const at = new Date(date);
+    const pair = await pairRate(base, quote, at);
+    if (pair || base === FX_PIVOT_CURRENCY || quote === FX_PIVOT_CURRENCY) {
+      return pair;
+    }
+
+    // Cross through the pivot; the older leg dates the rate
+    const [first, second] = await Promise.all([
+      pairRate(base, FX_PIVOT_CURRENCY, at),
+      pairRate(FX_PIVOT_CURRENCY, quote, at)
+    ]);
+    if (!first || !second) return null;
+    return {
+      rate: first.rate * second.rate,
+      effectiveDate: first.effectiveDate < second.effectiveDate ? first.effectiveDate : second.effectiveDate
+    };
+  }
+
+  async function convert(amount, from, to, date) {
+    const found = await rateFor(from, to, date);
+    return found ? round(Number(amount) * found.rate) : null;
+  }
+
+  /**
+   * A case's amount in the given currency. The stored property amount is
+   * used when it is already in that currency, so reports match the case.
+   */
+  async function caseAmount(chargeback, currency) {
+    if (chargeback.propertyAmount !== null && chargeback.propertyAmount !== undefined &&
+        chargeback.propertyCurrency === currency) {
+      return Number(chargeback.propertyAmount);
+    }
+    return convert(chargeback.amount, chargeback.currency, currency, chargeback.disputeDate);
+  }
+
+  return { rateFor, convert, caseAmount };
+}
+
+/**
+ * Settlement and property-currency amounts for a case, to spread into the
+ * chargeback data at intake. A settlement amount already in the property's
+ * currency is what was actually debited, so it is used as the property
+ * amount; otherwise the disputed amount is converted at the dispute date.
+ *
+ * @param {Object} intake - { amount, currency, disputeDate, propertyId, settlementAmount?, settlementCurrency? }
+ * @param {Object} [options] - { converter, propertyCurrency }
+ */
+async function computeCaseAmounts(intake, options = {}) {
+  const converter = options.converter || createConverter();
+  const currency = normalizeCurrency(intake.currency) || 'USD';
+  const settlementCurrency = normalizeCurrency(intake.settlementCurrency);
+  const hasSettlement = settlementCurrency && intake.settlementAmount !== null &&
+    intake.settlementAmount !== undefined && Number.isFinite(Number(intake.settlementAmount));
+
+  let propertyCurrency = normalizeCurrency(options.propertyCurrency);
+  if (!propertyCurrency && intake.propertyId) {
+    const property = await prisma.property.findUnique({
+      where: { id: intake.propertyId },
+      select: { currency: true }
+    });
+    propertyCurrency = normalizeCurrency(property?.currency);
+  }
+
+  const amounts = {
+    settlementAmount: hasSettlement ? Math.abs(Number(intake.settlementAmount)) : null,
+    settlementCurrency: hasSettlement ? settlementCurrency : null,
+    propertyAmount: null,
+    propertyCurrency: propertyCurrency || null,
+    fxRate: null,
+    fxRateDate: null
+  };
+  if (!propertyCurrency) return amounts;
+
+  const amount = Number(intake.amount);
+  if (hasSettlement && settlementCurrency === propertyCurrency) {
+    amounts.propertyAmount = amounts.settlementAmount;
+    amounts.fxRate = amount > 0 ? round(amounts.settlementAmount / amount, 8) : null;
+    return amounts;
+  }
+
+  const found = await converter.rateFor(currency, propertyCurrency, intake.disputeDate || new Date());
+  if (found) {
+    amounts.propertyAmount = round(amount * found.rate);
+    amounts.fxRate = round(found.rate, 8);
+    amounts.fxRateDate = found.effectiveDate;
+  } else {
+    logger.warn(`No ${currency}/${propertyCurrency} exchange rate for ${new Date(intake.disputeDate || Date.now()).toISOString().slice(0, 10)}`);
+  }
+  return amounts;
+}
+
+/**
+ * Recompute property amounts after rates change: cases not yet converted,
+ * and cases converted with a dated rate on or after `since`. Cases whose
+ * property amount came from the settlement amount are left alone.
+ *
+ * @returns {number} Cases updated
+ */
+async function refreshCaseAmounts({ since } = {}) {
+  const converter = createConverter();
+  const properties = await prisma.property.findMany({ select: { id: true, currency: true } });
+  const propertyCurrencies = new Map(properties.map(p => [p.id, p.currency]));
+
+  const where = {
+    OR: [
+      { propertyAmount: null },
+      ...(since ? [{ fxRateDate: { not: null }, disputeDate: { gte: since } }] : [])
+    ]
+  };
+
+  let updated = 0;
+  let cursor;
+  for (;;) {
+    const page = await prisma.chargeback.findMany({
+      where,
+      select: {
+        id: true, amount: true, currency: true, disputeDate: true, propertyId: true,
+        settlementAmount: true, settlementCurrency: true,
+        propertyAmount: true, propertyCurrency: true, fxRate: true
+      },
+      orderBy: { id: 'asc' },
+      take: 200,
+      ...(cursor && { skip: 1, cursor: { id: cursor } })
+    });
+    if (page.length === 0) break;
+
+    for (const chargeback of page) {
+      const amounts = await computeCaseAmounts(chargeback, {
+        converter,
+        propertyCurrency: propertyCurrencies.get(chargeback.propertyId)
+      });
+      const unchanged = amounts.propertyAmount === null ||
+        (chargeback.propertyAmount !== null &&
+         Number(chargeback.propertyAmount) === amounts.propertyAmount &&
+         chargeback.propertyCurrency === amounts.propertyCurrency &&
+         Number(chargeback.fxRate) === amounts.fxRate);
+      if (unchanged) continue;
+
+      await prisma.chargeback.update({
+        where: { id: chargeback.id },
+        data: {
+          propertyAmount: amounts.propertyAmount,
+          propertyCurrency: amounts.propertyCurrency,
+          fxRate: amounts.fxRate,
+          fxRateDate: amounts.fxRateDate
+        }
+      });
+      updated++;
+    }
+    cursor = page[page.length - 1].id;
+  }
+
+  return updated;
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Currency to report in: an explicitly requested currency, else the
+ * property's currency, else the portfolio currency (SystemConfig
+ * `portfolio_currency`, falling back to PORTFOLIO_CURRENCY).
+ */
+async function getReportingCurrency({ propertyId, requested } = {}) {
+  const explicit = normalizeCurrency(requested);
+  if (explicit) return explicit;
+
+  if (propertyId) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { currency: true }
+    });
+    const currency = normalizeCurrency(property?.currency);
+    if (currency) return currency;
+  }
+
+  const config = await prisma.systemConfig.findUnique({ where: { key: PORTFOLIO_CURRENCY_KEY } });
+  return normalizeCurrency(config?.value) || DEFAULT_PORTFOLIO_CURRENCY;
+}
+
+/**
+ * Set `reportingAmount` on each case row (null when it cannot be
+ * converted). Rows need amount, currency, disputeDate, propertyAmount and
+ * propertyCurrency.
+ */
+async function convertCaseAmounts(rows, currency, converter = createConverter()) {
+  for (const row of rows) {
+    row.reportingAmount = await converter.caseAmount(row, currency);
+  }
+  return rows;
+}
+
+/**
+ * Sum converted amounts, optionally over a subset of rows
+ */
+function sumConverted(rows, predicate) {
+  return round(rows.reduce((sum, row) =>
+    (!predicate || predicate(row) ? sum + (row.reportingAmount || 0) : sum), 0));
+}
+
+/**
+ * Share of a case's disputed amount that was recovered. A win with no
+ * recorded recovered amount is treated as a full recovery.
+ */
+function recoveredShare(row) {
+  if (row.status !== 'WON') return 0;
+  if (row.recoveredAmount === null || row.recoveredAmount === undefined || !Number(row.amount)) return 1;
+  return Math.min(1, Number(row.recoveredAmount) / Number(row.amount));
+}
+
+/**
+ * Sum converted recovered amounts. Rows also need status and recoveredAmount.
+ */
+function sumRecovered(rows, predicate) {
+  return round(rows.reduce((sum, row) =>
+    (!predicate || predicate(row) ? sum + (row.reportingAmount || 0) * recoveredShare(row) : sum), 0));
+}
+
+/**
+ * Sum converted write-offs on accepted cases. Rows also need writeOffAmount.
+ */
+function sumWrittenOff(rows) {
+  return round(rows.reduce((sum, row) => {
+    if (row.status !== 'ACCEPTED' || !Number(row.amount)) return sum;
+    const writeOff = row.writeOffAmount ?? row.amount;
+    return sum + (row.reportingAmount || 0) * Math.min(1, Number(writeOff) / Number(row.amount));
+  }, 0));
+}
+
+/**
+ * Sum converted chargeback and arbitration fees. Rows also need outcome
+ * ({ chargebackFee, arbitrationFee }); cases with no outcome record have
+ * no fees.
+ */
+function sumFees(rows, predicate) {
+  return round(rows.reduce((sum, row) => {
+    if ((predicate && !predicate(row)) || !row.outcome || !Number(row.amount)) return sum;
+    const fees = Number(row.outcome.chargebackFee || 0) + Number(row.outcome.arbitrationFee || 0);
+    return sum + (row.reportingAmount || 0) * (fees / Number(row.amount));
+  }, 0));
+}
+
+/**
+ * Converted amount recovered on wins less the fees paid across all cases
+ */
+function sumNetRecovery(rows, predicate) {
+  return round(sumRecovered(rows, predicate) - sumFees(rows, predicate));
+}
+
+function countUnconverted(rows) {
+  return rows.reduce((sum, row) => (row.reportingAmount === null ? sum + (row.count ?? 1) : sum), 0);
+}
+
+/**
+ * Case totals for reports over many cases, summed by the database instead
+ * of loading every case. Cases are grouped by status, currency and property
+ * currency (plus `by`), and each group is returned shaped like a case row
+ * with a `count`, so convertCaseAmounts and the sum helpers above work on
+ * it: the group's sums are converted once, at the rate on its latest
+ * dispute date. The stored property amounts are used when every case in
+ * the group has one. Fees are not included; see sumCaseFees.
+ *
+ * @param {Object} where - Chargeback filter
+ * @param {string[]} [by] - Extra chargeback fields to group by
+ * @returns {Object[]} Groups of { ...by, status, currency, propertyCurrency, count, amount,
+ *   propertyAmount, recoveredAmount, writeOffAmount, disputeDate }
+ */
+async function sumCaseAmounts(where = {}, by = []) {
+  const fields = [...by, 'status', 'currency', 'propertyCurrency'];
+
+  const [groups, fullAmounts] = await Promise.all([
+    prisma.chargeback.groupBy({
+      by: fields,
+      where,
+      _count: { _all: true, propertyAmount: true },
+      _sum: { amount: true, propertyAmount: true, recoveredAmount: true, writeOffAmount: true },
+      _max: { disputeDate: true }
+    }),
+    // Wins with no recorded recovery, and acceptances with no write-off,
+    // count the whole disputed amount
+    prisma.chargeback.groupBy({
+      by: fields,
+      where: {
+        AND: [
+          where,
+          { OR: [{ status: 'WON', recoveredAmount: null }, { status: 'ACCEPTED', writeOffAmount: null }] }
+        ]
+      },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const keyOf = (group) => fields.map(field => group[field]).join('|');
+  const fullByKey = new Map(fullAmounts.map(group => [keyOf(group), Number(group._sum.amount || 0)]));
+
+  return groups.map(group => {
+    const full = fullByKey.get(keyOf(group)) || 0;
+    return {
+      ...Object.fromEntries(fields.map(field => [field, group[field]])),
+      count: group._count._all,
+      amount: Number(group._sum.amount || 0),
+      propertyAmount: group._count.propertyAmount === group._count._all ? Number(group._sum.propertyAmount || 0) : null,
+      recoveredAmount: Number(group._sum.recoveredAmount || 0) + (group.status === 'WON' ? full : 0),
+      writeOffAmount: Number(group._sum.writeOffAmount || 0) + (group.status === 'ACCEPTED' ? full : 0),
+      disputeDate: group._max.disputeDate
+    };
+  });
+}
+
+/**
+ * Chargeback and arbitration fees on the cases matching `where`, summed per
+ * outcome currency and converted at the rate on the latest decision date
+ *
+ * @returns {number} Fees in the reporting currency
+ */
+async function sumCaseFees(where = {}, currency, converter = createConverter()) {
+  const groups = await prisma.caseOutcome.groupBy({
+    by: ['currency'],
+    // Relation filters are not covered by the recycle-bin filter
+    where: { chargeback: { ...where, deletedAt: null } },
+    _sum: { chargebackFee: true, arbitrationFee: true },
+    _max: { decidedAt: true }
+  });
+
+  let total = 0;
+  for (const group of groups) {
+    const fees = Number(group._sum.chargebackFee || 0) + Number(group._sum.arbitrationFee || 0);
+    if (fees > 0) {
+      total += (await converter.convert(fees, group.currency, currency, group._max.decidedAt)) || 0;
+    }
+  }
+  return round(total);
+}
+
+/**
+ * Number of cases in case rows or sumCaseAmounts groups
+ */
+function countCases(rows, predicate) {
+  return rows.reduce((sum, row) => (!predicate || predicate(row) ? sum + (row.count ?? 1) : sum), 0);
+}
+
+// Columns to select for convertCaseAmounts
+const REPORTING_SELECT = {
+  amount: true,
+  currency: true,
+  disputeDate: true,
+  propertyAmount: true,
+  propertyCurrency: true,
+  recoveredAmount: true,
+  writeOffAmount: true,
+  outcome: { select: { chargebackFee: true, arbitrationFee: true } }
+};
+
+// =============================================================================
+// RATE TABLE
+// =============================================================================
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Parse an exchange rate CSV with a header row naming date, base, quote
+ * and rate columns (source is optional), e.g.
+ *
+ *   date,base,quote,rate,source
+ *   2026-03-02,EUR,USD,1.0842,ECB
+ *
+ * Returns { rows, errors } with 1-based line numbers in errors.
+ */
+function parseRatesCsv(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const errors = [];
+  const rows = [];
+
+  const header = parseCsvLine(lines[0] || '').map(h => CSV_COLUMNS[h.toLowerCase().replace(/[\s_-]/g, '')]);
+  const missing = ['effectiveDate', 'baseCurrency', 'quoteCurrency', 'rate'].filter(f => !header.includes(f));
+  if (missing.length > 0) {
+    return { rows, errors: [{ line: 1, message: 'Header must name date, base, quote and rate columns' }] };
+  }
+
+  const seen = new Set();
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const line = i + 1;
+
+    const record = {};
+    parseCsvLine(lines[i]).forEach((value, index) => {
+      if (header[index]) record[header[index]] = value;
+    });
+
+    const baseCurrency = normalizeCurrency(record.baseCurrency);
+    const quoteCurrency = normalizeCurrency(record.quoteCurrency);
+    const rate = Number(record.rate);
+    const dateMatch = /^\d{4}-\d{2}-\d{2}$/.test(record.effectiveDate || '');
+    const effectiveDate = dateMatch ? new Date(`${record.effectiveDate}T00:00:00.000Z`) : null;
+
+    if (!effectiveDate || isNaN(effectiveDate) || effectiveDate.toISOString().slice(0, 10) !== record.effectiveDate) {
+      errors.push({ line, message: `Invalid date "${record.effectiveDate || ''}", expected YYYY-MM-DD` });
+    } else if (!baseCurrency || !quoteCurrency) {
+      errors.push({ line, message: 'Currencies must be 3-letter ISO codes' });
+    } else if (baseCurrency === quoteCurrency) {
+      errors.push({ line, message: `Base and quote currency are both ${baseCurrency}` });
+    } else if (!Number.isFinite(rate) || rate <= 0 || rate > 1e9) {
+      errors.push({ line, message: `Invalid rate "${record.rate || ''}"` });
+    } else {
+      const key = `${baseCurrency}/${quoteCurrency}/${record.effectiveDate}`;
+      if (seen.has(key)) {
+        errors.push({ line, message: `Duplicate rate for ${baseCurrency}/${quoteCurrency} on ${record.effectiveDate}` });
+      } else {
+        seen.add(key);
+        rows.push({ baseCurrency, quoteCurrency, rate, effectiveDate, source: record.source || null });
+      }
+    }
+
+    if (rows.length + errors.length > MAX_IMPORT_ROWS) {
+      errors.push({ line, message: `Files are limited to ${MAX_IMPORT_ROWS} rates` });
+      break;
+    }
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Import rates from CSV text. The file is applied in full or not at all:
+ * any invalid row rejects the import with line-numbered details. Existing
+ * rates for the same pair and date are replaced.
+ */
+async function importRates(text, actor) {
+  const { rows, errors } = parseRatesCsv(text);
+  if (errors.length > 0) {
+    throw fxError(422, `${errors.length} invalid row${errors.length === 1 ? '' : 's'} in exchange rate file`,
+      errors.slice(0, MAX_REPORTED_ERRORS));
+  }
+  if (rows.length === 0) {
+    throw fxError(422, 'Exchange rate file has no rates');
+  }
+
+  const dates = rows.map(r => r.effectiveDate.getTime());
+  const since = new Date(Math.min(...dates));
+  const until = new Date(Math.max(...dates));
+
+  const existing = await prisma.exchangeRate.findMany({
+    where: {
+      effectiveDate: { gte: since, lte: until },
+      baseCurrency: { in: [...new Set(rows.map(r => r.baseCurrency))] },
+      quoteCurrency: { in: [...new Set(rows.map(r => r.quoteCurrency))] }
+    },
+    select: { baseCurrency: true, quoteCurrency: true, effectiveDate: true }
+  });
+  const existingKeys = new Set(existing.map(r =>
+    `${r.baseCurrency}/${r.quoteCurrency}/${r.effectiveDate.toISOString().slice(0, 10)}`));
+
+  for (let i = 0; i < rows.length; i += 500) {
+    await prisma.$transaction(rows.slice(i, i + 500).map(row => prisma.exchangeRate.upsert({
+      where: {
+        baseCurrency_quoteCurrency_effectiveDate: {
+          baseCurrency: row.baseCurrency,
+          quoteCurrency: row.quoteCurrency,
+          effectiveDate: row.effectiveDate
+        }
+      },
+      update: { rate: row.rate, source: row.source, importedBy: actor?.id },
+      create: { ...row, importedBy: actor?.id }
+    })));
+  }
+
+  const updated = rows.filter(r =>
+    existingKeys.has(`${r.baseCurrency}/${r.quoteCurrency}/${r.effectiveDate.toISOString().slice(0, 10)}`)).length;
+  const casesUpdated = await refreshCaseAmounts({ since });
+
+  logger.info(`Imported ${rows.length} exchange rates${actor ? ` by ${actor.email}` : ''}, ${casesUpdated} cases reconverted`);
+
+  return {
+    imported: rows.length,
+    created: rows.length - updated,
+    updated,
+    pairs: [...new Set(rows.map(r => `${r.baseCurrency}/${r.quoteCurrency}`))].sort(),
+    from: since.toISOString().slice(0, 10),
+    to: until.toISOString().slice(0, 10),
+    casesUpdated
+  };
+}
+
+async function listRates({ base, quote, from, to, page = 1, limit = 100 } = {}) {
+  const where = {
+    ...(normalizeCurrency(base) && { baseCurrency: normalizeCurrency(base) }),
+    ...(normalizeCurrency(quote) && { quoteCurrency: normalizeCurrency(quote) }),
+    ...((from || to) && {
+      effectiveDate: {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      }
+    })
+  };
+
+  const [rates, total] = await Promise.all([
+    prisma.exchangeRate.findMany({
+      where,
+      orderBy: [{ effectiveDate: 'desc' }, { baseCurrency: 'asc' }, { quoteCurrency: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.exchangeRate.count({ where })
+  ]);
+
+  return {
+    rates,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+}
+
+async function deleteRate(id) {
+  const rate = await prisma.exchangeRate.findUnique({ where: { id } });
+  if (!rate) {
+    throw fxError(404, 'Exchange rate not found');
+  }
+  await prisma.exchangeRate.delete({ where: { id } });
+  await refreshCaseAmounts({ since: rate.effectiveDate });
+  return rate;
+}
+
+module.exports = {
+  FX_PIVOT_CURRENCY,
+  PORTFOLIO_CURRENCY_KEY,
+  REPORTING_SELECT,
+  normalizeCurrency,
+  createConverter,
+  computeCaseAmounts,
+  refreshCaseAmounts,
+  getReportingCurrency,
+  convertCaseAmounts,
+  sumConverted,
+  recoveredShare,
+  sumRecovered,
+  sumFees,
+  sumNetRecovery,
+  sumWrittenOff,
+  countUnconverted,
+  sumCaseAmounts,
+  sumCaseFees,
+  countCases,
+  parseRatesCsv,
+  importRates,
+  listRates,
+  deleteRate
+};
@@ -0,0 +1,474 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Deadline Engine
+ *
+ * Computes the merchant response deadline for a dispute stage from the
+ * card network's rule table, then pulls it forward by the acquirer's
+ * buffer (acquirers cut off several business days before the network
+ * does). Dates are evaluated in the property's timezone, skipping
+ * weekends and the bank holidays of the property's country (US Federal
+ * Reserve, England & Wales, or the euro area TARGET calendar).
+ *
+ * Per-property settings live in SystemConfig under
+ * `deadline_config_{propertyId}`, falling back to `deadline_config_global`.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+// =============================================================================
+// NETWORK RULE TABLES
+// =============================================================================
+
+/**
+ * Response windows in calendar days from the start of each stage.
+ *
+ * The merchant's window depends on the network and stage, not the reason
+ * code: reason codes only change how long the issuer has to file. The one
+ * exception is a Discover retrieval request, listed under `reasonCodes`
+ * (exact codes, or a prefix ending in '.'). The reason code is otherwise
+ * used to identify the network when the card brand is missing.
+ */
+const NETWORK_RULES = {
+  VISA: {
+    name: 'Visa',
+    stages: { REPRESENTMENT: 30, PRE_ARBITRATION: 30, ARBITRATION: 10, COMPLIANCE: 45 }
+  },
+  MASTERCARD: {
+    name: 'Mastercard',
+    stages: { REPRESENTMENT: 45, PRE_ARBITRATION: 30, ARBITRATION: 10, COMPLIANCE: 45 }
+  },
+  AMEX: {
+    name: 'American Express',
+    stages: { REPRESENTMENT: 20, PRE_ARBITRATION: 20, ARBITRATION: 10, COMPLIANCE: 30 }
+  },
+  DISCOVER: {
+    name: 'Discover',
+    stages: { REPRESENTMENT: 30, PRE_ARBITRATION: 30, ARBITRATION: 10, COMPLIANCE: 45 },
+    reasonCodes: {
+      // Retrieval requests are answered faster than chargebacks
+      RR: 20
+    }
+  }
+};
+
+// Used when the network cannot be determined
+const DEFAULT_NETWORK = 'VISA';
+
+const DEFAULT_DEADLINE_CONFIG = {
+  // Business days the acquirer needs before the network deadline
+  acquirerBufferDays: 3,
+  // Per-provider buffers by Provider.name, e.g. { "Stripe": 1, "ELAVON": 5 }
+  providerBuffers: {},
+  // 'AUTO' picks the calendar from the property's country (see
+  // COUNTRY_CALENDARS); or one of HOLIDAY_CALENDARS, or 'NONE' for weekends only
+  holidayCalendar: 'AUTO',
+  // Additional closure dates as YYYY-MM-DD
+  extraHolidays: []
+};
+
+// =============================================================================
+// NETWORK DETECTION
+// =============================================================================
+
+const CARD_BRAND_NETWORKS = {
+  visa: 'VISA',
+  mastercard: 'MASTERCARD',
+  mc: 'MASTERCARD',
+  master_card: 'MASTERCARD',
+  amex: 'AMEX',
+  american_express: 'AMEX',
+  americanexpress: 'AMEX',
+  discover: 'DISCOVER',
+  diners: 'DISCOVER',
+  diners_club: 'DISCOVER'
+};
+
+/**
+ * Determine the card network from the card brand, falling back to the
+ * shape of the reason code (10.4 = Visa, 4837 = Mastercard, C08 = Amex,
+ * UA01 / AA = Discover)
+ */
+function detectNetwork(cardBrand, reasonCode) {
+  if (cardBrand) {
+    const key = String(cardBrand).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (CARD_BRAND_NETWORKS[key]) return CARD_BRAND_NETWORKS[key];
+  }
+
+  const code = String(reasonCode || '').trim().toUpperCase();
+  if (/^1[0-3]\.\d$/.test(code)) return 'VISA';
+  if (/^48\d{2}$/.test(code)) return 'MASTERCARD';
+  if (/^[ACFMPRW]\d{2}$/.test(code) || /^FR[0-9]$/.test(code)) return 'AMEX';
+  if (/^[A-Z]{2}(\d{2})?$/.test(code)) return 'DISCOVER';
+
+  return null;
+}
+
+function networkWindow(network, stage, reasonCode) {
+  const rules = NETWORK_RULES[network];
+  const overrides = rules.reasonCodes || {};
+  if (stage === 'REPRESENTMENT' && reasonCode) {
+    const code = String(reasonCode).trim().toUpperCase();
+    if (overrides[code] !== undefined) return overrides[code];
+    const prefix = Object.keys(overrides).find(p => p.endsWith('.') && code.startsWith(p));
+    if (prefix) return overrides[prefix];
+  }
+  return rules.stages[stage] || rules.stages.REPRESENTMENT;
+}
+
+// =============================================================================
+// CALENDAR
+// =============================================================================
+
+/**
+ * Calendar date (y, m, d) of an instant in a timezone
+ */
+function zonedDate(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day') };
+}
+
+/**
+ * The UTC instant of 23:59:59 local time on a calendar date in a timezone
+ */
+function endOfDayInZone({ year, month, day }, timeZone) {
+  const target = Date.UTC(year, month - 1, day, 23, 59, 59);
+  // Offset of the zone at (approximately) that instant
+  const guess = new Date(target);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(guess);
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  const asLocal = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return new Date(target - (asLocal - target));
+}
+
+// Calendar dates are handled as UTC-midnight Date objects
+function toDay({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function fromDay(date) {
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+}
+
+function isoDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function nthWeekday(year, month, weekday, n) {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month - 1, 1 + offset + (n - 1) * 7));
+}
+
+function lastWeekday(year, month, weekday) {
+  const last = new Date(Date.UTC(year, month, 0));
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return addDays(last, -offset);
+}
+
+// Fixed-date holidays falling on a Sunday are observed on Monday
+function observed(date) {
+  return date.getUTCDay() === 0 ? addDays(date, 1) : date;
+}
+
+/**
+ * Federal Reserve bank holidays for a year
+ */
+function usBankHolidays(year) {
+  return [
+    observed(new Date(Date.UTC(year, 0, 1))),   // New Year's Day
+    nthWeekday(year, 1, 1, 3),                   // Martin Luther King Jr. Day
+    nthWeekday(year, 2, 1, 3),                   // Presidents Day
+    lastWeekday(year, 5, 1),                     // Memorial Day
+    observed(new Date(Date.UTC(year, 5, 19))),  // Juneteenth
+    observed(new Date(Date.UTC(year, 6, 4))),   // Independence Day
+    nthWeekday(year, 9, 1, 1),                   // Labor Day
+    nthWeekday(year, 10, 1, 2),                  // Columbus Day
+    observed(new Date(Date.UTC(year, 10, 11))), // Veterans Day
+    nthWeekday(year, 11, 4, 4),                  // Thanksgiving
+    observed(new Date(Date.UTC(year, 11, 25)))  // Christmas
+  ].map(isoDay);
+}
+
+/**
+ * Easter Sunday for a year (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Weekend holidays move to the next weekday not already taken by another
+// holiday (Christmas on a Saturday gives Monday, Boxing Day Tuesday)
+function substituteWeekdays(dates) {
+  const taken = new Set();
+  return dates.map(date => {
+    let day = date;
+    while (day.getUTCDay() === 0 || day.getUTCDay() === 6 || taken.has(isoDay(day))) {
+      day = addDays(day, 1);
+    }
+    taken.add(isoDay(day));
+    return day;
+  });
+}
+
+/**
+ * England & Wales bank holidays for a year. One-off holidays (royal
+ * events) go in extraHolidays.
+ */
+function ukBankHolidays(year) {
+  const easter = easterSunday(year);
+  return [
+    ...substituteWeekdays([new Date(Date.UTC(year, 0, 1))]), // New Year's Day
+    addDays(easter, -2),                                      // Good Friday
+    addDays(easter, 1),                                       // Easter Monday
+    nthWeekday(year, 5, 1, 1),                                // Early May bank holiday
+    lastWeekday(year, 5, 1),                                  // Spring bank holiday
+    lastWeekday(year, 8, 1),                                  // Summer bank holiday
+    ...substituteWeekdays([
+      new Date(Date.UTC(year, 11, 25)),                       // Christmas Day
+      new Date(Date.UTC(year, 11, 26))                        // Boxing Day
+    ])
+  ].map(isoDay);
+}
+
+/**
+ * TARGET closing days, when euro payments do not settle. Holidays on a
+ * weekend are not moved.
+ */
+function targetHolidays(year) {
+  const easter = easterSunday(year);
+  return [
+    new Date(Date.UTC(year, 0, 1)),   // New Year's Day
+    addDays(easter, -2),              // Good Friday
+    addDays(easter, 1),               // Easter Monday
+    new Date(Date.UTC(year, 4, 1)),   // Labour Day
+    new Date(Date.UTC(year, 11, 25)), // Christmas Day
+    new Date(Date.UTC(year, 11, 26))  // Boxing Day
+  ].map(isoDay);
+}
+
+const HOLIDAY_CALENDARS = {
+  US: usBankHolidays,
+  GB: ukBankHolidays,
+  TARGET: targetHolidays
+};
+
+// Calendar used for a property's country (ISO 3166 alpha-2) when
+// holidayCalendar is 'AUTO'. Other countries count weekends only until a
+// calendar or extraHolidays is configured for the property.
+const COUNTRY_CALENDARS = {
+  US: 'US',
+  GB: 'GB',
+  UK: 'GB',
+  ...Object.fromEntries([
+    'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR',
+    'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'
+  ].map(country => [country, 'TARGET']))
+};
+
+/**
+ * The holiday calendar for a property: the configured one, or with 'AUTO'
+ * the one for its country. Properties with no country are treated as US.
+ */
+function resolveHolidayCalendar(config, country) {
+  const calendar = String(config.holidayCalendar || 'AUTO').toUpperCase();
+  if (calendar !== 'AUTO') {
+    return HOLIDAY_CALENDARS[calendar] ? calendar : 'NONE';
+  }
+  return COUNTRY_CALENDARS[String(country || 'US').trim().toUpperCase()] || 'NONE';
+}
+
+function buildHolidaySet(calendar, extraHolidays, years) {
+  const holidays = new Set(extraHolidays || []);
+  if (HOLIDAY_CALENDARS[calendar]) {
+    for (const year of years) {
+      HOLIDAY_CALENDARS[calendar](year).forEach(day => holidays.add(day));
+    }
+  }
+  return holidays;
+}
+
+function isBusinessDay(date, holidays) {
+  const weekday = date.getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !holidays.has(isoDay(date));
+}
+
+function previousBusinessDay(date, holidays) {
+  let day = date;
+  while (!isBusinessDay(day, holidays)) day = addDays(day, -1);
+  return day;
+}
+
+function subtractBusinessDays(date, count, holidays) {
+  let day = previousBusinessDay(date, holidays);
+  for (let i = 0; i < count; i++) {
+    day = previousBusinessDay(addDays(day, -1), holidays);
+  }
+  return day;
+}
+
+// =============================================================================
+// DEADLINE CALCULATION
+// =============================================================================
+
+/**
+ * Compute a deadline from already-loaded settings.
+ *
+ * @param {Object} input - { reasonCode, cardBrand, stage, startDate, providerName, providedDueDate }
+ * @param {Object} settings - { timezone, country, config }
+ * @returns {Object} { dueDate, networkDueDate, network, stage, windowDays,
+ *   bufferDays, timezone, holidayCalendar, source, explanation }
+ */
+function computeDeadline(input, settings = {}) {
+  const timezone = settings.timezone || 'America/New_York';
+  const config = { ...DEFAULT_DEADLINE_CONFIG, ...(settings.config || {}) };
+  const stage = input.stage || 'REPRESENTMENT';
+
+  const detected = detectNetwork(input.cardBrand, input.reasonCode);
+  const network = detected || DEFAULT_NETWORK;
+  const windowDays = networkWindow(network, stage, input.reasonCode);
+
+  const bufferDays = input.providerName && config.providerBuffers?.[input.providerName] !== undefined
+    ? config.providerBuffers[input.providerName]
+    : config.acquirerBufferDays;
+
+  const startDay = toDay(zonedDate(new Date(input.startDate || Date.now()), timezone));
+  const networkDay = addDays(startDay, windowDays);
+  const years = [networkDay.getUTCFullYear() - 1, networkDay.getUTCFullYear()];
+  const holidayCalendar = resolveHolidayCalendar(config, settings.country);
+  const holidays = buildHolidaySet(holidayCalendar, config.extraHolidays, years);
+  const acquirerDay = subtractBusinessDays(networkDay, bufferDays, holidays);
+
+  const networkDueDate = endOfDayInZone(fromDay(networkDay), timezone);
+  let dueDate = endOfDayInZone(fromDay(acquirerDay), timezone);
+  let source = 'engine';
+
+  // A cutoff sent by the processor wins if it is earlier than ours
+  if (input.providedDueDate) {
+    const provided = new Date(input.providedDueDate);
+    if (!isNaN(provided) && provided < dueDate) {
+      dueDate = provided;
+      source = 'provider';
+    }
+  }
+
+  const explanation = `${NETWORK_RULES[network].name}${detected ? '' : ' (assumed)'} ${stage.toLowerCase().replace(/_/g, '-')} ` +
+    `window of ${windowDays} days ends ${isoDay(networkDay)}; ` +
+    `${bufferDays} business day acquirer buffer gives ${isoDay(acquirerDay)} ` +
+    `(${timezone}, ${holidayCalendar === 'NONE' ? 'no bank holiday calendar' : `${holidayCalendar} holidays`})` +
+    (source === 'provider' ? `; processor cutoff ${isoDay(dueDate)} is earlier` : '');
+
+  return {
+    dueDate,
+    networkDueDate,
+    network,
+    networkDetected: !!detected,
+    stage,
+    windowDays,
+    bufferDays,
+    timezone,
+    holidayCalendar,
+    source,
+    explanation
+  };
+}
+
+/**
+ * Whole calendar days from `now` until a deadline, both taken as local
+ * dates in the property's timezone (0 = due today, negative = overdue)
+ */
+function daysUntil(dueDate, timezone = 'America/New_York', now = new Date()) {
+  const due = toDay(zonedDate(new Date(dueDate), timezone));
+  const today = toDay(zonedDate(now, timezone));
+  return Math.round((due - today) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Load the effective deadline settings for a property
+ */
+async function getDeadlineConfig(propertyId) {
+  const keys = ['deadline_config_global', ...(propertyId ? [`deadline_config_${propertyId}`] : [])];
+  const rows = await prisma.systemConfig.findMany({ where: { key: { in: keys } } });
+  const globalConfig = rows.find(r => r.key === 'deadline_config_global')?.value || {};
+  const propertyConfig = rows.find(r => r.key !== 'deadline_config_global')?.value || {};
+
+  return {
+    ...DEFAULT_DEADLINE_CONFIG,
+    ...globalConfig,
+    ...propertyConfig,
+    providerBuffers: {
+      ...(globalConfig.providerBuffers || {}),
+      ...(propertyConfig.providerBuffers || {})
+    }
+  };
+}
+
+/**
+ * Calculate the response deadline for a dispute stage.
+ *
+ * @param {Object} input - { propertyId, reasonCode, cardBrand, stage, startDate,
+ *   providerName, providedDueDate }
+ * @returns {Object} See computeDeadline
+ */
+async function calculateDeadline(input) {
+  let timezone;
+  let country;
+  let config = DEFAULT_DEADLINE_CONFIG;
+
+  try {
+    const property = input.propertyId
+      ? await prisma.property.findUnique({ where: { id: input.propertyId }, select: { timezone: true, country: true } })
+      : null;
+    timezone = property?.timezone;
+    country = property?.country;
+    config = await getDeadlineConfig(input.propertyId);
+  } catch (error) {
+    logger.warn(`Deadline engine: using defaults (${error.message})`);
+  }
+
+  return computeDeadline(input, { timezone, country, config });
+}
+
+module.exports = {
+  NETWORK_RULES,
+  DEFAULT_DEADLINE_CONFIG,
+  HOLIDAY_CALENDARS,
+  COUNTRY_CALENDARS,
+  detectNetwork,
+  networkWindow,
+  usBankHolidays,
+  ukBankHolidays,
+  targetHolidays,
+  resolveHolidayCalendar,
+  computeDeadline,
+  daysUntil,
+  getDeadlineConfig,
+  calculateDeadline
+};
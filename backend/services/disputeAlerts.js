@@ -0,0 +1,540 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Dispute Alerts Service
+ *
+ * Ethoca and Verifi (CDRN) alerts tell the merchant a cardholder is
+ * disputing a charge before the issuer files a chargeback. A refund inside
+ * the response window stops the chargeback; a decline leaves the issuer
+ * free to file one. Alerts are kept apart from cases and only linked to one
+ * if a chargeback follows.
+ *
+ * Per-property rules live in SystemConfig under `alert_rules_{propertyId}`:
+ *
+ *   {
+ *     enabled: true,
+ *     rules: [                // first match wins; no match = manual review
+ *       {
+ *         name, action: 'refund' | 'decline',
+ *         minAmount, maxAmount,             // in the alert's currency
+ *         reasonCategories: [], reasonCodes: [],
+ *         guestHistory: [],                 // 'new', 'returning', 'disputed'
+ *         stayCompleted: true | false
+ *       }
+ *     ]
+ *   }
+ */
+
+const { prisma } = require('../config/database');
+const reservationMatcher = require('./reservationMatcher');
+const { queueAlertResponse } = require('./disputeSubmission');
+const logger = require('../utils/logger');
+
+// Networks that send pre-dispute alerts, and how long each gives the
+// merchant to answer when the alert carries no deadline of its own
+const ALERT_NETWORKS = {
+  ETHOCA: {
+    label: 'Ethoca',
+    responseHours: parseInt(process.env.ETHOCA_ALERT_RESPONSE_HOURS) || 24
+  },
+  VERIFI: {
+    label: 'Verifi CDRN',
+    responseHours: parseInt(process.env.VERIFI_ALERT_RESPONSE_HOURS) || 72
+  }
+};
+
+const ALERT_DECISIONS = ['refund', 'decline'];
+const GUEST_HISTORIES = ['new', 'returning', 'disputed'];
+
+const DEFAULT_ALERT_RULES = {
+  enabled: false,
+  rules: []
+};
+
+// Reservation matches below this confidence are too loose to decide on
+const MIN_MATCH_CONFIDENCE = 80;
+
+// A chargeback is linked to an alert received up to this long before it
+const ALERT_LINK_WINDOW_DAYS = 120;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function alertError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isAlertNetwork(portalType) {
+  return !!ALERT_NETWORKS[String(portalType || '').toUpperCase()];
+}
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+async function getAlertRules(propertyId) {
+  const config = await prisma.systemConfig.findUnique({
+    where: { key: `alert_rules_${propertyId}` }
+  });
+  return { ...DEFAULT_ALERT_RULES, ...(config?.value || {}) };
+}
+
+async function setAlertRules(propertyId, rules, userId) {
+  const key = `alert_rules_${propertyId}`;
+  await prisma.systemConfig.upsert({
+    where: { key },
+    update: { value: rules, updatedBy: userId },
+    create: {
+      key,
+      value: rules,
+      description: `Dispute alert rules for property ${propertyId}`,
+      updatedBy: userId
+    }
+  });
+  return getAlertRules(propertyId);
+}
+
+/**
+ * What the rules know about the guest behind an alert: the matched stay,
+ * whether it was completed, and the guest's earlier stays and disputes.
+ * stayCompleted is null when no reservation matched confidently.
+ */
+async function gatherAlertFacts(alert) {
+  const match = await reservationMatcher.findMatchingReservation({
+    cardLastFour: alert.cardLastFour,
+    guestName: alert.guestName,
+    transactionId: alert.transactionId,
+    amount: alert.amount
+  }, alert.propertyId);
+  const reservation = match && match.confidence >= MIN_MATCH_CONFIDENCE ? match.reservation : null;
+
+  // Identify the guest by profile, then email, then card and name
+  const guestName = reservation?.guestName || alert.guestName;
+  let guestWhere = null;
+  if (reservation?.guestProfileId) {
+    guestWhere = { guestProfileId: reservation.guestProfileId };
+  } else if (reservation?.guestEmail) {
+    guestWhere = { guestEmail: { equals: reservation.guestEmail, mode: 'insensitive' } };
+  } else if (alert.cardLastFour && guestName) {
+    guestWhere = { cardLastFour: alert.cardLastFour, guestName: { equals: guestName, mode: 'insensitive' } };
+  }
+
+  let priorStays = 0;
+  let priorDisputes = 0;
+  if (guestWhere) {
+    priorStays = await prisma.reservation.count({
+      where: {
+        ...guestWhere,
+        status: 'checked_out',
+        ...(reservation && { id: { not: reservation.id } })
+      }
+    });
+
+    const disputeWhere = reservation?.guestEmail
+      ? { guestEmail: { equals: reservation.guestEmail, mode: 'insensitive' } }
+      : alert.cardLastFour && guestName
+        ? { cardLastFour: alert.cardLastFour, guestName: { equals: guestName, mode: 'insensitive' } }
+        : null;
+    if (disputeWhere) {
+      priorDisputes = await prisma.chargeback.count({ where: disputeWhere });
+    }
+  }
+  priorDisputes = Math.max(priorDisputes, reservation?.guestProfile?.chargebackCount || 0);
+
+  const flagged = !!reservation?.guestProfile?.isFlagged;
+  let guestHistory = 'new';
+  if (priorDisputes > 0 || flagged) guestHistory = 'disputed';
+  else if (priorStays > 0) guestHistory = 'returning';
+
+  return {
+    reservationId: reservation?.id || null,
+    matchStrategy: reservation ? match.strategy : null,
+    stayCompleted: reservation
+      ? reservation.status === 'checked_out' || !!reservation.actualCheckOut
+      : null,
+    priorStays,
+    priorDisputes,
+    flagged,
+    guestHistory
+  };
+}
+
+/**
+ * Find the first rule whose conditions all hold for the alert. A rule on
+ * stayCompleted never matches an alert with no matched stay.
+ */
+function matchAlertRule(rules, alert, facts) {
+  const amount = parseFloat(alert.amount);
+
+  return (rules.rules || []).find(rule => {
+    if (!ALERT_DECISIONS.includes(rule.action)) return false;
+    if (rule.minAmount !== undefined && rule.minAmount !== null && amount < rule.minAmount) return false;
+    if (rule.maxAmount !== undefined && rule.maxAmount !== null && amount > rule.maxAmount) return false;
+    if (rule.reasonCategories?.length && !rule.reasonCategories.includes(alert.reasonCategory)) return false;
+    if (rule.reasonCodes?.length && !rule.reasonCodes.includes(alert.reasonCode)) return false;
+    if (rule.guestHistory?.length && !rule.guestHistory.includes(facts.guestHistory)) return false;
+    if (rule.stayCompleted !== undefined && rule.stayCompleted !== null &&
+        facts.stayCompleted !== rule.stayCompleted) return false;
+    return true;
+  }) || null;
+}
+
+// =============================================================================
+// INTAKE
+// =============================================================================
+
+/**
+ * Record an alert from a network webhook and run the property's rules on
+ * it. Alerts already received are returned unchanged.
+ *
+ * @param {string} portalType - ETHOCA or VERIFI
+ * @param {Object} normalized - Alert as normalized by the network's adapter
+ * @param {Object} [options] - { integration }
+ * @returns {Object} { alert, created, rule }
+ */
+async function receiveAlert(portalType, normalized, options = {}) {
+  const { integration } = options;
+  const network = portalType.toUpperCase();
+
+  const existing = await prisma.disputeAlert.findUnique({
+    where: { network_externalId: { network, externalId: String(normalized.disputeId) } }
+  });
+  if (existing) {
+    logger.info(`Duplicate ${network} alert ${normalized.disputeId}, skipping`);
+    return { alert: existing, created: false, rule: null };
+  }
+
+  let propertyId = integration?.config?.propertyId;
+  if (!propertyId) {
+    const defaultProperty = await prisma.property.findFirst({ where: { isActive: true } });
+    if (!defaultProperty) throw new Error('No property configured for this integration');
+    propertyId = defaultProperty.id;
+  }
+
+  const receivedAt = normalized.disputeDate ? new Date(normalized.disputeDate) : new Date();
+  const responseDueAt = normalized.dueDate
+    ? new Date(normalized.dueDate)
+    : new Date(receivedAt.getTime() + ALERT_NETWORKS[network].responseHours * 60 * 60 * 1000);
+
+  let alert = await prisma.disputeAlert.create({
+    data: {
+      network,
+      externalId: String(normalized.disputeId),
+      alertType: normalized.alertType || null,
+      amount: normalized.amount,
+      currency: normalized.currency || 'USD',
+      cardLastFour: normalized.cardLastFour || null,
+      cardBrand: normalized.cardBrand || null,
+      guestName: normalized.guestName || null,
+      reasonCode: normalized.reasonCode || null,
+      reasonCategory: normalized.reasonCategory || null,
+      reasonDescription: normalized.reasonDescription || null,
+      transactionId: normalized.transactionId || null,
+      transactionDate: normalized.transactionDate ? new Date(normalized.transactionDate) : null,
+      issuerName: normalized.issuerName || null,
+      receivedAt,
+      responseDueAt,
+      propertyId,
+      integrationId: integration?.id || null,
+      ...(normalized.rawData && { rawData: normalized.rawData })
+    }
+  });
+
+  const facts = await gatherAlertFacts(alert);
+  alert = await prisma.disputeAlert.update({
+    where: { id: alert.id },
+    data: { reservationId: facts.reservationId, decisionFacts: facts }
+  });
+
+  const rules = await getAlertRules(propertyId);
+  const rule = rules.enabled ? matchAlertRule(rules, alert, facts) : null;
+
+  if (rule) {
+    try {
+      const { alert: decided } = await respondToAlert(alert, {
+        decision: rule.action,
+        source: 'rules',
+        rule: rule.name
+      });
+      alert = decided;
+    } catch (error) {
+      // Leave the alert in the inbox for someone to answer by hand
+      logger.error(`Rule "${rule.name}" could not answer ${network} alert ${alert.externalId}: ${error.message}`);
+      alert = await prisma.disputeAlert.update({
+        where: { id: alert.id },
+        data: { responseError: error.message }
+      });
+    }
+  }
+
+  if (alert.status === 'NEW') {
+    await notifyAlertReviewers(alert, {
+      priority: 'URGENT',
+      title: `New ${ALERT_NETWORKS[network].label} Alert`,
+      message: `${alert.currency} ${Number(alert.amount).toFixed(2)} ${alert.reasonCode || ''} alert ` +
+        `(${alert.guestName || 'unknown guest'}) needs a response by ${responseDueAt.toISOString()}`
+    });
+  }
+
+  logger.info(`${network} alert ${alert.externalId} received: ${rule ? `${rule.action} by rule "${rule.name}"` : 'manual review'}`);
+
+  return { alert, created: true, rule };
+}
+
+/**
+ * Apply a network's update to an alert still waiting for a decision, e.g.
+ * a corrected amount or extended deadline
+ */
+async function updateAlert(portalType, normalized) {
+  const alert = await prisma.disputeAlert.findUnique({
+    where: { network_externalId: { network: portalType.toUpperCase(), externalId: String(normalized.disputeId) } }
+  });
+  if (!alert) return null;
+
+  return prisma.disputeAlert.update({
+    where: { id: alert.id },
+    data: {
+      ...(alert.status === 'NEW' && normalized.dueDate && { responseDueAt: new Date(normalized.dueDate) }),
+      ...(alert.status === 'NEW' && normalized.amount && { amount: normalized.amount }),
+      ...(normalized.rawData && { rawData: normalized.rawData })
+    }
+  });
+}
+
+// =============================================================================
+// RESPONSES
+// =============================================================================
+
+/**
+ * Refund or decline an alert. The answer is posted back through the
+ * network's adapter and the alert closes when the network confirms; with
+ * no active integration it is recorded straight away.
+ *
+ * @param {Object} alert - DisputeAlert record
+ * @param {Object} options - { decision, actor, notes, source, rule, refundAmount }
+ * @returns {Object} { alert, queued, portalType }
+ */
+async function respondToAlert(alert, options = {}) {
+  const { decision, actor, notes, source = 'user', rule, refundAmount } = options;
+
+  if (!ALERT_DECISIONS.includes(decision)) {
+    throw alertError(400, 'Decision must be refund or decline');
+  }
+  if (refundAmount !== undefined && refundAmount > Number(alert.amount)) {
+    throw alertError(400, 'Refund cannot exceed the alert amount');
+  }
+  if (alert.status !== 'NEW') {
+    throw alertError(409, `Alert is already ${alert.status.toLowerCase()}`);
+  }
+  if (alert.responseDueAt < new Date()) {
+    throw alertError(409, 'The response window for this alert has closed');
+  }
+
+  // Conditional on NEW so a rule and a user cannot both answer
+  const { count } = await prisma.disputeAlert.updateMany({
+    where: { id: alert.id, status: 'NEW' },
+    data: {
+      status: 'RESPONDING',
+      decision,
+      decisionSource: source,
+      decisionRule: rule || null,
+      decisionNotes: notes || null,
+      refundAmount: decision === 'refund' ? (refundAmount ?? alert.amount) : null,
+      decidedAt: new Date(),
+      decidedById: actor?.id || null,
+      responseError: null
+    }
+  });
+  if (count === 0) {
+    throw alertError(409, 'Alert was answered by someone else');
+  }
+  const decided = await prisma.disputeAlert.findUnique({ where: { id: alert.id } });
+
+  let queued;
+  try {
+    queued = await queueAlertResponse(decided);
+  } catch (error) {
+    await prisma.disputeAlert.update({
+      where: { id: alert.id },
+      data: { status: 'NEW', decision: null, decisionSource: null, decisionRule: null, decidedAt: null, decidedById: null }
+    });
+    logger.error(`Could not queue response for ${alert.network} alert ${alert.externalId}: ${error.message}`);
+    throw alertError(503, 'Network queue is unavailable, please retry shortly');
+  }
+
+  const updated = queued ? decided : await completeAlertResponse(decided);
+
+  logger.info(`${alert.network} alert ${alert.externalId}: ${decision} by ${actor?.email || `rule "${rule}"`}`);
+
+  return { alert: updated, queued: !!queued, portalType: queued?.portalType || null };
+}
+
+/**
+ * Close an alert as REFUNDED or DECLINED. Called by the outbound worker
+ * once the network confirms, or straight away when there is no network
+ * to post to (respondedAt stays empty).
+ */
+async function completeAlertResponse(alert, options = {}) {
+  const { portalType } = options;
+
+  return prisma.disputeAlert.update({
+    where: { id: alert.id },
+    data: {
+      status: alert.decision === 'refund' ? 'REFUNDED' : 'DECLINED',
+      respondedAt: portalType ? new Date() : null,
+      responseError: null
+    }
+  });
+}
+
+/**
+ * Return an alert to the inbox after the network would not take the
+ * response, so it can be answered again before the window closes
+ */
+async function failAlertResponse(alert, errorMessage) {
+  const updated = await prisma.disputeAlert.update({
+    where: { id: alert.id },
+    data: {
+      status: 'NEW',
+      decision: null,
+      decisionSource: null,
+      decisionRule: null,
+      decidedAt: null,
+      decidedById: null,
+      refundAmount: null,
+      responseError: errorMessage
+    }
+  });
+
+  await notifyAlertReviewers(updated, {
+    priority: 'URGENT',
+    title: `${ALERT_NETWORKS[alert.network]?.label || alert.network} Alert Response Failed`,
+    message: `The ${alert.decision} for alert ${alert.externalId} was not accepted: ${errorMessage}`
+  });
+
+  return updated;
+}
+
+/**
+ * Mark alerts whose response window passed without a decision as EXPIRED
+ */
+async function expireOverdueAlerts(now = new Date()) {
+  const { count } = await prisma.disputeAlert.updateMany({
+    where: { status: 'NEW', responseDueAt: { lt: now } },
+    data: { status: 'EXPIRED' }
+  });
+  if (count > 0) logger.warn(`${count} dispute alert(s) expired without a response`);
+  return count;
+}
+
+// =============================================================================
+// CHARGEBACK LINKING
+// =============================================================================
+
+/**
+ * Link a new case to the alert that preceded it, by transaction ID or by
+ * card and amount. The link is what reporting counts as an alert that
+ * became a chargeback.
+ *
+ * @param {Object} chargeback - Newly created chargeback
+ * @returns {Object|null} The linked alert
+ */
+async function linkChargebackToAlert(chargeback) {
+  if (!chargeback.transactionId && !chargeback.cardLastFour) return null;
+
+  const disputeDate = new Date(chargeback.disputeDate || Date.now());
+  const candidates = await prisma.disputeAlert.findMany({
+    where: {
+      propertyId: chargeback.propertyId,
+      chargebackId: null,
+      receivedAt: {
+        gte: new Date(disputeDate.getTime() - ALERT_LINK_WINDOW_DAYS * DAY_MS),
+        lte: new Date(disputeDate.getTime() + DAY_MS)
+      },
+      OR: [
+        ...(chargeback.transactionId ? [{ transactionId: chargeback.transactionId }] : []),
+        ...(chargeback.cardLastFour ? [{ cardLastFour: chargeback.cardLastFour }] : [])
+      ]
+    },
+    orderBy: { receivedAt: 'desc' }
+  });
+
+  const amount = Number(chargeback.amount);
+  const alert = candidates.find(a => chargeback.transactionId && a.transactionId === chargeback.transactionId) ||
+    candidates.find(a => a.currency === chargeback.currency &&
+      Math.abs(Number(a.amount) - amount) <= amount * 0.01);
+  if (!alert) return null;
+
+  await prisma.disputeAlert.update({
+    where: { id: alert.id },
+    data: { chargebackId: chargeback.id }
+  });
+
+  const label = ALERT_NETWORKS[alert.network]?.label || alert.network;
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: alert.status === 'REFUNDED' ? 'WARNING' : 'ALERT',
+      title: `Preceded by ${label} Alert`,
+      description: alert.status === 'REFUNDED'
+        ? `${label} alert ${alert.externalId} was already refunded ${Number(alert.refundAmount ?? alert.amount).toFixed(2)} ${alert.currency}. Check for a double refund before responding.`
+        : `${label} alert ${alert.externalId} received ${alert.receivedAt.toISOString().split('T')[0]} was ${alert.status.toLowerCase()}`,
+      metadata: { alertId: alert.id, network: alert.network, externalId: alert.externalId, alertStatus: alert.status }
+    }
+  });
+
+  logger.info(`${chargeback.caseNumber} linked to ${alert.network} alert ${alert.externalId}`);
+
+  return alert;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Tell the property's managers about an alert, falling back to admins
+ */
+async function notifyAlertReviewers(alert, { priority, title, message }) {
+  let recipients = await prisma.user.findMany({
+    where: { role: 'MANAGER', propertyId: alert.propertyId, isActive: true },
+    select: { id: true }
+  });
+  if (recipients.length === 0) {
+    recipients = await prisma.user.findMany({
+      where: { role: 'ADMIN', isActive: true },
+      select: { id: true }
+    });
+  }
+  if (recipients.length === 0) return;
+
+  await prisma.notification.createMany({
+    data: recipients.map(user => ({
+      userId: user.id,
+      type: 'SYSTEM_ALERT',
+      priority,
+      title,
+      message,
+      link: '/alerts',
+      metadata: { alertId: alert.id, network: alert.network, responseDueAt: alert.responseDueAt }
+    }))
+  });
+}
+
+module.exports = {
+  ALERT_NETWORKS,
+  ALERT_DECISIONS,
+  GUEST_HISTORIES,
+  isAlertNetwork,
+  getAlertRules,
+  setAlertRules,
+  gatherAlertFacts,
+  matchAlertRule,
+  receiveAlert,
+  updateAlert,
+  respondToAlert,
+  completeAlertResponse,
+  failAlertResponse,
+  expireOverdueAlerts,
+  linkChargebackToAlert
+};
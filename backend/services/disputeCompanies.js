@@ -10,10 +10,15 @@
  * - Ethoca (Mastercard)
  */
 
-const { prisma } = require('../config/database');
+const { prisma, includeDeletedCases } = require('../config/database');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 const axios = require('axios');
+const { computeCaseAmounts } = require('./currencyConversion');
+const { createDisputeAdapter } = require('./disputes/DisputeAdapterFactory');
+const { receiveAlert, updateAlert } = require('./disputeAlerts');
+const { answerInquiry } = require('./issuerInquiry');
+const { findDeletedCaseByDisputeId } = require('./duplicateDetection');
 
 // =============================================================================
 // DISPUTE COMPANY CONFIGURATIONS
@@ -738,6 +743,13 @@ class DisputeCompanyService {
       });
     }
 
+    // A dispute whose case was deleted is not opened again
+    const deleted = await findDeletedCaseByDisputeId(dispute.id);
+    if (deleted) {
+      logger.info(`Dispute ${dispute.id} belongs to deleted case ${deleted.caseNumber}, skipping`);
+      return deleted;
+    }
+
     // Get default property
     const property = await prisma.property.findFirst({
       where: { isActive: true }
@@ -755,7 +767,7 @@ class DisputeCompanyService {
     // Generate case number
     const year = new Date().getFullYear();
     const lastCase = await prisma.chargeback.findFirst({
-      where: { caseNumber: { startsWith: `CB-${year}-` } },
+      where: includeDeletedCases({ caseNumber: { startsWith: `CB-${year}-` } }),
       orderBy: { caseNumber: 'desc' }
     });
 
@@ -785,7 +797,14 @@ class DisputeCompanyService {
         checkOutDate: dispute.checkOutDate ? new Date(dispute.checkOutDate) : new Date(),
         confirmationNumber: dispute.reservationNumber,
         propertyId: property.id,
-        providerId: provider?.id
+        providerId: provider?.id,
+        ...(await computeCaseAmounts({
+          amount: dispute.amount,
+          currency: dispute.currency || 'USD',
+          settlementAmount: dispute.settlementAmount,
+          settlementCurrency: dispute.settlementCurrency,
+          disputeDate: new Date(dispute.disputeDate)
+        }, { propertyCurrency: property.currency }))
       }
     });
 
@@ -1007,20 +1026,70 @@ const disputeWebhookHandlers = {
   /**
    * Handle Verifi webhook
    */
-  async verifi(payload, signature) {
+  async verifi(payload, signature, webhookSecret, integration) {
     logger.info('Verifi webhook received');
-    // Implementation for Verifi
+    return handleNetworkAlertWebhook('VERIFI', payload, signature, webhookSecret, integration);
   },
 
   /**
    * Handle Ethoca webhook
    */
-  async ethoca(payload, signature) {
+  async ethoca(payload, signature, webhookSecret, integration) {
     logger.info('Ethoca webhook received');
-    // Implementation for Ethoca
+    return handleNetworkAlertWebhook('ETHOCA', payload, signature, webhookSecret, integration);
   }
 };
 
+// =============================================================================
+// ETHOCA / VERIFI ALERT WEBHOOKS
+// =============================================================================
+
+/**
+ * Ethoca and Verifi alerts arrive before any chargeback exists, so they go
+ * to the alert inbox rather than creating cases
+ */
+async function handleNetworkAlertWebhook(portalType, payload, signature, webhookSecret, integration) {
+  const adapter = createDisputeAdapter(portalType, {
+    baseUrl: integration?.config?.baseUrl,
+    credentials: integration?.credentials,
+    integrationId: integration?.id
+  });
+
+  const rawPayload = Buffer.isBuffer(payload) ? payload.toString('utf-8') : payload;
+  if (webhookSecret && !adapter.verifyWebhookSignature(rawPayload, signature, webhookSecret)) {
+    throw new Error(`Invalid ${portalType} webhook signature`);
+  }
+
+  const event = adapter.parseWebhookPayload(rawPayload, {});
+
+  switch (event.event) {
+    case 'alert.new':
+    case 'alert.created':
+      return receiveAlert(portalType, adapter.normalizeDispute(event.data), { integration });
+    case 'alert.updated':
+      return updateAlert(portalType, adapter.normalizeDispute(event.data));
+    case 'clarity.requested':
+      return answerClarityRequest(adapter, event.data, integration);
+    default:
+      logger.info(`Unhandled ${portalType} event: ${event.event}`);
+  }
+}
+
+/**
+ * Ethoca can push an issuer's Consumer Clarity request instead of calling
+ * the inquiry endpoint; answer it the same way and post the result back
+ */
+async function answerClarityRequest(adapter, data, integration) {
+  const result = await answerInquiry('ETHOCA', data, { integration, channel: 'webhook' });
+  const requestId = result.response?.requestId;
+  if (!requestId) {
+    logger.warn(`Ethoca clarity request could not be answered: ${result.outcome}`);
+    return result;
+  }
+  await adapter.respondToClarityRequest(requestId, result.response);
+  return result;
+}
+
 // =============================================================================
 // MERLINK WEBHOOK EVENT HANDLERS
 // =============================================================================
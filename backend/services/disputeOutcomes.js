@@ -0,0 +1,316 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Dispute Outcomes Service
+ *
+ * One structured outcome record per resolved case: amounts recovered and
+ * lost, chargeback and arbitration fees, net recovery, the reversal date,
+ * the issuer's decision code and remarks, and tagged win or denial
+ * factors. Portal status payloads fill the record through the adapters'
+ * normalizeOutcome(); staff can correct fees, codes and factors afterwards.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Why a dispute was won
+const WIN_FACTORS = {
+  proof_of_stay: 'Proof of stay (folio, check-in or key card records)',
+  signed_authorization: 'Signed registration card or authorization',
+  identity_verified: 'Guest identity verified with photo ID',
+  emv_chip: 'EMV chip transaction',
+  avs_cvv_match: 'AVS/CVV match',
+  three_ds_authenticated: '3-D Secure authentication',
+  cancellation_policy: 'Cancellation policy disclosed and accepted',
+  refund_processed: 'Refund or credit already processed',
+  prior_undisputed_stays: 'Prior undisputed stays (CE 3.0)',
+  guest_correspondence: 'Guest correspondence',
+  cardholder_withdrew: 'Cardholder or issuer withdrew the dispute',
+  other: 'Other (see remarks)'
+};
+
+// Why a dispute was lost
+const DENIAL_FACTORS = {
+  late_response: 'Response missed the deadline',
+  missing_evidence: 'Evidence missing or insufficient',
+  no_proof_of_stay: 'Stay could not be verified',
+  no_signed_authorization: 'No signed registration card or authorization',
+  liability_shift: 'Liability shift (magnetic stripe fallback, no 3-D Secure)',
+  policy_not_disclosed: 'Cancellation policy not disclosed',
+  refund_not_processed: 'Promised refund or credit not processed',
+  duplicate_charge: 'Duplicate charge confirmed',
+  invalid_response: 'Response did not address the reason code',
+  other: 'Other (see remarks)'
+};
+
+// Phrases in issuer remarks that suggest a factor. Tagging is a starting
+// point; staff confirm or change the factors on the case.
+const FACTOR_KEYWORDS = {
+  proof_of_stay: /folio|proof of stay|check-?in record|key ?card|stay (was )?(confirmed|verified)/i,
+  signed_authorization: /signed|signature|registration card/i,
+  identity_verified: /photo id|government.?(issued )?id|identity (was )?(verified|confirmed|matched)/i,
+  emv_chip: /emv|chip (read|transaction)/i,
+  avs_cvv_match: /\bavs\b|\bcvv2?\b|\bcvc\b/i,
+  three_ds_authenticated: /3-?d ?secure|\b3ds\b/i,
+  cancellation_policy: /cancell?ation policy|no-?show policy/i,
+  refund_processed: /refund (was )?(issued|processed)|credit (was )?(issued|processed)/i,
+  prior_undisputed_stays: /prior (undisputed )?(stays|transactions)|ce ?3\.0|compelling evidence 3/i,
+  guest_correspondence: /correspondence|email confirmation|communicat/i,
+  cardholder_withdrew: /withdr[ae]w|withdrawn/i,
+  late_response: /\blate\b|after the deadline|past (the )?due|untimely|outside the time ?frame/i,
+  missing_evidence: /insufficient|missing|not provided|incomplete|no evidence/i,
+  no_proof_of_stay: /stay (could )?not (be )?(verified|confirmed)|no proof of stay/i,
+  no_signed_authorization: /unsigned|not signed|no signature|no signed/i,
+  liability_shift: /liability shift|fallback|magnetic stripe|swiped/i,
+  policy_not_disclosed: /policy (was )?not (disclosed|provided|accepted)/i,
+  refund_not_processed: /(refund|credit) (was )?not (issued|processed)|no (refund|credit)/i,
+  duplicate_charge: /duplicate/i,
+  invalid_response: /does not address|did not address|not remedy|invalid (response|representment)/i
+};
+
+const OUTCOMES = ['WON', 'LOST', 'ACCEPTED'];
+
+function outcomeError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function factorsFor(outcome) {
+  return outcome === 'WON' ? WIN_FACTORS : DENIAL_FACTORS;
+}
+
+/**
+ * Factors suggested by an issuer's remarks, in taxonomy order
+ *
+ * @param {string} text - Issuer remarks or decision text
+ * @param {string} outcome - WON, LOST or ACCEPTED
+ * @returns {string[]} WIN_FACTORS or DENIAL_FACTORS keys
+ */
+function tagFactors(text, outcome) {
+  if (!text) return [];
+  return Object.keys(factorsFor(outcome))
+    .filter(key => FACTOR_KEYWORDS[key] && FACTOR_KEYWORDS[key].test(text));
+}
+
+/**
+ * Chargeback and arbitration fees paid across the case's stages
+ */
+async function stageFees(chargebackId) {
+  const { _sum } = await prisma.caseStage.aggregate({
+    where: { chargebackId },
+    _sum: { filingFee: true, reviewFee: true }
+  });
+  return Number(_sum.filingFee || 0) + Number(_sum.reviewFee || 0);
+}
+
+function firstDefined(...values) {
+  return values.find(value => value !== undefined && value !== null);
+}
+
+function dateOrNull(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Create or refresh a case's outcome record. Called wherever a case is
+ * resolved; details the portal did not send keep their earlier values.
+ *
+ * @param {Object} chargeback - Chargeback record as updated by the resolution
+ * @param {string} outcome - WON, LOST or ACCEPTED
+ * @param {Object} details - From adapter.normalizeOutcome() or the caller:
+ *   { recoveredAmount, chargebackFee, arbitrationFee, reversalDate, decidedAt,
+ *   issuerReasonCode, issuerRemarks, processorResponseCode, winFactors,
+ *   denialFactors, source, raw }
+ * @returns {Object} The CaseOutcome record
+ */
+async function recordOutcome(chargeback, outcome, details = {}) {
+  if (!OUTCOMES.includes(outcome)) {
+    throw outcomeError(400, `Unknown outcome: ${outcome}`);
+  }
+
+  const existing = await prisma.caseOutcome.findUnique({ where: { chargebackId: chargeback.id } });
+  const sameOutcome = existing?.outcome === outcome;
+  const disputedAmount = Number(chargeback.amount);
+
+  let recoveredAmount = 0;
+  if (outcome === 'WON') {
+    recoveredAmount = Math.min(
+      Number(firstDefined(details.recoveredAmount, chargeback.recoveredAmount, disputedAmount)),
+      disputedAmount
+    );
+  }
+  const lostAmount = outcome === 'ACCEPTED'
+    ? Number(chargeback.writeOffAmount ?? disputedAmount)
+    : disputedAmount - recoveredAmount;
+
+  // Arbitration fees are recorded on the stages; a portal figure or an
+  // earlier manual entry is used when the stages have none
+  const feesFromStages = await stageFees(chargeback.id);
+  const chargebackFee = Number(firstDefined(details.chargebackFee, existing?.chargebackFee, 0));
+  const arbitrationFee = Number(firstDefined(
+    details.arbitrationFee,
+    feesFromStages > 0 ? feesFromStages : null,
+    existing?.arbitrationFee,
+    0
+  ));
+
+  const issuerRemarks = firstDefined(details.issuerRemarks, sameOutcome ? existing.issuerRemarks : null);
+  const keepFactors = (field) => (sameOutcome ? existing[field] : []);
+  const winFactors = outcome === 'WON'
+    ? details.winFactors || [...new Set([...keepFactors('winFactors'), ...tagFactors(issuerRemarks, outcome)])]
+    : [];
+  const denialFactors = outcome === 'WON'
+    ? []
+    : details.denialFactors || [...new Set([...keepFactors('denialFactors'), ...tagFactors(issuerRemarks, outcome)])];
+
+  const data = {
+    outcome,
+    currency: chargeback.currency,
+    disputedAmount,
+    recoveredAmount: round(recoveredAmount),
+    lostAmount: round(lostAmount),
+    chargebackFee: round(chargebackFee),
+    arbitrationFee: round(arbitrationFee),
+    netRecovery: round(recoveredAmount - chargebackFee - arbitrationFee),
+    reversalDate: outcome === 'WON'
+      ? dateOrNull(firstDefined(details.reversalDate, sameOutcome ? existing.reversalDate : null))
+      : null,
+    decidedAt: dateOrNull(details.decidedAt) || chargeback.resolvedAt || new Date(),
+    issuerReasonCode: firstDefined(details.issuerReasonCode, sameOutcome ? existing.issuerReasonCode : null),
+    issuerRemarks,
+    processorResponseCode: firstDefined(details.processorResponseCode, sameOutcome ? existing.processorResponseCode : null),
+    winFactors,
+    denialFactors,
+    source: details.source || existing?.source || 'manual',
+    ...(details.raw && { rawOutcome: details.raw })
+  };
+
+  const record = await prisma.caseOutcome.upsert({
+    where: { chargebackId: chargeback.id },
+    create: { chargebackId: chargeback.id, ...data },
+    update: data
+  });
+
+  logger.info(`Outcome recorded for ${chargeback.caseNumber}: ${outcome}, net recovery ` +
+    `${record.netRecovery} ${chargeback.currency} (${data.source})`);
+
+  return record;
+}
+
+/**
+ * Correct an outcome record by hand. Recovered amount changes are written
+ * back to the case so reporting stays consistent.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {Object} changes - { recoveredAmount, chargebackFee, arbitrationFee,
+ *   reversalDate, issuerReasonCode, issuerRemarks, processorResponseCode,
+ *   winFactors, denialFactors }
+ * @param {Object} actor - User making the change
+ * @returns {Object} { before, outcome }
+ */
+async function updateOutcome(chargeback, changes, actor) {
+  const before = await prisma.caseOutcome.findUnique({ where: { chargebackId: chargeback.id } });
+  if (!before) {
+    throw outcomeError(404, 'This case has no recorded outcome');
+  }
+
+  const factorField = before.outcome === 'WON' ? 'winFactors' : 'denialFactors';
+  const otherField = before.outcome === 'WON' ? 'denialFactors' : 'winFactors';
+  if (changes[otherField]?.length) {
+    throw outcomeError(400, `A ${before.outcome.toLowerCase()} case cannot have ${otherField === 'winFactors' ? 'win' : 'denial'} factors`);
+  }
+  const unknown = (changes[factorField] || []).filter(key => !factorsFor(before.outcome)[key]);
+  if (unknown.length) {
+    throw outcomeError(400, `Unknown factors: ${unknown.join(', ')}`);
+  }
+
+  const disputedAmount = Number(before.disputedAmount);
+  let recoveredAmount = Number(before.recoveredAmount);
+  if (changes.recoveredAmount !== undefined) {
+    if (before.outcome !== 'WON') {
+      throw outcomeError(400, 'Only a won case can have a recovered amount');
+    }
+    if (changes.recoveredAmount > disputedAmount) {
+      throw outcomeError(400, 'Recovered amount cannot exceed the disputed amount');
+    }
+    recoveredAmount = changes.recoveredAmount;
+  }
+
+  const chargebackFee = changes.chargebackFee ?? Number(before.chargebackFee);
+  const arbitrationFee = changes.arbitrationFee ?? Number(before.arbitrationFee);
+
+  const outcome = await prisma.caseOutcome.update({
+    where: { id: before.id },
+    data: {
+      recoveredAmount: round(recoveredAmount),
+      ...(before.outcome !== 'ACCEPTED' && { lostAmount: round(disputedAmount - recoveredAmount) }),
+      chargebackFee: round(chargebackFee),
+      arbitrationFee: round(arbitrationFee),
+      netRecovery: round(recoveredAmount - chargebackFee - arbitrationFee),
+      ...(changes.reversalDate !== undefined && { reversalDate: dateOrNull(changes.reversalDate) }),
+      ...(changes.issuerReasonCode !== undefined && { issuerReasonCode: changes.issuerReasonCode }),
+      ...(changes.issuerRemarks !== undefined && { issuerRemarks: changes.issuerRemarks }),
+      ...(changes.processorResponseCode !== undefined && { processorResponseCode: changes.processorResponseCode }),
+      ...(changes[factorField] && { [factorField]: [...new Set(changes[factorField])] }),
+      updatedBy: actor.id
+    }
+  });
+
+  return { before, outcome };
+}
+
+function factorLabels(keys, taxonomy) {
+  return (keys || []).map(key => taxonomy[key] || key);
+}
+
+/**
+ * The outcome in the shape the case detail's Outcome tab reads
+ *
+ * @param {Object} outcome - CaseOutcome record
+ * @param {Object} chargeback - Chargeback with stages
+ */
+function toResolution(outcome, chargeback) {
+  const closedStage = [...(chargeback.stages || [])].reverse().find(stage => stage.outcome);
+  const won = outcome.outcome === 'WON';
+
+  return {
+    outcome: outcome.outcome,
+    reason: closedStage?.outcomeReason || outcome.issuerRemarks || null,
+    currency: outcome.currency,
+    disputedAmount: Number(outcome.disputedAmount),
+    recoveredAmount: Number(outcome.recoveredAmount),
+    lostAmount: Number(outcome.lostAmount),
+    chargebackFee: Number(outcome.chargebackFee),
+    arbitrationFee: Number(outcome.arbitrationFee),
+    netRecovery: Number(outcome.netRecovery),
+    processorResponseCode: outcome.processorResponseCode,
+    issuerReasonCode: outcome.issuerReasonCode,
+    resolvedDate: outcome.decidedAt,
+    reversalDate: outcome.reversalDate,
+    winFactorKeys: outcome.winFactors,
+    denialFactorKeys: outcome.denialFactors,
+    winFactors: factorLabels(outcome.winFactors, WIN_FACTORS),
+    ...(!won && {
+      denialCode: outcome.issuerReasonCode,
+      evidenceGaps: factorLabels(outcome.denialFactors, DENIAL_FACTORS)
+    }),
+    processorNotes: outcome.issuerRemarks,
+    source: outcome.source,
+    arbitration: null
+  };
+}
+
+module.exports = {
+  WIN_FACTORS,
+  DENIAL_FACTORS,
+  tagFactors,
+  recordOutcome,
+  updateOutcome,
+  toResolution
+};
@@ -0,0 +1,311 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Dispute Stage Service
+ *
+ * Tracks the dispute cycles a case moves through: representment,
+ * pre-arbitration, arbitration and compliance. Each cycle is a CaseStage
+ * row with its own due date, submissions, evidence, outcome and fees;
+ * Chargeback.stage points at the current one.
+ */
+
+const { prisma } = require('../config/database');
+const { calculateDeadline } = require('./deadlineEngine');
+const logger = require('../utils/logger');
+
+const STAGE_ORDER = ['REPRESENTMENT', 'PRE_ARBITRATION', 'ARBITRATION', 'COMPLIANCE'];
+
+const STAGE_LABELS = {
+  REPRESENTMENT: 'Representment',
+  PRE_ARBITRATION: 'Pre-Arbitration',
+  ARBITRATION: 'Arbitration',
+  COMPLIANCE: 'Compliance'
+};
+
+// Portal stage names (see DISPUTE_STAGES in the network adapters)
+const PORTAL_STAGE_MAP = {
+  retrieval: 'REPRESENTMENT',
+  first_chargeback: 'REPRESENTMENT',
+  chargeback: 'REPRESENTMENT',
+  representment: 'REPRESENTMENT',
+  second_presentment: 'REPRESENTMENT',
+  pre_arbitration: 'PRE_ARBITRATION',
+  arbitration: 'ARBITRATION',
+  arbitration_chargeback: 'ARBITRATION',
+  pre_compliance: 'COMPLIANCE',
+  compliance: 'COMPLIANCE'
+};
+
+// Inbound webhook events that open a new stage
+const STAGE_EVENTS = {
+  'pre_arbitration.initiated': 'PRE_ARBITRATION',
+  'arbitration.initiated': 'ARBITRATION',
+  'compliance.case_opened': 'COMPLIANCE'
+};
+
+const OPEN_STATUSES = ['open', 'submitted'];
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+/**
+ * Map a stage name from a portal or API caller to a DisputeStage value
+ */
+function normalizeStage(value) {
+  if (!value) return null;
+  const upper = String(value).trim().toUpperCase();
+  if (STAGE_ORDER.includes(upper)) return upper;
+  return PORTAL_STAGE_MAP[String(value).trim().toLowerCase()] || null;
+}
+
+function stageForEvent(eventType) {
+  return STAGE_EVENTS[eventType] || null;
+}
+
+function stageIndex(stage) {
+  return STAGE_ORDER.indexOf(stage);
+}
+
+function stageError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// =============================================================================
+// STAGE RECORDS
+// =============================================================================
+
+/**
+ * Get the CaseStage row for the case's current stage. Cases created before
+ * stages were tracked get their representment row backfilled from the case.
+ */
+async function getCurrentStage(chargeback) {
+  const existing = await prisma.caseStage.findUnique({
+    where: { chargebackId_stage: { chargebackId: chargeback.id, stage: chargeback.stage } }
+  });
+  if (existing) return existing;
+
+  const statusMap = {
+    SUBMITTED: 'submitted', WON: 'won', LOST: 'lost', ACCEPTED: 'accepted', EXPIRED: 'closed', CANCELLED: 'closed'
+  };
+  const status = statusMap[chargeback.status] || 'open';
+
+  return prisma.caseStage.upsert({
+    where: { chargebackId_stage: { chargebackId: chargeback.id, stage: chargeback.stage } },
+    update: {},
+    create: {
+      chargebackId: chargeback.id,
+      stage: chargeback.stage,
+      status,
+      initiatedBy: 'issuer',
+      amount: chargeback.amount,
+      openedAt: chargeback.disputeDate || chargeback.createdAt,
+      dueDate: chargeback.dueDate,
+      networkDueDate: chargeback.networkDueDate || null,
+      closedAt: OPEN_STATUSES.includes(status) ? null : chargeback.resolvedAt,
+      outcome: ['won', 'lost', 'accepted'].includes(status) ? status : null
+    }
+  });
+}
+
+/**
+ * List a case's stages in cycle order
+ */
+async function getStageHistory(chargebackId) {
+  const stages = await prisma.caseStage.findMany({
+    where: { chargebackId },
+    include: {
+      submissions: { orderBy: { submittedAt: 'desc' } },
+      _count: { select: { evidence: true } }
+    }
+  });
+  return stages.sort((a, b) => stageIndex(a.stage) - stageIndex(b.stage));
+}
+
+/**
+ * Move a case into a later stage. The current stage is closed (as
+ * escalated unless an outcome is given) and a new stage row is opened.
+ * Re-reporting the current stage updates it instead, so replayed portal
+ * events are harmless.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {string} stage - Target DisputeStage
+ * @param {Object} options - { initiatedBy, source, externalId, amount, dueDate,
+ *   filingFee, reviewFee, narrative, previousOutcome, userId, actorName, metadata }
+ * @returns {Object} { stage, advanced }
+ */
+async function advanceStage(chargeback, stage, options = {}) {
+  const target = normalizeStage(stage);
+  if (!target) {
+    throw stageError(400, `Unknown dispute stage "${stage}"`);
+  }
+
+  const current = await getCurrentStage(chargeback);
+  const initiatedBy = options.initiatedBy || 'issuer';
+
+  const details = {
+    ...(options.source && { source: options.source }),
+    ...(options.externalId && { externalId: options.externalId }),
+    ...(options.amount !== undefined && options.amount !== null && { amount: options.amount }),
+    ...(options.dueDate && { dueDate: new Date(options.dueDate) }),
+    ...(options.filingFee !== undefined && { filingFee: options.filingFee }),
+    ...(options.reviewFee !== undefined && { reviewFee: options.reviewFee }),
+    ...(options.narrative && { narrative: options.narrative }),
+    ...(options.metadata && { metadata: options.metadata })
+  };
+
+  if (target === current.stage) {
+    const updated = Object.keys(details).length
+      ? await prisma.caseStage.update({ where: { id: current.id }, data: details })
+      : current;
+    if (details.dueDate) {
+      await prisma.chargeback.update({ where: { id: chargeback.id }, data: { dueDate: details.dueDate } });
+    }
+    return { stage: updated, advanced: false };
+  }
+
+  if (stageIndex(target) < stageIndex(current.stage)) {
+    throw stageError(409, `Case is already in ${STAGE_LABELS[current.stage]}`);
+  }
+
+  const now = new Date();
+  const merchantFiled = initiatedBy === 'merchant';
+
+  if (OPEN_STATUSES.includes(current.status) || !current.closedAt) {
+    const previousOutcome = options.previousOutcome || current.outcome || 'escalated';
+    await prisma.caseStage.update({
+      where: { id: current.id },
+      data: {
+        status: OPEN_STATUSES.includes(current.status) ? previousOutcome : current.status,
+        outcome: previousOutcome,
+        closedAt: now
+      }
+    });
+  }
+
+  // Issuer-opened stages get the network window less the acquirer buffer;
+  // a merchant filing has nothing further to answer until the issuer does
+  let dueDate = details.dueDate || null;
+  let networkDueDate = null;
+  if (!merchantFiled) {
+    const deadline = await calculateDeadline({
+      propertyId: chargeback.propertyId,
+      reasonCode: chargeback.reasonCode,
+      cardBrand: chargeback.cardBrand,
+      providerName: chargeback.provider?.name || options.source,
+      stage: target,
+      startDate: now,
+      providedDueDate: details.dueDate
+    });
+    dueDate = deadline.dueDate;
+    networkDueDate = deadline.networkDueDate;
+  }
+
+  const next = await prisma.caseStage.create({
+    data: {
+      chargebackId: chargeback.id,
+      stage: target,
+      status: merchantFiled ? 'submitted' : 'open',
+      initiatedBy,
+      source: options.source || null,
+      externalId: options.externalId || null,
+      amount: details.amount ?? chargeback.amount,
+      openedAt: now,
+      dueDate,
+      networkDueDate,
+      submittedAt: merchantFiled ? now : null,
+      filingFee: details.filingFee ?? null,
+      reviewFee: details.reviewFee ?? null,
+      narrative: details.narrative || null,
+      ...(details.metadata && { metadata: details.metadata }),
+      createdBy: options.userId || null
+    }
+  });
+
+  // The merchant filing a stage is itself a submission; an issuer opening
+  // one puts the case back on the team's desk
+  await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: {
+      stage: target,
+      status: merchantFiled ? 'SUBMITTED' : 'PENDING',
+      dueDate,
+      networkDueDate,
+      resolvedAt: null
+    }
+  });
+
+  const label = STAGE_LABELS[target];
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: merchantFiled ? 'USER_ACTION' : 'ALERT',
+      title: merchantFiled ? `${label} Filed` : `${label} Opened`,
+      description: merchantFiled
+        ? `${label} filed${options.actorName ? ` by ${options.actorName}` : ''}`
+        : `Case moved from ${STAGE_LABELS[current.stage]} to ${label}` +
+          `${options.source ? ` by ${options.source}` : ''}` +
+          `${dueDate ? `, response due ${dueDate.toISOString().split('T')[0]}` : ''}`,
+      metadata: {
+        stageId: next.id,
+        stage: target,
+        previousStage: current.stage,
+        externalId: options.externalId || null
+      }
+    }
+  });
+
+  logger.info(`Case ${chargeback.caseNumber} advanced to ${target} (${initiatedBy})`);
+
+  return { stage: next, advanced: true };
+}
+
+/**
+ * Record the result of the current stage and resolve the case
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {string} outcome - won, lost, accepted, withdrawn
+ * @param {Object} options - { reason, filingFee, reviewFee }
+ */
+async function recordStageOutcome(chargeback, outcome, options = {}) {
+  const current = await getCurrentStage(chargeback);
+
+  return prisma.caseStage.update({
+    where: { id: current.id },
+    data: {
+      status: outcome,
+      outcome,
+      closedAt: new Date(),
+      ...(options.reason && { outcomeReason: options.reason }),
+      ...(options.filingFee !== undefined && { filingFee: options.filingFee }),
+      ...(options.reviewFee !== undefined && { reviewFee: options.reviewFee })
+    }
+  });
+}
+
+/**
+ * Mark the current stage as submitted (or reopen it after a rejected
+ * submission)
+ */
+async function setStageSubmitted(stageId, submitted = true) {
+  return prisma.caseStage.update({
+    where: { id: stageId },
+    data: submitted
+      ? { status: 'submitted', submittedAt: new Date() }
+      : { status: 'open' }
+  });
+}
+
+module.exports = {
+  STAGE_ORDER,
+  STAGE_LABELS,
+  normalizeStage,
+  stageForEvent,
+  stageIndex,
+  getCurrentStage,
+  getStageHistory,
+  advanceStage,
+  recordStageOutcome,
+  setStageSubmitted
+};
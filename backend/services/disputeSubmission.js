@@ -0,0 +1,459 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Dispute Submission Service
+ *
+ * Resolves the dispute portal adapter for a case, builds the evidence
+ * package from stored Evidence rows, and queues the transmission on the
+ * dispute-outbound queue. The outbound worker records the portal's reply
+ * on the DisputeSubmission row created here.
+ */
+
+const { prisma } = require('../config/database');
+const { readFileBuffer } = require('../config/storage');
+const { createDisputeAdapter, isSupported } = require('./disputes/DisputeAdapterFactory');
+const { getQueue } = require('./queue/queueManager');
+const { getCurrentStage, setStageSubmitted } = require('./disputeStages');
+const { isCE3Candidate, refreshCE3Eligibility, buildCE3TransactionHistory } = require('./visaCE3');
+const logger = require('../utils/logger');
+
+// =============================================================================
+// PORTAL RESOLUTION
+// =============================================================================
+
+/**
+ * Normalize a provider or integration name to an adapter portal type
+ * e.g. "Visa VROL" -> VISA_VROL, "dispute_verifi" -> VERIFI
+ */
+function toPortalType(name) {
+  if (!name) return null;
+  return String(name)
+    .trim()
+    .replace(/^dispute_/i, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Resolve the adapter portal type for a chargeback's provider
+ */
+function resolvePortalType(provider) {
+  const portalType = toPortalType(provider?.name);
+  return portalType && isSupported(portalType) ? portalType : null;
+}
+
+/**
+ * Find the active integration for a portal, preferring one scoped
+ * to the case's property over a global one
+ */
+async function findPortalIntegration(portalType, propertyId) {
+  const integrations = await prisma.integration.findMany({
+    where: { status: 'active' },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const candidates = integrations.filter(i => toPortalType(i.type) === portalType);
+
+  return candidates.find(i => i.config?.propertyId === propertyId) ||
+    candidates.find(i => !i.config?.propertyId) ||
+    null;
+}
+
+// =============================================================================
+// EVIDENCE PACKAGE
+// =============================================================================
+
+/**
+ * Build the adapter evidence package for a chargeback
+ * Returns { files, metadata, skipped } where skipped lists evidence that
+ * could not be read from storage. Eligible Visa 10.4 cases also carry the
+ * CE3.0 transaction history.
+ */
+async function buildEvidencePackage(chargeback, evidenceRecords, options = {}) {
+  const files = [];
+  const skipped = [];
+
+  for (const record of evidenceRecords) {
+    try {
+      const data = await readFileBuffer(record.s3Key);
+      files.push({
+        evidenceId: record.id,
+        type: record.type,
+        fileName: record.fileName,
+        mimeType: record.mimeType,
+        description: record.description,
+        data
+      });
+    } catch (error) {
+      logger.warn(`Could not read evidence ${record.id} (${record.s3Key}): ${error.message}`);
+      skipped.push({ evidenceId: record.id, fileName: record.fileName, error: error.message });
+    }
+  }
+
+  const metadata = {
+    caseNumber: chargeback.caseNumber,
+    guestName: chargeback.guestName,
+    guestEmail: chargeback.guestEmail,
+    confirmationNumber: chargeback.confirmationNumber,
+    checkInDate: chargeback.checkInDate,
+    checkOutDate: chargeback.checkOutDate,
+    roomNumber: chargeback.roomNumber,
+    reasonCode: chargeback.reasonCode,
+    transactionId: chargeback.transactionId,
+    transactionAmount: parseFloat(chargeback.amount),
+    transactionDate: chargeback.disputeDate,
+    currency: chargeback.currency,
+    rebuttalLetter: chargeback.rebuttalLetter?.body || null,
+    notes: options.notes || chargeback.rebuttalLetter?.body || ''
+  };
+
+  // Visa 10.4: re-check CE3.0 against current stay history and attach the
+  // prior transactions when the case qualifies
+  if (isCE3Candidate(chargeback)) {
+    try {
+      const ce3TransactionHistory = buildCE3TransactionHistory(await refreshCE3Eligibility(chargeback));
+      if (ce3TransactionHistory) {
+        metadata.ce3 = true;
+        metadata.ce3TransactionHistory = ce3TransactionHistory;
+      }
+    } catch (error) {
+      logger.warn(`CE3.0 check failed for ${chargeback.caseNumber}: ${error.message}`);
+    }
+  }
+
+  return { files, metadata, skipped };
+}
+
+// =============================================================================
+// SUBMISSION
+// =============================================================================
+
+const SUBMITTABLE_STATUSES = ['PENDING', 'IN_REVIEW'];
+
+/**
+ * Validate that a case can be transmitted, mark it SUBMITTED and queue the
+ * submission. Throws an error with a `statusCode` when the case is not
+ * submittable; a queue failure restores the case's previous status.
+ *
+ * @param {Object} chargeback - Chargeback with provider and evidence included
+ * @param {Object} options - { userId, submittedByName, notes, evidenceIds, dossierId }
+ * @returns {Object} { submission, chargeback, portalType, integration, jobId }
+ */
+async function queueSubmission(chargeback, options = {}) {
+  const { userId, notes } = options;
+
+  if (!SUBMITTABLE_STATUSES.includes(chargeback.status)) {
+    throw submissionError(409, 'Case has already been submitted or resolved');
+  }
+
+  const portalType = resolvePortalType(chargeback.provider);
+  if (!portalType) {
+    throw submissionError(422, `No dispute adapter is available for provider "${chargeback.provider?.name || 'unknown'}"`);
+  }
+
+  if (!chargeback.processorDisputeId) {
+    throw submissionError(422, 'Case has no processor dispute ID to submit against');
+  }
+
+  const integration = await findPortalIntegration(portalType, chargeback.propertyId);
+  if (!integration) {
+    throw submissionError(422, `No active ${portalType} integration is configured for this property`);
+  }
+
+  const adapter = createDisputeAdapter(portalType, {
+    baseUrl: integration.config?.baseUrl,
+    credentials: integration.credentials,
+    integrationId: integration.id
+  });
+  if (!adapter) {
+    throw submissionError(422, `Failed to initialize ${portalType} adapter`);
+  }
+
+  // A compiled dossier replaces the individual files; otherwise send the
+  // raw evidence and leave any earlier dossiers out of the package
+  let evidence;
+  if (options.dossierId) {
+    evidence = chargeback.evidence.filter(e => e.id === options.dossierId && e.type === 'EVIDENCE_DOSSIER');
+    if (evidence.length === 0) {
+      throw submissionError(422, 'Selected dossier was not found on this case');
+    }
+  } else if (options.evidenceIds) {
+    evidence = chargeback.evidence.filter(e => options.evidenceIds.includes(e.id));
+  } else {
+    evidence = chargeback.evidence.filter(e => e.type !== 'EVIDENCE_DOSSIER');
+  }
+
+  if (evidence.length === 0) {
+    throw submissionError(422, 'Case has no evidence to submit');
+  }
+
+  const stage = await getCurrentStage(chargeback);
+
+  // The case is marked SUBMITTED together with the submission row, before
+  // the job exists, so the worker always sees the status it may reopen
+  const { submission, updatedChargeback, timelineEvent } = await prisma.$transaction(async (tx) => {
+    const submission = await tx.disputeSubmission.create({
+      data: {
+        chargebackId: chargeback.id,
+        stageId: stage.id,
+        status: 'queued',
+        portalType,
+        integrationId: integration.id,
+        submittedBy: userId || null,
+        requestJson: {
+          action: 'SUBMIT_EVIDENCE',
+          stage: stage.stage,
+          disputeId: chargeback.processorDisputeId,
+          evidenceIds: evidence.map(e => e.id),
+          evidenceCount: evidence.length,
+          dossierId: options.dossierId || null,
+          amount: parseFloat(chargeback.amount),
+          notes: notes || null
+        }
+      }
+    });
+
+    // Conditional so two concurrent submits cannot both go out
+    const { count } = await tx.chargeback.updateMany({
+      where: { id: chargeback.id, status: { in: SUBMITTABLE_STATUSES } },
+      data: { status: 'SUBMITTED' }
+    });
+    if (count === 0) {
+      throw submissionError(409, 'Case has already been submitted or resolved');
+    }
+
+    const updatedChargeback = await tx.chargeback.findUnique({
+      where: { id: chargeback.id },
+      include: {
+        property: { select: { id: true, name: true } },
+        provider: { select: { id: true, name: true } }
+      }
+    });
+
+    const timelineEvent = await tx.timelineEvent.create({
+      data: {
+        chargebackId: chargeback.id,
+        eventType: 'SYSTEM',
+        title: 'Case Submitted',
+        description: `${evidence.length} evidence files queued for ${portalType}` +
+          (options.submittedByName ? ` by ${options.submittedByName}` : ''),
+        metadata: { submissionId: submission.id, portalType }
+      }
+    });
+
+    return { submission, updatedChargeback, timelineEvent };
+  });
+
+  let job;
+  try {
+    job = await getQueue('dispute-outbound').add('submit-evidence', {
+      portalType,
+      integrationId: integration.id,
+      action: 'SUBMIT_EVIDENCE',
+      data: {
+        disputeId: chargeback.processorDisputeId,
+        chargebackId: chargeback.id,
+        submissionId: submission.id,
+        evidenceIds: evidence.map(e => e.id),
+        notes
+      }
+    }, { jobId: `submit-${submission.id}` });
+  } catch (error) {
+    // Nothing was sent, so put the case back where it was
+    await prisma.$transaction([
+      prisma.disputeSubmission.update({
+        where: { id: submission.id },
+        data: { status: 'failed', errorMessage: `Queue unavailable: ${error.message}` }
+      }),
+      prisma.chargeback.update({
+        where: { id: chargeback.id },
+        data: { status: chargeback.status }
+      }),
+      prisma.timelineEvent.delete({ where: { id: timelineEvent.id } })
+    ]);
+    throw submissionError(503, 'Submission queue is unavailable, please retry shortly');
+  }
+
+  await setStageSubmitted(stage.id);
+
+  logger.info(`Submission ${submission.id} queued for ${chargeback.caseNumber} via ${portalType} (job ${job.id})`);
+
+  return { submission, chargeback: updatedChargeback, portalType, integration, jobId: job.id };
+}
+
+/**
+ * Queue an arbitration filing for a stage the merchant has opened.
+ * Returns null when the case's portal cannot file arbitration
+ * electronically, in which case the filing is tracked manually.
+ *
+ * @param {Object} chargeback - Chargeback with provider included
+ * @param {Object} stage - The ARBITRATION CaseStage row
+ * @param {Object} options - { userId, narrative, evidenceIds, acceptFilingFee }
+ * @returns {Object|null} { submission, portalType, jobId }
+ */
+async function queueArbitrationFiling(chargeback, stage, options = {}) {
+  const portalType = resolvePortalType(chargeback.provider);
+  if (!portalType || !chargeback.processorDisputeId) return null;
+
+  const integration = await findPortalIntegration(portalType, chargeback.propertyId);
+  if (!integration) return null;
+
+  const adapter = createDisputeAdapter(portalType, {
+    baseUrl: integration.config?.baseUrl,
+    credentials: integration.credentials,
+    integrationId: integration.id
+  });
+  if (!adapter || typeof adapter.fileArbitration !== 'function') return null;
+
+  const requestJson = {
+    action: 'FILE_ARBITRATION',
+    stage: stage.stage,
+    disputeId: chargeback.processorDisputeId,
+    evidenceIds: options.evidenceIds || [],
+    evidenceCount: (options.evidenceIds || []).length,
+    narrative: options.narrative
+  };
+
+  const submission = await prisma.disputeSubmission.create({
+    data: {
+      chargebackId: chargeback.id,
+      stageId: stage.id,
+      status: 'queued',
+      portalType,
+      integrationId: integration.id,
+      submittedBy: options.userId || null,
+      requestJson
+    }
+  });
+
+  let job;
+  try {
+    job = await getQueue('dispute-outbound').add('file-arbitration', {
+      portalType,
+      integrationId: integration.id,
+      action: 'FILE_ARBITRATION',
+      data: {
+        disputeId: chargeback.processorDisputeId,
+        chargebackId: chargeback.id,
+        submissionId: submission.id,
+        narrative: options.narrative,
+        evidenceIds: options.evidenceIds || [],
+        acceptFilingFee: !!options.acceptFilingFee
+      }
+    }, { jobId: `arbitration-${submission.id}` });
+  } catch (error) {
+    await prisma.disputeSubmission.update({
+      where: { id: submission.id },
+      data: { status: 'failed', errorMessage: `Queue unavailable: ${error.message}` }
+    });
+    throw submissionError(503, 'Submission queue is unavailable, please retry shortly');
+  }
+
+  logger.info(`Arbitration filing ${submission.id} queued for ${chargeback.caseNumber} via ${portalType} (job ${job.id})`);
+
+  return { submission, portalType, jobId: job.id };
+}
+
+/**
+ * Queue acceptance of liability with the case's portal. Returns null when
+ * the portal cannot accept disputes electronically; the outbound worker
+ * closes the case once the portal confirms.
+ *
+ * @param {Object} chargeback - Chargeback with provider included
+ * @returns {Object|null} { portalType, jobId }
+ */
+async function queueDisputeAcceptance(chargeback) {
+  const portalType = resolvePortalType(chargeback.provider);
+  if (!portalType || !chargeback.processorDisputeId) return null;
+
+  const integration = await findPortalIntegration(portalType, chargeback.propertyId);
+  if (!integration) return null;
+
+  const adapter = createDisputeAdapter(portalType, {
+    baseUrl: integration.config?.baseUrl,
+    credentials: integration.credentials,
+    integrationId: integration.id
+  });
+  if (!adapter || typeof adapter.acceptDispute !== 'function') return null;
+
+  const job = await getQueue('dispute-outbound').add('accept-dispute', {
+    portalType,
+    integrationId: integration.id,
+    action: 'ACCEPT_DISPUTE',
+    data: {
+      disputeId: chargeback.processorDisputeId,
+      chargebackId: chargeback.id
+    }
+  }, { jobId: `accept-${chargeback.id}` });
+
+  logger.info(`Dispute acceptance queued for ${chargeback.caseNumber} via ${portalType} (job ${job.id})`);
+
+  return { portalType, jobId: job.id };
+}
+
+/**
+ * Queue a refund or decline for a pre-dispute alert with the network it
+ * came from. Returns null when there is no active integration to answer
+ * through; the outbound worker records the answer once the network confirms.
+ *
+ * @param {Object} alert - DisputeAlert with the decision fields set
+ * @returns {Object|null} { portalType, jobId }
+ */
+async function queueAlertResponse(alert) {
+  const portalType = toPortalType(alert.network);
+
+  const integration = alert.integrationId
+    ? await prisma.integration.findFirst({ where: { id: alert.integrationId, status: 'active' } })
+    : await findPortalIntegration(portalType, alert.propertyId);
+  if (!integration) return null;
+
+  const adapter = createDisputeAdapter(portalType, {
+    baseUrl: integration.config?.baseUrl,
+    credentials: integration.credentials,
+    integrationId: integration.id
+  });
+  if (!adapter || typeof adapter.respondToAlert !== 'function') return null;
+
+  const job = await getQueue('dispute-outbound').add('respond-alert', {
+    portalType,
+    integrationId: integration.id,
+    action: 'RESPOND_ALERT',
+    data: {
+      alertId: alert.id,
+      externalId: alert.externalId,
+      decision: alert.decision,
+      amount: alert.refundAmount !== null ? Number(alert.refundAmount) : undefined,
+      notes: alert.decisionNotes || undefined
+    }
+  }, { jobId: `alert-${alert.id}` });
+
+  logger.info(`Alert ${alert.decision} queued for ${portalType} alert ${alert.externalId} (job ${job.id})`);
+
+  return { portalType, jobId: job.id };
+}
+
+/**
+ * Whether a portal error is a definitive rejection (4xx other than
+ * rate limit/timeout) rather than a transient transport failure
+ */
+function isRejection(error) {
+  const status = error.response?.status;
+  return !!status && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function submissionError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = {
+  toPortalType,
+  resolvePortalType,
+  findPortalIntegration,
+  buildEvidencePackage,
+  queueSubmission,
+  queueArbitrationFiling,
+  queueDisputeAcceptance,
+  queueAlertResponse,
+  isRejection
+};
@@ -0,0 +1,380 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Disputed Folio Lines
+ *
+ * A chargeback often covers only part of a stay: one night, a minibar
+ * charge, a damage fee. The case's amount is the disputed part of the
+ * transaction, and staff map it to the GuestFolioItem lines it is for.
+ * Evidence scoring and the rebuttal letter then focus on those charges.
+ *
+ * Suggestions are combinations of folio charges that add up to the
+ * disputed amount, found with a bounded subset-sum search.
+ */
+
+const { prisma } = require('../config/database');
+const { createConverter } = require('./currencyConversion');
+const logger = require('../utils/logger');
+
+const MAX_SUGGESTIONS = 5;
+const MAX_LINES_PER_SUGGESTION = 8;
+const SEARCH_BUDGET = 200000; // Search nodes per suggestion request
+const CONVERTED_TOLERANCE = 0.01; // 1% when the folio is in another currency
+
+// Kind of charge a folio line is, for choosing the evidence that proves it.
+// Description matches come first so a damage fee posted as an incidental
+// is treated as damage.
+const LINE_KINDS = [
+  { kind: 'damage', match: item => /damage|repair|smok|stain|broken|cleaning fee/i.test(item.description) },
+  { kind: 'cancellation', match: item => /no[\s-]?show|cancel|late arrival|early departure/i.test(item.description) },
+  { kind: 'room', match: item => ['room', 'tax'].includes(item.category) },
+  { kind: 'food_beverage', match: item => item.category === 'food_beverage' },
+  { kind: 'incidental', match: () => true }
+];
+
+// Evidence that supports each kind of charge; `critical` is reported as
+// missing when absent. The folio and card authorization support every line.
+const LINE_EVIDENCE = {
+  room: {
+    supporting: ['ID_SCAN', 'KEY_CARD_LOG', 'CHECKOUT_SIGNATURE', 'RESERVATION_CONFIRMATION', 'CCTV_FOOTAGE'],
+    critical: ['ID_SCAN']
+  },
+  food_beverage: {
+    supporting: ['CHECKOUT_SIGNATURE', 'CCTV_FOOTAGE', 'CORRESPONDENCE'],
+    critical: ['CHECKOUT_SIGNATURE']
+  },
+  incidental: {
+    supporting: ['CHECKOUT_SIGNATURE', 'KEY_CARD_LOG', 'CORRESPONDENCE'],
+    critical: ['CHECKOUT_SIGNATURE']
+  },
+  damage: {
+    supporting: ['DAMAGE_PHOTOS', 'DAMAGE_ASSESSMENT', 'INCIDENT_REPORT', 'POLICE_REPORT', 'CORRESPONDENCE'],
+    critical: ['DAMAGE_PHOTOS', 'DAMAGE_ASSESSMENT']
+  },
+  cancellation: {
+    supporting: ['CANCELLATION_POLICY', 'CANCELLATION_POLICY_VIOLATION', 'NO_SHOW_DOCUMENTATION', 'RESERVATION_CONFIRMATION', 'CORRESPONDENCE'],
+    critical: ['CANCELLATION_POLICY']
+  }
+};
+const ALWAYS_RELEVANT = ['FOLIO', 'AUTH_SIGNATURE'];
+
+function lineError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function isCharge(item) {
+  return item.category !== 'payment' && Number(item.amount) > 0;
+}
+
+/**
+ * Whether the dispute covers only part of the transaction
+ */
+function isPartialDispute(chargeback) {
+  return chargeback.transactionAmount !== null && chargeback.transactionAmount !== undefined &&
+    Number(chargeback.amount) < Number(chargeback.transactionAmount);
+}
+
+function lineKind(item) {
+  return LINE_KINDS.find(k => k.match(item)).kind;
+}
+
+// =============================================================================
+// EVIDENCE FOCUS
+// =============================================================================
+
+/**
+ * Evidence types relevant to a set of disputed lines
+ *
+ * @param {Object[]} lines - Disputed lines with folioItem included
+ * @returns {Object} { kinds, relevantTypes, criticalTypes }
+ */
+function evidenceFocus(lines) {
+  const kinds = [...new Set(lines.map(line => lineKind(line.folioItem)))];
+  const relevant = new Set(ALWAYS_RELEVANT);
+  const critical = new Set(['FOLIO']);
+  for (const kind of kinds) {
+    LINE_EVIDENCE[kind].supporting.forEach(type => relevant.add(type));
+    LINE_EVIDENCE[kind].critical.forEach(type => critical.add(type));
+  }
+  return { kinds, relevantTypes: [...relevant], criticalTypes: [...critical] };
+}
+
+/**
+ * Per-line evidence coverage: which supporting evidence is on file and
+ * which critical evidence is missing
+ */
+function lineCoverage(lines, evidence) {
+  const present = new Set(evidence.map(e => e.type));
+  return lines.map(line => {
+    const kind = lineKind(line.folioItem);
+    const { supporting, critical } = LINE_EVIDENCE[kind];
+    return {
+      folioItemId: line.folioItemId,
+      description: line.folioItem.description,
+      postDate: line.folioItem.postDate,
+      amount: Number(line.amount),
+      kind,
+      supportedBy: [...ALWAYS_RELEVANT, ...supporting].filter(type => present.has(type)),
+      missing: critical.filter(type => !present.has(type))
+    };
+  });
+}
+
+// =============================================================================
+// SUGGESTIONS
+// =============================================================================
+
+/**
+ * Find combinations of charges whose total is within `tolerance` cents of
+ * the target. Combinations are searched by size, fewest lines first, and
+ * the search stops after SEARCH_BUDGET nodes so large folios stay fast.
+ */
+function findCombinations(items, targetCents, toleranceCents) {
+  const candidates = items
+    .filter(isCharge)
+    .map(item => ({ item, cents: toCents(item.amount) }))
+    .sort((a, b) => b.cents - a.cents);
+
+  // suffix[i] = total of candidates from i on, for pruning
+  const suffix = new Array(candidates.length + 1).fill(0);
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    suffix[i] = suffix[i + 1] + candidates[i].cents;
+  }
+
+  const found = [];
+  const perSize = MAX_SUGGESTIONS * 10;
+  let budget = SEARCH_BUDGET;
+
+  function search(index, remaining, chosen, size, sizeFound) {
+    if (--budget <= 0 || sizeFound.length >= perSize) return;
+    if (chosen.length === size) {
+      if (Math.abs(remaining) <= toleranceCents) {
+        sizeFound.push({ items: chosen.map(c => c.item), difference: -remaining / 100 });
+      }
+      return;
+    }
+    if (remaining < -toleranceCents) return;
+    if (suffix[index] < remaining - toleranceCents) return;
+
+    for (let i = index; i < candidates.length; i++) {
+      chosen.push(candidates[i]);
+      search(i + 1, remaining - candidates[i].cents, chosen, size, sizeFound);
+      chosen.pop();
+      if (budget <= 0) return;
+    }
+  }
+
+  for (let size = 1; size <= MAX_LINES_PER_SUGGESTION && found.length < MAX_SUGGESTIONS && budget > 0; size++) {
+    const sizeFound = [];
+    search(0, targetCents, [], size, sizeFound);
+    found.push(...sizeFound);
+  }
+  return found;
+}
+
+function daySpan(items) {
+  const days = items.map(item => new Date(item.postDate).getTime());
+  return (Math.max(...days) - Math.min(...days)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * The disputed amount in the folio's currency
+ */
+async function disputedTarget(chargeback, folioCurrency) {
+  if (chargeback.currency === folioCurrency) {
+    return { amount: Number(chargeback.amount), converted: false };
+  }
+  if (chargeback.propertyAmount !== null && chargeback.propertyCurrency === folioCurrency) {
+    return { amount: Number(chargeback.propertyAmount), converted: true };
+  }
+  const amount = await createConverter().convert(chargeback.amount, chargeback.currency, folioCurrency, chargeback.disputeDate);
+  return amount === null ? null : { amount, converted: true };
+}
+
+/**
+ * Suggest folio lines that add up to the disputed amount. Fewer lines rank
+ * first, then lines posted closer together, then closer totals.
+ *
+ * @param {Object} chargeback - Chargeback with reservation.folioItems
+ * @returns {Object} { target, currency, suggestions: [{ folioItemIds, lines, total, difference }] }
+ */
+async function suggestDisputedLines(chargeback) {
+  const folioItems = chargeback.reservation?.folioItems || [];
+  if (folioItems.length === 0) {
+    return { target: null, currency: null, suggestions: [] };
+  }
+
+  const currency = folioItems[0].currency || 'USD';
+  const target = await disputedTarget(chargeback, currency);
+  if (!target) {
+    return { target: null, currency, suggestions: [] };
+  }
+
+  const targetCents = toCents(target.amount);
+  const toleranceCents = target.converted ? Math.max(1, Math.round(targetCents * CONVERTED_TOLERANCE)) : 0;
+  const combinations = findCombinations(folioItems, targetCents, toleranceCents);
+
+  const suggestions = combinations
+    .sort((a, b) => a.items.length - b.items.length ||
+      daySpan(a.items) - daySpan(b.items) ||
+      Math.abs(a.difference) - Math.abs(b.difference))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ items, difference }) => ({
+      folioItemIds: items.map(item => item.id),
+      lines: items
+        .sort((a, b) => new Date(a.postDate) - new Date(b.postDate))
+        .map(item => ({
+          id: item.id,
+          description: item.description,
+          category: item.category,
+          postDate: item.postDate,
+          amount: Number(item.amount)
+        })),
+      total: items.reduce((sum, item) => sum + toCents(item.amount), 0) / 100,
+      difference: Math.round(difference * 100) / 100
+    }));
+
+  return { target: target.amount, currency, converted: target.converted, suggestions };
+}
+
+// =============================================================================
+// MAPPING
+// =============================================================================
+
+async function getDisputedLines(chargebackId) {
+  return prisma.caseDisputedLine.findMany({
+    where: { chargebackId },
+    include: { folioItem: true },
+    orderBy: { folioItem: { postDate: 'asc' } }
+  });
+}
+
+/**
+ * Summary of the case's disputed amount against its mapped lines
+ */
+function summarizeDisputedLines(chargeback, lines) {
+  const folioCurrency = lines[0]?.folioItem.currency || null;
+  const mappedTotal = lines.reduce((sum, line) => sum + toCents(line.amount), 0) / 100;
+  const comparable = !folioCurrency || folioCurrency === chargeback.currency;
+
+  return {
+    transactionAmount: chargeback.transactionAmount !== null ? Number(chargeback.transactionAmount) : null,
+    disputedAmount: Number(chargeback.amount),
+    currency: chargeback.currency,
+    isPartial: isPartialDispute(chargeback),
+    mappedTotal,
+    mappedCurrency: folioCurrency,
+    // Only meaningful when the folio is in the dispute currency
+    unmappedAmount: comparable && lines.length > 0
+      ? Math.round((Number(chargeback.amount) - mappedTotal) * 100) / 100
+      : null,
+    lines: lines.map(line => ({
+      id: line.id,
+      folioItemId: line.folioItemId,
+      description: line.folioItem.description,
+      category: line.folioItem.category,
+      postDate: line.folioItem.postDate,
+      lineAmount: Number(line.folioItem.amount),
+      amount: Number(line.amount),
+      kind: lineKind(line.folioItem),
+      source: line.source
+    }))
+  };
+}
+
+/**
+ * Replace the folio lines a case's disputed amount is mapped to.
+ * Lines must be charges on the case's linked reservation; each line's
+ * disputed amount defaults to the whole line.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @param {Object[]} selections - [{ folioItemId, amount? }]
+ * @param {Object} options - { actor, source }
+ */
+async function setDisputedLines(chargeback, selections, options = {}) {
+  const { actor, source = 'manual' } = options;
+
+  if (selections.length > 0 && !chargeback.reservationId) {
+    throw lineError(422, 'Link a reservation before mapping folio lines');
+  }
+
+  const items = selections.length > 0
+    ? await prisma.guestFolioItem.findMany({
+      where: {
+        id: { in: selections.map(s => s.folioItemId) },
+        reservationId: chargeback.reservationId
+      }
+    })
+    : [];
+  const itemsById = new Map(items.map(item => [item.id, item]));
+
+  const data = selections.map(selection => {
+    const item = itemsById.get(selection.folioItemId);
+    if (!item) {
+      throw lineError(422, `Folio line ${selection.folioItemId} is not on this case's reservation`);
+    }
+    if (!isCharge(item)) {
+      throw lineError(422, `"${item.description}" is not a charge and cannot be disputed`);
+    }
+    const amount = selection.amount ?? Number(item.amount);
+    if (amount > Number(item.amount)) {
+      throw lineError(422, `Disputed amount for "${item.description}" is more than the line`);
+    }
+    return {
+      chargebackId: chargeback.id,
+      folioItemId: item.id,
+      amount,
+      source,
+      createdBy: actor?.id || null
+    };
+  });
+
+  await prisma.$transaction([
+    prisma.caseDisputedLine.deleteMany({ where: { chargebackId: chargeback.id } }),
+    ...(data.length > 0 ? [prisma.caseDisputedLine.createMany({ data })] : [])
+  ]);
+
+  const lines = await getDisputedLines(chargeback.id);
+  const summary = summarizeDisputedLines(chargeback, lines);
+
+  const currency = summary.mappedCurrency || chargeback.currency;
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'USER_ACTION',
+      title: lines.length > 0 ? 'Disputed Lines Mapped' : 'Disputed Lines Cleared',
+      description: lines.length > 0
+        ? `${lines.length} folio line${lines.length === 1 ? '' : 's'} totaling ${summary.mappedTotal.toFixed(2)} ${currency} ` +
+          `mapped to the disputed ${Number(chargeback.amount).toFixed(2)} ${chargeback.currency}` +
+          `${actor ? ` by ${actor.firstName} ${actor.lastName}` : ''}`
+        : `Folio line mapping removed${actor ? ` by ${actor.firstName} ${actor.lastName}` : ''}`,
+      metadata: {
+        folioItemIds: lines.map(line => line.folioItemId),
+        mappedTotal: summary.mappedTotal,
+        unmappedAmount: summary.unmappedAmount,
+        source
+      }
+    }
+  });
+
+  logger.info(`Disputed lines set on ${chargeback.caseNumber}: ${lines.length} lines`);
+
+  return summary;
+}
+
+module.exports = {
+  LINE_EVIDENCE,
+  isPartialDispute,
+  lineKind,
+  evidenceFocus,
+  lineCoverage,
+  suggestDisputedLines,
+  getDisputedLines,
+  summarizeDisputedLines,
+  setDisputedLines
+};
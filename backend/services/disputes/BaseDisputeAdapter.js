@@ -226,6 +226,40 @@ class BaseDisputeAdapter {
     throw new Error(`[${this.portalType}] normalizeReasonCode() not implemented`);
   }
 
+  /**
+   * Pull the decision details out of a resolved dispute's payload. Reads
+   * the field names most portals use (financialImpact, issuerResponse);
+   * adapters whose portals report them differently override this. Fields
+   * the portal does not send are null.
+   *
+   * @param {Object} portalData - Raw dispute or status data from the portal
+   * @returns {Object} { recoveredAmount, chargebackFee, arbitrationFee,
+   *   reversalDate, decidedAt, issuerReasonCode, issuerRemarks, processorResponseCode }
+   */
+  normalizeOutcome(portalData = {}) {
+    const impact = portalData.financialImpact || {};
+    const issuer = portalData.issuerResponse && typeof portalData.issuerResponse === 'object'
+      ? portalData.issuerResponse
+      : {};
+    const amount = (...values) => {
+      const value = values.find(v => v !== undefined && v !== null && v !== '');
+      return value !== undefined && Number.isFinite(Number(value)) ? Number(value) : null;
+    };
+
+    return {
+      recoveredAmount: amount(portalData.recoveredAmount, impact.recoveredAmount, impact.reversalAmount, impact.creditAmount),
+      chargebackFee: amount(portalData.chargebackFee, impact.chargebackFee, impact.disputeFee),
+      arbitrationFee: amount(portalData.arbitrationFee, impact.arbitrationFee, impact.filingFee),
+      reversalDate: portalData.reversalDate || impact.reversalDate || impact.creditDate || null,
+      decidedAt: portalData.outcomeDate || portalData.decisionDate || issuer.decisionDate || null,
+      issuerReasonCode: portalData.issuerReasonCode || portalData.decisionReasonCode || issuer.reasonCode || issuer.code || null,
+      issuerRemarks: portalData.issuerRemarks || issuer.remarks || issuer.description ||
+        (typeof portalData.issuerResponse === 'string' ? portalData.issuerResponse : null) ||
+        portalData.issuerResponseDescription || portalData.statusMessage || portalData.outcomeReason || null,
+      processorResponseCode: portalData.processorResponseCode || portalData.responseCode || null
+    };
+  }
+
   // ===========================================================================
   // HEALTH CHECK
   // ===========================================================================
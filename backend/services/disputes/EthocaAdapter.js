@@ -406,6 +406,46 @@ class EthocaAdapter extends BaseDisputeAdapter {
     };
   }
 
+  /**
+   * Answer an Ethoca alert inside its response window.
+   *
+   * A refund credits the cardholder and closes the alert; a decline tells
+   * the issuer the merchant will contest, so a chargeback may follow.
+   *
+   * @param {string} alertId - Ethoca alert ID
+   * @param {Object} response
+   * @param {string} response.action - 'refund' or 'decline'
+   * @param {number} [response.amount] - Amount refunded
+   * @param {string} [response.notes] - Merchant notes for the issuer
+   */
+  async respondToAlert(alertId, response) {
+    const refund = response.action === 'refund';
+    const outcome = refund ? ALERT_OUTCOMES.REFUND : ALERT_OUTCOMES.FIGHT;
+
+    const payload = {
+      alertId,
+      merchantId: this.merchantId,
+      action: refund ? 'accept' : 'decline',
+      outcome,
+      ...(refund && response.amount !== undefined && { refundAmount: response.amount }),
+      merchantNotes: response.notes || '',
+      idempotencyKey: this._generateIdempotencyKey('alert')
+    };
+
+    const result = await this._withRetry(() =>
+      this.httpClient.post(`/alerts/${alertId}/respond`, payload)
+    );
+
+    logger.info(`[Ethoca] Alert ${alertId} answered with outcome: ${outcome}`);
+
+    return {
+      alertId,
+      outcome,
+      responseId: result.data.responseId || result.data.id,
+      message: result.data.message || 'Alert response recorded'
+    };
+  }
+
   /**
    * Update the status of a dispute case on Ethoca.
    */
@@ -513,6 +513,34 @@ class StripeDisputeAdapter extends BaseDisputeAdapter {
     };
   }
 
+  /**
+   * Read the decision details from a closed Stripe dispute. Stripe reports
+   * money movements as balance transactions: the withdrawal carries the
+   * dispute fee, and a won dispute adds a reinstatement (positive amount)
+   * that may refund the fee. Amounts are in cents.
+   *
+   * @param {Object} portalData - Raw dispute data from Stripe
+   * @returns {Object} Outcome details, see BaseDisputeAdapter.normalizeOutcome
+   */
+  normalizeOutcome(portalData = {}) {
+    const transactions = Array.isArray(portalData.balance_transactions) ? portalData.balance_transactions : [];
+    const reinstatements = transactions.filter(t => t.amount > 0);
+
+    return {
+      recoveredAmount: reinstatements.length
+        ? reinstatements.reduce((sum, t) => sum + t.amount, 0) / 100 : null,
+      chargebackFee: transactions.length
+        ? Math.max(0, transactions.reduce((sum, t) => sum + (t.fee || 0), 0)) / 100 : null,
+      arbitrationFee: null,
+      reversalDate: reinstatements.length
+        ? new Date(Math.max(...reinstatements.map(t => t.created)) * 1000).toISOString() : null,
+      decidedAt: null,
+      issuerReasonCode: portalData.payment_method_details?.card?.network_reason_code || null,
+      issuerRemarks: null,
+      processorResponseCode: portalData.status || null
+    };
+  }
+
   /**
    * Map a Stripe dispute status to AccuDefend internal status.
    */
@@ -414,6 +414,44 @@ class VerifiAdapter extends BaseDisputeAdapter {
     };
   }
 
+  /**
+   * Answer a CDRN alert inside its response window.
+   *
+   * A refund credits the cardholder and stops the chargeback; a decline
+   * leaves the issuer free to file one.
+   *
+   * @param {string} alertId - CDRN alert ID
+   * @param {Object} response
+   * @param {string} response.action - 'refund' or 'decline'
+   * @param {number} [response.amount] - Amount credited
+   * @param {string} [response.notes] - Merchant notes for the issuer
+   */
+  async respondToAlert(alertId, response) {
+    const refund = response.action === 'refund';
+
+    const payload = {
+      alertId,
+      merchantId: this.merchantId,
+      action: refund ? 'accept' : 'decline',
+      ...(refund && response.amount !== undefined && { creditAmount: response.amount }),
+      merchantNotes: response.notes || '',
+      idempotencyKey: this._generateIdempotencyKey('alert')
+    };
+
+    const result = await this._withRetry(() =>
+      this.httpClient.post(`/alerts/${alertId}/respond`, payload)
+    );
+
+    logger.info(`[Verifi] Alert ${alertId} ${refund ? 'credited' : 'declined'}`);
+
+    return {
+      alertId,
+      action: payload.action,
+      responseId: result.data.responseId || result.data.id,
+      message: result.data.message || 'Alert response recorded'
+    };
+  }
+
   /**
    * Update the status of a dispute case on Verifi.
    */
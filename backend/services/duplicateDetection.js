@@ -0,0 +1,459 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Duplicate Dispute Detection
+ *
+ * The same dispute often arrives through several channels (an Ethoca or
+ * Verifi alert, then a processor webhook, then a dispute-company feed).
+ * Intake checks each new dispute against existing cases at the property:
+ *
+ *  - Same transaction ID or ARN as an open case: the event is attached to
+ *    that case and no new case is created.
+ *  - Same transaction ID or ARN as a closed case, or the same fingerprint
+ *    (card last four, amount and currency) with a dispute date within
+ *    DUPLICATE_WINDOW_DAYS: a new case is created and linked as a possible
+ *    duplicate for review.
+ *  - Same dispute ID as a case in the recycle bin: the event is skipped;
+ *    restoring the case brings it back.
+ *
+ * Admins resolve linked duplicates by merging them or dismissing the link.
+ */
+
+const { prisma } = require('../config/database');
+const logger = require('../utils/logger');
+
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A duplicate of a case still being worked is the same dispute
+const OPEN_STATUSES = ['PENDING', 'IN_REVIEW', 'SUBMITTED'];
+
+function duplicateError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Fingerprint for fuzzy matching: card last four, amount in minor units
+ * and currency. Returns null without a card number or amount.
+ */
+function computeFingerprint({ cardLastFour, amount, currency }) {
+  const lastFour = cardLastFour ? String(cardLastFour).replace(/\D/g, '').slice(-4) : '';
+  const value = Number(amount);
+  if (lastFour.length !== 4 || !value) return null;
+  return `${lastFour}|${Math.round(value * 100)}|${(currency || 'USD').toUpperCase()}`;
+}
+
+/**
+ * Look for an existing case that a new dispute duplicates.
+ *
+ * @param {Object} intake - { propertyId, source, externalId, transactionId, arn, cardLastFour, amount, currency, disputeDate }
+ * @returns {Object} { action: 'attach' | 'link' | 'skip' | 'create', chargeback, matchedOn }
+ */
+async function findDuplicate(intake) {
+  const { propertyId, transactionId, arn, externalId } = intake;
+
+  // A redelivered event for a dispute we already have
+  const known = await findCaseByDisputeId(externalId);
+  if (known) {
+    return { action: 'attach', chargeback: known, matchedOn: ['disputeId'] };
+  }
+
+  // A dispute whose case was deleted is not opened again
+  const deleted = await findDeletedCaseByDisputeId(externalId);
+  if (deleted) {
+    return { action: 'skip', chargeback: deleted, matchedOn: ['disputeId'] };
+  }
+
+  // Only match primary cases, so duplicates all link to the same original
+  const base = { propertyId, duplicateOfId: null, mergedAt: null };
+
+  const identifiers = [];
+  if (transactionId) identifiers.push({ transactionId });
+  if (arn) identifiers.push({ arn });
+
+  if (identifiers.length) {
+    const exact = await prisma.chargeback.findFirst({
+      where: { ...base, OR: identifiers },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (exact) {
+      const matchedOn = [
+        transactionId && exact.transactionId === transactionId && 'transactionId',
+        arn && exact.arn === arn && 'arn'
+      ].filter(Boolean);
+      return {
+        action: OPEN_STATUSES.includes(exact.status) ? 'attach' : 'link',
+        chargeback: exact,
+        matchedOn
+      };
+    }
+  }
+
+  const fingerprint = computeFingerprint(intake);
+  if (fingerprint) {
+    const disputeDate = intake.disputeDate ? new Date(intake.disputeDate) : new Date();
+    const probable = await prisma.chargeback.findFirst({
+      where: {
+        ...base,
+        fingerprint,
+        disputeDate: {
+          gte: new Date(disputeDate.getTime() - DUPLICATE_WINDOW_DAYS * DAY_MS),
+          lte: new Date(disputeDate.getTime() + DUPLICATE_WINDOW_DAYS * DAY_MS)
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (probable) {
+      return { action: 'link', chargeback: probable, matchedOn: ['fingerprint'] };
+    }
+  }
+
+  return { action: 'create', chargeback: null, matchedOn: [] };
+}
+
+/**
+ * Record a duplicate dispute event on the existing case instead of
+ * creating a new one. The event's dispute ID is kept as a reference so
+ * later updates from that channel find this case.
+ *
+ * @param {Object} chargeback - Existing case
+ * @param {Object} intake - { source, externalId, arn, cardLastFour, amount, currency }
+ * @param {string[]} matchedOn - Identifiers that matched
+ */
+async function attachToCase(chargeback, intake, matchedOn) {
+  const { source, externalId } = intake;
+
+  if (matchedOn.includes('disputeId')) {
+    logger.info(`Dispute ${externalId} from ${source} is already on ${chargeback.caseNumber}, skipping`);
+    return;
+  }
+
+  if (externalId) {
+    await prisma.caseReference.upsert({
+      where: { source_externalId: { source, externalId } },
+      create: { source, externalId, matchedOn, chargebackId: chargeback.id },
+      update: {}
+    });
+  }
+
+  // Fill identifiers the first channel didn't provide
+  const backfill = {};
+  if (!chargeback.arn && intake.arn) backfill.arn = intake.arn;
+  if (!chargeback.cardLastFour && intake.cardLastFour) {
+    backfill.cardLastFour = intake.cardLastFour;
+    backfill.fingerprint = computeFingerprint({ ...intake, amount: chargeback.amount, currency: chargeback.currency });
+  }
+  if (Object.keys(backfill).length) {
+    await prisma.chargeback.update({ where: { id: chargeback.id }, data: backfill });
+  }
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'ALERT',
+      title: `Duplicate Dispute from ${source}`,
+      description: `${source} sent ${externalId ? `dispute ${externalId}` : 'a dispute'} matching this case on ${matchedOn.join(' and ')}; no new case was created`,
+      metadata: { source, externalId: externalId || null, matchedOn, amount: intake.amount ?? null }
+    }
+  });
+
+  logger.info(`Duplicate dispute ${externalId || ''} from ${source} attached to ${chargeback.caseNumber} (${matchedOn.join(', ')})`);
+}
+
+/**
+ * Mark a newly created case as a possible duplicate of an existing one
+ */
+async function linkDuplicate(chargeback, original, matchedOn) {
+  await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: { duplicateOfId: original.id }
+  });
+
+  await prisma.timelineEvent.createMany({
+    data: [
+      {
+        chargebackId: chargeback.id,
+        eventType: 'WARNING',
+        title: 'Possible Duplicate',
+        description: `Matches ${original.caseNumber} on ${matchedOn.join(' and ')}. An admin can merge the cases or dismiss the link.`,
+        metadata: { duplicateOfId: original.id, matchedOn }
+      },
+      {
+        chargebackId: original.id,
+        eventType: 'INFO',
+        title: 'Possible Duplicate Received',
+        description: `${chargeback.caseNumber} matches this case on ${matchedOn.join(' and ')}`,
+        metadata: { duplicateId: chargeback.id, matchedOn }
+      }
+    ]
+  });
+
+  logger.info(`${chargeback.caseNumber} linked as possible duplicate of ${original.caseNumber} (${matchedOn.join(', ')})`);
+}
+
+/**
+ * Find the case for a channel's dispute ID, whether it is the case's own
+ * processor dispute ID or a reference from an attached or merged dispute.
+ * Merged cases resolve to the case they were merged into.
+ */
+async function findCaseByDisputeId(disputeId) {
+  if (!disputeId) return null;
+
+  let chargeback = await prisma.chargeback.findFirst({
+    where: { processorDisputeId: disputeId },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (!chargeback) {
+    const reference = await prisma.caseReference.findFirst({
+      where: { externalId: disputeId, chargeback: { deletedAt: null } },
+      include: { chargeback: true }
+    });
+    chargeback = reference?.chargeback || null;
+  }
+
+  for (let hops = 0; chargeback?.mergedAt && chargeback.duplicateOfId && hops < 5; hops++) {
+    chargeback = await prisma.chargeback.findUnique({ where: { id: chargeback.duplicateOfId } });
+  }
+
+  return chargeback;
+}
+
+/**
+ * Find a case in the recycle bin that holds a channel's dispute ID
+ */
+async function findDeletedCaseByDisputeId(disputeId) {
+  if (!disputeId) return null;
+
+  const chargeback = await prisma.chargeback.findFirst({
+    where: { processorDisputeId: disputeId, deletedAt: { not: null } },
+    orderBy: { createdAt: 'asc' }
+  });
+  if (chargeback) return chargeback;
+
+  const reference = await prisma.caseReference.findFirst({
+    where: { externalId: disputeId, chargeback: { deletedAt: { not: null } } },
+    include: { chargeback: true }
+  });
+  return reference?.chargeback || null;
+}
+
+/**
+ * Cases linked as possible duplicates and not yet merged or dismissed
+ */
+async function listLinkedDuplicates(propertyId) {
+  return prisma.chargeback.findMany({
+    where: {
+      duplicateOfId: { not: null },
+      mergedAt: null,
+      ...(propertyId && { propertyId })
+    },
+    select: {
+      id: true,
+      caseNumber: true,
+      status: true,
+      guestName: true,
+      amount: true,
+      currency: true,
+      cardLastFour: true,
+      transactionId: true,
+      arn: true,
+      disputeDate: true,
+      createdAt: true,
+      provider: { select: { name: true } },
+      property: { select: { id: true, name: true } },
+      _count: { select: { evidence: true, timeline: true, submissions: true } },
+      duplicateOf: {
+        select: {
+          id: true,
+          caseNumber: true,
+          status: true,
+          guestName: true,
+          amount: true,
+          currency: true,
+          cardLastFour: true,
+          transactionId: true,
+          arn: true,
+          disputeDate: true,
+          provider: { select: { name: true } },
+          _count: { select: { evidence: true, timeline: true, submissions: true } }
+        }
+      }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Merge one case into another. Evidence, timeline, notes, submissions,
+ * references and watchers move to the target; the source is cancelled and
+ * points at the target, and its dispute ID keeps resolving to the target.
+ *
+ * @param {string} sourceId - Case to merge away
+ * @param {string} targetId - Case that remains
+ * @param {Object} actor - User performing the merge
+ * @returns {Object} { source, target, moved }
+ */
+async function mergeCases(sourceId, targetId, actor) {
+  if (sourceId === targetId) {
+    throw duplicateError(400, 'Cannot merge a case into itself');
+  }
+
+  const [source, target] = await Promise.all([
+    prisma.chargeback.findUnique({ where: { id: sourceId }, include: { provider: true, watchers: true } }),
+    prisma.chargeback.findUnique({ where: { id: targetId } })
+  ]);
+
+  if (!source || !target) {
+    throw duplicateError(404, 'Chargeback not found');
+  }
+  if (source.mergedAt || target.mergedAt) {
+    throw duplicateError(409, `${source.mergedAt ? source.caseNumber : target.caseNumber} has already been merged`);
+  }
+  if (source.propertyId !== target.propertyId) {
+    throw duplicateError(422, 'Cases at different properties cannot be merged');
+  }
+
+  const moveWhere = { where: { chargebackId: source.id }, data: { chargebackId: target.id } };
+
+  const moved = await prisma.$transaction(async (tx) => {
+    const evidence = await tx.evidence.updateMany(moveWhere);
+    const timeline = await tx.timelineEvent.updateMany(moveWhere);
+    const notes = await tx.caseNote.updateMany(moveWhere);
+    const submissions = await tx.disputeSubmission.updateMany(moveWhere);
+    await tx.caseReference.updateMany(moveWhere);
+
+    if (source.watchers.length) {
+      await tx.caseWatcher.createMany({
+        data: source.watchers.map(w => ({ chargebackId: target.id, userId: w.userId, addedBy: w.addedBy })),
+        skipDuplicates: true
+      });
+    }
+
+    // Keep the source's dispute ID routing to the surviving case
+    if (source.processorDisputeId) {
+      const referenceSource = source.provider?.name || 'merged';
+      await tx.caseReference.upsert({
+        where: { source_externalId: { source: referenceSource, externalId: source.processorDisputeId } },
+        create: {
+          source: referenceSource,
+          externalId: source.processorDisputeId,
+          matchedOn: ['merge'],
+          chargebackId: target.id
+        },
+        update: { chargebackId: target.id }
+      });
+    }
+
+    // Other duplicates of the source now point at the target
+    await tx.chargeback.updateMany({
+      where: { duplicateOfId: source.id, id: { not: target.id } },
+      data: { duplicateOfId: target.id }
+    });
+
+    await tx.chargeback.update({
+      where: { id: target.id },
+      data: {
+        ...(target.duplicateOfId === source.id && { duplicateOfId: null }),
+        ...(!target.arn && source.arn && { arn: source.arn }),
+        ...(!target.cardLastFour && source.cardLastFour && {
+          cardLastFour: source.cardLastFour,
+          fingerprint: source.fingerprint
+        }),
+        ...(!target.confirmationNumber && source.confirmationNumber && { confirmationNumber: source.confirmationNumber }),
+        ...(!target.reservationId && source.reservationId && { reservationId: source.reservationId })
+      }
+    });
+
+    await tx.chargeback.update({
+      where: { id: source.id },
+      data: {
+        status: 'CANCELLED',
+        duplicateOfId: target.id,
+        mergedAt: new Date(),
+        resolvedAt: source.resolvedAt || new Date()
+      }
+    });
+
+    await tx.timelineEvent.create({
+      data: {
+        chargebackId: target.id,
+        eventType: 'USER_ACTION',
+        title: 'Cases Merged',
+        description: `${source.caseNumber} merged into this case by ${actor.firstName} ${actor.lastName}: ` +
+          `${evidence.count} evidence files, ${timeline.count} timeline entries, ${submissions.count} submissions and ${notes.count} notes moved`,
+        metadata: { sourceId: source.id, sourceCaseNumber: source.caseNumber }
+      }
+    });
+
+    await tx.timelineEvent.create({
+      data: {
+        chargebackId: source.id,
+        eventType: 'SYSTEM',
+        title: 'Merged',
+        description: `Merged into ${target.caseNumber} by ${actor.firstName} ${actor.lastName}`,
+        metadata: { targetId: target.id, targetCaseNumber: target.caseNumber }
+      }
+    });
+
+    return {
+      evidence: evidence.count,
+      timeline: timeline.count,
+      notes: notes.count,
+      submissions: submissions.count
+    };
+  });
+
+  logger.info(`Case ${source.caseNumber} merged into ${target.caseNumber} by ${actor.email}`, moved);
+
+  return { source, target, moved };
+}
+
+/**
+ * Clear a possible-duplicate link after review
+ */
+async function dismissDuplicate(chargebackId, actor) {
+  const chargeback = await prisma.chargeback.findUnique({
+    where: { id: chargebackId },
+    include: { duplicateOf: { select: { caseNumber: true } } }
+  });
+
+  if (!chargeback) {
+    throw duplicateError(404, 'Chargeback not found');
+  }
+  if (!chargeback.duplicateOfId || chargeback.mergedAt) {
+    throw duplicateError(409, `${chargeback.caseNumber} is not linked as a possible duplicate`);
+  }
+
+  await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: { duplicateOfId: null }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'USER_ACTION',
+      title: 'Duplicate Link Dismissed',
+      description: `${actor.firstName} ${actor.lastName} confirmed this case is not a duplicate of ${chargeback.duplicateOf.caseNumber}`
+    }
+  });
+
+  return chargeback;
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  computeFingerprint,
+  findDuplicate,
+  attachToCase,
+  linkDuplicate,
+  findCaseByDisputeId,
+  findDeletedCaseByDisputeId,
+  listLinkedDuplicates,
+  mergeCases,
+  dismissDuplicate
+};
@@ -0,0 +1,589 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Evidence Dossier Compiler
+ *
+ * Compiles a case's evidence into a single indexed PDF: cover letter,
+ * table of contents, rendered guest folio, then each evidence file as a
+ * labelled exhibit. Every page carries a case reference and page number.
+ * The result is stored as an EVIDENCE_DOSSIER evidence item so it can be
+ * downloaded or sent to the portal in place of the individual files.
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { prisma } = require('../config/database');
+const { uploadFile, generateS3Key, readFileBuffer } = require('../config/storage');
+const { getCurrentStage } = require('./disputeStages');
+const logger = require('../utils/logger');
+
+// US Letter, points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+const FOLIO_ROWS_PER_PAGE = 30;
+const TOC_ROWS_PER_PAGE = 32;
+
+const COLORS = {
+  text: rgb(0.1, 0.1, 0.12),
+  muted: rgb(0.42, 0.45, 0.5),
+  rule: rgb(0.82, 0.84, 0.87),
+  label: rgb(0.12, 0.23, 0.54)
+};
+
+const EVIDENCE_TYPE_LABELS = {
+  ID_SCAN: 'Government ID',
+  AUTH_SIGNATURE: 'Authorization Signature',
+  CHECKOUT_SIGNATURE: 'Checkout Signature',
+  FOLIO: 'Guest Folio',
+  RESERVATION_CONFIRMATION: 'Reservation Confirmation',
+  CANCELLATION_POLICY: 'Cancellation Policy',
+  CANCELLATION_POLICY_VIOLATION: 'Cancellation Policy Violation',
+  KEY_CARD_LOG: 'Key Card Access Log',
+  CCTV_FOOTAGE: 'CCTV Footage',
+  CORRESPONDENCE: 'Guest Correspondence',
+  INCIDENT_REPORT: 'Incident Report',
+  DAMAGE_PHOTOS: 'Damage Photos',
+  DAMAGE_ASSESSMENT: 'Damage Assessment',
+  POLICE_REPORT: 'Police Report',
+  NO_SHOW_DOCUMENTATION: 'No-Show Documentation',
+  OTHER: 'Supporting Document'
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Exhibit label for a zero-based index: A..Z, AA..AZ, ...
+ */
+function exhibitLabel(index) {
+  let label = '';
+  let n = index;
+  do {
+    label = String.fromCharCode(65 + (n % 26)) + label;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return label;
+}
+
+/**
+ * Standard PDF fonts only cover WinAnsi; replace anything else
+ */
+function pdfText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function formatMoney(amount, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(parseFloat(amount) || 0);
+}
+
+function formatDay(date) {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Split text into lines that fit the given width
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of pdfText(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) > maxWidth && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Draw wrapped text and return the y position below it
+ */
+function drawParagraph(page, text, { x, y, font, size = 11, maxWidth, lineGap = 4, color = COLORS.text }) {
+  const lines = wrapText(text, font, size, maxWidth);
+  for (const line of lines) {
+    page.drawText(line, { x, y, size, font, color });
+    y -= size + lineGap;
+  }
+  return y;
+}
+
+function truncateToWidth(text, font, size, maxWidth) {
+  let value = pdfText(text);
+  if (font.widthOfTextAtSize(value, size) <= maxWidth) return value;
+  while (value.length > 1 && font.widthOfTextAtSize(`${value}...`, size) > maxWidth) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+}
+
+// =============================================================================
+// EXHIBIT LOADING
+// =============================================================================
+
+/**
+ * Load each evidence file and work out how many pages it will occupy.
+ * Files that cannot be rendered still get a single placeholder page so
+ * the exhibit index stays complete.
+ */
+async function loadExhibits(evidenceRecords) {
+  const exhibits = [];
+
+  for (const [index, record] of evidenceRecords.entries()) {
+    const exhibit = {
+      label: exhibitLabel(index),
+      evidence: record,
+      title: EVIDENCE_TYPE_LABELS[record.type] || record.type,
+      kind: 'placeholder',
+      pageCount: 1,
+      note: null
+    };
+
+    try {
+      const bytes = await readFileBuffer(record.s3Key);
+
+      if (record.mimeType === 'application/pdf') {
+        exhibit.source = await PDFDocument.load(bytes, { ignoreEncryption: true });
+        exhibit.kind = 'pdf';
+        exhibit.pageCount = exhibit.source.getPageCount();
+      } else if (record.mimeType === 'image/jpeg' || record.mimeType === 'image/png') {
+        exhibit.bytes = bytes;
+        exhibit.kind = record.mimeType === 'image/png' ? 'png' : 'jpg';
+      } else if (record.mimeType === 'text/plain' || record.mimeType === 'text/csv') {
+        exhibit.text = bytes.toString('utf8');
+        exhibit.kind = 'text';
+      } else {
+        exhibit.note = `This ${record.mimeType} file cannot be embedded in a PDF and is provided separately.`;
+      }
+    } catch (error) {
+      logger.warn(`Dossier: could not load evidence ${record.id}: ${error.message}`);
+      exhibit.kind = 'placeholder';
+      exhibit.pageCount = 1;
+      exhibit.note = 'The file could not be retrieved from storage when this dossier was compiled.';
+    }
+
+    exhibits.push(exhibit);
+  }
+
+  return exhibits;
+}
+
+// =============================================================================
+// PAGE RENDERERS
+// =============================================================================
+
+/**
+ * Render the cover letter. Uses the case's saved rebuttal letter when one
+ * exists, otherwise a standard representment letter. Returns page count.
+ */
+function renderCoverLetter(doc, fonts, chargeback, exhibits, options) {
+  let page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let pageCount = 1;
+  const width = PAGE_WIDTH - MARGIN * 2;
+  const property = chargeback.property || {};
+  let y = PAGE_HEIGHT - MARGIN;
+
+  page.drawText(pdfText(property.name || 'Merchant'), { x: MARGIN, y, size: 16, font: fonts.bold, color: COLORS.text });
+  y -= 18;
+  const addressLine = [property.address, property.city, property.state, property.postalCode].filter(Boolean).join(', ');
+  if (addressLine) {
+    page.drawText(pdfText(addressLine), { x: MARGIN, y, size: 10, font: fonts.regular, color: COLORS.muted });
+    y -= 14;
+  }
+  y -= 20;
+
+  page.drawText(formatDay(new Date()), { x: MARGIN, y, size: 11, font: fonts.regular });
+  y -= 28;
+
+  const draft = chargeback.rebuttalLetter;
+  let paragraphs;
+
+  if (draft?.body) {
+    if (draft.subject) {
+      page.drawText(truncateToWidth(draft.subject, fonts.bold, 12, width), { x: MARGIN, y, size: 12, font: fonts.bold });
+      y -= 24;
+    }
+    paragraphs = draft.body.split(/\n\s*\n/);
+  } else {
+    const refLines = [
+      ['Case', chargeback.caseNumber],
+      ['Dispute ID', chargeback.processorDisputeId || '-'],
+      ['Transaction ID', chargeback.transactionId],
+      ['Card', chargeback.cardLastFour ? `${chargeback.cardBrand || 'Card'} ending ${chargeback.cardLastFour}` : '-'],
+      ['Disputed Amount', formatMoney(chargeback.amount, chargeback.currency)],
+      ['Reason Code', `${chargeback.reasonCode}${chargeback.reasonDescription ? ` - ${chargeback.reasonDescription}` : ''}`]
+    ];
+    page.drawText('RE: Chargeback Representment', { x: MARGIN, y, size: 12, font: fonts.bold });
+    y -= 18;
+    for (const [label, value] of refLines) {
+      page.drawText(`${label}:`, { x: MARGIN, y, size: 10, font: fonts.bold, color: COLORS.muted });
+      page.drawText(truncateToWidth(value, fonts.regular, 10, width - 110), { x: MARGIN + 110, y, size: 10, font: fonts.regular });
+      y -= 14;
+    }
+    y -= 16;
+
+    const reservation = chargeback.reservation;
+    const stay = `${chargeback.guestName} stayed at ${property.name || 'our property'} from ` +
+      `${formatDay(reservation?.actualCheckIn || chargeback.checkInDate)} to ` +
+      `${formatDay(reservation?.actualCheckOut || chargeback.checkOutDate)}` +
+      `${chargeback.confirmationNumber ? ` under confirmation ${chargeback.confirmationNumber}` : ''}` +
+      `${chargeback.roomNumber ? `, room ${chargeback.roomNumber}` : ''}.`;
+
+    paragraphs = [
+      'To the Dispute Resolution Team:',
+      `We are responding to the above chargeback and request that it be reversed. ${stay} ` +
+        `The charge of ${formatMoney(chargeback.amount, chargeback.currency)} was authorized by the cardholder ` +
+        'and corresponds to services that were provided as agreed.',
+      `The enclosed dossier contains ${exhibits.length} exhibit${exhibits.length === 1 ? '' : 's'}` +
+        `${reservation?.folioItems?.length ? ' together with the itemized guest folio' : ''}. ` +
+        'A table of contents with page references follows this letter.',
+      'Please contact us if any further documentation is required.',
+      'Sincerely,',
+      `${property.name || 'Merchant'} - Chargeback Team`
+    ];
+  }
+
+  if (options.coverNote) {
+    paragraphs.splice(Math.max(paragraphs.length - 2, 0), 0, options.coverNote);
+  }
+
+  // Letters can run past one page; continue onto further pages as needed
+  for (const paragraph of paragraphs) {
+    for (const line of wrapText(paragraph, fonts.regular, 11, width)) {
+      if (y < MARGIN + 20) {
+        page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+        pageCount++;
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      page.drawText(line, { x: MARGIN, y, size: 11, font: fonts.regular, color: COLORS.text });
+      y -= 15;
+    }
+    y -= 10;
+  }
+
+  return pageCount;
+}
+
+function renderTableOfContents(doc, fonts, entries) {
+  const pageCount = Math.max(1, Math.ceil(entries.length / TOC_ROWS_PER_PAGE));
+
+  for (let p = 0; p < pageCount; p++) {
+    const page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let y = PAGE_HEIGHT - MARGIN;
+
+    page.drawText(p === 0 ? 'Table of Contents' : 'Table of Contents (continued)', {
+      x: MARGIN, y, size: 16, font: fonts.bold
+    });
+    y -= 30;
+
+    for (const entry of entries.slice(p * TOC_ROWS_PER_PAGE, (p + 1) * TOC_ROWS_PER_PAGE)) {
+      const pageRef = String(entry.startPage);
+      const refWidth = fonts.regular.widthOfTextAtSize(pageRef, 11);
+      const title = truncateToWidth(entry.title, fonts.regular, 11, PAGE_WIDTH - MARGIN * 2 - 130);
+
+      page.drawText(pdfText(entry.label), { x: MARGIN, y, size: 11, font: fonts.bold, color: COLORS.label });
+      page.drawText(title, { x: MARGIN + 80, y, size: 11, font: fonts.regular });
+      page.drawText(pageRef, { x: PAGE_WIDTH - MARGIN - refWidth, y, size: 11, font: fonts.regular });
+      y -= 20;
+    }
+  }
+}
+
+function renderFolio(doc, fonts, chargeback) {
+  const reservation = chargeback.reservation;
+  const items = reservation.folioItems || [];
+  const pageCount = folioPageCount(reservation);
+  const columns = [
+    { key: 'postDate', label: 'Date', x: MARGIN, width: 70 },
+    { key: 'category', label: 'Category', x: MARGIN + 72, width: 86 },
+    { key: 'description', label: 'Description', x: MARGIN + 160, width: 250 },
+    { key: 'amount', label: 'Amount', x: PAGE_WIDTH - MARGIN, width: 80, alignRight: true }
+  ];
+
+  for (let p = 0; p < pageCount; p++) {
+    const page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    let y = PAGE_HEIGHT - MARGIN;
+
+    page.drawText('Guest Folio', { x: MARGIN, y, size: 16, font: fonts.bold });
+    y -= 20;
+
+    const header = [
+      `Guest: ${reservation.guestName}`,
+      `Confirmation: ${reservation.confirmationNumber}`,
+      `Stay: ${formatDay(reservation.actualCheckIn || reservation.checkInDate)} - ${formatDay(reservation.actualCheckOut || reservation.checkOutDate)}`,
+      `Room: ${reservation.roomNumber || '-'}${reservation.roomType ? ` (${reservation.roomType})` : ''}`
+    ];
+    for (const line of header) {
+      page.drawText(pdfText(line), { x: MARGIN, y, size: 10, font: fonts.regular, color: COLORS.muted });
+      y -= 13;
+    }
+    y -= 10;
+
+    for (const col of columns) {
+      const w = fonts.bold.widthOfTextAtSize(col.label, 10);
+      page.drawText(col.label, { x: col.alignRight ? col.x - w : col.x, y, size: 10, font: fonts.bold });
+    }
+    y -= 6;
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_WIDTH - MARGIN, y }, thickness: 0.75, color: COLORS.rule });
+    y -= 14;
+
+    for (const item of items.slice(p * FOLIO_ROWS_PER_PAGE, (p + 1) * FOLIO_ROWS_PER_PAGE)) {
+      const values = {
+        postDate: formatDay(item.postDate),
+        category: (item.category || '').replace(/_/g, ' '),
+        description: item.description,
+        amount: formatMoney(item.amount, item.currency || reservation.currency)
+      };
+      for (const col of columns) {
+        const value = truncateToWidth(values[col.key], fonts.regular, 9, col.width);
+        const w = fonts.regular.widthOfTextAtSize(value, 9);
+        page.drawText(value, { x: col.alignRight ? col.x - w : col.x, y, size: 9, font: fonts.regular });
+      }
+      y -= 16;
+    }
+
+    if (p === pageCount - 1) {
+      y -= 4;
+      page.drawLine({ start: { x: MARGIN, y: y + 10 }, end: { x: PAGE_WIDTH - MARGIN, y: y + 10 }, thickness: 0.75, color: COLORS.rule });
+      const total = `Reservation Total: ${formatMoney(reservation.totalAmount, reservation.currency)}`;
+      const w = fonts.bold.widthOfTextAtSize(total, 10);
+      page.drawText(total, { x: PAGE_WIDTH - MARGIN - w, y: y - 4, size: 10, font: fonts.bold });
+    }
+  }
+}
+
+function folioPageCount(reservation) {
+  if (!reservation) return 0;
+  return Math.max(1, Math.ceil((reservation.folioItems?.length || 0) / FOLIO_ROWS_PER_PAGE));
+}
+
+async function renderExhibit(doc, fonts, exhibit) {
+  const contentTop = PAGE_HEIGHT - MARGIN - 36;
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+
+  if (exhibit.kind === 'pdf') {
+    const pages = await doc.copyPages(exhibit.source, exhibit.source.getPageIndices());
+    pages.forEach(page => doc.addPage(page));
+    return pages;
+  }
+
+  const page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+
+  if (exhibit.kind === 'jpg' || exhibit.kind === 'png') {
+    const image = exhibit.kind === 'png'
+      ? await doc.embedPng(exhibit.bytes)
+      : await doc.embedJpg(exhibit.bytes);
+    const maxHeight = contentTop - MARGIN - 20;
+    const scale = Math.min(contentWidth / image.width, maxHeight / image.height, 1);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    page.drawImage(image, {
+      x: MARGIN + (contentWidth - width) / 2,
+      y: contentTop - height,
+      width,
+      height
+    });
+    return [page];
+  }
+
+  let y = contentTop;
+  page.drawText(pdfText(exhibit.evidence.fileName), { x: MARGIN, y, size: 12, font: fonts.bold });
+  y -= 18;
+  if (exhibit.evidence.description) {
+    y = drawParagraph(page, exhibit.evidence.description, { x: MARGIN, y, font: fonts.regular, size: 10, maxWidth: contentWidth, color: COLORS.muted });
+    y -= 8;
+  }
+
+  if (exhibit.kind === 'text') {
+    const lines = wrapText(exhibit.text, fonts.regular, 9, contentWidth);
+    const available = Math.floor((y - MARGIN - 20) / 12);
+    for (const line of lines.slice(0, available)) {
+      page.drawText(line, { x: MARGIN, y, size: 9, font: fonts.regular });
+      y -= 12;
+    }
+    if (lines.length > available) {
+      page.drawText('[Truncated - full file provided separately]', { x: MARGIN, y, size: 9, font: fonts.bold, color: COLORS.muted });
+    }
+  } else {
+    drawParagraph(page, exhibit.note, { x: MARGIN, y, font: fonts.regular, size: 11, maxWidth: contentWidth });
+  }
+
+  return [page];
+}
+
+/**
+ * Stamp the exhibit label in the top-right corner of each exhibit page
+ */
+function stampExhibitLabel(pages, fonts, exhibit) {
+  pages.forEach((page, i) => {
+    const { width, height } = page.getSize();
+    const text = `EXHIBIT ${exhibit.label} - ${exhibit.title}` +
+      (pages.length > 1 ? ` (${i + 1}/${pages.length})` : '');
+    const label = truncateToWidth(text, fonts.bold, 9, width - 40);
+    const textWidth = fonts.bold.widthOfTextAtSize(label, 9);
+    const x = width - 20 - textWidth - 8;
+    const y = height - 30;
+    page.drawRectangle({
+      x, y: y - 4, width: textWidth + 16, height: 16,
+      color: rgb(1, 1, 1), borderColor: COLORS.label, borderWidth: 0.75
+    });
+    page.drawText(label, { x: x + 8, y, size: 9, font: fonts.bold, color: COLORS.label });
+  });
+}
+
+/**
+ * Stamp the case reference and page number at the foot of every page
+ */
+function stampPageNumbers(doc, fonts, caseNumber) {
+  const pages = doc.getPages();
+  pages.forEach((page, i) => {
+    const { width } = page.getSize();
+    const text = `${pdfText(caseNumber)}  |  Page ${i + 1} of ${pages.length}`;
+    const textWidth = fonts.regular.widthOfTextAtSize(text, 8);
+    page.drawText(text, { x: (width - textWidth) / 2, y: 20, size: 8, font: fonts.regular, color: COLORS.muted });
+  });
+}
+
+// =============================================================================
+// COMPILER
+// =============================================================================
+
+/**
+ * Build the dossier PDF for a chargeback
+ * Returns { bytes, pageCount, index } without storing anything
+ */
+async function buildDossier(chargeback, options = {}) {
+  const evidenceRecords = (chargeback.evidence || [])
+    .filter(e => e.type !== 'EVIDENCE_DOSSIER')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const exhibits = await loadExhibits(evidenceRecords);
+  const folioPages = folioPageCount(chargeback.reservation);
+
+  const doc = await PDFDocument.create();
+  doc.setTitle(`Evidence Dossier - ${chargeback.caseNumber}`);
+  doc.setAuthor(chargeback.property?.name || 'AccuDefend');
+  doc.setCreator('AccuDefend');
+  doc.setCreationDate(new Date());
+
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+
+  // The cover letter length varies, so render it before planning pages
+  const coverPages = renderCoverLetter(doc, fonts, chargeback, exhibits, options);
+
+  // Page plan: cover letter, contents, folio, exhibits
+  const tocEntryCount = (folioPages ? 1 : 0) + exhibits.length;
+  const tocPages = Math.max(1, Math.ceil(tocEntryCount / TOC_ROWS_PER_PAGE));
+  let nextPage = coverPages + tocPages + 1;
+
+  const index = [];
+  if (folioPages) {
+    index.push({ label: 'Folio', title: 'Itemized Guest Folio', startPage: nextPage, pageCount: folioPages });
+    nextPage += folioPages;
+  }
+  for (const exhibit of exhibits) {
+    exhibit.startPage = nextPage;
+    index.push({
+      label: `Exhibit ${exhibit.label}`,
+      title: `${exhibit.title} - ${exhibit.evidence.fileName}`,
+      startPage: nextPage,
+      pageCount: exhibit.pageCount,
+      evidenceId: exhibit.evidence.id
+    });
+    nextPage += exhibit.pageCount;
+  }
+
+  renderTableOfContents(doc, fonts, index);
+  if (folioPages) {
+    renderFolio(doc, fonts, chargeback);
+  }
+  for (const exhibit of exhibits) {
+    const pages = await renderExhibit(doc, fonts, exhibit);
+    stampExhibitLabel(pages, fonts, exhibit);
+  }
+  stampPageNumbers(doc, fonts, chargeback.caseNumber);
+
+  const bytes = await doc.save();
+  return { bytes: Buffer.from(bytes), pageCount: doc.getPageCount(), index };
+}
+
+/**
+ * Compile the dossier for a case and store it as a new evidence item
+ *
+ * @param {string} chargebackId - Chargeback ID
+ * @param {Object} options - { userName, coverNote }
+ * @returns {Object} { evidence, pageCount, index }
+ */
+async function compileDossier(chargebackId, options = {}) {
+  const chargeback = await prisma.chargeback.findUnique({
+    where: { id: chargebackId },
+    include: {
+      property: true,
+      reservation: {
+        include: { folioItems: { orderBy: { postDate: 'asc' } } }
+      },
+      evidence: true
+    }
+  });
+
+  if (!chargeback) {
+    throw new Error(`Chargeback ${chargebackId} not found`);
+  }
+
+  const { bytes, pageCount, index } = await buildDossier(chargeback, options);
+
+  const fileName = `${chargeback.caseNumber}-evidence-dossier.pdf`;
+  const s3Key = generateS3Key(chargeback.id, 'EVIDENCE_DOSSIER', fileName);
+  await uploadFile(bytes, s3Key, 'application/pdf');
+
+  const exhibitCount = index.filter(entry => entry.evidenceId).length;
+  const stage = await getCurrentStage(chargeback);
+  const evidence = await prisma.evidence.create({
+    data: {
+      chargebackId: chargeback.id,
+      stageId: stage.id,
+      type: 'EVIDENCE_DOSSIER',
+      fileName,
+      s3Key,
+      mimeType: 'application/pdf',
+      fileSize: bytes.length,
+      description: `Indexed evidence dossier - ${exhibitCount} exhibits, ${pageCount} pages`,
+      extractedText: index.map(entry => `${entry.label}: ${entry.title} (p. ${entry.startPage})`).join('\n')
+    }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'SYSTEM',
+      title: 'Evidence Dossier Compiled',
+      description: `${pageCount}-page dossier with ${exhibitCount} exhibits compiled` +
+        (options.userName ? ` by ${options.userName}` : ''),
+      metadata: { evidenceId: evidence.id, pageCount, index }
+    }
+  });
+
+  logger.info(`Evidence dossier compiled for ${chargeback.caseNumber}: ${pageCount} pages`);
+
+  return { evidence, pageCount, index };
+}
+
+module.exports = {
+  compileDossier,
+  buildDossier,
+  exhibitLabel
+};
@@ -4,105 +4,19 @@
  *
  * Analyzes chargebacks and calculates confidence scores
  * based on reason codes, evidence, and fraud indicators
+ *
+ * Win rates, evidence weights, indicator points and thresholds come from
+ * the property's active defense config (services/aiDefenseConfig), and
+ * each analysis records the config version it was scored with.
  */
 
 const { prisma } = require('../config/database');
 const logger = require('../utils/logger');
-
-// =============================================================================
-// REASON CODE WIN RATES
-// Historical win rates by dispute reason code
-// =============================================================================
-
-const REASON_CODE_WIN_RATES = {
-  // Visa Reason Codes
-  '13.1': { winRate: 0.75, category: 'Services Not Received', network: 'Visa' },
-  '13.2': { winRate: 0.70, category: 'Cancelled Recurring', network: 'Visa' },
-  '13.3': { winRate: 0.55, category: 'Not as Described', network: 'Visa' },
-  '13.4': { winRate: 0.50, category: 'Counterfeit Merchandise', network: 'Visa' },
-  '13.5': { winRate: 0.45, category: 'Misrepresentation', network: 'Visa' },
-  '13.6': { winRate: 0.60, category: 'Credit Not Processed', network: 'Visa' },
-  '13.7': { winRate: 0.55, category: 'Cancelled Merchandise', network: 'Visa' },
-  '10.4': { winRate: 0.45, category: 'Fraud - Card Absent', network: 'Visa' },
-  '10.5': { winRate: 0.40, category: 'Fraud - Chip Liability', network: 'Visa' },
-
-  // Mastercard Reason Codes
-  '4855': { winRate: 0.75, category: 'Non-Receipt', network: 'Mastercard' },
-  '4853': { winRate: 0.60, category: 'Cardholder Dispute', network: 'Mastercard' },
-  '4863': { winRate: 0.55, category: 'Cardholder Not Recognize', network: 'Mastercard' },
-  '4837': { winRate: 0.40, category: 'No Cardholder Auth', network: 'Mastercard' },
-  '4871': { winRate: 0.35, category: 'Chip Liability', network: 'Mastercard' },
-
-  // Amex Reason Codes
-  'C14': { winRate: 0.70, category: 'Paid by Other Means', network: 'Amex' },
-  'C28': { winRate: 0.55, category: 'Cancelled Recurring', network: 'Amex' },
-  'C31': { winRate: 0.50, category: 'Not as Described', network: 'Amex' },
-  'C32': { winRate: 0.55, category: 'Merchandise Not Received', network: 'Amex' },
-  'F10': { winRate: 0.40, category: 'Missing Imprint', network: 'Amex' },
-  'F14': { winRate: 0.45, category: 'Missing Signature', network: 'Amex' },
-  'F29': { winRate: 0.35, category: 'Card Not Present Fraud', network: 'Amex' },
-
-  // Discover Reason Codes
-  '4752': { winRate: 0.65, category: 'Services/Merchandise', network: 'Discover' },
-  '4755': { winRate: 0.45, category: 'Non-Receipt', network: 'Discover' },
-  'UA01': { winRate: 0.35, category: 'Fraud', network: 'Discover' },
-
-  // Default for unknown codes
-  'default': { winRate: 0.50, category: 'Unknown', network: 'Unknown' }
-};
-
-// =============================================================================
-// EVIDENCE WEIGHTS
-// Percentage contribution to confidence score
-// =============================================================================
-
-const EVIDENCE_WEIGHTS = {
-  ID_SCAN: 14,
-  AUTH_SIGNATURE: 14,
-  CHECKOUT_SIGNATURE: 10,
-  FOLIO: 12,
-  RESERVATION_CONFIRMATION: 4,
-  CANCELLATION_POLICY: 4,
-  CANCELLATION_POLICY_VIOLATION: 6,
-  KEY_CARD_LOG: 6,
-  CCTV_FOOTAGE: 4,
-  CORRESPONDENCE: 4,
-  INCIDENT_REPORT: 6,
-  DAMAGE_PHOTOS: 6,
-  DAMAGE_ASSESSMENT: 6,
-  POLICE_REPORT: 6,
-  NO_SHOW_DOCUMENTATION: 4,
-  OTHER: 0
-};
-
-// =============================================================================
-// FRAUD INDICATORS
-// Points added/subtracted based on detected patterns
-// =============================================================================
-
-const FRAUD_INDICATORS = {
-  positive: {
-    matching_id: { points: 15, description: 'ID matches reservation name' },
-    repeat_guest: { points: 10, description: 'Returning guest with history' },
-    long_stay: { points: 5, description: 'Stay duration > 3 nights' },
-    corporate_booking: { points: 8, description: 'Corporate/business booking' },
-    advance_booking: { points: 5, description: 'Booked >7 days in advance' },
-    loyalty_member: { points: 10, description: 'AccuDefend loyalty program member' },
-    direct_booking: { points: 5, description: 'Booked directly with hotel' },
-    local_card: { points: 3, description: 'Card issued in same country' }
-  },
-  negative: {
-    foreign_card: { points: -8, description: 'Card issued in different country' },
-    no_show_history: { points: -15, description: 'Previous no-show record' },
-    missing_signature: { points: -20, description: 'No signature on file' },
-    short_stay: { points: -3, description: 'Stay duration < 1 night' },
-    same_day_booking: { points: -5, description: 'Booked on same day' },
-    third_party_booking: { points: -10, description: 'Booked via OTA' },
-    disputed_before: { points: -15, description: 'Guest has prior disputes' },
-    high_value: { points: -5, description: 'Transaction >$1000' },
-    weekend_only: { points: -3, description: 'Weekend-only stay pattern' }
-  }
-};
+const { evidenceFocus, lineCoverage, isPartialDispute } = require('./disputedLines');
+const { recordChanges, agentActor } = require('./changeHistory');
+const {
+  defenseConfigService, REASON_CODE_WIN_RATES, EVIDENCE_WEIGHTS, FRAUD_INDICATORS
+} = require('./aiDefenseConfig');
 
 // =============================================================================
 // ANALYSIS FUNCTIONS
@@ -110,26 +24,41 @@ const FRAUD_INDICATORS = {
 
 /**
  * Calculate evidence completeness score
+ * When relevantTypes is given (a partial dispute mapped to folio lines),
+ * only those types count and the score is scaled to their total weight.
  */
-function calculateEvidenceScore(evidence) {
+function calculateEvidenceScore(evidence, weights, relevantTypes = null) {
   let totalWeight = 0;
+  let possibleWeight = 0;
   const evidenceTypes = new Set(evidence.map(e => e.type));
 
-  for (const [type, weight] of Object.entries(EVIDENCE_WEIGHTS)) {
+  for (const [type, weight] of Object.entries(weights)) {
+    if (relevantTypes && !relevantTypes.includes(type)) continue;
+    possibleWeight += weight;
     if (evidenceTypes.has(type)) {
       totalWeight += weight;
     }
   }
 
+  if (relevantTypes) {
+    return possibleWeight > 0 ? Math.round((totalWeight / possibleWeight) * 100) : 0;
+  }
   return Math.min(totalWeight, 100);
 }
 
 /**
- * Get reason code base win rate
+ * Get reason code base win rate, preferring a rate learned for the case's
+ * processor
  */
-function getReasonCodeWinRate(reasonCode) {
-  const codeInfo = REASON_CODE_WIN_RATES[reasonCode] || REASON_CODE_WIN_RATES['default'];
-  return codeInfo;
+function getReasonCodeWinRate(reasonCode, config, providerId = null) {
+  const processorRate = providerId && config.processorWinRates?.[providerId]?.[reasonCode];
+  if (processorRate) {
+    return { ...config.reasonCodeWinRates[reasonCode], ...processorRate, source: 'processor' };
+  }
+  if (config.reasonCodeWinRates[reasonCode]) {
+    return { ...config.reasonCodeWinRates[reasonCode], source: 'reasonCode' };
+  }
+  return { ...config.reasonCodeWinRates['default'], source: 'default' };
 }
 
 /**
@@ -188,18 +117,18 @@ function detectFraudIndicators(chargeback, evidence) {
 /**
  * Calculate fraud indicator score adjustment
  */
-function calculateIndicatorScore(indicators) {
+function calculateIndicatorScore(indicators, points) {
   let adjustment = 0;
 
   for (const indicator of indicators.positive) {
-    const info = FRAUD_INDICATORS.positive[indicator];
+    const info = points.positive[indicator];
     if (info) {
       adjustment += info.points;
     }
   }
 
   for (const indicator of indicators.negative) {
-    const info = FRAUD_INDICATORS.negative[indicator];
+    const info = points.negative[indicator];
     if (info) {
       adjustment += info.points; // Already negative
     }
@@ -209,63 +138,281 @@ function calculateIndicatorScore(indicators) {
 }
 
 /**
- * Determine recommendation based on confidence score
+ * Itemize how each factor moved the score, in the order the engine applies
+ * them: the reason code base, each evidence type (present or missing), the
+ * evidence cap, each fraud indicator, then the 0-100 limit. Step points sum
+ * to the final score; the last step absorbs rounding.
  */
-function determineRecommendation(confidenceScore) {
-  if (confidenceScore >= 85) {
-    return 'AUTO_SUBMIT';
-  } else if (confidenceScore >= 70) {
-    return 'REVIEW_RECOMMENDED';
-  } else if (confidenceScore >= 50) {
-    return 'GATHER_MORE_EVIDENCE';
-  } else {
-    return 'UNLIKELY_TO_WIN';
+function buildScoreBreakdown(components, mostValuableMissing) {
+  const { config, reasonCodeInfo, evidence, focus, indicators, indicatorPoints, finalScore } = components;
+  const evidenceWeight = config.componentWeights.evidence;
+  const round1 = (value) => Math.round(value * 10) / 10;
+  const steps = [];
+
+  steps.push({
+    type: 'base',
+    key: components.reasonCode,
+    label: `Reason code ${components.reasonCode} base win rate`,
+    winRate: Math.round(reasonCodeInfo.winRate * 100),
+    weight: config.componentWeights.reasonCode,
+    source: reasonCodeInfo.source,
+    points: round1(components.reasonCodeScore)
+  });
+
+  // Each point of evidence weight is worth evidenceWeight / 100 score points,
+  // or a share of the relevant weight when scoring a partial dispute
+  const presentTypes = new Set(evidence.map(e => e.type));
+  const criticalTypes = new Set(focus ? focus.criticalTypes : config.criticalEvidence);
+  const weights = Object.entries(config.evidenceWeights)
+    .filter(([type]) => !focus || focus.relevantTypes.includes(type));
+  const possibleWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  const perWeight = focus
+    ? (possibleWeight > 0 ? evidenceWeight / possibleWeight : 0)
+    : evidenceWeight / 100;
+
+  const evidenceSteps = weights
+    .map(([type, weight]) => ({
+      type: 'evidence',
+      key: type,
+      present: presentTypes.has(type),
+      critical: criticalTypes.has(type),
+      weight,
+      points: presentTypes.has(type) ? round1(weight * perWeight) : 0
+    }))
+    .sort((a, b) => (b.present - a.present) || (b.weight - a.weight));
+  steps.push(...evidenceSteps);
+
+  const rawEvidence = evidenceSteps.filter(e => e.present).reduce((sum, e) => sum + e.weight, 0);
+  if (!focus && rawEvidence > 100) {
+    steps.push({
+      type: 'cap',
+      key: 'evidence_cap',
+      label: 'Evidence score capped at 100',
+      points: round1((100 - rawEvidence) * perWeight)
+    });
+  }
+
+  for (const direction of ['positive', 'negative']) {
+    for (const indicator of indicators[direction]) {
+      const info = indicatorPoints[direction][indicator];
+      if (!info) continue;
+      steps.push({
+        type: 'indicator',
+        key: indicator,
+        label: info.description || indicator.replace(/_/g, ' '),
+        direction,
+        points: info.points
+      });
+    }
+  }
+
+  const limited = Math.max(0, Math.min(100, components.rawScore));
+  if (limited !== components.rawScore) {
+    steps.push({
+      type: 'cap',
+      key: 'score_limit',
+      label: `Score limited to ${limited === 0 ? 'a minimum of 0' : 'a maximum of 100'}`,
+      points: round1(limited - components.rawScore)
+    });
+  }
+
+  const itemized = steps.reduce((sum, step) => sum + step.points, 0);
+  const rounding = round1(finalScore - itemized);
+  if (rounding !== 0) {
+    steps.push({ type: 'rounding', key: 'rounding', label: 'Rounding', points: rounding });
   }
+
+  return {
+    steps,
+    finalScore,
+    mostValuableMissing
+  };
+}
+
+/**
+ * The missing evidence type that would raise the score the most, found by
+ * re-scoring the case as if it had been collected (and verified). Ties go
+ * to critical evidence, then to the heavier weight.
+ */
+function findMostValuableMissing(chargeback, evidence, config, focus, rawScore) {
+  const presentTypes = new Set(evidence.map(e => e.type));
+  const criticalTypes = new Set(focus ? focus.criticalTypes : config.criticalEvidence);
+  const current = Math.max(0, Math.min(100, rawScore));
+
+  const candidates = Object.entries(config.evidenceWeights)
+    .filter(([type]) => !presentTypes.has(type) && (!focus || focus.relevantTypes.includes(type)))
+    .map(([type, weight]) => {
+      const simulated = computeScore(chargeback, [...evidence, { type, verified: true }], config, focus);
+      return {
+        type,
+        weight,
+        critical: criticalTypes.has(type),
+        gain: Math.round((Math.max(0, Math.min(100, simulated.rawScore)) - current) * 10) / 10
+      };
+    })
+    .filter(c => c.gain > 0)
+    .sort((a, b) => (b.gain - a.gain) || (b.critical - a.critical) || (b.weight - a.weight));
+
+  return candidates[0] || null;
 }
 
 /**
  * Generate detailed analysis report
  */
 function generateAnalysisReport(components) {
+  const { componentWeights } = components.config;
+  const reasonCodeContribution = Math.round(components.reasonCodeInfo.winRate * componentWeights.reasonCode);
+  const evidenceContribution = Math.round(components.evidenceScore * componentWeights.evidence / 100);
+
   return {
     timestamp: new Date().toISOString(),
-    version: '1.0.0',
+    version: '2.0.0',
     engine: 'AccuDefend Fraud Detection Engine',
+    config: components.configRef,
     components: {
       reasonCodeAnalysis: {
         code: components.reasonCode,
         category: components.reasonCodeInfo.category,
         network: components.reasonCodeInfo.network,
         baseWinRate: Math.round(components.reasonCodeInfo.winRate * 100),
-        contribution: Math.round(components.reasonCodeInfo.winRate * 40)
+        winRateSource: components.reasonCodeInfo.source,
+        ...(components.reasonCodeInfo.sampleSize !== undefined && { sampleSize: components.reasonCodeInfo.sampleSize }),
+        contribution: reasonCodeContribution
       },
       evidenceAnalysis: {
         score: components.evidenceScore,
         maxPossible: 100,
-        contribution: Math.round(components.evidenceScore * 0.35),
-        missingCritical: components.missingEvidence
+        contribution: evidenceContribution,
+        missingCritical: components.missingEvidence,
+        focusedOnDisputedLines: Boolean(components.disputedLines)
       },
+      ...(components.disputedLines && { disputedLines: components.disputedLines }),
       fraudIndicators: {
         positive: components.indicators.positive.map(i => ({
           indicator: i,
-          ...FRAUD_INDICATORS.positive[i]
+          ...components.indicatorPoints.positive[i]
         })),
         negative: components.indicators.negative.map(i => ({
           indicator: i,
-          ...FRAUD_INDICATORS.negative[i]
+          ...components.indicatorPoints.negative[i]
         })),
         netAdjustment: components.indicatorScore
       }
     },
+    breakdown: components.breakdown,
     scoring: {
-      reasonCodeBase: Math.round(components.reasonCodeInfo.winRate * 40),
-      evidenceBonus: Math.round(components.evidenceScore * 0.35),
+      reasonCodeBase: reasonCodeContribution,
+      evidenceBonus: evidenceContribution,
       indicatorAdjustment: components.indicatorScore,
       finalScore: components.finalScore
     }
   };
 }
 
+// =============================================================================
+// SCORING
+// =============================================================================
+
+/**
+ * Raw score components for a case and a set of evidence, before the score
+ * is limited to 0-100 and rounded
+ */
+function computeScore(chargeback, evidence, config, focus) {
+  // 1. Get reason code base win rate
+  const reasonCodeInfo = getReasonCodeWinRate(chargeback.reasonCode, config, chargeback.providerId);
+  const reasonCodeScore = reasonCodeInfo.winRate * config.componentWeights.reasonCode;
+
+  // 2. Calculate evidence score, focused on the disputed folio lines when
+  // the case has been mapped to them
+  const evidenceScore = calculateEvidenceScore(evidence, config.evidenceWeights, focus?.relevantTypes);
+  const evidenceContribution = evidenceScore * config.componentWeights.evidence / 100;
+
+  // 3. Detect and score fraud indicators (adjustment)
+  const indicators = detectFraudIndicators(chargeback, evidence);
+  const indicatorPoints = config.fraudDetection.enabled
+    ? config.fraudDetection.indicators
+    : { positive: {}, negative: {} };
+  const indicatorScore = calculateIndicatorScore(indicators, indicatorPoints);
+
+  return {
+    reasonCodeInfo,
+    reasonCodeScore,
+    evidenceScore,
+    indicators,
+    indicatorPoints,
+    indicatorScore,
+    rawScore: reasonCodeScore + evidenceContribution + indicatorScore
+  };
+}
+
+/**
+ * Score a chargeback against a defense config without saving anything
+ *
+ * @param {Object} chargeback - Case with evidence and disputedLines (each
+ *   line with its folioItem)
+ * @param {Object} active - { scope, versionId, version, config } from
+ *   aiDefenseConfig.getActiveConfig
+ * @returns {Object} { confidenceScore, recommendation, indicators,
+ *   evidenceScore, indicatorScore, reasonCodeInfo, analysis }
+ */
+function scoreChargeback(chargeback, active) {
+  const { config } = active;
+  const evidence = chargeback.evidence || [];
+  const disputedLines = chargeback.disputedLines || [];
+  const focus = disputedLines.length > 0 ? evidenceFocus(disputedLines) : null;
+
+  const score = computeScore(chargeback, evidence, config, focus);
+  const { reasonCodeInfo, evidenceScore, indicators, indicatorScore } = score;
+
+  // Identify missing critical evidence
+  const presentTypes = new Set(evidence.map(e => e.type));
+  const criticalTypes = focus ? focus.criticalTypes : config.criticalEvidence;
+  const missingEvidence = criticalTypes.filter(t => !presentTypes.has(t));
+
+  // 4. Calculate final confidence score
+  const finalScore = Math.max(0, Math.min(100, Math.round(score.rawScore)));
+
+  // 5. Determine recommendation
+  const recommendation = defenseConfigService.getRecommendation(finalScore, config);
+
+  // 6. Generate detailed report
+  const breakdown = buildScoreBreakdown(
+    { ...score, config, reasonCode: chargeback.reasonCode, evidence, focus, finalScore },
+    findMostValuableMissing(chargeback, evidence, config, focus, score.rawScore)
+  );
+  const analysis = generateAnalysisReport({
+    config,
+    configRef: { scope: active.scope, version: active.version, versionId: active.versionId },
+    reasonCode: chargeback.reasonCode,
+    reasonCodeInfo,
+    evidenceScore,
+    missingEvidence,
+    indicators,
+    indicatorPoints: score.indicatorPoints,
+    indicatorScore,
+    finalScore,
+    breakdown,
+    disputedLines: focus && {
+      isPartial: isPartialDispute(chargeback),
+      transactionAmount: chargeback.transactionAmount != null ? Number(chargeback.transactionAmount) : null,
+      disputedAmount: Number(chargeback.amount),
+      kinds: focus.kinds,
+      relevantEvidence: focus.relevantTypes,
+      lines: lineCoverage(disputedLines, evidence)
+    }
+  });
+
+  return {
+    confidenceScore: finalScore,
+    recommendation,
+    indicators,
+    evidenceScore,
+    indicatorScore,
+    reasonCodeInfo,
+    analysis
+  };
+}
+
 // =============================================================================
 // MAIN ANALYSIS FUNCTION
 // =============================================================================
@@ -283,7 +430,8 @@ async function analyzeChargeback(chargebackId) {
       include: {
         evidence: true,
         property: true,
-        provider: true
+        provider: true,
+        disputedLines: { include: { folioItem: true } }
       }
     });
 
@@ -293,40 +441,10 @@ async function analyzeChargeback(chargebackId) {
 
     logger.info(`AccuDefend Fraud Detection: Analyzing case ${chargeback.caseNumber}`);
 
-    // 1. Get reason code base win rate (40% weight)
-    const reasonCodeInfo = getReasonCodeWinRate(chargeback.reasonCode);
-    const reasonCodeScore = reasonCodeInfo.winRate * 40;
-
-    // 2. Calculate evidence score (35% weight)
-    const evidenceScore = calculateEvidenceScore(chargeback.evidence);
-    const evidenceContribution = evidenceScore * 0.35;
-
-    // Identify missing critical evidence
-    const presentTypes = new Set(chargeback.evidence.map(e => e.type));
-    const criticalTypes = ['ID_SCAN', 'AUTH_SIGNATURE', 'FOLIO'];
-    const missingEvidence = criticalTypes.filter(t => !presentTypes.has(t));
-
-    // 3. Detect and score fraud indicators (25% weight, adjustment)
-    const indicators = detectFraudIndicators(chargeback, chargeback.evidence);
-    const indicatorScore = calculateIndicatorScore(indicators);
-
-    // 4. Calculate final confidence score
-    let finalScore = reasonCodeScore + evidenceContribution + indicatorScore;
-    finalScore = Math.max(0, Math.min(100, Math.round(finalScore)));
-
-    // 5. Determine recommendation
-    const recommendation = determineRecommendation(finalScore);
-
-    // 6. Generate detailed report
-    const analysisReport = generateAnalysisReport({
-      reasonCode: chargeback.reasonCode,
-      reasonCodeInfo,
-      evidenceScore,
-      missingEvidence,
-      indicators,
-      indicatorScore,
-      finalScore
-    });
+    const active = await defenseConfigService.getActiveConfig(chargeback.propertyId);
+    const {
+      confidenceScore: finalScore, recommendation, indicators, evidenceScore, reasonCodeInfo, analysis
+    } = scoreChargeback(chargeback, active);
 
     // 7. Update chargeback with analysis results
     const updatedChargeback = await prisma.chargeback.update({
@@ -335,9 +453,17 @@ async function analyzeChargeback(chargebackId) {
         confidenceScore: finalScore,
         fraudIndicators: indicators,
         recommendation,
-        aiAnalysis: analysisReport
+        aiAnalysis: analysis,
+        defenseConfigVersionId: active.versionId
       }
     });
+    await recordChanges({
+      entityType: 'Chargeback',
+      before: chargeback,
+      after: updatedChargeback,
+      actor: agentActor('Fraud Detection'),
+      source: 'AI analysis'
+    });
 
     // 8. Create timeline event
     await prisma.timelineEvent.create({
@@ -350,19 +476,22 @@ async function analyzeChargeback(chargebackId) {
           confidenceScore: finalScore,
           recommendation,
           evidenceScore,
-          reasonCodeWinRate: Math.round(reasonCodeInfo.winRate * 100)
+          reasonCodeWinRate: Math.round(reasonCodeInfo.winRate * 100),
+          configScope: active.scope,
+          configVersion: active.version
         }
       }
     });
 
-    logger.info(`AccuDefend Fraud Detection: Case ${chargeback.caseNumber} - Score: ${finalScore}, Recommendation: ${recommendation}`);
+    logger.info(`AccuDefend Fraud Detection: Case ${chargeback.caseNumber} - Score: ${finalScore}, Recommendation: ${recommendation} (config ${active.scope} v${active.version})`);
 
     return {
       chargebackId,
       caseNumber: chargeback.caseNumber,
       confidenceScore: finalScore,
       recommendation,
-      analysis: analysisReport
+      configVersion: active.version,
+      analysis
     };
 
   } catch (error) {
@@ -436,6 +565,7 @@ function getPropertyRiskSummary(cases) {
 
 module.exports = {
   analyzeChargeback,
+  scoreChargeback,
   analyzeMultiple,
   reanalyzeAllPending,
   getPropertyRiskSummary,
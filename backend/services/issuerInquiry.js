@@ -0,0 +1,474 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Issuer Inquiry Service
+ *
+ * Answers issuer lookups from Verifi Order Insight and Ethoca Consumer
+ * Clarity. When a cardholder calls their bank about a charge they do not
+ * recognise, the issuer asks the network for the merchant's order details;
+ * serving the stay dates, room and folio lines at that point stops the
+ * "I don't recognize this charge" dispute before it is filed.
+ *
+ * A lookup is matched to a Reservation, turned into a standard stay
+ * receipt, trimmed to what the property allows issuers to see, and then
+ * rendered in the network's payload format. Every lookup is logged.
+ *
+ * Per-property disclosure settings live in SystemConfig under
+ * `inquiry_settings_{propertyId}`:
+ *
+ *   {
+ *     enabled: true,
+ *     guestName: 'full' | 'masked' | 'none',   // masked = "J. Smith"
+ *     roomNumber: false,
+ *     folioLines: true,
+ *     bookingDetails: true,                     // confirmation no., source, booking date
+ *     descriptors: ['GRAND HOTEL NYC']          // statement descriptors billed by this property
+ *   }
+ */
+
+const { prisma } = require('../config/database');
+const reservationMatcher = require('./reservationMatcher');
+const logger = require('../utils/logger');
+
+const DEFAULT_INQUIRY_SETTINGS = {
+  enabled: true,
+  guestName: 'masked',
+  roomNumber: false,
+  folioLines: true,
+  bookingDetails: true,
+  descriptors: []
+};
+
+// A lookup only discloses a stay the matcher is sure of; weaker matches
+// (name or card-only) could be someone else's stay
+const MIN_MATCH_CONFIDENCE = 80;
+
+// Strategies that identify the exact transaction. Card-based matches must
+// also agree on the amount, since the last four digits are not unique.
+const EXACT_STRATEGIES = ['confirmation_number', 'transaction_id'];
+const AMOUNT_TOLERANCE = 0.05;
+
+// Folio categories shown to issuers; payments would only repeat the charge
+const RECEIPT_CATEGORIES = ['room', 'tax', 'incidental', 'food_beverage', 'adjustment'];
+
+// =============================================================================
+// NETWORK PAYLOAD FORMATS
+// =============================================================================
+
+function firstOf(body, ...keys) {
+  for (const key of keys) {
+    if (body[key] !== undefined && body[key] !== null && body[key] !== '') return body[key];
+  }
+  return undefined;
+}
+
+function toDateString(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : null;
+}
+
+/**
+ * Order details in the shape both networks use for hotel reservations
+ */
+function orderDetails(receipt) {
+  const { merchant, stay, charges } = receipt;
+  return {
+    orderType: 'hotel_reservation',
+    ...(stay.confirmationNumber && { confirmationNumber: stay.confirmationNumber }),
+    ...(stay.guestName && { guestName: stay.guestName }),
+    checkInDate: stay.checkInDate,
+    checkOutDate: stay.checkOutDate,
+    propertyName: merchant.propertyName,
+    propertyAddress: merchant.propertyAddress,
+    roomType: stay.roomType || '',
+    ...(stay.roomNumber && { roomNumber: stay.roomNumber }),
+    totalAmount: charges.totalAmount,
+    currency: charges.currency,
+    itemizedCharges: charges.lines.map(line => ({
+      date: line.date,
+      description: line.description,
+      category: line.category,
+      amount: line.amount
+    })),
+    ...(stay.bookingSource && { bookingSource: stay.bookingSource }),
+    ...(stay.bookingDate && { bookingDate: stay.bookingDate })
+  };
+}
+
+// Each format reads the network's lookup request into a standard inquiry
+// and renders a stay receipt (or null when nothing matched) as the
+// network's response body. Register further networks with
+// registerInquiryFormat().
+const INQUIRY_FORMATS = {
+  ETHOCA: {
+    label: 'Ethoca Consumer Clarity',
+    parseRequest(body) {
+      return {
+        requestId: firstOf(body, 'requestId', 'clarityRequestId', 'id'),
+        descriptor: firstOf(body, 'merchantDescriptor', 'descriptor'),
+        transactionId: firstOf(body, 'transactionId', 'arn'),
+        cardLastFour: firstOf(body, 'cardLastFour', 'cardLast4'),
+        amount: firstOf(body, 'transactionAmount', 'amount'),
+        currency: firstOf(body, 'currency', 'transactionCurrency'),
+        transactionDate: firstOf(body, 'transactionDate')
+      };
+    },
+    formatResponse(inquiry, receipt) {
+      const base = {
+        requestId: inquiry.requestId || null,
+        transactionId: inquiry.transactionId || null,
+        cardLastFour: inquiry.cardLastFour || null,
+        transactionAmount: inquiry.amount ?? null,
+        transactionDate: inquiry.transactionDate || null,
+        merchantDescriptor: inquiry.descriptor || ''
+      };
+      if (!receipt) return { ...base, status: 'not_found' };
+
+      return {
+        ...base,
+        status: 'found',
+        orderDetails: orderDetails(receipt),
+        deliveryDetails: {
+          serviceDelivered: receipt.delivery.serviceDelivered,
+          deliveryDate: receipt.delivery.deliveryDate,
+          guestCheckedIn: receipt.delivery.guestCheckedIn,
+          noShow: receipt.delivery.noShow
+        }
+      };
+    }
+  },
+
+  VERIFI: {
+    label: 'Verifi Order Insight',
+    parseRequest(body) {
+      return {
+        requestId: firstOf(body, 'inquiryId', 'requestId', 'id'),
+        descriptor: firstOf(body, 'merchantDescriptor', 'descriptor'),
+        transactionId: firstOf(body, 'transactionId', 'acquirerReferenceNumber'),
+        cardLastFour: firstOf(body, 'cardLast4', 'cardLastFour'),
+        amount: firstOf(body, 'transactionAmount', 'amount'),
+        currency: firstOf(body, 'transactionCurrency', 'currency'),
+        transactionDate: firstOf(body, 'transactionDate', 'authorizationDate')
+      };
+    },
+    formatResponse(inquiry, receipt) {
+      const base = {
+        inquiryId: inquiry.requestId || null,
+        transactionId: inquiry.transactionId || null,
+        merchantDescriptor: inquiry.descriptor || ''
+      };
+      if (!receipt) return { ...base, status: 'NO_MATCH' };
+
+      return {
+        ...base,
+        status: 'MATCH',
+        orderDetails: orderDetails(receipt),
+        serviceDetails: {
+          delivered: receipt.delivery.serviceDelivered,
+          deliveryDate: receipt.delivery.deliveryDate,
+          noShow: receipt.delivery.noShow
+        }
+      };
+    }
+  }
+};
+
+function registerInquiryFormat(network, format) {
+  if (typeof format?.parseRequest !== 'function' || typeof format?.formatResponse !== 'function') {
+    throw new Error('Inquiry formats need parseRequest() and formatResponse()');
+  }
+  INQUIRY_FORMATS[network.toUpperCase()] = format;
+}
+
+function getInquiryFormat(network) {
+  return INQUIRY_FORMATS[String(network || '').toUpperCase()] || null;
+}
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+async function getInquirySettings(propertyId) {
+  const config = await prisma.systemConfig.findUnique({
+    where: { key: `inquiry_settings_${propertyId}` }
+  });
+  return { ...DEFAULT_INQUIRY_SETTINGS, ...(config?.value || {}) };
+}
+
+async function setInquirySettings(propertyId, settings, userId) {
+  const key = `inquiry_settings_${propertyId}`;
+  await prisma.systemConfig.upsert({
+    where: { key },
+    update: { value: settings, updatedBy: userId },
+    create: {
+      key,
+      value: settings,
+      description: `Issuer inquiry disclosure settings for property ${propertyId}`,
+      updatedBy: userId
+    }
+  });
+  return getInquirySettings(propertyId);
+}
+
+function normalizeDescriptor(descriptor) {
+  return String(descriptor || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Work out which property billed the transaction: the integration's
+ * property, then the property that lists the statement descriptor, then
+ * the only active property if there is just one
+ */
+async function resolveProperty(integration, descriptor) {
+  if (integration?.config?.propertyId) {
+    return prisma.property.findUnique({ where: { id: integration.config.propertyId } });
+  }
+
+  const wanted = normalizeDescriptor(descriptor);
+  if (wanted) {
+    const configs = await prisma.systemConfig.findMany({
+      where: { key: { startsWith: 'inquiry_settings_' } }
+    });
+    // Descriptors are truncated on statements, so a prefix match counts
+    const owner = configs.find(config => (config.value?.descriptors || []).some(d => {
+      const listed = normalizeDescriptor(d);
+      return listed && (listed.startsWith(wanted) || wanted.startsWith(listed));
+    }));
+    if (owner) {
+      return prisma.property.findUnique({
+        where: { id: owner.key.replace('inquiry_settings_', '') }
+      });
+    }
+  }
+
+  const properties = await prisma.property.findMany({ where: { isActive: true }, take: 2 });
+  return properties.length === 1 ? properties[0] : null;
+}
+
+// =============================================================================
+// MATCHING AND RECEIPTS
+// =============================================================================
+
+/**
+ * Find the stay behind a lookup, or null when no match is strong enough
+ * to disclose
+ */
+async function matchInquiry(inquiry, propertyId) {
+  const match = await reservationMatcher.findMatchingReservation({
+    transactionId: inquiry.transactionId,
+    cardLastFour: inquiry.cardLastFour,
+    amount: inquiry.amount,
+    // Hotels settle at check-out, so the transaction date is the stay's end
+    checkOutDate: inquiry.transactionDate
+  }, propertyId);
+
+  if (!match || match.confidence < MIN_MATCH_CONFIDENCE) return null;
+
+  const { reservation } = match;
+  if (inquiry.cardLastFour && reservation.cardLastFour && reservation.cardLastFour !== inquiry.cardLastFour) {
+    return null;
+  }
+
+  if (!EXACT_STRATEGIES.includes(match.strategy)) {
+    const amount = parseFloat(inquiry.amount);
+    if (!Number.isFinite(amount)) return null;
+    const candidates = [
+      Number(reservation.totalAmount),
+      ...(reservation.folioItems || []).filter(item => item.category === 'payment').map(item => Math.abs(Number(item.amount)))
+    ];
+    if (!candidates.some(total => Math.abs(total - amount) <= total * AMOUNT_TOLERANCE)) return null;
+  }
+
+  return match;
+}
+
+function maskName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return parts[0] ? `${parts[0][0]}.` : null;
+  return `${parts[0][0]}. ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Standard stay receipt for a reservation, limited to what the property's
+ * settings allow. Returns the receipt and the list of fields disclosed.
+ */
+function buildStayReceipt(reservation, property, settings) {
+  const disclosed = ['propertyName', 'stayDates', 'roomType', 'totalAmount', 'serviceDelivered'];
+
+  let guestName = null;
+  if (settings.guestName === 'full') guestName = reservation.guestName;
+  if (settings.guestName === 'masked') guestName = maskName(reservation.guestName);
+  if (guestName) disclosed.push(`guestName:${settings.guestName}`);
+
+  const checkIn = new Date(reservation.checkInDate);
+  const checkOut = new Date(reservation.checkOutDate);
+  const stay = {
+    status: reservation.status,
+    checkInDate: toDateString(checkIn),
+    checkOutDate: toDateString(checkOut),
+    nights: Math.max(Math.round((checkOut - checkIn) / (24 * 60 * 60 * 1000)), 0),
+    roomType: reservation.roomType || null,
+    guestName
+  };
+
+  if (settings.roomNumber && reservation.roomNumber) {
+    stay.roomNumber = reservation.roomNumber;
+    disclosed.push('roomNumber');
+  }
+  if (settings.bookingDetails) {
+    stay.confirmationNumber = reservation.confirmationNumber;
+    stay.bookingSource = reservation.bookingSource || null;
+    stay.bookingDate = toDateString(reservation.bookingDate);
+    disclosed.push('bookingDetails');
+  }
+
+  const lines = settings.folioLines
+    ? (reservation.folioItems || [])
+      .filter(item => RECEIPT_CATEGORIES.includes(item.category))
+      .sort((a, b) => new Date(a.postDate) - new Date(b.postDate))
+      .map(item => ({
+        date: toDateString(item.postDate),
+        description: item.description,
+        category: item.category,
+        amount: Number(item.amount),
+        currency: item.currency
+      }))
+    : [];
+  if (lines.length) disclosed.push('folioLines');
+
+  const noShow = reservation.status === 'no_show';
+  const checkedIn = ['checked_in', 'checked_out'].includes(reservation.status);
+
+  return {
+    receipt: {
+      merchant: {
+        propertyName: property.name,
+        propertyAddress: [property.address, property.city, property.state, property.postalCode, property.country]
+          .filter(Boolean).join(', ')
+      },
+      stay,
+      charges: {
+        totalAmount: Number(reservation.totalAmount),
+        currency: reservation.currency,
+        lines
+      },
+      delivery: {
+        serviceDelivered: checkedIn,
+        deliveryDate: toDateString(reservation.actualCheckIn || (checkedIn ? checkIn : null)),
+        guestCheckedIn: checkedIn,
+        noShow
+      }
+    },
+    disclosed
+  };
+}
+
+// =============================================================================
+// LOOKUPS
+// =============================================================================
+
+async function logInquiry(data) {
+  try {
+    return await prisma.issuerInquiry.create({ data });
+  } catch (error) {
+    logger.error(`Failed to log ${data.network} issuer inquiry: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Record a lookup that was refused before it could be read, e.g. a bad
+ * signature
+ */
+function logRejectedInquiry(network, outcome, { ipAddress, channel } = {}) {
+  return logInquiry({
+    network,
+    channel: channel || 'api',
+    outcome,
+    disclosedFields: [],
+    ipAddress: ipAddress || null
+  });
+}
+
+/**
+ * Answer an issuer lookup
+ *
+ * @param {string} network - Registered inquiry format (ETHOCA, VERIFI)
+ * @param {Object} body - The network's lookup request
+ * @param {Object} options - { integration, ipAddress, channel }
+ * @returns {Object} { outcome, inquiryId, response } where response is the
+ *   network payload, or null for invalid_request
+ */
+async function answerInquiry(network, body, options = {}) {
+  const { integration, ipAddress, channel = 'api' } = options;
+  const startedAt = Date.now();
+  const format = getInquiryFormat(network);
+  if (!format) throw new Error(`No inquiry format registered for ${network}`);
+
+  const inquiry = format.parseRequest(body || {});
+  const amount = inquiry.amount !== undefined ? parseFloat(inquiry.amount) : null;
+  const transactionDate = inquiry.transactionDate ? new Date(inquiry.transactionDate) : null;
+
+  const entry = {
+    network: network.toUpperCase(),
+    channel,
+    requestId: inquiry.requestId ? String(inquiry.requestId) : null,
+    descriptor: inquiry.descriptor || null,
+    transactionId: inquiry.transactionId ? String(inquiry.transactionId) : null,
+    cardLastFour: inquiry.cardLastFour ? String(inquiry.cardLastFour).slice(-4) : null,
+    amount: Number.isFinite(amount) ? amount : null,
+    currency: inquiry.currency || null,
+    transactionDate: transactionDate && !isNaN(transactionDate) ? transactionDate : null,
+    integrationId: integration?.id || null,
+    ipAddress: ipAddress || null,
+    disclosedFields: []
+  };
+  inquiry.cardLastFour = entry.cardLastFour;
+
+  const finish = async (outcome, response, extra = {}) => {
+    const logged = await logInquiry({ ...entry, ...extra, outcome, durationMs: Date.now() - startedAt });
+    logger.info(`${entry.network} issuer inquiry ${entry.requestId || ''}: ${outcome}`);
+    return { outcome, inquiryId: logged?.id || null, response };
+  };
+
+  if (!entry.transactionId && !(entry.cardLastFour && (entry.amount !== null || entry.transactionDate))) {
+    return finish('invalid_request', null);
+  }
+
+  const property = await resolveProperty(integration, entry.descriptor);
+  if (!property) {
+    return finish('unresolved_property', format.formatResponse(inquiry, null));
+  }
+
+  const settings = await getInquirySettings(property.id);
+  if (!settings.enabled) {
+    return finish('disabled', format.formatResponse(inquiry, null), { propertyId: property.id });
+  }
+
+  const match = await matchInquiry(inquiry, property.id);
+  if (!match) {
+    return finish('no_match', format.formatResponse(inquiry, null), { propertyId: property.id });
+  }
+
+  const { receipt, disclosed } = buildStayReceipt(match.reservation, property, settings);
+
+  return finish('matched', format.formatResponse(inquiry, receipt), {
+    propertyId: property.id,
+    reservationId: match.reservation.id,
+    matchStrategy: match.strategy,
+    matchConfidence: match.confidence,
+    disclosedFields: disclosed
+  });
+}
+
+module.exports = {
+  DEFAULT_INQUIRY_SETTINGS,
+  INQUIRY_FORMATS,
+  registerInquiryFormat,
+  getInquiryFormat,
+  getInquirySettings,
+  setInquirySettings,
+  resolveProperty,
+  matchInquiry,
+  buildStayReceipt,
+  answerInquiry,
+  logRejectedInquiry
+};
@@ -0,0 +1,162 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Narrative Generation
+ *
+ * Writes dispute narratives and case summaries with the narrative provider
+ * named in the property's defense config (`model`):
+ *
+ * 1. The rebuttal letter context is built for the case and redacted (card
+ *    numbers and guest personal data, see narratives/redaction).
+ * 2. A prompt is built from the defense strategy's template
+ *    (narratives/promptTemplates).
+ * 3. The provider writes the text. If it is unavailable or fails, the
+ *    offline rule-based provider writes it instead.
+ * 4. The prompt as sent, the output, token usage and cost are saved on the
+ *    case as a CaseNarrative and logged.
+ */
+
+const { prisma } = require('../config/database');
+const { defenseConfigService } = require('./aiDefenseConfig');
+const { renderTemplate, buildTemplateContext, resolveTemplateKey, loadLetterCase } = require('./rebuttalLetters');
+const { NARRATIVE_KINDS, buildPrompt } = require('./narratives/promptTemplates');
+const { redactContext, restorePlaceholders } = require('./narratives/redaction');
+const { createNarrativeProvider, createFallbackProvider } = require('./narratives/NarrativeProviderFactory');
+const logger = require('../utils/logger');
+
+function narrativeError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Call the configured provider, falling back to the rule-based one
+ *
+ * @returns {Object} { provider, result, fallbackReason }
+ */
+async function runProvider(modelConfig, request) {
+  const configured = createNarrativeProvider(modelConfig);
+  let fallbackReason = null;
+
+  if (!configured) {
+    fallbackReason = `Unknown narrative provider '${modelConfig.provider}'`;
+  } else if (!configured.isAvailable()) {
+    fallbackReason = `Narrative provider '${modelConfig.provider}' is not configured`;
+  } else {
+    try {
+      return { provider: configured, result: await configured.generate(request), fallbackReason };
+    } catch (error) {
+      fallbackReason = `Narrative provider '${modelConfig.provider}' failed: ${error.message}`;
+      logger.warn(`Narrative generation: ${fallbackReason}`);
+    }
+  }
+
+  const fallback = createFallbackProvider(modelConfig);
+  return { provider: fallback, result: await fallback.generate(request), fallbackReason };
+}
+
+/**
+ * Generate a narrative for a case and save it
+ *
+ * @param {string} chargebackId
+ * @param {Object} options - { kind, userId, where } where `where` scopes the
+ *   case lookup (e.g. the request's property filter)
+ * @returns {Object} The CaseNarrative
+ */
+async function generateNarrative(chargebackId, { kind = 'dispute_narrative', userId = null, where = {} } = {}) {
+  if (!NARRATIVE_KINDS[kind]) {
+    throw narrativeError(400, `Unknown narrative kind '${kind}'`);
+  }
+
+  const chargeback = await loadLetterCase(chargebackId, where);
+  if (!chargeback) {
+    throw narrativeError(404, 'Chargeback not found');
+  }
+
+  const [{ templateKey, strategy }, active] = await Promise.all([
+    resolveTemplateKey(chargeback),
+    defenseConfigService.getActiveConfig(chargeback.propertyId)
+  ]);
+
+  const { context, placeholders, redactions } = redactContext(buildTemplateContext(chargeback, strategy));
+  const prompt = buildPrompt(kind, templateKey, context, renderTemplate);
+
+  const startTime = Date.now();
+  const { provider, result, fallbackReason } = await runProvider(active.config.model, {
+    kind,
+    templateKey: prompt.templateKey,
+    system: prompt.system,
+    user: prompt.user,
+    context,
+    strategy: strategy && {
+      name: strategy.name,
+      requiredEvidence: strategy.requiredEvidence,
+      recommendedEvidence: strategy.recommendedEvidence
+    }
+  });
+  const durationMs = Date.now() - startTime;
+  const costUsd = provider.estimateCost(result.usage);
+
+  const narrative = await prisma.caseNarrative.create({
+    data: {
+      chargebackId: chargeback.id,
+      kind,
+      templateKey: prompt.templateKey,
+      provider: provider.provider,
+      model: result.model,
+      prompt: { system: prompt.system, user: prompt.user },
+      output: restorePlaceholders(result.text, placeholders),
+      redactions,
+      promptTokens: result.usage.promptTokens,
+      completionTokens: result.usage.completionTokens,
+      costUsd,
+      durationMs,
+      fallbackReason,
+      createdBy: userId
+    }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'AI',
+      title: `${NARRATIVE_KINDS[kind].name} Generated`,
+      description: `${NARRATIVE_KINDS[kind].name} written by ${result.model}`,
+      metadata: {
+        narrativeId: narrative.id,
+        provider: provider.provider,
+        model: result.model,
+        promptTokens: result.usage.promptTokens,
+        completionTokens: result.usage.completionTokens,
+        costUsd,
+        ...(fallbackReason && { fallbackReason })
+      }
+    }
+  });
+
+  logger.info(`Narrative generated: ${chargeback.caseNumber} ${kind} by ${provider.provider}/${result.model}`, {
+    promptTokens: result.usage.promptTokens,
+    completionTokens: result.usage.completionTokens,
+    costUsd,
+    durationMs,
+    redactions
+  });
+
+  return narrative;
+}
+
+/**
+ * Narratives saved on a case, newest first
+ */
+async function listNarratives(chargebackId) {
+  return prisma.caseNarrative.findMany({
+    where: { chargebackId },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+module.exports = {
+  runProvider,
+  generateNarrative,
+  listNarratives
+};
@@ -0,0 +1,77 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Base Narrative Provider (Abstract Base Class)
+ *
+ * Defines the interface every narrative provider implements. A provider
+ * turns a prompt built by services/narratives/promptTemplates into text.
+ * Prompts are redacted before they reach a provider (see redaction.js), so
+ * providers never see card numbers or guest contact details.
+ */
+
+class BaseNarrativeProvider {
+  /**
+   * @param {Object} config - The `model` section of the defense config
+   * @param {string} config.provider    - Provider key (openai, rule_based)
+   * @param {string} [config.name]      - Model name
+   * @param {number} [config.temperature]
+   * @param {number} [config.maxTokens]
+   * @param {number} [config.timeout]   - Request timeout in milliseconds
+   * @param {Object} [config.pricing]   - { promptPer1k, completionPer1k } in USD
+   */
+  constructor(config = {}) {
+    if (new.target === BaseNarrativeProvider) {
+      throw new Error('BaseNarrativeProvider is abstract and cannot be instantiated directly');
+    }
+
+    this.provider = config.provider;
+    this.model = config.name || null;
+    this.temperature = config.temperature ?? 0.3;
+    this.maxTokens = config.maxTokens || 1024;
+    this.timeoutMs = config.timeout || 30000;
+    this.pricing = config.pricing || { promptPer1k: 0, completionPer1k: 0 };
+  }
+
+  /**
+   * Whether the provider can be called (credentials present, etc.)
+   *
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Generate text for a prompt.
+   *
+   * @param {Object} request
+   * @param {string} request.kind        - dispute_narrative or case_summary
+   * @param {string} request.templateKey - Defense strategy template key
+   * @param {string} request.system      - System prompt
+   * @param {string} request.user        - User prompt with the case facts
+   * @param {Object} request.context     - Redacted letter context
+   * @param {Object} [request.strategy]  - { name, requiredEvidence, recommendedEvidence }
+   * @returns {Promise<Object>} { text, model, usage: { promptTokens, completionTokens } }
+   */
+  async generate(request) {
+    throw new Error(`[${this.provider}] generate() not implemented`);
+  }
+
+  /**
+   * Cost in USD of a call with the given token usage
+   */
+  estimateCost(usage) {
+    const cost = (usage.promptTokens / 1000) * (this.pricing.promptPer1k || 0) +
+      (usage.completionTokens / 1000) * (this.pricing.completionPer1k || 0);
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  /**
+   * Rough token count for providers that do not report usage
+   * (about four characters per token for English text)
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+module.exports = BaseNarrativeProvider;
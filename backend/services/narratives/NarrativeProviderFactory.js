@@ -0,0 +1,59 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Narrative Provider Factory
+ *
+ * Creates the narrative provider named by `model.provider` in the defense
+ * config. The rule-based provider works offline and is the fallback when
+ * the configured provider is unknown, unavailable or fails.
+ *
+ * Usage:
+ *   const { createNarrativeProvider } = require('./narratives/NarrativeProviderFactory');
+ *
+ *   const provider = createNarrativeProvider(config.model);
+ *   const result = await provider.generate({ kind, templateKey, system, user, context });
+ */
+
+'use strict';
+
+const OpenAINarrativeProvider = require('./OpenAINarrativeProvider');
+const RuleBasedNarrativeProvider = require('./RuleBasedNarrativeProvider');
+
+const FALLBACK_PROVIDER = 'rule_based';
+
+/**
+ * Registry of provider classes keyed by `model.provider`
+ */
+const PROVIDERS = {
+  openai: OpenAINarrativeProvider,
+  rule_based: RuleBasedNarrativeProvider
+};
+
+/**
+ * Create a provider instance from the defense config's model settings.
+ *
+ * @param {Object} modelConfig - DEFAULT_AI_CONFIG.model shaped settings
+ * @returns {BaseNarrativeProvider|null} Null when the provider is unknown
+ */
+function createNarrativeProvider(modelConfig = {}) {
+  const ProviderClass = PROVIDERS[modelConfig.provider];
+  if (!ProviderClass) return null;
+  return new ProviderClass(modelConfig);
+}
+
+/**
+ * The offline provider used when the configured one cannot be
+ */
+function createFallbackProvider(modelConfig = {}) {
+  return new RuleBasedNarrativeProvider({ ...modelConfig, provider: FALLBACK_PROVIDER });
+}
+
+function getSupportedProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+  FALLBACK_PROVIDER,
+  createNarrativeProvider,
+  createFallbackProvider,
+  getSupportedProviders
+};
@@ -0,0 +1,65 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * OpenAI Narrative Provider
+ *
+ * Generates narratives with the OpenAI chat completions API, using the
+ * model, temperature, token limit and timeout from the defense config.
+ * Needs OPENAI_API_KEY; OPENAI_BASE_URL points it at a compatible endpoint.
+ */
+
+const axios = require('axios');
+const BaseNarrativeProvider = require('./BaseNarrativeProvider');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+class OpenAINarrativeProvider extends BaseNarrativeProvider {
+  constructor(config = {}) {
+    super(config);
+    this.model = config.name || 'gpt-4-turbo';
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+    this.baseUrl = config.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL;
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  async generate({ system, user }) {
+    if (!this.apiKey) {
+      throw new Error('[openai] OPENAI_API_KEY is not set');
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ]
+      },
+      {
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+        timeout: this.timeoutMs
+      }
+    );
+
+    const text = response.data.choices?.[0]?.message?.content?.trim();
+    if (!text) {
+      throw new Error('[openai] Empty completion');
+    }
+
+    return {
+      text,
+      model: response.data.model || this.model,
+      usage: {
+        promptTokens: response.data.usage?.prompt_tokens ?? BaseNarrativeProvider.estimateTokens(system + user),
+        completionTokens: response.data.usage?.completion_tokens ?? BaseNarrativeProvider.estimateTokens(text)
+      }
+    };
+  }
+}
+
+module.exports = OpenAINarrativeProvider;
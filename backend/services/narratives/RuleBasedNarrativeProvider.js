@@ -0,0 +1,150 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Rule-Based Narrative Provider
+ *
+ * Writes narratives from the case facts with fixed sentences per defense
+ * strategy and evidence type. It makes no network calls and always gives
+ * the same output for the same case, so narratives work offline, in tests
+ * and whenever a model provider is unavailable.
+ */
+
+const BaseNarrativeProvider = require('./BaseNarrativeProvider');
+
+const MODEL_NAME = 'rule-based-v1';
+
+// What the cardholder claims, by defense strategy
+const CLAIMS = {
+  fraud_defense: 'The cardholder states that they did not authorize this transaction.',
+  identity_fraud_defense: 'The cardholder states that their identity was used without their permission.',
+  service_defense: 'The cardholder states that the stay or service was not provided.',
+  description_defense: 'The cardholder states that the stay was not as described.',
+  duplicate_defense: 'The cardholder states that they were charged more than once.',
+  cancellation_defense: 'The cardholder states that the reservation was cancelled.',
+  no_show_defense: 'The cardholder disputes the charge for a reservation they did not use.',
+  policy_violation_defense: 'The cardholder disputes a charge made under the hotel\'s policies.',
+  behavior_abuse_defense: 'The cardholder disputes a charge made after an incident during the stay.',
+  property_damage_defense: 'The cardholder disputes a charge for damage to the property.',
+  general_defense: 'The cardholder disputes this charge.'
+};
+
+// What each exhibit shows
+const EVIDENCE_FACTS = {
+  ID_SCAN: 'The guest presented government-issued identification at check-in',
+  AUTH_SIGNATURE: 'The guest signed the card authorization',
+  CHECKOUT_SIGNATURE: 'The guest signed the folio at check-out',
+  FOLIO: 'The itemized folio lists every charge',
+  RESERVATION_CONFIRMATION: 'The reservation was confirmed to the guest in writing',
+  CANCELLATION_POLICY: 'The guest accepted the cancellation policy at booking',
+  CANCELLATION_POLICY_VIOLATION: 'The cancellation fell outside the policy the guest accepted',
+  KEY_CARD_LOG: 'Key card records show the room was accessed during the stay',
+  CCTV_FOOTAGE: 'CCTV footage shows the guest on the property',
+  CORRESPONDENCE: 'Our correspondence with the guest is enclosed',
+  INCIDENT_REPORT: 'Staff documented the incident in a written report',
+  DAMAGE_PHOTOS: 'Photographs document the damage',
+  DAMAGE_ASSESSMENT: 'A repair assessment supports the amount charged',
+  POLICE_REPORT: 'The incident was reported to the police',
+  NO_SHOW_DOCUMENTATION: 'The room was held for the guaranteed reservation and the guest did not arrive'
+};
+
+function typeLabel(type) {
+  return type.replace(/_/g, ' ').toLowerCase();
+}
+
+class RuleBasedNarrativeProvider extends BaseNarrativeProvider {
+  constructor(config = {}) {
+    super({ ...config, pricing: { promptPer1k: 0, completionPer1k: 0 } });
+    this.model = MODEL_NAME;
+  }
+
+  async generate(request) {
+    const text = request.kind === 'case_summary'
+      ? this._summary(request)
+      : this._narrative(request);
+
+    return {
+      text,
+      model: MODEL_NAME,
+      usage: {
+        promptTokens: BaseNarrativeProvider.estimateTokens(request.system + request.user),
+        completionTokens: BaseNarrativeProvider.estimateTokens(text)
+      }
+    };
+  }
+
+  _claim(request) {
+    const { context } = request;
+    const claim = CLAIMS[request.templateKey] || CLAIMS.general_defense;
+    const description = context.case.reasonDescription ? ` (${context.case.reasonDescription})` : '';
+    return `${claim} The dispute is for ${context.case.amount} under reason code ${context.case.reasonCode}${description}.`;
+  }
+
+  _stay(context) {
+    const { stay, reservation } = context;
+    const parts = [`${context.guest.name || 'The guest'} stayed at ${context.property.name}`];
+    if (stay.checkIn && stay.checkOut) {
+      parts.push(`from ${stay.checkIn} to ${stay.checkOut}${stay.nights ? ` (${stay.nights} nights)` : ''}`);
+    }
+    if (stay.roomNumber) parts.push(`in room ${stay.roomNumber}`);
+    let sentence = `${parts.join(' ')}.`;
+    if (reservation.bookingDate) {
+      sentence += ` The reservation was made on ${reservation.bookingDate}${reservation.bookingSource ? ` via ${reservation.bookingSource}` : ''}.`;
+    }
+    return sentence;
+  }
+
+  _exhibitFacts(context) {
+    return (context.evidence.exhibits || [])
+      .filter(exhibit => EVIDENCE_FACTS[exhibit.type])
+      .map(exhibit => `${EVIDENCE_FACTS[exhibit.type]} (Exhibit ${exhibit.exhibit}).`);
+  }
+
+  _missing(request) {
+    const present = request.context.evidence.has || {};
+    const required = request.strategy?.requiredEvidence || [];
+    return required.filter(type => !present[type]);
+  }
+
+  _narrative(request) {
+    const { context } = request;
+    const paragraphs = [this._claim(request), this._stay(context)];
+
+    const facts = this._exhibitFacts(context);
+    if (facts.length > 0) {
+      paragraphs.push(facts.join(' '));
+    }
+
+    if (context.dispute.hasLines) {
+      paragraphs.push(`The disputed amount relates to these folio charges:\n${context.dispute.lines}`);
+    } else if (context.dispute.isPartial) {
+      paragraphs.push(`Only ${context.case.amount} of the ${context.dispute.transactionAmount} transaction is disputed; the remaining charges are not in question.`);
+    }
+
+    paragraphs.push('The charge is valid and was processed in line with the terms the guest accepted. We respectfully request that this chargeback be reversed.');
+
+    return paragraphs.join('\n\n');
+  }
+
+  _summary(request) {
+    const { context } = request;
+    const facts = this._exhibitFacts(context);
+    const missing = this._missing(request);
+
+    const bullets = [
+      `Claim: ${this._claim(request)}`,
+      `Stay: ${this._stay(context)}`,
+      facts.length > 0
+        ? `Strongest facts: ${facts.slice(0, 3).join(' ')}`
+        : 'Strongest facts: no exhibits have been uploaded yet.',
+      missing.length > 0
+        ? `Gaps: missing ${missing.map(typeLabel).join(', ')}, which ${request.strategy?.name || 'this defense'} requires.`
+        : 'Gaps: all required evidence for this defense is on file.',
+      missing.length > 0
+        ? `Next step: collect the ${typeLabel(missing[0])} before submitting.`
+        : 'Next step: review the rebuttal letter and submit the representment.'
+    ];
+
+    return bullets.map(bullet => `- ${bullet}`).join('\n');
+  }
+}
+
+module.exports = RuleBasedNarrativeProvider;
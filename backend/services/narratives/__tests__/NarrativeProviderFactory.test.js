@@ -0,0 +1,34 @@
+/**
+ * Narrative provider factory tests
+ */
+
+const {
+  FALLBACK_PROVIDER, createNarrativeProvider, createFallbackProvider, getSupportedProviders
+} = require('../NarrativeProviderFactory');
+const OpenAINarrativeProvider = require('../OpenAINarrativeProvider');
+const RuleBasedNarrativeProvider = require('../RuleBasedNarrativeProvider');
+
+describe('NarrativeProviderFactory', () => {
+  it('creates the provider named in the model config', () => {
+    expect(createNarrativeProvider({ provider: 'openai', name: 'gpt-4o' })).toBeInstanceOf(OpenAINarrativeProvider);
+    expect(createNarrativeProvider({ provider: 'rule_based' })).toBeInstanceOf(RuleBasedNarrativeProvider);
+  });
+
+  it('returns null for an unknown provider', () => {
+    expect(createNarrativeProvider({ provider: 'acme' })).toBeNull();
+    expect(createNarrativeProvider()).toBeNull();
+  });
+
+  it('creates a free rule-based fallback whatever the configured pricing', () => {
+    const fallback = createFallbackProvider({ provider: 'openai', pricing: { promptPer1k: 0.01, completionPer1k: 0.03 } });
+
+    expect(fallback).toBeInstanceOf(RuleBasedNarrativeProvider);
+    expect(fallback.provider).toBe(FALLBACK_PROVIDER);
+    expect(fallback.isAvailable()).toBe(true);
+    expect(fallback.estimateCost({ promptTokens: 1000, completionTokens: 1000 })).toBe(0);
+  });
+
+  it('lists the supported providers', () => {
+    expect(getSupportedProviders()).toEqual(['openai', 'rule_based']);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Rule-based narrative provider tests
+ */
+
+const axios = require('axios');
+const RuleBasedNarrativeProvider = require('../RuleBasedNarrativeProvider');
+const { STRATEGY_PROMPTS } = require('../promptTemplates');
+
+const context = {
+  case: { amount: '$450.00', reasonCode: '10.4', reasonDescription: 'Card Absent Fraud' },
+  guest: { name: '[GUEST_NAME]' },
+  property: { name: 'Harbor Hotel' },
+  stay: { checkIn: 'January 10, 2026', checkOut: 'January 13, 2026', nights: 3, roomNumber: '512' },
+  reservation: { bookingDate: 'December 1, 2025', bookingSource: 'Direct' },
+  evidence: {
+    exhibits: [{ exhibit: 'A', type: 'FOLIO' }, { exhibit: 'B', type: 'KEY_CARD_LOG' }],
+    has: { FOLIO: true, KEY_CARD_LOG: true }
+  },
+  dispute: { hasLines: false, isPartial: false }
+};
+
+const strategy = { name: 'Fraud Claim Defense', requiredEvidence: ['ID_SCAN', 'FOLIO'] };
+
+function request(kind, templateKey) {
+  return { kind, templateKey, system: 'system prompt', user: 'user prompt', context, strategy };
+}
+
+const CLAIMS = {
+  fraud_defense: 'The cardholder states that they did not authorize this transaction.',
+  identity_fraud_defense: 'The cardholder states that their identity was used without their permission.',
+  service_defense: 'The cardholder states that the stay or service was not provided.',
+  description_defense: 'The cardholder states that the stay was not as described.',
+  duplicate_defense: 'The cardholder states that they were charged more than once.',
+  cancellation_defense: 'The cardholder states that the reservation was cancelled.',
+  no_show_defense: 'The cardholder disputes the charge for a reservation they did not use.',
+  policy_violation_defense: 'The cardholder disputes a charge made under the hotel\'s policies.',
+  behavior_abuse_defense: 'The cardholder disputes a charge made after an incident during the stay.',
+  property_damage_defense: 'The cardholder disputes a charge for damage to the property.',
+  general_defense: 'The cardholder disputes this charge.'
+};
+
+describe('RuleBasedNarrativeProvider', () => {
+  const provider = new RuleBasedNarrativeProvider({ provider: 'rule_based' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('covers every strategy prompt template', () => {
+    expect(Object.keys(CLAIMS).sort()).toEqual(Object.keys(STRATEGY_PROMPTS).sort());
+  });
+
+  it.each(Object.entries(CLAIMS))('writes the same %s narrative every time', async (templateKey, claim) => {
+    const first = await provider.generate(request('dispute_narrative', templateKey));
+    const second = await provider.generate(request('dispute_narrative', templateKey));
+
+    expect(second).toEqual(first);
+    expect(first.model).toBe('rule-based-v1');
+    expect(first.text).toBe([
+      `${claim} The dispute is for $450.00 under reason code 10.4 (Card Absent Fraud).`,
+      '[GUEST_NAME] stayed at Harbor Hotel from January 10, 2026 to January 13, 2026 (3 nights) in room 512. ' +
+        'The reservation was made on December 1, 2025 via Direct.',
+      'The itemized folio lists every charge (Exhibit A). ' +
+        'Key card records show the room was accessed during the stay (Exhibit B).',
+      'The charge is valid and was processed in line with the terms the guest accepted. ' +
+        'We respectfully request that this chargeback be reversed.'
+    ].join('\n\n'));
+  });
+
+  it.each(Object.entries(CLAIMS))('writes the same %s case summary every time', async (templateKey, claim) => {
+    const first = await provider.generate(request('case_summary', templateKey));
+    const second = await provider.generate(request('case_summary', templateKey));
+
+    expect(second).toEqual(first);
+    expect(first.text).toBe([
+      `- Claim: ${claim} The dispute is for $450.00 under reason code 10.4 (Card Absent Fraud).`,
+      '- Stay: [GUEST_NAME] stayed at Harbor Hotel from January 10, 2026 to January 13, 2026 (3 nights) in room 512. ' +
+        'The reservation was made on December 1, 2025 via Direct.',
+      '- Strongest facts: The itemized folio lists every charge (Exhibit A). ' +
+        'Key card records show the room was accessed during the stay (Exhibit B).',
+      '- Gaps: missing id scan, which Fraud Claim Defense requires.',
+      '- Next step: collect the id scan before submitting.'
+    ].join('\n'));
+  });
+
+  it('falls back to the general claim for an unknown template', async () => {
+    const result = await provider.generate(request('dispute_narrative', 'unknown_defense'));
+    expect(result.text.startsWith(CLAIMS.general_defense)).toBe(true);
+  });
+
+  it('estimates usage at no cost and makes no network calls', async () => {
+    const post = jest.spyOn(axios, 'post');
+    const result = await provider.generate(request('dispute_narrative', 'fraud_defense'));
+
+    expect(post).not.toHaveBeenCalled();
+    expect(result.usage.promptTokens).toBe(Math.ceil('system promptuser prompt'.length / 4));
+    expect(result.usage.completionTokens).toBe(Math.ceil(result.text.length / 4));
+    expect(provider.estimateCost(result.usage)).toBe(0);
+  });
+});
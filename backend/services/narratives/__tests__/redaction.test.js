@@ -0,0 +1,119 @@
+/**
+ * Narrative redaction tests
+ */
+
+const { redactText, redactContext, restorePlaceholders, passesLuhn } = require('../redaction');
+
+describe('passesLuhn', () => {
+  it('accepts valid card numbers and rejects others', () => {
+    expect(passesLuhn('4111111111111111')).toBe(true);
+    expect(passesLuhn('5500005555555559')).toBe(true);
+    expect(passesLuhn('4111111111111112')).toBe(false);
+  });
+});
+
+describe('redactText', () => {
+  it('redacts card numbers that pass the Luhn check, with or without separators', () => {
+    const counts = {};
+    const text = redactText('cards 4111 1111 1111 1111, 5500-0055-5555-5559 and ref 4111111111111112', [], counts);
+
+    expect(text).toBe('cards [REDACTED_PAN], [REDACTED_PAN] and ref 4111111111111112');
+    expect(counts).toEqual({ pan: 2 });
+  });
+
+  it('redacts email addresses', () => {
+    const counts = {};
+    expect(redactText('write to j.smith+stay@mail.example.co.uk today', [], counts))
+      .toBe('write to [REDACTED_EMAIL] today');
+    expect(counts).toEqual({ email: 1 });
+  });
+
+  it('redacts local, digits-only and international phone numbers', () => {
+    const counts = {};
+    const text = redactText('tel 5551234567, (555) 123-4567, 555.123.4567 or +44 20 7946 0958', [], counts);
+
+    expect(text).toBe('tel [REDACTED_PHONE], [REDACTED_PHONE], [REDACTED_PHONE] or [REDACTED_PHONE]');
+    expect(counts).toEqual({ phone: 4 });
+  });
+
+  it('leaves dates, amounts and reference numbers alone', () => {
+    const counts = {};
+    const text = 'On 2026-01-10 the guest paid 1234.56 for folio 884213, dispute dp_5551234567';
+
+    expect(redactText(text, [], counts)).toBe(text);
+    expect(counts).toEqual({});
+  });
+});
+
+describe('redactContext', () => {
+  const context = {
+    guest: { name: 'Jo Li', email: 'jo.li@example.com', phone: '555-123-4567' },
+    reservation: { loyaltyNumber: 'GLD-998877' },
+    case: { amount: '$450.00', reasonCode: '10.4' },
+    evidence: {
+      count: 2,
+      list: '- Exhibit A: id scan (li_passport.pdf)\n- Exhibit B: folio (folio_jo_li.pdf)',
+      exhibits: [{ exhibit: 'A', type: 'ID_SCAN' }, { exhibit: 'B', type: 'FOLIO' }]
+    },
+    notes: {
+      list: '- Jo called from 5551234567; Li agreed. Do not refund. Email jo.li@example.com, member GLD-998877'
+    }
+  };
+
+  it('replaces the guest details, each part of the name and reformatted phones', () => {
+    const { context: redacted, redactions } = redactContext(context);
+
+    expect(redacted.guest).toEqual({ name: '[GUEST_NAME]', email: '[GUEST_EMAIL]', phone: '[GUEST_PHONE]' });
+    expect(redacted.reservation.loyaltyNumber).toBe('[LOYALTY_NUMBER]');
+    expect(redacted.notes.list).toBe(
+      '- [GUEST_FIRST_NAME] called from [GUEST_PHONE]; [GUEST_LAST_NAME] agreed. Do not refund. ' +
+      'Email [GUEST_EMAIL], member [LOYALTY_NUMBER]'
+    );
+    expect(redacted.case).toEqual(context.case);
+    expect(redactions).toEqual({ name: 3, email: 2, phone: 2, loyaltyNumber: 2, fileName: 2 });
+  });
+
+  it('drops evidence file names from the exhibit list', () => {
+    const { context: redacted } = redactContext(context);
+
+    expect(redacted.evidence.list).toBe('- Exhibit A: id scan\n- Exhibit B: folio');
+    expect(JSON.stringify(redacted)).not.toMatch(/passport|\.pdf/);
+  });
+
+  it('matches short name parts only as written or in capitals', () => {
+    const { context: redacted } = redactContext({
+      guest: { name: 'An Do' },
+      notes: { list: 'Mr. DO and An said do not refund; an issue' }
+    });
+
+    expect(redacted.notes.list).toBe('Mr. [GUEST_LAST_NAME] and [GUEST_FIRST_NAME] said do not refund; an issue');
+  });
+
+  it('does not touch the context passed in', () => {
+    const copy = JSON.parse(JSON.stringify(context));
+    redactContext(context);
+    expect(context).toEqual(copy);
+  });
+});
+
+describe('restorePlaceholders', () => {
+  it('puts the guest details back into generated text', () => {
+    const { context: redacted, placeholders } = redactContext({
+      guest: { name: 'Jane Doe', email: 'jane@example.com', phone: '555-123-4567' },
+      notes: { list: 'Jane Doe (jane@example.com, 555 123 4567) confirmed; Doe signed' }
+    });
+
+    expect(redacted.notes.list).toBe('[GUEST_NAME] ([GUEST_EMAIL], [GUEST_PHONE]) confirmed; [GUEST_LAST_NAME] signed');
+    expect(restorePlaceholders(redacted.notes.list, placeholders))
+      .toBe('Jane Doe (jane@example.com, 555-123-4567) confirmed; Doe signed');
+  });
+
+  it('leaves permanently redacted values redacted', () => {
+    const { context: redacted, placeholders } = redactContext({
+      guest: { name: 'Jane Doe' },
+      notes: { list: 'card 4111 1111 1111 1111' }
+    });
+
+    expect(restorePlaceholders(redacted.notes.list, placeholders)).toBe('card [REDACTED_PAN]');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Narrative Prompt Templates
+ *
+ * Prompts for generated dispute narratives and case summaries, keyed by the
+ * `responseTemplate` values in DEFAULT_AI_CONFIG.defenseStrategies (the same
+ * keys as the rebuttal letter library). Facts are filled in from the
+ * redacted letter context with services/rebuttalLetters.renderTemplate.
+ */
+
+const { FALLBACK_TEMPLATE_KEY } = require('../rebuttalTemplates');
+
+const NARRATIVE_KINDS = {
+  dispute_narrative: {
+    name: 'Dispute Narrative',
+    instructions: 'Write the narrative section of a representment response to the card issuer. Use three to five short paragraphs in a factual, professional tone. Argue why the chargeback should be reversed, referring to the enclosed exhibits by their exhibit letters. Do not invent facts, dates or amounts that are not listed below.'
+  },
+  case_summary: {
+    name: 'Case Summary',
+    instructions: 'Write an internal summary of this case for the analyst working it, in at most five bullet points: what the cardholder claims, the strongest facts in our favour, the gaps in the evidence, and the recommended next step. Do not invent facts that are not listed below.'
+  }
+};
+
+const SYSTEM_PROMPT = 'You are a chargeback analyst for a hotel. You write accurate, concise dispute documents from the case facts you are given. Placeholders in square brackets such as [GUEST_NAME] stand for redacted personal data; keep them exactly as written.';
+
+// Case facts shared by every prompt
+const FACTS = `Case facts:
+- Case: {{case.caseNumber}}, reason code {{case.reasonCode}}{{#if case.reasonDescription}} ({{case.reasonDescription}}){{/if}}
+- Disputed amount: {{case.amount}}{{#if dispute.isPartial}} of a {{dispute.transactionAmount}} transaction{{/if}}
+- Card: {{card.brand}} ending {{card.lastFour}}
+- Guest: {{guest.name}}
+- Property: {{property.name}}
+- Stay: {{stay.checkIn}} to {{stay.checkOut}} ({{stay.nights}} nights){{#if stay.roomNumber}}, room {{stay.roomNumber}}{{/if}}
+{{#if reservation.bookingDate}}- Booked on {{reservation.bookingDate}}{{#if reservation.bookingSource}} via {{reservation.bookingSource}}{{/if}}
+{{/if}}{{#if dispute.hasLines}}Disputed folio charges:
+{{dispute.lines}}
+{{/if}}{{#if folio.showSummary}}Folio summary ({{folio.itemCount}} line items, total {{folio.total}}):
+{{folio.summary}}
+{{/if}}{{#if evidence.count}}Exhibits:
+{{evidence.list}}
+{{/if}}{{#if notes.has}}Notes from the property:
+{{notes.list}}
+{{/if}}`;
+
+const STRATEGY_PROMPTS = {
+  fraud_defense: {
+    name: 'Fraud Claim Defense',
+    guidance: 'The cardholder says they did not authorize the charge. Show that the cardholder was present and authorized it: identification at check-in, signed registration or authorization, room access during the stay.'
+  },
+  identity_fraud_defense: {
+    name: 'Identity Fraud Defense',
+    guidance: 'The cardholder says their identity was used without permission. Tie the guest who stayed to the cardholder through identification, signatures and prior stays.'
+  },
+  service_defense: {
+    name: 'Service Not Received Defense',
+    guidance: 'The cardholder says the stay or service was not provided. Show the stay took place: check-in and check-out, key card use, folio charges during the stay.'
+  },
+  description_defense: {
+    name: 'Not As Described Defense',
+    guidance: 'The cardholder says the stay was not as described. Show what was booked matches what was provided, and any complaint handling recorded in correspondence.'
+  },
+  duplicate_defense: {
+    name: 'Duplicate Charge Defense',
+    guidance: 'The cardholder says they were charged twice. Show each charge is for a distinct service on the folio, with its own date and amount.'
+  },
+  cancellation_defense: {
+    name: 'Cancelled Reservation Defense',
+    guidance: 'The cardholder says the reservation was cancelled. Show the cancellation policy the guest accepted at booking and that the charge follows it.'
+  },
+  no_show_defense: {
+    name: 'No-Show Defense',
+    guidance: 'The guest did not arrive. Show the guaranteed reservation, the no-show policy accepted at booking and that the room was held.'
+  },
+  policy_violation_defense: {
+    name: 'Policy Violation Defense',
+    guidance: 'The charge is for a breach of a hotel policy the guest agreed to. Show the policy, the guest\'s agreement and documentation of the breach.'
+  },
+  behavior_abuse_defense: {
+    name: 'Guest Behavior Defense',
+    guidance: 'The charge follows guest misconduct. Show the incident documentation, staff reports and the policy the charge is based on.'
+  },
+  property_damage_defense: {
+    name: 'Property Damage Defense',
+    guidance: 'The charge is for damage caused during the stay. Show the damage documentation, the assessment of repair costs and the policy the guest agreed to.'
+  },
+  general_defense: {
+    name: 'General Defense',
+    guidance: 'Show that the charge is valid: the stay took place, the guest agreed to the charges and the amount matches the folio.'
+  }
+};
+
+/**
+ * Build the prompt for a kind of narrative and a defense strategy
+ *
+ * @param {string} kind - Key of NARRATIVE_KINDS
+ * @param {string} templateKey - Defense strategy template key
+ * @param {Object} context - Redacted letter context
+ * @param {Function} render - renderTemplate from services/rebuttalLetters
+ * @returns {Object} { templateKey, system, user }
+ */
+function buildPrompt(kind, templateKey, context, render) {
+  const strategyKey = STRATEGY_PROMPTS[templateKey] ? templateKey : FALLBACK_TEMPLATE_KEY;
+  const strategy = STRATEGY_PROMPTS[strategyKey];
+  const facts = render(FACTS, context).text;
+
+  return {
+    templateKey: strategyKey,
+    system: SYSTEM_PROMPT,
+    user: `${NARRATIVE_KINDS[kind].instructions}\n\nDefense strategy: ${strategy.name}. ${strategy.guidance}\n\n${facts}`
+  };
+}
+
+module.exports = {
+  NARRATIVE_KINDS,
+  STRATEGY_PROMPTS,
+  buildPrompt
+};
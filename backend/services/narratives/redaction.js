@@ -0,0 +1,226 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Narrative Redaction
+ *
+ * Removes card numbers and guest personal data from the letter context
+ * before any of it is sent to a narrative provider.
+ *
+ * - Guest name (in full and each part of it), email, phone and loyalty
+ *   number are replaced by placeholders ([GUEST_NAME], ...) wherever they
+ *   appear, including free-text notes. The guest phone is matched however
+ *   it is formatted. restorePlaceholders puts them back in the output,
+ *   which stays on our side.
+ * - Anything that looks like a card number (13-19 digits passing the Luhn
+ *   check), an email address or a phone number (local or international,
+ *   with or without separators) is replaced for good.
+ * - Evidence file names are dropped from the exhibit list; uploaders often
+ *   name files after the guest.
+ */
+
+const PLACEHOLDERS = {
+  name: '[GUEST_NAME]',
+  firstName: '[GUEST_FIRST_NAME]',
+  lastName: '[GUEST_LAST_NAME]',
+  middleName: '[GUEST_MIDDLE_NAME]',
+  email: '[GUEST_EMAIL]',
+  phone: '[GUEST_PHONE]',
+  loyaltyNumber: '[LOYALTY_NUMBER]'
+};
+
+// Shortest value or name part replaced; two letters covers names like Li or Ng
+const MIN_VALUE_LENGTH = 3;
+const MIN_NAME_PART_LENGTH = 2;
+const MIN_PHONE_DIGITS = 7;
+
+const PAN_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Candidate phone numbers; phoneDigitsOk decides by digit count
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?!\w)/g;
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// International numbers (with a leading +) have 8-15 digits; without one
+// only 10-11 digit numbers are taken as phones so dates and amounts survive
+function phoneDigitsOk(match) {
+  const digits = match.replace(/\D/g, '').length;
+  return match.startsWith('+') ? digits >= 8 && digits <= 15 : digits >= 10 && digits <= 11;
+}
+
+/**
+ * Pattern for a known value. Phones match on their digits with any
+ * formatting in between. Name parts match as whole words (underscores and
+ * digits count as breaks, as in file names); one shorter than
+ * MIN_VALUE_LENGTH matches only as written or in capitals, so a surname
+ * like "Do" leaves the word "do" alone.
+ */
+function knownPattern(type, value) {
+  if (type === 'phone') {
+    const digits = value.replace(/\D/g, '');
+    return new RegExp(`(?<!\\d)${digits.split('').join('[\\s().-]*')}(?!\\d)`, 'g');
+  }
+  const escaped = escapeRegExp(value);
+  if (type === 'name' || type === 'email' || type === 'loyaltyNumber') {
+    return new RegExp(escaped, 'gi');
+  }
+  if (value.length < MIN_VALUE_LENGTH) {
+    return new RegExp(`(?<![A-Za-z])(?:${escaped}|${escapeRegExp(value.toUpperCase())})(?![A-Za-z])`, 'g');
+  }
+  return new RegExp(`(?<![A-Za-z])${escaped}(?![A-Za-z])`, 'gi');
+}
+
+/**
+ * Redact one string
+ *
+ * @param {string} text
+ * @param {Object[]} known - [{ pattern, placeholder, type }] known values to
+ *   replace, in order (see knownValues)
+ * @param {Object} counts - Redaction counts by type, updated in place
+ */
+function redactText(text, known, counts) {
+  const count = (type) => { counts[type] = (counts[type] || 0) + 1; };
+
+  // Known values are swapped for markers first so a later, shorter value
+  // (a name part) cannot match inside an earlier placeholder
+  let result = text;
+  known.forEach(({ pattern, type }, i) => {
+    result = result.replace(pattern, () => {
+      count(type === 'firstName' || type === 'lastName' || type === 'middleName' ? 'name' : type);
+      return `\u0000${i}\u0000`;
+    });
+  });
+
+  result = result.replace(PAN_PATTERN, (match) => {
+    const digits = match.replace(/\D/g, '');
+    if (!passesLuhn(digits)) return match;
+    count('pan');
+    return '[REDACTED_PAN]';
+  });
+  result = result.replace(EMAIL_PATTERN, () => {
+    count('email');
+    return '[REDACTED_EMAIL]';
+  });
+  result = result.replace(PHONE_PATTERN, (match) => {
+    if (!phoneDigitsOk(match)) return match;
+    count('phone');
+    return '[REDACTED_PHONE]';
+  });
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match, i) => known[i].placeholder);
+}
+
+function redactValue(value, known, counts) {
+  if (typeof value === 'string') return redactText(value, known, counts);
+  if (Array.isArray(value)) return value.map(v => redactValue(v, known, counts));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, known, counts)]));
+  }
+  return value;
+}
+
+/**
+ * The guest's known values with their placeholders, in the order they are
+ * replaced: whole values first, then the parts of the name, longest first
+ */
+function knownValues(context) {
+  const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+  const name = clean(context.guest?.name);
+  const phone = clean(context.guest?.phone);
+
+  const values = [
+    { type: 'email', value: clean(context.guest?.email) },
+    { type: 'loyaltyNumber', value: clean(context.reservation?.loyaltyNumber) },
+    { type: 'name', value: name }
+  ].filter(({ value }) => value.length >= MIN_VALUE_LENGTH);
+
+  if (phone.replace(/\D/g, '').length >= MIN_PHONE_DIGITS) {
+    values.push({ type: 'phone', value: phone });
+  }
+
+  const parts = name.split(/\s+/);
+  if (parts.length > 1) {
+    const seen = new Set();
+    parts.forEach((part, i) => {
+      if (part.length < MIN_NAME_PART_LENGTH || seen.has(part.toLowerCase())) return;
+      seen.add(part.toLowerCase());
+      const type = i === 0 ? 'firstName' : i === parts.length - 1 ? 'lastName' : 'middleName';
+      values.push({
+        type,
+        value: part,
+        placeholder: type === 'middleName' ? `[GUEST_MIDDLE_NAME_${i}]` : PLACEHOLDERS[type]
+      });
+    });
+  }
+
+  const nameParts = values.filter(v => v.placeholder);
+  return [
+    ...values.filter(v => !v.placeholder),
+    ...nameParts.sort((a, b) => b.value.length - a.value.length)
+  ].map(v => ({
+    ...v,
+    placeholder: v.placeholder || PLACEHOLDERS[v.type],
+    pattern: knownPattern(v.type, v.value)
+  }));
+}
+
+// Exhibit list without file names
+function exhibitList(exhibits = []) {
+  return exhibits
+    .map(e => `- Exhibit ${e.exhibit}: ${e.type.replace(/_/g, ' ').toLowerCase()}`)
+    .join('\n');
+}
+
+/**
+ * Redact a letter context (services/rebuttalLetters.buildTemplateContext)
+ *
+ * @returns {Object} { context, placeholders, redactions } where placeholders
+ *   maps each placeholder to the value it replaced and redactions counts
+ *   what was removed by type
+ */
+function redactContext(context) {
+  const known = knownValues(context);
+  const counts = {};
+
+  let source = context;
+  if (context.evidence?.exhibits?.length) {
+    source = { ...context, evidence: { ...context.evidence, list: exhibitList(context.evidence.exhibits) } };
+    counts.fileName = context.evidence.exhibits.length;
+  }
+
+  return {
+    context: redactValue(source, known, counts),
+    placeholders: Object.fromEntries(known.map(k => [k.placeholder, k.value])),
+    redactions: counts
+  };
+}
+
+/**
+ * Put the guest's details back into generated text
+ */
+function restorePlaceholders(text, placeholders) {
+  return Object.entries(placeholders).reduce(
+    (result, [placeholder, value]) => result.split(placeholder).join(value),
+    text
+  );
+}
+
+module.exports = {
+  redactText,
+  redactContext,
+  restorePlaceholders,
+  passesLuhn
+};
@@ -88,7 +88,7 @@ class ConflictResolver {
       const localStatus = localData.status;
 
       // Only update status if it's a progression (not a regression)
-      const statusOrder = ['PENDING', 'IN_REVIEW', 'SUBMITTED', 'WON', 'LOST', 'EXPIRED', 'CANCELLED'];
+      const statusOrder = ['PENDING', 'IN_REVIEW', 'SUBMITTED', 'WON', 'LOST', 'ACCEPTED', 'EXPIRED', 'CANCELLED'];
       const localIndex = statusOrder.indexOf(localStatus);
       const incomingIndex = statusOrder.indexOf(incomingStatus);
 
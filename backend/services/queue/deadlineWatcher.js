@@ -0,0 +1,43 @@
+/**
+ * AccuDefend - Deadline Watcher Setup
+ *
+ * Configures the BullMQ repeatable job that warns about approaching
+ * response deadlines and expires overdue cases.
+ */
+
+const { getQueue } = require('./queueManager');
+const logger = require('../../utils/logger');
+
+// Scan interval (in milliseconds)
+const DEADLINE_WATCH_INTERVAL = parseInt(process.env.DEADLINE_WATCH_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Schedule the deadline watcher.
+ * Called during server startup after workers are initialized.
+ */
+async function initializeDeadlineWatcher() {
+  const deadlineQueue = getQueue('deadline-watch');
+
+  // Clear any existing repeatable jobs to avoid duplicates on restart
+  const existingJobs = await deadlineQueue.getRepeatableJobs();
+  for (const job of existingJobs) {
+    await deadlineQueue.removeRepeatableByKey(job.key);
+  }
+
+  await deadlineQueue.add(
+    'deadline-scan',
+    {},
+    {
+      repeat: { every: DEADLINE_WATCH_INTERVAL },
+      jobId: 'deadline-scan',
+      removeOnComplete: { count: 10 },
+      removeOnFail: { count: 50 }
+    }
+  );
+
+  logger.info(`[DeadlineWatcher] Deadline scan scheduled (every ${DEADLINE_WATCH_INTERVAL / 60000}min)`);
+}
+
+module.exports = {
+  initializeDeadlineWatcher
+};
@@ -11,6 +11,10 @@
  *   dispute-outbound  — Send evidence/responses to dispute portals
  *   evidence-collection — Auto-collect evidence from PMS on new chargebacks
  *   scheduled-sync    — Periodic sync jobs (PMS + dispute portals)
+ *   deadline-watch    — Periodic deadline warnings and case expiry
+ *   bulk-operations   — Bulk case actions and exports
+ *   recycle-bin-purge — Permanent deletion of cases past recycle bin retention
+ *   win-rate-calibration — Learn reason code win rates from resolved cases
  */
 
 // Lazy-load bullmq to avoid hanging at require time when Redis is unavailable
@@ -142,6 +146,38 @@ async function initializeWorkers() {
     });
     _attachWorkerEvents(workers['scheduled-sync'], 'scheduled-sync');
 
+    // Deadline Watcher Worker
+    const deadlineWatcherProcessor = require('./workers/deadlineWatcherWorker');
+    workers['deadline-watch'] = new Worker('deadline-watch', deadlineWatcherProcessor, {
+      connection: REDIS_CONNECTION,
+      concurrency: 1
+    });
+    _attachWorkerEvents(workers['deadline-watch'], 'deadline-watch');
+
+    // Recycle Bin Purge Worker
+    const recycleBinPurgeProcessor = require('./workers/recycleBinPurgeWorker');
+    workers['recycle-bin-purge'] = new Worker('recycle-bin-purge', recycleBinPurgeProcessor, {
+      connection: REDIS_CONNECTION,
+      concurrency: 1
+    });
+    _attachWorkerEvents(workers['recycle-bin-purge'], 'recycle-bin-purge');
+
+    // Win Rate Calibration Worker
+    const winRateCalibrationProcessor = require('./workers/winRateCalibrationWorker');
+    workers['win-rate-calibration'] = new Worker('win-rate-calibration', winRateCalibrationProcessor, {
+      connection: REDIS_CONNECTION,
+      concurrency: 1
+    });
+    _attachWorkerEvents(workers['win-rate-calibration'], 'win-rate-calibration');
+
+    // Bulk Operation Worker (one operation at a time, cases run sequentially)
+    const bulkOperationProcessor = require('./workers/bulkOperationWorker');
+    workers['bulk-operations'] = new Worker('bulk-operations', bulkOperationProcessor, {
+      connection: REDIS_CONNECTION,
+      concurrency: 1
+    });
+    _attachWorkerEvents(workers['bulk-operations'], 'bulk-operations');
+
     logger.info(`[QueueManager] ${Object.keys(workers).length} workers initialized`);
   } catch (error) {
     logger.error('[QueueManager] Failed to initialize workers:', error.message);
@@ -0,0 +1,43 @@
+/**
+ * AccuDefend - Recycle Bin Purge Setup
+ *
+ * Configures the BullMQ repeatable job that permanently deletes cases
+ * left in the recycle bin past the retention period.
+ */
+
+const { getQueue } = require('./queueManager');
+const logger = require('../../utils/logger');
+
+// Scan interval (in milliseconds)
+const RECYCLE_BIN_PURGE_INTERVAL = parseInt(process.env.RECYCLE_BIN_PURGE_INTERVAL_MS) || 24 * 60 * 60 * 1000; // daily
+
+/**
+ * Schedule the recycle bin purge.
+ * Called during server startup after workers are initialized.
+ */
+async function initializeRecycleBinPurge() {
+  const purgeQueue = getQueue('recycle-bin-purge');
+
+  // Clear any existing repeatable jobs to avoid duplicates on restart
+  const existingJobs = await purgeQueue.getRepeatableJobs();
+  for (const job of existingJobs) {
+    await purgeQueue.removeRepeatableByKey(job.key);
+  }
+
+  await purgeQueue.add(
+    'recycle-bin-purge',
+    {},
+    {
+      repeat: { every: RECYCLE_BIN_PURGE_INTERVAL },
+      jobId: 'recycle-bin-purge',
+      removeOnComplete: { count: 10 },
+      removeOnFail: { count: 50 }
+    }
+  );
+
+  logger.info(`[RecycleBinPurge] Purge scheduled (every ${RECYCLE_BIN_PURGE_INTERVAL / 3600000}h)`);
+}
+
+module.exports = {
+  initializeRecycleBinPurge
+};
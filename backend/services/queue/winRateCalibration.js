@@ -0,0 +1,43 @@
+/**
+ * AccuDefend - Win Rate Calibration Setup
+ *
+ * Configures the BullMQ repeatable job that learns reason code win rates
+ * from resolved cases. Learned rates wait for an admin to publish them.
+ */
+
+const { getQueue } = require('./queueManager');
+const logger = require('../../utils/logger');
+
+// Calibration interval (in milliseconds)
+const WIN_RATE_CALIBRATION_INTERVAL = parseInt(process.env.WIN_RATE_CALIBRATION_INTERVAL_MS) || 7 * 24 * 60 * 60 * 1000; // weekly
+
+/**
+ * Schedule win rate calibration.
+ * Called during server startup after workers are initialized.
+ */
+async function initializeWinRateCalibration() {
+  const calibrationQueue = getQueue('win-rate-calibration');
+
+  // Clear any existing repeatable jobs to avoid duplicates on restart
+  const existingJobs = await calibrationQueue.getRepeatableJobs();
+  for (const job of existingJobs) {
+    await calibrationQueue.removeRepeatableByKey(job.key);
+  }
+
+  await calibrationQueue.add(
+    'win-rate-calibration',
+    {},
+    {
+      repeat: { every: WIN_RATE_CALIBRATION_INTERVAL },
+      jobId: 'win-rate-calibration',
+      removeOnComplete: { count: 10 },
+      removeOnFail: { count: 50 }
+    }
+  );
+
+  logger.info(`[WinRateCalibration] Calibration scheduled (every ${WIN_RATE_CALIBRATION_INTERVAL / 3600000}h)`);
+}
+
+module.exports = {
+  initializeWinRateCalibration
+};
@@ -0,0 +1,273 @@
+/**
+ * AccuDefend - Bulk Operation Worker
+ *
+ * Runs a BulkOperation over its snapshot of cases, one case at a time,
+ * recording a result per case and updating progress as it goes. A case
+ * that fails does not stop the rest of the operation.
+ */
+
+const { prisma } = require('../../../config/database');
+const logger = require('../../../utils/logger');
+const { uploadFile } = require('../../../config/storage');
+const { analyzeChargeback } = require('../../fraudDetection');
+const { changeCaseStatus, acceptLiability } = require('../../caseActions');
+const { assignCase } = require('../../caseAssignment');
+
+// Persist progress every N cases
+const PROGRESS_INTERVAL = 10;
+
+const EXPORT_COLUMNS = [
+  ['Case Number', c => c.caseNumber],
+  ['Status', c => c.status],
+  ['Stage', c => c.stage],
+  ['Guest Name', c => c.guestName],
+  ['Guest Email', c => c.guestEmail],
+  ['Amount', c => c.amount?.toString()],
+  ['Currency', c => c.currency],
+  ['Transaction Amount', c => c.transactionAmount?.toString()],
+  ['Settlement Amount', c => c.settlementAmount?.toString()],
+  ['Settlement Currency', c => c.settlementCurrency],
+  ['Property Amount', c => c.propertyAmount?.toString()],
+  ['Property Currency', c => c.propertyCurrency],
+  ['Recovered Amount', c => c.recoveredAmount?.toString()],
+  ['Acceptance Reason', c => c.acceptanceReason],
+  ['Write-off Amount', c => c.writeOffAmount?.toString()],
+  ['Card Brand', c => c.cardBrand],
+  ['Card Last Four', c => c.cardLastFour],
+  ['Reason Code', c => c.reasonCode],
+  ['Reason Description', c => c.reasonDescription],
+  ['Transaction ID', c => c.transactionId],
+  ['Processor Dispute ID', c => c.processorDisputeId],
+  ['Confirmation Number', c => c.confirmationNumber],
+  ['Dispute Date', c => c.disputeDate?.toISOString()],
+  ['Due Date', c => c.dueDate?.toISOString()],
+  ['Network Due Date', c => c.networkDueDate?.toISOString()],
+  ['Property', c => c.property?.name],
+  ['Provider', c => c.provider?.name],
+  ['Assignee', c => (c.assignee ? `${c.assignee.firstName} ${c.assignee.lastName}` : '')],
+  ['Confidence Score', c => c.confidenceScore],
+  ['Recommendation', c => c.recommendation],
+  ['Created At', c => c.createdAt?.toISOString()],
+  ['Resolved At', c => c.resolvedAt?.toISOString()]
+];
+
+/**
+ * Process a bulk operation job.
+ *
+ * @param {Object} job - BullMQ job
+ * @param {string} job.data.bulkOperationId - BulkOperation record ID
+ */
+module.exports = async function bulkOperationProcessor(job) {
+  const { bulkOperationId } = job.data;
+  const startTime = Date.now();
+
+  const bulkOperation = await prisma.bulkOperation.findUnique({ where: { id: bulkOperationId } });
+  if (!bulkOperation || bulkOperation.status !== 'queued') {
+    logger.info(`[BulkOperation] ${bulkOperationId} is not queued, skipping`);
+    return { status: 'skipped' };
+  }
+
+  const actor = await prisma.user.findUnique({
+    where: { id: bulkOperation.createdBy },
+    select: { id: true, email: true, firstName: true, lastName: true, role: true, propertyId: true, isActive: true }
+  });
+
+  await prisma.bulkOperation.update({
+    where: { id: bulkOperationId },
+    data: { status: 'running', startedAt: new Date() }
+  });
+
+  logger.info(`[BulkOperation] Running ${bulkOperation.operation} over ${bulkOperation.total} cases`, { jobId: job.id });
+
+  try {
+    if (!actor || !actor.isActive) {
+      throw new Error('Requesting user is no longer active');
+    }
+
+    const summary = bulkOperation.operation === 'export'
+      ? await _runExport(bulkOperation, job)
+      : await _runPerCase(bulkOperation, actor, job);
+
+    await prisma.bulkOperation.update({
+      where: { id: bulkOperationId },
+      data: { ...summary, status: 'completed', completedAt: new Date() }
+    });
+
+    logger.info(`[BulkOperation] ${bulkOperationId} completed in ${Date.now() - startTime}ms`, {
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      skipped: summary.skipped
+    });
+
+    return { status: 'completed', succeeded: summary.succeeded, failed: summary.failed, skipped: summary.skipped };
+
+  } catch (error) {
+    logger.error(`[BulkOperation] ${bulkOperationId} failed:`, error.message);
+    await prisma.bulkOperation.update({
+      where: { id: bulkOperationId },
+      data: { status: 'failed', errorMessage: error.message, completedAt: new Date() }
+    });
+    throw error;
+  }
+};
+
+// =============================================================================
+// PER-CASE OPERATIONS
+// =============================================================================
+
+async function _runPerCase(bulkOperation, actor, job) {
+  const params = bulkOperation.params || {};
+  const caseIds = bulkOperation.caseIds || [];
+  const results = [];
+  const counts = { succeeded: 0, failed: 0, skipped: 0 };
+
+  for (let i = 0; i < caseIds.length; i++) {
+    const caseId = caseIds[i];
+    let entry;
+
+    try {
+      const chargeback = await prisma.chargeback.findFirst({
+        where: {
+          id: caseId,
+          ...(bulkOperation.propertyId && { propertyId: bulkOperation.propertyId })
+        },
+        include: { provider: true }
+      });
+
+      if (!chargeback) {
+        entry = { caseId, result: 'skipped', message: 'Case no longer available' };
+      } else {
+        const outcome = await _applyToCase(bulkOperation.operation, chargeback, params, actor);
+        entry = { caseId, caseNumber: chargeback.caseNumber, ...outcome };
+      }
+    } catch (error) {
+      entry = {
+        caseId,
+        result: error.statusCode && error.statusCode < 500 ? 'skipped' : 'failed',
+        message: error.message
+      };
+    }
+
+    results.push(entry);
+    counts[entry.result]++;
+
+    const processed = i + 1;
+    if (processed % PROGRESS_INTERVAL === 0 || processed === caseIds.length) {
+      await prisma.bulkOperation.update({
+        where: { id: bulkOperation.id },
+        data: { processed, ...counts, results }
+      });
+      await job.updateProgress(Math.round((processed / caseIds.length) * 100));
+    }
+  }
+
+  return { processed: caseIds.length, ...counts, results };
+}
+
+/**
+ * Apply the operation to one case
+ * Returns { result: 'succeeded' | 'skipped', message }
+ */
+async function _applyToCase(operation, chargeback, params, actor) {
+  switch (operation) {
+    case 'analyze': {
+      const analysis = await analyzeChargeback(chargeback.id);
+      return {
+        result: 'succeeded',
+        message: `Confidence ${analysis.confidenceScore}%, ${analysis.recommendation.replace(/_/g, ' ').toLowerCase()}`
+      };
+    }
+
+    case 'status': {
+      if (chargeback.status === params.status) {
+        return { result: 'skipped', message: `Already ${params.status}` };
+      }
+      await changeCaseStatus(chargeback, params.status, { actor, notes: params.notes });
+      return { result: 'succeeded', message: `${chargeback.status} -> ${params.status}` };
+    }
+
+    case 'assign': {
+      const { changed } = await assignCase(chargeback, params.assigneeId || null, {
+        actor,
+        reason: params.reason,
+        ipAddress: params.ipAddress
+      });
+      return changed
+        ? { result: 'succeeded', message: params.assigneeId ? 'Assigned' : 'Unassigned' }
+        : { result: 'skipped', message: 'Assignee unchanged' };
+    }
+
+    case 'accept_liability': {
+      const { queued, portalType } = await acceptLiability(chargeback, {
+        actor,
+        reason: params.acceptanceReason,
+        notes: params.reason
+      });
+      return {
+        result: 'succeeded',
+        message: queued ? `Acceptance sent to ${portalType}` : 'Closed as accepted'
+      };
+    }
+
+    default:
+      throw new Error(`Unknown bulk operation: ${operation}`);
+  }
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+async function _runExport(bulkOperation, job) {
+  const caseIds = bulkOperation.caseIds || [];
+  const rows = [EXPORT_COLUMNS.map(([header]) => header)];
+  const found = new Set();
+
+  // Read in pages to keep queries small
+  for (let i = 0; i < caseIds.length; i += 100) {
+    const page = await prisma.chargeback.findMany({
+      where: {
+        id: { in: caseIds.slice(i, i + 100) },
+        ...(bulkOperation.propertyId && { propertyId: bulkOperation.propertyId })
+      },
+      include: {
+        property: { select: { name: true } },
+        provider: { select: { name: true } },
+        assignee: { select: { firstName: true, lastName: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    for (const chargeback of page) {
+      rows.push(EXPORT_COLUMNS.map(([, value]) => value(chargeback)));
+      found.add(chargeback.id);
+    }
+    await job.updateProgress(Math.round((Math.min(i + 100, caseIds.length) / caseIds.length) * 100));
+  }
+
+  const csv = rows.map(row => row.map(_csvCell).join(',')).join('\r\n');
+  const resultKey = `exports/cases/${bulkOperation.id}.csv`;
+  await uploadFile(Buffer.from(csv, 'utf8'), resultKey, 'text/csv');
+
+  const skipped = caseIds.length - found.size;
+  return {
+    processed: caseIds.length,
+    succeeded: found.size,
+    failed: 0,
+    skipped,
+    resultKey,
+    ...(skipped > 0 && {
+      results: caseIds.filter(id => !found.has(id)).map(caseId => ({
+        caseId, result: 'skipped', message: 'Case no longer available'
+      }))
+    })
+  };
+}
+
+function _csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Quote anything with separators, and neutralize spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
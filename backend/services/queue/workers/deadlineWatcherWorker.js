@@ -0,0 +1,266 @@
+/**
+ * AccuDefend - Deadline Watcher Worker
+ *
+ * Scans open cases for approaching response deadlines. Sends tiered
+ * warnings (7, 3 and 1 days out, and on the day) to the case's assignee,
+ * watchers and property managers, raises cases in the last day to URGENT
+ * priority, and moves cases to EXPIRED once the deadline has passed. Ethoca/Verifi alerts whose response window closed
+ * unanswered are expired in the same run.
+ *
+ * Every alert is claimed with a DeadlineAlert row (unique per case, tier
+ * and due date) in the same transaction as its notifications, so a
+ * repeated or overlapping run never sends the same alert twice. A new
+ * due date (e.g. a later dispute stage) starts the tiers over.
+ */
+
+const { prisma } = require('../../../config/database');
+const logger = require('../../../utils/logger');
+const { daysUntil } = require('../../deadlineEngine');
+const { getCaseFollowers } = require('../../caseAssignment');
+const { recordChanges, systemActor } = require('../../changeHistory');
+const { expireOverdueAlerts } = require('../../disputeAlerts');
+
+// Statuses that still need a response from the team
+const OPEN_STATUSES = ['PENDING', 'IN_REVIEW'];
+
+// Checked most urgent first; a case only gets the tier it is in now
+const WARNING_TIERS = [
+  { tier: 'SAME_DAY', maxDays: 0, priority: 'URGENT' },
+  { tier: 'ONE_DAY', maxDays: 1, priority: 'URGENT' },
+  { tier: 'THREE_DAYS', maxDays: 3, priority: 'HIGH' },
+  { tier: 'SEVEN_DAYS', maxDays: 7, priority: 'MEDIUM' }
+];
+
+// Look a day past the widest tier so timezone differences cannot skip a case
+const SCAN_WINDOW_DAYS = 8;
+
+/**
+ * Process a deadline watch job.
+ *
+ * @param {Object} job - BullMQ job
+ */
+module.exports = async function deadlineWatcherProcessor(job) {
+  const startTime = Date.now();
+  const now = new Date();
+
+  logger.info('[DeadlineWatcher] Scanning open cases', { jobId: job.id });
+
+  const cases = await prisma.chargeback.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      dueDate: {
+        not: null,
+        lte: new Date(now.getTime() + SCAN_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+      }
+    },
+    include: {
+      property: { select: { id: true, name: true, timezone: true } }
+    }
+  });
+
+  const result = { scanned: cases.length, warned: 0, escalated: 0, expired: 0, skipped: 0, failed: 0, alertsExpired: 0 };
+
+  try {
+    result.alertsExpired = await expireOverdueAlerts(now);
+  } catch (error) {
+    logger.error('[DeadlineWatcher] Failed to expire dispute alerts:', error.message);
+  }
+
+  for (const chargeback of cases) {
+    try {
+      if (chargeback.dueDate < now) {
+        if (await _expireCase(chargeback, now)) {
+          result.expired++;
+        } else {
+          result.skipped++;
+        }
+        continue;
+      }
+
+      const days = daysUntil(chargeback.dueDate, chargeback.property?.timezone, now);
+      const tier = WARNING_TIERS.find(t => days <= t.maxDays);
+      if (!tier) continue;
+
+      if (tier.priority === 'URGENT' && await _escalateCase(chargeback, days)) {
+        result.escalated++;
+      }
+
+      const sent = await _sendAlert(chargeback, tier.tier, tier.priority, {
+        title: `Deadline ${_dueLabel(days)}: ${chargeback.caseNumber}`,
+        message: `Response for the $${chargeback.amount} ${chargeback.reasonCode} dispute ` +
+          `(${chargeback.guestName}) is ${_dueLabel(days)}`,
+        days
+      });
+
+      if (sent) {
+        result.warned++;
+      } else {
+        result.skipped++;
+      }
+    } catch (error) {
+      result.failed++;
+      logger.error(`[DeadlineWatcher] Failed to process ${chargeback.caseNumber}:`, error.message);
+    }
+  }
+
+  logger.info(`[DeadlineWatcher] Scan complete in ${Date.now() - startTime}ms`, result);
+
+  return result;
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Move a case whose deadline has passed to EXPIRED. The status update is
+ * conditional, so only one run can win the transition.
+ */
+async function _expireCase(chargeback, now) {
+  const { count } = await prisma.chargeback.updateMany({
+    where: { id: chargeback.id, status: { in: OPEN_STATUSES } },
+    data: { status: 'EXPIRED', resolvedAt: now }
+  });
+  if (count === 0) return false;
+
+  await prisma.caseStage.updateMany({
+    where: {
+      chargebackId: chargeback.id,
+      stage: chargeback.stage,
+      status: { in: ['open', 'submitted'] }
+    },
+    data: { status: 'closed', closedAt: now }
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'WARNING',
+      title: 'Case Expired',
+      description: `Response deadline of ${chargeback.dueDate.toISOString().split('T')[0]} passed without a submission`,
+      metadata: {
+        previousStatus: chargeback.status,
+        dueDate: chargeback.dueDate,
+        networkDueDate: chargeback.networkDueDate
+      }
+    }
+  });
+
+  await _sendAlert(chargeback, 'EXPIRED', 'URGENT', {
+    title: `Case Expired: ${chargeback.caseNumber}`,
+    message: `The response deadline for the $${chargeback.amount} ${chargeback.reasonCode} dispute ` +
+      `(${chargeback.guestName}) has passed and the case was marked expired`
+  });
+
+  logger.warn(`[DeadlineWatcher] ${chargeback.caseNumber} expired`);
+
+  return true;
+}
+
+/**
+ * Raise a case in its last day to URGENT priority. Conditional like the
+ * expiry, so the change and its timeline entry are written once.
+ */
+async function _escalateCase(chargeback, days) {
+  const { count } = await prisma.chargeback.updateMany({
+    where: { id: chargeback.id, priority: { not: 'URGENT' } },
+    data: { priority: 'URGENT' }
+  });
+  if (count === 0) return false;
+
+  await recordChanges({
+    entityType: 'Chargeback',
+    before: chargeback,
+    after: { ...chargeback, priority: 'URGENT' },
+    actor: systemActor('deadline watcher'),
+    source: 'deadline escalation'
+  });
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: 'WARNING',
+      title: 'Escalated to Urgent',
+      description: `Response is ${_dueLabel(days)} (${chargeback.dueDate.toISOString().split('T')[0]})`,
+      metadata: { previousPriority: chargeback.priority, dueDate: chargeback.dueDate }
+    }
+  });
+
+  logger.warn(`[DeadlineWatcher] ${chargeback.caseNumber} escalated to URGENT`);
+
+  return true;
+}
+
+/**
+ * Claim an alert tier for the case's current due date and notify its
+ * recipients. Returns false when the alert was already sent.
+ */
+async function _sendAlert(chargeback, tier, priority, { title, message, days }) {
+  const recipients = await _getRecipients(chargeback);
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      await tx.deadlineAlert.create({
+        data: {
+          chargebackId: chargeback.id,
+          tier,
+          dueDate: chargeback.dueDate,
+          recipientCount: recipients.length
+        }
+      });
+
+      if (recipients.length > 0) {
+        await tx.notification.createMany({
+          data: recipients.map(userId => ({
+            userId,
+            type: 'DEADLINE_WARNING',
+            priority,
+            title,
+            message,
+            link: `/cases/${chargeback.id}`,
+            metadata: {
+              caseId: chargeback.id,
+              tier,
+              dueDate: chargeback.dueDate,
+              ...(days !== undefined && { daysRemaining: days })
+            }
+          }))
+        });
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return false;
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * The case's assignee and watchers plus its property's managers, falling
+ * back to admins when nobody else would be told
+ */
+async function _getRecipients(chargeback) {
+  const managers = await prisma.user.findMany({
+    where: { role: 'MANAGER', propertyId: chargeback.propertyId, isActive: true },
+    select: { id: true }
+  });
+  const followers = await getCaseFollowers(chargeback);
+
+  let recipients = [...new Set([...followers, ...managers.map(u => u.id)])];
+  if (recipients.length === 0) {
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN', isActive: true },
+      select: { id: true }
+    });
+    recipients = admins.map(u => u.id);
+  }
+
+  return recipients;
+}
+
+function _dueLabel(days) {
+  if (days <= 0) return 'due today';
+  if (days === 1) return 'due tomorrow';
+  return `due in ${days} days`;
+}
@@ -3,13 +3,29 @@
  *
  * Processes inbound webhook events from dispute portals
  * (Verifi, Ethoca, Merlink, etc.). Creates/updates chargebacks
- * and triggers auto-evidence collection.
+ * and triggers auto-evidence collection. Ethoca and Verifi alerts are
+ * recorded as DisputeAlerts instead (see services/disputeAlerts).
  */
 
-const { prisma } = require('../../../config/database');
+const { prisma, includeDeletedCases } = require('../../../config/database');
 const logger = require('../../../utils/logger');
 const { createDisputeAdapter } = require('../../disputes/DisputeAdapterFactory');
 const { getQueue } = require('../queueManager');
+const {
+  STAGE_LABELS, normalizeStage, stageForEvent, stageIndex,
+  advanceStage, recordStageOutcome
+} = require('../../disputeStages');
+const { calculateDeadline } = require('../../deadlineEngine');
+const { autoAssign, notifyCaseFollowers } = require('../../caseAssignment');
+const { recordChanges, webhookActor } = require('../../changeHistory');
+const { recordOutcome } = require('../../disputeOutcomes');
+const { computeCaseAmounts } = require('../../currencyConversion');
+const {
+  computeFingerprint, findDuplicate, attachToCase, linkDuplicate, findCaseByDisputeId
+} = require('../../duplicateDetection');
+const {
+  isAlertNetwork, receiveAlert, updateAlert, linkChargebackToAlert
+} = require('../../disputeAlerts');
 
 /**
  * Process an inbound dispute portal webhook event.
@@ -73,6 +89,9 @@ module.exports = async function disputeInboundProcessor(job) {
       event = _parseGenericWebhook(payload, portalType);
     }
 
+    // Adapters report the event name as `event`, the generic parser as `type`
+    event.type = event.type || event.event;
+
     let result = { action: 'none' };
 
     switch (event.type) {
@@ -82,10 +101,17 @@ module.exports = async function disputeInboundProcessor(job) {
         // Create a new chargeback from the dispute
         const normalized = adapter ? adapter.normalizeDispute(event.data) : event.data;
 
+        // Ethoca and Verifi alerts are pre-dispute notices, not chargebacks
+        if (event.type !== 'dispute.created' && normalized.isPreChargeback && isAlertNetwork(portalType)) {
+          const { alert, created } = await receiveAlert(portalType, normalized, { integration });
+          result = created
+            ? { action: 'alert_received', alertId: alert.id, status: alert.status }
+            : { action: 'skipped', reason: 'duplicate', alertId: alert.id };
+          break;
+        }
+
         // Check for duplicate (idempotency)
-        const existingCase = await prisma.chargeback.findFirst({
-          where: { processorDisputeId: normalized.disputeId }
-        });
+        const existingCase = await findCaseByDisputeId(normalized.disputeId);
 
         if (existingCase) {
           logger.info(`[Dispute:Inbound] Duplicate dispute ${normalized.disputeId}, skipping`);
@@ -93,8 +119,8 @@ module.exports = async function disputeInboundProcessor(job) {
           break;
         }
 
-        // Generate case number
-        const caseCount = await prisma.chargeback.count();
+        // Generate case number (deleted cases keep their numbers)
+        const caseCount = await prisma.chargeback.count({ where: includeDeletedCases() });
         const caseNumber = `CB-${new Date().getFullYear()}-${String(caseCount + 1).padStart(4, '0')}`;
 
         // Find or create provider record for this portal
@@ -122,23 +148,76 @@ module.exports = async function disputeInboundProcessor(job) {
           var resolvedPropertyId = propertyId;
         }
 
+        // The same dispute may already have arrived through another channel
+        const intake = {
+          propertyId: resolvedPropertyId,
+          source: portalType,
+          externalId: normalized.disputeId,
+          transactionId: normalized.transactionId,
+          arn: normalized.arn || normalized.acquirerReferenceNumber,
+          cardLastFour: normalized.cardLastFour,
+          amount: normalized.amount,
+          currency: normalized.currency,
+          settlementAmount: normalized.settlementAmount,
+          settlementCurrency: normalized.settlementCurrency,
+          disputeDate: normalized.disputeDate
+        };
+        const duplicate = await findDuplicate(intake);
+
+        // Restoring a deleted case from the recycle bin brings its dispute back
+        if (duplicate.action === 'skip') {
+          logger.info(`[Dispute:Inbound] Dispute ${normalized.disputeId} belongs to deleted case ${duplicate.chargeback.caseNumber}, skipping`);
+          result = { action: 'skipped', reason: 'deleted', caseNumber: duplicate.chargeback.caseNumber };
+          break;
+        }
+
+        if (duplicate.action === 'attach') {
+          await attachToCase(duplicate.chargeback, intake, duplicate.matchedOn);
+          result = {
+            action: 'attached',
+            caseNumber: duplicate.chargeback.caseNumber,
+            matchedOn: duplicate.matchedOn
+          };
+          break;
+        }
+
+        // Disputes first seen in a later cycle start at that stage
+        const stage = normalizeStage(normalized.disputeStage) || 'REPRESENTMENT';
+        const disputeDate = normalized.disputeDate ? new Date(normalized.disputeDate) : new Date();
+
+        const deadline = await calculateDeadline({
+          propertyId: resolvedPropertyId,
+          reasonCode: normalized.reasonCode,
+          cardBrand: normalized.cardBrand,
+          providerName: portalType,
+          stage,
+          startDate: disputeDate,
+          providedDueDate: normalized.dueDate
+        });
+
         // Create the chargeback
         const chargeback = await prisma.chargeback.create({
           data: {
             caseNumber,
             status: 'PENDING',
+            stage,
             guestName: normalized.guestName || 'Unknown Guest',
             guestEmail: normalized.guestEmail,
             amount: normalized.amount,
             currency: normalized.currency || 'USD',
+            transactionAmount: normalized.transactionAmount ?? null,
             transactionId: normalized.transactionId || `TXN-${Date.now()}`,
             cardLastFour: normalized.cardLastFour,
             cardBrand: normalized.cardBrand,
             reasonCode: normalized.reasonCode || 'UNKNOWN',
             reasonDescription: normalized.reasonDescription,
-            disputeDate: normalized.disputeDate ? new Date(normalized.disputeDate) : new Date(),
-            dueDate: normalized.dueDate ? new Date(normalized.dueDate) : null,
+            disputeDate,
+            dueDate: deadline.dueDate,
+            networkDueDate: deadline.networkDueDate,
             processorDisputeId: normalized.disputeId,
+            arn: intake.arn || null,
+            fingerprint: computeFingerprint(intake),
+            ...(await computeCaseAmounts({ ...intake, currency: normalized.currency || 'USD', disputeDate })),
             checkInDate: normalized.checkInDate ? new Date(normalized.checkInDate) : new Date(),
             checkOutDate: normalized.checkOutDate ? new Date(normalized.checkOutDate) : new Date(),
             roomNumber: normalized.roomNumber,
@@ -148,14 +227,36 @@ module.exports = async function disputeInboundProcessor(job) {
           }
         });
 
+        await prisma.caseStage.create({
+          data: {
+            chargebackId: chargeback.id,
+            stage,
+            status: 'open',
+            initiatedBy: 'issuer',
+            source: portalType,
+            externalId: normalized.disputeId,
+            amount: normalized.amount,
+            openedAt: chargeback.disputeDate,
+            dueDate: chargeback.dueDate,
+            networkDueDate: chargeback.networkDueDate
+          }
+        });
+
+        await autoAssign(chargeback);
+        await linkChargebackToAlert(chargeback);
+
+        if (duplicate.action === 'link') {
+          await linkDuplicate(chargeback, duplicate.chargeback, duplicate.matchedOn);
+        }
+
         // Create timeline event
         await prisma.timelineEvent.create({
           data: {
             chargebackId: chargeback.id,
             eventType: 'ALERT',
             title: `Dispute received from ${portalType}`,
-            description: `New ${normalized.reasonCode} dispute for $${normalized.amount}`,
-            metadata: { source: portalType, disputeId: normalized.disputeId }
+            description: `New ${normalized.reasonCode} dispute for $${normalized.amount}. ${deadline.explanation}`,
+            metadata: { source: portalType, disputeId: normalized.disputeId, deadline }
           }
         });
 
@@ -198,9 +299,16 @@ module.exports = async function disputeInboundProcessor(job) {
       case 'dispute.updated':
       case 'alert.updated': {
         const normalized = adapter ? adapter.normalizeDispute(event.data) : event.data;
-        const existingCase = await prisma.chargeback.findFirst({
-          where: { processorDisputeId: normalized.disputeId }
-        });
+
+        if (event.type === 'alert.updated' && normalized.isPreChargeback && isAlertNetwork(portalType)) {
+          const alert = await updateAlert(portalType, normalized);
+          result = alert
+            ? { action: 'alert_updated', alertId: alert.id }
+            : { action: 'skipped', reason: 'unknown alert' };
+          break;
+        }
+
+        const existingCase = await findCaseByDisputeId(normalized.disputeId);
 
         if (existingCase) {
           await prisma.timelineEvent.create({
@@ -212,34 +320,120 @@ module.exports = async function disputeInboundProcessor(job) {
               metadata: event.data
             }
           });
+
+          // Updates can carry the next cycle without a dedicated stage event
+          const stage = normalizeStage(normalized.disputeStage);
+          if (stage && stageIndex(stage) > stageIndex(existingCase.stage)) {
+            await advanceStage(existingCase, stage, {
+              initiatedBy: 'issuer',
+              source: portalType,
+              dueDate: normalized.dueDate,
+              amount: normalized.amount || undefined
+            });
+          }
+
           result = { action: 'updated', caseNumber: existingCase.caseNumber };
         }
         break;
       }
 
+      case 'pre_arbitration.initiated':
+      case 'arbitration.initiated':
+      case 'compliance.case_opened': {
+        const normalized = adapter ? adapter.normalizeDispute(event.data) : event.data;
+        const existingCase = await findCaseByDisputeId(normalized.disputeId);
+
+        if (existingCase) {
+          const stage = stageForEvent(event.type);
+          const { advanced } = await advanceStage(existingCase, stage, {
+            initiatedBy: 'issuer',
+            source: portalType,
+            externalId: event.data?.caseId || event.data?.preArbitrationId || event.data?.arbitrationId,
+            dueDate: normalized.dueDate,
+            amount: normalized.amount || undefined,
+            metadata: { eventType: event.type }
+          });
+
+          if (advanced) {
+            const managers = await prisma.user.findMany({
+              where: {
+                isActive: true,
+                OR: [
+                  { role: 'ADMIN' },
+                  { role: 'MANAGER', propertyId: existingCase.propertyId }
+                ]
+              }
+            });
+            for (const manager of managers) {
+              await prisma.notification.create({
+                data: {
+                  userId: manager.id,
+                  type: 'CASE_UPDATE',
+                  priority: 'URGENT',
+                  title: `${STAGE_LABELS[stage]}: ${existingCase.caseNumber}`,
+                  message: `${portalType} opened ${STAGE_LABELS[stage].toLowerCase()} on the $${existingCase.amount} dispute`,
+                  link: `/cases/${existingCase.id}`,
+                  metadata: { caseId: existingCase.id, stage }
+                }
+              });
+            }
+          }
+
+          result = { action: advanced ? 'stage_advanced' : 'updated', caseNumber: existingCase.caseNumber, stage };
+        }
+        break;
+      }
+
       case 'dispute.resolved':
       case 'dispute.closed': {
         const normalized = adapter ? adapter.normalizeDispute(event.data) : event.data;
-        const existingCase = await prisma.chargeback.findFirst({
-          where: { processorDisputeId: normalized.disputeId }
-        });
+        const existingCase = await findCaseByDisputeId(normalized.disputeId);
 
         if (existingCase) {
-          const outcome = normalized.outcome === 'won' || normalized.outcome === 'WON' ? 'WON' : 'LOST';
-          await prisma.chargeback.update({
+          // Some adapters only report the outcome through the normalized status
+          const outcome = String(normalized.outcome || normalized.status || '').toUpperCase() === 'WON' ? 'WON' : 'LOST';
+          const details = adapter ? adapter.normalizeOutcome(event.data) : {};
+          // Portals that report a partial reversal send the amount recovered
+          const reportedRecovery = normalized.recoveredAmount ?? details.recoveredAmount;
+          const recoveredAmount = outcome === 'LOST'
+            ? 0
+            : reportedRecovery != null
+              ? Math.min(Number(reportedRecovery), Number(existingCase.amount))
+              : existingCase.amount;
+          const resolved = await prisma.chargeback.update({
             where: { id: existingCase.id },
             data: {
               status: outcome,
+              recoveredAmount,
               resolvedAt: new Date()
             }
           });
+          await recordChanges({
+            entityType: 'Chargeback',
+            before: existingCase,
+            after: resolved,
+            actor: webhookActor(portalType),
+            source: event.type,
+            reason: normalized.statusMessage || normalized.outcomeReason
+          });
+
+          await recordStageOutcome(existingCase, outcome.toLowerCase(), {
+            reason: normalized.statusMessage || normalized.outcomeReason
+          });
+          await recordOutcome(resolved, outcome, {
+            ...details,
+            recoveredAmount: Number(recoveredAmount),
+            issuerRemarks: details.issuerRemarks || normalized.statusMessage || normalized.outcomeReason || null,
+            source: portalType,
+            raw: event.data
+          });
 
           await prisma.timelineEvent.create({
             data: {
               chargebackId: existingCase.id,
               eventType: outcome,
               title: `Dispute ${outcome}`,
-              description: `Case resolved as ${outcome} by ${portalType}`,
+              description: `Case resolved as ${outcome} in ${STAGE_LABELS[existingCase.stage]} by ${portalType}`,
               metadata: event.data
             }
           });
@@ -260,6 +454,14 @@ module.exports = async function disputeInboundProcessor(job) {
               }
             });
           }
+          await notifyCaseFollowers(existingCase, {
+            excludeUserIds: admins.map(admin => admin.id),
+            type: 'SUBMISSION_RESULT',
+            priority: outcome === 'WON' ? 'MEDIUM' : 'HIGH',
+            title: `Case ${outcome}: ${existingCase.caseNumber}`,
+            message: `$${existingCase.amount} dispute ${outcome.toLowerCase()} via ${portalType}`,
+            metadata: { previousStatus: existingCase.status, status: outcome }
+          });
 
           // Push outcome to PMS (queue outbound)
           if (existingCase.reservationId) {
@@ -295,9 +497,7 @@ module.exports = async function disputeInboundProcessor(job) {
 
       case 'evidence.requested': {
         const normalized = adapter ? adapter.normalizeDispute(event.data) : event.data;
-        const existingCase = await prisma.chargeback.findFirst({
-          where: { processorDisputeId: normalized.disputeId }
-        });
+        const existingCase = await findCaseByDisputeId(normalized.disputeId);
 
         if (existingCase) {
           await prisma.timelineEvent.create({
@@ -358,8 +558,8 @@ module.exports = async function disputeInboundProcessor(job) {
       data: {
         status: 'completed',
         recordsProcessed: 1,
-        recordsCreated: result.action === 'created' ? 1 : 0,
-        recordsUpdated: ['updated', 'resolved'].includes(result.action) ? 1 : 0,
+        recordsCreated: ['created', 'alert_received'].includes(result.action) ? 1 : 0,
+        recordsUpdated: ['updated', 'resolved', 'stage_advanced', 'alert_updated'].includes(result.action) ? 1 : 0,
         completedAt: new Date(),
         durationMs
       }
@@ -8,7 +8,12 @@
 const { prisma } = require('../../../config/database');
 const logger = require('../../../utils/logger');
 const { createDisputeAdapter } = require('../../disputes/DisputeAdapterFactory');
-const { getPresignedUrl } = require('../../../config/s3');
+const { buildEvidencePackage, isRejection } = require('../../disputeSubmission');
+const { setStageSubmitted } = require('../../disputeStages');
+const { completeAcceptance, failAcceptance } = require('../../caseActions');
+const { completeAlertResponse, failAlertResponse } = require('../../disputeAlerts');
+const { notifyCaseFollowers } = require('../../caseAssignment');
+const { recordChanges, webhookActor } = require('../../changeHistory');
 
 /**
  * Process an outbound dispute portal event.
@@ -16,7 +21,7 @@ const { getPresignedUrl } = require('../../../config/s3');
  * @param {Object} job - BullMQ job
  * @param {string} job.data.portalType - Dispute portal type
  * @param {string} job.data.integrationId - Integration record ID
- * @param {string} job.data.action - Action type (SUBMIT_EVIDENCE, PUSH_RESPONSE, UPDATE_STATUS, ACCEPT_DISPUTE)
+ * @param {string} job.data.action - Action type (SUBMIT_EVIDENCE, FILE_ARBITRATION, PUSH_RESPONSE, UPDATE_STATUS, ACCEPT_DISPUTE, RESPOND_ALERT)
  * @param {Object} job.data.data - Action payload
  */
 module.exports = async function disputeOutboundProcessor(job) {
@@ -61,74 +66,128 @@ module.exports = async function disputeOutboundProcessor(job) {
 
     switch (action) {
       case 'SUBMIT_EVIDENCE': {
-        const { disputeId, chargebackId, evidenceIds } = data;
+        const { disputeId, chargebackId, evidenceIds, submissionId, notes } = data;
+
+        // Get chargeback and evidence records from DB
+        const chargeback = await prisma.chargeback.findUnique({
+          where: { id: chargebackId }
+        });
+        if (!chargeback) {
+          throw new Error(`Chargeback ${chargebackId} not found`);
+        }
 
-        // Get evidence records from DB
         const evidenceRecords = await prisma.evidence.findMany({
-          where: { id: { in: evidenceIds } },
-          include: { chargeback: true }
+          where: { id: { in: evidenceIds }, chargebackId }
         });
 
-        // Build evidence package with file data from S3
-        const files = [];
-        for (const record of evidenceRecords) {
-          try {
-            // Get presigned URL for the file
-            const url = await getPresignedUrl(record.s3Key);
-            files.push({
-              type: record.type,
-              fileName: record.fileName,
-              mimeType: record.mimeType,
-              url, // Presigned S3 URL
-              description: record.description
-            });
-          } catch (err) {
-            logger.warn(`[Dispute:Outbound] Could not get presigned URL for evidence ${record.id}:`, err.message);
-          }
+        // Build evidence package with file contents from storage
+        const { files, metadata, skipped } = await buildEvidencePackage(chargeback, evidenceRecords, { notes });
+        if (files.length === 0) {
+          throw new Error('None of the evidence files could be read from storage');
+        }
+
+        const requestJson = {
+          action,
+          disputeId,
+          evidenceIds: files.map(f => f.evidenceId),
+          evidenceCount: files.length,
+          skipped
+        };
+
+        try {
+          result = await adapter.submitEvidence(disputeId, {
+            files: files.map(({ evidenceId, ...file }) => file),
+            metadata
+          });
+        } catch (submitError) {
+          if (!isRejection(submitError)) throw submitError;
+
+          // Portal refused the package - record it and do not retry
+          const reason = adapter._extractErrorMessage(submitError);
+          await _recordSubmissionOutcome(chargeback, {
+            submissionId,
+            portalType,
+            integrationId,
+            status: 'rejected',
+            requestJson,
+            responseJson: submitError.response?.data || null,
+            rejectionReason: reason
+          });
+          result = { status: 'rejected', message: reason };
+          break;
         }
 
-        // Get chargeback for metadata
+        const rejected = /reject|declin|invalid/i.test(result.status || '');
+        await _recordSubmissionOutcome(chargeback, {
+          submissionId,
+          portalType,
+          integrationId,
+          status: rejected ? 'rejected' : (result.status || 'submitted'),
+          requestJson,
+          responseJson: result,
+          acknowledgementId: result.submissionId || null,
+          rejectionReason: rejected ? (result.message || 'Rejected by portal') : null
+        });
+        break;
+      }
+
+      case 'FILE_ARBITRATION': {
+        const { disputeId, chargebackId, submissionId, narrative, evidenceIds, acceptFilingFee } = data;
+
         const chargeback = await prisma.chargeback.findUnique({
-          where: { id: chargebackId },
-          include: { reservation: true }
+          where: { id: chargebackId }
         });
+        if (!chargeback) {
+          throw new Error(`Chargeback ${chargebackId} not found`);
+        }
 
-        const evidencePackage = {
-          files,
-          metadata: {
-            caseNumber: chargeback?.caseNumber,
-            guestName: chargeback?.guestName,
-            confirmationNumber: chargeback?.confirmationNumber,
-            checkInDate: chargeback?.checkInDate,
-            checkOutDate: chargeback?.checkOutDate,
-            amount: chargeback?.amount,
-            roomNumber: chargeback?.roomNumber
-          }
+        const requestJson = {
+          action,
+          stage: 'ARBITRATION',
+          disputeId,
+          evidenceIds: evidenceIds || [],
+          evidenceCount: (evidenceIds || []).length,
+          narrative
         };
 
-        result = await adapter.submitEvidence(disputeId, evidencePackage);
+        try {
+          result = await adapter.fileArbitration(disputeId, { narrative, evidenceIds, acceptFilingFee });
+        } catch (fileError) {
+          if (!isRejection(fileError)) throw fileError;
+
+          const reason = adapter._extractErrorMessage(fileError);
+          await _recordSubmissionOutcome(chargeback, {
+            submissionId,
+            portalType,
+            integrationId,
+            status: 'rejected',
+            requestJson,
+            responseJson: fileError.response?.data || null,
+            rejectionReason: reason
+          });
+          result = { status: 'rejected', message: reason };
+          break;
+        }
 
-        // Record the submission
-        await prisma.disputeSubmission.create({
-          data: {
-            chargebackId,
-            status: result.status || 'pending',
-            requestJson: { action, disputeId, evidenceCount: files.length },
-            responseJson: result
-          }
+        await _recordSubmissionOutcome(chargeback, {
+          submissionId,
+          portalType,
+          integrationId,
+          status: 'submitted',
+          requestJson,
+          responseJson: result,
+          acknowledgementId: result.arbitrationId || null
         });
 
-        // Timeline event
-        if (chargeback) {
-          await prisma.timelineEvent.create({
-            data: {
-              chargebackId,
-              eventType: 'SUCCESS',
-              title: `Evidence submitted to ${portalType}`,
-              description: `${files.length} evidence files submitted`,
-              metadata: { submissionId: result.submissionId, portalType }
-            }
-          });
+        // Network fee quoted on filing is recorded against the stage
+        if (result.filingFee) {
+          const submission = await prisma.disputeSubmission.findUnique({ where: { id: submissionId } });
+          if (submission?.stageId) {
+            await prisma.caseStage.update({
+              where: { id: submission.stageId },
+              data: { filingFee: parseFloat(result.filingFee) || undefined, externalId: result.arbitrationId || undefined }
+            });
+          }
         }
         break;
       }
@@ -178,20 +237,21 @@ module.exports = async function disputeOutboundProcessor(job) {
         result = await adapter.acceptDispute(disputeId);
 
         if (chargebackId) {
-          await prisma.chargeback.update({
-            where: { id: chargebackId },
-            data: { status: 'LOST', resolvedAt: new Date() }
-          });
+          const chargeback = await prisma.chargeback.findUnique({ where: { id: chargebackId } });
+          if (chargeback && chargeback.status !== 'ACCEPTED') {
+            await completeAcceptance(chargeback, { portalType });
+          }
+        }
+        break;
+      }
 
-          await prisma.timelineEvent.create({
-            data: {
-              chargebackId,
-              eventType: 'LOST',
-              title: `Dispute accepted (liability accepted)`,
-              description: `Dispute ${disputeId} accepted via ${portalType}`,
-              metadata: { portalType }
-            }
-          });
+      case 'RESPOND_ALERT': {
+        const { alertId, externalId, decision, amount, notes } = data;
+        result = await adapter.respondToAlert(externalId, { action: decision, amount, notes });
+
+        const alert = await prisma.disputeAlert.findUnique({ where: { id: alertId } });
+        if (alert && alert.status === 'RESPONDING') {
+          await completeAlertResponse(alert, { portalType });
         }
         break;
       }
@@ -239,7 +299,167 @@ module.exports = async function disputeOutboundProcessor(job) {
       }
     });
 
+    // Mark the queued submission failed once retries are exhausted
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+    if ((action === 'SUBMIT_EVIDENCE' || action === 'FILE_ARBITRATION') && data?.submissionId && finalAttempt) {
+      try {
+        const chargeback = await prisma.chargeback.findUnique({ where: { id: data.chargebackId } });
+        if (chargeback) {
+          await _recordSubmissionOutcome(chargeback, {
+            submissionId: data.submissionId,
+            portalType,
+            integrationId,
+            status: 'failed',
+            errorMessage: error.message
+          });
+        }
+      } catch (recordError) {
+        logger.error(`[Dispute:Outbound] Could not record failed submission ${data.submissionId}:`, recordError.message);
+      }
+    }
+
+    // An acceptance the portal would not take leaves the case open again
+    if (action === 'ACCEPT_DISPUTE' && data?.chargebackId && finalAttempt) {
+      try {
+        const chargeback = await prisma.chargeback.findUnique({ where: { id: data.chargebackId } });
+        if (chargeback) await failAcceptance(chargeback, error.message);
+      } catch (recordError) {
+        logger.error(`[Dispute:Outbound] Could not record failed acceptance for ${data.chargebackId}:`, recordError.message);
+      }
+    }
+
+    // A refund or decline the network would not take goes back to the inbox
+    if (action === 'RESPOND_ALERT' && data?.alertId && finalAttempt) {
+      try {
+        const alert = await prisma.disputeAlert.findUnique({ where: { id: data.alertId } });
+        if (alert && alert.status === 'RESPONDING') await failAlertResponse(alert, error.message);
+      } catch (recordError) {
+        logger.error(`[Dispute:Outbound] Could not record failed alert response for ${data.alertId}:`, recordError.message);
+      }
+    }
+
     logger.error(`[Dispute:Outbound] ${action} failed for ${portalType}:`, error.message);
     throw error;
   }
 };
+
+/**
+ * Return a case to IN_REVIEW after its submission failed. Works from the
+ * submission row and the case's current status rather than the copy loaded
+ * when the job started, and leaves the case alone when a later submission
+ * is already under way. Returns whether the case was reopened.
+ */
+async function _reopenForResubmission(chargeback, submission) {
+  const superseded = await prisma.disputeSubmission.count({
+    where: {
+      chargebackId: chargeback.id,
+      id: { not: submission.id },
+      createdAt: { gt: submission.createdAt },
+      status: { notIn: ['failed', 'rejected'] }
+    }
+  });
+  if (superseded > 0) return false;
+
+  const { count } = await prisma.chargeback.updateMany({
+    where: { id: chargeback.id, status: 'SUBMITTED' },
+    data: { status: 'IN_REVIEW' }
+  });
+  return count > 0;
+}
+
+/**
+ * Record the portal's answer on the DisputeSubmission and case timeline.
+ * Rejected and failed submissions return the case to IN_REVIEW so it can
+ * be corrected and resubmitted.
+ */
+async function _recordSubmissionOutcome(chargeback, outcome) {
+  const {
+    submissionId, portalType, integrationId, status, requestJson,
+    responseJson, acknowledgementId, rejectionReason, errorMessage
+  } = outcome;
+
+  const submissionData = {
+    status,
+    portalType,
+    integrationId,
+    ...(requestJson && { requestJson }),
+    ...(responseJson !== undefined && { responseJson }),
+    acknowledgementId: acknowledgementId || null,
+    rejectionReason: rejectionReason || null,
+    errorMessage: errorMessage || null,
+    respondedAt: new Date()
+  };
+
+  const submission = submissionId
+    ? await prisma.disputeSubmission.update({ where: { id: submissionId }, data: submissionData })
+    : await prisma.disputeSubmission.create({ data: { chargebackId: chargeback.id, ...submissionData } });
+
+  const unsuccessful = status === 'rejected' || status === 'failed';
+
+  if (unsuccessful && await _reopenForResubmission(chargeback, submission)) {
+    await recordChanges({
+      entityType: 'Chargeback',
+      before: { ...chargeback, status: 'SUBMITTED' },
+      after: { ...chargeback, status: 'IN_REVIEW' },
+      actor: webhookActor(portalType),
+      source: `submission ${status}`,
+      reason: rejectionReason || errorMessage
+    });
+    if (submission.stageId) {
+      await setStageSubmitted(submission.stageId, false);
+    }
+  }
+
+  const what = requestJson?.action === 'FILE_ARBITRATION' || submission.requestJson?.action === 'FILE_ARBITRATION'
+    ? 'Arbitration filing'
+    : 'Submission';
+
+  await prisma.timelineEvent.create({
+    data: {
+      chargebackId: chargeback.id,
+      eventType: unsuccessful ? 'ERROR' : 'SUCCESS',
+      title: status === 'rejected'
+        ? `${what} rejected by ${portalType}`
+        : status === 'failed'
+          ? `${what} to ${portalType} failed`
+          : what === 'Submission'
+            ? `Evidence submitted to ${portalType}`
+            : `Arbitration filed with ${portalType}`,
+      description: status === 'rejected'
+        ? rejectionReason
+        : status === 'failed'
+          ? `Transmission failed after retries: ${errorMessage}`
+          : `${requestJson?.evidenceCount || 0} evidence files accepted for delivery` +
+            (acknowledgementId ? ` (ack ${acknowledgementId})` : ''),
+      metadata: { submissionId: submission.id, portalType, acknowledgementId, status }
+    }
+  });
+
+  if (unsuccessful && submission.submittedBy) {
+    await prisma.notification.create({
+      data: {
+        userId: submission.submittedBy,
+        type: 'SUBMISSION_RESULT',
+        priority: 'HIGH',
+        title: `${what} ${status}: ${chargeback.caseNumber}`,
+        message: rejectionReason || errorMessage || `Submission to ${portalType} ${status}`,
+        link: `/cases/${chargeback.id}`,
+        metadata: { submissionId: submission.id, portalType }
+      }
+    }).catch(err => logger.warn(`[Dispute:Outbound] Notification failed: ${err.message}`));
+  }
+
+  // The submitter already has their own notice of a failure
+  await notifyCaseFollowers(chargeback, {
+    actorId: unsuccessful ? submission.submittedBy : null,
+    type: 'SUBMISSION_RESULT',
+    priority: unsuccessful ? 'HIGH' : 'MEDIUM',
+    title: `${what} ${unsuccessful ? status : 'sent'}: ${chargeback.caseNumber}`,
+    message: unsuccessful
+      ? rejectionReason || errorMessage || `${what} to ${portalType} ${status}`
+      : `${what} delivered to ${portalType}${acknowledgementId ? ` (ack ${acknowledgementId})` : ''}`,
+    metadata: { submissionId: submission.id, portalType, status }
+  });
+
+  return submission;
+}
@@ -11,6 +11,7 @@ const { prisma } = require('../../../config/database');
 const logger = require('../../../utils/logger');
 const { createAdapter, isSupported } = require('../../pms/PMSAdapterFactory');
 const reservationMatcher = require('../../reservationMatcher');
+const { notifyCaseFollowers } = require('../../caseAssignment');
 const { uploadToS3 } = require('../../../config/s3');
 
 /**
@@ -254,9 +255,32 @@ module.exports = async function evidenceCollectionProcessor(job) {
           }
         });
       }
+
+      const chargeback = await prisma.chargeback.findUnique({
+        where: { id: chargebackId },
+        select: { id: true, caseNumber: true, assigneeId: true }
+      });
+      if (chargeback) {
+        await notifyCaseFollowers(chargeback, {
+          excludeUserIds: admins.map(admin => admin.id),
+          type: 'EVIDENCE_AUTO_COLLECTED',
+          title: `Evidence Auto-Collected: ${caseNumber}`,
+          message: `${evidenceCollected} evidence items fetched from ${pmsType} PMS`,
+          metadata: { evidenceCollected, pmsType }
+        });
+      }
+    }
+
+    // Step 6: Visa 10.4 fraud cases can now be checked for CE3.0
+    try {
+      const { refreshCE3Eligibility } = require('../../visaCE3');
+      const linked = await prisma.chargeback.findUnique({ where: { id: chargebackId } });
+      if (linked) await refreshCE3Eligibility(linked);
+    } catch (ce3Error) {
+      logger.warn(`[EvidenceCollector] CE3.0 check failed:`, ce3Error.message);
     }
 
-    // Step 6: Trigger AI analysis with enriched data
+    // Step 7: Trigger AI analysis with enriched data
     try {
       const { analyzeChargeback } = require('../../fraudDetection');
       await analyzeChargeback(chargebackId);
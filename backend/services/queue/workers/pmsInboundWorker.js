@@ -10,6 +10,7 @@ const { prisma } = require('../../../config/database');
 const logger = require('../../../utils/logger');
 const { createAdapter } = require('../../pms/PMSAdapterFactory');
 const reservationMatcher = require('../../reservationMatcher');
+const { recordChanges, webhookActor } = require('../../changeHistory');
 
 /**
  * Process a PMS inbound webhook event.
@@ -92,7 +93,7 @@ module.exports = async function pmsInboundProcessor(job) {
         });
 
         if (existing) {
-          await prisma.reservation.update({
+          const synced = await prisma.reservation.update({
             where: { id: existing.id },
             data: {
               ...normalized,
@@ -102,6 +103,13 @@ module.exports = async function pmsInboundProcessor(job) {
               rawPmsData: event.data
             }
           });
+          await recordChanges({
+            entityType: 'Reservation',
+            before: existing,
+            after: synced,
+            actor: webhookActor(pmsType),
+            source: event.type
+          });
           recordsUpdated++;
         } else {
           await prisma.reservation.create({
@@ -125,18 +133,11 @@ module.exports = async function pmsInboundProcessor(job) {
         const normalized = adapter.normalizeReservation(event.data);
         const propertyId = integration?.config?.propertyId;
 
-        await prisma.reservation.updateMany({
-          where: {
-            confirmationNumber: normalized.confirmationNumber,
-            propertyId
-          },
-          data: {
-            status: 'cancelled',
-            lastSyncedAt: new Date(),
-            rawPmsData: event.data
-          }
-        });
-        recordsUpdated++;
+        recordsUpdated += await _updateReservationFromEvent(normalized.confirmationNumber, propertyId, {
+          status: 'cancelled',
+          lastSyncedAt: new Date(),
+          rawPmsData: event.data
+        }, webhookActor(pmsType), event.type);
         break;
       }
 
@@ -146,18 +147,11 @@ module.exports = async function pmsInboundProcessor(job) {
         const propertyId = integration?.config?.propertyId;
         const status = event.type === 'guest.checked_in' ? 'checked_in' : 'checked_out';
 
-        await prisma.reservation.updateMany({
-          where: {
-            confirmationNumber: normalized.confirmationNumber,
-            propertyId
-          },
-          data: {
-            status,
-            ...(status === 'checked_in' ? { actualCheckIn: new Date() } : { actualCheckOut: new Date() }),
-            lastSyncedAt: new Date()
-          }
-        });
-        recordsUpdated++;
+        recordsUpdated += await _updateReservationFromEvent(normalized.confirmationNumber, propertyId, {
+          status,
+          ...(status === 'checked_in' ? { actualCheckIn: new Date() } : { actualCheckOut: new Date() }),
+          lastSyncedAt: new Date()
+        }, webhookActor(pmsType), event.type);
         break;
       }
 
@@ -311,6 +305,25 @@ module.exports = async function pmsInboundProcessor(job) {
   }
 };
 
+/**
+ * Apply a status event to the reservations with a confirmation number,
+ * recording the changed fields. Returns the number updated.
+ */
+async function _updateReservationFromEvent(confirmationNumber, propertyId, data, actor, source) {
+  const reservations = await prisma.reservation.findMany({
+    where: { confirmationNumber, propertyId }
+  });
+
+  for (const reservation of reservations) {
+    const updated = await prisma.reservation.update({
+      where: { id: reservation.id },
+      data
+    });
+    await recordChanges({ entityType: 'Reservation', before: reservation, after: updated, actor, source });
+  }
+  return reservations.length;
+}
+
 /**
  * Auto-link unlinked chargebacks to the newly synced reservation.
  */
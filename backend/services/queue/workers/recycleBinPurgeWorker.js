@@ -0,0 +1,28 @@
+/**
+ * AccuDefend - Recycle Bin Purge Worker
+ *
+ * Permanently deletes cases that have been in the recycle bin longer than
+ * the retention period (SystemConfig `case_retention_days`), together with
+ * their evidence files. Each purge is written to the audit log.
+ */
+
+const logger = require('../../../utils/logger');
+const { purgeExpiredCases } = require('../../caseRecycleBin');
+const { systemActor } = require('../../changeHistory');
+
+/**
+ * Process a recycle bin purge job.
+ *
+ * @param {Object} job - BullMQ job
+ */
+module.exports = async function recycleBinPurgeProcessor(job) {
+  const startTime = Date.now();
+
+  logger.info('[RecycleBinPurge] Purging expired deleted cases', { jobId: job.id });
+
+  const result = await purgeExpiredCases(systemActor('Recycle bin retention'));
+
+  logger.info(`[RecycleBinPurge] Purge complete in ${Date.now() - startTime}ms`, result);
+
+  return result;
+};
@@ -10,6 +10,10 @@ const logger = require('../../../utils/logger');
 const { createAdapter, isSupported } = require('../../pms/PMSAdapterFactory');
 const { createDisputeAdapter } = require('../../disputes/DisputeAdapterFactory');
 const reservationMatcher = require('../../reservationMatcher');
+const { findCaseByDisputeId } = require('../../duplicateDetection');
+const { completeAcceptance } = require('../../caseActions');
+const { recordChanges, syncActor } = require('../../changeHistory');
+const { recordOutcome } = require('../../disputeOutcomes');
 
 /**
  * Process a scheduled sync job.
@@ -165,7 +169,7 @@ async function _syncPMS(integration, pmsType, syncType, syncLogId) {
         });
 
         if (existing) {
-          await prisma.reservation.update({
+          const synced = await prisma.reservation.update({
             where: { id: existing.id },
             data: {
               ...normalized,
@@ -174,6 +178,13 @@ async function _syncPMS(integration, pmsType, syncType, syncLogId) {
               rawPmsData: rawReservation
             }
           });
+          await recordChanges({
+            entityType: 'Reservation',
+            before: existing,
+            after: synced,
+            actor: syncActor(pmsType),
+            source: `${syncType} sync`
+          });
           updated++;
         } else {
           const newReservation = await prisma.reservation.create({
@@ -291,21 +302,40 @@ async function _syncDisputes(integration, portalType, syncType, syncLogId) {
         const normalized = adapter.normalizeDispute(rawDispute);
 
         // Check for existing chargeback
-        const existing = await prisma.chargeback.findFirst({
-          where: { processorDisputeId: normalized.disputeId }
-        });
+        const existing = await findCaseByDisputeId(normalized.disputeId);
 
         if (existing) {
           // Update status if changed
           const newStatus = _mapDisputeStatus(normalized.status);
-          if (newStatus && newStatus !== existing.status) {
-            await prisma.chargeback.update({
+          if (newStatus === 'ACCEPTED' && existing.status !== 'ACCEPTED') {
+            // Accepted on the portal: write off as if accepted here
+            await completeAcceptance(existing, { portalType, changeActor: syncActor(portalType) });
+            updated++;
+          } else if (newStatus && newStatus !== existing.status) {
+            const resolved = newStatus === 'WON' || newStatus === 'LOST';
+            const details = resolved ? adapter.normalizeOutcome(rawDispute) : {};
+            const synced = await prisma.chargeback.update({
               where: { id: existing.id },
               data: {
                 status: newStatus,
-                ...(newStatus === 'WON' || newStatus === 'LOST' ? { resolvedAt: new Date() } : {})
+                ...(resolved ? {
+                  resolvedAt: new Date(),
+                  recoveredAmount: newStatus === 'LOST'
+                    ? 0
+                    : Math.min(Number(details.recoveredAmount ?? existing.amount), Number(existing.amount))
+                } : {})
               }
             });
+            await recordChanges({
+              entityType: 'Chargeback',
+              before: existing,
+              after: synced,
+              actor: syncActor(portalType),
+              source: `${syncType} sync`
+            });
+            if (resolved) {
+              await recordOutcome(synced, newStatus, { ...details, source: portalType, raw: rawDispute });
+            }
 
             await prisma.timelineEvent.create({
               data: {
@@ -355,7 +385,7 @@ function _mapDisputeStatus(portalStatus) {
     'resolved_merchant': 'WON',
     'lost': 'LOST',
     'resolved_cardholder': 'LOST',
-    'accepted': 'LOST',
+    'accepted': 'ACCEPTED',
     'expired': 'EXPIRED',
     'cancelled': 'CANCELLED',
     'withdrawn': 'CANCELLED'
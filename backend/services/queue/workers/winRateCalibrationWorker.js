@@ -0,0 +1,27 @@
+/**
+ * AccuDefend - Win Rate Calibration Worker
+ *
+ * Learns reason code win rates from resolved cases for the global scope and
+ * every active property. Each run is stored for review in the admin
+ * settings; scoring only changes once an admin publishes it.
+ */
+
+const logger = require('../../../utils/logger');
+const { calibrateAll } = require('../../winRateCalibration');
+
+/**
+ * Process a win rate calibration job.
+ *
+ * @param {Object} job - BullMQ job
+ */
+module.exports = async function winRateCalibrationProcessor(job) {
+  const startTime = Date.now();
+
+  logger.info('[WinRateCalibration] Learning win rates from resolved cases', { jobId: job.id });
+
+  const result = await calibrateAll();
+
+  logger.info(`[WinRateCalibration] Calibration complete in ${Date.now() - startTime}ms`, result);
+
+  return result;
+};
@@ -0,0 +1,371 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Rebuttal Letter Engine
+ *
+ * Fills rebuttal letter templates with facts from the chargeback,
+ * reservation and folio. Templates come from the built-in library,
+ * overridden per property (or globally) through SystemConfig keys
+ * `rebuttal_templates_{propertyId}` / `rebuttal_templates_global`.
+ */
+
+const { prisma } = require('../config/database');
+const { defenseConfigService } = require('./aiDefenseConfig');
+const { REBUTTAL_TEMPLATES, FALLBACK_TEMPLATE_KEY } = require('./rebuttalTemplates');
+const { exhibitLabel } = require('./evidenceDossier');
+const logger = require('../utils/logger');
+
+// =============================================================================
+// TEMPLATE RENDERING
+// =============================================================================
+
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function isPresent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== '' && value !== false && value !== 0;
+}
+
+/**
+ * Render a template string against a context.
+ * Supports {{path}} substitution and {{#if path}}...{{/if}} blocks
+ * (innermost blocks are resolved first, so blocks may nest).
+ * Unresolved placeholders are left as [path] so reviewers can spot them.
+ *
+ * @returns {Object} { text, missingFields }
+ */
+function renderTemplate(template, context) {
+  const missing = new Set();
+  let text = template || '';
+
+  const ifBlock = /\{\{#if\s+([\w.]+)\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\}\}/;
+  let match;
+  while ((match = text.match(ifBlock))) {
+    const replacement = isPresent(lookup(context, match[1])) ? match[2] : '';
+    text = text.replace(match[0], () => replacement);
+  }
+
+  text = text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = lookup(context, path);
+    if (!isPresent(value) && value !== 0) {
+      missing.add(path);
+      return `[${path}]`;
+    }
+    return String(value);
+  });
+
+  // Collapse blank lines left behind by empty blocks
+  text = text.replace(/\n{3,}/g, '\n\n').trim();
+
+  return { text, missingFields: Array.from(missing) };
+}
+
+// =============================================================================
+// CONTEXT
+// =============================================================================
+
+function formatMoney(amount, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(parseFloat(amount) || 0);
+}
+
+function formatDay(date) {
+  if (!date) return null;
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Build the placeholder context for a chargeback.
+ * Expects property, reservation (with folioItems), disputedLines (with
+ * folioItem) and evidence included. Only shared case notes are exposed;
+ * internal notes never reach a letter even if they were loaded.
+ */
+function buildTemplateContext(chargeback, strategy = null) {
+  const currency = chargeback.currency || 'USD';
+  const reservation = chargeback.reservation || null;
+  const property = chargeback.property || {};
+  const folioItems = reservation?.folioItems || [];
+
+  const checkIn = reservation?.actualCheckIn || reservation?.checkInDate || chargeback.checkInDate;
+  const checkOut = reservation?.actualCheckOut || reservation?.checkOutDate || chargeback.checkOutDate;
+  const nights = checkIn && checkOut
+    ? Math.max(0, Math.round((new Date(checkOut) - new Date(checkIn)) / (1000 * 60 * 60 * 24)))
+    : null;
+
+  // Folio roll-up by category; payments are reported separately
+  const byCategory = {};
+  let chargesTotal = 0;
+  let paymentsTotal = 0;
+  for (const item of folioItems) {
+    const amount = parseFloat(item.amount) || 0;
+    if (item.category === 'payment') {
+      paymentsTotal += Math.abs(amount);
+      continue;
+    }
+    byCategory[item.category] = (byCategory[item.category] || 0) + amount;
+    chargesTotal += amount;
+  }
+
+  // Lines the disputed amount is mapped to, in the folio's currency
+  const disputedLines = chargeback.disputedLines || [];
+  const linesTotal = disputedLines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+  const linesCurrency = disputedLines[0]?.folioItem.currency || currency;
+  const isPartial = chargeback.transactionAmount !== null && chargeback.transactionAmount !== undefined &&
+    parseFloat(chargeback.amount) < parseFloat(chargeback.transactionAmount);
+
+  const evidence = (chargeback.evidence || [])
+    .filter(e => e.type !== 'EVIDENCE_DOSSIER')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const sharedNotes = (chargeback.notes || [])
+    .filter(note => note.isInternal === false && !note.parentId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const addressLine = [property.address, property.city, property.state, property.postalCode]
+    .filter(Boolean).join(', ');
+
+  return {
+    date: { today: formatDay(new Date()) },
+    strategy: { name: strategy?.name || null },
+    property: { name: property.name, address: addressLine || null },
+    guest: {
+      name: chargeback.guestName,
+      email: chargeback.guestEmail || reservation?.guestEmail || null,
+      phone: chargeback.guestPhone || reservation?.guestPhone || null
+    },
+    case: {
+      caseNumber: chargeback.caseNumber,
+      amount: formatMoney(chargeback.amount, currency),
+      currency,
+      reasonCode: chargeback.reasonCode,
+      reasonDescription: chargeback.reasonDescription,
+      disputeId: chargeback.processorDisputeId,
+      disputeDate: formatDay(chargeback.disputeDate),
+      transactionId: chargeback.transactionId,
+      transactionDate: formatDay(reservation?.actualCheckOut || chargeback.checkOutDate)
+    },
+    card: {
+      brand: chargeback.cardBrand || reservation?.cardBrand,
+      lastFour: chargeback.cardLastFour || reservation?.cardLastFour
+    },
+    stay: {
+      confirmationNumber: chargeback.confirmationNumber || reservation?.confirmationNumber,
+      checkIn: formatDay(checkIn),
+      checkOut: formatDay(checkOut),
+      nights,
+      roomNumber: chargeback.roomNumber || reservation?.roomNumber,
+      roomType: chargeback.roomType || reservation?.roomType,
+      adults: reservation?.adults
+    },
+    reservation: {
+      bookingDate: formatDay(reservation?.bookingDate),
+      bookingSource: reservation?.bookingSource,
+      rateCode: reservation?.rateCode,
+      loyaltyNumber: reservation?.loyaltyNumber,
+      status: reservation?.status
+    },
+    dispute: {
+      isPartial: isPartial || null,
+      transactionAmount: isPartial ? formatMoney(chargeback.transactionAmount, currency) : null,
+      hasLines: disputedLines.length > 0,
+      lineCount: disputedLines.length,
+      linesTotal: disputedLines.length ? formatMoney(linesTotal, linesCurrency) : null,
+      lines: disputedLines
+        .map(line => `- ${formatDay(line.folioItem.postDate)}: ${line.folioItem.description} ${formatMoney(line.amount, linesCurrency)}` +
+          `${parseFloat(line.amount) < parseFloat(line.folioItem.amount) ? ` (of ${formatMoney(line.folioItem.amount, linesCurrency)})` : ''}`)
+        .join('\n')
+    },
+    folio: {
+      // The category roll-up is left out when the letter lists the disputed lines
+      showSummary: folioItems.length > 0 && disputedLines.length === 0,
+      hasItems: folioItems.length > 0,
+      itemCount: folioItems.length,
+      total: folioItems.length ? formatMoney(chargesTotal, currency) : null,
+      payments: paymentsTotal ? formatMoney(paymentsTotal, currency) : null,
+      summary: Object.entries(byCategory)
+        .map(([category, amount]) => `- ${category.replace(/_/g, ' ')}: ${formatMoney(amount, currency)}`)
+        .join('\n')
+    },
+    evidence: {
+      count: evidence.length,
+      list: evidence
+        .map((e, i) => `- Exhibit ${exhibitLabel(i)}: ${e.type.replace(/_/g, ' ').toLowerCase()} (${e.fileName})`)
+        .join('\n'),
+      exhibits: evidence.map((e, i) => ({ exhibit: exhibitLabel(i), type: e.type })),
+      has: evidence.reduce((acc, e) => {
+        acc[e.type] = true;
+        return acc;
+      }, {})
+    },
+    notes: {
+      has: sharedNotes.length > 0 || null,
+      list: sharedNotes.map(note => `- ${note.content}`).join('\n')
+    }
+  };
+}
+
+// =============================================================================
+// TEMPLATE LIBRARY
+// =============================================================================
+
+async function getOverrides(key) {
+  const config = await prisma.systemConfig.findUnique({ where: { key } });
+  return config?.value || {};
+}
+
+/**
+ * Get the effective template library for a property.
+ * Property overrides win over global overrides, which win over built-ins.
+ */
+async function getTemplates(propertyId = null) {
+  const globalOverrides = await getOverrides('rebuttal_templates_global');
+  const propertyOverrides = propertyId ? await getOverrides(`rebuttal_templates_${propertyId}`) : {};
+
+  const keys = new Set([
+    ...Object.keys(REBUTTAL_TEMPLATES),
+    ...Object.keys(globalOverrides),
+    ...Object.keys(propertyOverrides)
+  ]);
+
+  const templates = {};
+  for (const key of keys) {
+    const builtin = REBUTTAL_TEMPLATES[key] || {};
+    const override = propertyOverrides[key] || globalOverrides[key];
+    templates[key] = {
+      key,
+      name: override?.name || builtin.name || key,
+      subject: override?.subject ?? builtin.subject ?? '',
+      body: override?.body ?? builtin.body ?? '',
+      source: propertyOverrides[key] ? 'property' : globalOverrides[key] ? 'global' : 'builtin'
+    };
+  }
+
+  return templates;
+}
+
+/**
+ * Save a template override for a property (or 'global')
+ */
+async function setTemplateOverride(scope, templateKey, template, userId) {
+  const key = `rebuttal_templates_${scope}`;
+  const overrides = await getOverrides(key);
+  overrides[templateKey] = {
+    ...(template.name && { name: template.name }),
+    subject: template.subject,
+    body: template.body,
+    updatedAt: new Date().toISOString()
+  };
+
+  await prisma.systemConfig.upsert({
+    where: { key },
+    update: { value: overrides, updatedBy: userId },
+    create: {
+      key,
+      value: overrides,
+      description: `Rebuttal letter template overrides for ${scope}`,
+      updatedBy: userId
+    }
+  });
+
+  return overrides[templateKey];
+}
+
+/**
+ * Remove a template override, reverting to the next level down
+ */
+async function removeTemplateOverride(scope, templateKey, userId) {
+  const key = `rebuttal_templates_${scope}`;
+  const overrides = await getOverrides(key);
+  if (!overrides[templateKey]) return false;
+
+  delete overrides[templateKey];
+  await prisma.systemConfig.update({
+    where: { key },
+    data: { value: overrides, updatedBy: userId }
+  });
+  return true;
+}
+
+// =============================================================================
+// LETTERS
+// =============================================================================
+
+/**
+ * Determine the template key for a chargeback from its reason code's
+ * defense strategy
+ */
+async function resolveTemplateKey(chargeback) {
+  try {
+    const defense = await defenseConfigService.getDefenseStrategy(chargeback.reasonCode, chargeback.propertyId);
+    return {
+      templateKey: defense.strategy?.responseTemplate || FALLBACK_TEMPLATE_KEY,
+      strategy: defense.strategy
+    };
+  } catch (error) {
+    logger.warn(`Rebuttal: could not resolve strategy for ${chargeback.caseNumber}: ${error.message}`);
+    return { templateKey: FALLBACK_TEMPLATE_KEY, strategy: null };
+  }
+}
+
+/**
+ * Render a letter for a chargeback without saving it.
+ * An explicit subject/body (e.g. an unsaved override being edited) takes
+ * precedence over the stored template.
+ *
+ * @param {Object} chargeback - Chargeback with property, reservation.folioItems and evidence
+ * @param {Object} options - { templateKey, subject, body }
+ */
+async function renderLetter(chargeback, options = {}) {
+  const resolved = await resolveTemplateKey(chargeback);
+  const templateKey = options.templateKey || resolved.templateKey;
+  const templates = await getTemplates(chargeback.propertyId);
+  const template = templates[templateKey] || templates[FALLBACK_TEMPLATE_KEY];
+
+  const context = buildTemplateContext(chargeback, resolved.strategy);
+  const subject = renderTemplate(options.subject ?? template.subject, context);
+  const body = renderTemplate(options.body ?? template.body, context);
+
+  return {
+    templateKey: template.key,
+    templateName: template.name,
+    templateSource: template.source,
+    subject: subject.text,
+    body: body.text,
+    missingFields: Array.from(new Set([...subject.missingFields, ...body.missingFields]))
+  };
+}
+
+/**
+ * Load a chargeback with everything the letter context needs
+ */
+async function loadLetterCase(chargebackId, where = {}) {
+  return prisma.chargeback.findFirst({
+    where: { id: chargebackId, ...where },
+    include: {
+      property: true,
+      reservation: {
+        include: { folioItems: { orderBy: { postDate: 'asc' } } }
+      },
+      disputedLines: {
+        include: { folioItem: true },
+        orderBy: { folioItem: { postDate: 'asc' } }
+      },
+      evidence: true,
+      notes: {
+        where: { isInternal: false, parentId: null },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+}
+
+module.exports = {
+  renderTemplate,
+  buildTemplateContext,
+  getTemplates,
+  setTemplateOverride,
+  removeTemplateOverride,
+  resolveTemplateKey,
+  renderLetter,
+  loadLetterCase
+};
@@ -0,0 +1,231 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Rebuttal Letter Template Library
+ *
+ * Built-in rebuttal letters keyed by the `responseTemplate` values in
+ * DEFAULT_AI_CONFIG.defenseStrategies. Templates use {{path}} placeholders
+ * and {{#if path}}...{{/if}} blocks, rendered by services/rebuttalLetters.js.
+ * Properties can override any template via SystemConfig.
+ */
+
+// Shared closing paragraph
+const CLOSING = `Based on the facts and exhibits above, we respectfully request that this chargeback be reversed in full.
+
+Sincerely,
+{{property.name}} - Chargeback Team
+{{#if property.address}}{{property.address}}{{/if}}`;
+
+// Shared stay and folio summary
+const STAY_FACTS = `Stay details:
+- Guest: {{guest.name}}
+- Confirmation number: {{stay.confirmationNumber}}
+- Arrival / departure: {{stay.checkIn}} - {{stay.checkOut}} ({{stay.nights}} nights)
+{{#if stay.roomNumber}}- Room: {{stay.roomNumber}}{{#if stay.roomType}} ({{stay.roomType}}){{/if}}
+{{/if}}{{#if reservation.bookingDate}}- Booked on {{reservation.bookingDate}}{{#if reservation.bookingSource}} via {{reservation.bookingSource}}{{/if}}
+{{/if}}`;
+
+const FOLIO_FACTS = `{{#if dispute.isPartial}}The cardholder disputes {{case.amount}} of a {{dispute.transactionAmount}} transaction. The remaining charges are not in dispute.
+{{/if}}{{#if dispute.hasLines}}The disputed amount relates to the following folio charges:
+{{dispute.lines}}
+Disputed charges total: {{dispute.linesTotal}}
+{{/if}}{{#if folio.showSummary}}Folio summary ({{folio.itemCount}} line items):
+{{folio.summary}}
+Folio total: {{folio.total}}
+{{/if}}`;
+
+// Shared case notes only; internal notes are never in the context
+const EVIDENCE_FACTS = `{{#if evidence.count}}Enclosed exhibits:
+{{evidence.list}}
+{{/if}}{{#if notes.has}}Additional information from the property:
+{{notes.list}}
+{{/if}}`;
+
+const HEADER = `RE: Chargeback {{case.caseNumber}} - Dispute {{case.disputeId}}
+Card: {{card.brand}} ending {{card.lastFour}} | Amount: {{case.amount}} | Reason code: {{case.reasonCode}}{{#if case.reasonDescription}} ({{case.reasonDescription}}){{/if}}
+
+To the Dispute Resolution Team:`;
+
+const REBUTTAL_TEMPLATES = {
+  fraud_defense: {
+    name: 'Fraud Claim Defense',
+    subject: 'Representment for {{case.caseNumber}} - transaction authorized by cardholder',
+    body: `${HEADER}
+
+The cardholder claims the transaction of {{case.amount}} on {{case.transactionDate}} was not authorized. Our records show the cardholder personally stayed at {{property.name}} and authorized this charge.
+
+${STAY_FACTS}
+{{#if evidence.has.ID_SCAN}}The guest presented government-issued identification at check-in matching the cardholder name, a copy of which is enclosed.
+{{/if}}{{#if evidence.has.AUTH_SIGNATURE}}The guest signed the registration card authorizing charges to the card on file.
+{{/if}}{{#if evidence.has.KEY_CARD_LOG}}Key card access logs show the room was used throughout the stay.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  identity_fraud_defense: {
+    name: 'Identity Fraud Defense',
+    subject: 'Representment for {{case.caseNumber}} - cardholder identity verified at check-in',
+    body: `${HEADER}
+
+The cardholder asserts that their identity was used without permission. The guest who stayed was positively identified at check-in and authorized the charge of {{case.amount}}.
+
+${STAY_FACTS}
+{{#if evidence.has.ID_SCAN}}Identification presented at arrival matches the cardholder name {{guest.name}}.
+{{/if}}{{#if evidence.has.CCTV_FOOTAGE}}Lobby CCTV footage from check-in is available and referenced in the exhibits.
+{{/if}}{{#if evidence.has.AUTH_SIGNATURE}}The registration card bears the guest's signature authorizing the card on file.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  service_defense: {
+    name: 'Service Not Received Defense',
+    subject: 'Representment for {{case.caseNumber}} - lodging services were provided',
+    body: `${HEADER}
+
+The cardholder states that services were not received. The guest checked in on {{stay.checkIn}} and checked out on {{stay.checkOut}}, receiving the full lodging services billed.
+
+${STAY_FACTS}
+{{#if evidence.has.KEY_CARD_LOG}}Key card records confirm room entries during the stay.
+{{/if}}{{#if evidence.has.CHECKOUT_SIGNATURE}}The guest signed the final folio at checkout.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  description_defense: {
+    name: 'Not As Described Defense',
+    subject: 'Representment for {{case.caseNumber}} - services provided as described',
+    body: `${HEADER}
+
+The cardholder states the services were not as described. The accommodation provided matched the {{stay.roomType}} room type booked under confirmation {{stay.confirmationNumber}}, and no complaint was recorded during the stay.
+
+${STAY_FACTS}
+{{#if evidence.has.CORRESPONDENCE}}Correspondence with the guest is enclosed and shows the booking terms that were agreed.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  duplicate_defense: {
+    name: 'Duplicate Charge Defense',
+    subject: 'Representment for {{case.caseNumber}} - charge is not a duplicate',
+    body: `${HEADER}
+
+The cardholder claims this charge duplicates another transaction. The charge of {{case.amount}} (transaction {{case.transactionId}}) is a single, distinct charge for the stay described below.
+
+${STAY_FACTS}
+${FOLIO_FACTS}
+{{#if folio.payments}}Payments posted to the folio: {{folio.payments}}.
+{{/if}}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  cancellation_defense: {
+    name: 'Cancelled Reservation Defense',
+    subject: 'Representment for {{case.caseNumber}} - charge consistent with cancellation policy',
+    body: `${HEADER}
+
+The cardholder states the reservation was cancelled. The charge of {{case.amount}} was applied in accordance with the cancellation policy accepted at booking.
+
+${STAY_FACTS}
+{{#if evidence.has.CANCELLATION_POLICY}}The cancellation policy disclosed to the guest at booking is enclosed.
+{{/if}}{{#if evidence.has.CORRESPONDENCE}}Correspondence with the guest regarding the cancellation is enclosed.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  no_show_defense: {
+    name: 'No Show Defense',
+    subject: 'Representment for {{case.caseNumber}} - guaranteed reservation no-show',
+    body: `${HEADER}
+
+The guaranteed reservation under confirmation {{stay.confirmationNumber}} for arrival on {{stay.checkIn}} was neither used nor cancelled within the cancellation window. The no-show charge of {{case.amount}} was applied in accordance with the policy the cardholder accepted at booking.
+
+${STAY_FACTS}
+{{#if evidence.has.NO_SHOW_DOCUMENTATION}}No-show documentation from the property management system is enclosed.
+{{/if}}{{#if evidence.has.CANCELLATION_POLICY}}The cancellation and no-show policy presented at booking is enclosed.
+{{/if}}{{#if evidence.has.RESERVATION_CONFIRMATION}}The reservation confirmation sent to {{guest.email}} is enclosed.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  policy_violation_defense: {
+    name: 'Cancelled - Not Adhering to Policy Defense',
+    subject: 'Representment for {{case.caseNumber}} - cancellation outside policy terms',
+    body: `${HEADER}
+
+The cardholder cancelled outside the terms of the policy accepted at booking. The charge of {{case.amount}} reflects the penalty stated in that policy.
+
+${STAY_FACTS}
+{{#if evidence.has.CANCELLATION_POLICY_VIOLATION}}Documentation of the policy violation is enclosed.
+{{/if}}{{#if evidence.has.CANCELLATION_POLICY}}The cancellation policy accepted by the guest is enclosed.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  behavior_abuse_defense: {
+    name: 'Guest Behavior/Abuse Defense',
+    subject: 'Representment for {{case.caseNumber}} - charges resulting from guest conduct',
+    body: `${HEADER}
+
+During the stay the guest breached the property's conduct policy, resulting in the charges disputed here. These charges were disclosed in the terms accepted at registration.
+
+${STAY_FACTS}
+{{#if evidence.has.INCIDENT_REPORT}}An incident report prepared by property staff is enclosed.
+{{/if}}{{#if evidence.has.POLICE_REPORT}}A police report relating to the incident is enclosed.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  property_damage_defense: {
+    name: 'Property Damage Defense',
+    subject: 'Representment for {{case.caseNumber}} - damage charges for room {{stay.roomNumber}}',
+    body: `${HEADER}
+
+Following the guest's departure on {{stay.checkOut}}, room {{stay.roomNumber}} was found damaged. The damage charge of {{case.amount}} covers the documented repair costs and was authorized under the terms the guest accepted at registration.
+
+${STAY_FACTS}
+{{#if evidence.has.DAMAGE_PHOTOS}}Dated photographs of the damage are enclosed.
+{{/if}}{{#if evidence.has.DAMAGE_ASSESSMENT}}An itemized damage assessment is enclosed.
+{{/if}}{{#if evidence.has.INCIDENT_REPORT}}The incident report completed by property staff is enclosed.
+{{/if}}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  },
+
+  general_defense: {
+    name: 'General Defense',
+    subject: 'Representment for {{case.caseNumber}}',
+    body: `${HEADER}
+
+We dispute this chargeback. The charge of {{case.amount}} corresponds to lodging services provided to the cardholder as described below.
+
+${STAY_FACTS}
+${FOLIO_FACTS}
+${EVIDENCE_FACTS}
+${CLOSING}`
+  }
+};
+
+// Used when a reason code has no mapped strategy
+const FALLBACK_TEMPLATE_KEY = 'general_defense';
+
+module.exports = {
+  REBUTTAL_TEMPLATES,
+  FALLBACK_TEMPLATE_KEY
+};
@@ -0,0 +1,164 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Saved Views Service
+ *
+ * Named case list filters. A view is private to its owner unless shared;
+ * shared views are visible to everyone at the view's property, or to every
+ * property when an admin shares one without a property.
+ */
+
+const { prisma } = require('../config/database');
+const { buildCaseWhere } = require('./caseQuery');
+const logger = require('../utils/logger');
+
+// Roles allowed to share views with a property
+const SHARE_ROLES = ['ADMIN', 'MANAGER'];
+
+function viewError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function visibleWhere(user) {
+  const shared = user.role === 'ADMIN'
+    ? { shared: true }
+    : { shared: true, OR: [{ propertyId: null }, { propertyId: user.propertyId }] };
+  return { OR: [{ ownerId: user.id }, shared] };
+}
+
+function canEdit(view, user) {
+  return view.ownerId === user.id || user.role === 'ADMIN';
+}
+
+/**
+ * Check the filters compile, so a broken expression is rejected on save
+ * rather than every time the view is opened
+ */
+function assertValidFilters(filters, user) {
+  buildCaseWhere(filters, user);
+}
+
+function resolveSharing(data, user) {
+  if (!data.shared) {
+    return { shared: false, propertyId: user.propertyId || null };
+  }
+  if (!SHARE_ROLES.includes(user.role)) {
+    throw viewError(403, 'Only managers can share views');
+  }
+  // Admins pick the property (or none, for all properties); managers share with their own
+  return {
+    shared: true,
+    propertyId: user.role === 'ADMIN' ? (data.propertyId ?? null) : user.propertyId
+  };
+}
+
+/**
+ * List the views a user can see: their own first, then shared views
+ */
+async function listViews(user) {
+  const views = await prisma.savedView.findMany({
+    where: visibleWhere(user),
+    include: { owner: { select: { id: true, firstName: true, lastName: true } } },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  return views
+    .map(view => ({ ...view, editable: canEdit(view, user) }))
+    .sort((a, b) => (a.ownerId === user.id ? 0 : 1) - (b.ownerId === user.id ? 0 : 1));
+}
+
+/**
+ * Get a view the user can see
+ */
+async function getView(id, user) {
+  return prisma.savedView.findFirst({
+    where: { id, ...visibleWhere(user) }
+  });
+}
+
+/**
+ * Count the cases a view matches for the requesting user. Views whose
+ * filter no longer compiles count as null rather than failing the list.
+ */
+async function countView(view, user, propertyFilter) {
+  try {
+    return await prisma.chargeback.count({
+      where: buildCaseWhere(view.filters, user, propertyFilter)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      logger.warn(`Saved view ${view.id} has an invalid filter: ${error.message}`);
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function createView(data, user) {
+  assertValidFilters(data.filters, user);
+
+  const view = await prisma.savedView.create({
+    data: {
+      name: data.name,
+      filters: data.filters,
+      position: data.position ?? 0,
+      ...resolveSharing(data, user),
+      ownerId: user.id
+    }
+  });
+
+  logger.info(`Saved view "${view.name}" created by ${user.email}${view.shared ? ' (shared)' : ''}`);
+  return view;
+}
+
+async function updateView(id, data, user) {
+  const view = await getView(id, user);
+  if (!view) {
+    throw viewError(404, 'Saved view not found');
+  }
+  if (!canEdit(view, user)) {
+    throw viewError(403, 'Only the owner can change this view');
+  }
+
+  if (data.filters) {
+    assertValidFilters(data.filters, user);
+  }
+
+  const sharingChanged = data.shared !== undefined || data.propertyId !== undefined;
+
+  return prisma.savedView.update({
+    where: { id },
+    data: {
+      ...(data.name !== undefined && { name: data.name }),
+      ...(data.filters && { filters: data.filters }),
+      ...(data.position !== undefined && { position: data.position }),
+      ...(sharingChanged && resolveSharing({
+        shared: data.shared ?? view.shared,
+        propertyId: data.propertyId !== undefined ? data.propertyId : view.propertyId
+      }, user))
+    }
+  });
+}
+
+async function deleteView(id, user) {
+  const view = await getView(id, user);
+  if (!view) {
+    throw viewError(404, 'Saved view not found');
+  }
+  if (!canEdit(view, user)) {
+    throw viewError(403, 'Only the owner can delete this view');
+  }
+
+  await prisma.savedView.delete({ where: { id } });
+  return view;
+}
+
+module.exports = {
+  listViews,
+  getView,
+  countView,
+  createView,
+  updateView,
+  deleteView
+};
@@ -0,0 +1,282 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Visa Compelling Evidence 3.0 Service
+ *
+ * A Visa 10.4 (card-absent fraud) dispute can be defeated under CE3.0 by
+ * showing the same card was used at the property in at least two earlier,
+ * undisputed transactions 120 to 365 days before the disputed one, where
+ * each earlier transaction shares at least two of IP address, device ID,
+ * guest email and shipping address with the disputed booking.
+ *
+ * Earlier stays are found through Reservation and GuestFolioItem history.
+ * IP address, device ID and address come from the booking data the PMS
+ * sent (rawPmsData) or the guest profile, since PMSs report them under
+ * different keys.
+ *
+ * The result is stored on the case (ce3Eligibility) and turned into the
+ * `ce3TransactionHistory` that VisaVROLAdapter attaches to the evidence
+ * submission.
+ */
+
+const { prisma } = require('../config/database');
+const { detectNetwork } = require('./deadlineEngine');
+const { normalizeAddress } = require('./pms/normalizers');
+const logger = require('../utils/logger');
+
+const CE3_REASON_CODE = '10.4';
+const MIN_PRIOR_TRANSACTIONS = 2;
+const MIN_AGE_DAYS = 120;
+const MAX_AGE_DAYS = 365;
+const MIN_MATCHING_FIELDS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stays that never produced a charge cannot count as prior transactions
+const EXCLUDED_STATUSES = ['cancelled', 'no_show'];
+
+// Where PMSs and booking engines put the booking's digital footprint
+const IP_KEYS = ['ipAddress', 'ip_address', 'bookingIp', 'booking_ip', 'clientIp', 'client_ip', 'ip'];
+const DEVICE_KEYS = ['deviceId', 'device_id', 'deviceFingerprint', 'device_fingerprint', 'fingerprint'];
+const ADDRESS_KEYS = ['shippingAddress', 'shipping_address', 'billingAddress', 'billing_address', 'address'];
+const NESTED_KEYS = ['booking', 'bookingDetails', 'origin', 'channel', 'guest', 'customer', 'payment'];
+
+const MATCH_FIELDS = ['ipAddress', 'deviceId', 'email', 'shippingAddress'];
+
+/**
+ * Whether CE3.0 applies to a case at all
+ */
+function isCE3Candidate(chargeback) {
+  return String(chargeback.reasonCode || '').trim() === CE3_REASON_CODE &&
+    detectNetwork(chargeback.cardBrand, chargeback.reasonCode) === 'VISA';
+}
+
+function findValue(data, keys) {
+  if (!data || typeof data !== 'object') return null;
+  for (const source of [data, ...NESTED_KEYS.map(key => data[key])]) {
+    if (!source || typeof source !== 'object') continue;
+    for (const key of keys) {
+      if (source[key]) return source[key];
+    }
+  }
+  return null;
+}
+
+function normalizeAddressKey(value) {
+  if (!value) return null;
+  const address = normalizeAddress(value);
+  const key = `${address.line1} ${address.postalCode}`.toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+  return key || null;
+}
+
+/**
+ * The identifiers CE3.0 compares, normalized so they can be matched
+ */
+function extractIdentifiers(reservation, extra = {}) {
+  const raw = reservation?.rawPmsData;
+  const ip = findValue(raw, IP_KEYS);
+  const device = findValue(raw, DEVICE_KEYS);
+  const email = reservation?.guestEmail || reservation?.guestProfile?.email || extra.email;
+  const address = findValue(raw, ADDRESS_KEYS) || reservation?.guestProfile?.address;
+
+  return {
+    ipAddress: typeof ip === 'string' ? ip.trim() : null,
+    deviceId: typeof device === 'string' ? device.trim().toLowerCase() : null,
+    email: email ? String(email).trim().toLowerCase() : null,
+    shippingAddress: normalizeAddressKey(address)
+  };
+}
+
+/**
+ * When the card was charged for a stay: the card's payment on the folio,
+ * or check-out when the folio has none
+ */
+function transactionFor(reservation, cardLastFour) {
+  const payment = (reservation.folioItems || [])
+    .filter(item => item.category === 'payment' && (!item.cardLastFour || item.cardLastFour === cardLastFour))
+    .sort((a, b) => new Date(b.postDate) - new Date(a.postDate))[0];
+
+  return {
+    transactionId: payment?.transactionCode || reservation.confirmationNumber,
+    transactionDate: new Date(payment?.postDate || reservation.checkOutDate),
+    amount: payment ? Math.abs(Number(payment.amount)) : Number(reservation.totalAmount),
+    currency: payment?.currency || reservation.currency,
+    authorizationCode: payment?.authCode || null
+  };
+}
+
+function notEligible(reason, extra = {}) {
+  return { eligible: false, reason, transactions: [], checkedAt: new Date().toISOString(), ...extra };
+}
+
+/**
+ * Check a case against the CE3.0 rules
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @returns {Object} { eligible, reason, disputedTransaction, window,
+ *   identifiersAvailable, candidatesChecked, transactions, checkedAt }
+ */
+async function evaluateCE3Eligibility(chargeback) {
+  if (!isCE3Candidate(chargeback)) {
+    return notEligible('CE3.0 only applies to Visa 10.4 fraud disputes');
+  }
+  if (!chargeback.cardLastFour) {
+    return notEligible('The card\'s last four digits are needed to find earlier transactions');
+  }
+  if (!chargeback.reservationId) {
+    return notEligible('Link the disputed reservation to compare its booking details');
+  }
+
+  const disputed = await prisma.reservation.findUnique({
+    where: { id: chargeback.reservationId },
+    include: { folioItems: true, guestProfile: true }
+  });
+  if (!disputed) {
+    return notEligible('The linked reservation no longer exists');
+  }
+
+  const disputedTxn = transactionFor(disputed, chargeback.cardLastFour);
+  const identifiers = extractIdentifiers(disputed, { email: chargeback.guestEmail });
+  const identifiersAvailable = MATCH_FIELDS.filter(field => identifiers[field]);
+
+  const from = new Date(disputedTxn.transactionDate.getTime() - MAX_AGE_DAYS * DAY_MS);
+  const to = new Date(disputedTxn.transactionDate.getTime() - MIN_AGE_DAYS * DAY_MS);
+  const base = {
+    disputedTransaction: {
+      reservationId: disputed.id,
+      confirmationNumber: disputed.confirmationNumber,
+      transactionDate: disputedTxn.transactionDate.toISOString()
+    },
+    window: { from: from.toISOString(), to: to.toISOString() },
+    identifiersAvailable
+  };
+
+  if (identifiersAvailable.length < MIN_MATCHING_FIELDS) {
+    return notEligible(
+      `The disputed booking has ${identifiersAvailable.length ? `only ${identifiersAvailable.join(', ')}` : 'no IP address, device ID, email or address'}; two are needed to match`,
+      base
+    );
+  }
+
+  // Same card on the reservation or on a folio payment. The date window is
+  // widened by a stay's length so payments posted after check-in are caught.
+  const candidates = await prisma.reservation.findMany({
+    where: {
+      propertyId: chargeback.propertyId,
+      id: { not: disputed.id },
+      status: { notIn: EXCLUDED_STATUSES },
+      checkInDate: { gte: new Date(from.getTime() - 30 * DAY_MS), lte: to },
+      OR: [
+        { cardLastFour: chargeback.cardLastFour },
+        { folioItems: { some: { category: 'payment', cardLastFour: chargeback.cardLastFour } } }
+      ]
+    },
+    include: {
+      folioItems: true,
+      guestProfile: true,
+      chargebacks: { where: { deletedAt: null }, select: { id: true } },
+      alerts: { select: { id: true } }
+    },
+    orderBy: { checkInDate: 'desc' }
+  });
+
+  const transactions = [];
+  for (const reservation of candidates) {
+    if (reservation.chargebacks.length || reservation.alerts.length) continue;
+
+    const txn = transactionFor(reservation, chargeback.cardLastFour);
+    const ageDays = Math.floor((disputedTxn.transactionDate - txn.transactionDate) / DAY_MS);
+    if (ageDays < MIN_AGE_DAYS || ageDays > MAX_AGE_DAYS) continue;
+
+    const prior = extractIdentifiers(reservation);
+    const matchedFields = MATCH_FIELDS.filter(field => prior[field] && prior[field] === identifiers[field]);
+    if (matchedFields.length < MIN_MATCHING_FIELDS) continue;
+
+    transactions.push({
+      reservationId: reservation.id,
+      confirmationNumber: reservation.confirmationNumber,
+      transactionId: txn.transactionId,
+      transactionDate: txn.transactionDate.toISOString(),
+      ageDays,
+      amount: txn.amount,
+      currency: txn.currency,
+      authorizationCode: txn.authorizationCode,
+      ipAddress: prior.ipAddress,
+      deviceId: prior.deviceId,
+      email: prior.email,
+      shippingAddress: prior.shippingAddress,
+      matchedFields
+    });
+  }
+
+  const eligible = transactions.length >= MIN_PRIOR_TRANSACTIONS;
+
+  return {
+    eligible,
+    reason: eligible
+      ? `${transactions.length} earlier undisputed transactions on the same card match the disputed booking`
+      : `Found ${transactions.length} qualifying earlier transaction${transactions.length === 1 ? '' : 's'}; CE3.0 needs ${MIN_PRIOR_TRANSACTIONS}`,
+    ...base,
+    candidatesChecked: candidates.length,
+    transactions,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Re-check a case and store the result. A timeline event is added when
+ * the case becomes eligible.
+ *
+ * @param {Object} chargeback - Chargeback record
+ * @returns {Object} Eligibility result, or null when CE3.0 does not apply
+ */
+async function refreshCE3Eligibility(chargeback) {
+  if (!isCE3Candidate(chargeback)) return null;
+
+  const result = await evaluateCE3Eligibility(chargeback);
+  await prisma.chargeback.update({
+    where: { id: chargeback.id },
+    data: { ce3Eligibility: result }
+  });
+
+  if (result.eligible && !chargeback.ce3Eligibility?.eligible) {
+    await prisma.timelineEvent.create({
+      data: {
+        chargebackId: chargeback.id,
+        eventType: 'AI',
+        title: 'Visa CE3.0 Eligible',
+        description: `${result.reason}. The CE3.0 transaction history will be attached when evidence is submitted.`,
+        metadata: { reservationIds: result.transactions.map(t => t.reservationId) }
+      }
+    });
+    logger.info(`Case ${chargeback.caseNumber} is CE3.0 eligible (${result.transactions.length} prior transactions)`);
+  }
+
+  return result;
+}
+
+/**
+ * The transaction history VisaVROLAdapter sends as compellingEvidence3
+ */
+function buildCE3TransactionHistory(eligibility) {
+  if (!eligibility?.eligible) return null;
+  return eligibility.transactions.map(txn => ({
+    transactionId: txn.transactionId,
+    transactionDate: txn.transactionDate,
+    amount: txn.amount,
+    currency: txn.currency,
+    ipAddress: txn.ipAddress,
+    deviceId: txn.deviceId,
+    shippingAddress: txn.shippingAddress,
+    authorizationCode: txn.authorizationCode,
+    settled: true,
+    disputed: false
+  }));
+}
+
+module.exports = {
+  CE3_REASON_CODE,
+  isCE3Candidate,
+  extractIdentifiers,
+  evaluateCE3Eligibility,
+  refreshCE3Eligibility,
+  buildCE3TransactionHistory
+};
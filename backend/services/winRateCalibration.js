@@ -0,0 +1,335 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Win Rate Calibration
+ *
+ * Learns reason code win rates from our own resolved cases (WON or LOST)
+ * instead of relying only on the built-in table in services/aiDefenseConfig.
+ * Rates are computed per reason code (and so per card network) for a
+ * scope, which is every property ('global') or one property, with a
+ * breakdown per processor.
+ *
+ * Small samples are smoothed toward a prior with a beta-binomial estimate:
+ *
+ *   learned = (wins + prior * PRIOR_STRENGTH) / (cases + PRIOR_STRENGTH)
+ *
+ * The prior for a reason code is its built-in default rate; the prior for
+ * a processor is the scope's learned rate for that code. A rate from fewer
+ * than MIN_SAMPLE_SIZE cases is flagged as low-sample.
+ *
+ * Each run is stored as a WinRateCalibration for review. Publishing writes
+ * the learned rates into the scope's defense config as a new version;
+ * nothing changes in scoring until then.
+ */
+
+const { prisma } = require('../config/database');
+const { defenseConfigService, DEFAULT_AI_CONFIG, GLOBAL_SCOPE } = require('./aiDefenseConfig');
+const logger = require('../utils/logger');
+
+const PRIOR_STRENGTH = parseInt(process.env.WIN_RATE_PRIOR_STRENGTH) || 10;
+const MIN_SAMPLE_SIZE = parseInt(process.env.WIN_RATE_MIN_SAMPLE_SIZE) || 20;
+const LOOKBACK_DAYS = parseInt(process.env.WIN_RATE_LOOKBACK_DAYS) || 730;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Outcomes decided on the merits; accepted and expired cases say nothing
+// about how winnable a reason code is
+const DECIDED_STATUSES = ['WON', 'LOST'];
+
+function calibrationError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function round(value, places = 4) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+// =============================================================================
+// ESTIMATION
+// =============================================================================
+
+/**
+ * Smoothed win rate and a 90% credible interval from the beta posterior
+ */
+function estimateRate(wins, cases, prior, strength = PRIOR_STRENGTH) {
+  const alpha = wins + prior * strength;
+  const beta = (cases - wins) + (1 - prior) * strength;
+  const mean = alpha / (alpha + beta);
+  const sd = Math.sqrt((alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1)));
+
+  return {
+    winRate: round(mean),
+    interval: [round(Math.max(0, mean - 1.645 * sd)), round(Math.min(1, mean + 1.645 * sd))]
+  };
+}
+
+function defaultRateFor(reasonCode) {
+  const rates = DEFAULT_AI_CONFIG.reasonCodeWinRates;
+  return rates[reasonCode] || rates['default'];
+}
+
+function networkFor(reasonCode, cardBrand) {
+  return DEFAULT_AI_CONFIG.reasonCodeWinRates[reasonCode]?.network ||
+    DEFAULT_AI_CONFIG.reasonCodeMappings[reasonCode]?.network ||
+    cardBrand ||
+    'Unknown';
+}
+
+/**
+ * Learned rates for a scope from grouped outcome counts
+ *
+ * @param {Object[]} groups - { reasonCode, providerId, cardBrand, status, _count }
+ * @param {Object} providerNames - providerId -> name
+ */
+function buildRates(groups, providerNames) {
+  const byCode = new Map();
+
+  for (const group of groups) {
+    const count = group._count._all;
+    const code = byCode.get(group.reasonCode) || { wins: 0, cases: 0, cardBrand: null, processors: new Map() };
+    const processor = code.processors.get(group.providerId) || { wins: 0, cases: 0 };
+
+    code.cases += count;
+    processor.cases += count;
+    if (group.status === 'WON') {
+      code.wins += count;
+      processor.wins += count;
+    }
+    code.cardBrand = code.cardBrand || group.cardBrand;
+
+    code.processors.set(group.providerId, processor);
+    byCode.set(group.reasonCode, code);
+  }
+
+  return [...byCode.entries()]
+    .map(([reasonCode, code]) => {
+      const defaults = defaultRateFor(reasonCode);
+      const learned = estimateRate(code.wins, code.cases, defaults.winRate);
+
+      const processors = [...code.processors.entries()]
+        .map(([providerId, processor]) => ({
+          providerId,
+          providerName: providerNames[providerId] || null,
+          wins: processor.wins,
+          losses: processor.cases - processor.wins,
+          sampleSize: processor.cases,
+          observedRate: round(processor.wins / processor.cases),
+          ...estimateRate(processor.wins, processor.cases, learned.winRate),
+          lowSample: processor.cases < MIN_SAMPLE_SIZE
+        }))
+        .sort((a, b) => b.sampleSize - a.sampleSize);
+
+      return {
+        reasonCode,
+        network: networkFor(reasonCode, code.cardBrand),
+        category: defaults.category,
+        wins: code.wins,
+        losses: code.cases - code.wins,
+        sampleSize: code.cases,
+        observedRate: round(code.wins / code.cases),
+        defaultRate: defaults.winRate,
+        ...learned,
+        lowSample: code.cases < MIN_SAMPLE_SIZE,
+        processors
+      };
+    })
+    .sort((a, b) => b.sampleSize - a.sampleSize);
+}
+
+// =============================================================================
+// RUNS
+// =============================================================================
+
+/**
+ * Compute learned rates for a scope and store them for review. Earlier
+ * unpublished runs for the scope are superseded.
+ *
+ * @param {string} scope - 'global' or a property ID
+ * @returns {Object} The WinRateCalibration
+ */
+async function calibrate(scope = GLOBAL_SCOPE, now = new Date()) {
+  const since = new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS);
+
+  const groups = await prisma.chargeback.groupBy({
+    by: ['reasonCode', 'providerId', 'cardBrand', 'status'],
+    where: {
+      status: { in: DECIDED_STATUSES },
+      disputeDate: { gte: since },
+      ...(scope !== GLOBAL_SCOPE && { propertyId: scope })
+    },
+    _count: { _all: true }
+  });
+
+  const providerIds = [...new Set(groups.map(g => g.providerId))];
+  const providers = providerIds.length > 0
+    ? await prisma.provider.findMany({ where: { id: { in: providerIds } }, select: { id: true, name: true } })
+    : [];
+  const rates = buildRates(groups, Object.fromEntries(providers.map(p => [p.id, p.name])));
+
+  const wins = rates.reduce((sum, r) => sum + r.wins, 0);
+  const cases = rates.reduce((sum, r) => sum + r.sampleSize, 0);
+  const summary = {
+    cases,
+    wins,
+    losses: cases - wins,
+    observedWinRate: cases > 0 ? round(wins / cases) : null,
+    reasonCodes: rates.length,
+    lowSampleCodes: rates.filter(r => r.lowSample).length
+  };
+
+  const calibration = await prisma.$transaction(async (tx) => {
+    await tx.winRateCalibration.updateMany({
+      where: { scope, status: 'pending' },
+      data: { status: 'superseded' }
+    });
+    return tx.winRateCalibration.create({
+      data: {
+        scope,
+        rates,
+        summary,
+        priorStrength: PRIOR_STRENGTH,
+        minSampleSize: MIN_SAMPLE_SIZE,
+        since
+      }
+    });
+  });
+
+  logger.info(`[WinRateCalibration] ${scope}: ${cases} decided cases across ${rates.length} reason codes`);
+
+  return calibration;
+}
+
+/**
+ * Recalibrate the global scope and every active property
+ */
+async function calibrateAll(now = new Date()) {
+  const properties = await prisma.property.findMany({
+    where: { isActive: true },
+    select: { id: true }
+  });
+
+  const result = { calibrated: 0, failed: 0 };
+  for (const scope of [GLOBAL_SCOPE, ...properties.map(p => p.id)]) {
+    try {
+      await calibrate(scope, now);
+      result.calibrated++;
+    } catch (error) {
+      result.failed++;
+      logger.error(`[WinRateCalibration] Failed to calibrate ${scope}:`, error.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * The latest run for a scope, with each learned rate next to the rate the
+ * scope's scoring currently uses
+ */
+async function getLatestCalibration(scope) {
+  const [calibration, active] = await Promise.all([
+    prisma.winRateCalibration.findFirst({
+      where: { scope },
+      orderBy: { createdAt: 'desc' }
+    }),
+    defenseConfigService.getActiveConfig(scope)
+  ]);
+
+  if (!calibration) {
+    return { calibration: null, configVersion: active.version, inherited: active.inherited };
+  }
+
+  const { reasonCodeWinRates, processorWinRates = {} } = active.config;
+  const current = (code) => (reasonCodeWinRates[code] || reasonCodeWinRates['default']).winRate;
+
+  return {
+    calibration: {
+      ...calibration,
+      rates: calibration.rates.map(rate => ({
+        ...rate,
+        currentRate: current(rate.reasonCode),
+        processors: rate.processors.map(processor => ({
+          ...processor,
+          currentRate: processorWinRates[processor.providerId]?.[rate.reasonCode]?.winRate ?? null
+        }))
+      }))
+    },
+    configVersion: active.version,
+    inherited: active.inherited
+  };
+}
+
+/**
+ * Write a run's learned rates into its scope's defense config as a new
+ * version
+ *
+ * @param {string} id - WinRateCalibration ID
+ * @param {Object} options - { userId, codes, note } where codes limits the
+ *   reason codes published
+ */
+async function publishCalibration(id, { userId = null, codes = null, note = null } = {}) {
+  const calibration = await prisma.winRateCalibration.findUnique({ where: { id } });
+  if (!calibration) {
+    throw calibrationError(404, 'Calibration not found');
+  }
+  if (calibration.status !== 'pending') {
+    throw calibrationError(409, `Calibration has already been ${calibration.status}`);
+  }
+
+  const rates = codes ? calibration.rates.filter(r => codes.includes(r.reasonCode)) : calibration.rates;
+  if (rates.length === 0) {
+    throw calibrationError(400, 'No learned rates to publish');
+  }
+
+  const reasonCodeWinRates = {};
+  const processorWinRates = {};
+  for (const rate of rates) {
+    reasonCodeWinRates[rate.reasonCode] = {
+      winRate: rate.winRate,
+      category: rate.category,
+      network: rate.network,
+      sampleSize: rate.sampleSize,
+      learned: true
+    };
+    for (const processor of rate.processors) {
+      processorWinRates[processor.providerId] = {
+        ...processorWinRates[processor.providerId],
+        [rate.reasonCode]: { winRate: processor.winRate, sampleSize: processor.sampleSize, learned: true }
+      };
+    }
+  }
+
+  const active = await defenseConfigService.updateConfig(
+    calibration.scope,
+    { reasonCodeWinRates, processorWinRates },
+    {
+      userId,
+      note: note || `Learned win rates from ${calibration.summary.cases} resolved cases`
+    }
+  );
+
+  const published = await prisma.winRateCalibration.update({
+    where: { id },
+    data: {
+      status: 'published',
+      publishedAt: new Date(),
+      publishedBy: userId,
+      configVersion: active.version
+    }
+  });
+
+  logger.info(`[WinRateCalibration] Published ${rates.length} learned rates for ${calibration.scope} as config v${active.version}`);
+
+  return { calibration: published, published: rates.map(r => r.reasonCode), configVersion: active.version };
+}
+
+module.exports = {
+  PRIOR_STRENGTH,
+  MIN_SAMPLE_SIZE,
+  estimateRate,
+  buildRates,
+  calibrate,
+  calibrateAll,
+  getLatestCalibration,
+  publishCalibration
+};
@@ -17,10 +17,20 @@ const ChargebackStatus = z.enum([
   'SUBMITTED',
   'WON',
   'LOST',
+  'ACCEPTED',
   'EXPIRED',
   'CANCELLED'
 ]);
 
+const CasePriority = z.enum(['LOW', 'MEDIUM', 'HIGH', 'URGENT']);
+
+const DisputeStage = z.enum([
+  'REPRESENTMENT',
+  'PRE_ARBITRATION',
+  'ARBITRATION',
+  'COMPLIANCE'
+]);
+
 const EvidenceType = z.enum([
   'ID_SCAN',
   'AUTH_SIGNATURE',
@@ -37,6 +47,7 @@ const EvidenceType = z.enum([
   'DAMAGE_ASSESSMENT',
   'POLICE_REPORT',
   'NO_SHOW_DOCUMENTATION',
+  'EVIDENCE_DOSSIER',
   'OTHER'
 ]);
 
@@ -97,6 +108,10 @@ const createCaseSchema = z.object({
   // Financial Details
   amount: z.number().positive('Amount must be positive'),
   currency: z.string().length(3, 'Currency must be 3 characters (e.g., USD)').default('USD'),
+  settlementAmount: z.number().nonnegative().optional(),
+  settlementCurrency: z.string().length(3, 'Currency must be 3 characters (e.g., USD)').optional(),
+  // Full transaction amount when only part of it is disputed
+  transactionAmount: z.number().positive().optional(),
   transactionId: z.string().min(1, 'Transaction ID is required'),
   cardLastFour: z.string().length(4).optional(),
   cardBrand: z.string().optional(),
@@ -107,6 +122,7 @@ const createCaseSchema = z.object({
   disputeDate: z.string().datetime().or(z.date()),
   dueDate: z.string().datetime().or(z.date()).optional(),
   processorDisputeId: z.string().optional(),
+  arn: z.string().max(50).optional(),
 
   // Stay Information
   checkInDate: z.string().datetime().or(z.date()),
@@ -120,11 +136,15 @@ const createCaseSchema = z.object({
   providerId: z.string().uuid()
 });
 
-const updateCaseSchema = createCaseSchema.partial();
+const updateCaseSchema = createCaseSchema.partial().extend({
+  priority: CasePriority.optional()
+});
 
 const updateCaseStatusSchema = z.object({
   status: ChargebackStatus,
-  notes: z.string().optional()
+  notes: z.string().optional(),
+  // Amount recovered on a partial win; defaults to the disputed amount
+  recoveredAmount: z.number().nonnegative().optional()
 });
 
 const caseFilterSchema = z.object({
@@ -134,12 +154,302 @@ const caseFilterSchema = z.object({
   dateFrom: z.string().datetime().optional(),
   dateTo: z.string().datetime().optional(),
   search: z.string().optional(),
+  assignee: z.union([z.enum(['me', 'unassigned']), z.string().uuid()]).optional(),
+  watching: z.enum(['true', 'false']).optional(),
+  q: z.string().max(2000).optional(),
   page: z.coerce.number().int().positive().default(1),
   limit: z.coerce.number().int().positive().max(100).default(20),
   sortBy: z.enum(['createdAt', 'dueDate', 'amount', 'status']).default('createdAt'),
   sortOrder: z.enum(['asc', 'desc']).default('desc')
 });
 
+// Case selection stored on bulk operations and saved views
+const caseSelectionSchema = caseFilterSchema.omit({ page: true, limit: true, sortBy: true, sortOrder: true });
+
+const rebuttalLetterSchema = z.object({
+  templateKey: z.string().max(100).optional(),
+  subject: z.string().max(500),
+  body: z.string().min(1, 'Letter body is required').max(50000)
+});
+
+const rebuttalPreviewSchema = z.object({
+  templateKey: z.string().max(100).optional(),
+  subject: z.string().max(500).optional(),
+  body: z.string().max(50000).optional()
+});
+
+const generateNarrativeSchema = z.object({
+  kind: z.enum(['dispute_narrative', 'case_summary']).default('dispute_narrative')
+});
+
+const createStageSchema = z.object({
+  stage: DisputeStage,
+  initiatedBy: z.enum(['issuer', 'merchant']).default('issuer'),
+  dueDate: z.string().datetime().optional(),
+  externalId: z.string().max(100).optional(),
+  amount: z.number().positive().optional(),
+  filingFee: z.number().nonnegative().optional(),
+  reviewFee: z.number().nonnegative().optional(),
+  notes: z.string().max(5000).optional()
+});
+
+const updateStageSchema = z.object({
+  dueDate: z.string().datetime().nullable().optional(),
+  externalId: z.string().max(100).optional(),
+  outcome: z.enum(['won', 'lost', 'accepted', 'withdrawn']).optional(),
+  outcomeReason: z.string().max(2000).optional(),
+  recoveredAmount: z.number().nonnegative().optional(),
+  filingFee: z.number().nonnegative().nullable().optional(),
+  reviewFee: z.number().nonnegative().nullable().optional()
+});
+
+// Factors are checked against WIN_FACTORS / DENIAL_FACTORS in
+// services/disputeOutcomes
+const caseOutcomeSchema = z.object({
+  recoveredAmount: z.number().nonnegative().optional(),
+  chargebackFee: z.number().nonnegative().optional(),
+  arbitrationFee: z.number().nonnegative().optional(),
+  reversalDate: z.string().datetime().nullable().optional(),
+  issuerReasonCode: z.string().max(50).nullable().optional(),
+  issuerRemarks: z.string().max(5000).nullable().optional(),
+  processorResponseCode: z.string().max(50).nullable().optional(),
+  winFactors: z.array(z.string().max(50)).max(20).optional(),
+  denialFactors: z.array(z.string().max(50)).max(20).optional()
+});
+
+// reason is checked against ACCEPTANCE_REASONS in services/caseActions
+const acceptLiabilitySchema = z.object({
+  reason: z.string().min(1, 'Acceptance reason is required').max(50),
+  notes: z.string().max(2000).optional(),
+  writeOffAmount: z.number().nonnegative().optional()
+});
+
+const deleteCaseSchema = z.object({
+  reason: z.string().trim().min(1, 'Deletion reason is required').max(500)
+});
+
+const recycleBinSettingsSchema = z.object({
+  retentionDays: z.number().int().min(1).max(3650)
+});
+
+const disputedLinesSchema = z.object({
+  lines: z.array(z.object({
+    folioItemId: z.string().uuid(),
+    amount: z.number().positive().optional()
+  })).max(200),
+  source: z.enum(['manual', 'suggestion']).default('manual')
+});
+
+const fileArbitrationSchema = z.object({
+  narrative: z.string().trim().min(1, 'Arbitration narrative is required').max(20000),
+  evidenceIds: z.array(z.string().uuid()).optional(),
+  filingFee: z.number().nonnegative().optional(),
+  acceptFilingFee: z.boolean().optional()
+});
+
+const assignCaseSchema = z.object({
+  assigneeId: z.string().uuid().nullable(),
+  reason: z.string().max(500).optional()
+});
+
+const caseWatcherSchema = z.object({
+  userId: z.string().uuid().optional()
+});
+
+// Notes arrive as multipart form data when files are attached, so booleans
+// and the mention list may be strings
+const parseFormList = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return value.trim().startsWith('[') ? JSON.parse(value) : value.split(',').map(v => v.trim()).filter(Boolean);
+  } catch (err) {
+    return value;
+  }
+};
+
+const caseNoteSchema = z.object({
+  content: z.string().trim().min(1, 'Note content is required').max(10000),
+  isInternal: z.preprocess(
+    value => (value === 'true' ? true : value === 'false' ? false : value),
+    z.boolean()
+  ).optional(),
+  parentId: z.string().uuid().optional(),
+  mentions: z.preprocess(parseFormList, z.array(z.string().uuid()).max(20)).optional()
+});
+
+const assignmentRouteSchema = z.object({
+  name: z.string().min(1).max(100),
+  minAmount: z.number().nonnegative().nullable().optional(),
+  maxAmount: z.number().nonnegative().nullable().optional(),
+  cardBrands: z.array(z.string().max(30)).optional(),
+  userIds: z.array(z.string().uuid()).optional(),
+  strategy: z.enum(['round_robin', 'least_loaded']).optional()
+});
+
+const assignmentRulesSchema = z.object({
+  enabled: z.boolean(),
+  strategy: z.enum(['round_robin', 'least_loaded']).default('round_robin'),
+  userIds: z.array(z.string().uuid()).default([]),
+  routes: z.array(assignmentRouteSchema).max(50).default([])
+});
+
+const bulkOperationSchema = z.object({
+  operation: z.enum(['analyze', 'status', 'assign', 'accept_liability', 'export']),
+  caseIds: z.array(z.string().uuid()).min(1).max(1000).optional(),
+  filter: caseSelectionSchema.optional(),
+  params: z.object({
+    status: ChargebackStatus.optional(),
+    notes: z.string().max(2000).optional(),
+    assigneeId: z.string().uuid().nullable().optional(),
+    reason: z.string().max(500).optional(),
+    acceptanceReason: z.string().max(50).optional()
+  }).default({})
+}).superRefine((data, ctx) => {
+  if (!data.caseIds && !data.filter) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['caseIds'], message: 'Provide caseIds or a filter' });
+  }
+  if (data.operation === 'status' && !data.params.status) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['params', 'status'], message: 'Status is required' });
+  }
+  if (data.operation === 'accept_liability' && !data.params.acceptanceReason) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['params', 'acceptanceReason'], message: 'Acceptance reason is required' });
+  }
+  if (data.operation === 'assign' && data.params.assigneeId === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['params', 'assigneeId'], message: 'assigneeId is required (null to unassign)' });
+  }
+});
+
+const mergeCasesSchema = z.object({
+  sourceId: z.string().uuid(),
+  targetId: z.string().uuid()
+}).refine(data => data.sourceId !== data.targetId, {
+  message: 'Cannot merge a case into itself',
+  path: ['targetId']
+});
+
+const savedViewSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100),
+  filters: caseSelectionSchema,
+  shared: z.boolean().default(false),
+  propertyId: z.string().uuid().nullable().optional(),
+  position: z.number().int().min(0).max(1000).optional()
+});
+
+const updateSavedViewSchema = savedViewSchema.partial().refine(
+  data => Object.keys(data).length > 0,
+  { message: 'No changes provided' }
+);
+
+// =============================================================================
+// DISPUTE ALERT SCHEMAS
+// =============================================================================
+
+const alertRuleSchema = z.object({
+  name: z.string().min(1).max(100),
+  action: z.enum(['refund', 'decline']),
+  minAmount: z.number().nonnegative().nullable().optional(),
+  maxAmount: z.number().nonnegative().nullable().optional(),
+  reasonCategories: z.array(z.string().max(50)).optional(),
+  reasonCodes: z.array(z.string().max(20)).optional(),
+  guestHistory: z.array(z.enum(['new', 'returning', 'disputed'])).optional(),
+  stayCompleted: z.boolean().nullable().optional()
+});
+
+const alertRulesSchema = z.object({
+  enabled: z.boolean(),
+  rules: z.array(alertRuleSchema).max(50).default([])
+});
+
+const alertResponseSchema = z.object({
+  decision: z.enum(['refund', 'decline']),
+  refundAmount: z.number().positive().optional(),
+  notes: z.string().max(2000).optional()
+});
+
+// =============================================================================
+// ISSUER INQUIRY SCHEMAS
+// =============================================================================
+
+const inquirySettingsSchema = z.object({
+  enabled: z.boolean(),
+  guestName: z.enum(['full', 'masked', 'none']).default('masked'),
+  roomNumber: z.boolean().default(false),
+  folioLines: z.boolean().default(true),
+  bookingDetails: z.boolean().default(true),
+  descriptors: z.array(z.string().trim().min(1).max(40)).max(20).default([])
+});
+
+// =============================================================================
+// DEFENSE CONFIGURATION SCHEMAS
+// =============================================================================
+
+const indicatorPointsSchema = z.record(z.object({
+  points: z.number().min(-100).max(100),
+  description: z.string().max(200).optional()
+}));
+
+const winRateSchema = z.object({
+  winRate: z.number().min(0).max(1),
+  category: z.string().max(100).optional(),
+  network: z.string().max(50).optional(),
+  sampleSize: z.number().int().nonnegative().optional(),
+  learned: z.boolean().optional()
+});
+
+// Partial config merged into the current version; the merged result is
+// checked again by AIDefenseConfigService.validateConfig
+const defenseConfigSchema = z.object({
+  note: z.string().max(500).optional(),
+  changes: z.object({
+    thresholds: z.object({
+      autoSubmit: z.number().min(0).max(100),
+      reviewRecommended: z.number().min(0).max(100),
+      gatherMoreEvidence: z.number().min(0).max(100)
+    }).partial().optional(),
+    componentWeights: z.object({
+      reasonCode: z.number().min(0).max(100),
+      evidence: z.number().min(0).max(100)
+    }).partial().optional(),
+    reasonCodeWinRates: z.record(winRateSchema).optional(),
+    processorWinRates: z.record(z.record(winRateSchema)).optional(),
+    evidenceWeights: z.record(EvidenceType, z.number().min(0).max(100)).optional(),
+    criticalEvidence: z.array(EvidenceType).optional(),
+    fraudDetection: z.object({
+      enabled: z.boolean().optional(),
+      indicators: z.object({
+        positive: indicatorPointsSchema.optional(),
+        negative: indicatorPointsSchema.optional()
+      }).optional()
+    }).optional(),
+    model: z.record(z.any()).optional(),
+    defenseStrategies: z.record(z.any()).optional(),
+    reasonCodeMappings: z.record(z.any()).optional(),
+    autoResponse: z.record(z.any()).optional(),
+    notifications: z.record(z.any()).optional(),
+    analytics: z.record(z.any()).optional()
+  }).strict()
+});
+
+const defenseConfigRollbackSchema = z.object({
+  note: z.string().max(500).optional()
+});
+
+// A simulation replays the same partial config as defenseConfigSchema
+const defenseSimulationSchema = z.object({
+  changes: defenseConfigSchema.shape.changes,
+  dateFrom: z.string().datetime().optional(),
+  dateTo: z.string().datetime().optional()
+});
+
+const defenseSimulationApprovalSchema = z.object({
+  note: z.string().max(500).optional()
+});
+
+const publishWinRatesSchema = z.object({
+  codes: z.array(z.string().min(1).max(20)).min(1).optional(),
+  note: z.string().max(500).optional()
+});
+
 // =============================================================================
 // EVIDENCE SCHEMAS
 // =============================================================================
@@ -203,6 +513,8 @@ module.exports = {
   // Enums
   UserRole,
   ChargebackStatus,
+  DisputeStage,
+  CasePriority,
   EvidenceType,
   DisputeType,
   ProviderType,
@@ -217,6 +529,39 @@ module.exports = {
   updateCaseSchema,
   updateCaseStatusSchema,
   caseFilterSchema,
+  rebuttalLetterSchema,
+  rebuttalPreviewSchema,
+  generateNarrativeSchema,
+  createStageSchema,
+  updateStageSchema,
+  caseOutcomeSchema,
+  disputedLinesSchema,
+  acceptLiabilitySchema,
+  deleteCaseSchema,
+  recycleBinSettingsSchema,
+  fileArbitrationSchema,
+  assignCaseSchema,
+  caseWatcherSchema,
+  caseNoteSchema,
+  assignmentRulesSchema,
+  bulkOperationSchema,
+  savedViewSchema,
+  updateSavedViewSchema,
+  mergeCasesSchema,
+
+  // Dispute alerts
+  alertRulesSchema,
+  alertResponseSchema,
+
+  // Issuer inquiries
+  inquirySettingsSchema,
+
+  // Defense configuration
+  defenseConfigSchema,
+  defenseConfigRollbackSchema,
+  defenseSimulationSchema,
+  defenseSimulationApprovalSchema,
+  publishWinRatesSchema,
 
   // Evidence
   uploadEvidenceSchema,
@@ -17,6 +17,7 @@ import PMSIntegration from './pages/PMSIntegration';
 import DisputeIntegration from './pages/DisputeIntegration';
 import TutorialPage from './pages/Tutorial';
 import Reservations from './pages/Reservations';
+import Alerts from './pages/Alerts';
 
 // Protected Route wrapper
 function ProtectedRoute({ children }) {
@@ -104,6 +105,14 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/alerts"
+          element={
+            <ProtectedRoute>
+              <Alerts />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/reservations"
           element={
@@ -31,12 +31,14 @@ import {
   Link2,
   BookOpen,
   CalendarCheck,
-  RefreshCw
+  RefreshCw,
+  BellRing
 } from 'lucide-react';
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: LayoutDashboard },
   { name: 'Cases', href: '/cases', icon: FileText },
+  { name: 'Alerts', href: '/alerts', icon: BellRing },
   { name: 'Reservations', href: '/reservations', icon: CalendarCheck },
   { name: 'PMS Integration', href: '/pms', icon: Link2 },
   { name: 'Dispute Companies', href: '/disputes', icon: Shield },
@@ -18,7 +18,8 @@ import {
   DollarSign,
   Settings,
   RefreshCw,
-  ChevronRight
+  ChevronRight,
+  AtSign
 } from 'lucide-react';
 import { api, formatDate } from '../utils/api';
 
@@ -58,6 +59,11 @@ const notificationConfig = {
     icon: RefreshCw,
     color: 'text-teal-500',
     bgColor: 'bg-teal-50'
+  },
+  MENTION: {
+    icon: AtSign,
+    color: 'text-indigo-500',
+    bgColor: 'bg-indigo-50'
   }
 };
 
@@ -0,0 +1,383 @@
+/**
+ * AccuDefend - AI-Powered Chargeback Defense Platform
+ * Dispute Alerts Inbox
+ *
+ * Ethoca and Verifi pre-dispute alerts with a countdown to each response
+ * window. Refunding inside the window stops the chargeback.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  BellRing,
+  RefreshCw,
+  Clock,
+  XCircle,
+  CheckCircle,
+  AlertTriangle,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import { api, formatCurrency, formatDateTime } from '../utils/api';
+import { useAuth } from '../hooks/useAuth';
+
+const STATUS_TABS = [
+  { value: 'open', label: 'Open' },
+  { value: 'REFUNDED', label: 'Refunded' },
+  { value: 'DECLINED', label: 'Declined' },
+  { value: 'EXPIRED', label: 'Expired' },
+  { value: 'all', label: 'All' }
+];
+
+const STATUS_STYLES = {
+  NEW: 'bg-blue-100 text-blue-700',
+  RESPONDING: 'bg-amber-100 text-amber-700',
+  REFUNDED: 'bg-green-100 text-green-700',
+  DECLINED: 'bg-gray-100 text-gray-700',
+  EXPIRED: 'bg-red-100 text-red-700'
+};
+
+const GUEST_HISTORY_LABELS = {
+  new: 'First stay',
+  returning: 'Returning guest',
+  disputed: 'Prior disputes'
+};
+
+function formatCountdown(dueAt, now) {
+  const ms = new Date(dueAt).getTime() - now;
+  if (ms <= 0) return 'Window closed';
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h left`;
+  return `${hours}h ${String(minutes).padStart(2, '0')}m left`;
+}
+
+function countdownColor(dueAt, now) {
+  const hours = (new Date(dueAt).getTime() - now) / 3600000;
+  if (hours <= 4) return 'text-red-600';
+  if (hours <= 12) return 'text-amber-600';
+  return 'text-gray-700';
+}
+
+export default function Alerts() {
+  const { user } = useAuth();
+  const [alerts, setAlerts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [networks, setNetworks] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('open');
+  const [network, setNetwork] = useState('');
+  const [page, setPage] = useState(1);
+  const [responding, setResponding] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const canRespond = user?.role !== 'READONLY';
+
+  const fetchAlerts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ status, page, limit: 25 });
+      if (network) params.set('network', network);
+      const response = await api.get(`/alerts?${params}`);
+      setAlerts(response.data.alerts);
+      setCounts(response.data.counts);
+      setNetworks(response.data.networks);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      console.error('Alerts error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, network, page]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  // Tick the countdowns once a minute
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const openCount = (counts.NEW || 0) + (counts.RESPONDING || 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <BellRing className="w-6 h-6 text-omni-600" />
+            Dispute Alerts
+          </h1>
+          <p className="text-gray-500">
+            Ethoca and Verifi alerts arrive before a chargeback is filed. Refund inside the window to stop it.
+          </p>
+        </div>
+        <button onClick={fetchAlerts} className="btn-secondary flex items-center gap-2">
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => { setStatus(tab.value); setPage(1); }}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
+                status === tab.value ? 'bg-omni-600 text-white' : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {tab.label}
+              {tab.value === 'open' && openCount > 0 && ` (${openCount})`}
+              {tab.value !== 'open' && tab.value !== 'all' && counts[tab.value] > 0 && ` (${counts[tab.value]})`}
+            </button>
+          ))}
+        </div>
+        <select
+          value={network}
+          onChange={(e) => { setNetwork(e.target.value); setPage(1); }}
+          className="input w-48"
+        >
+          <option value="">All networks</option>
+          {networks.map((n) => (
+            <option key={n.value} value={n.value}>{n.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Inbox */}
+      <div className="card">
+        <div className="overflow-x-auto">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Response Window</th>
+                <th>Network</th>
+                <th>Guest / Card</th>
+                <th>Amount</th>
+                <th>Reason</th>
+                <th>Stay</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {!loading && alerts.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="text-center text-gray-500 py-8">No alerts</td>
+                </tr>
+              )}
+              {alerts.map((a) => {
+                const facts = a.decisionFacts || {};
+                return (
+                  <tr key={a.id}>
+                    <td>
+                      {a.status === 'NEW' ? (
+                        <span className={`flex items-center gap-1 font-medium ${countdownColor(a.responseDueAt, now)}`}>
+                          <Clock className="w-4 h-4" />
+                          {formatCountdown(a.responseDueAt, now)}
+                        </span>
+                      ) : (
+                        <span className="text-sm text-gray-500">{formatDateTime(a.responseDueAt)}</span>
+                      )}
+                    </td>
+                    <td>
+                      <p className="font-medium">{a.network === 'VERIFI' ? 'Verifi CDRN' : 'Ethoca'}</p>
+                      <p className="text-xs text-gray-500">{a.externalId}</p>
+                    </td>
+                    <td>
+                      <p>{a.guestName || 'Unknown guest'}</p>
+                      <p className="text-xs text-gray-500">
+                        {a.cardBrand} {a.cardLastFour ? `****${a.cardLastFour}` : ''}
+                      </p>
+                    </td>
+                    <td className="font-medium">{formatCurrency(a.amount, a.currency)}</td>
+                    <td>
+                      <p>{a.reasonCode || '—'}</p>
+                      <p className="text-xs text-gray-500">{a.reasonDescription}</p>
+                    </td>
+                    <td className="text-sm">
+                      {a.reservation ? (
+                        <>
+                          <p>{a.reservation.confirmationNumber}</p>
+                          <p className="text-xs text-gray-500">
+                            {facts.stayCompleted ? 'Stay completed' : 'Stay not completed'}
+                          </p>
+                        </>
+                      ) : (
+                        <p className="text-gray-400">No matching stay</p>
+                      )}
+                      {facts.guestHistory && (
+                        <p className={`text-xs ${facts.guestHistory === 'disputed' ? 'text-red-600' : 'text-gray-500'}`}>
+                          {GUEST_HISTORY_LABELS[facts.guestHistory]}
+                        </p>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`badge ${STATUS_STYLES[a.status]}`}>{a.status}</span>
+                      {a.decisionRule && (
+                        <p className="text-xs text-gray-500 mt-1">Rule: {a.decisionRule}</p>
+                      )}
+                      {a.decidedBy && (
+                        <p className="text-xs text-gray-500 mt-1">By {a.decidedBy.firstName} {a.decidedBy.lastName}</p>
+                      )}
+                      {a.responseError && (
+                        <p className="text-xs text-red-600 mt-1 flex items-center gap-1">
+                          <AlertTriangle className="w-3 h-3" />
+                          {a.responseError}
+                        </p>
+                      )}
+                      {a.chargeback && (
+                        <Link to={`/cases/${a.chargeback.id}`} className="text-xs text-omni-600 hover:underline block mt-1">
+                          Became {a.chargeback.caseNumber}
+                        </Link>
+                      )}
+                    </td>
+                    <td>
+                      {canRespond && a.status === 'NEW' && new Date(a.responseDueAt).getTime() > now && (
+                        <button onClick={() => setResponding(a)} className="btn-primary text-sm">
+                          Respond
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="card-body border-t border-gray-200 flex items-center justify-between">
+            <span className="text-sm text-gray-500">
+              Page {pagination.page} of {pagination.totalPages} &middot; {pagination.total} alerts
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.totalPages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {responding && (
+        <RespondModal
+          alertData={responding}
+          onClose={() => setResponding(null)}
+          onSuccess={() => { setResponding(null); fetchAlerts(); }}
+        />
+      )}
+    </div>
+  );
+}
+
+function RespondModal({ alertData, onClose, onSuccess }) {
+  const [form, setForm] = useState({ decision: 'refund', refundAmount: String(Number(alertData.amount)), notes: '' });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    try {
+      const response = await api.post(`/alerts/${alertData.id}/respond`, {
+        decision: form.decision,
+        ...(form.decision === 'refund' && { refundAmount: parseFloat(form.refundAmount) }),
+        ...(form.notes && { notes: form.notes })
+      });
+      alert(response.data.message);
+      onSuccess();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold">Respond to Alert</h2>
+              <p className="text-sm text-gray-500">
+                {alertData.externalId} - {formatCurrency(alertData.amount, alertData.currency)}
+              </p>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <XCircle className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            {[
+              { value: 'refund', label: 'Refund', help: 'Credit the cardholder; no chargeback follows', icon: CheckCircle },
+              { value: 'decline', label: 'Decline', help: 'Contest; the issuer may file a chargeback', icon: XCircle }
+            ].map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setForm({ ...form, decision: option.value })}
+                className={`p-3 rounded-lg border text-left ${
+                  form.decision === option.value ? 'border-omni-600 bg-omni-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <p className="font-medium flex items-center gap-2">
+                  <option.icon className="w-4 h-4" />
+                  {option.label}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">{option.help}</p>
+              </button>
+            ))}
+          </div>
+          {form.decision === 'refund' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Refund ({alertData.currency})</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                max={Number(alertData.amount)}
+                value={form.refundAmount}
+                onChange={(e) => setForm({ ...form, refundAmount: e.target.value })}
+                className="input"
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes for the issuer (optional)</label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              rows={3}
+              className="input"
+            />
+          </div>
+        </div>
+        <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+          <button onClick={onClose} className="btn-secondary">Cancel</button>
+          <button onClick={handleSubmit} disabled={saving} className="btn-primary disabled:opacity-50">
+            {saving ? 'Sending...' : form.decision === 'refund' ? 'Send Refund' : 'Send Decline'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
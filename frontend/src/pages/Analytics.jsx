@@ -30,21 +30,27 @@ export default function Analytics() {
   const [processorData, setProcessorData] = useState(null);
   const [reasonCodeData, setReasonCodeData] = useState(null);
   const [aiPerformance, setAiPerformance] = useState(null);
+  const [outcomeData, setOutcomeData] = useState(null);
+  const [alertData, setAlertData] = useState(null);
 
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [monthly, processors, reasons, ai] = await Promise.all([
+      const [monthly, processors, reasons, ai, outcomes, alerts] = await Promise.all([
         api.get('/analytics/monthly?months=12'),
         api.get('/analytics/processors'),
         api.get('/analytics/reason-codes'),
-        api.get('/analytics/ai-performance')
+        api.get('/analytics/ai-performance'),
+        api.get('/analytics/outcomes?months=12'),
+        api.get('/analytics/alerts?months=12')
       ]);
 
       setMonthlyData(monthly.data);
       setProcessorData(processors.data);
       setReasonCodeData(reasons.data);
       setAiPerformance(ai.data);
+      setOutcomeData(outcomes.data);
+      setAlertData(alerts.data);
     } catch (err) {
       console.error('Analytics error:', err);
     } finally {
@@ -70,7 +76,10 @@ export default function Analytics() {
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Analytics</h1>
-          <p className="text-gray-500">AccuDefend chargeback performance metrics</p>
+          <p className="text-gray-500">
+            AccuDefend chargeback performance metrics
+            {monthlyData?.currency && ` · Amounts in ${monthlyData.currency}`}
+          </p>
         </div>
         <button onClick={fetchData} className="btn-secondary">
           <RefreshCw className="w-4 h-4 mr-2" /> Refresh
@@ -97,7 +106,12 @@ export default function Analytics() {
             </div>
             <div>
               <p className="text-sm text-gray-500">Total Disputed</p>
-              <p className="text-2xl font-bold">{formatCurrency(monthlyData?.totals?.amount || 0)}</p>
+              <p className="text-2xl font-bold">{formatCurrency(monthlyData?.totals?.amount || 0, monthlyData?.currency)}</p>
+              {monthlyData?.totals?.unconvertedCases > 0 && (
+                <p className="text-xs text-amber-600">
+                  Excludes {monthlyData.totals.unconvertedCases} without an exchange rate
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -255,6 +269,166 @@ export default function Analytics() {
         </div>
       </div>
 
+      {/* Outcomes: full wins, partial wins and losses */}
+      {outcomeData && (
+        <div className="card">
+          <div className="card-header flex items-center justify-between">
+            <h3 className="font-semibold">Dispute Outcomes</h3>
+            <span className="text-sm text-gray-500">
+              {outcomeData.recoveryRate}% of disputed amount recovered
+            </span>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Scope</th>
+                  <th>Full Wins</th>
+                  <th>Partial Wins</th>
+                  <th>Lost</th>
+                  <th>Accepted</th>
+                  <th>Disputed</th>
+                  <th>Recovered</th>
+                  <th>Recovery Rate</th>
+                  <th>Fees</th>
+                  <th>Net Recovery</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {[
+                  ['All resolved cases', outcomeData],
+                  ['Full-transaction disputes', outcomeData.byScope.fullDisputes],
+                  ['Partial disputes', outcomeData.byScope.partialDisputes]
+                ].map(([label, row]) => (
+                  <tr key={label}>
+                    <td className="font-medium">{label}</td>
+                    <td className="text-green-600">{row.fullWins.count}</td>
+                    <td className="text-amber-600">
+                      {row.partialWins.count}
+                      {row.partialWins.count > 0 && (
+                        <span className="text-xs text-gray-500 ml-1">
+                          ({formatCurrency(row.partialWins.recoveredAmount, outcomeData.currency)} of {formatCurrency(row.partialWins.disputedAmount, outcomeData.currency)})
+                        </span>
+                      )}
+                    </td>
+                    <td className="text-red-600">{row.lost.count}</td>
+                    <td className="text-gray-600">
+                      {row.accepted.count}
+                      {row.accepted.count > 0 && (
+                        <span className="text-xs text-gray-500 ml-1">
+                          ({formatCurrency(row.accepted.writtenOffAmount, outcomeData.currency)} written off)
+                        </span>
+                      )}
+                    </td>
+                    <td>{formatCurrency(row.disputedAmount, outcomeData.currency)}</td>
+                    <td>{formatCurrency(row.recoveredAmount, outcomeData.currency)}</td>
+                    <td>{row.recoveryRate}%</td>
+                    <td className="text-gray-600">{formatCurrency(row.feesAmount, outcomeData.currency)}</td>
+                    <td className="font-medium">
+                      {formatCurrency(row.netRecovery, outcomeData.currency)}
+                      <span className="text-xs text-gray-500 ml-1">({row.netRecoveryRate}%)</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {outcomeData.acceptedByReason.length > 0 && (
+            <div className="card-body border-t border-gray-200">
+              <p className="text-sm font-medium text-gray-700 mb-2">Accepted liability by reason</p>
+              <div className="space-y-1">
+                {outcomeData.acceptedByReason.map((r) => (
+                  <div key={r.reason || 'none'} className="flex justify-between text-sm">
+                    <span className="text-gray-600">{r.label}</span>
+                    <span>
+                      {r.count} &middot; {formatCurrency(r.writtenOffAmount, outcomeData.currency)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {(outcomeData.winFactors?.length > 0 || outcomeData.denialFactors?.length > 0) && (
+            <div className="card-body border-t border-gray-200 grid grid-cols-1 md:grid-cols-2 gap-6">
+              {[
+                ['Win factors', outcomeData.winFactors, 'text-green-700'],
+                ['Denial factors', outcomeData.denialFactors, 'text-red-700']
+              ].map(([title, factors, color]) => (
+                <div key={title}>
+                  <p className={`text-sm font-medium mb-2 ${color}`}>{title}</p>
+                  {factors.length > 0 ? (
+                    <div className="space-y-1">
+                      {factors.map((f) => (
+                        <div key={f.factor} className="flex justify-between text-sm">
+                          <span className="text-gray-600">{f.label}</span>
+                          <span>{f.count} &middot; {formatCurrency(f.amount, outcomeData.currency)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-400">None tagged</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Ethoca / Verifi alerts: deflected vs became chargebacks */}
+      {alertData && alertData.received > 0 && (
+        <div className="card">
+          <div className="card-header flex items-center justify-between">
+            <h3 className="font-semibold">Pre-Dispute Alerts</h3>
+            <span className="text-sm text-gray-500">
+              {alertData.deflectionRate}% deflected &middot; {alertData.autoDecided} decided by rules
+            </span>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Network</th>
+                  <th>Received</th>
+                  <th>Refunded</th>
+                  <th>Declined</th>
+                  <th>Expired</th>
+                  <th>Deflected</th>
+                  <th>Became Chargebacks</th>
+                  <th>Deflection Rate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {[{ network: 'all', label: 'All networks', ...alertData }, ...alertData.byNetwork].map((row) => (
+                  <tr key={row.network}>
+                    <td className="font-medium">{row.label}</td>
+                    <td>{row.received}</td>
+                    <td>{row.refunded.count}</td>
+                    <td>{row.declined.count}</td>
+                    <td className="text-gray-500">{row.expired.count}</td>
+                    <td className="text-green-600">
+                      {row.deflected.count}
+                      <span className="text-xs text-gray-500 ml-1">
+                        ({formatCurrency(row.deflected.amount, alertData.currency)})
+                      </span>
+                    </td>
+                    <td className="text-red-600">
+                      {row.becameChargebacks.count}
+                      {row.becameChargebacks.afterRefund > 0 && (
+                        <span className="text-xs text-gray-500 ml-1">
+                          ({row.becameChargebacks.afterRefund} after refund)
+                        </span>
+                      )}
+                    </td>
+                    <td>{row.deflectionRate}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Reason Code Analysis */}
       <div className="card">
         <div className="card-header">
@@ -275,13 +449,13 @@ export default function Analytics() {
             </thead>
             <tbody className="divide-y divide-gray-200">
               {(reasonCodeData?.reasonCodes || []).slice(0, 10).map((rc) => (
-                <tr key={rc.reasonCode}>
+                <tr key={`${rc.reasonCode}-${rc.description}`}>
                   <td className="font-mono font-medium">{rc.reasonCode}</td>
                   <td className="text-sm text-gray-600 max-w-[200px] truncate">
                     {rc.description}
                   </td>
                   <td>{rc.totalCases}</td>
-                  <td>{formatCurrency(rc.totalAmount)}</td>
+                  <td>{formatCurrency(rc.totalAmount, reasonCodeData?.currency)}</td>
                   <td className="text-green-600">{rc.won}</td>
                   <td className="text-red-600">{rc.lost}</td>
                   <td>
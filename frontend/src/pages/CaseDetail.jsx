@@ -4,7 +4,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import {
   ArrowLeft,
   RefreshCw,
@@ -38,19 +38,54 @@ import {
   ShieldX,
   Shield,
   Award,
-  ChevronRight
+  ChevronRight,
+  UserPlus,
+  Users,
+  Eye,
+  EyeOff,
+  Copy,
+  GitMerge,
+  Paperclip,
+  AtSign,
+  Reply,
+  Lock,
+  History
 } from 'lucide-react';
 import { api, formatCurrency, formatDate, formatDateTime, getStatusColor, getReservationStatusColor, formatRelativeTime } from '../utils/api';
 import { useAuth } from '../hooks/useAuth';
 
+const EVIDENCE_TYPE_OPTIONS = [
+  { value: 'ID_SCAN', label: 'ID Scan', icon: '🪪' },
+  { value: 'AUTH_SIGNATURE', label: 'Authorization Signature', icon: '✍️' },
+  { value: 'CHECKOUT_SIGNATURE', label: 'Checkout Signature', icon: '📝' },
+  { value: 'FOLIO', label: 'Folio/Invoice', icon: '🧾' },
+  { value: 'RESERVATION_CONFIRMATION', label: 'Reservation Confirmation', icon: '📧' },
+  { value: 'CANCELLATION_POLICY', label: 'Cancellation Policy', icon: '📋' },
+  { value: 'CANCELLATION_POLICY_VIOLATION', label: 'Policy Violation Documentation', icon: '⚠️' },
+  { value: 'KEY_CARD_LOG', label: 'Key Card Log', icon: '🔑' },
+  { value: 'CCTV_FOOTAGE', label: 'CCTV Footage', icon: '📹' },
+  { value: 'CORRESPONDENCE', label: 'Correspondence', icon: '💬' },
+  { value: 'INCIDENT_REPORT', label: 'Incident Report', icon: '📄' },
+  { value: 'DAMAGE_PHOTOS', label: 'Damage Photos', icon: '📷' },
+  { value: 'DAMAGE_ASSESSMENT', label: 'Damage Assessment', icon: '📊' },
+  { value: 'POLICE_REPORT', label: 'Police Report', icon: '👮' },
+  { value: 'NO_SHOW_DOCUMENTATION', label: 'No Show Documentation', icon: '🚫' },
+  { value: 'ARBITRATION_DOCUMENT', label: 'Arbitration Document', icon: '⚖️' },
+  { value: 'OTHER', label: 'Other Documents', icon: '📎' }
+];
+
 export default function CaseDetail() {
   const { id } = useParams();
-  const { isManager } = useAuth();
+  const { user, isAdmin, isManager } = useAuth();
+  const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [caseData, setCaseData] = useState(null);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
   const [analyzing, setAnalyzing] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [showArbitrationModal, setShowArbitrationModal] = useState(false);
+  const [showAcceptModal, setShowAcceptModal] = useState(false);
 
   const fetchCase = async () => {
     setLoading(true);
@@ -86,6 +121,29 @@ export default function CaseDetail() {
     }
   };
 
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await api.post(`/cases/${id}/submit`, {});
+      await fetchCase();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const reason = window.prompt(`Why is ${caseData.caseNumber} being deleted? It will be moved to the recycle bin.`);
+    if (!reason?.trim()) return;
+    try {
+      await api.delete(`/cases/${id}`, { body: JSON.stringify({ reason: reason.trim() }) });
+      navigate('/cases');
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -117,7 +175,9 @@ export default function CaseDetail() {
     }] : []),
     { id: 'reservation', label: 'Reservation', icon: CalendarCheck, badge: caseData.reservationId ? 'linked' : null },
     { id: 'evidence', label: 'Evidence', icon: Upload, count: caseData.evidence?.length },
+    { id: 'rebuttal', label: 'Rebuttal Letter', icon: Mail, badge: caseData.rebuttalLetter ? 'draft' : null },
     { id: 'timeline', label: 'Timeline', icon: Clock, count: caseData.timeline?.length },
+    { id: 'history', label: 'History', icon: History },
     { id: 'notes', label: 'Notes', icon: MessageSquare, count: caseData.notes?.length }
   ];
 
@@ -135,6 +195,14 @@ export default function CaseDetail() {
               <span className={`badge ${getStatusColor(caseData.status)}`}>
                 {caseData.status.replace('_', ' ')}
               </span>
+              {caseData.stage && caseData.stage !== 'REPRESENTMENT' && (
+                <span className="badge bg-amber-100 text-amber-800">
+                  {STAGE_LABELS[caseData.stage]}
+                </span>
+              )}
+              {caseData.priority === 'URGENT' && (
+                <span className="badge bg-red-100 text-red-800">Urgent</span>
+              )}
             </div>
             <p className="text-gray-500">{caseData.guestName} - {formatCurrency(caseData.amount)}</p>
           </div>
@@ -148,14 +216,72 @@ export default function CaseDetail() {
             <Brain className={`w-4 h-4 mr-2 ${analyzing ? 'animate-pulse' : ''}`} />
             {analyzing ? 'Analyzing...' : 'Re-analyze'}
           </button>
+          {user?.role !== 'READONLY' && ['PENDING', 'IN_REVIEW'].includes(caseData.status) &&
+            !caseData.acceptanceRequestedAt && (
+            <button onClick={() => setShowAcceptModal(true)} className="btn-secondary">
+              <ShieldX className="w-4 h-4 mr-2" />
+              Accept Liability
+            </button>
+          )}
           {isManager && caseData.status === 'IN_REVIEW' && (
-            <button className="btn-primary">
-              Submit Dispute
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="btn-primary"
+            >
+              {submitting ? 'Submitting...' : 'Submit Dispute'}
+            </button>
+          )}
+          {isAdmin && (
+            <button onClick={handleDelete} className="btn-secondary text-red-600" title="Move to recycle bin">
+              <Trash2 className="w-4 h-4" />
             </button>
           )}
         </div>
       </div>
 
+      {showAcceptModal && (
+        <AcceptLiabilityModal
+          caseData={caseData}
+          caseId={id}
+          isManager={isManager}
+          onClose={() => setShowAcceptModal(false)}
+          onSuccess={() => {
+            setShowAcceptModal(false);
+            fetchCase();
+          }}
+        />
+      )}
+
+      {/* Liability Acceptance */}
+      {(caseData.status === 'ACCEPTED' || caseData.acceptanceRequestedAt) && (
+        <div className="card card-body bg-gray-50 border-gray-200">
+          <div className="flex items-center gap-4">
+            <div className="p-3 rounded-full bg-gray-100">
+              <ShieldX className="w-6 h-6 text-gray-600" />
+            </div>
+            <div>
+              <p className="font-semibold text-gray-900 text-lg">
+                {caseData.status === 'ACCEPTED'
+                  ? `Liability Accepted - ${formatCurrency(caseData.writeOffAmount ?? caseData.amount, caseData.currency)} Written Off`
+                  : 'Liability Acceptance Sent - Waiting for Portal Confirmation'}
+              </p>
+              <p className="text-sm text-gray-600">
+                {caseData.acceptanceReason?.replace(/_/g, ' ')}
+                {caseData.acceptanceNotes && ` - ${caseData.acceptanceNotes}`}
+                {caseData.acceptedBy && ` | ${caseData.acceptedBy.firstName} ${caseData.acceptedBy.lastName}`}
+                {caseData.acceptedAt && ` | ${formatDate(caseData.acceptedAt)}`}
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Duplicate Links */}
+      {(caseData.duplicateOf || caseData.duplicates?.some((d) => !d.mergedAt)) && (
+        <DuplicateBanner caseData={caseData} isAdmin={isAdmin} onUpdate={fetchCase} />
+      )}
+
       {/* AI Confidence Banner */}
       {caseData.confidenceScore !== null && (
         <div className={`card card-body ${
@@ -181,6 +307,12 @@ export default function CaseDetail() {
                 <p className="text-sm text-gray-600">
                   Recommendation: {caseData.recommendation?.replace(/_/g, ' ') || 'Pending Analysis'}
                 </p>
+                {caseData.defenseConfigVersion && (
+                  <p className="text-xs text-gray-500">
+                    Scored with {caseData.defenseConfigVersion.scope === 'global' ? 'global' : 'property'} defense
+                    config v{caseData.defenseConfigVersion.version}
+                  </p>
+                )}
               </div>
             </div>
             <div className="text-right">
@@ -283,6 +415,11 @@ export default function CaseDetail() {
                     Lost
                   </span>
                 )}
+                {tab.badge === 'draft' && (
+                  <span className="px-2 py-0.5 bg-blue-100 text-blue-700 rounded-full text-xs">
+                    Draft
+                  </span>
+                )}
               </button>
             );
           })}
@@ -365,11 +502,51 @@ export default function CaseDetail() {
             </div>
             <div className="card-body space-y-4">
               <div>
-                <p className="text-sm text-gray-500">Amount</p>
+                <p className="text-sm text-gray-500">
+                  {caseData.transactionAmount != null && Number(caseData.amount) < Number(caseData.transactionAmount)
+                    ? 'Disputed Amount' : 'Amount'}
+                </p>
                 <p className="text-2xl font-bold text-gray-900">
                   {formatCurrency(caseData.amount, caseData.currency)}
                 </p>
+                {caseData.transactionAmount != null && Number(caseData.amount) < Number(caseData.transactionAmount) && (
+                  <p className="text-sm text-gray-500">
+                    Partial dispute of a {formatCurrency(caseData.transactionAmount, caseData.currency)} transaction
+                  </p>
+                )}
               </div>
+              {caseData.status === 'WON' && caseData.recoveredAmount != null &&
+                Number(caseData.recoveredAmount) < Number(caseData.amount) && (
+                <div>
+                  <p className="text-sm text-gray-500">Recovered (Partial Win)</p>
+                  <p className="font-medium text-green-700">
+                    {formatCurrency(caseData.recoveredAmount, caseData.currency)} of {formatCurrency(caseData.amount, caseData.currency)}
+                  </p>
+                </div>
+              )}
+              {caseData.settlementAmount != null && caseData.settlementCurrency !== caseData.currency && (
+                <div>
+                  <p className="text-sm text-gray-500">Settled</p>
+                  <p className="font-medium">{formatCurrency(caseData.settlementAmount, caseData.settlementCurrency)}</p>
+                </div>
+              )}
+              {caseData.propertyCurrency && caseData.propertyCurrency !== caseData.currency && (
+                <div>
+                  <p className="text-sm text-gray-500">In {caseData.propertyCurrency}</p>
+                  {caseData.propertyAmount != null ? (
+                    <p className="font-medium">
+                      {formatCurrency(caseData.propertyAmount, caseData.propertyCurrency)}
+                      {caseData.fxRateDate && (
+                        <span className="text-xs text-gray-500 ml-2">
+                          at {Number(caseData.fxRate)} ({caseData.fxRateDate.slice(0, 10)})
+                        </span>
+                      )}
+                    </p>
+                  ) : (
+                    <p className="text-sm text-amber-600">No exchange rate for the dispute date</p>
+                  )}
+                </div>
+              )}
               <div>
                 <p className="text-sm text-gray-500">Transaction ID</p>
                 <p className="font-mono text-sm">{caseData.transactionId}</p>
@@ -419,6 +596,11 @@ export default function CaseDetail() {
                   }`}>
                     {caseData.dueDate ? formatDate(caseData.dueDate) : '-'}
                   </p>
+                  {caseData.networkDueDate && (
+                    <p className="text-xs text-gray-500">
+                      Network deadline {formatDate(caseData.networkDueDate)}
+                    </p>
+                  )}
                 </div>
                 {caseData.processorDisputeId && (
                   <div className="col-span-2">
@@ -426,10 +608,86 @@ export default function CaseDetail() {
                     <p className="font-mono text-sm">{caseData.processorDisputeId}</p>
                   </div>
                 )}
+                {caseData.arn && (
+                  <div className="col-span-2">
+                    <p className="text-sm text-gray-500">Acquirer Reference Number</p>
+                    <p className="font-mono text-sm">{caseData.arn}</p>
+                  </div>
+                )}
+                {caseData.references?.length > 0 && (
+                  <div className="col-span-2">
+                    <p className="text-sm text-gray-500">Also Received From</p>
+                    {caseData.references.map((ref) => (
+                      <p key={ref.id} className="text-sm">
+                        {ref.source} <span className="font-mono">{ref.externalId}</span>
+                        <span className="text-xs text-gray-400"> ({ref.matchedOn.join(', ')})</span>
+                      </p>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </div>
 
+          {/* Ownership */}
+          <OwnershipCard
+            caseData={caseData}
+            caseId={id}
+            user={user}
+            isManager={isManager}
+            onUpdate={fetchCase}
+          />
+
+          {/* Dispute Stages */}
+          {caseData.stages?.length > 0 && (
+            <StageHistoryCard
+              caseData={caseData}
+              caseId={id}
+              canManage={isManager}
+              canFileArbitration={user?.role !== 'READONLY' && canFileArbitration(caseData)}
+              onFileArbitration={() => setShowArbitrationModal(true)}
+              onUpdate={fetchCase}
+            />
+          )}
+
+          {/* Portal Submissions */}
+          {caseData.submissions?.length > 0 && (
+            <div className="card lg:col-span-3">
+              <div className="card-header">
+                <h3 className="font-semibold flex items-center gap-2">
+                  <ExternalLink className="w-4 h-4" /> Portal Submissions
+                </h3>
+              </div>
+              <div className="card-body divide-y divide-gray-100">
+                {caseData.submissions.map((submission) => (
+                  <div key={submission.id} className="py-3 first:pt-0 last:pb-0 flex items-start justify-between gap-4">
+                    <div>
+                      <p className="font-medium">
+                        {submission.portalType || 'Portal'} &middot; {formatDateTime(submission.submittedAt)}
+                      </p>
+                      {submission.acknowledgementId && (
+                        <p className="text-sm text-gray-500">
+                          Acknowledgement: <span className="font-mono">{submission.acknowledgementId}</span>
+                        </p>
+                      )}
+                      {(submission.rejectionReason || submission.errorMessage) && (
+                        <p className="text-sm text-red-600 mt-1">{submission.rejectionReason || submission.errorMessage}</p>
+                      )}
+                    </div>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getSubmissionStatusColor(submission.status)}`}>
+                      {submission.status}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Score Breakdown */}
+          {caseData.aiAnalysis?.breakdown && (
+            <ScoreBreakdownCard breakdown={caseData.aiAnalysis.breakdown} />
+          )}
+
           {/* Fraud Indicators */}
           {caseData.fraudIndicators && (
             <div className="card">
@@ -464,158 +722,780 @@ export default function CaseDetail() {
               </div>
             </div>
           )}
+
+          {/* Visa CE3.0 */}
+          {caseData.reasonCode === '10.4' && (
+            <Ce3EligibilityCard
+              caseData={caseData}
+              caseId={id}
+              canCheck={user?.role !== 'READONLY'}
+              onUpdate={fetchCase}
+            />
+          )}
         </div>
       )}
 
       {activeTab === 'outcome' && (
-        <OutcomeTab caseData={caseData} caseId={id} onUpdate={fetchCase} />
+        <OutcomeTab caseData={caseData} caseId={id} canEdit={isManager} onUpdate={fetchCase} />
       )}
 
       {activeTab === 'reservation' && (
         <ReservationTab caseData={caseData} caseId={id} onUpdate={fetchCase} />
       )}
 
+      {activeTab === 'reservation' && caseData.reservationId && (
+        <DisputedLinesCard
+          caseData={caseData}
+          caseId={id}
+          canEdit={user?.role !== 'READONLY'}
+          onUpdate={fetchCase}
+        />
+      )}
+
       {activeTab === 'evidence' && (
-        <EvidenceTab caseId={id} evidence={caseData.evidence} onUpdate={fetchCase} />
+        <EvidenceTab
+          caseId={id}
+          evidence={caseData.evidence}
+          canSubmit={isManager && (caseData.status === 'PENDING' || caseData.status === 'IN_REVIEW')}
+          onUpdate={fetchCase}
+        />
+      )}
+
+      {activeTab === 'rebuttal' && (
+        <RebuttalTab
+          caseId={id}
+          canEdit={user?.role !== 'READONLY' && (caseData.status === 'PENDING' || caseData.status === 'IN_REVIEW')}
+          canGenerate={user?.role !== 'READONLY'}
+          onUpdate={fetchCase}
+        />
       )}
 
       {activeTab === 'timeline' && (
         <TimelineTab timeline={caseData.timeline} />
       )}
 
+      {activeTab === 'history' && (
+        <HistoryTab caseId={id} />
+      )}
+
       {activeTab === 'notes' && (
-        <NotesTab caseId={id} notes={caseData.notes} onUpdate={fetchCase} />
+        <NotesTab caseId={id} propertyId={caseData.propertyId} notes={caseData.notes} user={user} onUpdate={fetchCase} />
+      )}
+
+      {showArbitrationModal && (
+        <ArbitrationModal
+          caseData={caseData}
+          caseId={id}
+          onClose={() => setShowArbitrationModal(false)}
+          onSuccess={() => {
+            setShowArbitrationModal(false);
+            fetchCase();
+          }}
+        />
       )}
     </div>
   );
 }
 
-// Outcome Tab Component - Shows win/loss details and arbitration
-function OutcomeTab({ caseData, caseId, onUpdate }) {
-  const [showArbitrationModal, setShowArbitrationModal] = useState(false);
-  const resolution = caseData.resolution;
+function evidenceTypeLabel(type) {
+  return EVIDENCE_TYPE_OPTIONS.find((o) => o.value === type)?.label || type.replace(/_/g, ' ');
+}
 
-  if (!resolution) {
-    return (
-      <div className="card card-body text-center py-12">
-        <Scale className="w-12 h-12 text-gray-300 mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-gray-900">No Outcome Details Available</h3>
-        <p className="text-gray-500 mt-2">Resolution details will appear here once the dispute is resolved.</p>
-      </div>
-    );
-  }
+function formatPoints(points) {
+  return `${points > 0 ? '+' : ''}${points}`;
+}
 
-  // WON case display
-  if (resolution.outcome === 'WON') {
-    return (
-      <div className="space-y-6">
-        {/* Resolution Summary */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          <div className="card lg:col-span-2">
-            <div className="card-header">
-              <h3 className="font-semibold flex items-center gap-2">
-                <Award className="w-4 h-4 text-green-600" /> Resolution Summary
-              </h3>
-            </div>
-            <div className="card-body space-y-4">
-              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-                <div>
-                  <p className="text-sm text-gray-500">Outcome</p>
-                  <p className="font-bold text-green-600 text-lg">WON</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-500">Recovered Amount</p>
-                  <p className="font-bold text-green-600 text-lg">{formatCurrency(resolution.recoveredAmount || caseData.amount)}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-500">Resolved Date</p>
-                  <p className="font-medium">{formatDate(resolution.resolvedDate || caseData.resolvedAt)}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-500">Processor Response</p>
-                  <p className="font-medium">{resolution.processorResponseCode || 'REVERSED'}</p>
-                </div>
-                <div className="col-span-2">
-                  <p className="text-sm text-gray-500">Resolution Reason</p>
-                  <p className="font-medium text-gray-700">{resolution.reason}</p>
-                </div>
-              </div>
-            </div>
-          </div>
+// How each factor moved the confidence score, drawn as a waterfall
+function ScoreBreakdownCard({ breakdown }) {
+  const applied = breakdown.steps.filter((step) => step.points !== 0);
+  const missing = breakdown.steps.filter((step) => step.type === 'evidence' && !step.present);
+  const next = breakdown.mostValuableMissing;
 
-          {/* Quick Stats */}
-          <div className="card">
-            <div className="card-header">
-              <h3 className="font-semibold flex items-center gap-2">
-                <DollarSign className="w-4 h-4 text-green-600" /> Recovery Details
-              </h3>
-            </div>
-            <div className="card-body space-y-4 text-center">
-              <div className="p-4 bg-green-50 rounded-xl">
-                <p className="text-3xl font-bold text-green-600">{formatCurrency(resolution.recoveredAmount || caseData.amount)}</p>
-                <p className="text-sm text-green-700 mt-1">Full Amount Recovered</p>
-              </div>
-              <div>
-                <p className="text-sm text-gray-500">Original Dispute</p>
-                <p className="font-medium">{formatCurrency(caseData.amount)}</p>
-              </div>
-              <div>
-                <p className="text-sm text-gray-500">Recovery Rate</p>
-                <p className="font-bold text-green-600">
-                  {Math.round(((resolution.recoveredAmount || caseData.amount) / caseData.amount) * 100)}%
-                </p>
-              </div>
-            </div>
+  let running = 0;
+  const rows = applied.map((step) => {
+    const start = running;
+    running += step.points;
+    return { ...step, start, end: running };
+  });
+
+  const stepLabel = (step) => {
+    if (step.type === 'evidence') return evidenceTypeLabel(step.key);
+    if (step.type === 'base') return `${step.label} (${step.winRate}% × ${step.weight})`;
+    return step.label;
+  };
+
+  const barColor = (step) => {
+    if (step.type === 'base') return 'bg-blue-500';
+    if (step.type === 'cap' || step.type === 'rounding') return 'bg-gray-400';
+    return step.points > 0 ? 'bg-green-500' : 'bg-red-500';
+  };
+
+  const clamp = (value) => Math.max(0, Math.min(100, value));
+
+  return (
+    <div className="card lg:col-span-2">
+      <div className="card-header">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Brain className="w-4 h-4" /> Score Breakdown
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        {next && (
+          <div className="p-3 rounded-lg bg-blue-50 border border-blue-200 text-sm">
+            <span className="font-medium text-blue-900">Collect next: {evidenceTypeLabel(next.type)}</span>
+            <span className="text-blue-700"> would add about {next.gain} points{next.critical ? ' and is critical for this reason code' : ''}.</span>
           </div>
-        </div>
+        )}
 
-        {/* Win Factors */}
-        {resolution.winFactors?.length > 0 && (
-          <div className="card">
-            <div className="card-header">
-              <h3 className="font-semibold flex items-center gap-2">
-                <CheckCircle className="w-4 h-4 text-green-600" /> Winning Factors
-              </h3>
-            </div>
-            <div className="card-body">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                {resolution.winFactors.map((factor, index) => (
-                  <div key={index} className="flex items-start gap-3 p-3 bg-green-50 rounded-lg">
-                    <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0 mt-0.5" />
-                    <p className="text-sm text-green-900">{factor}</p>
-                  </div>
-                ))}
+        <div className="space-y-1.5">
+          {rows.map((step) => (
+            <div key={`${step.type}-${step.key}`} className="flex items-center gap-3 text-sm">
+              <span className="w-56 truncate text-gray-700" title={stepLabel(step)}>{stepLabel(step)}</span>
+              <div className="flex-1 h-4 bg-gray-100 rounded relative">
+                <div
+                  className={`absolute h-full rounded ${barColor(step)}`}
+                  style={{
+                    left: `${clamp(Math.min(step.start, step.end))}%`,
+                    width: `${Math.max(clamp(Math.max(step.start, step.end)) - clamp(Math.min(step.start, step.end)), 0.5)}%`
+                  }}
+                />
               </div>
+              <span className={`w-12 text-right font-mono ${step.points > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                {formatPoints(step.points)}
+              </span>
+            </div>
+          ))}
+          <div className="flex items-center gap-3 text-sm pt-2 border-t border-gray-200">
+            <span className="w-56 font-medium">Confidence score</span>
+            <div className="flex-1 h-4 bg-gray-100 rounded relative">
+              <div className="absolute h-full rounded bg-gray-700" style={{ width: `${breakdown.finalScore}%` }} />
             </div>
+            <span className="w-12 text-right font-mono font-medium">{breakdown.finalScore}</span>
           </div>
-        )}
+        </div>
 
-        {/* Processor Notes */}
-        {resolution.processorNotes && (
-          <div className="card">
-            <div className="card-header">
-              <h3 className="font-semibold flex items-center gap-2">
-                <FileText className="w-4 h-4" /> Processor / Issuer Statement
-              </h3>
-            </div>
-            <div className="card-body">
-              <div className="bg-gray-50 rounded-lg p-4 border-l-4 border-green-400">
-                <p className="text-sm text-gray-700 leading-relaxed">{resolution.processorNotes}</p>
-              </div>
+        {missing.length > 0 && (
+          <div>
+            <p className="text-sm text-gray-500 mb-2">Not collected (evidence weight)</p>
+            <div className="flex flex-wrap gap-2">
+              {missing.map((step) => (
+                <span
+                  key={step.key}
+                  className={`px-2 py-1 rounded text-xs ${step.critical ? 'bg-amber-100 text-amber-800' : 'bg-gray-100 text-gray-600'}`}
+                  title={step.critical ? 'Critical evidence' : undefined}
+                >
+                  {evidenceTypeLabel(step.key)} · {step.weight}
+                </span>
+              ))}
             </div>
           </div>
         )}
       </div>
-    );
-  }
+    </div>
+  );
+}
 
-  // LOST case display
-  return (
-    <div className="space-y-6">
-      {/* Denial Summary */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        <div className="card lg:col-span-2">
-          <div className="card-header">
+const STAGE_LABELS = {
+  REPRESENTMENT: 'Representment',
+  PRE_ARBITRATION: 'Pre-Arbitration',
+  ARBITRATION: 'Arbitration',
+  COMPLIANCE: 'Compliance'
+};
+
+// Dispute stage status colors
+function getStageStatusColor(status) {
+  const colors = {
+    open: 'bg-yellow-100 text-yellow-700',
+    submitted: 'bg-blue-100 text-blue-700',
+    won: 'bg-green-100 text-green-700',
+    lost: 'bg-red-100 text-red-700',
+    accepted: 'bg-red-100 text-red-700',
+    escalated: 'bg-amber-100 text-amber-700',
+    withdrawn: 'bg-gray-100 text-gray-700',
+    closed: 'bg-gray-100 text-gray-700'
+  };
+  return colors[status] || 'bg-gray-100 text-gray-700';
+}
+
+// Arbitration follows a lost representment or an open pre-arbitration
+function canFileArbitration(caseData) {
+  if (caseData.stage === 'ARBITRATION' || caseData.stage === 'COMPLIANCE') return false;
+  return caseData.status === 'LOST' ||
+    (caseData.stage === 'PRE_ARBITRATION' && ['PENDING', 'IN_REVIEW', 'SUBMITTED'].includes(caseData.status));
+}
+
+// Portal submission status colors
+function getSubmissionStatusColor(status) {
+  const colors = {
+    queued: 'bg-gray-100 text-gray-700',
+    submitted: 'bg-blue-100 text-blue-700',
+    accepted: 'bg-green-100 text-green-700',
+    rejected: 'bg-red-100 text-red-700',
+    failed: 'bg-red-100 text-red-700'
+  };
+  return colors[status] || 'bg-gray-100 text-gray-700';
+}
+
+// Stage History Card Component - Representment through compliance cycles
+// Assignee and watchers, with assign / reassign / watch actions
+function DuplicateBanner({ caseData, isAdmin, onUpdate }) {
+  const navigate = useNavigate();
+  const [working, setWorking] = useState(false);
+  const openDuplicates = (caseData.duplicates || []).filter((d) => !d.mergedAt);
+
+  const merge = async (sourceId, targetId) => {
+    setWorking(true);
+    try {
+      await api.post('/admin/duplicates/merge', { sourceId, targetId });
+      if (sourceId === caseData.id) {
+        navigate(`/cases/${targetId}`);
+      } else {
+        onUpdate();
+      }
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const dismiss = async () => {
+    setWorking(true);
+    try {
+      await api.post(`/admin/duplicates/${caseData.id}/dismiss`);
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (caseData.mergedAt && caseData.duplicateOf) {
+    return (
+      <div className="card card-body bg-gray-50 border-gray-200 flex items-center gap-3">
+        <GitMerge className="w-5 h-5 text-gray-500" />
+        <p className="text-sm text-gray-700">
+          Merged into{' '}
+          <Link to={`/cases/${caseData.duplicateOf.id}`} className="text-omni-600 hover:text-omni-700 font-medium">
+            {caseData.duplicateOf.caseNumber}
+          </Link>{' '}
+          on {formatDate(caseData.mergedAt)}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card card-body bg-amber-50 border-amber-200 space-y-3">
+      {caseData.duplicateOf && (
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Copy className="w-5 h-5 text-amber-600" />
+            <p className="text-sm text-amber-900">
+              Possible duplicate of{' '}
+              <Link to={`/cases/${caseData.duplicateOf.id}`} className="font-medium underline">
+                {caseData.duplicateOf.caseNumber}
+              </Link>
+            </p>
+          </div>
+          {isAdmin && (
+            <div className="flex gap-2">
+              <button
+                onClick={() => merge(caseData.id, caseData.duplicateOf.id)}
+                disabled={working}
+                className="btn-primary text-sm"
+              >
+                <GitMerge className="w-4 h-4 mr-2" />
+                Merge into {caseData.duplicateOf.caseNumber}
+              </button>
+              <button onClick={dismiss} disabled={working} className="btn-secondary text-sm">
+                Not a Duplicate
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+      {openDuplicates.map((dup) => (
+        <div key={dup.id} className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Copy className="w-5 h-5 text-amber-600" />
+            <p className="text-sm text-amber-900">
+              <Link to={`/cases/${dup.id}`} className="font-medium underline">{dup.caseNumber}</Link>
+              {' '}may be a duplicate of this case
+            </p>
+          </div>
+          {isAdmin && (
+            <button onClick={() => merge(dup.id, caseData.id)} disabled={working} className="btn-secondary text-sm">
+              <GitMerge className="w-4 h-4 mr-2" />
+              Merge into this case
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function OwnershipCard({ caseData, caseId, user, isManager, onUpdate }) {
+  const [users, setUsers] = useState([]);
+  const [showReassign, setShowReassign] = useState(false);
+  const [form, setForm] = useState({ assigneeId: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+
+  const isAssignee = caseData.assigneeId && caseData.assigneeId === user?.id;
+  const canWork = user?.role !== 'READONLY';
+  const canReassign = isManager || isAssignee;
+  const watching = caseData.watchers?.some((w) => w.userId === user?.id);
+
+  useEffect(() => {
+    if (!showReassign || users.length > 0) return;
+    api.get(`/cases/workload?propertyId=${caseData.propertyId}`)
+      .then((response) => setUsers(response.data.users || []))
+      .catch((err) => alert(err.message));
+  }, [showReassign]);
+
+  const run = async (request) => {
+    setSaving(true);
+    try {
+      await request();
+      setShowReassign(false);
+      setForm({ assigneeId: '', reason: '' });
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReassign = (e) => {
+    e.preventDefault();
+    run(() => api.post(`/cases/${caseId}/reassign`, {
+      assigneeId: form.assigneeId || null,
+      reason: form.reason || undefined
+    }));
+  };
+
+  return (
+    <div className="card lg:col-span-3">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Users className="w-4 h-4" /> Ownership
+        </h3>
+        <div className="flex gap-2">
+          {canWork && !caseData.assigneeId && (
+            <button
+              onClick={() => run(() => api.post(`/cases/${caseId}/assign`, {}))}
+              disabled={saving}
+              className="btn-secondary text-sm"
+            >
+              <UserPlus className="w-4 h-4 mr-2" />
+              Assign to Me
+            </button>
+          )}
+          {canReassign && (
+            <button onClick={() => setShowReassign(!showReassign)} className="btn-secondary text-sm">
+              {caseData.assigneeId ? 'Reassign' : 'Assign'}
+            </button>
+          )}
+          <button
+            onClick={() => run(() => (watching
+              ? api.delete(`/cases/${caseId}/watchers/${user.id}`)
+              : api.post(`/cases/${caseId}/watchers`, {})))}
+            disabled={saving}
+            className="btn-secondary text-sm"
+          >
+            {watching ? <EyeOff className="w-4 h-4 mr-2" /> : <Eye className="w-4 h-4 mr-2" />}
+            {watching ? 'Unwatch' : 'Watch'}
+          </button>
+        </div>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <p className="text-sm text-gray-500">Assignee</p>
+            {caseData.assignee ? (
+              <p className="font-medium">
+                {caseData.assignee.firstName} {caseData.assignee.lastName}
+                {caseData.assignedAt && (
+                  <span className="text-xs text-gray-400 font-normal ml-2">
+                    since {formatDate(caseData.assignedAt)}
+                  </span>
+                )}
+              </p>
+            ) : (
+              <p className="text-gray-400">Unassigned</p>
+            )}
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Watchers</p>
+            {caseData.watchers?.length > 0 ? (
+              <div className="flex flex-wrap gap-2 mt-1">
+                {caseData.watchers.map((w) => (
+                  <span key={w.id} className="px-2 py-0.5 bg-gray-100 rounded-full text-xs">
+                    {w.user.firstName} {w.user.lastName}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-400">None</p>
+            )}
+          </div>
+        </div>
+
+        {showReassign && (
+          <form onSubmit={handleReassign} className="p-4 bg-gray-50 rounded-lg grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <select
+              value={form.assigneeId}
+              onChange={(e) => setForm({ ...form, assigneeId: e.target.value })}
+              className="input"
+            >
+              <option value="">Unassigned</option>
+              {users.map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.firstName} {u.lastName} ({u.openCases} open)
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Reason (optional)"
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              className="input"
+            />
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function StageHistoryCard({ caseData, caseId, canManage, canFileArbitration, onFileArbitration, onUpdate }) {
+  const [showRecord, setShowRecord] = useState(false);
+  const [form, setForm] = useState({ stage: 'PRE_ARBITRATION', dueDate: '', externalId: '', notes: '' });
+  const [saving, setSaving] = useState(false);
+
+  const stageOrder = Object.keys(STAGE_LABELS);
+  const laterStages = stageOrder.filter((stage) => stageOrder.indexOf(stage) > stageOrder.indexOf(caseData.stage));
+
+  const handleRecord = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.post(`/cases/${caseId}/stages`, {
+        stage: form.stage,
+        dueDate: form.dueDate ? new Date(form.dueDate).toISOString() : undefined,
+        externalId: form.externalId || undefined,
+        notes: form.notes || undefined
+      });
+      setShowRecord(false);
+      setForm({ stage: 'PRE_ARBITRATION', dueDate: '', externalId: '', notes: '' });
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card lg:col-span-3">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Scale className="w-4 h-4" /> Dispute Stages
+        </h3>
+        <div className="flex gap-2">
+          {canFileArbitration && (
+            <button onClick={onFileArbitration} className="btn-secondary text-sm">
+              <Gavel className="w-4 h-4 mr-2" />
+              File Arbitration
+            </button>
+          )}
+          {canManage && laterStages.length > 0 && (
+            <button
+              onClick={() => {
+                setForm((prev) => ({ ...prev, stage: laterStages[0] }));
+                setShowRecord(!showRecord);
+              }}
+              className="btn-secondary text-sm"
+            >
+              Record Stage
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="card-body space-y-4">
+        {/* Progress */}
+        <div className="flex items-center gap-2 flex-wrap">
+          {stageOrder.map((stage, i) => {
+            const record = caseData.stages.find((s) => s.stage === stage);
+            const isCurrent = caseData.stage === stage;
+            return (
+              <React.Fragment key={stage}>
+                <div className={`flex items-center gap-1 px-3 py-1.5 rounded-full text-xs font-medium ${
+                  isCurrent ? 'bg-omni-100 text-omni-800' :
+                  record ? 'bg-gray-200 text-gray-700' : 'bg-gray-50 text-gray-400'
+                }`}>
+                  {record && !isCurrent ? <CheckCircle className="w-3 h-3" /> : <Clock className="w-3 h-3" />}
+                  {STAGE_LABELS[stage]}
+                </div>
+                {i < stageOrder.length - 1 && <ChevronRight className="w-4 h-4 text-gray-300" />}
+              </React.Fragment>
+            );
+          })}
+        </div>
+
+        {showRecord && (
+          <form onSubmit={handleRecord} className="grid grid-cols-1 md:grid-cols-4 gap-3 p-4 bg-gray-50 rounded-lg">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Stage</label>
+              <select
+                value={form.stage}
+                onChange={(e) => setForm({ ...form, stage: e.target.value })}
+                className="input"
+              >
+                {laterStages.map((stage) => (
+                  <option key={stage} value={stage}>{STAGE_LABELS[stage]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Response Due</label>
+              <input
+                type="date"
+                value={form.dueDate}
+                onChange={(e) => setForm({ ...form, dueDate: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Reference</label>
+              <input
+                type="text"
+                value={form.externalId}
+                onChange={(e) => setForm({ ...form, externalId: e.target.value })}
+                placeholder="Portal case ID"
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Notes</label>
+              <input
+                type="text"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div className="md:col-span-4 flex justify-end gap-2">
+              <button type="button" onClick={() => setShowRecord(false)} className="btn-secondary text-sm">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary text-sm">
+                {saving ? 'Saving...' : 'Record Stage'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* History */}
+        <div className="divide-y divide-gray-100">
+          {caseData.stages.map((stage) => (
+            <div key={stage.id} className="py-3 first:pt-0 last:pb-0">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <p className="font-medium">
+                    {STAGE_LABELS[stage.stage]}
+                    <span className="text-sm font-normal text-gray-500">
+                      {' '}&middot; {stage.initiatedBy === 'merchant' ? 'filed by merchant' : 'opened by issuer'}
+                      {stage.source && stage.source !== 'manual' ? ` via ${stage.source}` : ''}
+                    </span>
+                  </p>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-500 mt-1">
+                    <span>Opened {formatDate(stage.openedAt)}</span>
+                    {stage.dueDate && <span>Due {formatDate(stage.dueDate)}</span>}
+                    {stage.submittedAt && <span>Submitted {formatDate(stage.submittedAt)}</span>}
+                    {stage.closedAt && <span>Closed {formatDate(stage.closedAt)}</span>}
+                    {stage.externalId && <span className="font-mono">{stage.externalId}</span>}
+                  </div>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-500 mt-1">
+                    {stage.amount && <span>Disputed {formatCurrency(stage.amount)}</span>}
+                    {stage._count && <span>{stage._count.evidence} evidence file{stage._count.evidence === 1 ? '' : 's'}</span>}
+                    {stage.submissions?.length > 0 && (
+                      <span>{stage.submissions.length} submission{stage.submissions.length === 1 ? '' : 's'}</span>
+                    )}
+                    {(stage.filingFee || stage.reviewFee) && (
+                      <span className="text-amber-700">
+                        Fees {formatCurrency(parseFloat(stage.filingFee || 0) + parseFloat(stage.reviewFee || 0))}
+                      </span>
+                    )}
+                  </div>
+                  {stage.outcomeReason && (
+                    <p className="text-sm text-gray-600 mt-1">{stage.outcomeReason}</p>
+                  )}
+                </div>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStageStatusColor(stage.status)}`}>
+                  {stage.status}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Outcome Tab Component - Shows win/loss details and arbitration
+function OutcomeTab({ caseData, caseId, canEdit, onUpdate }) {
+  const [showArbitrationModal, setShowArbitrationModal] = useState(false);
+  const resolution = caseData.resolution;
+
+  if (!resolution) {
+    return (
+      <div className="card card-body text-center py-12">
+        <Scale className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900">No Outcome Details Available</h3>
+        <p className="text-gray-500 mt-2">Resolution details will appear here once the dispute is resolved.</p>
+      </div>
+    );
+  }
+
+  // WON case display
+  if (resolution.outcome === 'WON') {
+    return (
+      <div className="space-y-6">
+        {/* Resolution Summary */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="card lg:col-span-2">
+            <div className="card-header">
+              <h3 className="font-semibold flex items-center gap-2">
+                <Award className="w-4 h-4 text-green-600" /> Resolution Summary
+              </h3>
+            </div>
+            <div className="card-body space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                <div>
+                  <p className="text-sm text-gray-500">Outcome</p>
+                  <p className="font-bold text-green-600 text-lg">WON</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Recovered Amount</p>
+                  <p className="font-bold text-green-600 text-lg">{formatCurrency(resolution.recoveredAmount || caseData.amount)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Resolved Date</p>
+                  <p className="font-medium">{formatDate(resolution.resolvedDate || caseData.resolvedAt)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Processor Response</p>
+                  <p className="font-medium">{resolution.processorResponseCode || 'REVERSED'}</p>
+                </div>
+                {resolution.reversalDate && (
+                  <div>
+                    <p className="text-sm text-gray-500">Reversal Date</p>
+                    <p className="font-medium">{formatDate(resolution.reversalDate)}</p>
+                  </div>
+                )}
+                {resolution.issuerReasonCode && (
+                  <div>
+                    <p className="text-sm text-gray-500">Issuer Decision Code</p>
+                    <p className="font-medium">{resolution.issuerReasonCode}</p>
+                  </div>
+                )}
+                <div className="col-span-2">
+                  <p className="text-sm text-gray-500">Resolution Reason</p>
+                  <p className="font-medium text-gray-700">{resolution.reason}</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Quick Stats */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="font-semibold flex items-center gap-2">
+                <DollarSign className="w-4 h-4 text-green-600" /> Recovery Details
+              </h3>
+            </div>
+            <div className="card-body space-y-4 text-center">
+              <div className="p-4 bg-green-50 rounded-xl">
+                <p className="text-3xl font-bold text-green-600">{formatCurrency(resolution.recoveredAmount || caseData.amount)}</p>
+                <p className="text-sm text-green-700 mt-1">
+                  {(resolution.recoveredAmount || caseData.amount) < caseData.amount ? 'Partial Amount Recovered' : 'Full Amount Recovered'}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Original Dispute</p>
+                <p className="font-medium">{formatCurrency(caseData.amount)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Recovery Rate</p>
+                <p className="font-bold text-green-600">
+                  {Math.round(((resolution.recoveredAmount || caseData.amount) / caseData.amount) * 100)}%
+                </p>
+              </div>
+              <FeeBreakdown resolution={resolution} currency={caseData.currency} />
+            </div>
+          </div>
+        </div>
+
+        {/* Win Factors */}
+        {resolution.winFactors?.length > 0 && (
+          <div className="card">
+            <div className="card-header">
+              <h3 className="font-semibold flex items-center gap-2">
+                <CheckCircle className="w-4 h-4 text-green-600" /> Winning Factors
+              </h3>
+            </div>
+            <div className="card-body">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {resolution.winFactors.map((factor, index) => (
+                  <div key={index} className="flex items-start gap-3 p-3 bg-green-50 rounded-lg">
+                    <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm text-green-900">{factor}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Processor Notes */}
+        {resolution.processorNotes && (
+          <div className="card">
+            <div className="card-header">
+              <h3 className="font-semibold flex items-center gap-2">
+                <FileText className="w-4 h-4" /> Processor / Issuer Statement
+              </h3>
+            </div>
+            <div className="card-body">
+              <div className="bg-gray-50 rounded-lg p-4 border-l-4 border-green-400">
+                <p className="text-sm text-gray-700 leading-relaxed">{resolution.processorNotes}</p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {canEdit && resolution.netRecovery !== undefined && (
+          <OutcomeEditor caseId={caseId} resolution={resolution} onUpdate={onUpdate} />
+        )}
+      </div>
+    );
+  }
+
+  // LOST case display
+  return (
+    <div className="space-y-6">
+      {/* Denial Summary */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card lg:col-span-2">
+          <div className="card-header">
             <h3 className="font-semibold flex items-center gap-2">
               <ShieldX className="w-4 h-4 text-red-600" /> Denial Summary
             </h3>
@@ -624,7 +1504,7 @@ function OutcomeTab({ caseData, caseId, onUpdate }) {
             <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
               <div>
                 <p className="text-sm text-gray-500">Outcome</p>
-                <p className="font-bold text-red-600 text-lg">LOST</p>
+                <p className="font-bold text-red-600 text-lg">{resolution.outcome}</p>
               </div>
               <div>
                 <p className="text-sm text-gray-500">Denial Code</p>
@@ -655,13 +1535,14 @@ function OutcomeTab({ caseData, caseId, onUpdate }) {
           </div>
           <div className="card-body space-y-4 text-center">
             <div className="p-4 bg-red-50 rounded-xl">
-              <p className="text-3xl font-bold text-red-600">{formatCurrency(caseData.amount)}</p>
-              <p className="text-sm text-red-700 mt-1">Amount Lost</p>
+              <p className="text-3xl font-bold text-red-600">{formatCurrency(resolution.lostAmount ?? caseData.amount)}</p>
+              <p className="text-sm text-red-700 mt-1">{resolution.outcome === 'ACCEPTED' ? 'Written Off' : 'Amount Lost'}</p>
             </div>
             <div>
               <p className="text-sm text-gray-500">Recovered</p>
               <p className="font-medium text-gray-400">{formatCurrency(resolution.recoveredAmount || 0)}</p>
             </div>
+            <FeeBreakdown resolution={resolution} currency={caseData.currency} />
           </div>
         </div>
       </div>
@@ -835,6 +1716,10 @@ function OutcomeTab({ caseData, caseId, onUpdate }) {
         </div>
       )}
 
+      {canEdit && resolution.netRecovery !== undefined && (
+        <OutcomeEditor caseId={caseId} resolution={resolution} onUpdate={onUpdate} />
+      )}
+
       {/* Arbitration Modal */}
       {showArbitrationModal && (
         <ArbitrationModal
@@ -851,6 +1736,168 @@ function OutcomeTab({ caseData, caseId, onUpdate }) {
   );
 }
 
+// Chargeback and arbitration fees against the recovered amount
+function FeeBreakdown({ resolution, currency }) {
+  if (resolution.netRecovery === undefined) return null;
+  return (
+    <div className="pt-3 border-t border-gray-200 space-y-1 text-sm text-left">
+      <div className="flex justify-between">
+        <span className="text-gray-500">Chargeback fee</span>
+        <span>{formatCurrency(resolution.chargebackFee, currency)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-500">Arbitration fees</span>
+        <span>{formatCurrency(resolution.arbitrationFee, currency)}</span>
+      </div>
+      <div className="flex justify-between font-medium">
+        <span>Net recovery</span>
+        <span className={resolution.netRecovery < 0 ? 'text-red-600' : 'text-green-600'}>
+          {formatCurrency(resolution.netRecovery, currency)}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Manual corrections to the recorded outcome
+function OutcomeEditor({ caseId, resolution, onUpdate }) {
+  const [editing, setEditing] = useState(false);
+  const [factors, setFactors] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const won = resolution.outcome === 'WON';
+  const factorField = won ? 'winFactors' : 'denialFactors';
+
+  const startEditing = async () => {
+    try {
+      const response = await api.get(`/cases/${caseId}/outcome`);
+      const outcome = response.data.outcome;
+      if (!outcome) return;
+      setFactors(won ? response.data.factors.win : response.data.factors.denial);
+      setForm({
+        recoveredAmount: Number(outcome.recoveredAmount),
+        chargebackFee: Number(outcome.chargebackFee),
+        arbitrationFee: Number(outcome.arbitrationFee),
+        reversalDate: outcome.reversalDate ? outcome.reversalDate.split('T')[0] : '',
+        issuerReasonCode: outcome.issuerReasonCode || '',
+        processorResponseCode: outcome.processorResponseCode || '',
+        issuerRemarks: outcome.issuerRemarks || '',
+        [factorField]: outcome[factorField] || []
+      });
+      setEditing(true);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const toggleFactor = (key) => {
+    const current = form[factorField];
+    setForm({ ...form, [factorField]: current.includes(key) ? current.filter((f) => f !== key) : [...current, key] });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.put(`/cases/${caseId}/outcome`, {
+        ...(won && {
+          recoveredAmount: Number(form.recoveredAmount),
+          reversalDate: form.reversalDate ? new Date(form.reversalDate).toISOString() : null
+        }),
+        chargebackFee: Number(form.chargebackFee),
+        arbitrationFee: Number(form.arbitrationFee),
+        issuerReasonCode: form.issuerReasonCode || null,
+        processorResponseCode: form.processorResponseCode || null,
+        issuerRemarks: form.issuerRemarks || null,
+        [factorField]: form[factorField]
+      });
+      setEditing(false);
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className="flex justify-end">
+        <button onClick={startEditing} className="btn-secondary">Edit Outcome Details</button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="card">
+      <div className="card-header">
+        <h3 className="font-semibold">Edit Outcome Details</h3>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+          {won && (
+            <label className="text-sm">
+              <span className="text-gray-500">Recovered amount</span>
+              <input type="number" min="0" step="0.01" className="input" value={form.recoveredAmount}
+                onChange={(e) => setForm({ ...form, recoveredAmount: e.target.value })} />
+            </label>
+          )}
+          <label className="text-sm">
+            <span className="text-gray-500">Chargeback fee</span>
+            <input type="number" min="0" step="0.01" className="input" value={form.chargebackFee}
+              onChange={(e) => setForm({ ...form, chargebackFee: e.target.value })} />
+          </label>
+          <label className="text-sm">
+            <span className="text-gray-500">Arbitration fees</span>
+            <input type="number" min="0" step="0.01" className="input" value={form.arbitrationFee}
+              onChange={(e) => setForm({ ...form, arbitrationFee: e.target.value })} />
+          </label>
+          {won && (
+            <label className="text-sm">
+              <span className="text-gray-500">Reversal date</span>
+              <input type="date" className="input" value={form.reversalDate}
+                onChange={(e) => setForm({ ...form, reversalDate: e.target.value })} />
+            </label>
+          )}
+          <label className="text-sm">
+            <span className="text-gray-500">Issuer decision code</span>
+            <input type="text" maxLength={50} className="input" value={form.issuerReasonCode}
+              onChange={(e) => setForm({ ...form, issuerReasonCode: e.target.value })} />
+          </label>
+          <label className="text-sm">
+            <span className="text-gray-500">Processor response</span>
+            <input type="text" maxLength={50} className="input" value={form.processorResponseCode}
+              onChange={(e) => setForm({ ...form, processorResponseCode: e.target.value })} />
+          </label>
+        </div>
+        <label className="text-sm block">
+          <span className="text-gray-500">Issuer remarks</span>
+          <textarea rows={3} className="input" value={form.issuerRemarks}
+            onChange={(e) => setForm({ ...form, issuerRemarks: e.target.value })} />
+        </label>
+        <div>
+          <p className="text-sm text-gray-500 mb-2">{won ? 'Win factors' : 'Denial factors'}</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {Object.entries(factors).map(([key, label]) => (
+              <label key={key} className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={form[factorField].includes(key)} onChange={() => toggleFactor(key)} />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : 'Save Outcome'}
+          </button>
+          <button type="button" onClick={() => setEditing(false)} className="btn-secondary">Cancel</button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
 // Arbitration Filing Modal Component
 function ArbitrationModal({ caseData, caseId, onClose, onSuccess }) {
   const [step, setStep] = useState(1);
@@ -859,7 +1906,7 @@ function ArbitrationModal({ caseData, caseId, onClose, onSuccess }) {
   const [submitting, setSubmitting] = useState(false);
   const [dragActive, setDragActive] = useState(false);
 
-  const resolution = caseData.resolution;
+  const resolution = caseData.resolution || {};
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -895,16 +1942,24 @@ function ArbitrationModal({ caseData, caseId, onClose, onSuccess }) {
     setSubmitting(true);
     try {
       // Upload arbitration documents if any
+      const evidenceIds = [];
       for (const file of selectedFiles) {
         const formData = new FormData();
         formData.append('file', file);
-        formData.append('type', 'ARBITRATION_DOCUMENT');
+        formData.append('type', 'OTHER');
         formData.append('description', 'Arbitration supporting document');
-        await api.upload(`/evidence/${caseId}/upload`, formData);
+        const response = await api.upload(`/evidence/${caseId}/upload`, formData);
+        if (response.data.evidence?.id && !response.data.isDemo) {
+          evidenceIds.push(response.data.evidence.id);
+        }
       }
 
       // File for arbitration
-      await api.post(`/cases/${caseId}/arbitration`, { narrative: narrative.trim() });
+      await api.post(`/cases/${caseId}/arbitration`, {
+        narrative: narrative.trim(),
+        evidenceIds,
+        acceptFilingFee: true
+      });
       onSuccess();
     } catch (err) {
       alert('Failed to file arbitration: ' + err.message);
@@ -1120,44 +2175,432 @@ function ArbitrationModal({ caseData, caseId, onClose, onSuccess }) {
             </div>
           )}
         </div>
-
-        {/* Footer */}
-        <div className="p-6 border-t border-gray-200 flex justify-between">
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex justify-between">
+          <button
+            onClick={() => step === 1 ? onClose() : setStep(step - 1)}
+            className="btn-secondary"
+          >
+            {step === 1 ? 'Cancel' : 'Back'}
+          </button>
+
+          {step < 3 ? (
+            <button
+              onClick={() => setStep(step + 1)}
+              disabled={step === 2 && !narrative.trim()}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Continue <ChevronRight className="w-4 h-4 ml-1" />
+            </button>
+          ) : (
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="btn-primary bg-amber-600 hover:bg-amber-700"
+            >
+              {submitting ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  Filing Arbitration...
+                </>
+              ) : (
+                <>
+                  <Gavel className="w-4 h-4 mr-2" />
+                  File Arbitration
+                </>
+              )}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Accept Liability Modal - Stop contesting a case with a recorded reason
+function AcceptLiabilityModal({ caseData, caseId, isManager, onClose, onSuccess }) {
+  const [options, setOptions] = useState(null);
+  const [form, setForm] = useState({ reason: '', notes: '', writeOffAmount: String(Number(caseData.amount)) });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.get(`/cases/acceptance-reasons?propertyId=${caseData.propertyId}`)
+      .then((response) => setOptions(response.data))
+      .catch((err) => alert(err.message));
+  }, [caseData.propertyId]);
+
+  const thresholdAmount = caseData.propertyAmount != null ? Number(caseData.propertyAmount) : Number(caseData.amount);
+  const needsManager = !isManager && options?.managerThreshold != null && thresholdAmount > options.managerThreshold;
+
+  const handleAccept = async () => {
+    setSaving(true);
+    try {
+      const response = await api.post(`/cases/${caseId}/accept-liability`, {
+        reason: form.reason,
+        ...(form.notes && { notes: form.notes }),
+        writeOffAmount: parseFloat(form.writeOffAmount)
+      });
+      alert(response.data.message);
+      onSuccess();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold">Accept Liability</h2>
+              <p className="text-sm text-gray-500">{caseData.caseNumber} - {formatCurrency(caseData.amount, caseData.currency)}</p>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <XCircle className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            The case will no longer be contested. Where the processor supports it, the acceptance is sent to the portal
+            and the case closes when the portal confirms.
+          </p>
+          {needsManager && (
+            <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+              Cases over {formatCurrency(options.managerThreshold, caseData.propertyCurrency || caseData.currency)} must be accepted by a manager.
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <select
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              className="input"
+            >
+              <option value="">Select a reason</option>
+              {(options?.reasons || []).map((r) => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Notes{form.reason === 'other' ? '' : ' (optional)'}
+            </label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              rows={3}
+              className="input"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Write-off ({caseData.currency})</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              max={Number(caseData.amount)}
+              value={form.writeOffAmount}
+              onChange={(e) => setForm({ ...form, writeOffAmount: e.target.value })}
+              className="input"
+            />
+          </div>
+        </div>
+        <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+          <button onClick={onClose} className="btn-secondary">Cancel</button>
           <button
-            onClick={() => step === 1 ? onClose() : setStep(step - 1)}
-            className="btn-secondary"
+            onClick={handleAccept}
+            disabled={saving || needsManager || !form.reason || (form.reason === 'other' && !form.notes)}
+            className="btn-primary"
           >
-            {step === 1 ? 'Cancel' : 'Back'}
+            {saving ? 'Accepting...' : 'Accept Liability'}
           </button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-          {step < 3 ? (
-            <button
-              onClick={() => setStep(step + 1)}
-              disabled={step === 2 && !narrative.trim()}
-              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              Continue <ChevronRight className="w-4 h-4 ml-1" />
+// Disputed Lines Card - Maps the disputed amount to folio charges
+const CE3_FIELD_LABELS = {
+  ipAddress: 'IP address',
+  deviceId: 'Device ID',
+  email: 'Email',
+  shippingAddress: 'Address'
+};
+
+function Ce3EligibilityCard({ caseData, caseId, canCheck, onUpdate }) {
+  const [checking, setChecking] = useState(false);
+  const result = caseData.ce3Eligibility;
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      await api.post(`/cases/${caseId}/ce3-eligibility`);
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="card lg:col-span-3">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="font-semibold flex items-center gap-2">
+          <ShieldCheck className="w-4 h-4" /> Visa Compelling Evidence 3.0
+        </h3>
+        <div className="flex items-center gap-3">
+          {result && (
+            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${result.eligible ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'}`}>
+              {result.eligible ? 'Eligible' : 'Not eligible'}
+            </span>
+          )}
+          {canCheck && (
+            <button onClick={handleCheck} disabled={checking} className="btn-secondary text-sm flex items-center gap-1">
+              {checking ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+              {result ? 'Re-check' : 'Check eligibility'}
             </button>
-          ) : (
+          )}
+        </div>
+      </div>
+      <div className="card-body">
+        {!result ? (
+          <p className="text-sm text-gray-500">
+            Not checked yet. CE3.0 needs two earlier undisputed stays on the same card, 120 to 365 days old,
+            that share two of IP address, device ID, email and address with this booking.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-700">{result.reason}</p>
+            <p className="text-xs text-gray-500">
+              Checked {formatDateTime(result.checkedAt)}
+              {result.window && <> &middot; window {formatDate(result.window.from)} to {formatDate(result.window.to)}</>}
+              {result.candidatesChecked !== undefined && <> &middot; {result.candidatesChecked} earlier stays on this card</>}
+              {result.eligible && <> &middot; the transaction history is attached when evidence is submitted</>}
+            </p>
+            {result.transactions?.length > 0 && (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Reservation</th>
+                    <th>Transaction Date</th>
+                    <th>Amount</th>
+                    <th>Matched On</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.transactions.map((txn) => (
+                    <tr key={txn.reservationId}>
+                      <td className="font-mono text-sm">{txn.confirmationNumber}</td>
+                      <td>{formatDate(txn.transactionDate)} <span className="text-xs text-gray-500">({txn.ageDays} days before)</span></td>
+                      <td>{formatCurrency(txn.amount, txn.currency)}</td>
+                      <td>
+                        <div className="flex flex-wrap gap-1">
+                          {txn.matchedFields.map((field) => (
+                            <span key={field} className="px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs">
+                              {CE3_FIELD_LABELS[field] || field}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function DisputedLinesCard({ caseData, caseId, canEdit, onUpdate }) {
+  const [data, setData] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [suggestions, setSuggestions] = useState(null);
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchLines = async () => {
+    try {
+      const response = await api.get(`/cases/${caseId}/disputed-lines`);
+      setData(response.data);
+      setSelected(Object.fromEntries(response.data.lines.map(line => [line.folioItemId, line.amount])));
+    } catch (err) {
+      console.error('Failed to fetch disputed lines:', err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchLines();
+  }, [caseId, caseData.reservationId]);
+
+  if (!data) return null;
+
+  const charges = data.folioItems.filter(item => item.category !== 'payment' && Number(item.amount) > 0);
+  const folioCurrency = data.folioItems[0]?.currency || caseData.currency;
+  const selectedTotal = Object.values(selected).reduce((sum, amount) => sum + Number(amount), 0);
+  const dirty = JSON.stringify(Object.keys(selected).sort()) !==
+    JSON.stringify(data.lines.map(line => line.folioItemId).sort());
+
+  const toggle = (item) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[item.id] !== undefined) delete next[item.id];
+      else next[item.id] = Number(item.amount);
+      return next;
+    });
+  };
+
+  const handleSuggest = async () => {
+    setLoadingSuggestions(true);
+    try {
+      const response = await api.get(`/cases/${caseId}/disputed-lines/suggestions`);
+      setSuggestions(response.data);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setLoadingSuggestions(false);
+    }
+  };
+
+  const save = async (lines, source = 'manual') => {
+    setSaving(true);
+    try {
+      await api.put(`/cases/${caseId}/disputed-lines`, { lines, source });
+      setSuggestions(null);
+      await fetchLines();
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="font-semibold flex items-center gap-2">
+          <Receipt className="w-4 h-4" /> Disputed Charges
+        </h3>
+        <div className="text-sm text-gray-600">
+          Disputed {formatCurrency(data.disputedAmount, data.currency)}
+          {data.isPartial && ` of ${formatCurrency(data.transactionAmount, data.currency)}`}
+          {data.lines.length > 0 && data.unmappedAmount !== null && data.unmappedAmount !== 0 && (
+            <span className="ml-2 text-amber-600">
+              ({formatCurrency(Math.abs(data.unmappedAmount), data.currency)} {data.unmappedAmount > 0 ? 'unmapped' : 'over'})
+            </span>
+          )}
+        </div>
+      </div>
+      <div className="card-body space-y-4">
+        <p className="text-sm text-gray-500">
+          Select the folio charges the cardholder is disputing. Evidence scoring and the rebuttal letter focus on these charges.
+        </p>
+
+        {canEdit && charges.length > 0 && (
+          <div className="flex items-center gap-2">
+            <button onClick={handleSuggest} disabled={loadingSuggestions} className="btn-secondary text-sm">
+              {loadingSuggestions ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+              Suggest Matching Charges
+            </button>
+            {data.lines.length > 0 && (
+              <button onClick={() => save([])} disabled={saving} className="btn-secondary text-sm">
+                Clear
+              </button>
+            )}
+          </div>
+        )}
+
+        {suggestions && (
+          <div className="rounded-lg border border-gray-200 divide-y divide-gray-100">
+            {suggestions.suggestions.length === 0 ? (
+              <p className="p-3 text-sm text-gray-500">No combination of charges adds up to the disputed amount.</p>
+            ) : suggestions.suggestions.map((suggestion, index) => (
+              <div key={index} className="p-3 flex items-start justify-between gap-4">
+                <div className="text-sm">
+                  {suggestion.lines.map(line => (
+                    <p key={line.id} className="text-gray-700">
+                      {formatDate(line.postDate)} &middot; {line.description} &middot; {formatCurrency(line.amount, suggestions.currency)}
+                    </p>
+                  ))}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Total {formatCurrency(suggestion.total, suggestions.currency)}
+                    {suggestion.difference !== 0 && ` (${suggestion.difference > 0 ? '+' : ''}${suggestion.difference} vs converted amount)`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => save(suggestion.folioItemIds.map(folioItemId => ({ folioItemId })), 'suggestion')}
+                  disabled={saving}
+                  className="btn-primary text-sm"
+                >
+                  Use
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {charges.length === 0 ? (
+          <p className="text-sm text-gray-500">The linked reservation has no folio charges.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 w-8" />
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {charges.map(item => (
+                  <tr key={item.id} className={selected[item.id] !== undefined ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                    <td className="px-4 py-2">
+                      <input
+                        type="checkbox"
+                        checked={selected[item.id] !== undefined}
+                        onChange={() => toggle(item)}
+                        disabled={!canEdit || saving}
+                      />
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{formatDate(item.postDate)}</td>
+                    <td className="px-4 py-2 text-gray-700">{item.description}</td>
+                    <td className="px-4 py-2 text-right font-medium text-gray-900">
+                      {formatCurrency(item.amount, item.currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {canEdit && dirty && (
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-600">
+              Selected: {formatCurrency(selectedTotal, folioCurrency)}
+            </span>
             <button
-              onClick={handleSubmit}
-              disabled={submitting}
-              className="btn-primary bg-amber-600 hover:bg-amber-700"
+              onClick={() => save(Object.entries(selected).map(([folioItemId, amount]) => ({ folioItemId, amount })))}
+              disabled={saving}
+              className="btn-primary text-sm"
             >
-              {submitting ? (
-                <>
-                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                  Filing Arbitration...
-                </>
-              ) : (
-                <>
-                  <Gavel className="w-4 h-4 mr-2" />
-                  File Arbitration
-                </>
-              )}
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              Save Disputed Charges
             </button>
-          )}
-        </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1493,33 +2936,17 @@ function ReservationTab({ caseData, caseId, onUpdate }) {
 }
 
 // Evidence Tab Component with Photo Upload
-function EvidenceTab({ caseId, evidence, onUpdate }) {
+function EvidenceTab({ caseId, evidence, canSubmit, onUpdate }) {
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadType, setUploadType] = useState('');
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [description, setDescription] = useState('');
   const [dragActive, setDragActive] = useState(false);
+  const [compiling, setCompiling] = useState(false);
+  const [submittingDossier, setSubmittingDossier] = useState(null);
 
-  const evidenceTypeOptions = [
-    { value: 'ID_SCAN', label: 'ID Scan', icon: '🪪' },
-    { value: 'AUTH_SIGNATURE', label: 'Authorization Signature', icon: '✍️' },
-    { value: 'CHECKOUT_SIGNATURE', label: 'Checkout Signature', icon: '📝' },
-    { value: 'FOLIO', label: 'Folio/Invoice', icon: '🧾' },
-    { value: 'RESERVATION_CONFIRMATION', label: 'Reservation Confirmation', icon: '📧' },
-    { value: 'CANCELLATION_POLICY', label: 'Cancellation Policy', icon: '📋' },
-    { value: 'CANCELLATION_POLICY_VIOLATION', label: 'Policy Violation Documentation', icon: '⚠️' },
-    { value: 'KEY_CARD_LOG', label: 'Key Card Log', icon: '🔑' },
-    { value: 'CCTV_FOOTAGE', label: 'CCTV Footage', icon: '📹' },
-    { value: 'CORRESPONDENCE', label: 'Correspondence', icon: '💬' },
-    { value: 'INCIDENT_REPORT', label: 'Incident Report', icon: '📄' },
-    { value: 'DAMAGE_PHOTOS', label: 'Damage Photos', icon: '📷' },
-    { value: 'DAMAGE_ASSESSMENT', label: 'Damage Assessment', icon: '📊' },
-    { value: 'POLICE_REPORT', label: 'Police Report', icon: '👮' },
-    { value: 'NO_SHOW_DOCUMENTATION', label: 'No Show Documentation', icon: '🚫' },
-    { value: 'ARBITRATION_DOCUMENT', label: 'Arbitration Document', icon: '⚖️' },
-    { value: 'OTHER', label: 'Other Documents', icon: '📎' }
-  ];
+  const evidenceTypeOptions = EVIDENCE_TYPE_OPTIONS;
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -1581,6 +3008,47 @@ function EvidenceTab({ caseId, evidence, onUpdate }) {
     }
   };
 
+  const dossiers = evidence?.filter(e => e.type === 'EVIDENCE_DOSSIER') || [];
+  const exhibits = evidence?.filter(e => e.type !== 'EVIDENCE_DOSSIER') || [];
+
+  const handleCompileDossier = async () => {
+    setCompiling(true);
+    try {
+      await api.post(`/evidence/case/${caseId}/dossier`, {});
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setCompiling(false);
+    }
+  };
+
+  const handleDownloadDossier = async (dossier) => {
+    try {
+      const { blob, fileName } = await api.download(`/evidence/${dossier.id}/file`);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName || dossier.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleSubmitDossier = async (dossier) => {
+    setSubmittingDossier(dossier.id);
+    try {
+      await api.post(`/cases/${caseId}/submit`, { dossierId: dossier.id });
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSubmittingDossier(null);
+    }
+  };
+
   const isImageFile = (fileName) => {
     const ext = fileName.toLowerCase().split('.').pop();
     return ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'].includes(ext);
@@ -1590,17 +3058,66 @@ function EvidenceTab({ caseId, evidence, onUpdate }) {
     <div className="card">
       <div className="card-header flex items-center justify-between">
         <h3 className="font-semibold">Evidence Files</h3>
-        <button
-          className="btn-primary"
-          onClick={() => setShowUploadModal(true)}
-        >
-          <Upload className="w-4 h-4 mr-2" /> Upload Evidence
-        </button>
+        <div className="flex gap-3">
+          {exhibits.length > 0 && (
+            <button
+              className="btn-secondary"
+              onClick={handleCompileDossier}
+              disabled={compiling}
+            >
+              {compiling ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <FileText className="w-4 h-4 mr-2" />
+              )}
+              {compiling ? 'Compiling...' : 'Compile Dossier'}
+            </button>
+          )}
+          <button
+            className="btn-primary"
+            onClick={() => setShowUploadModal(true)}
+          >
+            <Upload className="w-4 h-4 mr-2" /> Upload Evidence
+          </button>
+        </div>
       </div>
       <div className="card-body">
-        {evidence?.length > 0 ? (
+        {/* Compiled Dossiers */}
+        {dossiers.length > 0 && (
+          <div className="mb-6 space-y-2">
+            {dossiers.map((d) => (
+              <div key={d.id} className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <div className="flex items-center gap-3">
+                  <FileText className="w-8 h-8 text-blue-500" />
+                  <div>
+                    <p className="font-medium text-sm">{d.fileName}</p>
+                    <p className="text-xs text-gray-500">
+                      {d.description} &middot; {formatDateTime(d.createdAt)}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => handleDownloadDossier(d)} className="btn-secondary text-xs py-1">
+                    <Download className="w-3 h-3 mr-1" /> Download
+                  </button>
+                  {canSubmit && (
+                    <button
+                      onClick={() => handleSubmitDossier(d)}
+                      disabled={submittingDossier === d.id}
+                      className="btn-primary text-xs py-1"
+                    >
+                      {submittingDossier === d.id ? 'Submitting...' : 'Submit Dossier'}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {exhibits.length > 0 ? (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {evidence.map((e) => (
+            {exhibits.map((e) => (
               <div key={e.id} className="border border-gray-200 rounded-lg p-4 hover:border-blue-300 transition-colors">
                 <div className="flex items-start justify-between">
                   <div className="flex items-center gap-3">
@@ -1767,49 +3284,392 @@ function EvidenceTab({ caseId, evidence, onUpdate }) {
                 </div>
               )}
 
-              {/* Description */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Description (Optional)
-                </label>
-                <textarea
-                  value={description}
-                  onChange={(e) => setDescription(e.target.value)}
-                  placeholder="Add any notes about this evidence..."
-                  rows={3}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                />
-              </div>
-            </div>
+              {/* Description */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Description (Optional)
+                </label>
+                <textarea
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  placeholder="Add any notes about this evidence..."
+                  rows={3}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+
+            <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+              <button
+                onClick={() => setShowUploadModal(false)}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleUpload}
+                disabled={!uploadType || selectedFiles.length === 0 || uploading}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {uploading ? (
+                  <>
+                    <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                    Uploading...
+                  </>
+                ) : (
+                  <>
+                    <Upload className="w-4 h-4 mr-2" />
+                    Upload {selectedFiles.length > 0 ? `(${selectedFiles.length})` : ''}
+                  </>
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Rebuttal Letter Tab Component - Template-driven letter draft sent with the submission
+function RebuttalTab({ caseId, canEdit, canGenerate, onUpdate }) {
+  const [loading, setLoading] = useState(true);
+  const [templates, setTemplates] = useState([]);
+  const [templateKey, setTemplateKey] = useState('');
+  const [subject, setSubject] = useState('');
+  const [body, setBody] = useState('');
+  const [missingFields, setMissingFields] = useState([]);
+  const [savedDraft, setSavedDraft] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const applyLetter = (letter) => {
+    setTemplateKey(letter.templateKey || '');
+    setSubject(letter.subject || '');
+    setBody(letter.body || '');
+  };
+
+  useEffect(() => {
+    const fetchLetter = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get(`/cases/${caseId}/rebuttal`);
+        setTemplates(response.data.templates || []);
+        setSavedDraft(response.data.draft);
+        if (response.data.draft) {
+          applyLetter(response.data.draft);
+          setMissingFields([]);
+        } else if (response.data.generated) {
+          applyLetter(response.data.generated);
+          setMissingFields(response.data.generated.missingFields || []);
+        }
+        setDirty(false);
+      } catch (err) {
+        alert(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchLetter();
+  }, [caseId]);
+
+  const handleGenerate = async (key) => {
+    setGenerating(true);
+    try {
+      const response = await api.post(`/cases/${caseId}/rebuttal/preview`, { templateKey: key || undefined });
+      applyLetter(response.data.preview);
+      setMissingFields(response.data.preview.missingFields || []);
+      setDirty(true);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await api.put(`/cases/${caseId}/rebuttal`, {
+        templateKey: templateKey || undefined,
+        subject,
+        body
+      });
+      setSavedDraft(response.data.draft);
+      setDirty(false);
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card card-body flex items-center justify-center py-12">
+        <Loader2 className="w-6 h-6 text-omni-600 animate-spin" />
+      </div>
+    );
+  }
 
-            <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+  const unresolved = missingFields.filter((field) => body.includes(`[${field}]`) || subject.includes(`[${field}]`));
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <div>
+            <h3 className="font-semibold">Rebuttal Letter</h3>
+            <p className="text-xs text-gray-500 mt-1">
+              {savedDraft
+                ? `Draft saved by ${savedDraft.updatedByName || 'unknown'} ${formatRelativeTime(savedDraft.updatedAt)}`
+                : 'Not saved yet - generated from the template for this reason code'}
+            </p>
+          </div>
+          {canEdit && (
+            <div className="flex items-center gap-2">
+              <select
+                value={templateKey}
+                onChange={(e) => handleGenerate(e.target.value)}
+                disabled={generating}
+                className="input py-1.5 text-sm w-64"
+              >
+                {templates.map((template) => (
+                  <option key={template.key} value={template.key}>
+                    {template.name}{template.source !== 'builtin' ? ` (${template.source})` : ''}
+                  </option>
+                ))}
+              </select>
               <button
-                onClick={() => setShowUploadModal(false)}
+                onClick={() => handleGenerate(templateKey)}
+                disabled={generating}
                 className="btn-secondary"
+                title="Regenerate from template"
               >
-                Cancel
+                <RefreshCw className={`w-4 h-4 ${generating ? 'animate-spin' : ''}`} />
               </button>
+            </div>
+          )}
+        </div>
+        <div className="card-body space-y-4">
+          {unresolved.length > 0 && (
+            <div className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <div>
+                <p className="font-medium">Some details could not be filled from the case</p>
+                <p className="mt-1">
+                  Replace the bracketed placeholders before submitting: {unresolved.map((f) => `[${f}]`).join(', ')}
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+            <input
+              type="text"
+              value={subject}
+              onChange={(e) => { setSubject(e.target.value); setDirty(true); }}
+              disabled={!canEdit}
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Letter</label>
+            <textarea
+              value={body}
+              onChange={(e) => { setBody(e.target.value); setDirty(true); }}
+              disabled={!canEdit}
+              rows={22}
+              className="input font-mono text-sm"
+            />
+          </div>
+
+          {canEdit ? (
+            <div className="flex items-center justify-between">
+              <p className="text-xs text-gray-500">
+                The saved letter is sent with the portal submission and used as the dossier cover letter.
+              </p>
               <button
-                onClick={handleUpload}
-                disabled={!uploadType || selectedFiles.length === 0 || uploading}
-                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={handleSave}
+                disabled={saving || !dirty || !subject.trim() || !body.trim()}
+                className="btn-primary"
               >
-                {uploading ? (
+                {saving ? (
                   <>
-                    <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
-                    Uploading...
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    Saving...
                   </>
                 ) : (
                   <>
-                    <Upload className="w-4 h-4 mr-2" />
-                    Upload {selectedFiles.length > 0 ? `(${selectedFiles.length})` : ''}
+                    <CheckCircle className="w-4 h-4 mr-2" />
+                    Save Draft
                   </>
                 )}
               </button>
             </div>
-          </div>
+          ) : (
+            <p className="text-xs text-gray-500">
+              The letter can only be edited before the case is submitted.
+            </p>
+          )}
         </div>
-      )}
+      </div>
+
+      <NarrativesCard caseId={caseId} canGenerate={canGenerate} onUpdate={onUpdate} />
+    </div>
+  );
+}
+
+const NARRATIVE_KIND_LABELS = {
+  dispute_narrative: 'Dispute narrative',
+  case_summary: 'Case summary'
+};
+
+const REDACTION_LABELS = {
+  pan: 'card number',
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  loyaltyNumber: 'loyalty number',
+  fileName: 'file name'
+};
+
+function NarrativesCard({ caseId, canGenerate, onUpdate }) {
+  const [narratives, setNarratives] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [kind, setKind] = useState('dispute_narrative');
+  const [generating, setGenerating] = useState(false);
+  const [showPrompt, setShowPrompt] = useState(null);
+
+  useEffect(() => {
+    const fetchNarratives = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get(`/cases/${caseId}/narratives`);
+        setNarratives(response.data.narratives || []);
+      } catch (err) {
+        alert(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchNarratives();
+  }, [caseId]);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const response = await api.post(`/cases/${caseId}/narratives`, { kind });
+      setNarratives((current) => [response.data.narrative, ...current]);
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold flex items-center gap-2">
+            <Brain className="w-4 h-4" /> AI Narratives
+          </h3>
+          <p className="text-xs text-gray-500 mt-1">
+            Card numbers and guest details are redacted before the case is sent to the model.
+          </p>
+        </div>
+        {canGenerate && (
+          <div className="flex items-center gap-2">
+            <select
+              value={kind}
+              onChange={(e) => setKind(e.target.value)}
+              disabled={generating}
+              className="input py-1.5 text-sm w-48"
+            >
+              {Object.entries(NARRATIVE_KIND_LABELS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <button onClick={handleGenerate} disabled={generating} className="btn-secondary">
+              {generating ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Brain className="w-4 h-4 mr-2" />
+              )}
+              Generate
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="flex items-center justify-center py-6">
+            <Loader2 className="w-5 h-5 text-omni-600 animate-spin" />
+          </div>
+        ) : narratives.length === 0 ? (
+          <p className="text-sm text-gray-500">No narratives generated for this case yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {narratives.map((narrative) => {
+              const redactions = Object.entries(narrative.redactions || {}).filter(([, count]) => count > 0);
+              return (
+                <div key={narrative.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <p className="font-medium text-sm">{NARRATIVE_KIND_LABELS[narrative.kind] || narrative.kind}</p>
+                      <p className="text-xs text-gray-500 mt-0.5">
+                        {narrative.provider} / {narrative.model} · {formatRelativeTime(narrative.createdAt)}
+                      </p>
+                    </div>
+                    <div className="text-right text-xs text-gray-500">
+                      <p>{narrative.promptTokens + narrative.completionTokens} tokens ({narrative.promptTokens} in / {narrative.completionTokens} out)</p>
+                      <p>${Number(narrative.costUsd).toFixed(4)}</p>
+                    </div>
+                  </div>
+
+                  {narrative.fallbackReason && (
+                    <div className="flex items-start gap-2 mt-3 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+                      <AlertTriangle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+                      <span>Written by the offline rule-based provider: {narrative.fallbackReason}</span>
+                    </div>
+                  )}
+
+                  <p className="mt-3 text-sm text-gray-800 whitespace-pre-wrap">{narrative.output}</p>
+
+                  <div className="mt-3 flex items-center justify-between text-xs text-gray-500">
+                    <span className="flex items-center gap-1">
+                      <Lock className="w-3 h-3" />
+                      {redactions.length > 0
+                        ? `Redacted: ${redactions.map(([key, count]) => `${count} ${REDACTION_LABELS[key] || key}`).join(', ')}`
+                        : 'Nothing needed redacting'}
+                    </span>
+                    <button
+                      onClick={() => setShowPrompt(showPrompt === narrative.id ? null : narrative.id)}
+                      className="text-omni-600 hover:text-omni-700 flex items-center gap-1"
+                    >
+                      {showPrompt === narrative.id ? <EyeOff className="w-3 h-3" /> : <Eye className="w-3 h-3" />}
+                      {showPrompt === narrative.id ? 'Hide prompt' : 'Prompt sent'}
+                    </button>
+                  </div>
+
+                  {showPrompt === narrative.id && (
+                    <div className="mt-3 space-y-2">
+                      <pre className="p-3 bg-gray-50 rounded text-xs text-gray-700 whitespace-pre-wrap">{narrative.prompt?.system}</pre>
+                      <pre className="p-3 bg-gray-50 rounded text-xs text-gray-700 whitespace-pre-wrap">{narrative.prompt?.user}</pre>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -1879,58 +3739,204 @@ function TimelineTab({ timeline }) {
   );
 }
 
+// Change History Tab Component
+const HISTORY_ACTORS = {
+  USER: { label: 'User', className: 'bg-blue-50 text-blue-700' },
+  AI_AGENT: { label: 'AI agent', className: 'bg-purple-50 text-purple-700' },
+  SYNC: { label: 'Sync', className: 'bg-teal-50 text-teal-700' },
+  WEBHOOK: { label: 'Webhook', className: 'bg-orange-50 text-orange-700' },
+  SYSTEM: { label: 'System', className: 'bg-gray-100 text-gray-600' }
+};
+
+const HISTORY_AMOUNT_FIELDS = [
+  'amount', 'settlementAmount', 'propertyAmount', 'transactionAmount', 'recoveredAmount', 'writeOffAmount',
+  'totalAmount', 'rateAmount'
+];
+
+function historyFieldLabel(field) {
+  return field.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase());
+}
+
+function formatHistoryValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (HISTORY_AMOUNT_FIELDS.includes(field)) return Number(value).toFixed(2);
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatDateTime(value);
+  if (typeof value === 'string') return value.replace(/_/g, ' ');
+  return String(value);
+}
+
+function HistoryTab({ caseId }) {
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ entityType: '', actorType: '' });
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({ limit: '200' });
+        if (filters.entityType) params.set('entityType', filters.entityType);
+        if (filters.actorType) params.set('actorType', filters.actorType);
+        const response = await api.get(`/cases/${caseId}/history?${params}`);
+        setChanges(response.data.changes || []);
+      } catch (err) {
+        alert(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistory();
+  }, [caseId, filters.entityType, filters.actorType]);
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Change History</h3>
+          <p className="text-xs text-gray-500 mt-1">Every field change to this case, its evidence and its reservation</p>
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={filters.entityType}
+            onChange={(e) => setFilters({ ...filters, entityType: e.target.value })}
+            className="input py-1 text-sm w-auto"
+          >
+            <option value="">All records</option>
+            <option value="Chargeback">Case</option>
+            <option value="Evidence">Evidence</option>
+            <option value="Reservation">Reservation</option>
+          </select>
+          <select
+            value={filters.actorType}
+            onChange={(e) => setFilters({ ...filters, actorType: e.target.value })}
+            className="input py-1 text-sm w-auto"
+          >
+            <option value="">All actors</option>
+            {Object.entries(HISTORY_ACTORS).map(([type, actor]) => (
+              <option key={type} value={type}>{actor.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="w-6 h-6 text-omni-600 animate-spin" />
+          </div>
+        ) : changes.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Field</th>
+                  <th>Change</th>
+                  <th>By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map((change) => {
+                  const actor = HISTORY_ACTORS[change.actorType] || HISTORY_ACTORS.SYSTEM;
+                  return (
+                    <tr key={change.id}>
+                      <td className="whitespace-nowrap text-sm text-gray-500">{formatDateTime(change.createdAt)}</td>
+                      <td className="text-sm">
+                        <span className="font-medium">{historyFieldLabel(change.field)}</span>
+                        {change.entityType !== 'Chargeback' && (
+                          <span className="block text-xs text-gray-400">
+                            {change.entityType === 'Evidence' ? 'Evidence' : 'Reservation'}
+                          </span>
+                        )}
+                      </td>
+                      <td className="text-sm">
+                        <span className="text-gray-500 line-through">{formatHistoryValue(change.field, change.oldValue)}</span>
+                        <ChevronRight className="w-3 h-3 inline mx-1 text-gray-400" />
+                        <span className="font-medium">{formatHistoryValue(change.field, change.newValue)}</span>
+                        {change.reason && <span className="block text-xs text-gray-500 mt-0.5">{change.reason}</span>}
+                      </td>
+                      <td className="text-sm">
+                        <span className={`inline-block text-xs px-2 py-0.5 rounded-full ${actor.className}`}>{actor.label}</span>
+                        <span className="block text-xs text-gray-600 mt-0.5">
+                          {change.user ? `${change.user.firstName} ${change.user.lastName}` : change.actorLabel}
+                          {change.source && <span className="text-gray-400"> · {change.source}</span>}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-500">
+            <History className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+            <p>No recorded changes</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // Notes Tab Component
-function NotesTab({ caseId, notes, onUpdate }) {
-  const [newNote, setNewNote] = useState('');
-  const [submitting, setSubmitting] = useState(false);
+function NotesTab({ caseId, propertyId, notes, user, onUpdate }) {
+  const [users, setUsers] = useState([]);
+  const [replyTo, setReplyTo] = useState(null);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!newNote.trim()) return;
+  useEffect(() => {
+    if (!propertyId) return;
+    api.get(`/cases/workload?propertyId=${propertyId}`)
+      .then((response) => setUsers((response.data.users || []).filter((u) => u.id !== user?.id)))
+      .catch(() => setUsers([]));
+  }, [propertyId]);
 
-    setSubmitting(true);
-    try {
-      await api.post(`/cases/${caseId}/notes`, { content: newNote });
-      setNewNote('');
-      onUpdate();
-    } catch (err) {
-      alert(err.message);
-    } finally {
-      setSubmitting(false);
-    }
-  };
+  const canWrite = user?.role !== 'READONLY';
 
   return (
     <div className="card">
       <div className="card-header">
         <h3 className="font-semibold">Case Notes</h3>
+        <p className="text-xs text-gray-500 mt-1">
+          Internal notes stay with your team. Shared notes can be quoted in rebuttal letters.
+        </p>
       </div>
       <div className="card-body">
-        <form onSubmit={handleSubmit} className="mb-6">
-          <textarea
-            value={newNote}
-            onChange={(e) => setNewNote(e.target.value)}
-            placeholder="Add a note..."
-            rows={3}
-            className="input"
-          />
-          <button
-            type="submit"
-            disabled={submitting || !newNote.trim()}
-            className="btn-primary mt-2"
-          >
-            {submitting ? 'Adding...' : 'Add Note'}
-          </button>
-        </form>
+        {canWrite && (
+          <div className="mb-6">
+            <NoteComposer caseId={caseId} users={users} onPosted={onUpdate} />
+          </div>
+        )}
 
         {notes?.length > 0 ? (
           <div className="space-y-4">
             {notes.map((note) => (
               <div key={note.id} className="border-l-4 border-omni-200 pl-4 py-2">
-                <p className="text-sm">{note.content}</p>
-                <p className="text-xs text-gray-400 mt-2">
-                  {note.user?.firstName} {note.user?.lastName} - {formatDateTime(note.createdAt)}
-                </p>
+                <NoteItem caseId={caseId} note={note} canWrite={canWrite} onUpdate={onUpdate} />
+                {note.replies?.length > 0 && (
+                  <div className="mt-3 ml-4 space-y-3 border-l-2 border-gray-100 pl-4">
+                    {note.replies.map((reply) => (
+                      <NoteItem key={reply.id} caseId={caseId} note={reply} canWrite={canWrite} onUpdate={onUpdate} />
+                    ))}
+                  </div>
+                )}
+                {canWrite && (
+                  replyTo === note.id ? (
+                    <div className="mt-3 ml-4">
+                      <NoteComposer
+                        caseId={caseId}
+                        users={users}
+                        parent={note}
+                        onPosted={() => { setReplyTo(null); onUpdate(); }}
+                        onCancel={() => setReplyTo(null)}
+                      />
+                    </div>
+                  ) : (
+                    <button onClick={() => setReplyTo(note.id)} className="text-xs text-omni-600 hover:underline mt-2 flex items-center gap-1">
+                      <Reply className="w-3 h-3" /> Reply
+                    </button>
+                  )
+                )}
               </div>
             ))}
           </div>
@@ -1944,3 +3950,204 @@ function NotesTab({ caseId, notes, onUpdate }) {
     </div>
   );
 }
+
+function mentionName(u) {
+  return `@${u.firstName} ${u.lastName}`;
+}
+
+// Note or reply form with mentions, attachments and the internal/shared switch
+function NoteComposer({ caseId, users, parent, onPosted, onCancel }) {
+  const [content, setContent] = useState('');
+  const [isInternal, setIsInternal] = useState(parent ? parent.isInternal : true);
+  const [mentions, setMentions] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Replies in an internal thread are always internal
+  const lockedInternal = parent?.isInternal;
+
+  const addMention = (userId) => {
+    const mentioned = users.find((u) => u.id === userId);
+    if (!mentioned || mentions.some((u) => u.id === userId)) return;
+    setMentions([...mentions, mentioned]);
+    setContent((current) => `${current}${current && !current.endsWith(' ') ? ' ' : ''}${mentionName(mentioned)} `);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSubmitting(true);
+    try {
+      // Only keep mentions whose name is still in the text
+      const mentionIds = mentions.filter((u) => content.includes(mentionName(u))).map((u) => u.id);
+      const formData = new FormData();
+      formData.append('content', content);
+      formData.append('isInternal', String(lockedInternal || isInternal));
+      if (parent) formData.append('parentId', parent.id);
+      if (mentionIds.length) formData.append('mentions', JSON.stringify(mentionIds));
+      files.forEach((file) => formData.append('files', file));
+
+      await api.upload(`/cases/${caseId}/notes`, formData);
+      setContent('');
+      setMentions([]);
+      setFiles([]);
+      onPosted();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={parent ? 'Write a reply...' : 'Add a note...'}
+        rows={parent ? 2 : 3}
+        className="input"
+      />
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {files.map((file, index) => (
+            <span key={index} className="inline-flex items-center gap-1 text-xs bg-gray-100 rounded px-2 py-1">
+              <Paperclip className="w-3 h-3" /> {file.name}
+              <button type="button" onClick={() => setFiles(files.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-500">
+                <XCircle className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-3 mt-2">
+        <button type="submit" disabled={submitting || !content.trim()} className="btn-primary">
+          {submitting ? 'Posting...' : parent ? 'Reply' : 'Add Note'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary">Cancel</button>
+        )}
+        {users.length > 0 && (
+          <label className="flex items-center gap-1 text-sm text-gray-600">
+            <AtSign className="w-4 h-4" />
+            <select value="" onChange={(e) => addMention(e.target.value)} className="input py-1 text-sm w-auto">
+              <option value="">Mention...</option>
+              {users.map((u) => (
+                <option key={u.id} value={u.id}>{u.firstName} {u.lastName}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center gap-1 text-sm text-gray-600 cursor-pointer">
+          <Paperclip className="w-4 h-4" /> Attach
+          <input
+            type="file"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              setFiles([...files, ...Array.from(e.target.files)].slice(0, 5));
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={lockedInternal || isInternal}
+            disabled={lockedInternal}
+            onChange={(e) => setIsInternal(e.target.checked)}
+          />
+          Internal
+        </label>
+      </div>
+    </form>
+  );
+}
+
+function NoteItem({ caseId, note, canWrite, onUpdate }) {
+  const [promoting, setPromoting] = useState(null);
+  const [promoteType, setPromoteType] = useState('OTHER');
+  const [saving, setSaving] = useState(false);
+
+  const download = async (attachment) => {
+    try {
+      const response = await api.get(`/cases/${caseId}/notes/${note.id}/attachments/${attachment.id}/download`);
+      window.open(response.data.downloadUrl, '_blank', 'noreferrer');
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const promote = async (attachment) => {
+    setSaving(true);
+    try {
+      await api.post(`/cases/${caseId}/notes/${note.id}/attachments/${attachment.id}/promote`, { type: promoteType });
+      setPromoting(null);
+      onUpdate();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-1">
+        {note.isInternal ? (
+          <span className="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+            <Lock className="w-3 h-3" /> Internal
+          </span>
+        ) : (
+          <span className="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">
+            <Users className="w-3 h-3" /> Shared
+          </span>
+        )}
+        {note.mentions?.length > 0 && (
+          <span className="text-xs text-gray-500">
+            mentions {note.mentions.map((u) => `${u.firstName} ${u.lastName}`).join(', ')}
+          </span>
+        )}
+      </div>
+      <p className="text-sm whitespace-pre-wrap">{note.content}</p>
+      {note.attachments?.length > 0 && (
+        <div className="mt-2 space-y-1">
+          {note.attachments.map((attachment) => (
+            <div key={attachment.id} className="flex flex-wrap items-center gap-2 text-xs">
+              <button onClick={() => download(attachment)} className="inline-flex items-center gap-1 text-omni-600 hover:underline">
+                <Paperclip className="w-3 h-3" /> {attachment.fileName}
+              </button>
+              {attachment.evidenceId ? (
+                <span className="inline-flex items-center gap-1 text-green-700">
+                  <CheckCircle className="w-3 h-3" /> In evidence
+                </span>
+              ) : canWrite && (
+                promoting === attachment.id ? (
+                  <>
+                    <select value={promoteType} onChange={(e) => setPromoteType(e.target.value)} className="input py-0.5 text-xs w-auto">
+                      {EVIDENCE_TYPE_OPTIONS.map((type) => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                    <button onClick={() => promote(attachment)} disabled={saving} className="btn-primary text-xs py-0.5">
+                      {saving ? 'Adding...' : 'Add'}
+                    </button>
+                    <button onClick={() => setPromoting(null)} className="text-gray-500 hover:underline">Cancel</button>
+                  </>
+                ) : (
+                  <button onClick={() => setPromoting(attachment.id)} className="text-gray-500 hover:text-omni-600 hover:underline">
+                    Add to evidence
+                  </button>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="text-xs text-gray-400 mt-2">
+        {note.user?.firstName} {note.user?.lastName} - {formatDateTime(note.createdAt)}
+      </p>
+    </div>
+  );
+}
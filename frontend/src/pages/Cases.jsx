@@ -13,9 +13,13 @@ import {
   RefreshCw,
   Plus,
   Download,
-  Eye
+  Eye,
+  X,
+  Save,
+  Trash2
 } from 'lucide-react';
 import { api, formatCurrency, formatDate, getStatusColor } from '../utils/api';
+import { useAuth } from '../hooks/useAuth';
 
 const STATUS_OPTIONS = [
   { value: '', label: 'All Statuses' },
@@ -24,30 +28,106 @@ const STATUS_OPTIONS = [
   { value: 'SUBMITTED', label: 'Submitted' },
   { value: 'WON', label: 'Won' },
   { value: 'LOST', label: 'Lost' },
+  { value: 'ACCEPTED', label: 'Accepted' },
   { value: 'EXPIRED', label: 'Expired' }
 ];
 
+// Queue tabs map to the list endpoint's assignee/watching filters
+const QUEUE_TABS = [
+  { value: '', label: 'All Cases' },
+  { value: 'mine', label: 'My Queue', params: { assignee: 'me' } },
+  { value: 'unassigned', label: 'Unassigned', params: { assignee: 'unassigned' } },
+  { value: 'watching', label: 'Watching', params: { watching: 'true' } }
+];
+
+// Bulk actions; roles mirror the backend BULK_OPERATIONS table
+const BULK_ACTIONS = [
+  { value: 'analyze', label: 'Re-run Analysis', staff: true },
+  { value: 'status', label: 'Change Status' },
+  { value: 'assign', label: 'Assign' },
+  { value: 'accept_liability', label: 'Accept Liability' },
+  { value: 'export', label: 'Export CSV', readonly: true }
+];
+
+const BULK_POLL_INTERVAL_MS = 2000;
+
+const EXPRESSION_PLACEHOLDER =
+  'e.g. cardBrand = VISA AND reasonCode = "10.4" AND amount > 500 AND evidence != ID_SCAN AND dueDate <= +7d';
+
+// Filters sent to the list endpoint (and to bulk operations and saved views).
+// A saved view's other filters (assignee, provider, dates) sit in viewParams.
+function buildListFilter(filters) {
+  const filter = { ...(filters.viewParams || {}) };
+  if (filters.search) filter.search = filters.search;
+  if (filters.status) filter.status = filters.status;
+  if (filters.q) filter.q = filters.q;
+  const queue = QUEUE_TABS.find((t) => t.value === filters.queue);
+  Object.assign(filter, queue?.params || {});
+  return filter;
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 export default function Cases() {
+  const { user, isManager } = useAuth();
   const [searchParams, setSearchParams] = useSearchParams();
   const [cases, setCases] = useState([]);
   const [pagination, setPagination] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkOperation, setBulkOperation] = useState(null);
+  const [views, setViews] = useState([]);
+  const [showSaveView, setShowSaveView] = useState(false);
 
   // Filter state from URL params
   const [filters, setFilters] = useState({
     search: searchParams.get('search') || '',
     status: searchParams.get('status') || '',
+    q: searchParams.get('q') || '',
+    queue: searchParams.get('queue') || '',
+    view: searchParams.get('view') || '',
+    viewParams: null,
     page: parseInt(searchParams.get('page')) || 1,
     limit: 20
   });
+  // The expression is only applied on submit, so partial input isn't sent
+  const [expression, setExpression] = useState(filters.q);
+
+  const fetchViews = async () => {
+    try {
+      const response = await api.get('/cases/views?counts=true');
+      setViews(response.data.views);
+      return response.data.views;
+    } catch (err) {
+      console.debug('Could not load saved views:', err.message);
+      return [];
+    }
+  };
+
+  // Restore a view opened from the URL once the views have loaded
+  useEffect(() => {
+    fetchViews().then((loaded) => {
+      const view = loaded.find((v) => v.id === filters.view);
+      if (view && !filters.viewParams) {
+        const { search, status, q, ...viewParams } = view.filters;
+        setFilters((prev) => ({ ...prev, viewParams }));
+      }
+    });
+  }, []);
 
   const fetchCases = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams();
-      if (filters.search) params.set('search', filters.search);
-      if (filters.status) params.set('status', filters.status);
+      const params = new URLSearchParams(buildListFilter(filters));
       params.set('page', filters.page);
       params.set('limit', filters.limit);
 
@@ -64,23 +144,143 @@ export default function Cases() {
 
   useEffect(() => {
     fetchCases();
+    setSelected([]);
+    setAllMatching(false);
     // Update URL params
     const params = new URLSearchParams();
     if (filters.search) params.set('search', filters.search);
     if (filters.status) params.set('status', filters.status);
+    if (filters.q) params.set('q', filters.q);
+    if (filters.queue) params.set('queue', filters.queue);
+    if (filters.view) params.set('view', filters.view);
     if (filters.page > 1) params.set('page', filters.page);
     setSearchParams(params);
   }, [filters]);
 
   const handleSearch = (e) => {
     e.preventDefault();
-    setFilters({ ...filters, page: 1 });
+    setFilters({ ...filters, q: expression.trim(), page: 1 });
+  };
+
+  const selectQueue = (queue) => {
+    setFilters({ ...filters, queue, view: '', viewParams: null, page: 1 });
+  };
+
+  const selectView = (view) => {
+    const { search = '', status = '', q = '', ...viewParams } = view.filters;
+    setFilters({ ...filters, queue: '', view: view.id, viewParams, search, status, q, page: 1 });
+    setExpression(q);
+  };
+
+  const currentViewFilters = () => {
+    const current = buildListFilter({ ...filters, q: expression.trim() });
+    if (!current.q) delete current.q;
+    return current;
+  };
+
+  const handleSaveView = async ({ name, shared }) => {
+    try {
+      const response = await api.post('/cases/views', { name, shared, filters: currentViewFilters() });
+      setShowSaveView(false);
+      await fetchViews();
+      selectView(response.data.view);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const activeView = views.find((v) => v.id === filters.view);
+
+  const handleUpdateView = async () => {
+    try {
+      await api.put(`/cases/views/${activeView.id}`, { filters: currentViewFilters() });
+      setFilters({ ...filters, q: expression.trim(), page: 1 });
+      fetchViews();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDeleteView = async () => {
+    try {
+      await api.delete(`/cases/views/${activeView.id}`);
+      selectQueue('');
+      fetchViews();
+    } catch (err) {
+      alert(err.message);
+    }
   };
 
   const handlePageChange = (newPage) => {
     setFilters({ ...filters, page: newPage });
   };
 
+  // Poll the running bulk operation until it finishes
+  useEffect(() => {
+    if (!bulkOperation || !['queued', 'running'].includes(bulkOperation.status)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/cases/bulk/${bulkOperation.id}`);
+        const next = response.data.bulkOperation;
+        setBulkOperation(next);
+        if (next.status === 'completed') {
+          if (next.operation === 'export') {
+            await downloadExport(next);
+          } else {
+            fetchCases();
+            fetchViews();
+          }
+        }
+      } catch (err) {
+        setBulkOperation({ ...bulkOperation, status: 'failed', errorMessage: err.message });
+      }
+    }, BULK_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [bulkOperation]);
+
+  const downloadExport = async (operation) => {
+    try {
+      const { blob, fileName } = await api.download(`/cases/bulk/${operation.id}/download`);
+      saveBlob(blob, fileName || 'cases-export.csv');
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const startBulkOperation = async (operation, params = {}, useFilter = allMatching) => {
+    try {
+      const body = useFilter
+        ? { operation, filter: buildListFilter(filters), params }
+        : { operation, caseIds: selected, params };
+      const response = await api.post('/cases/bulk', body);
+      setBulkOperation(response.data.bulkOperation);
+      setSelected([]);
+      setAllMatching(false);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const toggleSelected = (caseId) => {
+    setAllMatching(false);
+    setSelected((prev) => (
+      prev.includes(caseId) ? prev.filter((id) => id !== caseId) : [...prev, caseId]
+    ));
+  };
+
+  const pageSelected = cases.length > 0 && cases.every((c) => selected.includes(c.id));
+
+  const togglePage = () => {
+    setAllMatching(false);
+    setSelected(pageSelected ? [] : cases.map((c) => c.id));
+  };
+
+  const bulkActions = BULK_ACTIONS.filter((action) => (
+    isManager || (action.staff && user?.role === 'STAFF') || action.readonly
+  ));
+
   return (
     <div className="space-y-6">
       {/* Page Header */}
@@ -92,7 +292,11 @@ export default function Cases() {
           </p>
         </div>
         <div className="flex gap-3">
-          <button className="btn-secondary">
+          <button
+            onClick={() => startBulkOperation('export', {}, true)}
+            disabled={!pagination.total || ['queued', 'running'].includes(bulkOperation?.status)}
+            className="btn-secondary"
+          >
             <Download className="w-4 h-4 mr-2" />
             Export
           </button>
@@ -103,39 +307,135 @@ export default function Cases() {
         </div>
       </div>
 
+      {/* Queue Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-6 overflow-x-auto">
+          {QUEUE_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => selectQueue(tab.value)}
+              className={`pb-3 text-sm font-medium border-b-2 whitespace-nowrap ${
+                !filters.view && filters.queue === tab.value
+                  ? 'border-omni-600 text-omni-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+          {views.map((view) => (
+            <button
+              key={view.id}
+              onClick={() => selectView(view)}
+              title={view.shared ? `Shared by ${view.owner.firstName} ${view.owner.lastName}` : undefined}
+              className={`pb-3 text-sm font-medium border-b-2 whitespace-nowrap ${
+                filters.view === view.id
+                  ? 'border-omni-600 text-omni-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {view.name}
+              {view.count !== null && view.count !== undefined && (
+                <span className="ml-2 px-1.5 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+                  {view.count}
+                </span>
+              )}
+            </button>
+          ))}
+        </nav>
+      </div>
+
       {/* Filters */}
-      <div className="card card-body">
-        <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-4">
-          <div className="flex-1 relative">
-            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+      <div className="card card-body space-y-4">
+        <form onSubmit={handleSearch} className="space-y-4">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <div className="flex-1 relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search by case #, guest name, or email..."
+                value={filters.search}
+                onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
+                className="input pl-10"
+              />
+            </div>
+            <div className="sm:w-48">
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+                className="input"
+              >
+                {STATUS_OPTIONS.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+                {filters.status && !STATUS_OPTIONS.some((opt) => opt.value === filters.status) && (
+                  <option value={filters.status}>{filters.status.replace(/,/g, ', ')}</option>
+                )}
+              </select>
+            </div>
+            <button type="submit" className="btn-primary sm:w-auto">
+              <Filter className="w-4 h-4 mr-2" />
+              Apply
+            </button>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-4">
             <input
               type="text"
-              placeholder="Search by case #, guest name, or email..."
-              value={filters.search}
-              onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
-              className="input pl-10"
+              placeholder={EXPRESSION_PLACEHOLDER}
+              value={expression}
+              onChange={(e) => setExpression(e.target.value)}
+              className="input flex-1 font-mono text-xs"
             />
+            {activeView?.editable && (
+              <>
+                <button type="button" onClick={handleUpdateView} className="btn-secondary sm:w-auto">
+                  <Save className="w-4 h-4 mr-2" />
+                  Update View
+                </button>
+                <button type="button" onClick={handleDeleteView} className="btn-secondary sm:w-auto">
+                  <Trash2 className="w-4 h-4 mr-2" />
+                  Delete View
+                </button>
+              </>
+            )}
+            <button type="button" onClick={() => setShowSaveView(!showSaveView)} className="btn-secondary sm:w-auto">
+              <Save className="w-4 h-4 mr-2" />
+              Save as View
+            </button>
           </div>
-          <div className="sm:w-48">
-            <select
-              value={filters.status}
-              onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
-              className="input"
-            >
-              {STATUS_OPTIONS.map((opt) => (
-                <option key={opt.value} value={opt.value}>
-                  {opt.label}
-                </option>
-              ))}
-            </select>
-          </div>
-          <button type="submit" className="btn-primary sm:w-auto">
-            <Filter className="w-4 h-4 mr-2" />
-            Apply
-          </button>
         </form>
+        {showSaveView && (
+          <SaveViewForm
+            canShare={isManager}
+            onSave={handleSaveView}
+            onCancel={() => setShowSaveView(false)}
+          />
+        )}
       </div>
 
+      {bulkOperation && (
+        <BulkProgress
+          operation={bulkOperation}
+          onDownload={() => downloadExport(bulkOperation)}
+          onDismiss={() => setBulkOperation(null)}
+        />
+      )}
+
+      {selected.length > 0 && (
+        <BulkActionBar
+          actions={bulkActions}
+          selectedCount={selected.length}
+          totalCount={pagination.total || 0}
+          allMatching={allMatching}
+          onSelectAllMatching={() => setAllMatching(true)}
+          onClear={() => { setSelected([]); setAllMatching(false); }}
+          onRun={startBulkOperation}
+          busy={['queued', 'running'].includes(bulkOperation?.status)}
+        />
+      )}
+
       {/* Cases Table */}
       <div className="card overflow-hidden">
         {loading && !cases.length ? (
@@ -156,6 +456,14 @@ export default function Cases() {
               <table className="table">
                 <thead>
                   <tr>
+                    <th className="w-10">
+                      <input
+                        type="checkbox"
+                        checked={pageSelected}
+                        onChange={togglePage}
+                        aria-label="Select all cases on this page"
+                      />
+                    </th>
                     <th>Case #</th>
                     <th>Guest</th>
                     <th>Amount</th>
@@ -163,12 +471,21 @@ export default function Cases() {
                     <th>Status</th>
                     <th>Confidence</th>
                     <th>Due Date</th>
+                    <th>Assignee</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-200">
                   {cases.map((c) => (
-                    <tr key={c.id}>
+                    <tr key={c.id} className={selected.includes(c.id) ? 'bg-omni-50' : undefined}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(c.id)}
+                          onChange={() => toggleSelected(c.id)}
+                          aria-label={`Select ${c.caseNumber}`}
+                        />
+                      </td>
                       <td>
                         <Link
                           to={`/cases/${c.id}`}
@@ -238,6 +555,13 @@ export default function Cases() {
                           <span className="text-gray-400">-</span>
                         )}
                       </td>
+                      <td className="text-sm">
+                        {c.assignee ? (
+                          `${c.assignee.firstName} ${c.assignee.lastName}`
+                        ) : (
+                          <span className="text-gray-400">Unassigned</span>
+                        )}
+                      </td>
                       <td>
                         <Link
                           to={`/cases/${c.id}`}
@@ -250,7 +574,7 @@ export default function Cases() {
                   ))}
                   {cases.length === 0 && (
                     <tr>
-                      <td colSpan={8} className="text-center py-12 text-gray-500">
+                      <td colSpan={10} className="text-center py-12 text-gray-500">
                         No cases found
                       </td>
                     </tr>
@@ -294,3 +618,195 @@ export default function Cases() {
     </div>
   );
 }
+
+function BulkActionBar({
+  actions, selectedCount, totalCount, allMatching, onSelectAllMatching, onClear, onRun, busy
+}) {
+  const [action, setAction] = useState(actions[0]?.value || '');
+  const [status, setStatus] = useState('IN_REVIEW');
+  const [assigneeId, setAssigneeId] = useState('');
+  const [reason, setReason] = useState('');
+  const [acceptanceReason, setAcceptanceReason] = useState('');
+  const [acceptanceReasons, setAcceptanceReasons] = useState([]);
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    if (action !== 'assign' || users.length) return;
+    api.get('/cases/workload')
+      .then((response) => setUsers(response.data.users || []))
+      .catch((err) => alert(err.message));
+  }, [action]);
+
+  useEffect(() => {
+    if (action !== 'accept_liability' || acceptanceReasons.length) return;
+    api.get('/cases/acceptance-reasons')
+      .then((response) => setAcceptanceReasons(response.data.reasons || []))
+      .catch((err) => alert(err.message));
+  }, [action]);
+
+  const count = allMatching ? totalCount : selectedCount;
+
+  const handleRun = () => {
+    if (action === 'status') {
+      onRun('status', { status, ...(reason && { notes: reason }) });
+    } else if (action === 'assign') {
+      onRun('assign', { assigneeId: assigneeId || null, ...(reason && { reason }) });
+    } else if (action === 'accept_liability') {
+      onRun('accept_liability', { acceptanceReason, ...(reason && { reason }) });
+    } else {
+      onRun(action);
+    }
+  };
+
+  return (
+    <div className="card card-body space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-700">
+          <span className="font-medium">{count}</span> case{count === 1 ? '' : 's'} selected
+          {!allMatching && totalCount > selectedCount && (
+            <button onClick={onSelectAllMatching} className="ml-3 text-omni-600 hover:text-omni-700">
+              Select all {totalCount} matching cases
+            </button>
+          )}
+        </p>
+        <button onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">
+          Clear selection
+        </button>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <select value={action} onChange={(e) => setAction(e.target.value)} className="input sm:w-48">
+          {actions.map((a) => (
+            <option key={a.value} value={a.value}>{a.label}</option>
+          ))}
+        </select>
+        {action === 'status' && (
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="input sm:w-40">
+            {STATUS_OPTIONS.filter((opt) => opt.value).map((opt) => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        )}
+        {action === 'assign' && (
+          <select value={assigneeId} onChange={(e) => setAssigneeId(e.target.value)} className="input sm:w-56">
+            <option value="">Unassigned</option>
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.firstName} {u.lastName} ({u.openCases} open)
+              </option>
+            ))}
+          </select>
+        )}
+        {action === 'accept_liability' && (
+          <select value={acceptanceReason} onChange={(e) => setAcceptanceReason(e.target.value)} className="input sm:w-56">
+            <option value="">Select a reason</option>
+            {acceptanceReasons.map((r) => (
+              <option key={r.value} value={r.value}>{r.label}</option>
+            ))}
+          </select>
+        )}
+        {['status', 'assign', 'accept_liability'].includes(action) && (
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={action === 'assign' ? 'Reason (optional)' : 'Notes (optional)'}
+            className="input flex-1"
+          />
+        )}
+        <button
+          onClick={handleRun}
+          disabled={busy || !action || (action === 'accept_liability' && !acceptanceReason)}
+          className="btn-primary sm:w-auto"
+        >
+          Apply to {count}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function BulkProgress({ operation, onDownload, onDismiss }) {
+  const label = BULK_ACTIONS.find((a) => a.value === operation.operation)?.label || operation.operation;
+  const active = ['queued', 'running'].includes(operation.status);
+  const progress = operation.total ? Math.round((operation.processed / operation.total) * 100) : 0;
+  const problems = (operation.results || []).filter((r) => r.result !== 'succeeded');
+
+  return (
+    <div className="card card-body space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium text-gray-900">
+          {label}: {active ? `${operation.processed} of ${operation.total} processed` : operation.status}
+        </p>
+        {!active && (
+          <button onClick={onDismiss} className="p-1 rounded hover:bg-gray-100">
+            <X className="w-4 h-4 text-gray-500" />
+          </button>
+        )}
+      </div>
+      <div className="w-full h-2 bg-gray-200 rounded-full">
+        <div
+          className={`h-full rounded-full ${operation.status === 'failed' ? 'bg-red-500' : 'bg-omni-600'}`}
+          style={{ width: `${active ? progress : 100}%` }}
+        />
+      </div>
+      {operation.status === 'failed' && (
+        <p className="text-sm text-red-600">{operation.errorMessage || 'Bulk operation failed'}</p>
+      )}
+      {operation.status === 'completed' && (
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <span className="text-green-600">{operation.succeeded} succeeded</span>
+          <span className="text-gray-500">{operation.skipped} skipped</span>
+          <span className="text-red-600">{operation.failed} failed</span>
+          {operation.resultKey && (
+            <button onClick={onDownload} className="text-omni-600 hover:text-omni-700">
+              Download CSV
+            </button>
+          )}
+        </div>
+      )}
+      {!active && problems.length > 0 && (
+        <ul className="text-xs text-gray-600 space-y-1 max-h-40 overflow-y-auto">
+          {problems.map((r) => (
+            <li key={r.caseId}>
+              <span className="font-medium">{r.caseNumber || r.caseId}</span>: {r.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function SaveViewForm({ canShare, onSave, onCancel }) {
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (name.trim()) onSave({ name: name.trim(), shared });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row sm:items-center gap-4 pt-4 border-t border-gray-200">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="View name"
+        maxLength={100}
+        className="input sm:w-64"
+        autoFocus
+      />
+      {canShare && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+          Share with property
+        </label>
+      )}
+      <div className="flex gap-2">
+        <button type="submit" disabled={!name.trim()} className="btn-primary">Save View</button>
+        <button type="button" onClick={onCancel} className="btn-secondary">Cancel</button>
+      </div>
+    </form>
+  );
+}
@@ -19,6 +19,7 @@ import {
   Zap,
   Sliders,
   FileCheck,
+  ShieldOff,
   Settings as SettingsIcon
 } from 'lucide-react';
 import { api, formatCurrency, formatDate, getStatusColor } from '../utils/api';
@@ -82,7 +83,7 @@ export default function Dashboard() {
     );
   }
 
-  const { summary, statusBreakdown, recentCases } = data || {};
+  const { summary, statusBreakdown, recentCases, currency } = data || {};
 
   return (
     <div className="space-y-6">
@@ -113,7 +114,7 @@ export default function Dashboard() {
         />
         <StatCard
           title="Total Disputed"
-          value={formatCurrency(summary?.totalAmount || 0)}
+          value={formatCurrency(summary?.totalAmount || 0, currency)}
           icon={DollarSign}
           trend={summary?.trends?.amount}
           description="Amount at risk"
@@ -134,6 +135,14 @@ export default function Dashboard() {
         />
       </div>
 
+      {summary?.unconvertedCases > 0 && (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-700 flex items-center gap-2">
+          <AlertTriangle className="w-4 h-4" />
+          {summary.unconvertedCases} case{summary.unconvertedCases === 1 ? ' has' : 's have'} no exchange rate
+          to {currency} and {summary.unconvertedCases === 1 ? 'is' : 'are'} left out of amount totals.
+        </div>
+      )}
+
       {/* Status Breakdown */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Status Cards */}
@@ -147,36 +156,49 @@ export default function Dashboard() {
                 status="PENDING"
                 count={statusBreakdown?.PENDING?.count || 0}
                 amount={statusBreakdown?.PENDING?.amount || 0}
+                currency={currency}
                 icon={Clock}
               />
               <StatusCard
                 status="IN_REVIEW"
                 count={statusBreakdown?.IN_REVIEW?.count || 0}
                 amount={statusBreakdown?.IN_REVIEW?.amount || 0}
+                currency={currency}
                 icon={FileText}
               />
               <StatusCard
                 status="SUBMITTED"
                 count={statusBreakdown?.SUBMITTED?.count || 0}
                 amount={statusBreakdown?.SUBMITTED?.amount || 0}
+                currency={currency}
                 icon={TrendingUp}
               />
               <StatusCard
                 status="WON"
                 count={statusBreakdown?.WON?.count || 0}
                 amount={statusBreakdown?.WON?.amount || 0}
+                currency={currency}
                 icon={CheckCircle}
               />
               <StatusCard
                 status="LOST"
                 count={statusBreakdown?.LOST?.count || 0}
                 amount={statusBreakdown?.LOST?.amount || 0}
+                currency={currency}
                 icon={XCircle}
               />
+              <StatusCard
+                status="ACCEPTED"
+                count={statusBreakdown?.ACCEPTED?.count || 0}
+                amount={statusBreakdown?.ACCEPTED?.amount || 0}
+                currency={currency}
+                icon={ShieldOff}
+              />
               <StatusCard
                 status="EXPIRED"
                 count={statusBreakdown?.EXPIRED?.count || 0}
                 amount={statusBreakdown?.EXPIRED?.amount || 0}
+                currency={currency}
                 icon={AlertTriangle}
               />
             </div>
@@ -192,8 +214,13 @@ export default function Dashboard() {
             <div className="text-center py-4">
               <p className="text-sm text-gray-500">Amount Recovered</p>
               <p className="text-3xl font-bold text-green-600">
-                {formatCurrency(summary?.recoveredAmount || 0)}
+                {formatCurrency(summary?.recoveredAmount || 0, currency)}
               </p>
+              {summary?.feesAmount > 0 && (
+                <p className="text-sm text-gray-500 mt-1">
+                  {formatCurrency(summary.netRecovery, currency)} net of {formatCurrency(summary.feesAmount, currency)} fees
+                </p>
+              )}
             </div>
             <div className="pt-4 border-t border-gray-200">
               <div className="flex justify-between text-sm">
@@ -206,6 +233,16 @@ export default function Dashboard() {
                   style={{ width: `${summary?.winRate || 0}%` }}
                 />
               </div>
+              <div className="flex justify-between text-sm mt-3">
+                <span className="text-gray-500">Net recovery rate</span>
+                <span className="font-medium">{summary?.netRecoveryRate || 0}%</span>
+              </div>
+              {summary?.acceptedCases > 0 && (
+                <div className="flex justify-between text-sm mt-3">
+                  <span className="text-gray-500">Accepted ({summary.acceptedCases}), written off</span>
+                  <span className="font-medium">{formatCurrency(summary.writtenOffAmount, currency)}</span>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -243,7 +280,7 @@ export default function Dashboard() {
                     </Link>
                   </td>
                   <td>{c.guestName}</td>
-                  <td className="font-medium">{formatCurrency(c.amount)}</td>
+                  <td className="font-medium">{formatCurrency(c.amount, c.currency)}</td>
                   <td>
                     <span className={`badge ${getStatusColor(c.status)}`}>
                       {c.status.replace('_', ' ')}
@@ -392,13 +429,14 @@ function StatCard({ title, value, icon: Icon, trend, positive, alert, descriptio
 }
 
 // Status Card Component
-function StatusCard({ status, count, amount, icon: Icon }) {
+function StatusCard({ status, count, amount, currency, icon: Icon }) {
   const colors = {
     PENDING: 'bg-yellow-50 border-yellow-200 text-yellow-700',
     IN_REVIEW: 'bg-blue-50 border-blue-200 text-blue-700',
     SUBMITTED: 'bg-purple-50 border-purple-200 text-purple-700',
     WON: 'bg-green-50 border-green-200 text-green-700',
     LOST: 'bg-red-50 border-red-200 text-red-700',
+    ACCEPTED: 'bg-slate-50 border-slate-200 text-slate-700',
     EXPIRED: 'bg-gray-50 border-gray-200 text-gray-700'
   };
 
@@ -409,7 +447,7 @@ function StatusCard({ status, count, amount, icon: Icon }) {
         <Icon className="w-4 h-4" />
       </div>
       <p className="text-2xl font-bold">{count}</p>
-      <p className="text-sm opacity-80">{formatCurrency(amount)}</p>
+      <p className="text-sm opacity-80">{formatCurrency(amount, currency)}</p>
     </div>
   );
 }
@@ -5,7 +5,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
-import { api } from '../utils/api';
+import { api, formatCurrency } from '../utils/api';
 import {
   User,
   Building2,
@@ -38,7 +38,14 @@ import {
   File,
   Trash2,
   Download,
-  FolderOpen
+  FolderOpen,
+  Coins,
+  RotateCcw,
+  History,
+  TrendingUp,
+  ChevronDown,
+  ChevronRight,
+  FlaskConical
 } from 'lucide-react';
 
 export default function Settings() {
@@ -56,16 +63,15 @@ export default function Settings() {
   });
 
   // Evidence Weights State
-  const [evidenceWeights, setEvidenceWeights] = useState({
-    ID_SCAN: 20,
-    AUTH_SIGNATURE: 20,
-    CHECKOUT_SIGNATURE: 15,
-    FOLIO: 15,
-    KEY_CARD_LOG: 10,
-    CORRESPONDENCE: 10,
-    CCTV_FOOTAGE: 5,
-    CANCELLATION_POLICY: 5
-  });
+  const [evidenceWeights, setEvidenceWeights] = useState({});
+
+  // Thresholds and weights are versioned per property ('global' or a
+  // property ID) and are what case analysis scores with
+  const [defenseScope, setDefenseScope] = useState('global');
+  const [defenseConfig, setDefenseConfig] = useState(null);
+  const [defenseVersions, setDefenseVersions] = useState([]);
+  const [defenseNote, setDefenseNote] = useState('');
+  const [properties, setProperties] = useState([]);
 
   // Evidence Packets State
   const [evidencePackets, setEvidencePackets] = useState({
@@ -146,21 +152,62 @@ export default function Settings() {
   useEffect(() => {
     if (user?.role === 'ADMIN') {
       loadConfig();
+      api.get('/admin/properties')
+        .then(response => setProperties(response.data.properties || []))
+        .catch(() => setProperties([]));
     }
   }, [user]);
 
+  useEffect(() => {
+    if (user?.role === 'ADMIN') {
+      loadDefenseConfig(defenseScope);
+    }
+  }, [user, defenseScope]);
+
+  const loadDefenseConfig = async (scope) => {
+    try {
+      const [configResponse, versionsResponse] = await Promise.all([
+        api.get(`/admin/defense-config/${scope}`),
+        api.get(`/admin/defense-config/${scope}/versions`)
+      ]);
+      const active = configResponse.data;
+      const { autoSubmit, reviewRecommended, gatherMoreEvidence } = active.config.thresholds;
+      setAiThresholds({ autoSubmit, reviewRecommended, gatherMoreEvidence });
+      setEvidenceWeights(active.config.evidenceWeights);
+      setDefenseConfig(active);
+      setDefenseVersions(versionsResponse.data.versions || []);
+    } catch (error) {
+      console.error('Failed to load defense config:', error);
+    }
+  };
+
+  const saveDefenseConfig = () => api.put(`/admin/defense-config/${defenseScope}`, {
+    changes: { thresholds: aiThresholds, evidenceWeights },
+    ...(defenseNote.trim() && { note: defenseNote.trim() })
+  });
+
+  const rollbackDefenseConfig = async (version) => {
+    if (!window.confirm(`Make version ${version} the active configuration? It is saved as a new version.`)) return;
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await api.post(`/admin/defense-config/${defenseScope}/versions/${version}/rollback`, {});
+      await loadDefenseConfig(defenseScope);
+      setMessage({ type: 'success', text: `Rolled back to version ${version} (now version ${response.data.version})` });
+      setTimeout(() => setMessage(null), 3000);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to roll back configuration' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const loadConfig = async () => {
     setLoading(true);
     try {
       const response = await api.get('/admin/config');
       const config = response.data.config;
 
-      if (config.ai_thresholds) {
-        setAiThresholds(config.ai_thresholds);
-      }
-      if (config.evidence_weights) {
-        setEvidenceWeights(config.evidence_weights);
-      }
       if (config.evidence_packets) {
         setEvidencePackets(config.evidence_packets);
       }
@@ -193,15 +240,17 @@ export default function Settings() {
     setMessage(null);
     try {
       await Promise.all([
-        api.put('/admin/config', { key: 'ai_thresholds', value: aiThresholds, description: 'AI thresholds' }),
-        api.put('/admin/config', { key: 'evidence_weights', value: evidenceWeights, description: 'Evidence weights' }),
+        saveDefenseConfig(),
         api.put('/admin/config', { key: 'evidence_packets', value: evidencePackets, description: 'Evidence packets' }),
         api.put('/admin/config', { key: 'email_settings', value: emailSettings, description: 'Email settings' })
       ]);
+      setDefenseNote('');
+      await loadDefenseConfig(defenseScope);
       setMessage({ type: 'success', text: 'All settings saved successfully!' });
       setTimeout(() => setMessage(null), 3000);
     } catch (error) {
-      setMessage({ type: 'error', text: 'Failed to save some settings' });
+      const details = error.data?.details?.filter(d => typeof d === 'string');
+      setMessage({ type: 'error', text: details?.length ? details.join('; ') : 'Failed to save some settings' });
     } finally {
       setSaving(false);
     }
@@ -441,8 +490,11 @@ export default function Settings() {
     { id: 'notifications', label: 'Notifications', icon: Bell },
     ...(user?.role === 'ADMIN' ? [
       { id: 'defense', label: 'Defense Configuration', icon: Shield },
+      { id: 'win-rates', label: 'Learned Win Rates', icon: TrendingUp },
       { id: 'email', label: 'Email Settings', icon: Mail },
-      { id: 'storage', label: 'Storage', icon: Cloud }
+      { id: 'storage', label: 'Storage', icon: Cloud },
+      { id: 'currencies', label: 'Currencies', icon: Coins },
+      { id: 'recycle-bin', label: 'Recycle Bin', icon: Trash2 }
     ] : [])
   ];
 
@@ -607,7 +659,22 @@ export default function Settings() {
                 </div>
               </div>
               <div className="flex items-center gap-3">
-                <button onClick={loadConfig} disabled={loading} className="btn-secondary">
+                <select
+                  value={defenseScope}
+                  onChange={(e) => setDefenseScope(e.target.value)}
+                  className="input w-48"
+                  title="Configuration scope"
+                >
+                  <option value="global">Global</option>
+                  {properties.map(property => (
+                    <option key={property.id} value={property.id}>{property.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => { loadConfig(); loadDefenseConfig(defenseScope); }}
+                  disabled={loading}
+                  className="btn-secondary"
+                >
                   <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
                   Refresh
                 </button>
@@ -618,6 +685,25 @@ export default function Settings() {
               </div>
             </div>
 
+            {defenseConfig && (
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+                <span className="badge bg-blue-100 text-blue-800">
+                  {defenseConfig.inherited ? 'Global' : defenseConfig.name} v{defenseConfig.version}
+                </span>
+                {defenseConfig.inherited && (
+                  <span>{defenseConfig.name} uses the global configuration. Saving creates its own.</span>
+                )}
+                <input
+                  type="text"
+                  value={defenseNote}
+                  onChange={(e) => setDefenseNote(e.target.value)}
+                  maxLength={500}
+                  placeholder="Note for this change (optional)"
+                  className="input flex-1 min-w-64"
+                />
+              </div>
+            )}
+
             {/* AI Thresholds Section */}
             <div className="card">
               <div className="card-header border-b-0 pb-2">
@@ -888,19 +974,19 @@ export default function Settings() {
                     </div>
                   </div>
                   <div className={`px-4 py-2 rounded-full font-medium ${
-                    totalWeight === 100
+                    totalWeight >= 100
                       ? 'bg-green-100 text-green-700'
-                      : 'bg-red-100 text-red-700'
+                      : 'bg-amber-100 text-amber-700'
                   }`}>
-                    Total: {totalWeight}% {totalWeight === 100 ? <Check className="w-4 h-4 inline ml-1" /> : null}
+                    Total: {totalWeight} pts {totalWeight >= 100 ? <Check className="w-4 h-4 inline ml-1" /> : null}
                   </div>
                 </div>
               </div>
               <div className="card-body pt-4">
-                {totalWeight !== 100 && (
-                  <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 flex items-center gap-2">
+                {totalWeight < 100 && (
+                  <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-700 flex items-center gap-2">
                     <AlertCircle className="w-4 h-4" />
-                    Weights must total 100%. Adjust the sliders to balance the scores.
+                    The evidence score is capped at 100 points. With weights totalling {totalWeight}, no case can reach a full evidence score.
                   </div>
                 )}
 
@@ -913,7 +999,7 @@ export default function Settings() {
                           <label className="text-sm font-medium text-gray-700 truncate" title={evidence?.label || type}>
                             {(evidence?.label || type).replace(/_/g, ' ')}
                           </label>
-                          <span className="text-lg font-bold text-indigo-600 ml-2">{weight}%</span>
+                          <span className="text-lg font-bold text-indigo-600 ml-2">{weight}</span>
                         </div>
                         <input
                           type="range"
@@ -930,6 +1016,89 @@ export default function Settings() {
               </div>
             </div>
 
+            {/* Backtest unsaved threshold and weight changes */}
+            <DefenseSimulationCard
+              scope={defenseScope}
+              changes={{ thresholds: aiThresholds, evidenceWeights }}
+              note={defenseNote}
+              onApproved={async (version) => {
+                setDefenseNote('');
+                await loadDefenseConfig(defenseScope);
+                setMessage({ type: 'success', text: `Simulation approved and published as version ${version}` });
+                setTimeout(() => setMessage(null), 3000);
+              }}
+            />
+
+            {/* Configuration Version History */}
+            <div className="card">
+              <div className="card-header border-b-0 pb-2">
+                <div className="flex items-center gap-3">
+                  <div className="p-2 bg-gray-100 rounded-lg">
+                    <History className="w-5 h-5 text-gray-600" />
+                  </div>
+                  <div>
+                    <h3 className="font-semibold text-gray-900">Version History</h3>
+                    <p className="text-sm text-gray-500">
+                      Every saved change is a version; each case analysis records the version it was scored with
+                    </p>
+                  </div>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Version</th>
+                      <th>Saved</th>
+                      <th>By</th>
+                      <th>Note</th>
+                      <th>Cases Scored</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {defenseVersions.length === 0 ? (
+                      <tr>
+                        <td colSpan={6} className="text-center text-gray-500 py-6">
+                          {defenseConfig?.inherited ? 'No property-specific versions yet' : 'No versions saved'}
+                        </td>
+                      </tr>
+                    ) : defenseVersions.map(version => (
+                      <tr key={version.id}>
+                        <td className="font-medium">
+                          v{version.version}
+                          {version.active && <span className="badge bg-green-100 text-green-800 ml-2">Active</span>}
+                        </td>
+                        <td className="text-gray-500">{new Date(version.createdAt).toLocaleString()}</td>
+                        <td className="text-gray-500">
+                          {version.createdByUser
+                            ? `${version.createdByUser.firstName} ${version.createdByUser.lastName}`
+                            : 'System'}
+                        </td>
+                        <td className="text-gray-500">
+                          {version.note || '-'}
+                          {version.rolledBackFrom && ` (from v${version.rolledBackFrom})`}
+                        </td>
+                        <td>{version.casesScored}</td>
+                        <td className="text-right">
+                          {!version.active && (
+                            <button
+                              onClick={() => rollbackDefenseConfig(version.version)}
+                              disabled={saving}
+                              className="btn-secondary text-sm"
+                            >
+                              <RotateCcw className="w-4 h-4 mr-1" />
+                              Roll Back
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
             {/* Supporting Documents Upload Section */}
             <div className="card">
               <div className="card-header border-b-0 pb-2">
@@ -1518,6 +1687,21 @@ export default function Settings() {
             </div>
           </div>
         )}
+
+        {/* Learned Win Rates Tab */}
+        {activeTab === 'win-rates' && user?.role === 'ADMIN' && (
+          <WinRatesPanel />
+        )}
+
+        {/* Currencies Tab */}
+        {activeTab === 'currencies' && user?.role === 'ADMIN' && (
+          <ExchangeRatesPanel />
+        )}
+
+        {/* Recycle Bin Tab */}
+        {activeTab === 'recycle-bin' && user?.role === 'ADMIN' && (
+          <RecycleBinPanel />
+        )}
       </div>
 
       <div className="text-center text-sm text-gray-400 py-4">
@@ -1526,3 +1710,907 @@ export default function Settings() {
     </div>
   );
 }
+
+/**
+ * Portfolio reporting currency and the dated exchange rate table used to
+ * convert case amounts
+ */
+function ExchangeRatesPanel() {
+  const [rates, setRates] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({ base: '', quote: '' });
+  const [page, setPage] = useState(1);
+  const [portfolioCurrency, setPortfolioCurrency] = useState('');
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [importErrors, setImportErrors] = useState([]);
+
+  useEffect(() => {
+    api.get('/admin/config')
+      .then(response => setPortfolioCurrency(response.data.config?.portfolio_currency || 'USD'))
+      .catch(() => setPortfolioCurrency('USD'));
+  }, []);
+
+  useEffect(() => {
+    loadRates();
+  }, [page]);
+
+  const loadRates = async () => {
+    try {
+      const params = new URLSearchParams({ page, limit: 50 });
+      if (filters.base) params.set('base', filters.base);
+      if (filters.quote) params.set('quote', filters.quote);
+      const response = await api.get(`/admin/exchange-rates?${params}`);
+      setRates(response.data.rates || []);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    if (page === 1) loadRates();
+    else setPage(1);
+  };
+
+  const savePortfolioCurrency = async () => {
+    const currency = portfolioCurrency.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      alert('Enter a 3-letter currency code, e.g. USD');
+      return;
+    }
+    try {
+      await api.put('/admin/config', {
+        key: 'portfolio_currency',
+        value: currency,
+        description: 'Currency for cross-property analytics'
+      });
+      setPortfolioCurrency(currency);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    setImporting(true);
+    setImportResult(null);
+    setImportErrors([]);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await api.upload('/admin/exchange-rates/import', formData);
+      setImportResult(response.data);
+      setFile(null);
+      loadRates();
+    } catch (err) {
+      setImportErrors(err.data?.details || []);
+      alert(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    try {
+      await api.delete(`/admin/exchange-rates/${rate.id}`);
+      loadRates();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="font-semibold flex items-center gap-2">
+            <Coins className="w-5 h-5 text-omni-600" />
+            Reporting Currency
+          </h3>
+        </div>
+        <div className="card-body space-y-3">
+          <p className="text-sm text-gray-500">
+            Property dashboards report in each property's own currency. Portfolio-wide analytics
+            convert every case into this currency using the rates below.
+          </p>
+          <div className="flex items-end gap-3">
+            <div>
+              <label className="label">Portfolio Currency</label>
+              <input
+                type="text"
+                maxLength={3}
+                value={portfolioCurrency}
+                onChange={(e) => setPortfolioCurrency(e.target.value.toUpperCase())}
+                className="input w-28 uppercase"
+              />
+            </div>
+            <button onClick={savePortfolioCurrency} className="btn-primary flex items-center gap-2">
+              <Save className="w-4 h-4" />
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="font-semibold flex items-center gap-2">
+            <Upload className="w-5 h-5 text-omni-600" />
+            Import Exchange Rates
+          </h3>
+        </div>
+        <div className="card-body space-y-3">
+          <p className="text-sm text-gray-500">
+            Upload a CSV with a header row of <code className="bg-gray-100 px-1 rounded">date,base,quote,rate,source</code>.
+            Dates are YYYY-MM-DD, and one unit of base buys <em>rate</em> units of quote. A rate applies from its
+            date until the next one for the pair. Existing rates for the same pair and date are replaced.
+          </p>
+          <div className="flex items-center gap-3">
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              className="text-sm"
+            />
+            <button
+              onClick={handleImport}
+              disabled={!file || importing}
+              className="btn-primary flex items-center gap-2 disabled:opacity-50"
+            >
+              {importing ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              Import
+            </button>
+          </div>
+          {importResult && (
+            <div className="p-3 rounded-lg bg-green-50 border border-green-200 text-sm text-green-700">
+              Imported {importResult.imported} rates ({importResult.created} new, {importResult.updated} replaced)
+              for {importResult.pairs.join(', ')} from {importResult.from} to {importResult.to}.
+              {' '}{importResult.casesUpdated} cases reconverted.
+            </div>
+          )}
+          {importErrors.length > 0 && (
+            <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700 space-y-1">
+              <p className="font-medium">Nothing was imported. Fix these rows and upload the file again:</p>
+              <ul className="list-disc list-inside">
+                {importErrors.map((error, i) => (
+                  <li key={i}>Line {error.line}: {error.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h3 className="font-semibold">Exchange Rates</h3>
+          <form onSubmit={handleFilter} className="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder="Base"
+              maxLength={3}
+              value={filters.base}
+              onChange={(e) => setFilters(prev => ({ ...prev, base: e.target.value.toUpperCase() }))}
+              className="input w-20 uppercase"
+            />
+            <input
+              type="text"
+              placeholder="Quote"
+              maxLength={3}
+              value={filters.quote}
+              onChange={(e) => setFilters(prev => ({ ...prev, quote: e.target.value.toUpperCase() }))}
+              className="input w-20 uppercase"
+            />
+            <button type="submit" className="btn-secondary">Filter</button>
+          </form>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Effective Date</th>
+                <th>Pair</th>
+                <th>Rate</th>
+                <th>Source</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className="text-center text-gray-500 py-6">No exchange rates imported</td>
+                </tr>
+              ) : rates.map(rate => (
+                <tr key={rate.id}>
+                  <td>{rate.effectiveDate.slice(0, 10)}</td>
+                  <td className="font-medium">{rate.baseCurrency}/{rate.quoteCurrency}</td>
+                  <td className="font-mono">{Number(rate.rate)}</td>
+                  <td className="text-gray-500">{rate.source || '-'}</td>
+                  <td className="text-right">
+                    <button
+                      onClick={() => handleDelete(rate)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Delete rate"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between px-6 py-3 border-t text-sm text-gray-500">
+            <span>Page {pagination.page} of {pagination.totalPages} ({pagination.total} rates)</span>
+            <div className="flex gap-2">
+              <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="btn-secondary disabled:opacity-50">
+                Previous
+              </button>
+              <button onClick={() => setPage(p => p + 1)} disabled={page >= pagination.totalPages} className="btn-secondary disabled:opacity-50">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Deleted cases with restore and permanent delete, and how long they are
+ * kept before the automatic purge
+ */
+function RecycleBinPanel() {
+  const [cases, setCases] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [retentionDays, setRetentionDays] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    loadCases();
+  }, [page]);
+
+  const loadCases = async () => {
+    try {
+      const params = new URLSearchParams({ page, limit: 20 });
+      if (search) params.set('search', search);
+      const response = await api.get(`/admin/recycle-bin?${params}`);
+      setCases(response.data.cases || []);
+      setPagination(response.data.pagination);
+      setRetentionDays(prev => prev === '' ? String(response.data.retentionDays) : prev);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (page === 1) loadCases();
+    else setPage(1);
+  };
+
+  const saveRetention = async () => {
+    const days = parseInt(retentionDays);
+    if (!(days >= 1 && days <= 3650)) {
+      alert('Enter a retention period between 1 and 3650 days');
+      return;
+    }
+    try {
+      await api.put('/admin/recycle-bin/settings', { retentionDays: days });
+      setRetentionDays(String(days));
+      loadCases();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleRestore = async (chargeback) => {
+    setBusyId(chargeback.id);
+    try {
+      await api.post(`/admin/recycle-bin/${chargeback.id}/restore`);
+      loadCases();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (chargeback) => {
+    if (!window.confirm(`Permanently delete ${chargeback.caseNumber} and its evidence? This cannot be undone.`)) return;
+    setBusyId(chargeback.id);
+    try {
+      await api.delete(`/admin/recycle-bin/${chargeback.id}`);
+      loadCases();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const personName = (person) => person ? `${person.firstName} ${person.lastName}` : 'System';
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="font-semibold flex items-center gap-2">
+            <Trash2 className="w-5 h-5 text-omni-600" />
+            Retention
+          </h3>
+        </div>
+        <div className="card-body space-y-3">
+          <p className="text-sm text-gray-500">
+            Deleted cases are hidden from case lists, analytics and syncs but kept here until they are restored,
+            permanently deleted, or reach the end of the retention period. Expired cases are purged daily along
+            with their evidence files.
+          </p>
+          <div className="flex items-end gap-3">
+            <div>
+              <label className="label">Keep deleted cases for (days)</label>
+              <input
+                type="number"
+                min={1}
+                max={3650}
+                value={retentionDays}
+                onChange={(e) => setRetentionDays(e.target.value)}
+                className="input w-28"
+              />
+            </div>
+            <button onClick={saveRetention} className="btn-primary flex items-center gap-2">
+              <Save className="w-4 h-4" />
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h3 className="font-semibold">Deleted Cases</h3>
+          <form onSubmit={handleSearch} className="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder="Case #, guest or dispute ID"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="input w-64"
+            />
+            <button type="submit" className="btn-secondary">Search</button>
+          </form>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Case</th>
+                <th>Property</th>
+                <th>Amount</th>
+                <th>Deleted</th>
+                <th>Reason</th>
+                <th>Purged On</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {cases.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="text-center text-gray-500 py-6">The recycle bin is empty</td>
+                </tr>
+              ) : cases.map(chargeback => (
+                <tr key={chargeback.id}>
+                  <td>
+                    <p className="font-medium">{chargeback.caseNumber}</p>
+                    <p className="text-xs text-gray-500">{chargeback.guestName}</p>
+                  </td>
+                  <td className="text-gray-500">{chargeback.property?.name || '-'}</td>
+                  <td>{Number(chargeback.amount).toFixed(2)} {chargeback.currency}</td>
+                  <td>
+                    <p>{new Date(chargeback.deletedAt).toLocaleDateString()}</p>
+                    <p className="text-xs text-gray-500">{personName(chargeback.deletedBy)}</p>
+                  </td>
+                  <td className="text-gray-500 max-w-xs">{chargeback.deletionReason || '-'}</td>
+                  <td className="text-gray-500">{new Date(chargeback.purgeAt).toLocaleDateString()}</td>
+                  <td className="text-right whitespace-nowrap">
+                    <button
+                      onClick={() => handleRestore(chargeback)}
+                      disabled={busyId === chargeback.id}
+                      className="p-1 text-gray-400 hover:text-omni-600 disabled:opacity-50"
+                      title="Restore case"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handlePurge(chargeback)}
+                      disabled={busyId === chargeback.id}
+                      className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      title="Delete permanently"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between px-6 py-3 border-t text-sm text-gray-500">
+            <span>Page {pagination.page} of {pagination.totalPages} ({pagination.total} cases)</span>
+            <div className="flex gap-2">
+              <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="btn-secondary disabled:opacity-50">
+                Previous
+              </button>
+              <button onClick={() => setPage(p => p + 1)} disabled={page >= pagination.totalPages} className="btn-secondary disabled:opacity-50">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Reason code win rates learned from resolved cases, compared with the
+ * defaults and the rates scoring currently uses, with publish
+ */
+function WinRatesPanel() {
+  const [scope, setScope] = useState('global');
+  const [properties, setProperties] = useState([]);
+  const [data, setData] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    api.get('/admin/properties')
+      .then(response => setProperties(response.data.properties || []))
+      .catch(() => setProperties([]));
+  }, []);
+
+  useEffect(() => {
+    loadRates();
+  }, [scope]);
+
+  const loadRates = async () => {
+    try {
+      const response = await api.get(`/admin/win-rates/${scope}`);
+      setData(response.data);
+      setExpanded({});
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const recalibrate = async () => {
+    setBusy(true);
+    try {
+      const response = await api.post(`/admin/win-rates/${scope}/recalibrate`);
+      setData(response.data);
+      setExpanded({});
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const publish = async () => {
+    const { calibration } = data;
+    const lowSample = calibration.summary.lowSampleCodes;
+    const warning = lowSample > 0
+      ? ` ${lowSample} of them come from fewer than ${calibration.minSampleSize} cases and lean on the defaults.`
+      : '';
+    if (!window.confirm(`Publish ${calibration.rates.length} learned rates to the ${data.name} defense config?${warning}`)) return;
+
+    setBusy(true);
+    try {
+      await api.post(`/admin/win-rates/${scope}/calibrations/${calibration.id}/publish`, {
+        ...(note && { note })
+      });
+      setNote('');
+      loadRates();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const percent = (rate) => rate === null || rate === undefined ? '-' : `${Math.round(rate * 100)}%`;
+  const calibration = data?.calibration;
+
+  const lowSampleBadge = (
+    <span className="badge bg-amber-100 text-amber-800 text-xs ml-2">Low sample</span>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h3 className="font-semibold flex items-center gap-2">
+            <TrendingUp className="w-5 h-5 text-omni-600" />
+            Learned Win Rates
+          </h3>
+          <div className="flex items-center gap-2">
+            <select value={scope} onChange={(e) => setScope(e.target.value)} className="input w-56">
+              <option value="global">Global (all properties)</option>
+              {properties.map(property => (
+                <option key={property.id} value={property.id}>{property.name}</option>
+              ))}
+            </select>
+            <button onClick={recalibrate} disabled={busy} className="btn-secondary flex items-center gap-2 disabled:opacity-50">
+              <RefreshCw className={`w-4 h-4 ${busy ? 'animate-spin' : ''}`} />
+              Recalibrate
+            </button>
+          </div>
+        </div>
+        <div className="card-body space-y-3">
+          <p className="text-sm text-gray-500">
+            Win rates are learned weekly from won and lost cases, per reason code and per processor. Each rate is
+            blended with the default as if the default had been seen in {data?.priorStrength ?? '...'} extra cases,
+            so codes with few outcomes stay close to the default. Rates from fewer
+            than {data?.minSampleSize ?? '...'} cases are marked low sample. Nothing changes in scoring until the
+            rates are published.
+          </p>
+          {calibration ? (
+            <div className="flex flex-wrap gap-6 text-sm">
+              <span><span className="text-gray-500">Calibrated</span> {new Date(calibration.createdAt).toLocaleString()}</span>
+              <span><span className="text-gray-500">Cases</span> {calibration.summary.cases} ({calibration.summary.wins} won, {calibration.summary.losses} lost)</span>
+              <span><span className="text-gray-500">Since</span> {new Date(calibration.since).toLocaleDateString()}</span>
+              <span>
+                <span className="text-gray-500">Status</span>{' '}
+                <span className={`badge ${calibration.status === 'published' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+                  {calibration.status === 'published' ? `Published as v${calibration.configVersion}` : calibration.status}
+                </span>
+              </span>
+              <span><span className="text-gray-500">Scoring uses</span> {data.inherited ? 'global' : 'this scope\'s'} config v{data.configVersion}</span>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No calibration yet for this scope. Click Recalibrate to learn rates now.</p>
+          )}
+        </div>
+      </div>
+
+      {calibration && (
+        <div className="card">
+          <div className="card-header flex items-center justify-between">
+            <h3 className="font-semibold">Reason Codes</h3>
+            {calibration.status === 'pending' && calibration.rates.length > 0 && (
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  placeholder="Note (optional)"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="input w-64"
+                />
+                <button onClick={publish} disabled={busy} className="btn-primary flex items-center gap-2 disabled:opacity-50">
+                  <Save className="w-4 h-4" />
+                  Publish
+                </button>
+              </div>
+            )}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Reason Code</th>
+                  <th>Network</th>
+                  <th>Won / Lost</th>
+                  <th>Observed</th>
+                  <th>Default</th>
+                  <th>Learned</th>
+                  <th>In Use</th>
+                </tr>
+              </thead>
+              <tbody>
+                {calibration.rates.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="text-center text-gray-500 py-6">No won or lost cases in the lookback period</td>
+                  </tr>
+                ) : calibration.rates.map(rate => (
+                  <React.Fragment key={rate.reasonCode}>
+                    <tr>
+                      <td>
+                        <button
+                          onClick={() => setExpanded(prev => ({ ...prev, [rate.reasonCode]: !prev[rate.reasonCode] }))}
+                          className="flex items-center gap-1 font-medium"
+                          title="Show processors"
+                        >
+                          {expanded[rate.reasonCode] ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                          {rate.reasonCode}
+                        </button>
+                        <p className="text-xs text-gray-500 ml-5">{rate.category}</p>
+                      </td>
+                      <td className="text-gray-500">{rate.network}</td>
+                      <td>
+                        {rate.wins} / {rate.losses}
+                        {rate.lowSample && lowSampleBadge}
+                      </td>
+                      <td>{percent(rate.observedRate)}</td>
+                      <td className="text-gray-500">{percent(rate.defaultRate)}</td>
+                      <td>
+                        <p className="font-medium">{percent(rate.winRate)}</p>
+                        <p className="text-xs text-gray-500">{percent(rate.interval[0])} - {percent(rate.interval[1])}</p>
+                      </td>
+                      <td className="text-gray-500">{percent(rate.currentRate)}</td>
+                    </tr>
+                    {expanded[rate.reasonCode] && rate.processors.map(processor => (
+                      <tr key={`${rate.reasonCode}-${processor.providerId}`} className="bg-gray-50">
+                        <td className="pl-10 text-sm">{processor.providerName || processor.providerId}</td>
+                        <td></td>
+                        <td className="text-sm">
+                          {processor.wins} / {processor.losses}
+                          {processor.lowSample && lowSampleBadge}
+                        </td>
+                        <td className="text-sm">{percent(processor.observedRate)}</td>
+                        <td className="text-sm text-gray-500">{percent(rate.winRate)}</td>
+                        <td className="text-sm">
+                          <p className="font-medium">{percent(processor.winRate)}</p>
+                          <p className="text-xs text-gray-500">{percent(processor.interval[0])} - {percent(processor.interval[1])}</p>
+                        </td>
+                        <td className="text-sm text-gray-500">{percent(processor.currentRate)}</td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="px-6 py-3 border-t text-xs text-gray-500">
+            Processor rates are blended toward the reason code&apos;s learned rate, shown in the Default column.
+            The range under each learned rate is a 90% interval.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const RECOMMENDATION_LABELS = {
+  AUTO_SUBMIT: 'Auto Submit',
+  REVIEW_RECOMMENDED: 'Review',
+  GATHER_MORE_EVIDENCE: 'Gather Evidence',
+  UNLIKELY_TO_WIN: 'Unlikely to Win'
+};
+
+function toDateInput(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Replay the thresholds and weights on screen over past cases before
+ * publishing them
+ */
+function DefenseSimulationCard({ scope, changes, note, onApproved }) {
+  const [dateFrom, setDateFrom] = useState(() => toDateInput(new Date(Date.now() - 90 * 24 * 60 * 60 * 1000)));
+  const [dateTo, setDateTo] = useState(() => toDateInput(new Date()));
+  const [simulation, setSimulation] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setSimulation(null);
+  }, [scope]);
+
+  const runSimulation = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await api.post(`/admin/defense-config/${scope}/simulations`, {
+        changes,
+        dateFrom: new Date(`${dateFrom}T00:00:00`).toISOString(),
+        dateTo: new Date(`${dateTo}T23:59:59`).toISOString()
+      });
+      setSimulation(response.data.simulation);
+    } catch (err) {
+      const details = err.data?.details?.filter(d => typeof d === 'string');
+      setError(details?.length ? details.join('; ') : err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const approveSimulation = async () => {
+    if (!window.confirm('Publish this configuration? It is saved as a new version and used for new analyses.')) return;
+    setRunning(true);
+    setError(null);
+    try {
+      const response = await api.post(`/admin/defense-config/${scope}/simulations/${simulation.id}/approve`, {
+        ...(note.trim() && { note: note.trim() })
+      });
+      setSimulation(response.data.simulation);
+      await onApproved(response.data.active.version);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const report = simulation?.report;
+  const percent = (value) => value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`;
+
+  const confusionMatrix = (label, { confusion }) => (
+    <div>
+      <p className="text-sm font-medium text-gray-700 mb-2">{label}</p>
+      <table className="text-sm border border-gray-200">
+        <thead>
+          <tr className="bg-gray-50">
+            <th className="px-3 py-1.5 text-left font-normal text-gray-500"></th>
+            <th className="px-3 py-1.5 font-normal text-gray-500">Actually Won</th>
+            <th className="px-3 py-1.5 font-normal text-gray-500">Actually Lost</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td className="px-3 py-1.5 text-gray-500">Contested</td>
+            <td className="px-3 py-1.5 text-center bg-green-50">{confusion.truePositive}</td>
+            <td className="px-3 py-1.5 text-center bg-red-50">{confusion.falsePositive}</td>
+          </tr>
+          <tr>
+            <td className="px-3 py-1.5 text-gray-500">Not contested</td>
+            <td className="px-3 py-1.5 text-center bg-red-50">{confusion.falseNegative}</td>
+            <td className="px-3 py-1.5 text-center bg-green-50">{confusion.trueNegative}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div className="card-header border-b-0 pb-2">
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-amber-100 rounded-lg">
+            <FlaskConical className="w-5 h-5 text-amber-600" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-gray-900">Backtest Changes</h3>
+            <p className="text-sm text-gray-500">
+              Replay the thresholds and evidence weights above over past cases before publishing them. Cases are not changed.
+            </p>
+          </div>
+        </div>
+      </div>
+      <div className="card-body pt-4 space-y-5">
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label className="label">Disputed from</label>
+            <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} className="input" />
+          </div>
+          <div>
+            <label className="label">To</label>
+            <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} className="input" />
+          </div>
+          <button onClick={runSimulation} disabled={running} className="btn-secondary">
+            {running ? <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> : <FlaskConical className="w-4 h-4 mr-2" />}
+            Run Simulation
+          </button>
+          {simulation?.status === 'pending' && (
+            <button onClick={approveSimulation} disabled={running} className="btn-primary">
+              <CheckCircle className="w-4 h-4 mr-2" />
+              Approve &amp; Publish
+            </button>
+          )}
+          {simulation?.status === 'approved' && (
+            <span className="badge bg-green-100 text-green-800">Published as v{simulation.configVersion}</span>
+          )}
+        </div>
+
+        {error && (
+          <div className="p-3 rounded-lg bg-red-50 text-red-700 text-sm flex items-center gap-2">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        {report && (
+          <>
+            <p className="text-sm text-gray-600">
+              {report.cases} cases replayed against v{simulation.baseVersion}, {report.decidedCases} with a won or lost outcome.
+              {report.excludedCases > 0 && ` ${report.excludedCases} cases at properties with their own configuration were left out.`}
+              {report.truncated && ' Only the most recent cases were replayed; narrow the date range to include all of them.'}
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="p-4 rounded-lg bg-gray-50">
+                <p className="text-sm text-gray-500">Cases contested</p>
+                <p className="text-lg font-semibold">
+                  {report.before.submissions.count} &rarr; {report.after.submissions.count}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {report.before.submissions.autoSubmit} &rarr; {report.after.submissions.autoSubmit} auto-submitted
+                </p>
+              </div>
+              <div className="p-4 rounded-lg bg-gray-50">
+                <p className="text-sm text-gray-500">Amount contested</p>
+                <p className="text-lg font-semibold">
+                  {formatCurrency(report.before.submissions.amount, report.currency)} &rarr; {formatCurrency(report.after.submissions.amount, report.currency)}
+                </p>
+                {report.unconvertedCases > 0 && (
+                  <p className="text-xs text-amber-700">{report.unconvertedCases} cases could not be converted</p>
+                )}
+              </div>
+              <div className="p-4 rounded-lg bg-gray-50">
+                <p className="text-sm text-gray-500">Won/lost separation (AUC)</p>
+                <p className="text-lg font-semibold">
+                  {report.before.separation.auc ?? '-'} &rarr; {report.after.separation.auc ?? '-'}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Mean score won {report.after.separation.meanScore.won ?? '-'}, lost {report.after.separation.meanScore.lost ?? '-'}
+                </p>
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Recommendation changes</p>
+              {report.transitions.length === 0 ? (
+                <p className="text-sm text-gray-500">No recommendation would change.</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {report.transitions.map(transition => (
+                    <span key={`${transition.from}-${transition.to}`} className="px-2 py-1 rounded bg-gray-100 text-sm">
+                      {RECOMMENDATION_LABELS[transition.from]} &rarr; {RECOMMENDATION_LABELS[transition.to]}: <strong>{transition.count}</strong>
+                    </span>
+                  ))}
+                  <span className="px-2 py-1 text-sm text-gray-500">{report.unchanged} unchanged</span>
+                </div>
+              )}
+            </div>
+
+            {report.decidedCases > 0 && (
+              <div className="flex flex-wrap gap-8">
+                {confusionMatrix('Current configuration', report.before.separation)}
+                {confusionMatrix('Proposed configuration', report.after.separation)}
+                <div className="text-sm space-y-1">
+                  <p className="font-medium text-gray-700 mb-2">Proposed vs current</p>
+                  <p><span className="text-gray-500">Precision</span> {percent(report.before.separation.precision)} &rarr; {percent(report.after.separation.precision)}</p>
+                  <p><span className="text-gray-500">Recall</span> {percent(report.before.separation.recall)} &rarr; {percent(report.after.separation.recall)}</p>
+                  <p><span className="text-gray-500">Accuracy</span> {percent(report.before.separation.accuracy)} &rarr; {percent(report.after.separation.accuracy)}</p>
+                </div>
+              </div>
+            )}
+
+            {report.changedCases.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Case</th>
+                      <th>Outcome</th>
+                      <th>Current</th>
+                      <th>Proposed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.changedCases.map(row => (
+                      <tr key={row.id}>
+                        <td className="font-medium">{row.caseNumber}</td>
+                        <td className="text-gray-500">{row.status}</td>
+                        <td>{row.before.score}% &middot; {RECOMMENDATION_LABELS[row.before.recommendation]}</td>
+                        <td>{row.after.score}% &middot; {RECOMMENDATION_LABELS[row.after.recommendation]}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -114,6 +114,27 @@ class ApiClient {
     return this.request(endpoint, { ...options, method: 'DELETE' });
   }
 
+  async download(endpoint, options = {}) {
+    const url = `${this.baseURL}${endpoint}`;
+    const token = localStorage.getItem('accessToken');
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      ...options
+    });
+
+    if (!response.ok) {
+      return this.handleResponse(response);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^"]+)"?/);
+    return { blob: await response.blob(), fileName: match ? match[1] : null };
+  }
+
   async upload(endpoint, formData, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const token = localStorage.getItem('accessToken');
@@ -166,6 +187,7 @@ export const getStatusColor = (status) => {
     SUBMITTED: 'badge-submitted',
     WON: 'badge-won',
     LOST: 'badge-lost',
+    ACCEPTED: 'badge-accepted',
     EXPIRED: 'badge-expired',
     CANCELLED: 'badge-cancelled',
     ARBITRATION: 'badge-in-review'